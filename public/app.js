@@ -7,16 +7,21 @@ const API_BASE = '';
 
 // Global State
 const state = {
+  revision: null, // Server state revision this board reflects (sent back as If-Match)
   doors: [],
   trailers: [],
   yardTrailers: [],
   yardSlots: [],
   carriers: [],
+  customers: [],
   staging: null,
   queuedTrailers: [],
   appointmentQueue: [],
   shippedTrailers: [],
-  receivedTrailers: []
+  receivedTrailers: [],
+  maintenanceWindows: [],
+  alerts: [], // Alert inbox (see renderAlertsList)
+  dwellPolicy: null // Facility dwell thresholds (see getDwellPolicy)
 };
 
 // Utility: Escape HTML to prevent XSS
@@ -50,13 +55,22 @@ const DWELL_UPDATE_INTERVAL = 10000; // Update dwell display every 10s
 // SSE (Server-Sent Events) for real-time updates
 let sseConnection = null;
 let sseReconnectAttempts = 0;
+let lastEventSeq = null; // Last stateChange seq applied (gap = missed events)
+let lastWriteRevision = null; // Revision returned by our own latest write
 const MAX_SSE_RECONNECT_ATTEMPTS = 10;
 const SSE_RECONNECT_DELAY = 3000;
 
+// Presence - who else is on this facility's board
+let sseClientId = null; // Our SSE stream's ID, used when reporting what we have open
+let presenceUsers = [];
+let presenceActivity = null; // What we have open, e.g. { entityType: 'trailer', entityId, mode: 'edit' }
+const MAX_PRESENCE_AVATARS = 5;
+
 // SSE (Server-Sent Events) for real-time updates
 
-// Undo functionality
-let lastAction = null; // { type: 'moveToDoor'|'moveToYard'|'moveToSlot', trailerId, from: { doorNum|slotNum }, to: { doorNum|slotNum }, timestamp }
+// Undo functionality - our undo/redo history is kept by the server (per user and facility)
+let undoStatus = { undo: [], redo: [] }; // Newest first: [{ id, type, label, timestamp }]
+let undoRefreshTimer = null;
 
 // Bulk selection
 let selectedTrailers = new Set(); // Set of selected trailer IDs
@@ -155,7 +169,7 @@ async function login(username, password) {
   }
   return false;
 }
-function logout() { authState.token = null; authState.user = null; authState.isAuthenticated = false; localStorage.removeItem('dockboard_token'); editMode = false; updateAuthUI(); showToast('Logged out', 'info'); }
+function logout() { authState.token = null; authState.user = null; authState.isAuthenticated = false; localStorage.removeItem('dockboard_token'); editMode = false; undoStatus = { undo: [], redo: [] }; updateUndoButton(); updateAuthUI(); showToast('Logged out', 'info'); }
 
 // Show facility selector modal for bootstrap users
 function showFacilitySelectorModal(facilities, isSwitching = false) {
@@ -1315,7 +1329,9 @@ async function deleteDoor(doorId) { return apiCall(`/doors/${doorId}`, 'DELETE')
 async function reorderDoors(doorIds) { return apiCall('/doors/reorder', 'POST', { doorIds }); }
 
 // Yard Slot Management API
-async function moveToYardSlot(trailerId, slotId) { return apiCall('/move-to-yard-slot', 'POST', { trailerId, slotId }); }
+async function moveToYardSlot(trailerId, slotId) {
+  return withConstraintOverride(override => apiCall('/move-to-yard-slot', 'POST', { trailerId, slotId, ...(override && { overrideConstraints: true }) }));
+}
 async function moveFromYardSlot(trailerId) { return apiCall('/move-from-yard-slot', 'POST', { trailerId }); }
 async function updateYardSlot(slotId, data) { return apiCall(`/yard-slots/${slotId}`, 'PUT', data); }
 async function createYardSlot(data) { return apiCall('/yard-slots', 'POST', data); }
@@ -1405,6 +1421,10 @@ async function apiCall(endpoint, method = 'GET', body = null) {
   const authHeader = getAuthHeader();
   if (authHeader) options.headers['Authorization'] = authHeader;
   if (body) options.body = JSON.stringify(body);
+  // Tell the server which board revision this change was made against
+  // (our own last write counts - its delta may not have arrived yet)
+  const sentRevision = method !== 'GET' && state.revision !== null;
+  if (sentRevision) options.headers['If-Match'] = `"${Math.max(state.revision, lastWriteRevision || 0)}"`;
 
   console.log(`[API] ${method} ${url}`, { hasAuth: !!authHeader, tokenPreview: authHeader ? authHeader.substring(0, 20) + '...' : 'none' });
 
@@ -1415,13 +1435,52 @@ async function apiCall(endpoint, method = 'GET', body = null) {
   }
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.error || `HTTP ${response.status}`);
+    if (response.status === 409 && error.code === 'REVISION_CONFLICT' && error.state) {
+      // Board was stale - show the server's copy so the user can retry against it
+      console.warn(`[API] Revision conflict: had ${state.revision}, server at ${error.revision}`);
+      applyServerState(error.state);
+      renderAll();
+    }
+    // Door maintenance: show the end time in local time rather than ISO
+    if (error.code === 'DOOR_MAINTENANCE' && error.window) {
+      error.error = `Door ${error.window.doorNumber} is under maintenance until ${formatMaintenanceTime(error.window.end)} (${error.window.reason})`;
+    }
+    const err = new Error(error.error || `HTTP ${response.status}`);
+    err.code = error.code;
+    err.details = error;
+    throw err;
   }
+  // Our own write moved the revision on - remember it so the next change isn't rejected
+  const newRevision = response.headers.get('X-State-Revision');
+  if (sentRevision && newRevision !== null) lastWriteRevision = parseInt(newRevision, 10);
+  // Any change we make may have added to our undo history
+  if (method !== 'GET') refreshUndoStatus();
   return response.json();
 }
 
 async function getState() { return apiCall('/state'); }
-async function moveToDoor(trailerId, doorId) { return apiCall('/move-to-door', 'POST', { trailerId, doorId }); }
+async function moveToDoor(trailerId, doorId) {
+  return withConstraintOverride(override => apiCall('/move-to-door', 'POST', { trailerId, doorId, ...(override && { overrideConstraints: true }) }));
+}
+
+// A door/slot that can't take the trailer refuses the move (PLACEMENT_CONSTRAINT) - admins may place it anyway
+async function withConstraintOverride(move) {
+  try {
+    return await move(false);
+  } catch (error) {
+    if (error.code !== 'PLACEMENT_CONSTRAINT' || !error.details?.canOverride) throw error;
+    const violations = error.details.violations || [];
+    const confirmed = await showConfirmModal({
+      title: 'Placement Constraint',
+      html: `<ul style="color: var(--text-secondary); margin: 0 0 0.75rem 0; padding-left: 1.25rem;">${violations.map(v => `<li>${escapeHtml(v.message)}</li>`).join('')}</ul><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">Place the trailer anyway? The override is recorded in history.</p>`,
+      type: 'warning',
+      confirmText: 'Place Anyway',
+      cancelText: 'Cancel'
+    });
+    if (!confirmed) throw error;
+    return move(true);
+  }
+}
 async function moveToYard(trailerId, doorId) { return apiCall('/move-to-yard', 'POST', { trailerId, doorId }); }
 async function createTrailer(data) { return apiCall('/trailers', 'POST', data); }
 async function deleteTrailer(id) { return apiCall(`/trailers/${id}`, 'DELETE'); }
@@ -1445,6 +1504,9 @@ async function reassignQueuedTrailer(trailerId, targetDoorId, targetDoorNumber)
 async function assignNextToDoor(doorId) { 
   return apiCall(`/doors/${doorId}/assign-next`, 'POST'); 
 }
+async function getDoorRecommendations(trailerId, limit = 3) {
+  return apiCall(`/doors/recommend?trailerId=${encodeURIComponent(trailerId)}&limit=${limit}`);
+}
 
 async function getHistory(search = '', limit = 50, offset = 0, dateFrom = '', dateTo = '') { 
   const params = new URLSearchParams({ search, limit, offset });
@@ -1460,165 +1522,239 @@ async function getTrailerHistory(trailerId) {
 // Undo Functionality
 // ============================================================================
 
-function recordLastAction(type, trailerId, from, to) {
-  lastAction = {
-    type,
-    trailerId,
-    from: { ...from },
-    to: { ...to },
-    timestamp: Date.now()
-  };
-  updateUndoButton();
+// Reload our undo/redo stacks (bursts of changes, e.g. bulk moves, share one request)
+function refreshUndoStatus() {
+  clearTimeout(undoRefreshTimer);
+  undoRefreshTimer = setTimeout(async () => {
+    if (!authState.isAuthenticated) return;
+    try {
+      const status = await apiCall('/undo');
+      undoStatus = { undo: status.undo || [], redo: status.redo || [] };
+      updateUndoButton();
+    } catch (error) {
+      console.error('[Undo] Failed to load undo history:', error);
+    }
+  }, 300);
 }
 
 async function undoLastAction() {
-  if (!lastAction) {
-    showToast('Nothing to undo', 'warning');
-    return;
-  }
-  
-  // Check if undo is within time limit (5 minutes)
-  if (Date.now() - lastAction.timestamp > 5 * 60 * 1000) {
-    showToast('Undo expired (too old)', 'warning');
-    lastAction = null;
-    updateUndoButton();
+  return stepUndoHistory('undo');
+}
+
+async function redoLastAction() {
+  return stepUndoHistory('redo');
+}
+
+// Undo or redo our last operation on the server. If someone else has changed the
+// same trailer/door since, the server refuses - offer to drop the entry instead.
+async function stepUndoHistory(direction) {
+  const entry = undoStatus[direction][0];
+  if (!entry) {
+    showToast(`Nothing to ${direction}`, 'warning');
     return;
   }
 
   try {
-    const { type, trailerId, from, to } = lastAction;
-    
-    // Check if trailer is still at the destination before attempting undo
-    const trailer = state.trailers.find(t => t.id === trailerId) || 
-                    state.yardTrailers.find(t => t.id === trailerId) ||
-                    state.appointmentQueue?.find(t => t.id === trailerId);
-    if (!trailer) {
-      showToast('Trailer no longer exists', 'error');
-      lastAction = null;
-      updateUndoButton();
-      return;
-    }
-    
-    // If the trailer has been moved somewhere else since, warn but still try to undo
-    // (user might still want to move it back to the original location)
-    let currentPos = getTrailerPosition(trailer);
-    if (!positionsMatch(currentPos, to)) {
-      console.log('Trailer moved since last action, but attempting undo anyway');
-    }
-    
-    // Perform the undo - move back to 'from' position
-    if (from.doorNum) {
-      await moveToDoor(trailerId, from.doorNum);
-      showToast(`Undo: Moved trailer back to Door ${from.doorNum}`, 'success');
-    } else if (from.slotNum) {
-      // Find the slot ID
-      const slot = state.yardSlots.find(s => s.number === from.slotNum);
-      if (slot) {
-        await moveToYardSlot(trailerId, slot.id);
-        showToast(`Undo: Moved trailer back to Yard Spot ${from.slotNum}`, 'success');
-      } else {
-        await moveToYard(trailerId);
-        showToast(`Undo: Moved trailer back to yard`, 'success');
-      }
-    } else {
-      await moveToYard(trailerId);
-      showToast(`Undo: Moved trailer back to unassigned yard`, 'success');
-    }
-    
-    lastAction = null;
+    const result = await apiCall(`/${direction}`, 'POST', { count: 1 });
+    undoStatus = { undo: result.undo || [], redo: result.redo || [] };
     updateUndoButton();
+    const verb = direction === 'undo' ? 'Undone' : 'Redone';
+    showToast(`${verb}: ${result.entries?.[0]?.label || entry.label}`, 'success');
     fetchState();
   } catch (error) {
-    showToast('Undo failed: ' + error.message, 'error');
+    if (error.code === 'UNDO_CONFLICT' && error.details?.entry) {
+      const conflicted = error.details.entry;
+      const discard = await showConfirmModal({
+        title: `Can't ${direction === 'undo' ? 'Undo' : 'Redo'}`,
+        html: `<p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;"><strong>${escapeHtml(conflicted.label)}</strong> was changed by someone else since.</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">Remove it from your ${direction} history?</p>`,
+        type: 'warning',
+        confirmText: 'Remove',
+        cancelText: 'Keep'
+      });
+      if (discard) {
+        try {
+          const status = await apiCall(`/undo/${conflicted.id}`, 'DELETE');
+          undoStatus = { undo: status.undo || [], redo: status.redo || [] };
+          updateUndoButton();
+        } catch (err) {
+          showToast('Failed to remove entry: ' + err.message, 'error');
+        }
+      }
+      return;
+    }
+    showToast(`${direction === 'undo' ? 'Undo' : 'Redo'} failed: ` + error.message, 'error');
+    refreshUndoStatus();
   }
 }
 
 function updateUndoButton() {
-  const btn = document.getElementById('btn-undo');
-  if (btn) {
-    btn.disabled = !lastAction;
-    btn.style.opacity = lastAction ? '1' : '0.5';
-    btn.title = lastAction ? `Undo: ${getActionDescription(lastAction)}` : 'Nothing to undo';
+  const [nextUndo] = undoStatus.undo;
+  const [nextRedo] = undoStatus.redo;
+  const undoBtn = document.getElementById('btn-undo');
+  if (undoBtn) {
+    undoBtn.disabled = !nextUndo;
+    undoBtn.style.opacity = nextUndo ? '1' : '0.5';
+    undoBtn.title = nextUndo ? `Undo: ${nextUndo.label}` : 'Nothing to undo';
+  }
+  const redoBtn = document.getElementById('btn-redo');
+  if (redoBtn) {
+    redoBtn.disabled = !nextRedo;
+    redoBtn.style.opacity = nextRedo ? '1' : '0.5';
+    redoBtn.title = nextRedo ? `Redo: ${nextRedo.label}` : 'Nothing to redo';
   }
 }
 
-function getActionDescription(action) {
-  let toStr = '';
-  if (action.to.doorNum) toStr = `Door ${action.to.doorNum}`;
-  else if (action.to.slotNum) toStr = `Yard ${action.to.slotNum}`;
-  else toStr = 'Unassigned Yard';
-  return `Last move to ${toStr}`;
-}
+// ============================================================================
+// Dwell Time Alerts
+// ============================================================================
 
-function getTrailerPosition(trailer) {
-  const pos = { doorNum: null, slotNum: null, unassigned: false };
-  if (trailer.doorNumber) {
-    pos.doorNum = trailer.doorNumber;
-  } else if (trailer.yardSlotNumber) {
-    pos.slotNum = trailer.yardSlotNumber;
-  } else {
-    pos.unassigned = true;
+// Same defaults and rules as src/dwell.js, so the board colors match the reports
+const DEFAULT_DWELL_POLICY = {
+  thresholds: {
+    inbound: { live: { warningMinutes: 60, violationMinutes: 120 }, drop: { warningMinutes: 60, violationMinutes: 120 } },
+    outbound: { live: { warningMinutes: 60, violationMinutes: 120 }, drop: { warningMinutes: 60, violationMinutes: 120 } },
+  },
+  countYardTime: false,
+  maxDwellHours: 6,
+  resetWindowHours: 6,
+};
+
+function getDwellPolicy() {
+  const saved = state.dwellPolicy || {};
+  const thresholds = {};
+  for (const direction of ['inbound', 'outbound']) {
+    thresholds[direction] = {};
+    for (const mode of ['live', 'drop']) {
+      thresholds[direction][mode] = { ...DEFAULT_DWELL_POLICY.thresholds[direction][mode], ...(saved.thresholds?.[direction]?.[mode] || {}) };
+    }
   }
-  return pos;
+  return { ...DEFAULT_DWELL_POLICY, ...saved, thresholds };
 }
 
-function positionsMatch(pos1, pos2) {
-  // Check if both are unassigned
-  if (pos1.unassigned && pos2.unassigned) return true;
-  // Check door numbers match
-  if (pos1.doorNum !== pos2.doorNum) return false;
-  // Check slot numbers match
-  if (pos1.slotNum !== pos2.slotNum) return false;
-  // Fallback: check unassigned flag when no specific position is set
-  if (!pos1.doorNum && !pos1.slotNum && !pos2.doorNum && !pos2.slotNum) {
-    return pos1.unassigned === pos2.unassigned;
+// Warning/violation minutes for a trailer: the policy's for its direction and
+// live/drop, with its customer's SLA (if any) as the violation threshold
+function dwellThresholdsFor(trailer) {
+  const direction = trailer.direction === 'inbound' ? 'inbound' : 'outbound';
+  const isLive = trailer.isLive === true || trailer.isLive === 'true';
+  const rule = getDwellPolicy().thresholds[direction][isLive ? 'live' : 'drop'];
+  const name = String(trailer.customer || '').trim().toLowerCase();
+  const customer = name && (state.customers || []).find(c =>
+    c.name.toLowerCase() === name || (c.aliases || []).some(a => a.toLowerCase() === name));
+  const slaMinutes = customer?.sla?.[`${direction}Minutes`];
+  if (slaMinutes) {
+    return { warningMinutes: Math.min(rule.warningMinutes, slaMinutes), violationMinutes: slaMinutes, source: 'customer' };
   }
-  return true;
+  return { warningMinutes: rule.warningMinutes, violationMinutes: rule.violationMinutes, source: 'policy' };
 }
 
-// ============================================================================
-// Dwell Time Alerts
-// ============================================================================
-
-function getDwellTimeClass(createdAt) {
-  if (!createdAt) return '';
-  
-  const created = new Date(createdAt).getTime();
+// Minutes since the trailer's dwell started: its latest reset inside the
+// policy's reset window, else createdAt (null without createdAt)
+function getDwellMinutes(trailer) {
+  if (!trailer?.createdAt) return null;
   const now = Date.now();
-  const hours = (now - created) / (1000 * 60 * 60);
-  
-  // 2+ hours = critical (flashing red)
-  // 1+ hours = warning (flashing yellow)
-  if (hours >= 2) return 'dwell-critical';
-  if (hours >= 1) return 'dwell-warning';
-  return '';
+  const windowMs = getDwellPolicy().resetWindowHours * 60 * 60 * 1000;
+  const recentResets = (trailer.dwellResets || []).map(r => new Date(r).getTime()).filter(r => now - r < windowMs);
+  const start = recentResets.length > 0 ? Math.max(...recentResets) : new Date(trailer.createdAt).getTime();
+  return Math.floor((now - start) / (1000 * 60));
 }
 
-function getDwellTimeHours(createdAt) {
-  if (!createdAt) return null;
-  
-  const created = new Date(createdAt).getTime();
-  const now = Date.now();
-  return Math.floor((now - created) / (1000 * 60 * 60));
+function getDwellTimeClass(trailer) {
+  const minutes = getDwellMinutes(trailer);
+  if (minutes === null) return '';
+
+  // Over the violation threshold = critical (flashing red)
+  // Over the warning threshold = warning (flashing yellow)
+  const { warningMinutes, violationMinutes } = dwellThresholdsFor(trailer);
+  if (violationMinutes !== null && minutes >= violationMinutes) return 'dwell-critical';
+  if (minutes >= warningMinutes) return 'dwell-warning';
+  return '';
 }
 
-function getDwellTimeMinutes(createdAt) {
-  if (!createdAt) return null;
-  
-  const created = new Date(createdAt).getTime();
-  const now = Date.now();
-  const totalMinutes = Math.floor((now - created) / (1000 * 60));
-  return totalMinutes % 60; // Minutes within the current hour
+function getDwellTimeHours(trailer) {
+  const minutes = getDwellMinutes(trailer);
+  return minutes === null ? null : Math.floor(minutes / 60);
 }
 
-function formatDwellTime(createdAt) {
-  const hours = getDwellTimeHours(createdAt);
-  const minutes = getDwellTimeMinutes(createdAt);
-  if (hours === null) return '';
+function formatDwellTime(trailer) {
+  const total = getDwellMinutes(trailer);
+  if (total === null) return '';
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  if (hours >= getDwellPolicy().maxDwellHours) return `${getDwellPolicy().maxDwellHours}h+`;
   if (hours < 1) return `${minutes}m`;
   return `${hours}h ${minutes}m`;
 }
 
+// Dwell policy tab of the analytics modal (admins can change it)
+function renderDwellPolicyForm() {
+  const container = document.getElementById('dwell-policy-container');
+  if (!container) return;
+  const policy = getDwellPolicy();
+  const isAdmin = authState.user?.role === 'admin';
+  const disabled = isAdmin ? '' : ' disabled';
+
+  const rows = ['inbound', 'outbound'].flatMap(direction => ['live', 'drop'].map(mode => {
+    const rule = policy.thresholds[direction][mode];
+    return `
+      <tr>
+        <td>${direction === 'inbound' ? 'Inbound' : 'Outbound'} · ${mode === 'live' ? 'Live' : 'Drop'}</td>
+        <td><input type="number" min="1" data-direction="${direction}" data-mode="${mode}" data-field="warningMinutes" value="${rule.warningMinutes}"${disabled}></td>
+        <td><input type="number" min="1" data-direction="${direction}" data-mode="${mode}" data-field="violationMinutes" value="${rule.violationMinutes === null ? '' : rule.violationMinutes}" placeholder="Not tracked"${disabled}></td>
+      </tr>
+    `;
+  })).join('');
+
+  container.innerHTML = `
+    <p class="queue-hint">The board turns a trailer yellow past its warning time and red past its violation time; the violation reports count the same trailers. A customer's dwell SLA replaces the violation time for its trailers.</p>
+    <table class="dwell-policy-table">
+      <thead><tr><th>Trailers</th><th>Warning (min)</th><th>Violation (min)</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="form-row">
+      <label class="assignment-option"><input type="checkbox" id="dwell-count-yard-time"${policy.countYardTime ? ' checked' : ''}${disabled}> Count time waiting in the yard (moving into a door doesn't restart dwell)</label>
+    </div>
+    <div class="form-row">
+      <div class="form-group half">
+        <label for="dwell-max-hours">Show dwell up to (hours)</label>
+        <input type="number" id="dwell-max-hours" min="1" max="72" value="${policy.maxDwellHours}"${disabled}>
+      </div>
+      <div class="form-group half">
+        <label for="dwell-reset-window">Dwell resets count for (hours)</label>
+        <input type="number" id="dwell-reset-window" min="1" max="72" value="${policy.resetWindowHours}"${disabled}>
+      </div>
+    </div>
+    ${isAdmin ? '<div class="form-actions"><button type="button" id="dwell-policy-save" class="btn btn-primary">Save Policy</button></div>' : '<p class="queue-hint">Only admins can change the dwell policy.</p>'}
+  `;
+
+  document.getElementById('dwell-policy-save')?.addEventListener('click', async () => {
+    const thresholds = { inbound: {}, outbound: {} };
+    container.querySelectorAll('.dwell-policy-table input').forEach(input => {
+      const modes = thresholds[input.dataset.direction];
+      if (!modes[input.dataset.mode]) modes[input.dataset.mode] = {};
+      modes[input.dataset.mode][input.dataset.field] = input.value === '' ? null : parseInt(input.value);
+    });
+    try {
+      const data = await apiCall('/dwell-policy', 'PUT', {
+        thresholds,
+        countYardTime: document.getElementById('dwell-count-yard-time').checked,
+        maxDwellHours: parseFloat(document.getElementById('dwell-max-hours').value),
+        resetWindowHours: parseFloat(document.getElementById('dwell-reset-window').value),
+      });
+      state.dwellPolicy = data.policy;
+      renderDoors();
+      renderUnassignedYard();
+      showToast('Dwell policy saved', 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+function refreshDwellPolicyIfOpen() {
+  const container = document.getElementById('dwell-policy-container');
+  if (container && !container.classList.contains('hidden')) renderDwellPolicyForm();
+}
+
 // ============================================================================
 // Search Functionality
 // ============================================================================
@@ -1690,7 +1826,8 @@ function performSearch(query) {
         t.carrier?.toLowerCase().includes(searchQuery) ||
         t.customer?.toLowerCase().includes(searchQuery) ||
         t.loadNumber?.toLowerCase().includes(searchQuery) ||
-        (t.targetDoorNumber && `door ${t.targetDoorNumber}`.includes(searchQuery))) {
+        (t.targetDoorNumber && `door ${t.targetDoorNumber}`.includes(searchQuery)) ||
+        (t.targetDoorGroupName && t.targetDoorGroupName.toLowerCase().includes(searchQuery))) {
       searchResults.push({ type: 'queue', trailer: t });
     }
   });
@@ -1795,7 +1932,7 @@ function showSearchResultsModal() {
   // Build active results HTML
   const activeList = activeResults.map(r => {
     const t = r.trailer;
-    const dwellHours = getDwellTimeHours(t.createdAt);
+    const dwellHours = getDwellTimeHours(t);
     const dwellText = dwellHours !== null ? `${dwellHours}h` : '-';
     
     let locationText = '';
@@ -1806,7 +1943,7 @@ function showSearchResultsModal() {
     } else if (r.type === 'staging') {
       locationText = '⭐ Staging';
     } else if (r.type === 'queue') {
-      locationText = `⏳ Queue (Door ${t.targetDoorNumber})`;
+      locationText = `⏳ Queue (${queueTargetLabel(t)})`;
     } else if (r.type === 'appointment') {
       locationText = `📅 Appointment (${t.appointmentTime || 'TBD'})`;
     } else if (r.type === 'unassigned') {
@@ -2069,7 +2206,7 @@ async function bulkShipTrailers() {
 async function bulkDeleteTrailers() {
   if (selectedTrailers.size === 0) return;
 
-  if (!await showConfirmModal({ title: 'Delete Trailers', html: `<div style="text-align: center;"><p style="color: var(--danger-color); margin: 0 0 0.75rem 0; font-weight: 500;">Permanently delete <strong>${selectedTrailers.size}</strong> trailers?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This action cannot be undone.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+  if (!await showConfirmModal({ title: 'Delete Trailers', html: `<div style="text-align: center;"><p style="color: var(--danger-color); margin: 0 0 0.75rem 0; font-weight: 500;">Delete <strong>${selectedTrailers.size}</strong> trailers?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">They can be restored from the Trash.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) return;
   
   const ids = Array.from(selectedTrailers);
   showToast(`Deleting ${ids.length} trailers...`, 'info');
@@ -2093,6 +2230,70 @@ async function bulkDeleteTrailers() {
   fetchState();
 }
 
+// ============================================================================
+// Door Suggestions
+// ============================================================================
+
+/**
+ * Show the best free doors for a trailer as one-click moves
+ * @param {HTMLElement} container - Where the suggestion buttons go (hidden when there are none)
+ * @param {string} trailerId
+ * @param {Function} onMoved - Called after a suggested move succeeded
+ */
+async function loadDoorSuggestions(container, trailerId, onMoved = null) {
+  if (!container) return;
+  try {
+    const data = await getDoorRecommendations(trailerId);
+    if (!container.isConnected) return;
+    const suggestions = data.recommendations || [];
+    container.classList.toggle('hidden', suggestions.length === 0);
+    container.innerHTML = suggestions.length === 0 ? '' : `
+      <span class="door-suggestions-label">Suggested:</span>
+      ${suggestions.map(s => `
+        <button type="button" class="btn btn-small btn-secondary door-suggestion" data-door-number="${s.doorNumber}"
+                title="${escapeHtml(s.reasons.join(' · ') || 'Free door')}">🚪 ${s.doorNumber}</button>
+      `).join('')}
+    `;
+    container.querySelectorAll('.door-suggestion').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const doorNumber = parseInt(btn.dataset.doorNumber);
+        try {
+          const result = await moveToDoor(trailerId, doorNumber);
+          showToast(`Moved to Door ${doorNumber}`, 'success');
+          announceAutoAssigned(result);
+          if (onMoved) onMoved();
+          await fetchState();
+        } catch (error) {
+          showToast(error.message, 'error');
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Door suggestions failed:', error);
+    container.classList.add('hidden');
+  }
+}
+
+// Staging suggestions follow the board: refetch when the trailer or the board revision changes
+let stagingSuggestionsKey = null;
+
+function updateStagingSuggestions() {
+  const container = document.getElementById('staging-door-suggestions');
+  if (!container) return;
+  const trailer = state.staging;
+  if (!trailer || !authState.isAuthenticated) {
+    stagingSuggestionsKey = null;
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+  const key = `${trailer.id}:${state.revision}`;
+  if (key === stagingSuggestionsKey) return;
+  stagingSuggestionsKey = key;
+  loadDoorSuggestions(container, trailer.id);
+}
+
 // ============================================================================
 // Trailer Timeline
 // ============================================================================
@@ -2158,8 +2359,11 @@ function renderTimeline(events) {
     customer: 'customer',
     carrier: 'carrier',
     contents: 'notes',
-    status: 'status'
+    status: 'status',
+    requirements: 'requirements'
   };
+  // Requirements changes hold objects
+  const changeValue = v => (v && typeof v === 'object') ? describeConstraints(v) : v;
   
   return `
     <div class="timeline">
@@ -2196,11 +2400,11 @@ function renderTimeline(events) {
             const change = e.changes[0];
             const label = fieldLabels[change.field] || change.field;
             if (!change.from) {
-              actionDesc = `Added ${label}: ${change.to}`;
+              actionDesc = `Added ${label}: ${changeValue(change.to)}`;
             } else if (!change.to) {
               actionDesc = `Removed ${label}`;
             } else {
-              actionDesc = `Changed ${label}: ${change.from} → ${change.to}`;
+              actionDesc = `Changed ${label}: ${changeValue(change.from)} → ${changeValue(change.to)}`;
             }
           } else if (e.updates) {
             // Old format - list what was updated
@@ -2224,6 +2428,9 @@ function renderTimeline(events) {
         else if (e.action === 'TRAILER_DELETED') {
           actionDesc = 'Deleted';
         }
+        if (e.constraintOverride?.length) {
+          actionDesc += ` <span class="constraint-override">⚠️ Override: ${escapeHtml(e.constraintOverride.join('; '))}</span>`;
+        }
         
         const isCurrent = i === 0; // Most recent is first (at top)
         
@@ -2310,8 +2517,9 @@ async function showAnalyticsModal() {
           <span id="analytics-facility-info" style="margin-left: 1rem; font-size: 0.875rem; color: var(--text-secondary);"></span>
         </div>
         <div class="analytics-tabs">
-          <button class="analytics-tab active" data-view="violations">2+ Hour Violations</button>
+          <button class="analytics-tab active" data-view="violations">Dwell SLA Violations</button>
           <button class="analytics-tab" data-view="patterns">Position Patterns</button>
+          <button class="analytics-tab" data-view="dwell-policy">Dwell Policy</button>
         </div>
         <div class="analytics-violations" id="violations-container">
           <div class="violations-filters">
@@ -2325,7 +2533,7 @@ async function showAnalyticsModal() {
             </div>
           </div>
           <div class="violations-header">
-            <h4>Current Trailers Exceeding 2 Hours</h4>
+            <h4>Current Trailers Over Dwell SLA</h4>
             <span class="violations-count" id="current-violation-count">0</span>
           </div>
           <div class="violations-list" id="violations-list">
@@ -2395,6 +2603,7 @@ async function showAnalyticsModal() {
             <div class="patterns-list" id="patterns-list"></div>
           </div>
         </div>
+        <div class="analytics-dwell-policy hidden" id="dwell-policy-container"></div>
       </div>
       <div class="modal-actions">
         ${editMode ? `<button class="btn btn-success" id="btn-capture-now">📸 Force Calculation</button>
@@ -2606,6 +2815,8 @@ async function showAnalyticsModal() {
       // Hide all views first
       document.getElementById('violations-container')?.classList.add('hidden');
       document.getElementById('patterns-container')?.classList.add('hidden');
+      document.getElementById('dwell-policy-container')?.classList.add('hidden');
+      exportBtnVisible(currentView !== 'dwell-policy');
 
       // Show appropriate view
       const clearBtn = document.getElementById('btn-clear-analytics');
@@ -2629,10 +2840,18 @@ async function showAnalyticsModal() {
         }
         if (clearBtn) clearBtn.textContent = '🧹 Clear Pattern Data';
         loadPatterns();
+      } else if (currentView === 'dwell-policy') {
+        document.getElementById('dwell-policy-container')?.classList.remove('hidden');
+        document.getElementById('btn-capture-now')?.classList.add('hidden');
+        renderDwellPolicyForm();
       }
     });
   });
 
+  function exportBtnVisible(visible) {
+    document.getElementById('btn-export-analytics')?.classList.toggle('hidden', !visible);
+  }
+
   // Initial load for default view (violations)
   if (currentView === 'violations') {
     loadViolations();
@@ -2669,7 +2888,7 @@ async function showAnalyticsModal() {
       const list = document.getElementById('violations-list');
 
       if (currentData.trailers.length === 0) {
-        list.innerHTML = '<div class="violations-empty">✅ No trailers currently exceeding 2 hours</div>';
+        list.innerHTML = '<div class="violations-empty">✅ No trailers currently over their dwell SLA</div>';
       } else {
         list.innerHTML = currentData.trailers.map(t => `
           <div class="violation-item" data-trailer-id="${t.id}">
@@ -2679,7 +2898,8 @@ async function showAnalyticsModal() {
               <span class="violation-location">${t.facility ? `[${escapeHtml(t.facility)}] ` : ''}Door ${t.doorNumber || '?'}</span>
             </div>
             <div class="violation-meta">
-              <span class="violation-dwell ${t.dwellHours >= 3 ? 'critical' : 'warning'}">${t.dwellHours.toFixed(1)}h</span>
+              <span class="violation-dwell ${t.dwellHours * 60 >= t.slaMinutes * 1.5 ? 'critical' : 'warning'}">${t.dwellHours.toFixed(1)}h</span>
+              <span class="violation-sla" title="${t.slaSource === 'customer' ? 'Customer SLA' : 'Facility dwell policy'}">SLA ${t.slaMinutes} min</span>
               ${t.customer ? `<span class="violation-customer">${escapeHtml(t.customer)}</span>` : ''}
             </div>
           </div>
@@ -3026,6 +3246,7 @@ async function showAnalyticsModal() {
                       <th style="padding: 0.75rem; text-align: left; font-weight: 600;">Driver</th>
                       <th style="padding: 0.75rem; text-align: left; font-weight: 600;">Load #</th>
                       <th style="padding: 0.75rem; text-align: center; font-weight: 600;">Door</th>
+                      <th style="padding: 0.75rem; text-align: right; font-weight: 600;">SLA</th>
                       <th style="padding: 0.75rem; text-align: right; font-weight: 600;">Dwell</th>
                     </tr>
                   </thead>
@@ -3038,8 +3259,9 @@ async function showAnalyticsModal() {
                         <td style="padding: 0.75rem;">${escapeHtml(t.driverName || '-')}</td>
                         <td style="padding: 0.75rem;">${escapeHtml(t.loadNumber || '-')}</td>
                         <td style="padding: 0.75rem; text-align: center;">${t.doorNumber || '?'}</td>
+                        <td style="padding: 0.75rem; text-align: right;">${t.slaMinutes ? `${t.slaMinutes} min` : '-'}</td>
                         <td style="padding: 0.75rem; text-align: right;">
-                          <span class="${(t.dwellHours || 0) >= 3 ? 'text-danger' : 'text-warning'}" style="font-weight: 600;">${(t.dwellHours || 0).toFixed(1)}h</span>
+                          <span class="${(t.dwellHours || 0) * 60 >= (t.slaMinutes || 120) * 1.5 ? 'text-danger' : 'text-warning'}" style="font-weight: 600;">${(t.dwellHours || 0).toFixed(1)}h</span>
                         </td>
                       </tr>
                     `).join('')}
@@ -3546,8 +3768,10 @@ function renderQuickCarrierButtons() {
   }
   
   // Separate favorites and non-favorites
-  const favorites = state.carriers.filter(c => c.favorite).sort((a, b) => a.name.localeCompare(b.name));
-  const nonFavorites = state.carriers.filter(c => !c.favorite).sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0));
+  // Blocked carriers and those with expired insurance can't take new trailers
+  const available = state.carriers.filter(c => !carrierRestrictionLabel(c));
+  const favorites = available.filter(c => c.favorite).sort((a, b) => a.name.localeCompare(b.name));
+  const nonFavorites = available.filter(c => !c.favorite).sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0));
   
   // Take top 6 non-favorites by usage
   const topNonFavorites = nonFavorites.slice(0, 6);
@@ -3661,21 +3885,96 @@ function renderQuickCarrierButtons() {
 // State Management
 // ============================================================================
 
+// Copy a server state snapshot into the global state object
+function applyServerState(newState) {
+  state.revision = typeof newState.revision === 'number' ? newState.revision : null;
+  lastWriteRevision = null;
+  state.doors = newState.doors || [];
+  state.trailers = newState.trailers || [];
+  state.yardTrailers = newState.yardTrailers || [];
+  state.yardSlots = newState.yardSlots || [];
+  state.carriers = newState.carriers || [];
+  state.customers = newState.customers || [];
+  state.shippedTrailers = newState.shippedTrailers || [];
+  state.receivedTrailers = newState.receivedTrailers || [];
+  state.staging = newState.staging || null;
+  state.queuedTrailers = newState.queuedTrailers || [];
+  state.appointmentQueue = newState.appointmentQueue || [];
+  state.trash = newState.trash || [];
+  state.doorGroups = newState.doorGroups || [];
+  state.maintenanceWindows = newState.maintenanceWindows || [];
+  state.alerts = newState.alerts || [];
+  state.dwellPolicy = newState.dwellPolicy || null;
+}
+
+// Renderers to re-run when a state collection changes (see applyStateDelta)
+const DELTA_RENDERERS = {
+  doors: [renderDoors, updateStats],
+  trailers: [renderDoors, renderYardSlots, updateStats, renderCarrierSummary],
+  yardTrailers: [renderYardSlots, renderUnassignedYard, renderCarrierSummary, updateUnassignedCount],
+  yardSlots: [renderYardSlots, renderCarrierSummary],
+  staging: [renderStaging],
+  queuedTrailers: [renderDoors, renderQueue],
+  appointmentQueue: [renderDoors, renderAppointmentQueue, renderYardSlots, renderUnassignedYard],
+  carriers: [renderCarrierSelect, refreshCarriersIfOpen],
+  customers: [renderCustomerOptions, refreshCustomersIfOpen],
+  trash: [updateTrashCount, refreshTrashIfOpen],
+  appointments: [refreshAppointmentsIfOpen],
+  doorGroups: [renderDoors, renderQueue, refreshAppointmentsIfOpen],
+  schedule: [refreshAppointmentsIfOpen],
+  assignmentRules: [refreshAppointmentsIfOpen],
+  maintenanceWindows: [renderDoors, refreshDoorMaintenanceIfOpen],
+  dwellPolicy: [renderDoors, renderUnassignedYard, refreshDwellPolicyIfOpen],
+  alerts: [updateAlertCount, refreshAlertsIfOpen],
+};
+
+/**
+ * Apply a stateChange delta (changed entities only) to the local state.
+ * Collections: upsert by id, drop removed ids, then re-sort if an order is given.
+ * Returns the names of the fields that changed.
+ */
+function applyStateDelta(changes) {
+  const changed = [];
+
+  for (const [field, delta] of Object.entries(changes.collections || {})) {
+    const removed = new Set(delta.remove || []);
+    const items = (state[field] || []).filter(item => !removed.has(item.id));
+    for (const entity of delta.upsert || []) {
+      const index = items.findIndex(item => item.id === entity.id);
+      if (index === -1) items.push(entity);
+      else items[index] = entity;
+    }
+    if (delta.order) {
+      const position = new Map(delta.order.map((id, i) => [id, i]));
+      items.sort((a, b) => position.get(a.id) - position.get(b.id));
+    }
+    state[field] = items;
+    changed.push(field);
+  }
+
+  for (const [field, value] of Object.entries(changes.set || {})) {
+    state[field] = value;
+    changed.push(field);
+  }
+
+  return changed;
+}
+
+// Re-render only the parts of the board affected by the changed fields
+function renderChanged(fields) {
+  const renderers = new Set();
+  fields.forEach(field => (DELTA_RENDERERS[field] || []).forEach(fn => renderers.add(fn)));
+  renderers.forEach(fn => fn());
+  updateUndoButton();
+  if (renderers.size > 0) applySidebarLayout();
+}
+
 async function fetchState() {
   if (isPaused) return;
   
   try {
     const newState = await getState();
-    state.doors = newState.doors || [];
-    state.trailers = newState.trailers || [];
-    state.yardTrailers = newState.yardTrailers || [];
-    state.yardSlots = newState.yardSlots || [];
-    state.carriers = newState.carriers || [];
-    state.shippedTrailers = newState.shippedTrailers || [];
-    state.receivedTrailers = newState.receivedTrailers || [];
-    state.staging = newState.staging || null;
-    state.queuedTrailers = newState.queuedTrailers || [];
-    state.appointmentQueue = newState.appointmentQueue || [];
+    applyServerState(newState);
     
     // Only render if state changed (reduce DOM updates)
     renderAll();
@@ -3753,8 +4052,11 @@ function connectSSE() {
     return;
   }
 
-  // EventSource doesn't support custom headers, so pass token as query param
-  const sseUrl = `/api/events?token=${encodeURIComponent(authState.token)}`;
+  // EventSource doesn't support custom headers, so pass token as query param.
+  // A new EventSource doesn't send Last-Event-ID either - pass the last seq so
+  // the server replays what was missed while disconnected.
+  let sseUrl = `/api/events?token=${encodeURIComponent(authState.token)}`;
+  if (lastEventSeq !== null) sseUrl += `&lastEventId=${lastEventSeq}`;
   console.log('[SSE] Connecting...');
 
   try {
@@ -3779,15 +4081,70 @@ function connectSSE() {
       }
     };
 
-    // Listen for named events from server
+    // Sync on connect. When resuming, the server replays missed events right
+    // after this (or sends resync), so the board is only reloaded for new connections.
+    sseConnection.addEventListener('connected', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        // New stream, new presence entry - report what we have open again
+        sseClientId = data.clientId || null;
+        if (presenceActivity) setPresenceActivity(presenceActivity);
+        refreshUndoStatus();
+        refreshAppointmentsIfOpen();
+        if (data.resumed && lastEventSeq !== null) return;
+        lastEventSeq = typeof data.seq === 'number' ? data.seq : null;
+      } catch (err) {
+        lastEventSeq = null;
+      }
+      fetchState();
+    });
+
+    // Missed events are no longer available on the server - reload everything
+    sseConnection.addEventListener('resync', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        console.log(`[SSE] Resync requested (${data.reason}), reloading state`);
+        lastEventSeq = typeof data.seq === 'number' ? data.seq : null;
+      } catch (err) {
+        lastEventSeq = null;
+      }
+      fetchState();
+    });
+
+    // Listen for named events from server - typed deltas carrying only changed entities
     sseConnection.addEventListener('stateChange', (event) => {
       try {
         const data = JSON.parse(event.data);
-        console.log('[SSE] State change:', data);
-        // Fetch fresh state to sync with server
+        console.log(`[SSE] ${data.type} #${data.seq} (rev ${data.baseRevision} → ${data.revision})`);
+
+        // Only apply on top of the exact board the delta was computed from;
+        // a missed event or a stale board means reload everything instead
+        const inSequence = lastEventSeq === null || data.seq === lastEventSeq + 1;
+        lastEventSeq = data.seq;
+        // Undo/redo from another of our tabs moves our history on too
+        if (data.type === 'undo.apply' || data.type === 'redo.apply') refreshUndoStatus();
+        if (data.replaced || !data.changes || !inSequence || state.revision !== data.baseRevision) {
+          fetchState();
+          return;
+        }
+
+        const changed = applyStateDelta(data.changes);
+        state.revision = data.revision;
+        renderChanged(changed);
+      } catch (err) {
+        console.error('[SSE] Failed to apply stateChange:', err);
         fetchState();
+      }
+    });
+
+    // Listen for presence updates (users connecting, opening or closing things)
+    sseConnection.addEventListener('presence', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        presenceUsers = data.users || [];
+        renderPresence();
       } catch (err) {
-        console.error('[SSE] Failed to parse stateChange:', err);
+        console.error('[SSE] Failed to parse presence:', err);
       }
     });
 
@@ -3835,6 +4192,11 @@ function startFallbackPolling() {
 }
 
 function disconnectSSE() {
+  // Deliberate disconnect (logout, facility switch) - don't resume the old stream
+  lastEventSeq = null;
+  sseClientId = null;
+  presenceUsers = [];
+  renderPresence();
   if (sseConnection) {
     sseConnection.close();
     sseConnection = null;
@@ -3842,14 +4204,103 @@ function disconnectSSE() {
   }
 }
 
+// ============================================================================
+// Presence
+// ============================================================================
+
+/**
+ * Report what this board has open (null when nothing). Sent for our SSE
+ * stream, so it disappears for others as soon as we disconnect.
+ */
+async function setPresenceActivity(activity) {
+  presenceActivity = activity;
+  if (!sseClientId) return; // Sent once the stream (re)connects
+  try {
+    await apiCall('/presence', 'PUT', { clientId: sseClientId, activity });
+  } catch (err) {
+    console.warn('[Presence] Failed to report activity:', err.message);
+  }
+}
+
+function getPresenceInitials(username) {
+  const parts = String(username || '?').split(/[\s._-]+/).filter(Boolean);
+  const initials = parts.length > 1 ? parts[0][0] + parts[1][0] : String(username || '?').slice(0, 2);
+  return initials.toUpperCase();
+}
+
+// Stable color per user so the same person keeps the same avatar
+function getPresenceColor(userId) {
+  let hash = 0;
+  for (const ch of String(userId)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return `hsl(${Math.abs(hash) % 360}, 55%, 45%)`;
+}
+
+function describePresenceUser(user) {
+  const lines = [`${user.username} (${user.role})`];
+  for (const activity of user.activities || []) {
+    if (activity.entityType === 'trailer') {
+      const trailer = [...state.trailers, ...state.yardTrailers, ...(state.queuedTrailers || []), ...(state.appointmentQueue || []), state.staging]
+        .find(t => t?.id === activity.entityId);
+      const label = trailer ? `${trailer.carrier}${trailer.number ? ' ' + trailer.number : ''}` : 'a trailer';
+      lines.push(`${activity.mode === 'edit' ? 'Editing' : 'Viewing'} ${label}`);
+    } else {
+      lines.push(`${activity.mode === 'edit' ? 'Editing' : 'Viewing'} ${activity.entityType} ${activity.entityId}`);
+    }
+  }
+  if (user.tablet?.doorNumber) lines.push(`Loader tablet at Door ${user.tablet.doorNumber}`);
+  return lines.join('\n');
+}
+
+/**
+ * Show other users on the board as avatars in the header, and refresh the
+ * "also editing" warning of an open trailer edit modal
+ */
+function renderPresence() {
+  const container = document.getElementById('presence-avatars');
+  if (container) {
+    const myId = authState.user?.id;
+    const others = presenceUsers.filter(u => u.userId !== myId);
+    const shown = others.slice(0, MAX_PRESENCE_AVATARS);
+    const hidden = others.slice(MAX_PRESENCE_AVATARS);
+
+    container.innerHTML = shown.map(user => {
+      const editing = (user.activities || []).some(a => a.mode === 'edit');
+      return `<span class="presence-avatar${editing ? ' presence-editing' : ''}" style="background:${getPresenceColor(user.userId)}" title="${escapeHtml(describePresenceUser(user))}">${escapeHtml(getPresenceInitials(user.username))}</span>`;
+    }).join('') + (hidden.length > 0
+      ? `<span class="presence-avatar presence-more" title="${escapeHtml(hidden.map(u => u.username).join('\n'))}">+${hidden.length}</span>`
+      : '');
+    container.classList.toggle('hidden', others.length === 0);
+  }
+
+  updateTrailerEditPresence();
+}
+
+// Warn in the trailer edit modal when someone else is editing the same trailer
+function updateTrailerEditPresence() {
+  const modal = document.getElementById('modal-trailer-edit');
+  const warning = document.getElementById('trailer-edit-presence');
+  if (!modal || !warning) return;
+
+  const trailerId = modal.dataset.trailerId;
+  const myId = authState.user?.id;
+  const editors = presenceUsers.filter(u => u.userId !== myId && (u.activities || []).some(a =>
+    a.entityType === 'trailer' && a.entityId === trailerId && a.mode === 'edit'));
+
+  if (editors.length === 0) {
+    warning.classList.add('hidden');
+    return;
+  }
+  const names = editors.map(u => u.username).join(', ');
+  warning.textContent = `⚠️ ${names} ${editors.length === 1 ? 'is' : 'are'} also editing this trailer - saving may overwrite their changes`;
+  warning.classList.remove('hidden');
+}
+
 // Client-side dwell timer - updates display without server requests
 let dwellTimerInterval = null;
 function startDwellTimer() {
   if (dwellTimerInterval) return; // Already running
 
   dwellTimerInterval = setInterval(() => {
-    const now = Date.now();
-
     // Update door dwell badges
     document.querySelectorAll('.trailer-card[data-trailer-id]').forEach(card => {
       const trailerId = card.dataset.trailerId;
@@ -3859,27 +4310,16 @@ function startDwellTimer() {
       const badge = card.querySelector('.dwell-badge');
       if (!badge) return;
 
-      const hours = Math.floor((now - new Date(trailer.createdAt).getTime()) / (1000 * 60 * 60));
-      const minutes = Math.floor((now - new Date(trailer.createdAt).getTime()) / (1000 * 60)) % 60;
-
       // Update text
-      if (hours < 1) {
-        badge.textContent = `⏱️ ${minutes}m`;
-      } else if (hours < 6) {
-        badge.textContent = `⏱️ ${hours}h ${minutes}m`;
-      } else {
-        badge.textContent = `⏱️ 6h+`;
-      }
+      badge.textContent = `⏱️ ${formatDwellTime(trailer)}`;
 
-      // Update warning classes
+      // Update warning classes (thresholds from the facility's dwell policy)
+      const dwellClass = getDwellTimeClass(trailer);
       card.classList.remove('dwell-warning', 'dwell-critical');
       badge.classList.remove('dwell-warning', 'dwell-critical');
-      if (hours >= 2) {
-        card.classList.add('dwell-critical');
-        badge.classList.add('dwell-critical');
-      } else if (hours >= 1) {
-        card.classList.add('dwell-warning');
-        badge.classList.add('dwell-warning');
+      if (dwellClass) {
+        card.classList.add(dwellClass);
+        badge.classList.add(dwellClass);
       }
     });
 
@@ -3892,16 +4332,12 @@ function startDwellTimer() {
       const dwellSpan = item.querySelector('.unassigned-detail span[class*="dwell"]');
       if (!dwellSpan) return;
 
-      const hours = Math.floor((now - new Date(trailer.createdAt).getTime()) / (1000 * 60 * 60));
-      dwellSpan.textContent = `${hours}h`;
+      dwellSpan.textContent = `${getDwellTimeHours(trailer)}h`;
 
       // Update warning classes
+      const dwellClass = getDwellTimeClass(trailer);
       dwellSpan.classList.remove('dwell-warning', 'dwell-critical');
-      if (hours >= 2) {
-        dwellSpan.classList.add('dwell-critical');
-      } else if (hours >= 1) {
-        dwellSpan.classList.add('dwell-warning');
-      }
+      if (dwellClass) dwellSpan.classList.add(dwellClass);
     });
   }, DWELL_UPDATE_INTERVAL);
 
@@ -3928,6 +4364,8 @@ function renderAll() {
   renderCarrierSummary();
   updateUndoButton();
   updateUnassignedCount();
+  updateTrashCount();
+  updateAlertCount();
 }
 
 // ============================================================================
@@ -3981,16 +4419,20 @@ function renderDoors() {
       highlightClass = 'dimmed';
     }
 
-    // Out of service door
+    // Out of service door (or under maintenance)
     if (door.inService === false) {
+      const maintenance = activeMaintenance(door);
+      const outOfServiceText = maintenance
+        ? `<span class="out-of-service-text" title="${escapeHtml(maintenance.reason)}">${escapeHtml(maintenance.reason)}<br><small>until ${formatMaintenanceTime(maintenance.end)}</small></span>`
+        : '<span class="out-of-service-text">Unavailable</span>';
       html += `
         <div class="dock-door out-of-service ${highlightClass} ${searchClass} ${textLabelClass} ${editMode ? 'door-draggable' : ''}" data-door="${doorNum}" data-digits="${digitCount}" data-door-id="${door.id}" ${editMode ? 'draggable="true"' : ''}>
           <div class="door-header">
             <span class="door-number">${displayLabel}</span>
-            <span class="badge">🔧 Out of Service</span>
+            <span class="badge">${maintenance ? '🛠️ Maintenance' : '🔧 Out of Service'}</span>
           </div>
           <div class="door-content">
-            ${hasTextLabel ? `<span class="door-text-label ${door.labelText.length > 6 ? 'long-label' : ''}">${door.labelText}</span>` : '<span class="out-of-service-text">Unavailable</span>'}
+            ${hasTextLabel ? `<span class="door-text-label ${door.labelText.length > 6 ? 'long-label' : ''}">${door.labelText}</span>` : outOfServiceText}
           </div>
           ${editMode ? `<button class="door-edit-btn" data-door-id="${door.id}" style="opacity: 1">⚙️</button>` : ''}
         </div>
@@ -4031,15 +4473,15 @@ function renderDoors() {
       const liveClass = (trailer.isLive === true || trailer.isLive === 'true') ? 'is-live' : '';
       
       // Dwell time
-      const dwellClass = getDwellTimeClass(trailer.createdAt);
-      const dwellTime = formatDwellTime(trailer.createdAt);
+      const dwellClass = getDwellTimeClass(trailer);
+      const dwellTime = formatDwellTime(trailer);
       const dwellBadge = dwellTime ? `<span class="dwell-badge ${dwellClass}">⏱️ ${dwellTime}</span>` : '';
       
       // Selection state
       const selectedClass = selectedTrailers.has(trailer.id) ? 'selected' : '';
       
       // Queue indicator - show count of trailers waiting for this door
-      const queuedForDoor = state.queuedTrailers?.filter(t => t.targetDoorId === door.id) || [];
+      const queuedForDoor = state.queuedTrailers?.filter(t => isQueuedForDoor(t, door.id)) || [];
       const queueCount = queuedForDoor.length;
       const queueIndicator = queueCount > 0 ? 
         `<span class="door-queue-indicator clickable-queue" data-door-id="${door.id}" title="${queueCount} trailer(s) queued. Click to view next.">⏳ ${queueCount}</span>` : '';
@@ -4048,6 +4490,8 @@ function renderDoors() {
         <div class="dock-door occupied ${highlightClass} ${statusClass} ${searchClass} ${dwellClass} ${textLabelClass} ${editMode ? 'door-draggable' : ''}" data-door="${doorNum}" data-digits="${digitCount}" data-door-id="${door.id}" ${editMode ? 'draggable="true"' : ''}>
           <div class="door-header">
             <span class="door-number">${displayLabel}</span>
+            ${doorAttributeIcons(door)}
+            ${upcomingMaintenanceIcon(door)}
             ${queueIndicator}
             <div style="display:flex;align-items:center;">
                 ${statusBadge}
@@ -4080,6 +4524,8 @@ function renderDoors() {
         <div class="dock-door empty ${highlightClass} ${searchClass} ${textLabelClass} ${editMode ? 'door-draggable' : ''}" data-door="${doorNum}" data-digits="${digitCount}" data-door-id="${door.id}" ${editMode ? 'draggable="true"' : ''}>
           <div class="door-header">
             <span class="door-number">${displayLabel}</span>
+            ${doorAttributeIcons(door)}
+            ${upcomingMaintenanceIcon(door)}
             <span class="door-status">Empty</span>
           </div>
           <div class="door-content">
@@ -4169,7 +4615,7 @@ function renderDoors() {
       e.stopPropagation();
       const doorId = badge.dataset.doorId;
       // Find oldest queued trailer for this door (FIFO)
-      const queuedForDoor = state.queuedTrailers?.filter(t => t.targetDoorId === doorId)
+      const queuedForDoor = state.queuedTrailers?.filter(t => isQueuedForDoor(t, doorId))
         .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
         
       if (queuedForDoor && queuedForDoor.length > 0) {
@@ -4248,6 +4694,8 @@ function renderStaging() {
   
   const trailer = state.staging;
   
+  updateStagingSuggestions();
+
   if (!trailer) {
     container.classList.add('empty');
     container.innerHTML = '';
@@ -4328,6 +4776,132 @@ function renderStaging() {
   }
 }
 
+// Where a queued trailer is waiting: one door or any door of a group
+function queueTargetLabel(t) {
+  return t.targetDoorGroupId ? (t.targetDoorGroupName || 'Door group') : `Door ${t.targetDoorNumber}`;
+}
+
+// Whether a queued trailer can go into this door (its own door, or a door of its group)
+function isQueuedForDoor(t, doorId) {
+  if (!t.targetDoorGroupId) return t.targetDoorId === doorId;
+  const group = (state.doorGroups || []).find(g => g.id === t.targetDoorGroupId);
+  return !!group && group.doorIds.includes(doorId);
+}
+
+// Door/yard slot attributes and trailer requirements (checked by the server, see constraints.js)
+const DOOR_ATTRIBUTE_FIELDS = [
+  { key: 'reeferPlug', label: '❄️ Reefer plug', type: 'boolean' },
+  { key: 'leveler', label: '🛗 Dock leveler', type: 'boolean' },
+  { key: 'hazmatApproved', label: '☣️ Hazmat approved', type: 'boolean' },
+  { key: 'height', label: 'Door height (in)', type: 'number' },
+  { key: 'maxLength', label: 'Max trailer length (ft)', type: 'number' }
+];
+const SLOT_ATTRIBUTE_FIELDS = DOOR_ATTRIBUTE_FIELDS.filter(f => ['reeferPlug', 'hazmatApproved', 'maxLength'].includes(f.key));
+const TRAILER_REQUIREMENT_FIELDS = [
+  { key: 'reefer', label: '❄️ Reefer', type: 'boolean' },
+  { key: 'hazmat', label: '☣️ Hazmat', type: 'boolean' },
+  { key: 'leveler', label: '🛗 Needs leveler', type: 'boolean' },
+  { key: 'length', label: 'Length (ft)', type: 'number' },
+  { key: 'height', label: 'Height (in)', type: 'number' }
+];
+
+function constraintFieldsHtml(fields, values, idPrefix) {
+  values = values || {};
+  const checks = fields.filter(f => f.type === 'boolean').map(f => `
+    <label class="checkbox-label constraint-option">
+      <input type="checkbox" id="${idPrefix}-${f.key}" ${values[f.key] ? 'checked' : ''}>
+      <span>${f.label}</span>
+    </label>`).join('');
+  const numbers = fields.filter(f => f.type === 'number').map(f => `
+    <label class="constraint-number">
+      <span>${f.label}</span>
+      <input type="number" id="${idPrefix}-${f.key}" value="${values[f.key] ?? ''}" min="1" placeholder="Any">
+    </label>`).join('');
+  return `<div class="constraint-fields">${checks}</div><div class="constraint-fields">${numbers}</div>`;
+}
+
+// Every field is sent so unchecked/emptied ones are cleared on the server
+function readConstraintFields(fields, idPrefix) {
+  const values = {};
+  fields.forEach(f => {
+    const input = document.getElementById(`${idPrefix}-${f.key}`);
+    if (!input) return;
+    values[f.key] = f.type === 'boolean' ? input.checked : (input.value ? parseFloat(input.value) : null);
+  });
+  return values;
+}
+
+// Short text for attributes/requirements ("❄️ Reefer, 53 ft")
+function describeConstraints(values) {
+  if (!values) return 'none';
+  const parts = [];
+  if (values.reefer || values.reeferPlug) parts.push('❄️ Reefer');
+  if (values.hazmat || values.hazmatApproved) parts.push('☣️ Hazmat');
+  if (values.leveler) parts.push('🛗 Leveler');
+  if (values.length) parts.push(`${values.length} ft`);
+  if (values.maxLength) parts.push(`≤ ${values.maxLength} ft`);
+  if (values.height) parts.push(`${values.height} in high`);
+  return parts.join(', ') || 'none';
+}
+
+// Small icons for a door tile header (full list in the tooltip)
+function doorAttributeIcons(door) {
+  const a = door.attributes;
+  if (!a) return '';
+  const icons = [a.reeferPlug && '❄️', a.hazmatApproved && '☣️', a.leveler && '🛗'].filter(Boolean).join('');
+  return `<span class="door-attribute-icons" title="${escapeHtml(describeConstraints(a))}">${icons || '📏'}</span>`;
+}
+
+// Door maintenance windows (doors go out of service while one is active)
+function formatMaintenanceTime(iso) {
+  return iso ? new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '?';
+}
+
+function activeMaintenance(door) {
+  return door.maintenanceWindowId ? (state.maintenanceWindows || []).find(w => w.id === door.maintenanceWindowId) || null : null;
+}
+
+// 🛠️ on a door with maintenance starting within the next 24 hours
+function upcomingMaintenanceIcon(door) {
+  const soon = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const next = (state.maintenanceWindows || []).find(w => w.doorId === door.id && w.status === 'scheduled' && w.start <= soon);
+  if (!next) return '';
+  return `<span class="door-maintenance-soon" title="Maintenance ${formatMaintenanceTime(next.start)} – ${formatMaintenanceTime(next.end)}: ${escapeHtml(next.reason)}">🛠️</span>`;
+}
+
+// Open maintenance windows of a door, in its edit modal
+function renderDoorMaintenanceList(doorId, onChange) {
+  const list = document.getElementById('door-maintenance-list');
+  if (!list) return;
+  const windows = (state.maintenanceWindows || []).filter(w => w.doorId === doorId && (w.status === 'scheduled' || w.status === 'active'));
+
+  list.innerHTML = windows.length === 0
+    ? '<div class="maintenance-empty">No maintenance scheduled</div>'
+    : windows.map(w => `
+      <div class="maintenance-item ${w.status}">
+        <span>${w.status === 'active' ? '🛠️ Now' : '📅'} ${formatMaintenanceTime(w.start)} – ${formatMaintenanceTime(w.end)} · ${escapeHtml(w.reason)}${w.requestedBy ? ` (${escapeHtml(w.requestedBy)})` : ''}</span>
+        <button type="button" class="btn btn-small btn-secondary maintenance-cancel" data-window-id="${w.id}">${w.status === 'active' ? 'End Now' : 'Cancel'}</button>
+      </div>`).join('');
+
+  list.querySelectorAll('.maintenance-cancel').forEach(btn => btn.addEventListener('click', async () => {
+    try {
+      const result = await apiCall(`/maintenance-windows/${btn.dataset.windowId}/cancel`, 'POST');
+      showToast(result.outcome === 'ended' ? 'Maintenance ended - door back in service' : 'Maintenance cancelled', 'success');
+      announceAutoAssigned(result);
+      onChange?.(result.window);
+      await fetchState();
+      renderDoorMaintenanceList(doorId, onChange);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }));
+}
+
+function refreshDoorMaintenanceIfOpen() {
+  const modal = document.getElementById('modal-door-edit');
+  if (modal?.dataset.doorId) renderDoorMaintenanceList(modal.dataset.doorId, modal.onMaintenanceChange);
+}
+
 // Queue Area (list of trailers waiting for doors)
 function renderQueue() {
   const container = document.getElementById('queue-area');
@@ -4401,7 +4975,7 @@ function renderQueue() {
            draggable="true"
            data-trailer-id="${t.id}"
            data-location="queue"
-           data-target-door="${t.targetDoorId}">
+           data-target-door="${t.targetDoorId || ''}">
         <div class="yard-trailer-header">
           <span class="trailer-carrier">${t.carrier}</span>
           <span class="yard-status-badge ${statusClass}">${statusText}</span>
@@ -4411,7 +4985,7 @@ function renderQueue() {
         ${driverRow}
         ${infoRow}
         ${apptTimeHtml}
-        <div class="target-door-badge">➜ Door ${t.targetDoorNumber}</div>
+        <div class="target-door-badge">➜ ${queueTargetLabel(t)}</div>
       </div>
     `;
   }).join('');
@@ -4767,9 +5341,6 @@ function renderYardSlots() {
 
       const slotNum = parseInt(slot.dataset.slot);
       
-      // Record position before move for undo
-      const fromPos = getCurrentTrailerPosition(trailerId);
-      
       let yardSlot = state.yardSlots.find(s => s.number === slotNum);
       if (!yardSlot) {
         try {
@@ -4782,9 +5353,9 @@ function renderYardSlots() {
       }
       
       try {
-        await moveToYardSlot(trailerId, yardSlot.id);
-        recordLastAction('moveToSlot', trailerId, fromPos, { slotNum });
+        const result = await moveToYardSlot(trailerId, yardSlot.id);
         showToast(`Moved to Yard Spot ${slotNum}`, 'success');
+        announceAutoAssigned(result);
         fetchState();
       } catch (error) {
         showToast(error.message, 'error');
@@ -4841,18 +5412,6 @@ function renderYardSlots() {
   }
 }
 
-function getCurrentTrailerPosition(trailerId) {
-  const trailer = state.trailers.find(t => t.id === trailerId) ||
-                  state.yardTrailers.find(t => t.id === trailerId) ||
-                  state.appointmentQueue?.find(t => t.id === trailerId);
-  if (!trailer) return { doorNum: null, slotNum: null, unassigned: true };
-  
-  if (trailer.doorNumber) return { doorNum: trailer.doorNumber, slotNum: null, unassigned: false };
-  if (trailer.yardSlotNumber) return { doorNum: null, slotNum: trailer.yardSlotNumber, unassigned: false };
-  if (trailer.location === 'appointment-queue') return { doorNum: null, slotNum: null, unassigned: true, isApptQueue: true };
-  return { doorNum: null, slotNum: null, unassigned: true };
-}
-
 function openAddYardSlotModal() {
   const modal = document.createElement('div');
   modal.id = 'modal-add-yard-slot';
@@ -4923,6 +5482,10 @@ function openEditYardSlotModal(slot) {
           <label>New Slot Number</label>
           <input type="number" id="edit-slot-number" value="${slot.number}" min="1" max="999" style="width:100%;">
         </div>
+        <div class="form-group">
+          <label>Slot Attributes</label>
+          ${constraintFieldsHtml(SLOT_ATTRIBUTE_FIELDS, slot.attributes, 'slot-attr')}
+        </div>
         <div class="modal-actions">
           <button id="btn-update-slot" class="btn btn-success">Update</button>
           <button id="btn-delete-slot" class="btn btn-danger">🗑️ Delete Slot</button>
@@ -4949,8 +5512,10 @@ function openEditYardSlotModal(slot) {
       return;
     }
     try {
-      await updateYardSlot(slot.id, { number: newNumber });
-      showToast(`Slot updated to ${newNumber}`, 'success');
+      const updates = { attributes: readConstraintFields(SLOT_ATTRIBUTE_FIELDS, 'slot-attr') };
+      if (newNumber !== slot.number) updates.number = newNumber;
+      await updateYardSlot(slot.id, updates);
+      showToast(newNumber !== slot.number ? `Slot updated to ${newNumber}` : `Slot ${newNumber} updated`, 'success');
       modal.remove();
       fetchState();
     } catch (e) {
@@ -5194,6 +5759,14 @@ function updateUnassignedCount() {
   }
 }
 
+function updateTrashCount() {
+  const badge = document.getElementById('trash-count-badge');
+  if (!badge) return;
+  const count = (state.trash || []).length;
+  badge.textContent = count;
+  badge.classList.toggle('hidden', count === 0);
+}
+
 function renderCarrierSelect() {
   const select = document.getElementById('carrier-select');
   if (!select) return;
@@ -5387,11 +5960,9 @@ async function handleDrop(e) {
   // Handle selected trailers if no drag data (using Shift+Click selection)
   if (!trailerId && selectedTrailers.size > 0) {
     const firstTrailer = Array.from(selectedTrailers)[0];
-    const fromPos = getCurrentTrailerPosition(firstTrailer);
     
     try {
       await moveToDoor(firstTrailer, doorNum);
-      recordLastAction('moveToDoor', firstTrailer, fromPos, { doorNum });
       showToast(`Moved to Door ${doorNum}`, 'success');
       if (selectedTrailers.size > 1) {
         showToast(`Note: Only moved one trailer. Use bulk move for multiple.`, 'warning');
@@ -5445,13 +6016,10 @@ async function handleDrop(e) {
     return;
   }
   
-  // Record position before move for undo
-  const fromPos = getCurrentTrailerPosition(trailerId);
-  
   try {
-    await moveToDoor(trailerId, doorNum);
-    recordLastAction('moveToDoor', trailerId, fromPos, { doorNum });
+    const result = await moveToDoor(trailerId, doorNum);
     showToast(`Moved to Door ${doorNum}`, 'success');
+    announceAutoAssigned(result);
     await fetchState();
   } catch (error) {
     showToast(error.message, 'error');
@@ -5481,56 +6049,85 @@ async function handleDropToAppointmentQueue(e) {
   }
 }
 
-async function handleDropToYard(e) {
+// Drop on the FCFS queue: wait for any door of a door group
+async function handleDropToQueue(e) {
   e.preventDefault();
-  console.log('Drop to yard, trailerId:', draggedTrailerId);
   e.currentTarget.classList.remove('drop-hover');
-  
+
   const trailerId = e.dataTransfer.getData('text/plain') || draggedTrailerId;
-  if (!trailerId) {
-    console.log('No trailer ID, aborting');
-    return;
+  const sourceLoc = e.dataTransfer.getData('source-location') || draggedSourceLocation;
+
+  if (!trailerId) return;
+
+  if (sourceLoc !== 'staging' && sourceLoc !== 'appointment-queue') {
+    showToast('Can only queue for a door group from Staging or the Appointment Queue', 'warning');
+    return;
+  }
+  const groups = state.doorGroups || [];
+  if (groups.length === 0) {
+    showToast('No door groups yet - add one under Appointments ⚙️, or drop on an occupied door', 'warning');
+    return;
+  }
+
+  let doorGroupId = groups[0].id;
+  const choice = showConfirmModal({
+    title: 'Queue for Door Group',
+    type: 'info',
+    confirmText: 'Queue',
+    html: `
+      <p style="color: var(--text-secondary); margin: 0 0 0.75rem;">The trailer goes into the first free door of the group.</p>
+      <select id="queue-door-group" style="width: 100%; padding: 0.5rem;">
+        ${groups.map(g => `<option value="${g.id}">${escapeHtml(g.name)} (${g.doorIds.length} doors)</option>`).join('')}
+      </select>
+    `
+  });
+  document.getElementById('queue-door-group')?.addEventListener('change', (ev) => { doorGroupId = ev.target.value; });
+  if (!await choice) return;
+
+  try {
+    const result = await apiCall('/queue', 'POST', { trailerId, targetDoorGroupId: doorGroupId });
+    const group = groups.find(g => g.id === doorGroupId);
+    if (result.autoAssigned) {
+      announceAutoAssigned(result);
+    } else {
+      showToast(`Added to queue for ${group?.name || 'door group'}`, 'success');
+    }
+    await fetchState();
+  } catch (error) {
+    showToast(error.message || 'Failed to queue trailer', 'error');
+  }
+}
+
+async function handleDropToYard(e) {
+  e.preventDefault();
+  console.log('Drop to yard, trailerId:', draggedTrailerId);
+  e.currentTarget.classList.remove('drop-hover');
+  
+  const trailerId = e.dataTransfer.getData('text/plain') || draggedTrailerId;
+  if (!trailerId) {
+    console.log('No trailer ID, aborting');
+    return;
   }
   
   // Find which door this trailer is in
   const trailer = state.trailers.find(t => t.id === trailerId);
   const doorId = trailer?.doorNumber;
   
-  // Record position before move for undo
-  const fromPos = getCurrentTrailerPosition(trailerId);
-  
   try {
-    await moveToYard(trailerId, doorId);
-    recordLastAction('moveToYard', trailerId, fromPos, { unassigned: true });
+    const result = await moveToYard(trailerId, doorId);
     showToast('Moved to yard', 'success');
+    announceAutoAssigned(result);
     await fetchState();
-    
-    // After moving out, check for queued trailers and auto-assign
-    if (doorId) {
-      await checkAndAssignQueue(doorId, doorNum);
-    }
   } catch (error) {
     showToast(error.message, 'error');
   }
 }
 
-// Auto-assign next trailer from queue to a freed door
-async function checkAndAssignQueue(doorId, doorNum) {
-  // Check if there are trailers queued for this door
-  const queuedForDoor = state.queuedTrailers?.filter(t => t.targetDoorId === doorId);
-  if (!queuedForDoor || queuedForDoor.length === 0) return;
-  
-  // Get first in queue (FCFS)
-  const nextTrailer = queuedForDoor[0];
-  
-  try {
-    // Assign next trailer to the door
-    await apiCall(`/doors/${doorId}/assign-next`, 'POST', {});
-    showToast(`Door ${doorNum}: Assigned ${nextTrailer.carrier} from queue`, 'success');
-    await fetchState();
-  } catch (error) {
-    console.error('Auto-assign failed:', error);
-  }
+// The server fills a freed door from the queue (see assignment.js) - tell the user who went in
+function announceAutoAssigned(result) {
+  const assigned = result?.autoAssigned;
+  if (!assigned) return;
+  showToast(`Door ${assigned.doorNumber}: Assigned ${assigned.carrier} from queue (${assigned.reason})`, 'success');
 }
 
 // ============================================================================
@@ -5767,10 +6364,13 @@ function setupModals() {
     openModal('modal-create');
   };
   
-  // Undo button
+  // Undo/redo buttons
   document.getElementById('btn-undo')?.addEventListener('click', () => {
     undoLastAction();
   });
+  document.getElementById('btn-redo')?.addEventListener('click', () => {
+    redoLastAction();
+  });
 
   // Loader view button - switch to loader interface
   document.getElementById('btn-loader-view')?.addEventListener('click', () => {
@@ -6013,6 +6613,26 @@ function setupModals() {
     });
   }
 
+  // FCFS Queue drop zone (queue for a door group)
+  const fcfsQueue = document.getElementById('queue-area');
+  if (fcfsQueue) {
+    fcfsQueue.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      fcfsQueue.classList.add('drop-hover');
+    });
+    fcfsQueue.addEventListener('drop', (e) => {
+      e.preventDefault();
+      fcfsQueue.classList.remove('drop-hover');
+      handleDropToQueue(e);
+    });
+    fcfsQueue.addEventListener('dragleave', (e) => {
+      if (!fcfsQueue.contains(e.relatedTarget)) {
+        fcfsQueue.classList.remove('drop-hover');
+      }
+    });
+  }
+
   // Yard drop zone
   const yard = document.getElementById('yard-area');
   if (yard) {
@@ -6191,6 +6811,46 @@ function setupModals() {
       });
   });
 
+  // Trash handlers
+  const trashSearch = document.getElementById('trash-search');
+  trashSearch?.addEventListener('input', (e) => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => loadTrash(e.target.value), 300);
+  });
+  document.getElementById('trash-filter-type')?.addEventListener('change', () => loadTrash(trashSearch?.value || ''));
+  document.getElementById('trash-empty-all')?.addEventListener('click', async () => {
+    if (!await showConfirmModal({ title: 'Empty Trash', html: '<div style="text-align: center;"><p style="color: var(--danger-color); margin: 0 0 0.75rem 0; font-weight: 500;">Permanently delete everything in the trash?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">Nothing in it can be restored afterwards.</p></div>', type: 'danger', confirmText: 'Empty Trash', cancelText: 'Cancel' })) return;
+    try {
+      const result = await apiCall('/trash', 'DELETE');
+      showToast(`Removed ${result.removed} item${result.removed !== 1 ? 's' : ''} from the trash`, 'success');
+      loadTrash(trashSearch?.value || '');
+    } catch (err) {
+      showToast(err.message || 'Failed to empty trash', 'error');
+    }
+  });
+
+  // Appointment handlers
+  const appointmentsDate = document.getElementById('appointments-date');
+  appointmentsDate?.addEventListener('change', () => loadAppointments());
+  document.getElementById('appointments-prev-day')?.addEventListener('click', () => { appointmentsDate.value = shiftDate(appointmentsDate.value || facilityDate(), -1); loadAppointments(); });
+  document.getElementById('appointments-next-day')?.addEventListener('click', () => { appointmentsDate.value = shiftDate(appointmentsDate.value || facilityDate(), 1); loadAppointments(); });
+  document.getElementById('appointments-filter-target')?.addEventListener('change', () => loadAppointments());
+  document.getElementById('appointments-show-cancelled')?.addEventListener('change', () => loadAppointments());
+  document.getElementById('appointments-book')?.addEventListener('click', () => showAppointmentForm());
+  document.getElementById('appointments-settings-toggle')?.addEventListener('click', () => showAppointmentSettings());
+  document.getElementById('form-appointment')?.addEventListener('submit', submitAppointmentForm);
+  document.getElementById('appointment-form-cancel')?.addEventListener('click', () => document.getElementById('form-appointment')?.classList.add('hidden'));
+  ['appointment-target', 'appointment-day', 'appointment-duration'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      const appointmentId = document.getElementById('appointment-id').value;
+      loadAppointmentSlots(appointmentId ? { id: appointmentId } : null);
+    });
+  });
+  document.getElementById('schedule-save')?.addEventListener('click', saveAppointmentSettings);
+  document.getElementById('door-group-add')?.addEventListener('click', addDoorGroup);
+  document.getElementById('assignment-pref-add')?.addEventListener('click', addAssignmentPreference);
+  document.getElementById('assignment-save')?.addEventListener('click', saveAssignmentRules);
+
   // Received orders handlers
   const receivedSearch = document.getElementById('received-search');
   receivedSearch?.addEventListener('input', (e) => {
@@ -6400,8 +7060,43 @@ async function loadHistory(search = '', append = false) {
       else if (h.action === 'TRAILER_SHIPPED') { actionClass = 'shipped'; actionLabel = 'Shipped'; }
       else if (h.action === 'TRAILER_RECEIVED') { actionClass = 'received'; actionLabel = 'Received'; }
       else if (h.action === 'SHIPPED_DELETED') { actionClass = 'deleted'; actionLabel = 'Deleted Record'; }
-
-      const carrier = h.carrier || (h.updates?.carrier);
+      else if (h.action === 'TRASH_RESTORED') { actionClass = 'created'; actionLabel = 'Restored'; }
+      else if (h.action === 'TRASH_PURGED') { actionClass = 'deleted'; actionLabel = 'Trash Purged'; }
+      else if (h.action === 'APPOINTMENT_BOOKED') { actionClass = 'created'; actionLabel = 'Booked'; }
+      else if (h.action === 'APPOINTMENT_RESCHEDULED') { actionClass = 'moved'; actionLabel = 'Rescheduled'; }
+      else if (h.action === 'APPOINTMENT_CANCELLED') { actionClass = 'deleted'; actionLabel = 'Appt Cancelled'; }
+      else if (h.action === 'APPOINTMENT_QUEUED') { actionClass = 'moved'; actionLabel = 'Appt Queued'; }
+      else if (h.action === 'DOOR_MAINTENANCE_SCHEDULED') { actionClass = 'created'; actionLabel = 'Maintenance Scheduled'; }
+      else if (h.action === 'DOOR_MAINTENANCE_UPDATED') { actionClass = 'updated'; actionLabel = 'Maintenance Changed'; }
+      else if (h.action === 'DOOR_MAINTENANCE_CANCELLED') { actionClass = 'deleted'; actionLabel = 'Maintenance Cancelled'; }
+      else if (h.action === 'DOOR_MAINTENANCE_STARTED') { actionClass = 'deleted'; actionLabel = 'Out for Maintenance'; }
+      else if (h.action === 'DOOR_MAINTENANCE_ENDED') { actionClass = 'created'; actionLabel = 'Back in Service'; }
+      else if (h.action === 'CARRIER_BLOCKED') { actionClass = 'deleted'; actionLabel = 'Carrier Blocked'; }
+      else if (h.action === 'CARRIERS_MERGED') { actionClass = 'moved'; actionLabel = 'Carriers Merged'; }
+      else if (h.action === 'DWELL_POLICY_UPDATED') { actionClass = 'updated'; actionLabel = 'Dwell Policy'; }
+      else if (h.action === 'ALERT_RAISED') { actionClass = 'deleted'; actionLabel = 'Alert'; }
+      else if (h.action === 'ALERT_REOPENED') { actionClass = 'deleted'; actionLabel = 'Alert Reopened'; }
+      else if (h.action === 'ALERT_RESOLVED') { actionClass = 'created'; actionLabel = 'Alert Resolved'; }
+      else if (h.action === 'ALERT_ACKNOWLEDGED') { actionClass = 'updated'; actionLabel = 'Alert Acknowledged'; }
+      else if (h.action === 'ALERT_SNOOZED') { actionClass = 'updated'; actionLabel = 'Alert Snoozed'; }
+      else if (h.action === 'ALERT_RULES_UPDATED') { actionClass = 'updated'; actionLabel = 'Alert Rules'; }
+      else if (h.action === 'WEBHOOK_CREATED') { actionClass = 'created'; actionLabel = 'Webhook Added'; }
+      else if (h.action === 'WEBHOOK_UPDATED') { actionClass = 'updated'; actionLabel = 'Webhook Changed'; }
+      else if (h.action === 'WEBHOOK_DELETED') { actionClass = 'deleted'; actionLabel = 'Webhook Deleted'; }
+      else if (h.action === 'API_KEY_CREATED') { actionClass = 'created'; actionLabel = 'API Key Added'; }
+      else if (h.action === 'API_KEY_UPDATED') { actionClass = 'updated'; actionLabel = 'API Key Changed'; }
+      else if (h.action === 'API_KEY_DELETED') { actionClass = 'deleted'; actionLabel = 'API Key Revoked'; }
+      else if (h.action === 'REPORT_CREATED') { actionClass = 'created'; actionLabel = 'Report Added'; }
+      else if (h.action === 'REPORT_UPDATED') { actionClass = 'updated'; actionLabel = 'Report Changed'; }
+      else if (h.action === 'REPORT_DELETED') { actionClass = 'deleted'; actionLabel = 'Report Deleted'; }
+      else if (h.action === 'ARCHIVE_POLICY_UPDATED') { actionClass = 'updated'; actionLabel = 'Backup Schedule'; }
+      else if (h.action === 'ARCHIVE_ITEM_RESTORED') { actionClass = 'created'; actionLabel = 'From Archive'; }
+      else if (h.action === 'TRAILER_ASSIGNED_FROM_QUEUE') { actionClass = 'moved'; actionLabel = 'Assigned'; }
+      else if (h.action === 'TRAILERS_IMPORTED') { actionClass = 'created'; actionLabel = 'Imported'; }
+      else if (h.action === 'UNDO') { actionClass = 'updated'; actionLabel = 'Undone'; }
+      else if (h.action === 'REDO') { actionClass = 'updated'; actionLabel = 'Redone'; }
+
+      const carrier = h.carrier || (h.updates?.carrier) || h.carrierName;
       const trailerNumber = h.trailerNumber || (h.updates?.number);
 
       let trailerIdText = carrier && trailerNumber
@@ -6420,17 +7115,19 @@ async function loadHistory(search = '', append = false) {
           customer: 'customer',
           carrier: 'carrier',
           contents: 'notes',
-          status: 'status'
+          status: 'status',
+          requirements: 'requirements'
         };
         const change = h.changes[0];
         const label = fieldLabels[change.field] || change.field;
+        const changeValue = v => (v && typeof v === 'object') ? describeConstraints(v) : v;
 
         if (!change.from) {
-          changeDesc = `added ${label} ${change.to}`;
+          changeDesc = `added ${label} ${changeValue(change.to)}`;
         } else if (!change.to) {
           changeDesc = `removed ${label}`;
         } else {
-          changeDesc = `changed ${label} ${change.from} → ${change.to}`;
+          changeDesc = `changed ${label} ${changeValue(change.from)} → ${changeValue(change.to)}`;
         }
       } else if (h.action === 'TRAILER_UPDATED' && h.updates) {
         const updatedFields = Object.keys(h.updates).filter(k => k !== 'carrier' && k !== 'status');
@@ -6448,10 +7145,67 @@ async function loadHistory(search = '', append = false) {
         }
       }
 
+      if ((h.action === 'UNDO' || h.action === 'REDO') && h.operation) {
+        changeDesc = escapeHtml(h.operation);
+      } else if (h.action === 'TRASH_RESTORED' && h.location) {
+        changeDesc = `restored to ${escapeHtml(h.location)}`;
+      } else if (h.action?.startsWith('APPOINTMENT_') && h.start) {
+        changeDesc = h.previousStart
+          ? `moved from ${new Date(h.previousStart).toLocaleString()}${h.previousLocation && h.previousLocation !== h.location ? ` (${escapeHtml(h.previousLocation)})` : ''} to ${new Date(h.start).toLocaleString()}`
+          : `appointment ${new Date(h.start).toLocaleString()}`;
+      } else if (h.action === 'TRASH_PURGED') {
+        changeDesc = h.name ? `deleted ${escapeHtml(h.name)} for good` : `removed ${h.count} item${h.count !== 1 ? 's' : ''}`;
+      } else if (h.action?.startsWith('DOOR_MAINTENANCE_') && h.windowId) {
+        const period = h.downtimeMinutes !== undefined
+          ? `down ${formatMaintenanceTime(h.startedAt)} – ${formatMaintenanceTime(h.endedAt)} (${h.downtimeMinutes} min)`
+          : `${formatMaintenanceTime(h.start)} – ${formatMaintenanceTime(h.end)}`;
+        changeDesc = `${escapeHtml(h.reason)}${h.requestedBy ? ` · requested by ${escapeHtml(h.requestedBy)}` : ''} · ${period}`;
+      } else if ((h.action === 'DOOR_UPDATED' || h.action === 'YARD_SLOT_UPDATED') && h.attributes !== undefined) {
+        changeDesc = `attributes: ${describeConstraints(h.attributes)}`;
+      } else if (h.action === 'CARRIERS_MERGED') {
+        changeDesc = `merged ${escapeHtml((h.mergedCarriers || []).join(', '))} · ${h.trailersRenamed || 0} trailer${h.trailersRenamed !== 1 ? 's' : ''} updated`;
+      } else if (h.action?.startsWith('CUSTOMER_') && (h.sla || h.previousName)) {
+        const slaText = (sla) => `in ${formatSlaMinutes(sla?.inboundMinutes)} / out ${formatSlaMinutes(sla?.outboundMinutes)}`;
+        changeDesc = [
+          h.previousName && `renamed from ${escapeHtml(h.previousName)}`,
+          h.sla && `SLA ${h.previousSla ? `${slaText(h.previousSla)} → ` : ''}${slaText(h.sla)}`,
+        ].filter(Boolean).join(' · ');
+      } else if (h.action?.startsWith('ALERT_') && h.message) {
+        changeDesc = `${escapeHtml(h.message)}${h.snoozedUntil ? ` · snoozed until ${formatMaintenanceTime(h.snoozedUntil)}` : ''}`;
+      } else if (h.action === 'ALERT_RULES_UPDATED' && h.rules) {
+        changeDesc = `${h.rules.length} rule${h.rules.length !== 1 ? 's' : ''} (${h.rules.filter(r => r.enabled).length} on)`;
+      } else if (h.action?.startsWith('WEBHOOK_') && h.url) {
+        changeDesc = `${escapeHtml(h.webhook)} → ${escapeHtml(h.url)}${h.enabled === false ? ' (disabled)' : ''}${h.secretRotated ? ' · new secret' : ''}`;
+      } else if (h.action?.startsWith('API_KEY_') && h.scopes) {
+        changeDesc = `${escapeHtml(h.apiKey)} (${escapeHtml(h.prefix)}…) · ${h.scopes.map(escapeHtml).join(', ')}${h.enabled === false ? ' (disabled)' : ''}${h.rotated ? ' · new key' : ''}`;
+      } else if (h.action === 'ARCHIVE_POLICY_UPDATED' && h.keep) {
+        const schedule = [h.hourly && 'hourly', h.nightly && `nightly at ${escapeHtml(h.nightlyTime)}`, h.beforeRestore && 'before restores'].filter(Boolean);
+        changeDesc = `Archives ${schedule.length > 0 ? schedule.join(', ') : 'by hand only'} · keep ${h.keep.hourly} hourly, ${h.keep.daily} daily, ${h.keep.monthly} monthly${h.keep.beforeRestore ? `, ${h.keep.beforeRestore} before restore` : ''}`;
+      } else if (h.action === 'ARCHIVE_ITEM_RESTORED') {
+        const what = h.change === 'added'
+          ? `added back${h.location ? ` at ${escapeHtml(h.location)}` : ''}${h.newId ? ' (new ID)' : ''}`
+          : h.section === 'queues' ? `reordered${h.restoredTrailers ? `, ${h.restoredTrailers} trailer${h.restoredTrailers !== 1 ? 's' : ''} added back` : ''}`
+          : `reverted ${escapeHtml((h.fields || []).join(', '))}`;
+        changeDesc = `${escapeHtml(h.label)} ${what} · archive of ${h.archiveCreatedAt ? new Date(h.archiveCreatedAt).toLocaleString() : 'an upload'}`;
+      } else if (h.action?.startsWith('REPORT_') && h.schedule) {
+        changeDesc = `${escapeHtml(h.report)} · ${escapeHtml(describeReportSchedule(h.schedule))} · ${h.delivery.method === 'email' ? `e-mail to ${escapeHtml(h.delivery.recipients.join(', '))}` : 'saved to folder'}${h.enabled === false ? ' (disabled)' : ''}`;
+      } else if (h.action === 'TRAILER_ASSIGNED_FROM_QUEUE' && h.doorNumber) {
+        changeDesc = `from queue to Door ${h.doorNumber}${h.reason ? ` · ${escapeHtml(h.reason)}` : ''}`;
+      } else if (h.action === 'TRAILERS_IMPORTED') {
+        changeDesc = `${h.count} trailer${h.count !== 1 ? 's' : ''} from ${escapeHtml(h.filename)}`;
+      } else if ((h.action === 'CARRIER_UPDATED' || h.action === 'CARRIER_BLOCKED') && h.changes) {
+        changeDesc = escapeHtml(Object.entries(h.changes)
+          .map(([field, change]) => `${field} ${change.from || '–'} → ${change.to || '–'}`)
+          .join(' · '));
+      }
+
       let autoAssignHtml = '';
       if (h.autoAssignedToDoor) {
         autoAssignHtml = `<div class="history-change" style="color:var(--accent-secondary)">↻ Auto-filled Door ${h.autoAssignedToDoor} with ${h.autoAssignedCarrier || 'next in queue'}</div>`;
       }
+      if (h.constraintOverride?.length) {
+        autoAssignHtml += `<div class="history-change constraint-override">⚠️ Override: ${escapeHtml(h.constraintOverride.join('; '))}</div>`;
+      }
 
       let locationHtml = '';
       if (h.action?.includes('MOVED')) {
@@ -6699,6 +7453,575 @@ async function loadShipped(search = '') {
   }
 }
 
+// Load and display the trash (deleted trailers, doors, yard slots, shipped/received records)
+const TRASH_TYPE_LABELS = { trailer: 'Trailer', door: 'Door', 'yard-slot': 'Yard Slot', shipped: 'Shipped', received: 'Received' };
+
+async function loadTrash(search = '') {
+  const list = document.getElementById('trash-list');
+  const emptyMsg = document.getElementById('trash-empty');
+  const countEl = document.getElementById('trash-count');
+  const retentionEl = document.getElementById('trash-retention');
+  const type = document.getElementById('trash-filter-type')?.value || '';
+  if (!list) return;
+
+  const role = authState.user?.role;
+  const canRestore = role && role !== 'viewer';
+  const isAdmin = role === 'admin';
+  document.getElementById('trash-empty-all')?.classList.toggle('hidden', !isAdmin);
+
+  try {
+    const data = await apiCall(`/trash${type ? `?type=${type}` : ''}`);
+    let items = data.items || [];
+
+    if (search) {
+      const term = search.toLowerCase();
+      items = items.filter(item =>
+        (item.name && item.name.toLowerCase().includes(term)) ||
+        (item.entity?.customer && item.entity.customer.toLowerCase().includes(term)) ||
+        (item.entity?.loadNumber && item.entity.loadNumber.toLowerCase().includes(term)) ||
+        (item.deletedBy?.username && item.deletedBy.username.toLowerCase().includes(term))
+      );
+    }
+
+    if (countEl) countEl.textContent = `${items.length} item${items.length !== 1 ? 's' : ''}`;
+    if (retentionEl) {
+      retentionEl.textContent = data.retentionDays ? `Deleted items are removed after ${data.retentionDays} days` : 'Deleted items are kept until the trash is emptied';
+    }
+
+    if (items.length === 0) {
+      list.innerHTML = '';
+      if (emptyMsg) emptyMsg.classList.remove('hidden');
+      return;
+    }
+    if (emptyMsg) emptyMsg.classList.add('hidden');
+
+    list.innerHTML = items.map(item => {
+      const deleted = new Date(item.deletedAt);
+      const where = item.context?.location === 'door' ? `Door ${item.context.doorNumber}`
+        : item.context?.location === 'yard-slot' ? `Yard Spot ${item.context.yardSlotNumber}`
+        : item.context?.location === 'queue' ? `Queue for ${queueTargetLabel(item.context)}`
+        : item.context?.location === 'staging' ? 'Staging'
+        : item.context?.location === 'appointment-queue' ? 'Appointment Queue'
+        : item.context?.location === 'yard' ? 'Unassigned Yard' : '';
+      return `
+        <div class="shipped-item trash-item" data-trash-id="${item.id}">
+          <div class="shipped-item-header">
+            <span class="shipped-carrier">${escapeHtml(item.name)}</span>
+            <div style="display: flex; gap: 0.5rem; align-items: center;">
+              <span class="trash-type">${TRASH_TYPE_LABELS[item.entityType] || item.entityType}</span>
+              <span class="shipped-date" title="Deleted">${deleted.toLocaleDateString()} ${deleted.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+              ${item.deletedBy?.username ? `<span class="shipped-by" title="Deleted by">👤 ${escapeHtml(item.deletedBy.username)}</span>` : ''}
+              ${canRestore ? `<button class="btn btn-sm btn-success btn-restore-trash" data-trash-id="${item.id}">↩️ Restore</button>` : ''}
+              ${isAdmin ? `<button class="btn btn-sm btn-danger btn-purge-trash" data-trash-id="${item.id}" title="Delete forever">✕</button>` : ''}
+            </div>
+          </div>
+          <div class="shipped-details">
+            ${where ? `<div class="shipped-detail"><span class="shipped-detail-label">Was at:</span> ${where}</div>` : ''}
+            ${item.entity?.customer ? `<div class="shipped-detail"><span class="shipped-detail-label">Customer:</span> ${escapeHtml(item.entity.customer)}</div>` : ''}
+            ${item.entity?.loadNumber ? `<div class="shipped-detail"><span class="shipped-detail-label">Load:</span> ${escapeHtml(item.entity.loadNumber)}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.btn-restore-trash').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const result = await apiCall(`/trash/${btn.dataset.trashId}/restore`, 'POST');
+          showToast(`Restored ${result.item?.name || 'item'} to ${result.location}`, 'success');
+          fetchState();
+          loadTrash(search);
+        } catch (err) {
+          showToast(err.message || 'Failed to restore', 'error');
+        }
+      });
+    });
+
+    list.querySelectorAll('.btn-purge-trash').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const item = items.find(i => i.id === btn.dataset.trashId);
+        if (!await showConfirmModal({ title: 'Delete Forever', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Permanently delete <strong>${escapeHtml(item?.name || 'this item')}</strong>?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">It can no longer be restored.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+        try {
+          await apiCall(`/trash/${btn.dataset.trashId}`, 'DELETE');
+          loadTrash(search);
+        } catch (err) {
+          showToast(err.message || 'Failed to delete', 'error');
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Trash load error:', error);
+    list.innerHTML = '<div class="shipped-empty">Failed to load trash</div>';
+  }
+}
+
+// Keep an open trash list in sync with deletes/restores from other users
+function refreshTrashIfOpen() {
+  const modal = document.getElementById('modal-trash');
+  if (modal && modal.classList.contains('active')) {
+    loadTrash(document.getElementById('trash-search')?.value || '');
+  }
+}
+
+// ============================================================================
+// Dock Appointments
+// ============================================================================
+
+// Facility time zone and schedule settings of the open appointments modal
+let appointmentSchedule = null;
+let appointmentTimezone = 'UTC';
+
+// YYYY-MM-DD of an instant in the facility's time zone
+function facilityDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: appointmentTimezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function facilityTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { timeZone: appointmentTimezone, hour: '2-digit', minute: '2-digit' });
+}
+
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// "Door 4" / group name for an appointment's doorId or doorGroupId
+function appointmentTargetName(appointment) {
+  if (appointment.doorId) {
+    const door = state.doors.find(d => d.id === appointment.doorId);
+    return door ? `Door ${door.number}` : 'Door (removed)';
+  }
+  const group = (state.doorGroups || []).find(g => g.id === appointment.doorGroupId);
+  return group ? group.name : 'Door group (removed)';
+}
+
+// Doors and door groups as <option>s, values "door:<id>" / "group:<id>"
+function appointmentTargetOptions() {
+  const groups = (state.doorGroups || []).map(g => `<option value="group:${g.id}">${escapeHtml(g.name)} (${g.doorIds.length} doors)</option>`).join('');
+  const doors = state.doors
+    .filter(d => d.type !== 'blank' && d.inService !== false)
+    .map(d => `<option value="door:${d.id}">Door ${d.number}</option>`).join('');
+  return (groups ? `<optgroup label="Door Groups">${groups}</optgroup>` : '') + `<optgroup label="Doors">${doors}</optgroup>`;
+}
+
+function parseAppointmentTarget(value) {
+  const [kind, id] = String(value || '').split(':');
+  return kind === 'group' ? { doorGroupId: id, doorId: null } : { doorId: id || null, doorGroupId: null };
+}
+
+async function openAppointmentsModal() {
+  openModal('modal-appointments');
+  try {
+    const data = await apiCall('/appointments/settings');
+    appointmentSchedule = data.schedule;
+    appointmentTimezone = data.timezone || 'UTC';
+  } catch (err) {
+    showToast(err.message || 'Failed to load appointment settings', 'error');
+  }
+  const dateInput = document.getElementById('appointments-date');
+  if (dateInput && !dateInput.value) dateInput.value = facilityDate();
+
+  const role = authState.user?.role;
+  document.getElementById('appointments-book')?.classList.toggle('hidden', !role || role === 'viewer');
+  document.getElementById('appointments-settings-toggle')?.classList.toggle('hidden', role !== 'admin');
+  loadAppointments();
+}
+
+async function loadAppointments() {
+  const list = document.getElementById('appointments-list');
+  const emptyMsg = document.getElementById('appointments-empty');
+  const countEl = document.getElementById('appointments-count');
+  const date = document.getElementById('appointments-date')?.value || facilityDate();
+  const targetSelect = document.getElementById('appointments-filter-target');
+  const showCancelled = document.getElementById('appointments-show-cancelled')?.checked;
+  if (!list) return;
+
+  // Keep the filter's doors/groups current
+  if (targetSelect) {
+    const selected = targetSelect.value;
+    targetSelect.innerHTML = '<option value="">All doors</option>' + appointmentTargetOptions();
+    targetSelect.value = selected;
+  }
+  const tzEl = document.getElementById('appointments-timezone');
+  if (tzEl) tzEl.textContent = `Times in ${appointmentTimezone}`;
+
+  const role = authState.user?.role;
+  const canEdit = role && role !== 'viewer';
+
+  try {
+    const [data, conflictData] = await Promise.all([
+      apiCall(`/appointments?date=${date}`),
+      apiCall('/appointments/conflicts'),
+    ]);
+    const conflictIds = new Set(conflictData.conflicts.flatMap(c => c.appointmentIds));
+    renderAppointmentConflicts(conflictData.conflicts);
+
+    const filter = targetSelect?.value ? parseAppointmentTarget(targetSelect.value) : null;
+    const appointments = data.appointments.filter(a =>
+      (showCancelled || a.status !== 'cancelled') &&
+      (!filter || (filter.doorId ? a.doorId === filter.doorId : a.doorGroupId === filter.doorGroupId))
+    );
+
+    if (countEl) countEl.textContent = `${appointments.length} appointment${appointments.length !== 1 ? 's' : ''}`;
+
+    if (appointments.length === 0) {
+      list.innerHTML = '';
+      if (emptyMsg) emptyMsg.classList.remove('hidden');
+      return;
+    }
+    if (emptyMsg) emptyMsg.classList.add('hidden');
+
+    list.innerHTML = appointments.map(a => {
+      const active = ['booked', 'queued', 'arrived'].includes(a.status);
+      return `
+        <div class="shipped-item appointment-item${conflictIds.has(a.id) ? ' appointment-conflict' : ''}" data-appointment-id="${a.id}">
+          <div class="shipped-item-header">
+            <span class="shipped-carrier">${facilityTime(a.start)}–${facilityTime(a.end)} · ${escapeHtml(a.carrier)}${a.trailerNumber ? ` ${escapeHtml(a.trailerNumber)}` : ''}</span>
+            <div style="display: flex; gap: 0.5rem; align-items: center;">
+              <span class="appointment-status status-${a.status}">${a.status.toUpperCase()}</span>
+              <span class="trash-type">${escapeHtml(appointmentTargetName(a))}</span>
+              ${conflictIds.has(a.id) ? '<span class="appointment-conflict-tag" title="Double booked">⚠️ Conflict</span>' : ''}
+              ${canEdit && active ? `<button class="btn btn-sm btn-secondary btn-reschedule-appointment" data-appointment-id="${a.id}">✏️ Reschedule</button>` : ''}
+              ${canEdit && active ? `<button class="btn btn-sm btn-danger btn-cancel-appointment" data-appointment-id="${a.id}" title="Cancel appointment">✕</button>` : ''}
+            </div>
+          </div>
+          <div class="shipped-details">
+            <div class="shipped-detail"><span class="shipped-detail-label">Direction:</span> ${a.direction === 'inbound' ? '⬇️ Inbound' : '⬆️ Outbound'}</div>
+            ${a.customer ? `<div class="shipped-detail"><span class="shipped-detail-label">Customer:</span> ${escapeHtml(a.customer)}</div>` : ''}
+            ${a.loadNumber ? `<div class="shipped-detail"><span class="shipped-detail-label">Load:</span> ${escapeHtml(a.loadNumber)}</div>` : ''}
+            ${a.notes ? `<div class="shipped-detail"><span class="shipped-detail-label">Notes:</span> ${escapeHtml(a.notes)}</div>` : ''}
+            ${a.createdBy ? `<div class="shipped-detail"><span class="shipped-detail-label">Booked by:</span> ${escapeHtml(a.createdBy)}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.btn-reschedule-appointment').forEach(btn => {
+      btn.addEventListener('click', () => showAppointmentForm(appointments.find(a => a.id === btn.dataset.appointmentId)));
+    });
+
+    list.querySelectorAll('.btn-cancel-appointment').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const appointment = appointments.find(a => a.id === btn.dataset.appointmentId);
+        if (!await showConfirmModal({ title: 'Cancel Appointment', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0;">Cancel the ${facilityTime(appointment.start)} appointment for <strong>${escapeHtml(appointment.carrier)}</strong>?</p></div>`, type: 'danger', confirmText: 'Cancel Appointment', cancelText: 'Keep' })) return;
+        try {
+          await apiCall(`/appointments/${appointment.id}/cancel`, 'POST');
+          showToast('Appointment cancelled', 'success');
+          loadAppointments();
+        } catch (err) {
+          showToast(err.message || 'Failed to cancel appointment', 'error');
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Appointments load error:', error);
+    list.innerHTML = '<div class="shipped-empty">Failed to load appointments</div>';
+  }
+}
+
+function renderAppointmentConflicts(conflicts) {
+  const banner = document.getElementById('appointments-conflicts');
+  if (banner) {
+    banner.classList.toggle('hidden', conflicts.length === 0);
+    banner.innerHTML = conflicts.map(c => {
+      const where = c.type === 'door'
+        ? appointmentTargetName({ doorId: c.doorId })
+        : `${appointmentTargetName({ doorGroupId: c.doorGroupId })} (${c.booked} booked, ${c.capacity} doors)`;
+      return `<div>⚠️ Double booking at ${escapeHtml(where)} – ${new Date(c.start).toLocaleString([], { timeZone: appointmentTimezone, dateStyle: 'short', timeStyle: 'short' })}</div>`;
+    }).join('');
+  }
+  updateAppointmentConflictBadge(conflicts.length);
+}
+
+function updateAppointmentConflictBadge(count) {
+  const badge = document.getElementById('appointment-conflict-badge');
+  if (!badge) return;
+  badge.textContent = count;
+  badge.classList.toggle('hidden', count === 0);
+}
+
+// Book (no appointment) or reschedule form
+function showAppointmentForm(appointment = null) {
+  const form = document.getElementById('form-appointment');
+  if (!form) return;
+  document.getElementById('appointment-settings')?.classList.add('hidden');
+  form.classList.remove('hidden');
+
+  const carriers = document.getElementById('appointment-carrier-list');
+  if (carriers) carriers.innerHTML = state.carriers.map(c => `<option value="${escapeHtml(c.name)}">`).join('');
+  const target = document.getElementById('appointment-target');
+  target.innerHTML = appointmentTargetOptions();
+
+  document.getElementById('appointment-id').value = appointment?.id || '';
+  document.getElementById('appointment-carrier').value = appointment?.carrier || '';
+  document.getElementById('appointment-trailer-number').value = appointment?.trailerNumber || '';
+  document.getElementById('appointment-customer').value = appointment?.customer || '';
+  document.getElementById('appointment-load-number').value = appointment?.loadNumber || '';
+  document.getElementById('appointment-notes').value = appointment?.notes || '';
+  document.getElementById('appointment-direction').value = appointment?.direction || 'inbound';
+  document.getElementById('appointment-duration').value = appointment?.durationMinutes || appointmentSchedule?.defaultDurationMinutes || 60;
+  document.getElementById('appointment-day').value = appointment ? facilityDate(new Date(appointment.start)) : (document.getElementById('appointments-date')?.value || facilityDate());
+  if (appointment) target.value = appointment.doorId ? `door:${appointment.doorId}` : `group:${appointment.doorGroupId}`;
+  document.getElementById('appointment-form-submit').textContent = appointment ? 'Save' : 'Book';
+
+  loadAppointmentSlots(appointment);
+  document.getElementById('appointment-carrier').focus();
+}
+
+// Fill the time slot picker from the target's availability on the chosen day
+async function loadAppointmentSlots(appointment = null) {
+  const select = document.getElementById('appointment-slot');
+  const target = parseAppointmentTarget(document.getElementById('appointment-target')?.value);
+  const date = document.getElementById('appointment-day')?.value;
+  const duration = parseInt(document.getElementById('appointment-duration')?.value) || '';
+  if (!select || !date || (!target.doorId && !target.doorGroupId)) return;
+
+  try {
+    const query = `date=${date}&${target.doorId ? `doorId=${target.doorId}` : `doorGroupId=${target.doorGroupId}`}&durationMinutes=${duration}`;
+    const data = await apiCall(`/appointments/availability?${query}`);
+    const current = appointment?.start ? new Date(appointment.start).toISOString() : null;
+    select.innerHTML = data.slots.length === 0
+      ? '<option value="">No bookable slots on this day</option>'
+      : data.slots.map(s => {
+        // The appointment's own slot counts as free when rescheduling
+        const free = s.available > 0 || s.start === current;
+        return `<option value="${s.start}" ${free ? '' : 'class="slot-full"'} ${s.start === current ? 'selected' : ''}>${s.time}${free ? (s.available > 1 ? ` (${s.available} doors free)` : '') : ' (full)'}</option>`;
+      }).join('');
+    if (!current) {
+      const firstFree = data.slots.find(s => s.available > 0);
+      if (firstFree) select.value = firstFree.start;
+    }
+  } catch (err) {
+    select.innerHTML = `<option value="">${escapeHtml(err.message || 'Failed to load slots')}</option>`;
+  }
+}
+
+async function submitAppointmentForm(e) {
+  e.preventDefault();
+  const id = document.getElementById('appointment-id').value;
+  const body = {
+    carrier: document.getElementById('appointment-carrier').value.trim(),
+    trailerNumber: document.getElementById('appointment-trailer-number').value.trim() || null,
+    customer: document.getElementById('appointment-customer').value.trim() || null,
+    loadNumber: document.getElementById('appointment-load-number').value.trim() || null,
+    notes: document.getElementById('appointment-notes').value.trim() || null,
+    direction: document.getElementById('appointment-direction').value,
+    durationMinutes: parseInt(document.getElementById('appointment-duration').value) || undefined,
+    start: document.getElementById('appointment-slot').value,
+    ...parseAppointmentTarget(document.getElementById('appointment-target').value),
+  };
+  if (!body.start) {
+    showToast('Pick a time slot', 'warning');
+    return;
+  }
+
+  const save = (extra = {}) => apiCall(id ? `/appointments/${id}` : '/appointments', id ? 'PUT' : 'POST', { ...body, ...extra });
+  try {
+    await save();
+  } catch (err) {
+    // Admins may book over a conflict on purpose
+    if (err.code !== 'APPOINTMENT_CONFLICT' || authState.user?.role !== 'admin') {
+      showToast(err.message || 'Failed to save appointment', 'error');
+      return;
+    }
+    if (!await showConfirmModal({ title: 'Double Booking', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">${escapeHtml(err.message)}.</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">Book it anyway?</p></div>`, type: 'warning', confirmText: 'Book Anyway', cancelText: 'Cancel' })) return;
+    try {
+      await save({ allowConflict: true });
+    } catch (retryErr) {
+      showToast(retryErr.message || 'Failed to save appointment', 'error');
+      return;
+    }
+  }
+
+  showToast(id ? 'Appointment updated' : 'Appointment booked', 'success');
+  document.getElementById('form-appointment')?.classList.add('hidden');
+  const dateInput = document.getElementById('appointments-date');
+  if (dateInput) dateInput.value = document.getElementById('appointment-day').value;
+  loadAppointments();
+}
+
+// Admin settings: slot size, durations, facility-wide hours and door groups
+function showAppointmentSettings() {
+  const panel = document.getElementById('appointment-settings');
+  if (!panel || !appointmentSchedule) return;
+  document.getElementById('form-appointment')?.classList.add('hidden');
+  panel.classList.toggle('hidden');
+
+  document.getElementById('schedule-slot-minutes').value = appointmentSchedule.slotMinutes;
+  document.getElementById('schedule-default-duration').value = appointmentSchedule.defaultDurationMinutes;
+  document.getElementById('schedule-lead-minutes').value = appointmentSchedule.queueLeadMinutes;
+  const facilityWindow = appointmentSchedule.windows.find(w => !w.doorId && !w.doorGroupId);
+  document.getElementById('schedule-open').value = facilityWindow?.start || '';
+  document.getElementById('schedule-close').value = facilityWindow?.end || '';
+  renderDoorGroupsList();
+  if (!panel.classList.contains('hidden')) loadAssignmentRules();
+}
+
+async function saveAppointmentSettings() {
+  const open = document.getElementById('schedule-open').value;
+  const close = document.getElementById('schedule-close').value;
+  // Door and group specific windows (set through the API) are kept as they are
+  const windows = appointmentSchedule.windows.filter(w => w.doorId || w.doorGroupId);
+  if (open && close) windows.push({ start: open, end: close });
+
+  try {
+    const result = await apiCall('/appointments/settings', 'PUT', {
+      slotMinutes: parseInt(document.getElementById('schedule-slot-minutes').value),
+      defaultDurationMinutes: parseInt(document.getElementById('schedule-default-duration').value),
+      queueLeadMinutes: parseInt(document.getElementById('schedule-lead-minutes').value),
+      windows,
+    });
+    appointmentSchedule = result.schedule;
+    showToast('Appointment settings saved', 'success');
+  } catch (err) {
+    showToast(err.message || 'Failed to save settings', 'error');
+  }
+}
+
+// "10-20, 25" -> [10, ..., 20, 25]
+function parseDoorNumbers(text) {
+  const numbers = [];
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [from, to] = part.split('-').map(n => parseInt(n));
+    if (isNaN(from)) continue;
+    for (let n = from; n <= (isNaN(to) ? from : to); n++) numbers.push(n);
+  }
+  return numbers;
+}
+
+function renderDoorGroupsList() {
+  const list = document.getElementById('door-groups-list');
+  if (!list) return;
+  const groups = state.doorGroups || [];
+  list.innerHTML = groups.length === 0
+    ? '<p class="queue-hint">No door groups yet.</p>'
+    : groups.map(g => {
+      const numbers = g.doorIds.map(id => state.doors.find(d => d.id === id)?.number).filter(n => n !== undefined);
+      return `<div class="door-group-item"><strong>${escapeHtml(g.name)}</strong> <span>Doors ${numbers.join(', ') || '–'}</span> <button class="btn btn-sm btn-danger btn-delete-door-group" data-group-id="${g.id}" title="Delete group">✕</button></div>`;
+    }).join('');
+
+  list.querySelectorAll('.btn-delete-door-group').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await apiCall(`/door-groups/${btn.dataset.groupId}`, 'DELETE');
+        showToast('Door group deleted', 'success');
+      } catch (err) {
+        showToast(err.message || 'Failed to delete door group', 'error');
+      }
+    });
+  });
+}
+
+async function addDoorGroup() {
+  const nameInput = document.getElementById('door-group-name');
+  const doorsInput = document.getElementById('door-group-doors');
+  const doorIds = parseDoorNumbers(doorsInput.value)
+    .map(n => state.doors.find(d => d.number === n)?.id)
+    .filter(Boolean);
+  if (!nameInput.value.trim() || doorIds.length === 0) {
+    showToast('Enter a group name and existing door numbers', 'warning');
+    return;
+  }
+  try {
+    await apiCall('/door-groups', 'POST', { name: nameInput.value.trim(), doorIds });
+    nameInput.value = '';
+    doorsInput.value = '';
+    showToast('Door group added', 'success');
+  } catch (err) {
+    showToast(err.message || 'Failed to add door group', 'error');
+  }
+}
+
+// Door assignment rules being edited in the settings panel (saved with "Save Assignment Rules")
+let assignmentRules = null;
+
+async function loadAssignmentRules() {
+  try {
+    const data = await apiCall('/assignment-rules');
+    assignmentRules = data.rules;
+    document.getElementById('assignment-enabled').checked = assignmentRules.enabled;
+    document.getElementById('assignment-order').value = assignmentRules.order;
+    renderAssignmentPreferences();
+  } catch (err) {
+    showToast(err.message || 'Failed to load assignment rules', 'error');
+  }
+}
+
+function renderAssignmentPreferences() {
+  const list = document.getElementById('assignment-preferences-list');
+  if (!list || !assignmentRules) return;
+  const preferences = assignmentRules.preferences;
+  list.innerHTML = preferences.length === 0
+    ? '<p class="queue-hint">No preferences - any waiting trailer may take any door it queued for.</p>'
+    : preferences.map((p, index) => {
+      const who = [p.carrier, p.customer, p.direction].filter(Boolean).map(escapeHtml).join(' · ');
+      const numbers = p.doorIds.map(id => state.doors.find(d => d.id === id)?.number).filter(n => n !== undefined);
+      return `<div class="door-group-item"><strong>${who}</strong> <span>${p.mode === 'only' ? 'Only' : 'Prefers'} doors ${numbers.join(', ') || '–'}</span> <button class="btn btn-sm btn-danger btn-delete-assignment-pref" data-index="${index}" title="Remove preference">✕</button></div>`;
+    }).join('');
+
+  list.querySelectorAll('.btn-delete-assignment-pref').forEach(btn => {
+    btn.addEventListener('click', () => {
+      assignmentRules.preferences.splice(parseInt(btn.dataset.index), 1);
+      renderAssignmentPreferences();
+    });
+  });
+}
+
+function addAssignmentPreference() {
+  if (!assignmentRules) return;
+  const carrier = document.getElementById('assignment-pref-carrier').value.trim();
+  const customer = document.getElementById('assignment-pref-customer').value.trim();
+  const direction = document.getElementById('assignment-pref-direction').value;
+  const doorsInput = document.getElementById('assignment-pref-doors');
+  const doorIds = parseDoorNumbers(doorsInput.value)
+    .map(n => state.doors.find(d => d.number === n)?.id)
+    .filter(Boolean);
+  if ((!carrier && !customer && !direction) || doorIds.length === 0) {
+    showToast('Enter a carrier, customer or direction and existing door numbers', 'warning');
+    return;
+  }
+  assignmentRules.preferences.push({
+    carrier: carrier || null,
+    customer: customer || null,
+    direction: direction || null,
+    doorIds,
+    mode: document.getElementById('assignment-pref-mode').value
+  });
+  document.getElementById('assignment-pref-carrier').value = '';
+  document.getElementById('assignment-pref-customer').value = '';
+  doorsInput.value = '';
+  renderAssignmentPreferences();
+}
+
+async function saveAssignmentRules() {
+  if (!assignmentRules) return;
+  try {
+    const result = await apiCall('/assignment-rules', 'PUT', {
+      enabled: document.getElementById('assignment-enabled').checked,
+      order: document.getElementById('assignment-order').value,
+      preferences: assignmentRules.preferences
+    });
+    assignmentRules = result.rules;
+    renderAssignmentPreferences();
+    showToast('Assignment rules saved', 'success');
+    result.autoAssigned.forEach(assigned => announceAutoAssigned({ autoAssigned: assigned }));
+  } catch (err) {
+    showToast(err.message || 'Failed to save assignment rules', 'error');
+  }
+}
+
+// Keep an open appointments modal in sync with bookings by other users and the scheduler
+function refreshAppointmentsIfOpen() {
+  const modal = document.getElementById('modal-appointments');
+  if (modal && modal.classList.contains('active')) {
+    loadAppointments();
+    if (!document.getElementById('appointment-settings')?.classList.contains('hidden')) renderDoorGroupsList();
+  } else if (authState.isAuthenticated) {
+    apiCall('/appointments/conflicts').then(data => updateAppointmentConflictBadge(data.conflicts.length)).catch(() => {});
+  }
+}
+
 // Load and display received trailers (inbound)
 async function loadReceived(search = '') {
   const list = document.getElementById('received-list');
@@ -6885,8 +8208,8 @@ async function loadUnassignedYard(search = '') {
 
     list.innerHTML = trailers.map(t => {
       const createdDate = new Date(t.createdAt).toLocaleDateString();
-      const dwellHours = getDwellTimeHours(t.createdAt);
-      const dwellClass = getDwellTimeClass(t.createdAt);
+      const dwellHours = getDwellTimeHours(t);
+      const dwellClass = getDwellTimeClass(t);
 
       return `
         <div class="unassigned-item" data-trailer-id="${t.id}">
@@ -6957,162 +8280,1638 @@ async function loadUnassignedYard(search = '') {
         const trailerId = btn.dataset.trailerId;
         if (!trailerId) return;
 
-        const trailer = state.yardTrailers?.find(t => t.id === trailerId);
-        if (!trailer) return;
+        const trailer = state.yardTrailers?.find(t => t.id === trailerId);
+        if (!trailer) return;
+
+        if (!await showConfirmModal({ title: 'Mark as Shipped', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.5rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as shipped?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This will archive the trailer record.</p></div>`, type: 'info', confirmText: 'Ship', cancelText: 'Cancel' })) return;
+
+        try {
+          await shipTrailer(trailerId);
+          showToast('Trailer marked as shipped', 'success');
+          loadUnassignedYard(search);
+        } catch (err) {
+          showToast(err.message || 'Failed to ship trailer', 'error');
+        }
+      });
+    });
+
+    // Add delete handlers
+    list.querySelectorAll('.btn-delete-unassigned').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const trailerId = btn.dataset.trailerId;
+        if (!trailerId) return;
+
+        const trailer = state.yardTrailers?.find(t => t.id === trailerId);
+        if (!trailer) return;
+
+        if (!await showConfirmModal({ title: 'Delete Trailer', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Delete trailer <strong>${trailer.number || trailer.carrier}</strong>?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">It can be restored from the Trash.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+
+        try {
+          await deleteTrailer(trailerId);
+          showToast('Trailer deleted', 'success');
+          loadUnassignedYard(search);
+        } catch (err) {
+          showToast(err.message || 'Failed to delete trailer', 'error');
+        }
+      });
+    });
+
+  } catch (error) {
+    console.error('Unassigned yard load error:', error);
+    list.innerHTML = '<div class="unassigned-empty">Failed to load unassigned yard</div>';
+  }
+}
+
+// Move trailer from unassigned yard to staging
+async function moveTrailerToStaging(trailerId) {
+  // Use the staging POST endpoint
+  const trailer = state.yardTrailers.find(t => t.id === trailerId);
+  if (!trailer) throw new Error('Trailer not found');
+
+  const response = await apiCall('/staging', 'POST', {
+    number: trailer.number,
+    carrier: trailer.carrier,
+    status: trailer.status || 'loaded',
+    customer: trailer.customer,
+    loadNumber: trailer.loadNumber,
+    driverName: trailer.driverName,
+    driverPhone: trailer.driverPhone,
+    contents: trailer.contents,
+    isLive: trailer.isLive || false,
+    sourceId: trailerId // Tell backend to remove from yardTrailers
+  });
+
+  return response;
+}
+
+// Add event listeners for unassigned yard search and refresh
+function setupUnassignedYardEvents() {
+  const searchInput = document.getElementById('unassigned-search');
+  const clearBtn = document.getElementById('unassigned-clear');
+  const refreshBtn = document.getElementById('unassigned-refresh');
+
+  let searchDebounce;
+  searchInput?.addEventListener('input', (e) => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => loadUnassignedYard(e.target.value), 300);
+  });
+
+  clearBtn?.addEventListener('click', () => {
+    searchInput.value = '';
+    loadUnassignedYard('');
+  });
+
+  refreshBtn?.addEventListener('click', () => {
+    loadUnassignedYard(searchInput?.value || '');
+    showToast('Unassigned yard refreshed', 'success');
+  });
+}
+
+// Why a carrier can't take new trailers (mirrors carrierRestriction on the server), if it can't
+function carrierRestrictionLabel(carrier) {
+  if (!carrier) return null;
+  if (carrier.status === 'blocked') return `🚫 Blocked${carrier.blockedReason ? `: ${carrier.blockedReason}` : ''}`;
+  const today = new Date().toLocaleDateString('en-CA');
+  if (carrier.insuranceExpiry && carrier.insuranceExpiry < today) return `⚠️ Insurance expired ${carrier.insuranceExpiry}`;
+  return null;
+}
+
+function renderCarriersList(search = '') {
+  const favoritesContainer = document.getElementById('favorite-carriers');
+  const allContainer = document.getElementById('all-carriers');
+  
+  let carriers = state.carriers;
+  if (search) {
+    const query = search.toLowerCase();
+    carriers = carriers.filter(c => c.name.toLowerCase().includes(query) || (c.scac || '').toLowerCase().includes(query));
+  }
+  
+  const favorites = carriers.filter(c => c.favorite).sort((a,b) => a.name.localeCompare(b.name));
+  const others = carriers.filter(c => !c.favorite).sort((a,b) => a.name.localeCompare(b.name));
+  
+  const renderCarrier = (c) => {
+    const restriction = carrierRestrictionLabel(c);
+    const codes = [c.scac, c.mcNumber && `MC ${c.mcNumber}`, c.dotNumber && `DOT ${c.dotNumber}`].filter(Boolean).join(' · ');
+    return `
+    <div class="carrier-item${restriction ? ' carrier-restricted' : ''}">
+      <div>
+        <span class="carrier-name">${escapeHtml(c.name)}</span>
+        ${codes ? `<div class="carrier-code">${escapeHtml(codes)}</div>` : ''}
+        ${restriction ? `<div class="carrier-restriction">${escapeHtml(restriction)}</div>` : ''}
+      </div>
+      <div class="carrier-actions">
+        <button class="btn-favorite" data-carrier="${c.id}">${c.favorite ? '⭐' : '☆'}</button>
+        <button class="btn-edit-carrier" data-carrier="${c.id}" title="Edit carrier">✏️</button>
+        ${editMode ? `<button class="btn-delete-carrier" data-carrier="${c.id}" title="Delete carrier">🗑️</button>` : ''}
+      </div>
+    </div>
+  `;
+  };
+  
+  if (favoritesContainer) favoritesContainer.innerHTML = favorites.map(renderCarrier).join('');
+  if (allContainer) allContainer.innerHTML = others.map(renderCarrier).join('');
+  
+  document.querySelectorAll('.btn-favorite').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const carrierId = e.target.dataset.carrier;
+      const carrier = state.carriers.find(c => c.id === carrierId);
+      if (carrier) {
+        try {
+          await apiCall(`/carriers/${carrierId}/favorite`, 'PUT', { favorite: !carrier.favorite });
+          await fetchState();
+          renderCarriersList(search);
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+    });
+  });
+
+  document.querySelectorAll('.btn-edit-carrier').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const carrier = state.carriers.find(c => c.id === e.target.dataset.carrier);
+      if (carrier) openEditCarrierModal(carrier);
+    });
+  });
+  
+  // Delete carrier handler
+  document.querySelectorAll('.btn-delete-carrier').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const carrierId = e.target.dataset.carrier;
+      const carrier = state.carriers.find(c => c.id === carrierId);
+      if (!carrier) return;
+      
+      // Check if carrier is in use
+      const inUse = state.trailers.some(t => t.carrier === carrier.name) || 
+                    state.yardTrailers.some(t => t.carrier === carrier.name);
+      if (inUse) {
+        showToast('Cannot delete: carrier is assigned to trailers - merge it into another carrier instead', 'error');
+        return;
+      }
+      
+      if (!await showConfirmModal({ title: 'Delete Carrier', html: `<p style="color: var(--text-secondary); margin: 0;">Delete carrier "<strong>${carrier.name}</strong>"?</p>`, type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+      
+      try {
+        await apiCall(`/carriers/${carrierId}`, 'DELETE');
+        await fetchState();
+        renderCarriersList(search);
+        showToast('Carrier deleted', 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+function refreshCarriersIfOpen() {
+  const modal = document.getElementById('modal-carriers');
+  if (modal && modal.classList.contains('active')) {
+    renderCarriersList(document.getElementById('carrier-search')?.value || '');
+  }
+}
+
+// Name without punctuation and company suffixes, to spot near-duplicate carriers
+function carrierNameKey(name) {
+  return String(name || '').toLowerCase()
+    .replace(/\b(inc|llc|ltd|co|corp|corporation|company|trucking|transport|transportation|logistics|freight)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function isLikelyDuplicateCarrier(a, b) {
+  const keyA = carrierNameKey(a.name);
+  const keyB = carrierNameKey(b.name);
+  if (!keyA || !keyB) return false;
+  return keyA === keyB || keyA.includes(keyB) || keyB.includes(keyA) || (!!a.scac && a.scac === b.scac);
+}
+
+// Contact row for the carrier and customer editors (see readContactRows)
+function contactRowHtml(contact = {}) {
+  return `
+    <div class="carrier-contact-row">
+      <input type="text" class="contact-name" placeholder="Name" value="${escapeHtml(contact.name || '')}">
+      <input type="text" class="contact-role" placeholder="Role (e.g. Dispatch)" value="${escapeHtml(contact.role || '')}">
+      <input type="tel" class="contact-phone" placeholder="Phone" value="${escapeHtml(contact.phone || '')}">
+      <input type="email" class="contact-email" placeholder="Email" value="${escapeHtml(contact.email || '')}">
+      <button type="button" class="btn-remove-contact" title="Remove contact">✕</button>
+    </div>
+  `;
+}
+
+function readContactRows(container) {
+  return Array.from(container.querySelectorAll('.carrier-contact-row'))
+    .map(row => ({
+      name: row.querySelector('.contact-name').value.trim(),
+      role: row.querySelector('.contact-role').value.trim(),
+      phone: formatPhoneNumber(row.querySelector('.contact-phone').value.trim()),
+      email: row.querySelector('.contact-email').value.trim(),
+    }))
+    .filter(c => c.name || c.phone || c.email);
+}
+
+function openEditCarrierModal(carrier) {
+  document.getElementById('modal-edit-carrier')?.remove();
+  const duplicates = state.carriers
+    .filter(c => c.id !== carrier.id)
+    .map(c => ({ carrier: c, likely: isLikelyDuplicateCarrier(carrier, c) }))
+    .sort((a, b) => (b.likely - a.likely) || a.carrier.name.localeCompare(b.carrier.name));
+
+  const modal = document.createElement('div');
+  modal.id = 'modal-edit-carrier';
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width:640px;">
+      <div class="modal-header">
+        <h3>🚛 ${escapeHtml(carrier.name)}</h3>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="carrier-edit-name">Name *</label>
+            <input type="text" id="carrier-edit-name" value="${escapeHtml(carrier.name)}">
+          </div>
+          <div class="form-group half">
+            <label for="carrier-edit-scac">SCAC</label>
+            <input type="text" id="carrier-edit-scac" maxlength="4" value="${escapeHtml(carrier.scac || '')}" style="text-transform: uppercase;">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="carrier-edit-mc">MC Number</label>
+            <input type="text" id="carrier-edit-mc" value="${escapeHtml(carrier.mcNumber || '')}">
+          </div>
+          <div class="form-group half">
+            <label for="carrier-edit-dot">DOT Number</label>
+            <input type="text" id="carrier-edit-dot" inputmode="numeric" value="${escapeHtml(carrier.dotNumber || '')}">
+          </div>
+          <div class="form-group half">
+            <label for="carrier-edit-insurance">Insurance Expires</label>
+            <input type="date" id="carrier-edit-insurance" value="${carrier.insuranceExpiry || ''}">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="carrier-edit-status">Status</label>
+            <select id="carrier-edit-status">
+              <option value="active"${carrier.status !== 'blocked' ? ' selected' : ''}>Active</option>
+              <option value="blocked"${carrier.status === 'blocked' ? ' selected' : ''}>🚫 Blocked</option>
+            </select>
+          </div>
+          <div class="form-group half">
+            <label for="carrier-edit-blocked-reason">Blocked Reason</label>
+            <input type="text" id="carrier-edit-blocked-reason" value="${escapeHtml(carrier.blockedReason || '')}" placeholder="Why no new trailers are accepted">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Contacts</label>
+          <div id="carrier-contacts" class="carrier-contacts">
+            ${(carrier.contacts || []).map(contactRowHtml).join('')}
+          </div>
+          <button type="button" id="btn-add-carrier-contact" class="btn btn-small btn-secondary">+ Add Contact</button>
+        </div>
+        <div class="form-group">
+          <label for="carrier-edit-notes">Notes</label>
+          <textarea id="carrier-edit-notes" rows="3" maxlength="1000">${escapeHtml(carrier.notes || '')}</textarea>
+        </div>
+        <details class="carrier-merge">
+          <summary>🔗 Merge duplicates into this carrier</summary>
+          <p class="carrier-merge-hint">Trailers and appointments of the selected carriers move to ${escapeHtml(carrier.name)}, and the selected carriers are removed.</p>
+          <div class="carrier-merge-list">
+            ${duplicates.length === 0 ? '<span class="carrier-code">No other carriers</span>' : duplicates.map(({ carrier: c, likely }) => `
+              <label class="carrier-merge-option${likely ? ' likely-duplicate' : ''}">
+                <input type="checkbox" value="${c.id}">
+                ${escapeHtml(c.name)}${c.usageCount ? ` <span class="carrier-code">(${c.usageCount})</span>` : ''}
+                ${likely ? '<span class="carrier-code">likely duplicate</span>' : ''}
+              </label>
+            `).join('')}
+          </div>
+          <button type="button" id="btn-merge-carriers" class="btn btn-small btn-warning">Merge Selected</button>
+        </details>
+        <div class="modal-actions">
+          <button id="btn-save-carrier" class="btn btn-success">Save</button>
+          <button class="btn btn-secondary close-modal">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  openModal('modal-edit-carrier');
+
+  modal.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => { modal.remove(); });
+  });
+
+  const contactsEl = document.getElementById('carrier-contacts');
+  contactsEl.addEventListener('click', (e) => {
+    if (e.target.classList.contains('btn-remove-contact')) e.target.closest('.carrier-contact-row').remove();
+  });
+  document.getElementById('btn-add-carrier-contact')?.addEventListener('click', () => {
+    contactsEl.insertAdjacentHTML('beforeend', contactRowHtml());
+  });
+
+  document.getElementById('btn-save-carrier')?.addEventListener('click', async () => {
+    const name = document.getElementById('carrier-edit-name').value.trim();
+    if (!name) {
+      showToast('Carrier name is required', 'warning');
+      return;
+    }
+    const contacts = readContactRows(contactsEl);
+    try {
+      await apiCall(`/carriers/${carrier.id}`, 'PUT', {
+        name,
+        scac: document.getElementById('carrier-edit-scac').value.trim(),
+        mcNumber: document.getElementById('carrier-edit-mc').value.trim(),
+        dotNumber: document.getElementById('carrier-edit-dot').value.trim(),
+        insuranceExpiry: document.getElementById('carrier-edit-insurance').value || null,
+        status: document.getElementById('carrier-edit-status').value,
+        blockedReason: document.getElementById('carrier-edit-blocked-reason').value.trim(),
+        notes: document.getElementById('carrier-edit-notes').value,
+        contacts,
+      });
+      showToast(`Carrier ${name} saved`, 'success');
+      modal.remove();
+      await fetchState();
+      refreshCarriersIfOpen();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('btn-merge-carriers')?.addEventListener('click', async () => {
+    const sourceIds = Array.from(modal.querySelectorAll('.carrier-merge-option input:checked')).map(i => i.value);
+    if (sourceIds.length === 0) {
+      showToast('Select the carriers to merge', 'warning');
+      return;
+    }
+    const names = sourceIds.map(id => state.carriers.find(c => c.id === id)?.name).filter(Boolean);
+    if (!await showConfirmModal({
+      title: 'Merge Carriers',
+      html: `<p style="color: var(--text-secondary); margin: 0;">Merge <strong>${names.map(escapeHtml).join(', ')}</strong> into <strong>${escapeHtml(carrier.name)}</strong>? The merged carriers are removed.</p>`,
+      type: 'warning',
+      confirmText: 'Merge',
+      cancelText: 'Cancel'
+    })) return;
+    try {
+      const result = await apiCall('/carriers/merge', 'POST', { targetId: carrier.id, sourceIds });
+      showToast(`Merged ${names.length} carrier${names.length !== 1 ? 's' : ''} into ${carrier.name} (${result.trailersRenamed} trailer${result.trailersRenamed !== 1 ? 's' : ''} updated)`, 'success');
+      modal.remove();
+      await fetchState();
+      refreshCarriersIfOpen();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// Customers (master data and dwell SLAs)
+// ============================================================================
+
+function formatSlaMinutes(minutes) {
+  if (!minutes) return '–';
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return minutes > 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function openCustomersModal() {
+  openModal('modal-customers');
+  renderCustomersList(document.getElementById('customer-search')?.value || '');
+}
+
+function renderCustomersList(search = '') {
+  const list = document.getElementById('customers-list');
+  if (!list) return;
+
+  const query = search.toLowerCase();
+  const customers = (state.customers || [])
+    .filter(c => !query || c.name.toLowerCase().includes(query) || (c.aliases || []).some(a => a.toLowerCase().includes(query)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (customers.length === 0) {
+    list.innerHTML = `<div class="maintenance-empty">${query ? 'No matching customers' : 'No customers yet'}</div>`;
+    return;
+  }
+
+  list.innerHTML = customers.map(c => {
+    const sla = c.sla || {};
+    const slaText = sla.inboundMinutes || sla.outboundMinutes
+      ? `SLA in ${formatSlaMinutes(sla.inboundMinutes)} · out ${formatSlaMinutes(sla.outboundMinutes)}`
+      : 'Dwell policy';
+    return `
+      <div class="carrier-item">
+        <div>
+          <span class="carrier-name">${escapeHtml(c.name)}</span>
+          ${c.aliases?.length ? `<div class="carrier-code">Also: ${escapeHtml(c.aliases.join(', '))}</div>` : ''}
+          <div class="carrier-code">${slaText}${c.contacts?.length ? ` · ${c.contacts.length} contact${c.contacts.length !== 1 ? 's' : ''}` : ''}</div>
+        </div>
+        <div class="carrier-actions">
+          <button class="btn-edit-customer" data-customer="${c.id}" title="Edit customer">✏️</button>
+          ${editMode ? `<button class="btn-delete-customer" data-customer="${c.id}" title="Delete customer">🗑️</button>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.btn-edit-customer').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const customer = state.customers.find(c => c.id === btn.dataset.customer);
+      if (customer) openEditCustomerModal(customer);
+    });
+  });
+
+  list.querySelectorAll('.btn-delete-customer').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const customer = state.customers.find(c => c.id === btn.dataset.customer);
+      if (!customer) return;
+      if (!await showConfirmModal({ title: 'Delete Customer', html: `<p style="color: var(--text-secondary); margin: 0;">Delete customer "<strong>${escapeHtml(customer.name)}</strong>"? Its trailers keep their customer name and fall back to the dwell policy.</p>`, type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+      try {
+        await apiCall(`/customers/${customer.id}`, 'DELETE');
+        await fetchState();
+        showToast('Customer deleted', 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+function refreshCustomersIfOpen() {
+  const modal = document.getElementById('modal-customers');
+  if (modal && modal.classList.contains('active')) {
+    renderCustomersList(document.getElementById('customer-search')?.value || '');
+  }
+}
+
+function renderCustomerOptions() {
+  const list = document.getElementById('customer-names');
+  if (list) list.innerHTML = (state.customers || []).map(c => `<option value="${escapeHtml(c.name)}">`).join('');
+}
+
+// New customer when called without one
+function openEditCustomerModal(customer = null) {
+  document.getElementById('modal-edit-customer')?.remove();
+  const sla = customer?.sla || {};
+
+  const modal = document.createElement('div');
+  modal.id = 'modal-edit-customer';
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width:640px;">
+      <div class="modal-header">
+        <h3>🏢 ${customer ? escapeHtml(customer.name) : 'New Customer'}</h3>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="customer-edit-name">Name *</label>
+          <input type="text" id="customer-edit-name" value="${escapeHtml(customer?.name || '')}">
+        </div>
+        <div class="form-group">
+          <label for="customer-edit-aliases">Aliases</label>
+          <input type="text" id="customer-edit-aliases" value="${escapeHtml((customer?.aliases || []).join(', '))}" placeholder="Other spellings, comma separated">
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="customer-edit-sla-inbound">Inbound dwell SLA (minutes)</label>
+            <input type="number" id="customer-edit-sla-inbound" min="1" value="${sla.inboundMinutes || ''}" placeholder="Dwell policy">
+          </div>
+          <div class="form-group half">
+            <label for="customer-edit-sla-outbound">Outbound dwell SLA (minutes)</label>
+            <input type="number" id="customer-edit-sla-outbound" min="1" value="${sla.outboundMinutes || ''}" placeholder="Dwell policy">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Contacts</label>
+          <div id="customer-contacts" class="carrier-contacts">
+            ${(customer?.contacts || []).map(contactRowHtml).join('')}
+          </div>
+          <button type="button" id="btn-add-customer-contact" class="btn btn-small btn-secondary">+ Add Contact</button>
+        </div>
+        <div class="form-group">
+          <label for="customer-edit-notes">Notes</label>
+          <textarea id="customer-edit-notes" rows="3" maxlength="1000">${escapeHtml(customer?.notes || '')}</textarea>
+        </div>
+        <div class="modal-actions">
+          <button id="btn-save-customer" class="btn btn-success">Save</button>
+          <button class="btn btn-secondary close-modal">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  openModal('modal-edit-customer');
+
+  modal.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => { modal.remove(); });
+  });
+
+  const contactsEl = document.getElementById('customer-contacts');
+  contactsEl.addEventListener('click', (e) => {
+    if (e.target.classList.contains('btn-remove-contact')) e.target.closest('.carrier-contact-row').remove();
+  });
+  document.getElementById('btn-add-customer-contact')?.addEventListener('click', () => {
+    contactsEl.insertAdjacentHTML('beforeend', contactRowHtml());
+  });
+
+  document.getElementById('btn-save-customer')?.addEventListener('click', async () => {
+    const name = document.getElementById('customer-edit-name').value.trim();
+    if (!name) {
+      showToast('Customer name is required', 'warning');
+      return;
+    }
+    const body = {
+      name,
+      aliases: document.getElementById('customer-edit-aliases').value.split(',').map(a => a.trim()).filter(Boolean),
+      sla: {
+        inboundMinutes: document.getElementById('customer-edit-sla-inbound').value || null,
+        outboundMinutes: document.getElementById('customer-edit-sla-outbound').value || null,
+      },
+      contacts: readContactRows(contactsEl),
+      notes: document.getElementById('customer-edit-notes').value,
+    };
+    try {
+      if (customer) await apiCall(`/customers/${customer.id}`, 'PUT', body);
+      else await apiCall('/customers', 'POST', body);
+      showToast(`Customer ${name} saved`, 'success');
+      modal.remove();
+      await fetchState();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// Trailer import (CSV/XLSX manifest -> unassigned yard)
+// ============================================================================
+
+// File being imported: { filename, content (base64), mapping, preview }
+let importFile = null;
+
+function openImportModal() {
+  importFile = null;
+  const input = document.getElementById('import-file');
+  if (input) input.value = '';
+  document.getElementById('import-mapping').innerHTML = '';
+  document.getElementById('import-preview').innerHTML = '<div class="maintenance-empty">Choose a file to see what will be imported</div>';
+  document.getElementById('btn-import-commit').disabled = true;
+  openModal('modal-import-trailers');
+}
+
+function readImportFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    // Data URL -> base64 part
+    importFile = { filename: file.name, content: reader.result.split(',')[1], mapping: null, preview: null };
+    previewImport();
+  };
+  reader.onerror = () => showToast(`Could not read ${file.name}`, 'error');
+  reader.readAsDataURL(file);
+}
+
+function importRequest(commit) {
+  return {
+    filename: importFile.filename,
+    content: importFile.content,
+    direction: document.getElementById('import-direction').value,
+    ...(importFile.mapping && { mapping: importFile.mapping }),
+    commit,
+  };
+}
+
+async function previewImport() {
+  if (!importFile) return;
+  const preview = document.getElementById('import-preview');
+  const commitBtn = document.getElementById('btn-import-commit');
+  commitBtn.disabled = true;
+  try {
+    const result = await apiCall('/trailers/import', 'POST', importRequest(false));
+    importFile.mapping = result.mapping;
+    importFile.preview = result;
+    renderImportMapping(result);
+    renderImportPreview(result);
+  } catch (err) {
+    // No carrier column found - show the columns so one can be picked
+    if (err.code === 'IMPORT_MAPPING_REQUIRED') {
+      importFile.mapping = err.details.mapping;
+      renderImportMapping(err.details);
+    }
+    preview.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderImportMapping(result) {
+  const container = document.getElementById('import-mapping');
+  container.innerHTML = Object.entries(result.fields)
+    .map(([field, { label, required }]) => importMappingSelect(field, label, required, result))
+    .join('');
+
+  container.querySelectorAll('select').forEach(select => {
+    select.addEventListener('change', () => {
+      const mapping = { ...importFile.mapping };
+      if (select.value === '') delete mapping[select.dataset.field];
+      else mapping[select.dataset.field] = parseInt(select.value, 10);
+      importFile.mapping = mapping;
+      previewImport();
+    });
+  });
+}
+
+function importMappingSelect(field, label, required, result) {
+  const selected = result.mapping?.[field];
+  const options = result.headers.map((header, i) =>
+    `<option value="${i}"${selected === i ? ' selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`
+  ).join('');
+  return `
+    <div class="form-group">
+      <label>${escapeHtml(label)}${required ? ' *' : ''}</label>
+      <select data-field="${field}"><option value="">– Not imported –</option>${options}</select>
+    </div>
+  `;
+}
+
+function renderImportPreview(result) {
+  const preview = document.getElementById('import-preview');
+  const commitBtn = document.getElementById('btn-import-commit');
+  const columns = Object.keys(result.fields).filter(field => result.mapping[field] !== undefined || field === 'direction');
+
+  const rows = result.rows.map(r => `
+    <tr class="${r.errors.length ? 'import-row-error' : ''}">
+      <td>${r.row}</td>
+      ${columns.map(field => `<td>${escapeHtml(r.fields[field] || '')}</td>`).join('')}
+      <td>${r.errors.length ? r.errors.map(escapeHtml).join('<br>') : '✓'}</td>
+    </tr>
+  `).join('');
+
+  preview.innerHTML = `
+    <p class="queue-hint">${result.validCount} of ${result.rows.length} row${result.rows.length !== 1 ? 's' : ''} ready${result.errorCount ? ` · ${result.errorCount} with errors - fix the file or the columns, nothing is imported until every row is valid` : ''}</p>
+    <div class="import-preview-table">
+      <table class="dwell-policy-table">
+        <thead><tr><th>Row</th>${columns.map(field => `<th>${escapeHtml(result.fields[field].label)}</th>`).join('')}<th>Check</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+  commitBtn.textContent = `Import ${result.rows.length} trailer${result.rows.length !== 1 ? 's' : ''}`;
+  commitBtn.disabled = result.errorCount > 0;
+}
+
+async function commitImport() {
+  if (!importFile?.preview) return;
+  const commitBtn = document.getElementById('btn-import-commit');
+  commitBtn.disabled = true;
+  try {
+    const result = await apiCall('/trailers/import', 'POST', importRequest(true));
+    showToast(`Imported ${result.created} trailer${result.created !== 1 ? 's' : ''} to the unassigned yard`, 'success');
+    closeModal('modal-import-trailers');
+    await fetchState();
+  } catch (err) {
+    showToast(err.message, 'error');
+    // The board changed since the preview (e.g. a number now taken) - show the new checks
+    if (err.code === 'IMPORT_INVALID') {
+      importFile.preview = err.details;
+      renderImportPreview(err.details);
+    }
+  }
+}
+
+// ============================================================================
+// Alerts (inbox filled by the server's alert rules)
+// ============================================================================
+
+const ALERT_RULE_TYPES = {
+  'dwell': 'Trailer at door longer than',
+  'appointment-overdue': 'Appointment not arrived after start +',
+  'queue-stale': 'Trailer waiting in queue longer than',
+  'door-idle': 'Door free with trailers queued for'
+};
+const ALERT_STATUS_LABELS = { open: 'Open', acknowledged: 'Acknowledged', snoozed: 'Snoozed', resolved: 'Resolved' };
+const ALERT_SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', error: '🚨' };
+
+// Rules being edited in the alerts modal (saved with "Save Rules")
+let alertRules = null;
+
+function updateAlertCount() {
+  const badge = document.getElementById('alert-count-badge');
+  if (!badge) return;
+  const count = (state.alerts || []).filter(a => a.status === 'open').length;
+  badge.textContent = count;
+  badge.classList.toggle('hidden', count === 0);
+}
+
+function openAlertsModal() {
+  openModal('modal-alerts');
+  document.getElementById('alerts-list').classList.remove('hidden');
+  document.getElementById('alert-status-filter').classList.remove('hidden');
+  document.getElementById('alert-rules-container').classList.add('hidden');
+  document.getElementById('btn-alert-rules').textContent = '⚙️ Rules';
+  renderAlertsList();
+}
+
+function renderAlertsList() {
+  const list = document.getElementById('alerts-list');
+  if (!list) return;
+  const status = document.getElementById('alert-status-filter')?.value || '';
+
+  const alerts = (state.alerts || [])
+    .filter(a => status ? a.status === status : a.status !== 'resolved')
+    .slice()
+    .reverse();
+
+  if (alerts.length === 0) {
+    list.innerHTML = `<div class="maintenance-empty">${status ? `No ${ALERT_STATUS_LABELS[status].toLowerCase()} alerts` : 'No alerts - all clear'}</div>`;
+    return;
+  }
+
+  list.innerHTML = alerts.map(a => {
+    let detail = `${ALERT_STATUS_LABELS[a.status]} · raised ${formatMaintenanceTime(a.createdAt)}`;
+    if (a.status === 'acknowledged') detail += ` · acknowledged by ${escapeHtml(a.acknowledgedBy || '?')}`;
+    if (a.status === 'snoozed') detail += ` · snoozed until ${formatMaintenanceTime(a.snoozedUntil)}`;
+    if (a.status === 'resolved') detail += ` · resolved ${formatMaintenanceTime(a.resolvedAt)}`;
+    const actionable = a.status !== 'resolved';
+    return `
+      <div class="carrier-item alert-item alert-${a.severity}">
+        <div>
+          <span class="carrier-name">${ALERT_SEVERITY_ICONS[a.severity] || ''} ${escapeHtml(a.message)}</span>
+          <div class="carrier-code">${escapeHtml(a.ruleName)} · ${detail}</div>
+        </div>
+        ${actionable ? `
+        <div class="carrier-actions">
+          ${a.status !== 'acknowledged' ? `<button class="btn btn-sm btn-secondary btn-acknowledge-alert" data-alert="${a.id}" title="Acknowledge">✔️ Ack</button>` : ''}
+          <select class="alert-snooze-select" data-alert="${a.id}" title="Snooze">
+            <option value="">💤 Snooze</option>
+            <option value="15">15 min</option>
+            <option value="30">30 min</option>
+            <option value="60">1 hour</option>
+            <option value="240">4 hours</option>
+          </select>
+        </div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.btn-acknowledge-alert').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!requireAuth()) return;
+      try {
+        await apiCall(`/alerts/${btn.dataset.alert}/acknowledge`, 'POST');
+        await fetchState();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+
+  list.querySelectorAll('.alert-snooze-select').forEach(select => {
+    select.addEventListener('change', async () => {
+      if (!select.value || !requireAuth()) return;
+      try {
+        await apiCall(`/alerts/${select.dataset.alert}/snooze`, 'POST', { minutes: parseInt(select.value) });
+        await fetchState();
+        showToast('Alert snoozed', 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+function refreshAlertsIfOpen() {
+  const modal = document.getElementById('modal-alerts');
+  if (!modal || !modal.classList.contains('active')) return;
+  if (!document.getElementById('alerts-list').classList.contains('hidden')) renderAlertsList();
+}
+
+// Switch the alerts modal between the inbox and the rules
+async function toggleAlertRules() {
+  const rulesContainer = document.getElementById('alert-rules-container');
+  const showRules = rulesContainer.classList.contains('hidden');
+  rulesContainer.classList.toggle('hidden', !showRules);
+  document.getElementById('alerts-list').classList.toggle('hidden', showRules);
+  document.getElementById('alert-status-filter').classList.toggle('hidden', showRules);
+  document.getElementById('btn-alert-rules').textContent = showRules ? '🔔 Inbox' : '⚙️ Rules';
+  if (!showRules) {
+    renderAlertsList();
+    return;
+  }
+  try {
+    const data = await apiCall('/alerts/rules');
+    alertRules = data.rules;
+    renderAlertRules();
+  } catch (err) {
+    showToast(err.message || 'Failed to load alert rules', 'error');
+  }
+}
+
+function renderAlertRules() {
+  const container = document.getElementById('alert-rules-container');
+  if (!container || !alertRules) return;
+  const isAdmin = authState.user?.role === 'admin';
+  const disabled = isAdmin ? '' : ' disabled';
+
+  const rows = alertRules.map((rule, index) => `
+    <tr>
+      <td><input type="checkbox" data-index="${index}" data-field="enabled"${rule.enabled ? ' checked' : ''}${disabled}></td>
+      <td><input type="text" class="alert-rule-name" data-index="${index}" data-field="name" value="${escapeHtml(rule.name)}"${disabled}></td>
+      <td>
+        <select data-index="${index}" data-field="type"${disabled}>
+          ${Object.entries(ALERT_RULE_TYPES).map(([type, label]) => `<option value="${type}"${rule.type === type ? ' selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="number" min="1" data-index="${index}" data-field="minutes" value="${rule.minutes === null ? '' : rule.minutes}" placeholder="${rule.type === 'dwell' ? 'Dwell policy' : ''}"${disabled}></td>
+      <td>
+        <select data-index="${index}" data-field="severity"${disabled}>
+          ${['info', 'warning', 'error'].map(s => `<option value="${s}"${rule.severity === s ? ' selected' : ''}>${ALERT_SEVERITY_ICONS[s]} ${s}</option>`).join('')}
+        </select>
+      </td>
+      <td>${isAdmin ? `<button class="btn btn-sm btn-danger btn-delete-alert-rule" data-index="${index}" title="Remove rule">✕</button>` : ''}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <p class="queue-hint">Rules are checked every minute. A new alert pops up for everyone on the board and stays in the inbox until its condition clears. A dwell rule without minutes uses the dwell policy's violation time (or the customer's SLA).</p>
+    <table class="dwell-policy-table alert-rules-table">
+      <thead><tr><th>On</th><th>Name</th><th>When</th><th>Minutes</th><th>Severity</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="6">No rules - nothing will raise alerts.</td></tr>'}</tbody>
+    </table>
+    ${isAdmin ? `
+    <div class="form-actions">
+      <button type="button" id="btn-add-alert-rule" class="btn btn-secondary">+ Add Rule</button>
+      <button type="button" id="btn-save-alert-rules" class="btn btn-primary">Save Rules</button>
+    </div>` : '<p class="queue-hint">Only admins can change the alert rules.</p>'}
+  `;
+
+  container.querySelectorAll('[data-field]').forEach(input => {
+    input.addEventListener('change', () => {
+      const rule = alertRules[parseInt(input.dataset.index)];
+      const field = input.dataset.field;
+      if (field === 'enabled') rule.enabled = input.checked;
+      else if (field === 'minutes') rule.minutes = input.value === '' ? null : parseInt(input.value);
+      else rule[field] = input.value;
+      if (field === 'type') renderAlertRules();
+    });
+  });
+
+  container.querySelectorAll('.btn-delete-alert-rule').forEach(btn => {
+    btn.addEventListener('click', () => {
+      alertRules.splice(parseInt(btn.dataset.index), 1);
+      renderAlertRules();
+    });
+  });
+
+  document.getElementById('btn-add-alert-rule')?.addEventListener('click', () => {
+    alertRules.push({ name: '', type: 'dwell', minutes: 60, severity: 'warning', enabled: true });
+    renderAlertRules();
+  });
+
+  document.getElementById('btn-save-alert-rules')?.addEventListener('click', async () => {
+    try {
+      const data = await apiCall('/alerts/rules', 'PUT', { rules: alertRules });
+      alertRules = data.rules;
+      renderAlertRules();
+      showToast('Alert rules saved', 'success');
+    } catch (err) {
+      showToast(err.message || 'Failed to save alert rules', 'error');
+    }
+  });
+}
+
+// ============================================================================
+// Webhooks (admin only - subscriptions and their delivery log)
+// ============================================================================
+
+const WEBHOOK_DELIVERY_LABELS = { pending: 'Pending', delivered: 'Delivered', dead: 'Dead letter' };
+
+// Suggested event types from the server (any history action can be subscribed to)
+let webhookEventTypes = [];
+
+function openWebhooksModal() {
+  openModal('modal-webhooks');
+  document.getElementById('webhook-secret-notice').classList.add('hidden');
+  document.getElementById('webhooks-list').classList.remove('hidden');
+  document.getElementById('webhook-deliveries-list').classList.add('hidden');
+  document.getElementById('webhook-delivery-filter').classList.add('hidden');
+  document.getElementById('btn-add-webhook').classList.remove('hidden');
+  document.getElementById('btn-webhook-deliveries').textContent = '📜 Deliveries';
+  renderWebhooksList();
+}
+
+async function renderWebhooksList() {
+  const list = document.getElementById('webhooks-list');
+  if (!list) return;
+
+  let subscriptions;
+  try {
+    const data = await apiCall('/webhooks');
+    subscriptions = data.subscriptions;
+    webhookEventTypes = data.eventTypes;
+  } catch (err) {
+    list.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message || 'Failed to load webhooks')}</div>`;
+    return;
+  }
+
+  if (subscriptions.length === 0) {
+    list.innerHTML = '<div class="maintenance-empty">No webhooks yet - add one to send trailer events to another system</div>';
+    return;
+  }
+
+  list.innerHTML = subscriptions.map(s => {
+    const counts = s.deliveryCounts || {};
+    const events = s.events.includes('*') ? 'All events' : s.events.join(', ');
+    return `
+      <div class="carrier-item${s.enabled ? '' : ' item-disabled'}">
+        <div>
+          <span class="carrier-name">${escapeHtml(s.name)}${s.enabled ? '' : ' (disabled)'}</span>
+          <div class="carrier-code">${escapeHtml(s.url)}</div>
+          <div class="carrier-code">${escapeHtml(events)} · secret ${escapeHtml(s.secretHint || '–')}</div>
+          <div class="carrier-code">${counts.delivered || 0} delivered · ${counts.pending || 0} pending${counts.dead ? ` · <strong>${counts.dead} dead</strong>` : ''}</div>
+        </div>
+        <div class="carrier-actions">
+          <button class="btn-test-webhook" data-webhook="${s.id}" title="Send a test event"${s.enabled ? '' : ' disabled'}>📨</button>
+          <button class="btn-edit-webhook" data-webhook="${s.id}" title="Edit webhook">✏️</button>
+          <button class="btn-rotate-webhook" data-webhook="${s.id}" title="New secret">🔑</button>
+          <button class="btn-delete-webhook" data-webhook="${s.id}" title="Delete webhook">🗑️</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const findSubscription = (btn) => subscriptions.find(s => s.id === btn.dataset.webhook);
+
+  list.querySelectorAll('.btn-edit-webhook').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const subscription = findSubscription(btn);
+      if (subscription) openEditWebhookModal(subscription);
+    });
+  });
+
+  list.querySelectorAll('.btn-test-webhook').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await apiCall(`/webhooks/${btn.dataset.webhook}/test`, 'POST');
+        showToast('Test event queued - check the deliveries', 'success');
+        renderWebhooksList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+
+  list.querySelectorAll('.btn-rotate-webhook').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const subscription = findSubscription(btn);
+      if (!subscription) return;
+      if (!await showConfirmModal({ title: 'New Secret', html: `<p style="color: var(--text-secondary); margin: 0;">Give "<strong>${escapeHtml(subscription.name)}</strong>" a new secret? Deliveries are signed with it straight away, so the receiver must be updated.</p>`, type: 'warning', confirmText: 'Rotate', cancelText: 'Cancel' })) return;
+      try {
+        const data = await apiCall(`/webhooks/${subscription.id}`, 'PUT', { rotateSecret: true });
+        showWebhookSecret(data.subscription.name, data.secret);
+        renderWebhooksList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+
+  list.querySelectorAll('.btn-delete-webhook').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const subscription = findSubscription(btn);
+      if (!subscription) return;
+      if (!await showConfirmModal({ title: 'Delete Webhook', html: `<p style="color: var(--text-secondary); margin: 0;">Delete webhook "<strong>${escapeHtml(subscription.name)}</strong>"? Its pending deliveries are dropped.</p>`, type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+      try {
+        await apiCall(`/webhooks/${subscription.id}`, 'DELETE');
+        showToast('Webhook deleted', 'success');
+        renderWebhooksList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+// The secret is only returned when it's created or rotated, so show it once
+function showWebhookSecret(name, secret) {
+  const notice = document.getElementById('webhook-secret-notice');
+  notice.innerHTML = `
+    <div>Signing secret for <strong>${escapeHtml(name)}</strong> - copy it now, it won't be shown again:</div>
+    <code>${escapeHtml(secret)}</code>
+  `;
+  notice.classList.remove('hidden');
+}
+
+function openEditWebhookModal(subscription = null) {
+  document.getElementById('modal-edit-webhook')?.remove();
+  const events = subscription ? subscription.events : ['*'];
+  const allEvents = events.includes('*');
+  const otherEvents = events.filter(e => e !== '*' && !webhookEventTypes.includes(e));
+
+  const modal = document.createElement('div');
+  modal.id = 'modal-edit-webhook';
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width:640px;">
+      <div class="modal-header">
+        <h3>🔗 ${subscription ? escapeHtml(subscription.name) : 'New Webhook'}</h3>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="webhook-edit-name">Name *</label>
+          <input type="text" id="webhook-edit-name" value="${escapeHtml(subscription?.name || '')}">
+        </div>
+        <div class="form-group">
+          <label for="webhook-edit-url">URL *</label>
+          <input type="url" id="webhook-edit-url" value="${escapeHtml(subscription?.url || '')}" placeholder="https://example.com/dockboard-events">
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="webhook-edit-all"${allEvents ? ' checked' : ''}> All events</label>
+          <div id="webhook-edit-events" class="webhook-events${allEvents ? ' hidden' : ''}">
+            ${webhookEventTypes.map(e => `<label><input type="checkbox" value="${e}"${events.includes(e) ? ' checked' : ''}> ${e}</label>`).join('')}
+            <input type="text" id="webhook-edit-other" value="${escapeHtml(otherEvents.join(', '))}" placeholder="Other history actions, comma separated">
+          </div>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="webhook-edit-enabled"${!subscription || subscription.enabled ? ' checked' : ''}> Enabled</label>
+        </div>
+        <div class="modal-actions">
+          <button id="btn-save-webhook" class="btn btn-success">Save</button>
+          <button class="btn btn-secondary close-modal">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  openModal('modal-edit-webhook');
+
+  modal.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => { modal.remove(); });
+  });
+
+  const allCheckbox = document.getElementById('webhook-edit-all');
+  allCheckbox.addEventListener('change', () => {
+    document.getElementById('webhook-edit-events').classList.toggle('hidden', allCheckbox.checked);
+  });
+
+  document.getElementById('btn-save-webhook')?.addEventListener('click', async () => {
+    const name = document.getElementById('webhook-edit-name').value.trim();
+    const url = document.getElementById('webhook-edit-url').value.trim();
+    if (!name || !url) {
+      showToast('Name and URL are required', 'warning');
+      return;
+    }
+    const selected = allCheckbox.checked
+      ? ['*']
+      : [
+        ...Array.from(modal.querySelectorAll('#webhook-edit-events input[type="checkbox"]:checked')).map(input => input.value),
+        ...document.getElementById('webhook-edit-other').value.split(',').map(e => e.trim()).filter(Boolean),
+      ];
+    const body = { name, url, events: selected, enabled: document.getElementById('webhook-edit-enabled').checked };
+    try {
+      if (subscription) {
+        await apiCall(`/webhooks/${subscription.id}`, 'PUT', body);
+      } else {
+        const data = await apiCall('/webhooks', 'POST', body);
+        showWebhookSecret(data.subscription.name, data.secret);
+      }
+      showToast(`Webhook ${name} saved`, 'success');
+      modal.remove();
+      renderWebhooksList();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+// Switch the webhooks modal between the subscriptions and the delivery log
+function toggleWebhookDeliveries() {
+  const deliveriesList = document.getElementById('webhook-deliveries-list');
+  const showDeliveries = deliveriesList.classList.contains('hidden');
+  deliveriesList.classList.toggle('hidden', !showDeliveries);
+  document.getElementById('webhooks-list').classList.toggle('hidden', showDeliveries);
+  document.getElementById('webhook-delivery-filter').classList.toggle('hidden', !showDeliveries);
+  document.getElementById('btn-add-webhook').classList.toggle('hidden', showDeliveries);
+  document.getElementById('btn-webhook-deliveries').textContent = showDeliveries ? '🔗 Webhooks' : '📜 Deliveries';
+  if (showDeliveries) renderWebhookDeliveries();
+  else renderWebhooksList();
+}
+
+async function renderWebhookDeliveries() {
+  const list = document.getElementById('webhook-deliveries-list');
+  if (!list) return;
+  const status = document.getElementById('webhook-delivery-filter')?.value || '';
+
+  let deliveries, total;
+  try {
+    const data = await apiCall(`/webhooks/deliveries${status ? `?status=${status}` : ''}`);
+    deliveries = data.deliveries;
+    total = data.total;
+  } catch (err) {
+    list.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message || 'Failed to load deliveries')}</div>`;
+    return;
+  }
+
+  if (deliveries.length === 0) {
+    list.innerHTML = `<div class="maintenance-empty">${status ? `No ${WEBHOOK_DELIVERY_LABELS[status].toLowerCase()} deliveries` : 'Nothing sent yet'}</div>`;
+    return;
+  }
+
+  list.innerHTML = (total > deliveries.length ? `<p class="queue-hint">Newest ${deliveries.length} of ${total}</p>` : '') + deliveries.map(d => {
+    let detail = `${WEBHOOK_DELIVERY_LABELS[d.status]} · ${d.attempts} attempt${d.attempts !== 1 ? 's' : ''}`;
+    if (d.status === 'delivered') detail += ` · ${formatMaintenanceTime(d.deliveredAt)}`;
+    else if (d.status === 'pending' && d.nextAttemptAt) detail += ` · next ${formatMaintenanceTime(d.nextAttemptAt)}`;
+    if (d.status !== 'delivered' && (d.lastError || d.lastStatusCode)) detail += ` · ${escapeHtml(d.lastError || `HTTP ${d.lastStatusCode}`)}`;
+    return `
+      <div class="carrier-item webhook-delivery-${d.status}">
+        <div>
+          <span class="carrier-name">${escapeHtml(d.event)} → ${escapeHtml(d.subscriptionName)}</span>
+          <div class="carrier-code">Queued ${formatMaintenanceTime(d.createdAt)} · ${detail}</div>
+          <pre class="webhook-payload hidden" data-payload="${d.id}"></pre>
+        </div>
+        <div class="carrier-actions">
+          <button class="btn-show-payload" data-delivery="${d.id}" title="Show payload">🔍</button>
+          ${d.status === 'dead' ? `<button class="btn btn-sm btn-secondary btn-retry-delivery" data-delivery="${d.id}" title="Send again">↻ Retry</button>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.btn-show-payload').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const pre = list.querySelector(`[data-payload="${btn.dataset.delivery}"]`);
+      if (!pre.classList.contains('hidden')) {
+        pre.classList.add('hidden');
+        return;
+      }
+      try {
+        const data = await apiCall(`/webhooks/deliveries/${btn.dataset.delivery}`);
+        pre.textContent = JSON.stringify(data.delivery.payload, null, 2);
+        pre.classList.remove('hidden');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+
+  list.querySelectorAll('.btn-retry-delivery').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await apiCall(`/webhooks/deliveries/${btn.dataset.delivery}/retry`, 'POST');
+        showToast('Delivery queued again', 'success');
+        renderWebhookDeliveries();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+// ============================================================================
+// API Keys (admin only - keys for other systems calling the API)
+// ============================================================================
+
+// Scopes a key can be given ({ scope: description }, from the server)
+let apiKeyScopes = {};
+
+function openApiKeysModal() {
+  openModal('modal-api-keys');
+  document.getElementById('api-key-notice').classList.add('hidden');
+  renderApiKeysList();
+}
+
+async function renderApiKeysList() {
+  const list = document.getElementById('api-keys-list');
+  if (!list) return;
+
+  let keys;
+  try {
+    const data = await apiCall('/api-keys');
+    keys = data.keys;
+    apiKeyScopes = data.scopes;
+  } catch (err) {
+    list.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message || 'Failed to load API keys')}</div>`;
+    return;
+  }
+
+  if (keys.length === 0) {
+    list.innerHTML = '<div class="maintenance-empty">No API keys yet</div>';
+    return;
+  }
+
+  list.innerHTML = keys.map(k => `
+    <div class="carrier-item${k.enabled ? '' : ' item-disabled'}">
+      <div>
+        <span class="carrier-name">${escapeHtml(k.name)}${k.enabled ? '' : ' (disabled)'}</span>
+        <div class="carrier-code"><code>${escapeHtml(k.prefix)}…</code> · ${k.scopes.map(escapeHtml).join(', ')}</div>
+        <div class="carrier-code">Created ${formatMaintenanceTime(k.createdAt)}${k.createdBy ? ` by ${escapeHtml(k.createdBy)}` : ''}${k.rotatedAt ? ` · rotated ${formatMaintenanceTime(k.rotatedAt)}` : ''} · ${k.lastUsedAt ? `last used ${formatMaintenanceTime(k.lastUsedAt)}${k.lastUsedIp ? ` from ${escapeHtml(k.lastUsedIp)}` : ''}` : 'never used'}</div>
+      </div>
+      <div class="carrier-actions">
+        <button class="btn-edit-api-key" data-key="${k.id}" title="Edit API key">✏️</button>
+        <button class="btn-rotate-api-key" data-key="${k.id}" title="New key">🔄</button>
+        <button class="btn-delete-api-key" data-key="${k.id}" title="Revoke API key">🗑️</button>
+      </div>
+    </div>
+  `).join('');
+
+  const findKey = (btn) => keys.find(k => k.id === btn.dataset.key);
+
+  list.querySelectorAll('.btn-edit-api-key').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = findKey(btn);
+      if (key) openEditApiKeyModal(key);
+    });
+  });
+
+  list.querySelectorAll('.btn-rotate-api-key').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const key = findKey(btn);
+      if (!key) return;
+      if (!await showConfirmModal({ title: 'Rotate API Key', html: `<p style="color: var(--text-secondary); margin: 0;">Replace "<strong>${escapeHtml(key.name)}</strong>" with a new key? The current key stops working straight away.</p>`, type: 'warning', confirmText: 'Rotate', cancelText: 'Cancel' })) return;
+      try {
+        const data = await apiCall(`/api-keys/${key.id}`, 'PUT', { rotate: true });
+        showApiKeyValue(data.apiKey.name, data.key);
+        renderApiKeysList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+
+  list.querySelectorAll('.btn-delete-api-key').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const key = findKey(btn);
+      if (!key) return;
+      if (!await showConfirmModal({ title: 'Revoke API Key', html: `<p style="color: var(--text-secondary); margin: 0;">Revoke "<strong>${escapeHtml(key.name)}</strong>"? Systems using it lose access at once.</p>`, type: 'warning', confirmText: 'Revoke', cancelText: 'Cancel' })) return;
+      try {
+        await apiCall(`/api-keys/${key.id}`, 'DELETE');
+        showToast('API key revoked', 'success');
+        renderApiKeysList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
+}
+
+// The key is only returned when it's created or rotated, so show it once
+function showApiKeyValue(name, key) {
+  const notice = document.getElementById('api-key-notice');
+  notice.innerHTML = `
+    <div>API key for <strong>${escapeHtml(name)}</strong> - copy it now, it won't be shown again:</div>
+    <code>${escapeHtml(key)}</code>
+  `;
+  notice.classList.remove('hidden');
+}
+
+function openEditApiKeyModal(key = null) {
+  document.getElementById('modal-edit-api-key')?.remove();
+  const scopes = key ? key.scopes : [];
+
+  const modal = document.createElement('div');
+  modal.id = 'modal-edit-api-key';
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width:520px;">
+      <div class="modal-header">
+        <h3>🔑 ${key ? escapeHtml(key.name) : 'New API Key'}</h3>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="api-key-edit-name">Name *</label>
+          <input type="text" id="api-key-edit-name" value="${escapeHtml(key?.name || '')}" placeholder="e.g. TMS">
+        </div>
+        <div class="form-group">
+          <label>Allowed to</label>
+          <div id="api-key-edit-scopes" class="api-key-scopes">
+            ${Object.entries(apiKeyScopes).map(([scope, description]) => `<label><input type="checkbox" value="${scope}"${scopes.includes(scope) ? ' checked' : ''}> ${escapeHtml(description)} <code>${scope}</code></label>`).join('')}
+          </div>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="api-key-edit-enabled"${!key || key.enabled ? ' checked' : ''}> Enabled</label>
+        </div>
+        <div class="modal-actions">
+          <button id="btn-save-api-key" class="btn btn-success">Save</button>
+          <button class="btn btn-secondary close-modal">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  openModal('modal-edit-api-key');
+
+  modal.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => { modal.remove(); });
+  });
+
+  document.getElementById('btn-save-api-key')?.addEventListener('click', async () => {
+    const name = document.getElementById('api-key-edit-name').value.trim();
+    const selected = Array.from(modal.querySelectorAll('#api-key-edit-scopes input:checked')).map(input => input.value);
+    if (!name || selected.length === 0) {
+      showToast('A name and at least one permission are required', 'warning');
+      return;
+    }
+    const body = { name, scopes: selected, enabled: document.getElementById('api-key-edit-enabled').checked };
+    try {
+      if (key) {
+        await apiCall(`/api-keys/${key.id}`, 'PUT', body);
+      } else {
+        const data = await apiCall('/api-keys', 'POST', body);
+        showApiKeyValue(data.apiKey.name, data.key);
+      }
+      showToast(`API key ${name} saved`, 'success');
+      modal.remove();
+      renderApiKeysList();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// Scheduled Reports (admin only - exports e-mailed or saved on a schedule)
+// ============================================================================
 
-        if (!await showConfirmModal({ title: 'Mark as Shipped', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.5rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as shipped?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This will archive the trailer record.</p></div>`, type: 'info', confirmText: 'Ship', cancelText: 'Cancel' })) return;
+// What a report can be, from the server ({ exportTypes, mailConfigured, outputDir, timezone })
+let reportOptions = { exportTypes: {}, mailConfigured: false, outputDir: '', timezone: 'UTC' };
 
-        try {
-          await shipTrailer(trailerId);
-          showToast('Trailer marked as shipped', 'success');
-          loadUnassignedYard(search);
-        } catch (err) {
-          showToast(err.message || 'Failed to ship trailer', 'error');
-        }
-      });
-    });
+const REPORT_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-    // Add delete handlers
-    list.querySelectorAll('.btn-delete-unassigned').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const trailerId = btn.dataset.trailerId;
-        if (!trailerId) return;
+function describeReportSchedule(schedule) {
+  if (schedule.frequency === 'shift') return `At shift changes ${schedule.shiftTimes.join(', ')}`;
+  if (schedule.frequency === 'weekly') return `${REPORT_WEEKDAYS[schedule.weekday]}s at ${schedule.time}`;
+  return `Daily at ${schedule.time}`;
+}
 
-        const trailer = state.yardTrailers?.find(t => t.id === trailerId);
-        if (!trailer) return;
+function openReportsModal() {
+  openModal('modal-reports');
+  document.getElementById('reports-list').classList.remove('hidden');
+  document.getElementById('report-runs-list').classList.add('hidden');
+  document.getElementById('btn-add-report').classList.remove('hidden');
+  document.getElementById('btn-report-runs').textContent = '📜 Run Log';
+  renderReportsList();
+}
 
-        if (!await showConfirmModal({ title: 'Delete Trailer', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Delete trailer <strong>${trailer.number || trailer.carrier}</strong>?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This action cannot be undone.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+async function renderReportsList() {
+  const list = document.getElementById('reports-list');
+  if (!list) return;
 
-        try {
-          await deleteTrailer(trailerId);
-          showToast('Trailer deleted', 'success');
-          loadUnassignedYard(search);
-        } catch (err) {
-          showToast(err.message || 'Failed to delete trailer', 'error');
-        }
-      });
-    });
+  let reports;
+  try {
+    const data = await apiCall('/reports');
+    reports = data.reports;
+    reportOptions = data;
+  } catch (err) {
+    list.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message || 'Failed to load reports')}</div>`;
+    return;
+  }
 
-  } catch (error) {
-    console.error('Unassigned yard load error:', error);
-    list.innerHTML = '<div class="unassigned-empty">Failed to load unassigned yard</div>';
+  const hint = `<p class="queue-hint">Times are facility time (${escapeHtml(reportOptions.timezone)}). Saved reports go to ${escapeHtml(reportOptions.outputDir)}.${reportOptions.mailConfigured ? '' : ' No mail server is configured (SMTP_HOST), so e-mailed reports fail.'}</p>`;
+  if (reports.length === 0) {
+    list.innerHTML = hint + '<div class="maintenance-empty">No scheduled reports yet</div>';
+    return;
   }
-}
 
-// Move trailer from unassigned yard to staging
-async function moveTrailerToStaging(trailerId) {
-  // Use the staging POST endpoint
-  const trailer = state.yardTrailers.find(t => t.id === trailerId);
-  if (!trailer) throw new Error('Trailer not found');
+  list.innerHTML = hint + reports.map(r => {
+    const exportLabel = reportOptions.exportTypes[r.exportType]?.label || r.exportType;
+    const delivery = r.delivery.method === 'email' ? `E-mail to ${r.delivery.recipients.join(', ')}` : 'Saved to the reports folder';
+    const lastRun = r.lastRunAt ? ` · last ${r.lastRunStatus === 'success' ? '✓' : '✗'} ${formatMaintenanceTime(r.lastRunAt)}` : '';
+    return `
+      <div class="carrier-item${r.enabled ? '' : ' item-disabled'}">
+        <div>
+          <span class="carrier-name">${escapeHtml(r.name)}${r.enabled ? '' : ' (disabled)'}</span>
+          <div class="carrier-code">${escapeHtml(exportLabel)} · ${escapeHtml(describeReportSchedule(r.schedule))}</div>
+          <div class="carrier-code">${escapeHtml(delivery)}</div>
+          <div class="carrier-code">${r.nextRunAt ? `Next ${formatMaintenanceTime(r.nextRunAt)}` : 'Not scheduled'}${lastRun}</div>
+        </div>
+        <div class="carrier-actions">
+          <button class="btn-run-report" data-report="${r.id}" title="Run now">▶️</button>
+          <button class="btn-edit-report" data-report="${r.id}" title="Edit report">✏️</button>
+          <button class="btn-delete-report" data-report="${r.id}" title="Delete report">🗑️</button>
+        </div>
+      </div>
+    `;
+  }).join('');
 
-  const response = await apiCall('/staging', 'POST', {
-    number: trailer.number,
-    carrier: trailer.carrier,
-    status: trailer.status || 'loaded',
-    customer: trailer.customer,
-    loadNumber: trailer.loadNumber,
-    driverName: trailer.driverName,
-    driverPhone: trailer.driverPhone,
-    contents: trailer.contents,
-    isLive: trailer.isLive || false,
-    sourceId: trailerId // Tell backend to remove from yardTrailers
+  const findReport = (btn) => reports.find(r => r.id === btn.dataset.report);
+
+  list.querySelectorAll('.btn-edit-report').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const report = findReport(btn);
+      if (report) openEditReportModal(report);
+    });
   });
 
-  return response;
+  list.querySelectorAll('.btn-run-report').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        const data = await apiCall(`/reports/${btn.dataset.report}/run`, 'POST');
+        showToast(`Report sent to ${data.run.deliveredTo}`, 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+      renderReportsList();
+    });
+  });
+
+  list.querySelectorAll('.btn-delete-report').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const report = findReport(btn);
+      if (!report) return;
+      if (!await showConfirmModal({ title: 'Delete Report', html: `<p style="color: var(--text-secondary); margin: 0;">Delete scheduled report "<strong>${escapeHtml(report.name)}</strong>"? Its runs stay in the run log.</p>`, type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' })) return;
+      try {
+        await apiCall(`/reports/${report.id}`, 'DELETE');
+        showToast('Report deleted', 'success');
+        renderReportsList();
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+  });
 }
 
-// Add event listeners for unassigned yard search and refresh
-function setupUnassignedYardEvents() {
-  const searchInput = document.getElementById('unassigned-search');
-  const clearBtn = document.getElementById('unassigned-clear');
-  const refreshBtn = document.getElementById('unassigned-refresh');
+function openEditReportModal(report = null) {
+  document.getElementById('modal-edit-report')?.remove();
+  const schedule = report?.schedule || { frequency: 'daily', time: '06:00' };
+  const options = report?.options || {};
+  const recipients = report?.delivery.recipients || [];
 
-  let searchDebounce;
-  searchInput?.addEventListener('input', (e) => {
-    clearTimeout(searchDebounce);
-    searchDebounce = setTimeout(() => loadUnassignedYard(e.target.value), 300);
-  });
+  const modal = document.createElement('div');
+  modal.id = 'modal-edit-report';
+  modal.className = 'modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width:640px;">
+      <div class="modal-header">
+        <h3>📧 ${report ? escapeHtml(report.name) : 'New Report'}</h3>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="report-edit-name">Name *</label>
+          <input type="text" id="report-edit-name" value="${escapeHtml(report?.name || '')}">
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="report-edit-export">Export</label>
+            <select id="report-edit-export">
+              ${Object.entries(reportOptions.exportTypes).map(([type, { label }]) => `<option value="${type}"${report?.exportType === type ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group half" data-report-option="direction">
+            <label for="report-edit-direction">Direction</label>
+            <select id="report-edit-direction">
+              <option value="">Both</option>
+              <option value="inbound"${options.direction === 'inbound' ? ' selected' : ''}>Inbound</option>
+              <option value="outbound"${options.direction === 'outbound' ? ' selected' : ''}>Outbound</option>
+            </select>
+          </div>
+          <div class="form-group half" data-report-option="days">
+            <label for="report-edit-days">Days of data</label>
+            <input type="number" id="report-edit-days" min="1" max="90" value="${options.days || ''}" placeholder="1 (7 for weekly)">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="report-edit-frequency">Runs</label>
+            <select id="report-edit-frequency">
+              <option value="daily"${schedule.frequency === 'daily' ? ' selected' : ''}>Daily</option>
+              <option value="weekly"${schedule.frequency === 'weekly' ? ' selected' : ''}>Weekly</option>
+              <option value="shift"${schedule.frequency === 'shift' ? ' selected' : ''}>Every shift change</option>
+            </select>
+          </div>
+          <div class="form-group half" data-report-frequency="weekly">
+            <label for="report-edit-weekday">On</label>
+            <select id="report-edit-weekday">
+              ${REPORT_WEEKDAYS.map((day, i) => `<option value="${i}"${schedule.weekday === i ? ' selected' : ''}>${day}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group half" data-report-frequency="daily weekly">
+            <label for="report-edit-time">At (${escapeHtml(reportOptions.timezone)})</label>
+            <input type="time" id="report-edit-time" value="${schedule.time || '06:00'}">
+          </div>
+          <div class="form-group half" data-report-frequency="shift">
+            <label for="report-edit-shifts">Shift changes (${escapeHtml(reportOptions.timezone)})</label>
+            <input type="text" id="report-edit-shifts" value="${escapeHtml((schedule.shiftTimes || []).join(', '))}" placeholder="06:00, 14:00, 22:00">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="report-edit-method">Delivery</label>
+            <select id="report-edit-method">
+              <option value="email"${report?.delivery.method !== 'folder' ? ' selected' : ''}>E-mail</option>
+              <option value="folder"${report?.delivery.method === 'folder' ? ' selected' : ''}>Save to the reports folder</option>
+            </select>
+          </div>
+          <div class="form-group half" data-report-delivery="email">
+            <label for="report-edit-recipients">Recipients</label>
+            <input type="text" id="report-edit-recipients" value="${escapeHtml(recipients.join(', '))}" placeholder="ops@example.com, manager@example.com">
+          </div>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="report-edit-enabled"${!report || report.enabled ? ' checked' : ''}> Enabled</label>
+        </div>
+        <div class="modal-actions">
+          <button id="btn-save-report" class="btn btn-success">Save</button>
+          <button class="btn btn-secondary close-modal">Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  openModal('modal-edit-report');
 
-  clearBtn?.addEventListener('click', () => {
-    searchInput.value = '';
-    loadUnassignedYard('');
+  modal.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => { modal.remove(); });
   });
 
-  refreshBtn?.addEventListener('click', () => {
-    loadUnassignedYard(searchInput?.value || '');
-    showToast('Unassigned yard refreshed', 'success');
+  // Show only the fields the chosen export, schedule and delivery use
+  const exportSelect = document.getElementById('report-edit-export');
+  const frequencySelect = document.getElementById('report-edit-frequency');
+  const methodSelect = document.getElementById('report-edit-method');
+  const updateFields = () => {
+    const allowed = reportOptions.exportTypes[exportSelect.value]?.options || [];
+    modal.querySelectorAll('[data-report-option]').forEach(el => el.classList.toggle('hidden', !allowed.includes(el.dataset.reportOption)));
+    modal.querySelectorAll('[data-report-frequency]').forEach(el => el.classList.toggle('hidden', !el.dataset.reportFrequency.split(' ').includes(frequencySelect.value)));
+    modal.querySelectorAll('[data-report-delivery]').forEach(el => el.classList.toggle('hidden', el.dataset.reportDelivery !== methodSelect.value));
+  };
+  [exportSelect, frequencySelect, methodSelect].forEach(select => select.addEventListener('change', updateFields));
+  updateFields();
+
+  document.getElementById('btn-save-report')?.addEventListener('click', async () => {
+    const name = document.getElementById('report-edit-name').value.trim();
+    if (!name) {
+      showToast('Name is required', 'warning');
+      return;
+    }
+    const frequency = frequencySelect.value;
+    const list = (id) => document.getElementById(id).value.split(',').map(v => v.trim()).filter(Boolean);
+    const body = {
+      name,
+      exportType: exportSelect.value,
+      options: {
+        direction: document.getElementById('report-edit-direction').value || undefined,
+        days: document.getElementById('report-edit-days').value || undefined,
+      },
+      schedule: frequency === 'shift'
+        ? { frequency, shiftTimes: list('report-edit-shifts') }
+        : { frequency, time: document.getElementById('report-edit-time').value, weekday: parseInt(document.getElementById('report-edit-weekday').value, 10) },
+      delivery: { method: methodSelect.value, recipients: list('report-edit-recipients') },
+      enabled: document.getElementById('report-edit-enabled').checked,
+    };
+    try {
+      if (report) await apiCall(`/reports/${report.id}`, 'PUT', body);
+      else await apiCall('/reports', 'POST', body);
+      showToast(`Report ${name} saved`, 'success');
+      modal.remove();
+      renderReportsList();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
   });
 }
 
-function renderCarriersList(search = '') {
-  const favoritesContainer = document.getElementById('favorite-carriers');
-  const allContainer = document.getElementById('all-carriers');
-  
-  let carriers = state.carriers;
-  if (search) {
-    carriers = carriers.filter(c => c.name.toLowerCase().includes(search.toLowerCase()));
+// Switch the reports modal between the reports and their run log
+function toggleReportRuns() {
+  const runsList = document.getElementById('report-runs-list');
+  const showRuns = runsList.classList.contains('hidden');
+  runsList.classList.toggle('hidden', !showRuns);
+  document.getElementById('reports-list').classList.toggle('hidden', showRuns);
+  document.getElementById('btn-add-report').classList.toggle('hidden', showRuns);
+  document.getElementById('btn-report-runs').textContent = showRuns ? '📧 Reports' : '📜 Run Log';
+  if (showRuns) renderReportRuns();
+  else renderReportsList();
+}
+
+async function renderReportRuns() {
+  const list = document.getElementById('report-runs-list');
+  if (!list) return;
+
+  let runs, total;
+  try {
+    const data = await apiCall('/reports/runs');
+    runs = data.runs;
+    total = data.total;
+  } catch (err) {
+    list.innerHTML = `<div class="maintenance-empty">${escapeHtml(err.message || 'Failed to load the run log')}</div>`;
+    return;
   }
-  
-  const favorites = carriers.filter(c => c.favorite).sort((a,b) => a.name.localeCompare(b.name));
-  const others = carriers.filter(c => !c.favorite).sort((a,b) => a.name.localeCompare(b.name));
-  
-  const renderCarrier = (c) => `
-    <div class="carrier-item">
-      <span class="carrier-name">${c.name}${c.mcNumber ? ` (${c.mcNumber})` : ''}</span>
-      <div class="carrier-actions">
-        <button class="btn-favorite" data-carrier="${c.id}">${c.favorite ? '⭐' : '☆'}</button>
-        ${editMode ? `<button class="btn-delete-carrier" data-carrier="${c.id}" title="Delete carrier">🗑️</button>` : ''}
+
+  if (runs.length === 0) {
+    list.innerHTML = '<div class="maintenance-empty">No reports have run yet</div>';
+    return;
+  }
+
+  list.innerHTML = (total > runs.length ? `<p class="queue-hint">Newest ${runs.length} of ${total}</p>` : '') + runs.map(r => `
+    <div class="carrier-item${r.status === 'failed' ? ' report-run-failed' : ''}">
+      <div>
+        <span class="carrier-name">${r.status === 'success' ? '✓' : '✗'} ${escapeHtml(r.reportName)}</span>
+        <div class="carrier-code">${formatMaintenanceTime(r.startedAt)} · ${r.trigger === 'manual' ? `run by ${escapeHtml(r.triggeredBy || 'someone')}` : 'scheduled'}${r.filename ? ` · ${escapeHtml(r.filename)} (${Math.ceil(r.size / 1024)} KB)` : ''}</div>
+        <div class="carrier-code">${r.status === 'success' ? `→ ${escapeHtml(r.deliveredTo)}` : escapeHtml(r.error || 'Failed')}</div>
       </div>
     </div>
-  `;
-  
-  if (favoritesContainer) favoritesContainer.innerHTML = favorites.map(renderCarrier).join('');
-  if (allContainer) allContainer.innerHTML = others.map(renderCarrier).join('');
-  
-  document.querySelectorAll('.btn-favorite').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      const carrierId = e.target.dataset.carrier;
-      const carrier = state.carriers.find(c => c.id === carrierId);
-      if (carrier) {
-        try {
-          await apiCall(`/carriers/${carrierId}/favorite`, 'PUT', { favorite: !carrier.favorite });
-          await fetchState();
-          renderCarriersList(search);
-        } catch (err) {
-          showToast(err.message, 'error');
-        }
-      }
-    });
-  });
-  
-  // Delete carrier handler
-  document.querySelectorAll('.btn-delete-carrier').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      const carrierId = e.target.dataset.carrier;
-      const carrier = state.carriers.find(c => c.id === carrierId);
-      if (!carrier) return;
-      
-      // Check if carrier is in use
-      const inUse = state.trailers.some(t => t.carrier === carrier.name) || 
-                    state.yardTrailers.some(t => t.carrier === carrier.name);
-      if (inUse) {
-        showToast('Cannot delete: carrier is assigned to trailers', 'error');
-        return;
-      }
-      
-      if (!await showConfirmModal({ title: 'Delete Carrier', html: `<p style="color: var(--text-secondary); margin: 0;">Delete carrier "<strong>${carrier.name}</strong>"?</p>`, type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' })) return;
-      
-      try {
-        await apiCall(`/carriers/${carrierId}`, 'DELETE');
-        await fetchState();
-        renderCarriersList(search);
-        showToast('Carrier deleted', 'success');
-      } catch (err) {
-        showToast(err.message, 'error');
-      }
-    });
-  });
+  `).join('');
 }
 
 // ============================================================================
@@ -7289,6 +10088,7 @@ function openDoorEditor(doorId) {
   const modal = document.createElement('div');
   modal.className = 'modal active';
   modal.id = 'modal-door-edit';
+  modal.dataset.doorId = doorId;
   modal.innerHTML = `
     <div class="modal-content">
       <div class="modal-header">
@@ -7331,6 +10131,35 @@ function openDoorEditor(doorId) {
           <input type="number" id="door-number" value="${door.number}" class="${door.labelText ? 'hidden' : ''}">
           <input type="text" id="door-label-text" value="${door.labelText || ''}" placeholder="e.g. RAMP" class="${!door.labelText ? 'hidden' : ''}" maxlength="10">
         </div>
+
+        <!-- Dock direction (automatic queue assignment only brings matching trailers) -->
+        <div class="form-group">
+          <label class="section-label" for="door-direction">Dock Direction</label>
+          <select id="door-direction">
+            <option value="" ${!door.direction ? 'selected' : ''}>Any</option>
+            <option value="inbound" ${door.direction === 'inbound' ? 'selected' : ''}>Inbound only</option>
+            <option value="outbound" ${door.direction === 'outbound' ? 'selected' : ''}>Outbound only</option>
+          </select>
+        </div>
+
+        <!-- Door attributes (trailers needing what the door lacks can't be placed here) -->
+        <div class="form-group">
+          <label class="section-label">Door Attributes</label>
+          ${constraintFieldsHtml(DOOR_ATTRIBUTE_FIELDS, door.attributes, 'door-attr')}
+        </div>
+
+        <!-- Maintenance windows (the door is out of service while one runs) -->
+        <div class="form-group">
+          <label class="section-label">Maintenance</label>
+          <div id="door-maintenance-list" class="maintenance-list"></div>
+          <div class="maintenance-form">
+            <label>From <input type="datetime-local" id="maintenance-start"></label>
+            <label>Until <input type="datetime-local" id="maintenance-end"></label>
+            <input type="text" id="maintenance-reason" placeholder="Reason (e.g. leveler repair)" maxlength="200">
+            <input type="text" id="maintenance-requested-by" placeholder="Requested by (defaults to you)" maxlength="60">
+            <button type="button" id="btn-schedule-maintenance" class="btn btn-small btn-secondary">🛠️ Schedule Maintenance</button>
+          </div>
+        </div>
         
         <div class="modal-actions">
           <button id="btn-save-door" class="btn btn-primary">💾 Save Changes</button>
@@ -7382,6 +10211,50 @@ function openDoorEditor(doorId) {
   
   // Sanitize text input
   setupInputSanitization(textInput);
+  setupInputSanitization(document.getElementById('maintenance-reason'));
+  setupInputSanitization(document.getElementById('maintenance-requested-by'));
+
+  // Maintenance: keep the door type buttons in line with what the server did
+  modal.onMaintenanceChange = (maintenance) => {
+    if (maintenance.status === 'active') selectedType = 'out-of-service';
+    else if (maintenance.status === 'completed' && selectedType === 'out-of-service' && !maintenance.previouslyOutOfService) selectedType = 'normal';
+    updateTypeButtonStyles();
+  };
+  renderDoorMaintenanceList(doorId, modal.onMaintenanceChange);
+
+  const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  const nextHour = new Date();
+  nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+  document.getElementById('maintenance-start').value = toLocalInput(nextHour);
+  document.getElementById('maintenance-end').value = toLocalInput(new Date(nextHour.getTime() + 2 * 60 * 60 * 1000));
+
+  document.getElementById('btn-schedule-maintenance')?.addEventListener('click', async () => {
+    const start = document.getElementById('maintenance-start').value;
+    const end = document.getElementById('maintenance-end').value;
+    const reason = document.getElementById('maintenance-reason').value.trim();
+    const requestedBy = document.getElementById('maintenance-requested-by').value.trim();
+    if (!start || !end || !reason) {
+      showToast('Start, end and reason are required', 'warning');
+      return;
+    }
+    try {
+      const result = await apiCall('/maintenance-windows', 'POST', {
+        doorId,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        reason,
+        ...(requestedBy && { requestedBy })
+      });
+      showToast(result.window.status === 'active' ? `Door ${door.number} is out of service for maintenance` : 'Maintenance scheduled', 'success');
+      if (result.warning) showToast(result.warning, 'warning');
+      document.getElementById('maintenance-reason').value = '';
+      modal.onMaintenanceChange(result.window);
+      await fetchState();
+      renderDoorMaintenanceList(doorId, modal.onMaintenanceChange);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
   
   modal.querySelectorAll('.close-modal').forEach(btn => {
     btn.addEventListener('click', () => modal.remove());
@@ -7404,12 +10277,15 @@ function openDoorEditor(doorId) {
       inService: selectedType !== 'out-of-service',
       type: selectedType === 'blank' ? 'blank' : 'normal',
       number,
-      labelText: labelText || null
+      labelText: labelText || null,
+      direction: document.getElementById('door-direction')?.value || null,
+      attributes: readConstraintFields(DOOR_ATTRIBUTE_FIELDS, 'door-attr')
     };
     
     try {
-      await updateDoor(doorId, updates);
+      const result = await updateDoor(doorId, updates);
       showToast('Door updated', 'success');
+      announceAutoAssigned(result);
       modal.remove();
       fetchState();
     } catch (error) {
@@ -7763,16 +10639,17 @@ function openTrailerEditModal(trailerId) {
   const location = trailer.doorNumber ? `Door ${trailer.doorNumber}` :
                    trailer.yardSlotNumber ? `Yard Spot ${trailer.yardSlotNumber}` :
                    inStaging ? '⭐ Staging' :
-                   inQueue ? `⏳ Queue (Door ${inQueue.targetDoorNumber})` :
+                   inQueue ? `⏳ Queue (${queueTargetLabel(inQueue)})` :
                    inAppt ? `📅 Appointment (${inAppt.appointmentTime || 'TBD'})` :
                    'Unassigned Yard';
   
-  const dwellHours = getDwellTimeHours(trailer.createdAt);
+  const dwellHours = getDwellTimeHours(trailer);
   const dwellInfo = dwellHours !== null ? `⏱️ Dwell time: ${dwellHours} hour${dwellHours !== 1 ? 's' : ''}` : '';
 
   const modal = document.createElement('div');
   modal.className = 'modal active';
   modal.id = 'modal-trailer-edit';
+  modal.dataset.trailerId = trailerId;
   const isShipped = trailer.location === 'shipped';
   const isReceived = trailer.location === 'received';
   const isArchived = isShipped || isReceived;
@@ -7793,15 +10670,17 @@ function openTrailerEditModal(trailerId) {
         <div class="preview-carrier">${trailer.carrier}</div>
         ${trailer.isLive ? `<div class="preview-live" style="color:#ef4444;font-weight:bold;font-size:1.2em;margin:5px 0;">🔴 LIVE LOAD/UNLOAD</div>` : ''}
         <div class="preview-location">📍 ${location}</div>
-        ${dwellInfo ? `<div class="preview-dwell ${getDwellTimeClass(trailer.createdAt)}">${dwellInfo}</div>` : ''}
+        ${dwellInfo ? `<div class="preview-dwell ${getDwellTimeClass(trailer)}">${dwellInfo}</div>` : ''}
         <button id="btn-reset-dwell" class="btn btn-small btn-secondary" title="Reset dwell time to now">🔄 Reset Dwell Time</button>
       </div>
+      <div id="trailer-edit-presence" class="presence-warning hidden"></div>
+      ${!isArchived && !trailer.doorNumber ? '<div id="trailer-door-suggestions" class="door-suggestions hidden"></div>' : ''}
       <div class="modal-body">
         <div class="trailer-edit-sections">
           <div class="edit-section">
             <div class="form-group${isShipped ? ' disabled-field' : ''}">
               <label>Customer</label>
-              <input type="text" id="edit-trailer-customer" value="${trailer.customer || ''}" placeholder="Customer name (optional)"${isShipped ? ' disabled="disabled"' : ''}>
+              <input type="text" id="edit-trailer-customer" list="customer-names" value="${trailer.customer || ''}" placeholder="Customer name (optional)"${isShipped ? ' disabled="disabled"' : ''}>
             </div>
             <div class="form-group carrier-autocomplete${isArchived ? ' disabled-field' : ''}">
               <label>Carrier</label>
@@ -7866,6 +10745,15 @@ function openTrailerEditModal(trailerId) {
               <label>Notes</label>
               <textarea id="edit-trailer-notes" rows="2" placeholder="Optional notes..."${isShipped ? ' disabled="disabled"' : ''}>${trailer.contents || ''}</textarea>
             </div>
+            ${!isArchived ? `
+            <div class="form-group">
+              <label>Requirements</label>
+              ${constraintFieldsHtml(TRAILER_REQUIREMENT_FIELDS, trailer.requirements, 'edit-trailer-req')}
+            </div>` : trailer.requirements ? `
+            <div class="form-group disabled-field">
+              <label>Requirements</label>
+              <div>${describeConstraints(trailer.requirements)}</div>
+            </div>` : ''}
           </div>
           <div class="timeline-section">
             <h4>📜 Movement Timeline</h4>
@@ -7887,9 +10775,20 @@ function openTrailerEditModal(trailerId) {
   `;
   
   document.body.appendChild(modal);
+
+  // Let others see we have this trailer open; cleared when the modal is removed
+  setPresenceActivity({ entityType: 'trailer', entityId: trailerId, mode: isArchived ? 'view' : 'edit' });
+  updateTrailerEditPresence();
+  const presenceObserver = new MutationObserver(() => {
+    if (modal.isConnected) return;
+    presenceObserver.disconnect();
+    if (presenceActivity?.entityId === trailerId) setPresenceActivity(null);
+  });
+  presenceObserver.observe(document.body, { childList: true });
   
   // Load timeline
   loadTrailerTimeline(trailerId);
+  loadDoorSuggestions(document.getElementById('trailer-door-suggestions'), trailerId, () => modal.remove());
   
   // Initialize inbound styling on toggles if trailer is inbound
   if (isInbound) {
@@ -8017,6 +10916,8 @@ function openTrailerEditModal(trailerId) {
     if (newValues.appointmentTime !== (trailer.appointmentTime || null)) updates.appointmentTime = newValues.appointmentTime;
     if (newValues.loadNumber !== (trailer.loadNumber || null)) updates.loadNumber = newValues.loadNumber;
     if (newValues.number !== (trailer.number || null)) updates.number = newValues.number;
+    const requirements = readConstraintFields(TRAILER_REQUIREMENT_FIELDS, 'edit-trailer-req');
+    if (describeConstraints(requirements) !== describeConstraints(trailer.requirements)) updates.requirements = requirements;
 
     if (Object.keys(updates).length === 0) {
       modal.remove();
@@ -8039,12 +10940,13 @@ function openTrailerEditModal(trailerId) {
     const trailerName = trailer.number || trailer.carrier;
     const displayName = decodeHtml(trailerName);
     
-    if (!await showConfirmModal({ title: 'Delete Trailer', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Delete trailer <strong>${displayName}</strong>?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This action cannot be undone.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) {
+    if (!await showConfirmModal({ title: 'Delete Trailer', html: `<div style="text-align: center;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Delete trailer <strong>${displayName}</strong>?</p><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">It can be restored from the Trash.</p></div>`, type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' })) {
       return;
     }
     try {
-      await deleteTrailer(trailerId);
+      const result = await deleteTrailer(trailerId);
       showToast('Trailer deleted', 'success');
+      announceAutoAssigned(result);
       modal.remove();
       fetchState();
     } catch (error) {
@@ -8054,12 +10956,13 @@ function openTrailerEditModal(trailerId) {
   
   // Ship trailer handler
   document.getElementById('btn-ship-trailer')?.addEventListener('click', async () => {
-    if (!await showConfirmModal({ title: 'Ship Trailer', html: `<div style="text-align: left;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as shipped?</p><ul style="margin: 0 0 1rem 0; padding-left: 1.25rem; color: var(--text-secondary); line-height: 1.6; font-size: 0.875rem;"><li>Removed from active view</li><li>Preserved in history</li><li>Searchable by number/load</li><li>Reusable if it returns</li></ul><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This action cannot be undone.</p></div>`, type: 'info', confirmText: 'Ship', cancelText: 'Cancel' })) {
+    if (!await showConfirmModal({ title: 'Ship Trailer', html: `<div style="text-align: left;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as shipped?</p><ul style="margin: 0 0 1rem 0; padding-left: 1.25rem; color: var(--text-secondary); line-height: 1.6; font-size: 0.875rem;"><li>Removed from active view</li><li>Preserved in history</li><li>Searchable by number/load</li><li>Reusable if it returns</li></ul><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">You can reverse this with Undo.</p></div>`, type: 'info', confirmText: 'Ship', cancelText: 'Cancel' })) {
       return;
     }
     try {
-      await shipTrailer(trailerId);
+      const result = await shipTrailer(trailerId);
       showToast('Trailer marked as shipped', 'success');
+      announceAutoAssigned(result);
       modal.remove();
       fetchState();
     } catch (error) {
@@ -8069,12 +10972,13 @@ function openTrailerEditModal(trailerId) {
 
   // Receive trailer handler
   document.getElementById('btn-receive-trailer')?.addEventListener('click', async () => {
-    if (!await showConfirmModal({ title: 'Receive Trailer', html: `<div style="text-align: left;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as received?</p><ul style="margin: 0 0 1rem 0; padding-left: 1.25rem; color: var(--text-secondary); line-height: 1.6; font-size: 0.875rem;"><li>Removed from active view</li><li>Preserved in history</li><li>Searchable by number/load</li><li>Reusable if it returns</li></ul><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">This action cannot be undone.</p></div>`, type: 'info', confirmText: 'Receive', cancelText: 'Cancel' })) {
+    if (!await showConfirmModal({ title: 'Receive Trailer', html: `<div style="text-align: left;"><p style="color: var(--text-secondary); margin: 0 0 0.75rem 0;">Mark trailer <strong>${trailer.number || trailer.carrier}</strong> as received?</p><ul style="margin: 0 0 1rem 0; padding-left: 1.25rem; color: var(--text-secondary); line-height: 1.6; font-size: 0.875rem;"><li>Removed from active view</li><li>Preserved in history</li><li>Searchable by number/load</li><li>Reusable if it returns</li></ul><p style="color: var(--text-muted); margin: 0; font-size: 0.875rem;">You can reverse this with Undo.</p></div>`, type: 'info', confirmText: 'Receive', cancelText: 'Cancel' })) {
       return;
     }
     try {
-      await receiveTrailer(trailerId);
+      const result = await receiveTrailer(trailerId);
       showToast('Trailer marked as received', 'success');
+      announceAutoAssigned(result);
       modal.remove();
       fetchState();
     } catch (error) {
@@ -8836,9 +11740,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
   document.getElementById('btn-view-shipped')?.addEventListener('click', () => { openModal('modal-shipped'); loadShipped(); });
   document.getElementById('btn-view-received')?.addEventListener('click', () => { openModal('modal-received'); loadReceived(); });
+  document.getElementById('btn-view-appointments')?.addEventListener('click', () => { if (requireAuth()) openAppointmentsModal(); });
+  document.getElementById('btn-view-trash')?.addEventListener('click', () => { if (requireAuth()) { openModal('modal-trash'); loadTrash(document.getElementById('trash-search')?.value || ''); } });
   document.getElementById('btn-view-unassigned')?.addEventListener('click', () => { if (requireAuth()) { openModal('modal-unassigned'); loadUnassignedYard(); setupUnassignedYardEvents(); } });
   document.getElementById('btn-analytics')?.addEventListener('click', () => { if (requireAuth()) showAnalyticsModal(); });
   document.getElementById('btn-manage-carriers')?.addEventListener('click', () => { if (requireAuth()) { openModal('modal-carriers'); renderCarriersList(); } });
+  document.getElementById('btn-manage-customers')?.addEventListener('click', () => { if (requireAuth()) openCustomersModal(); });
+  document.getElementById('btn-import-trailers')?.addEventListener('click', () => { if (requireAuth()) openImportModal(); });
+  document.getElementById('import-file')?.addEventListener('change', readImportFile);
+  document.getElementById('import-direction')?.addEventListener('change', () => previewImport());
+  document.getElementById('btn-import-commit')?.addEventListener('click', commitImport);
+  document.getElementById('btn-view-alerts')?.addEventListener('click', () => { if (requireAuth()) openAlertsModal(); });
+  document.getElementById('btn-alert-rules')?.addEventListener('click', toggleAlertRules);
+  document.getElementById('alert-status-filter')?.addEventListener('change', renderAlertsList);
+  document.getElementById('btn-add-webhook')?.addEventListener('click', () => openEditWebhookModal());
+  document.getElementById('btn-webhook-deliveries')?.addEventListener('click', toggleWebhookDeliveries);
+  document.getElementById('webhook-delivery-filter')?.addEventListener('change', renderWebhookDeliveries);
+  document.getElementById('btn-add-api-key')?.addEventListener('click', () => openEditApiKeyModal());
+  document.getElementById('btn-add-report')?.addEventListener('click', () => openEditReportModal());
+  document.getElementById('btn-report-runs')?.addEventListener('click', toggleReportRuns);
+  document.getElementById('btn-add-customer')?.addEventListener('click', () => openEditCustomerModal());
+  document.getElementById('customer-search')?.addEventListener('input', (e) => renderCustomersList(e.target.value));
   document.getElementById('btn-settings')?.addEventListener('click', () => { if (requireAuth()) openSettingsModal(); });
 
   // Modal close buttons (CSP compliance - no inline onclick)
@@ -8887,6 +11809,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (requireAuth()) openUsersManagementModal();
   });
 
+  document.getElementById('btn-manage-webhooks')?.addEventListener('click', () => {
+    userDropdown?.classList.add('hidden');
+    if (requireAuth()) openWebhooksModal();
+  });
+
+  document.getElementById('btn-manage-api-keys')?.addEventListener('click', () => {
+    userDropdown?.classList.add('hidden');
+    if (requireAuth()) openApiKeysModal();
+  });
+
+  document.getElementById('btn-manage-reports')?.addEventListener('click', () => {
+    userDropdown?.classList.add('hidden');
+    if (requireAuth()) openReportsModal();
+  });
+
   document.getElementById('btn-manage-facilities')?.addEventListener('click', () => {
     userDropdown?.classList.add('hidden');
     if (requireAuth()) openFacilitiesManagementModal();
@@ -1,21 +1,26 @@
 // Simple standalone script to fetch list
 function switchTab(tab) {
-    document.getElementById('tab-create').style.display = tab === 'create' ? 'block' : 'none';
-    document.getElementById('tab-browse').style.display = tab === 'browse' ? 'block' : 'none';
-
-    // Update active state on tab buttons
-    const buttons = document.querySelectorAll('.search-tab');
-    buttons.forEach((btn, index) => {
-        if (index === 0) {
-            // Create tab
-            btn.classList.toggle('active', tab === 'create');
-        } else {
-            // Browse tab
-            btn.classList.toggle('active', tab === 'browse');
-        }
+    ['create', 'browse', 'schedule'].forEach(name => {
+        document.getElementById(`tab-${name}`).style.display = tab === name ? 'block' : 'none';
+        // Update active state on tab buttons
+        document.getElementById(`tab-btn-${name}`).classList.toggle('active', tab === name);
     });
 
     if (tab === 'browse') loadFiles();
+    if (tab === 'schedule') loadPolicy();
+}
+
+// How each kind of archive is labelled in the list
+const TRIGGER_LABELS = { manual: 'Manual', hourly: 'Hourly', nightly: 'Nightly', 'before-restore': 'Before restore' };
+
+function integrityBadge(f) {
+    if (f.integrity === 'corrupted') {
+        return `<span style="background:var(--danger); color:white; padding:2px 8px; border-radius:4px; font-size:0.75rem;" title="${f.problem || ''}">⚠️ Corrupted: ${f.problem || 'unreadable'}</span>`;
+    }
+    if (f.integrity === 'ok') {
+        return '<span style="color:var(--success); font-size:0.75rem;" title="Checksum verified">✓ Verified</span>';
+    }
+    return '<span style="color:var(--text-muted); font-size:0.75rem;" title="Older archive without a checksum">No checksum</span>';
 }
 
 async function loadFiles() {
@@ -44,6 +49,11 @@ async function loadFiles() {
         const sortedGroups = Object.keys(grouped).sort().reverse();
 
         let html = '';
+        if (data.corrupted > 0) {
+            html += `<div style="margin-bottom:1rem; padding:0.75rem; background:var(--bg-primary); border-radius:var(--radius-md); border-left:4px solid var(--danger);">`;
+            html += `⚠️ <strong>${data.corrupted} archive${data.corrupted > 1 ? 's are' : ' is'} corrupted</strong> and can't be restored.`;
+            html += `</div>`;
+        }
         sortedGroups.forEach(yearMonth => {
             const [year, month] = yearMonth.split(' / ');
             html += `<div class="archive-month-group" style="margin-bottom:1.5rem;">`;
@@ -64,10 +74,11 @@ async function loadFiles() {
                 html += `${facilityBadge}`;
                 html += `<span style="font-weight:500;">${f.name}</span>`;
                 html += `</div>`;
-                html += `<span style="color:var(--text-muted); font-size:0.8rem;">${date} • ${(f.size/1024).toFixed(1)} KB</span>`;
+                html += `<span style="color:var(--text-muted); font-size:0.8rem;">${date} • ${(f.size/1024).toFixed(1)} KB${f.trigger ? ` • ${TRIGGER_LABELS[f.trigger] || f.trigger}` : ''} • ${integrityBadge(f)}</span>`;
                 html += `</div>`;
                 html += `<div style="display:flex; gap:0.5rem;">`;
-                html += `<button class="btn btn-small btn-primary archive-action-btn" data-action="restore" data-filename="${encodeURIComponent(f.name)}">🔄 Restore</button>`;
+                html += `<button class="btn btn-small btn-primary archive-action-btn" data-action="restore" data-filename="${encodeURIComponent(f.name)}"${f.integrity === 'corrupted' ? ' disabled title="Corrupted archives can\'t be restored"' : ''}>🔄 Restore</button>`;
+                html += `<button class="btn btn-small btn-secondary archive-action-btn" data-action="compare" data-filename="${encodeURIComponent(f.name)}"${f.integrity === 'corrupted' ? ' disabled' : ''}>🔍 Compare</button>`;
                 html += `<button class="btn btn-small btn-secondary archive-action-btn" data-action="download" data-filename="${encodeURIComponent(f.name)}">⬇️ Download</button>`;
                 html += `<button class="btn btn-small btn-danger archive-action-btn" data-action="delete" data-filename="${encodeURIComponent(f.name)}">🗑️ Delete</button>`;
                 html += `</div>`;
@@ -161,7 +172,8 @@ async function createArchive() {
 }
 
 async function downloadArchive(encodedFilename) {
-    const filename = decodeURIComponent(encodedFilename);
+    // Gzipped archives download as plain JSON
+    const filename = decodeURIComponent(encodedFilename).replace(/\.gz$/, '');
     try {
         const res = await fetch(`/api/archives/${encodedFilename}`, {
             headers: { 'Authorization': 'Bearer ' + localStorage.getItem('dockboard_token') }
@@ -255,8 +267,10 @@ async function handleArchiveUpload(input) {
     resultDiv.innerHTML = '<p style="color:var(--text-secondary)">Reading file...</p>';
 
     try {
-        // Read file
-        const text = await file.text();
+        // Read file (gzipped archives are unpacked here)
+        const text = file.name.endsWith('.gz')
+            ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+            : await file.text();
         let data;
         try {
             data = JSON.parse(text);
@@ -351,7 +365,7 @@ async function performRestore(data, confirmed = false) {
                 Doors: ${result.doors}<br>
                 Trailers: ${result.trailers}<br>
                 Yard Slots: ${result.yardSlots}<br>
-                <small>Backup created: ${result.backupCreated}</small>
+                <small>Backup created: ${result.backupCreated || 'none (turned off in the schedule)'}</small>
                 ${sourceInfo}
             </div>`;
         // Reload page after 2 seconds
@@ -361,6 +375,219 @@ async function performRestore(data, confirmed = false) {
     }
 }
 
+// Compare an archive with the board and bring back chosen parts of it
+const SECTION_LABELS = { doors: 'Doors', yardSlots: 'Yard Slots', trailers: 'Trailers', carriers: 'Carriers', queues: 'Queues' };
+let compareFilename = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function diffValue(value) {
+    if (value === null || value === undefined || value === '') return '<em style="color:var(--text-muted);">none</em>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+async function compareArchive(encodedFilename) {
+    compareFilename = decodeURIComponent(encodedFilename);
+    const panel = document.getElementById('compare-panel');
+    panel.style.display = 'block';
+    panel.innerHTML = '<p style="color:var(--text-secondary)">Comparing with the current board...</p>';
+    panel.scrollIntoView({ behavior: 'smooth' });
+
+    try {
+        const res = await fetch('/api/archives/diff', {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Bearer ' + localStorage.getItem('dockboard_token'),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ filename: compareFilename })
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Compare failed');
+        renderDiff(result);
+    } catch (e) {
+        panel.innerHTML = `<p style="color:#ef4444;">❌ Error: ${e.message}</p>`;
+    }
+}
+
+function renderDiff({ archive, sections, diff }) {
+    const created = archive.createdAt ? new Date(archive.createdAt).toLocaleString() : archive.filename;
+    let html = `<div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">`;
+    html += `<h3 style="color:var(--text-primary);">🔍 Archive of ${escapeHtml(created)} vs. now</h3>`;
+    html += `<button class="btn btn-small btn-text" id="btn-close-compare">✕ Close</button>`;
+    html += `</div>`;
+
+    let differences = 0;
+    sections.forEach(section => {
+        const { missing, changed, extra } = diff[section];
+        const count = missing.length + changed.length + extra.length;
+        differences += count;
+
+        html += `<div style="margin-bottom:1rem; padding:0.75rem; background:var(--bg-primary); border-radius:var(--radius-md);">`;
+        html += `<label style="font-weight:600;">`;
+        html += missing.length + changed.length > 0 ? `<input type="checkbox" class="compare-section" data-section="${section}"> ` : '';
+        html += `${SECTION_LABELS[section]} <span style="color:var(--text-muted); font-weight:normal; font-size:0.85rem;">(${count === 0 ? 'no differences' : `${missing.length} missing, ${changed.length} changed, ${extra.length} new`})</span></label>`;
+
+        missing.forEach(item => {
+            html += `<div style="padding:0.25rem 0 0.25rem 1.5rem;"><label><input type="checkbox" class="compare-item" data-section="${section}" data-id="${escapeHtml(item.id)}"> `;
+            html += `<span style="color:#4ade80;">＋</span> ${escapeHtml(item.label)}${item.location ? ` <span style="color:var(--text-muted); font-size:0.85rem;">(was at ${escapeHtml(item.location)})</span>` : ''}</label></div>`;
+        });
+        changed.forEach(item => {
+            html += `<div style="padding:0.25rem 0 0.25rem 1.5rem;"><label><input type="checkbox" class="compare-item" data-section="${section}" data-id="${escapeHtml(item.id)}"> `;
+            html += `<span style="color:#f59e0b;">✎</span> ${escapeHtml(item.label)}</label>`;
+            item.fields.forEach(f => {
+                html += `<div style="padding-left:2rem; font-size:0.85rem; color:var(--text-secondary);">${escapeHtml(f.field)}: ${diffValue(f.archive)} → now ${diffValue(f.current)}</div>`;
+            });
+            html += `</div>`;
+        });
+        extra.forEach(item => {
+            html += `<div style="padding:0.25rem 0 0.25rem 1.5rem; color:var(--text-muted);" title="Not in the archive - a restore leaves it as it is">`;
+            html += `<span style="display:inline-block; width:1.1rem;"></span> • ${escapeHtml(item.label)} <span style="font-size:0.85rem;">(new since the archive)</span></div>`;
+        });
+        html += `</div>`;
+    });
+
+    if (differences === 0) {
+        html += '<p style="color:var(--text-muted); text-align:center;">The board matches this archive.</p>';
+    } else {
+        html += `<button class="btn btn-warning" id="btn-restore-selected">🔄 Restore Selected</button>`;
+    }
+    html += `<div id="compare-result" style="margin-top:1rem;"></div>`;
+
+    document.getElementById('compare-panel').innerHTML = html;
+}
+
+async function restoreSelectedItems(confirmed = false) {
+    const panel = document.getElementById('compare-panel');
+    const resultDiv = document.getElementById('compare-result');
+    const sections = [...panel.querySelectorAll('.compare-section:checked')].map(cb => cb.dataset.section);
+    const items = [...panel.querySelectorAll('.compare-item:checked')]
+        .filter(cb => !sections.includes(cb.dataset.section))
+        .map(cb => ({ section: cb.dataset.section, id: cb.dataset.id }));
+
+    if (sections.length === 0 && items.length === 0) {
+        resultDiv.innerHTML = '<p style="color:var(--text-muted);">Tick what you want back first.</p>';
+        return;
+    }
+
+    try {
+        const res = await fetch('/api/archives/restore-selected', {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Bearer ' + localStorage.getItem('dockboard_token'),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ filename: compareFilename, sections, items, ...(confirmed && { confirmed: true }) })
+        });
+        const result = await res.json();
+
+        if (res.status === 409 && result.requiresConfirmation && result.warning) {
+            const warning = result.warning;
+            if (confirm(`⚠️ CROSS-FACILITY RESTORE WARNING\n\n` +
+                `This archive is from a different facility:\n` +
+                `📍 Source: ${warning.sourceFacilityName}\n` +
+                `📍 Target: ${warning.targetFacilityName || 'Current Facility'}\n\n` +
+                `Restore the selected items to your current facility?`)) {
+                await restoreSelectedItems(true);
+            } else {
+                resultDiv.innerHTML = '<p style="color:var(--text-muted);">Restore cancelled.</p>';
+            }
+            return;
+        }
+        if (!res.ok) throw new Error(result.error || 'Restore failed');
+
+        let html = `<div style="color:#4ade80;">✅ Restored ${result.restored.length} item${result.restored.length !== 1 ? 's' : ''}</div>`;
+        html += '<ul style="margin:0.5rem 0 0 1.5rem; font-size:0.9rem;">';
+        result.restored.forEach(r => {
+            const detail = r.change === 'added'
+                ? `added back${r.location ? ` at ${r.location}` : ''}${r.newId ? ' (with a new ID, the old one is in use)' : ''}`
+                : r.section === 'queues' ? `reordered${r.restoredTrailers ? `, ${r.restoredTrailers} trailer${r.restoredTrailers !== 1 ? 's' : ''} added back` : ''}`
+                : `reverted ${r.fields.join(', ')}`;
+            html += `<li>${escapeHtml(r.label)}: ${escapeHtml(detail)}${(r.notes || []).map(n => `<br><small style="color:var(--text-muted);">${escapeHtml(n)}</small>`).join('')}</li>`;
+        });
+        result.skipped.forEach(s => {
+            html += `<li style="color:#f59e0b;">${escapeHtml(s.label)}: skipped - ${escapeHtml(s.reason)}</li>`;
+        });
+        html += '</ul>';
+        if (result.restored.length > 0) html += '<small style="color:var(--text-muted);">Undo on the dashboard takes the whole restore back.</small>';
+        resultDiv.innerHTML = html;
+    } catch (e) {
+        resultDiv.innerHTML = `<p style="color:#ef4444;">❌ Error: ${e.message}</p>`;
+    }
+}
+
+// Backup schedule and retention
+async function loadPolicy() {
+    const status = document.getElementById('policy-status');
+    try {
+        const res = await fetch('/api/archives/policy', { headers: { 'Authorization': 'Bearer ' + localStorage.getItem('dockboard_token') } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load the schedule');
+        renderPolicy(data.policy, data.timezone);
+    } catch (e) {
+        status.innerHTML = `<span style="color:#ef4444;">❌ Error: ${e.message}</span>`;
+    }
+}
+
+function renderPolicy(policy, timezone) {
+    document.getElementById('policy-timezone').textContent = timezone;
+    document.getElementById('policy-hourly').checked = policy.hourly;
+    document.getElementById('policy-nightly').checked = policy.nightly;
+    document.getElementById('policy-nightly-time').value = policy.nightlyTime;
+    document.getElementById('policy-before-restore').checked = policy.beforeRestore;
+    document.getElementById('policy-keep-hourly').value = policy.keep.hourly;
+    document.getElementById('policy-keep-daily').value = policy.keep.daily;
+    document.getElementById('policy-keep-monthly').value = policy.keep.monthly;
+    document.getElementById('policy-keep-before-restore').value = policy.keep.beforeRestore;
+
+    const lines = [];
+    if (policy.nextHourlyAt) lines.push(`Next hourly archive: ${new Date(policy.nextHourlyAt).toLocaleString()}`);
+    if (policy.nextNightlyAt) lines.push(`Next nightly archive: ${new Date(policy.nextNightlyAt).toLocaleString()}`);
+    const last = policy.lastArchive;
+    if (last) {
+        lines.push(last.error
+            ? `<span style="color:#ef4444;">Last ${last.trigger} archive failed ${new Date(last.at).toLocaleString()}: ${last.error}</span>`
+            : `Last ${last.trigger} archive: ${last.filename} (${new Date(last.at).toLocaleString()})`);
+    }
+    document.getElementById('policy-status').innerHTML = lines.join('<br>');
+}
+
+async function savePolicy() {
+    const status = document.getElementById('policy-status');
+    const body = {
+        hourly: document.getElementById('policy-hourly').checked,
+        nightly: document.getElementById('policy-nightly').checked,
+        nightlyTime: document.getElementById('policy-nightly-time').value,
+        beforeRestore: document.getElementById('policy-before-restore').checked,
+        keep: {
+            hourly: parseInt(document.getElementById('policy-keep-hourly').value, 10) || 0,
+            daily: parseInt(document.getElementById('policy-keep-daily').value, 10) || 0,
+            monthly: parseInt(document.getElementById('policy-keep-monthly').value, 10) || 0,
+            beforeRestore: parseInt(document.getElementById('policy-keep-before-restore').value, 10) || 0,
+        },
+    };
+    try {
+        const res = await fetch('/api/archives/policy', {
+            method: 'PUT',
+            headers: {
+                'Authorization': 'Bearer ' + localStorage.getItem('dockboard_token'),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || 'Failed to save the schedule');
+        renderPolicy(data.policy, data.timezone);
+        status.innerHTML = '<span style="color:var(--success);">✅ Schedule saved</span><br>' + status.innerHTML;
+    } catch (e) {
+        status.innerHTML = `<span style="color:#ef4444;">❌ Error: ${e.message}</span>`;
+    }
+}
+
 // Setup event listeners for CSP compliance (no inline handlers)
 document.addEventListener('DOMContentLoaded', () => {
     // Login form handler
@@ -394,6 +621,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Tab buttons
     document.getElementById('tab-btn-create')?.addEventListener('click', () => switchTab('create'));
     document.getElementById('tab-btn-browse')?.addEventListener('click', () => switchTab('browse'));
+    document.getElementById('tab-btn-schedule')?.addEventListener('click', () => switchTab('schedule'));
+    document.getElementById('btn-save-policy')?.addEventListener('click', savePolicy);
 
     // Create archive button
     document.getElementById('btn-create-archive')?.addEventListener('click', createArchive);
@@ -406,6 +635,23 @@ document.addEventListener('DOMContentLoaded', () => {
         handleArchiveUpload(e.target);
     });
 
+    // Compare panel (re-rendered for each archive)
+    document.getElementById('compare-panel')?.addEventListener('click', (e) => {
+        if (e.target.id === 'btn-close-compare') {
+            document.getElementById('compare-panel').style.display = 'none';
+        } else if (e.target.id === 'btn-restore-selected') {
+            if (confirm('Restore the selected items from this archive?\n\nEverything else on the board stays as it is.')) restoreSelectedItems();
+        }
+    });
+    document.getElementById('compare-panel')?.addEventListener('change', (e) => {
+        // A section tick covers all of its items
+        if (!e.target.classList.contains('compare-section')) return;
+        document.querySelectorAll(`.compare-item[data-section="${e.target.dataset.section}"]`).forEach(cb => {
+            cb.checked = e.target.checked;
+            cb.disabled = e.target.checked;
+        });
+    });
+
     // Archive action buttons (event delegation for dynamically created buttons)
     document.getElementById('file-list')?.addEventListener('click', (e) => {
         const btn = e.target.closest('.archive-action-btn');
@@ -415,6 +661,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const filename = btn.dataset.filename;
 
         if (action === 'restore') restoreArchive(filename);
+        else if (action === 'compare') compareArchive(filename);
         else if (action === 'download') downloadArchive(filename);
         else if (action === 'delete') deleteArchive(filename);
     });
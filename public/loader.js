@@ -10,6 +10,8 @@
         let token = localStorage.getItem('dockboard_token');
         let currentPin = '';
         let currentUserRole = null;      // Store role to determine if back button should show
+        let currentScreen = null;
+        let updatingStatus = false;      // Ignore our own door changes while a status update is in flight
 
         // Screens
         const screens = {
@@ -26,6 +28,7 @@
         // Show a specific screen
         function showScreen(name) {
             console.log('[showScreen] Switching to:', name);
+            currentScreen = name;
             Object.values(screens).forEach(s => {
                 if (s) {
                     s.classList.remove('active');
@@ -36,6 +39,7 @@
             } else {
                 console.error('[showScreen] Screen not found:', name);
             }
+            sendPresence();
 
             // Hide loader name on PIN screen, show on others
             const loaderDiv = document.getElementById('current-loader');
@@ -48,6 +52,132 @@
             }
         }
 
+        // Live door updates over WebSocket (/api/ws)
+        // The tablet subscribes to the door it is working on, so a trailer
+        // moved or shipped from the dashboard shows up without re-entering the door.
+        // Status changes are sent as commands and confirmed by an ack.
+        const PRESENCE_INTERVAL = 30000;
+        const ACK_TIMEOUT = 10000;
+        let socket = null;
+        let socketRetryDelay = 1000;
+        let nextMessageId = 1;
+        const pendingAcks = new Map();
+
+        function connectSocket() {
+            if (!token || socket) return;
+
+            const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            socket = new WebSocket(`${protocol}://${window.location.host}/api/ws?token=${encodeURIComponent(token)}`);
+
+            socket.addEventListener('open', () => {
+                console.log('[WS] Connected');
+                socketRetryDelay = 1000;
+                if (currentDoorNumber) subscribeToDoor(currentDoorNumber);
+                sendPresence();
+            });
+
+            socket.addEventListener('message', (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (err) {
+                    return;
+                }
+
+                if (message.type === 'ack') {
+                    const resolve = pendingAcks.get(message.id);
+                    if (resolve) resolve(message);
+                } else if (message.type === 'event' && (message.event === 'stateChange' || message.event === 'resync')) {
+                    refreshCurrentDoor();
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                socket = null;
+                pendingAcks.forEach(resolve => resolve({ ok: false, error: 'Connection lost' }));
+                if (!token) return; // Logged out
+                console.log(`[WS] Disconnected, retrying in ${socketRetryDelay}ms`);
+                setTimeout(connectSocket, socketRetryDelay);
+                socketRetryDelay = Math.min(socketRetryDelay * 2, 30000);
+            });
+        }
+
+        // Send a message and wait for its ack (null if the socket isn't open)
+        function sendSocket(message) {
+            if (!socket || socket.readyState !== WebSocket.OPEN) return Promise.resolve(null);
+
+            const id = nextMessageId++;
+            return new Promise((resolve) => {
+                const timer = setTimeout(() => resolve({ ok: false, error: 'No response from server' }), ACK_TIMEOUT);
+                pendingAcks.set(id, (ack) => {
+                    clearTimeout(timer);
+                    pendingAcks.delete(id);
+                    resolve(ack);
+                });
+                socket.send(JSON.stringify({ id, ...message }));
+            });
+        }
+
+        function subscribeToDoor(doorNumber) {
+            sendSocket({ type: 'subscribe', doors: [parseInt(doorNumber)] });
+        }
+
+        function sendPresence() {
+            sendSocket({
+                type: 'presence',
+                screen: currentScreen,
+                doorNumber: currentDoorNumber || null,
+                operatorName: selectedOperatorName || currentLoader,
+            });
+        }
+
+        setInterval(sendPresence, PRESENCE_INTERVAL);
+
+        // Run a command over the socket when connected, otherwise POST it
+        async function runCommand(command, url, payload) {
+            const ack = await sendSocket({ type: 'command', command, payload });
+            if (ack) {
+                if (!ack.ok) throw new Error(ack.error || 'Request failed');
+                return ack.result;
+            }
+
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(payload)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Request failed');
+            return data;
+        }
+
+        // The subscribed door changed - if the loader is looking at its trailer, reload it
+        async function refreshCurrentDoor() {
+            if (updatingStatus || !currentTrailer || !['verify', 'notes', 'status'].includes(currentScreen)) return;
+
+            try {
+                const data = await runCommand('loader.door', '/api/loader/door', { doorNumber: parseInt(currentDoorNumber) });
+                if (!data.trailer) {
+                    showScreen('error');
+                    return;
+                }
+                if (data.trailer.id !== currentTrailer.id) {
+                    // A different trailer is at the door now - verify it again
+                    currentTrailer = data.trailer;
+                    document.getElementById('verify-trailer-num').textContent = data.trailer.number;
+                    document.getElementById('verify-carrier').textContent = data.trailer.carrier;
+                    showScreen('verify');
+                    return;
+                }
+                currentTrailer = data.trailer;
+            } catch (err) {
+                console.error('[WS] Failed to refresh door:', err);
+            }
+        }
+
         // Check auth and role
         async function checkAuth() {
             if (!token) {
@@ -287,6 +417,7 @@
             // Clear token and state
             token = null;
             localStorage.removeItem('dockboard_token');
+            if (socket) socket.close();
             currentLoader = null;
             selectedOperatorName = null;
             currentPin = '';
@@ -413,6 +544,7 @@
                 }
 
                 currentTrailer = data.trailer;
+                subscribeToDoor(currentDoorNumber);
 
                 // Show verification screen
                 document.getElementById('verify-door-num').textContent = currentDoorNumber;
@@ -516,56 +648,30 @@
         // Update status
         async function updateStatus(status) {
             document.getElementById('loading').classList.add('active');
+            updatingStatus = true;
 
             try {
-                let res, data;
                 const operatorName = selectedOperatorName || currentLoader;
 
                 if (status === 'shipped') {
                     // Ship the trailer
-                    res = await fetch(`/api/trailers/${currentTrailer.id}/ship`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${token}`
-                        },
-                        body: JSON.stringify({
-                            loaderName: operatorName
-                        })
+                    await runCommand('trailer.ship', `/api/trailers/${currentTrailer.id}/ship`, {
+                        trailerId: currentTrailer.id,
+                        loaderName: operatorName
                     });
-                    data = await res.json();
                 } else if (status === 'received') {
                     // Receive the trailer
-                    res = await fetch(`/api/trailers/${currentTrailer.id}/receive`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${token}`
-                        },
-                        body: JSON.stringify({
-                            loaderName: operatorName
-                        })
+                    await runCommand('trailer.receive', `/api/trailers/${currentTrailer.id}/receive`, {
+                        trailerId: currentTrailer.id,
+                        loaderName: operatorName
                     });
-                    data = await res.json();
                 } else {
                     // Regular status update (empty/loaded)
-                    res = await fetch('/api/loader/status', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${token}`
-                        },
-                        body: JSON.stringify({
-                            doorNumber: parseInt(currentDoorNumber),
-                            status: status,
-                            loaderName: operatorName
-                        })
+                    await runCommand('loader.status', '/api/loader/status', {
+                        doorNumber: parseInt(currentDoorNumber),
+                        status: status,
+                        loaderName: operatorName
                     });
-                    data = await res.json();
-                }
-
-                if (!res.ok) {
-                    throw new Error(data.error || 'Failed to update status');
                 }
 
                 // Show confirmation with operator name
@@ -582,6 +688,7 @@
                 console.error('Error:', err);
                 alert('Error: ' + err.message);
             } finally {
+                updatingStatus = false;
                 document.getElementById('loading').classList.remove('active');
             }
         }
@@ -663,6 +770,7 @@
             // - loading-tablet: shows name selection (then we load names)
             // - loader/admin: shows door entry (no name selection needed)
             if (authed) {
+                connectSocket();
                 await loadLoaderNames();
             }
         }
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Concurrency check - fires parallel requests at a running server and
+ * verifies that no state change is lost.
+ *
+ * Steps (each batch is sent all at once):
+ * 1. Create N trailers
+ * 2. Move each one to its own empty door
+ * 3. Move them all back to the yard
+ * 4. Delete them
+ * 5. Send one write with an outdated If-Match revision (must get 409)
+ * After every batch the board is re-read and checked against what the
+ * requests reported. Without per-facility write serialization, concurrent
+ * load → mutate → save cycles drop some of these changes.
+ *
+ * Usage: node scripts/concurrency-check.js [count]
+ *   count  Number of trailers to use (default: 20, capped by empty doors)
+ *
+ * Environment: DOCKBOARD_URL (default: http://localhost:$PORT),
+ * AUTH_USER / AUTH_PASS for login. Run it against a test facility - it adds
+ * and removes trailers and writes history entries.
+ */
+
+require("dotenv").config();
+
+const BASE_URL = process.env.DOCKBOARD_URL || `http://localhost:${process.env.PORT || 3000}`;
+const COUNT = parseInt(process.argv[2]) || 20;
+
+let token = null;
+
+async function api(method, endpoint, body, headers = {}) {
+  const res = await fetch(`${BASE_URL}/api${endpoint}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (res.status === 409) return { conflict: true, ...data };
+    throw new Error(`${method} ${endpoint} → ${res.status}: ${data.error || res.statusText}`);
+  }
+  return data;
+}
+
+function check(label, failures) {
+  if (failures.length === 0) {
+    console.log(`  ✓ ${label}`);
+    return true;
+  }
+  console.log(`  ✗ ${label}`);
+  failures.forEach((f) => console.log(`      ${f}`));
+  return false;
+}
+
+async function main() {
+  console.log(`[Concurrency] ${BASE_URL}`);
+  const login = await api("POST", "/auth/login", {
+    username: process.env.AUTH_USER,
+    password: process.env.AUTH_PASS,
+  });
+  token = login.token;
+
+  let state = await api("GET", "/state");
+  const freeDoors = state.doors.filter(
+    (d) => !d.trailerId && d.inService !== false && d.type !== "blank",
+  );
+  const count = Math.min(COUNT, freeDoors.length);
+  if (count < 2) {
+    console.error("Need at least 2 empty in-service doors");
+    process.exit(1);
+  }
+  const doors = freeDoors.slice(0, count);
+  const runId = Date.now().toString(36).toUpperCase();
+  let ok = true;
+
+  // 1. Parallel creates
+  const created = await Promise.all(
+    doors.map((_, i) =>
+      api("POST", "/trailers", { carrier: "CONCURRENCY", number: `${runId}-${i + 1}` }),
+    ),
+  );
+  const ids = created.map((r) => r.trailer.id);
+  state = await api("GET", "/state");
+  ok = check(
+    `${count} parallel creates`,
+    ids.filter((id) => !state.yardTrailers.some((t) => t.id === id)).map((id) => `missing ${id}`),
+  ) && ok;
+
+  // 2. Parallel moves to distinct doors
+  await Promise.all(ids.map((id, i) => api("POST", "/move-to-door", { trailerId: id, doorId: doors[i].id })));
+  state = await api("GET", "/state");
+  ok = check(
+    `${count} parallel moves to door`,
+    ids.flatMap((id, i) => {
+      const door = state.doors.find((d) => d.id === doors[i].id);
+      return door?.trailerId === id ? [] : [`door ${doors[i].number}: expected ${id}, found ${door?.trailerId || "empty"}`];
+    }),
+  ) && ok;
+
+  // 3. Parallel moves back to the yard
+  await Promise.all(ids.map((id, i) => api("POST", "/move-to-yard", { trailerId: id, doorId: doors[i].id })));
+  state = await api("GET", "/state");
+  ok = check(
+    `${count} parallel moves to yard`,
+    ids.flatMap((id, i) => {
+      const failures = [];
+      if (!state.yardTrailers.some((t) => t.id === id)) failures.push(`${id} not in yard`);
+      if (state.doors.find((d) => d.id === doors[i].id)?.trailerId) failures.push(`door ${doors[i].number} not cleared`);
+      return failures;
+    }),
+  ) && ok;
+
+  // 4. Parallel deletes (cleanup)
+  await Promise.all(ids.map((id) => api("DELETE", `/trailers/${id}`)));
+  state = await api("GET", "/state");
+  const remaining = [...state.trailers, ...state.yardTrailers].filter((t) => ids.includes(t.id));
+  ok = check(`${count} parallel deletes`, remaining.map((t) => `${t.id} still present`)) && ok;
+
+  // 5. Stale write - revision from before the deletes
+  const stale = await api(
+    "POST",
+    "/trailers",
+    { carrier: "CONCURRENCY", number: `${runId}-STALE` },
+    { "If-Match": `"${state.revision - 1}"` },
+  );
+  if (stale.trailer) await api("DELETE", `/trailers/${stale.trailer.id}`);
+  ok = check(
+    "stale If-Match rejected with 409",
+    stale.conflict && stale.revision === state.revision ? [] : ["stale write was applied"],
+  ) && ok;
+
+  console.log(ok ? "All changes persisted." : "Lost updates detected!");
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error("[Concurrency] Failed:", e.message);
+  process.exit(1);
+});
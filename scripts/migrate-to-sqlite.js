@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * JSON → SQLite storage migration
+ *
+ * One-shot copy of the JSON file layout into the SQLite database used by
+ * STORAGE_BACKEND=sqlite:
+ * - data/facilities.json and data/users.json (global documents)
+ * - data/facilities/{id}/state.json, history/, analytics.json,
+ *   settings.json, webhooks.json, api-keys.json, idempotency.json,
+ *   reports.json, archive-policy.json and users.json for every facility
+ *   directory
+ *
+ * JSON data is only read (an old single-file history.json is split into
+ * daily segments on read, as the server would), so the migration can be
+ * re-run or rolled back by switching STORAGE_BACKEND back to json.
+ *
+ * Usage: node scripts/migrate-to-sqlite.js [--force]
+ *   --force  Overwrite data already present in the SQLite database
+ *
+ * The target file is SQLITE_FILE (default: data/dockboard.db).
+ */
+
+require("dotenv").config();
+
+const { getAdapter } = require("../src/storage");
+const { SQLITE_FILE } = require("../src/config");
+
+const FACILITY_DOCUMENTS = ["State", "History", "Analytics", "Settings", "Webhooks", "ApiKeys", "Idempotency", "Reports", "ArchivePolicy", "Users"];
+
+function main() {
+  const force = process.argv.includes("--force");
+  const source = getAdapter("json");
+  const target = getAdapter("sqlite");
+
+  if (!force && (target.loadFacilities() || target.listFacilityIds().length > 0)) {
+    console.error(`❌ ${SQLITE_FILE} already contains data. Re-run with --force to overwrite.`);
+    process.exit(1);
+  }
+
+  console.log(`[Migrate] JSON files → ${SQLITE_FILE}`);
+
+  const facilitiesData = source.loadFacilities();
+  if (facilitiesData) {
+    target.saveFacilities(facilitiesData);
+    console.log(`  - facilities.json (${facilitiesData.facilities?.length || 0} facilities)`);
+  }
+
+  const globalUsers = source.loadGlobalUsers();
+  if (globalUsers) {
+    target.saveGlobalUsers(globalUsers);
+    console.log(`  - users.json (${globalUsers.users?.length || 0} global users)`);
+  }
+
+  // Migrate every facility directory, including ones missing from facilities.json
+  const facilityIds = new Set(source.listFacilityIds());
+  (facilitiesData?.facilities || []).forEach((f) => facilityIds.add(f.id));
+
+  for (const facilityId of facilityIds) {
+    const copied = [];
+    for (const doc of FACILITY_DOCUMENTS) {
+      const data = source[`load${doc}`](facilityId);
+      if (!data) continue;
+      target[`save${doc}`](data, facilityId);
+      copied.push(doc === "History" ? `history (${data.entries?.length || 0} entries)` : doc.toLowerCase());
+    }
+    console.log(`  - ${facilityId}: ${copied.length > 0 ? copied.join(", ") : "no data"}`);
+  }
+
+  target.close();
+  console.log("Done! Set STORAGE_BACKEND=sqlite and restart the server.");
+}
+
+main();
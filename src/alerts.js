@@ -0,0 +1,331 @@
+/**
+ * Alerts module
+ * Rules-based alerts for conditions that need someone's attention
+ *
+ * Kept in the facility state:
+ * - alertRules: [{ id, name, type, minutes, severity, enabled }] (absent = DEFAULT_RULES)
+ *     type     - dwell               Trailer at a door longer than `minutes`
+ *                                    (null = its dwell policy / customer SLA violation threshold)
+ *              - appointment-overdue Booked appointment whose trailer hasn't arrived `minutes` after its start
+ *              - queue-stale         Trailer waiting in a queue longer than `minutes`
+ *              - door-idle           Free door idle for `minutes` while trailers are queued for it
+ *     severity - info | warning | error (the toast type)
+ * - alerts: [{
+ *     id, ruleId, ruleName, type, severity,
+ *     key,                   // ruleId + subject, one unresolved alert per key
+ *     subject,               // { trailerId?, doorId?, doorNumber?, appointmentId? }
+ *     message,
+ *     status,                // open | acknowledged | snoozed | resolved
+ *     createdAt, acknowledgedAt, acknowledgedBy, snoozedUntil, snoozedBy, resolvedAt
+ *   }] (oldest first)
+ *
+ * evaluateAlerts() (run every minute by server.js) raises an alert when a
+ * rule's condition starts to hold, reopens snoozed alerts whose snooze is
+ * over and resolves alerts whose condition no longer holds (acknowledged
+ * ones too). Resolved alerts are kept for RESOLVED_RETENTION_DAYS.
+ *
+ * How long a door has been idle isn't stored anywhere, so door-idle counts
+ * from when the scheduler first saw it (in memory, starts over after a restart).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { getDwellPolicy, dwellThresholds, dwellHours } = require("./dwell");
+const { isAssignableDoor, queueTargetDoorIds } = require("./assignment");
+const { appointmentClock } = require("./appointments");
+
+const RULE_TYPES = ["dwell", "appointment-overdue", "queue-stale", "door-idle"];
+const ALERT_SEVERITIES = ["info", "warning", "error"];
+const ALERT_STATUSES = ["open", "acknowledged", "snoozed", "resolved"];
+const UNRESOLVED_STATUSES = ["open", "acknowledged", "snoozed"];
+
+const DEFAULT_RULES = [
+  { id: "dwell", name: "Trailer over dwell limit", type: "dwell", minutes: null, severity: "warning", enabled: true },
+  { id: "appointment-overdue", name: "Appointment overdue", type: "appointment-overdue", minutes: 15, severity: "warning", enabled: true },
+  { id: "queue-stale", name: "Trailer waiting in queue", type: "queue-stale", minutes: 60, severity: "warning", enabled: true },
+  { id: "door-idle", name: "Door idle with trailers queued", type: "door-idle", minutes: 10, severity: "info", enabled: true },
+];
+
+const MAX_RULES = 50;
+const MAX_MINUTES = 7 * 24 * 60;
+const MAX_SNOOZE_MINUTES = 24 * 60;
+const RESOLVED_RETENTION_DAYS = 7;
+const MAX_ALERTS = 500;
+
+// `${facilityId}:${alert key}` -> ms when a door-idle condition was first seen
+const idleSince = new Map();
+
+/**
+ * Facility's alert rules (the defaults until an admin saves their own)
+ */
+function getAlertRules(state) {
+  return state.alertRules || DEFAULT_RULES.map((r) => ({ ...r }));
+}
+
+/**
+ * Validate and replace the rule list
+ * @param {Array} input - [{ id?, name, type, minutes, severity, enabled }]
+ * @returns {object} - { rules } or { error }
+ */
+function updateAlertRules(state, input) {
+  if (!Array.isArray(input)) return { error: "rules must be an array" };
+  if (input.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules` };
+
+  const existingIds = new Set(getAlertRules(state).map((r) => r.id));
+  const rules = [];
+  for (const rule of input) {
+    if (!rule || typeof rule !== "object") return { error: "Each rule must be an object" };
+    if (!RULE_TYPES.includes(rule.type)) return { error: `Rule type must be one of: ${RULE_TYPES.join(", ")}` };
+
+    const severity = rule.severity || "warning";
+    if (!ALERT_SEVERITIES.includes(severity)) return { error: `Rule severity must be one of: ${ALERT_SEVERITIES.join(", ")}` };
+
+    let minutes = rule.minutes === undefined || rule.minutes === "" ? null : rule.minutes;
+    if (minutes === null && rule.type !== "dwell") return { error: `${rule.type} rules need minutes` };
+    if (minutes !== null) {
+      minutes = Number(minutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MINUTES) {
+        return { error: `Rule minutes must be a whole number (1-${MAX_MINUTES})` };
+      }
+    }
+
+    const name = rule.name ? sanitizeInput(String(rule.name).trim()).slice(0, 100) : "";
+    // Keep ids of existing rules so their open alerts stay attached
+    const id = rule.id && existingIds.has(rule.id) && !rules.some((r) => r.id === rule.id) ? rule.id : uuidv4();
+
+    rules.push({
+      id,
+      name: name || DEFAULT_RULES.find((r) => r.type === rule.type).name,
+      type: rule.type,
+      minutes,
+      severity,
+      enabled: rule.enabled !== false,
+    });
+  }
+
+  state.alertRules = rules;
+  return { rules };
+}
+
+function trailerName(trailer) {
+  return `${trailer.carrier || "Trailer"}${trailer.number ? " " + trailer.number : ""}`;
+}
+
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.floor(minutes % 60);
+  if (h === 0) return `${m}m`;
+  return m > 0 ? `${h}h ${m}m` : `${h}h`;
+}
+
+// Where a queued trailer is waiting, for messages
+function queueLabel(trailer) {
+  if (trailer.targetDoorGroupName) return `queue for ${trailer.targetDoorGroupName}`;
+  if (trailer.targetDoorNumber) return `queue for door ${trailer.targetDoorNumber}`;
+  return "appointment queue";
+}
+
+/**
+ * Conditions a rule sees right now
+ * @returns {Array} - [{ key, subject, message }]
+ */
+function findConditions(state, rule, { facilityId, now, timezone }) {
+  const conditions = [];
+  const ms = now.getTime();
+
+  if (rule.type === "dwell") {
+    const policy = getDwellPolicy(state);
+    for (const trailer of state.trailers || []) {
+      if (!trailer.createdAt || !trailer.doorId) continue;
+      const limit = rule.minutes !== null ? rule.minutes : dwellThresholds(state, trailer, policy).violationMinutes;
+      if (limit === null) continue;
+      const minutes = dwellHours(trailer, policy, ms) * 60;
+      if (minutes < limit) continue;
+      conditions.push({
+        key: `${rule.id}:trailer:${trailer.id}`,
+        subject: { trailerId: trailer.id, doorId: trailer.doorId, doorNumber: trailer.doorNumber },
+        message: `${trailerName(trailer)} has been at door ${trailer.doorNumber} for ${formatMinutes(minutes)} (limit ${formatMinutes(limit)})`,
+      });
+    }
+  }
+
+  if (rule.type === "appointment-overdue") {
+    for (const appointment of state.appointments || []) {
+      if (appointment.status !== "booked" && appointment.status !== "queued") continue;
+      const late = (ms - new Date(appointment.start).getTime()) / 60000;
+      if (late < rule.minutes) continue;
+      conditions.push({
+        key: `${rule.id}:appointment:${appointment.id}`,
+        subject: { appointmentId: appointment.id, ...(appointment.trailerId && { trailerId: appointment.trailerId }) },
+        message: `${appointment.carrier}${appointment.trailerNumber ? " " + appointment.trailerNumber : ""} (appointment ${appointmentClock(appointment, timezone)}) hasn't arrived, ${formatMinutes(late)} late`,
+      });
+    }
+  }
+
+  if (rule.type === "queue-stale") {
+    for (const trailer of [...(state.queuedTrailers || []), ...(state.appointmentQueue || [])]) {
+      if (!trailer.queuedAt) continue;
+      const waited = (ms - new Date(trailer.queuedAt).getTime()) / 60000;
+      if (waited < rule.minutes) continue;
+      conditions.push({
+        key: `${rule.id}:trailer:${trailer.id}`,
+        subject: { trailerId: trailer.id, ...(trailer.targetDoorId && { doorId: trailer.targetDoorId, doorNumber: trailer.targetDoorNumber }) },
+        message: `${trailerName(trailer)} has been waiting in the ${queueLabel(trailer)} for ${formatMinutes(waited)}`,
+      });
+    }
+  }
+
+  if (rule.type === "door-idle") {
+    for (const door of state.doors || []) {
+      const key = `${rule.id}:door:${door.id}`;
+      const sinceKey = `${facilityId}:${key}`;
+      const waiting = isAssignableDoor(door)
+        ? (state.queuedTrailers || []).filter((t) => queueTargetDoorIds(state, t).includes(door.id))
+        : [];
+      if (waiting.length === 0) {
+        idleSince.delete(sinceKey);
+        continue;
+      }
+      if (!idleSince.has(sinceKey)) idleSince.set(sinceKey, ms);
+      const idle = (ms - idleSince.get(sinceKey)) / 60000;
+      if (idle < rule.minutes) continue;
+      conditions.push({
+        key,
+        subject: { doorId: door.id, doorNumber: door.number },
+        message: `Door ${door.number} has been free for ${formatMinutes(idle)} with ${waiting.length} trailer${waiting.length === 1 ? "" : "s"} queued for it`,
+      });
+    }
+  }
+
+  return conditions;
+}
+
+// Drop resolved alerts past retention, then the oldest resolved ones over the cap
+function pruneAlerts(state, now) {
+  const cutoff = new Date(now.getTime() - RESOLVED_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const before = state.alerts.length;
+  state.alerts = state.alerts.filter((a) => a.status !== "resolved" || a.resolvedAt > cutoff);
+  const excess = state.alerts.length - MAX_ALERTS;
+  if (excess > 0) {
+    const dropped = new Set(state.alerts.filter((a) => a.status === "resolved").slice(0, excess).map((a) => a.id));
+    state.alerts = state.alerts.filter((a) => !dropped.has(a.id));
+  }
+  return state.alerts.length !== before;
+}
+
+/**
+ * Raise, reopen and resolve alerts against the rules (caller saves the state
+ * when `changed`)
+ * @param {object} state - Facility state being modified
+ * @param {object} options - { facilityId, now, timezone (for appointment times) }
+ * @returns {object} - { raised: [alert], reopened: [alert], resolved: [alert], changed }
+ */
+function evaluateAlerts(state, { facilityId, now = new Date(), timezone } = {}) {
+  if (!state.alerts) state.alerts = [];
+  const nowIso = now.toISOString();
+  const raised = [];
+  const reopened = [];
+  const resolved = [];
+
+  const unresolved = new Map(state.alerts.filter((a) => UNRESOLVED_STATUSES.includes(a.status)).map((a) => [a.key, a]));
+  const seen = new Set();
+
+  for (const rule of getAlertRules(state)) {
+    if (!rule.enabled) continue;
+    for (const condition of findConditions(state, rule, { facilityId, now, timezone })) {
+      seen.add(condition.key);
+      const alert = unresolved.get(condition.key);
+      if (!alert) {
+        const created = {
+          id: uuidv4(),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          type: rule.type,
+          severity: rule.severity,
+          key: condition.key,
+          subject: condition.subject,
+          message: condition.message,
+          status: "open",
+          createdAt: nowIso,
+          acknowledgedAt: null,
+          acknowledgedBy: null,
+          snoozedUntil: null,
+          snoozedBy: null,
+          resolvedAt: null,
+        };
+        state.alerts.push(created);
+        raised.push(created);
+      } else if (alert.status === "snoozed" && alert.snoozedUntil <= nowIso) {
+        alert.status = "open";
+        alert.snoozedUntil = null;
+        alert.message = condition.message;
+        reopened.push(alert);
+      }
+    }
+  }
+
+  for (const alert of unresolved.values()) {
+    if (seen.has(alert.key)) continue;
+    alert.status = "resolved";
+    alert.resolvedAt = nowIso;
+    resolved.push(alert);
+  }
+
+  const pruned = pruneAlerts(state, now);
+  const changed = pruned || raised.length > 0 || reopened.length > 0 || resolved.length > 0;
+  return { raised, reopened, resolved, changed };
+}
+
+/**
+ * Acknowledge an alert (it stays in the inbox until its condition clears)
+ */
+function acknowledgeAlert(alert, user) {
+  alert.status = "acknowledged";
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = user?.username || null;
+  alert.snoozedUntil = null;
+}
+
+/**
+ * Snooze an alert; it reopens (with a new toast) if its condition still holds afterwards
+ * @returns {object} - { error } for a bad duration, else {}
+ */
+function snoozeAlert(alert, minutes, user) {
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SNOOZE_MINUTES) {
+    return { error: `minutes must be a whole number (1-${MAX_SNOOZE_MINUTES})` };
+  }
+  alert.status = "snoozed";
+  alert.snoozedUntil = new Date(Date.now() + value * 60000).toISOString();
+  alert.snoozedBy = user?.username || null;
+  return {};
+}
+
+/**
+ * Alert fields for history entries
+ */
+function alertDetails(alert) {
+  return {
+    alertId: alert.id,
+    ruleId: alert.ruleId,
+    rule: alert.ruleName,
+    type: alert.type,
+    severity: alert.severity,
+    message: alert.message,
+    ...alert.subject,
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  ALERT_SEVERITIES,
+  ALERT_STATUSES,
+  UNRESOLVED_STATUSES,
+  DEFAULT_RULES,
+  getAlertRules,
+  updateAlertRules,
+  evaluateAlerts,
+  acknowledgeAlert,
+  snoozeAlert,
+  alertDetails,
+};
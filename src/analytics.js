@@ -3,8 +3,13 @@ const {
   saveAnalytics,
 } = require("./state");
 const { ANALYTICS_FILE } = require("./config");
+const { DEFAULT_POLICY, getDwellPolicy, dwellThresholds, dwellHours } = require("./dwell");
 const fs = require("fs");
 
+// How far before a day calculateDailyDwell looks for door arrivals.
+// History is unbounded, so reading all of it for every day would keep growing.
+const DWELL_HISTORY_LOOKBACK_DAYS = 30;
+
 // Helper: Get date string in facility's timezone
 function getDateInTimezone(date, timezone = "UTC") {
   if (timezone === "UTC") {
@@ -24,29 +29,16 @@ function getDayStartInTimezone(dateStr, timezone = "UTC") {
   return new Date(Date.UTC(year, month - 1, day)).getTime();
 }
 
+// Dwell for display: from the latest reset in the policy's reset window
+// (or createdAt), capped at the policy's maxDwellHours (see dwell.js)
 function getEffectiveDwellHours(
   createdAt,
   resets = [],
   currentTime = Date.now(),
+  policy = DEFAULT_POLICY,
 ) {
-  const created = new Date(createdAt).getTime();
-
-  // If there were resets, calculate from the most recent one that's < 6h ago
-  if (resets && resets.length > 0) {
-    const recentResets = resets
-      .map((r) => new Date(r).getTime())
-      .filter((r) => currentTime - r < 6 * 60 * 60 * 1000) // < 6h ago
-      .sort((a, b) => b - a); // Newest first
-
-    if (recentResets.length > 0) {
-      const hoursSinceReset =
-        (currentTime - recentResets[0]) / (1000 * 60 * 60);
-      return Math.min(hoursSinceReset, 6);
-    }
-  }
-
-  const totalHours = (currentTime - created) / (1000 * 60 * 60);
-  return Math.min(totalHours, 6);
+  const hours = dwellHours({ createdAt, dwellResets: resets || [] }, policy, currentTime);
+  return Math.min(hours, policy.maxDwellHours);
 }
 
 function resetDwellTime(trailer) {
@@ -74,7 +66,11 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
   const dayEnd = dayStart + (24 * 60 * 60 * 1000) - 1; // End of day in facility timezone
 
   const state = loadState(facilityId);
-  const history = require("./state").loadHistory(facilityId);
+  const policy = getDwellPolicy(state);
+  const history = require("./state").loadHistory(facilityId, {
+    from: new Date(dayStart - DWELL_HISTORY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    to: new Date(dayEnd).toISOString(),
+  });
   const analytics = loadAnalytics(facilityId);
 
   let totalDwell = 0;
@@ -87,13 +83,13 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
   // Map: trailerId -> { doorId, doorNumber, carrier, arrivedAt, departedAt, dwellAtEndOfDay, direction }
   const trailerDoors = new Map();
 
-  // Build a direction map from current state for reference
+  // Build direction and live/drop maps from current state for reference
   const directionMap = {};
-  state.trailers?.forEach(t => {
-    if (t.id) directionMap[t.id] = t.direction || 'outbound';
-  });
-  state.yardTrailers?.forEach(t => {
-    if (t.id) directionMap[t.id] = t.direction || 'outbound';
+  const liveMap = {};
+  [...(state.trailers || []), ...(state.yardTrailers || [])].forEach(t => {
+    if (!t.id) return;
+    directionMap[t.id] = t.direction || 'outbound';
+    liveMap[t.id] = t.isLive;
   });
 
   // Process history entries to find trailers at doors during this day
@@ -119,7 +115,9 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
           driverName: entry.driverName,
           loadNumber: entry.loadNumber,
           direction: entry.direction || directionMap[entry.trailerId] || 'outbound',
-          arrivedAt: entryTime,
+          isLive: entry.isLive !== undefined ? entry.isLive : liveMap[entry.trailerId],
+          // With countYardTime, dwell runs from when the trailer started waiting (see dwell.js)
+          arrivedAt: entry.dwellStartedAt ? new Date(entry.dwellStartedAt).getTime() : entryTime,
           departedAt: null,
         });
       }
@@ -165,6 +163,7 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
           driverName: t.driverName,
           loadNumber: t.loadNumber,
           direction: t.direction || 'outbound',
+          isLive: t.isLive,
           arrivedAt: startTime, // Store actual arrival time, not capped
           departedAt: null,
         });
@@ -198,8 +197,8 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
       const dwellMs = actualEndTime - cappedStartTime;
       const dwellHours = dwellMs / (1000 * 60 * 60);
 
-      // Cap at 6 hours for display
-      const cappedDwell = Math.min(dwellHours, 6);
+      // Cap at the policy's max dwell for display
+      const cappedDwell = Math.min(dwellHours, policy.maxDwellHours);
 
       if (cappedDwell > 0.1) {
         totalDwell += cappedDwell;
@@ -210,32 +209,38 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
         }
 
         // VIOLATION LOGIC CHANGE:
-        // Only count as violation if trailer accumulated >= 2 hours SPECIFICALLY ON THIS DAY
+        // Only count as violation if trailer accumulated >= its SLA SPECIFICALLY ON THIS DAY
+        // (the customer's dwell SLA, else the dwell policy's violation threshold for its
+        // direction and live/drop - see dwell.js; no threshold means it never counts)
         // This means:
-        // - If trailer arrived this day and stayed >= 2 hours → violation
-        // - If trailer arrived previous day but accumulated < 2 hours before midnight
-        //   AND more time today to reach >= 2 hours total → violation on TODAY
-        // - If trailer already had >= 2 hours before this day started → don't count again
+        // - If trailer arrived this day and stayed >= SLA → violation
+        // - If trailer arrived previous day but accumulated < SLA before midnight
+        //   AND more time today to reach >= SLA total → violation on TODAY
+        // - If trailer already had >= SLA before this day started → don't count again
+        const sla = dwellThresholds(state, info, policy);
+        const slaHours = sla.violationMinutes / 60;
 
         let isViolation = false;
 
-        if (originalArrival >= dayStart) {
-          // Trailer arrived this day - check if it reached 2+ hours this day
-          if (dwellHours >= 2) {
+        if (sla.violationMinutes === null) {
+          // Not tracked for this kind of trailer
+        } else if (originalArrival >= dayStart) {
+          // Trailer arrived this day - check if it reached its SLA this day
+          if (dwellHours >= slaHours) {
             isViolation = true;
           }
         } else {
           // Trailer arrived before this day - check if it was at the door
-          // at day start AND the accumulated time from previous days was < 2 hours
+          // at day start AND the accumulated time from previous days was < SLA
           // (meaning it crosses the threshold during this day)
 
           // Calculate how much dwell time accumulated BEFORE this day
           const previousDwellMs = dayStart - originalArrival;
           const previousDwellHours = previousDwellMs / (1000 * 60 * 60);
 
-          // Only count as violation if previous days had < 2 hours
+          // Only count as violation if previous days had < SLA
           // AND this day pushed it over
-          if (previousDwellHours < 2 && dwellHours >= 2) {
+          if (previousDwellHours < slaHours && dwellHours >= slaHours) {
             isViolation = true;
           }
         }
@@ -246,15 +251,15 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
           const totalDwellMs = actualEndTime - originalArrival;
           const totalDwellHours = totalDwellMs / (1000 * 60 * 60);
 
-          // Calculate when the trailer became a violation (crossed 2-hour threshold)
+          // Calculate when the trailer became a violation (crossed its SLA)
           let violationTimestamp;
           if (originalArrival >= dayStart) {
-            // Arrived today - violation is 2 hours after arrival
-            violationTimestamp = new Date(originalArrival + (2 * 60 * 60 * 1000)).toISOString();
+            // Arrived today - violation is SLA after arrival
+            violationTimestamp = new Date(originalArrival + sla.violationMinutes * 60 * 1000).toISOString();
           } else {
-            // Arrived before today - calculate when it crossed 2 hours today
+            // Arrived before today - calculate when it crossed the SLA today
             const previousDwellMs = dayStart - originalArrival;
-            const remainingMs = (2 * 60 * 60 * 1000) - previousDwellMs;
+            const remainingMs = sla.violationMinutes * 60 * 1000 - previousDwellMs;
             violationTimestamp = new Date(dayStart + remainingMs).toISOString();
           }
 
@@ -268,6 +273,8 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
             dwellHours: Math.round(totalDwellHours * 100) / 100,
             doorNumber: info.doorNumber,
             direction: info.direction || 'outbound',
+            slaMinutes: sla.violationMinutes,
+            slaSource: sla.source,
             facility: facilityId,
             recordedAt: violationTimestamp,
           };
@@ -290,6 +297,7 @@ function calculateDailyDwell(date, facilityId = null, timezone = "UTC") {
     count,
     violations,
     violators: violatorList,
+    slaRule: "policy",
     calculatedAt: new Date().toISOString(),
   };
 
@@ -328,9 +336,10 @@ function getDwellViolations(period = "day", facilityId = null, timezone = "UTC",
 
       // Calculate if not exists or recalculate if data looks wrong
       // (detect old buggy data where violations equaled total count,
-      // or violators array is truncated, or violators are missing number field)
+      // or violators array is truncated, or violators are missing number field,
+      // or the day was counted before the dwell policy with fixed thresholds)
       let dayStats = analytics.dailyStats?.[dateKey];
-      const hasMissingFields = dayStats?.violators?.some(v => !v.number);
+      const hasMissingFields = dayStats?.violators?.some(v => !v.number) || (dayStats && dayStats.slaRule !== "policy");
       if (!dayStats ||
           (dayStats.violations > 0 && dayStats.violations === dayStats.count) ||
           (dayStats.violators && dayStats.violators.length < dayStats.violations) ||
@@ -0,0 +1,181 @@
+/**
+ * API keys module
+ * Per-facility keys that let other systems (a WMS, a TMS) call the API without a user session
+ *
+ * Kept per facility in api-keys.json (loadApiKeys/saveApiKeys):
+ * - keys: [{
+ *     id, name,
+ *     prefix,                // Start of the key, to tell keys apart in the list
+ *     tokenHash,             // SHA-256 of the key (the key itself is only returned on create/rotate)
+ *     scopes,                // What the key may do (see API_KEY_SCOPES)
+ *     enabled, createdAt, createdBy, updatedAt, rotatedAt,
+ *     lastUsedAt, lastUsedIp
+ *   }]
+ *
+ * A key is sent in the X-API-Key header and looks like dk_<facilityId>_<48 hex>.
+ * The facility in the key says where to look it up, and requests made with it
+ * act on that facility. Routes accept keys only when they opt in with the
+ * allowApiKey middleware, which names the scope a key needs.
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { loadApiKeys, saveApiKeys } = require("./state");
+
+const API_KEY_SCOPES = {
+  "state:read": "Read the board state",
+  "trailers:create": "Create trailers",
+  "trailers:status": "Change a trailer's status",
+  "trailers:ship-receive": "Ship and receive trailers",
+};
+const KEY_PREFIX = "dk_";
+const MAX_KEYS = 20;
+// lastUsedAt is saved at most this often per key, not on every request
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken(facilityId) {
+  return `${KEY_PREFIX}${facilityId}_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Store a new key value on `key` and return it (the only time it is known)
+function assignToken(key, facilityId) {
+  const token = generateToken(facilityId);
+  key.tokenHash = hashToken(token);
+  key.prefix = token.slice(0, token.lastIndexOf("_") + 7);
+  return token;
+}
+
+/**
+ * Key without its hash (for listings)
+ */
+function publicApiKey(key) {
+  const { tokenHash, ...rest } = key;
+  return rest;
+}
+
+/**
+ * Validate key fields (new key or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Key being changed, if any
+ * @returns {object} - { fields } (only the fields given) or { error }
+ */
+function validateApiKey(input, existing = null) {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    const name = input.name ? sanitizeInput(String(input.name).trim()).slice(0, 100) : "";
+    if (!name) return { error: "API key name is required" };
+    fields.name = name;
+  }
+
+  if (input.scopes !== undefined || !existing) {
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+      return { error: `scopes must be a list of: ${Object.keys(API_KEY_SCOPES).join(", ")}` };
+    }
+    const scopes = [...new Set(input.scopes.map(String))];
+    const invalid = scopes.find((s) => !API_KEY_SCOPES[s]);
+    if (invalid) return { error: `Unknown scope: ${invalid}` };
+    fields.scopes = scopes;
+  }
+
+  if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+
+  return { fields };
+}
+
+/**
+ * Add a key (caller saves)
+ * @returns {object} - { key, token } or { error }
+ */
+function createApiKey(apiKeys, fields, user, facilityId) {
+  if (apiKeys.keys.length >= MAX_KEYS) {
+    return { error: `At most ${MAX_KEYS} API keys per facility` };
+  }
+  const now = new Date().toISOString();
+  const key = {
+    id: uuidv4(),
+    enabled: true,
+    ...fields,
+    createdAt: now,
+    createdBy: user?.username || null,
+    updatedAt: now,
+    rotatedAt: null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+  };
+  const token = assignToken(key, facilityId);
+  apiKeys.keys.push(key);
+  return { key, token };
+}
+
+/**
+ * Replace a key's value; the old one stops working at once (caller saves)
+ * @returns {string} - The new key
+ */
+function rotateApiKey(key, facilityId) {
+  const now = new Date().toISOString();
+  key.rotatedAt = now;
+  key.updatedAt = now;
+  return assignToken(key, facilityId);
+}
+
+/**
+ * Look up the key sent with a request and note its use
+ * @param {string} token - X-API-Key header value
+ * @param {string} ip - Caller's address
+ * @returns {object} - { key, facilityId } or { error, code }
+ */
+function authenticateApiKey(token, ip) {
+  const separator = token.lastIndexOf("_");
+  const facilityId = token.slice(KEY_PREFIX.length, separator);
+  // The facility ID becomes part of a file path, so it must look like one
+  if (!token.startsWith(KEY_PREFIX) || !/^[A-Za-z0-9-]+$/.test(facilityId)) {
+    return { error: "Invalid API key", code: "API_KEY_INVALID" };
+  }
+
+  const apiKeys = loadApiKeys(facilityId);
+  const tokenHash = hashToken(token);
+  const key = apiKeys.keys.find((k) => k.tokenHash === tokenHash);
+  if (!key) return { error: "Invalid API key", code: "API_KEY_INVALID" };
+  if (!key.enabled) return { error: "API key is disabled", code: "API_KEY_DISABLED" };
+
+  const now = Date.now();
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() >= LAST_USED_SAVE_INTERVAL_MS || key.lastUsedIp !== ip) {
+    key.lastUsedAt = new Date(now).toISOString();
+    key.lastUsedIp = ip || null;
+    saveApiKeys(apiKeys, facilityId);
+  }
+
+  return { key, facilityId };
+}
+
+/**
+ * req.user for a request made with a key: acts as a "user" role in the
+ * key's facility; history shows the key's name
+ */
+function apiKeyUser(key, facilityId) {
+  return {
+    userId: `api-key:${key.id}`,
+    username: `${key.name} (API key)`,
+    role: "user",
+    homeFacility: facilityId,
+    currentFacility: facilityId,
+    isVisiting: false,
+    apiKeyId: key.id,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  publicApiKey,
+  validateApiKey,
+  createApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  apiKeyUser,
+};
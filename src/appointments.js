@@ -0,0 +1,607 @@
+/**
+ * Appointments module
+ * Dock appointment scheduling: time slots, door/door-group capacity,
+ * conflict detection and feeding due appointments into the appointment queue
+ *
+ * Kept in the facility state:
+ * - appointments: [{
+ *     id, carrier, trailerNumber, trailerId, customer, loadNumber, notes,
+ *     direction,             // "inbound" | "outbound"
+ *     doorId | doorGroupId,  // A specific door, or any door of a group
+ *     start, end,            // ISO timestamps
+ *     durationMinutes,
+ *     status,                // booked | queued | arrived | completed | cancelled
+ *     createdAt, createdBy, updatedAt
+ *   }]
+ * - doorGroups: [{ id, name, doorIds }]
+ * - schedule: {
+ *     slotMinutes,             // Appointments start on these boundaries (facility local time)
+ *     defaultDurationMinutes,
+ *     queueLeadMinutes,        // How long before its start a booking joins the appointment queue
+ *     windows: [{ id, doorId?, doorGroupId?, days: [0-6], start: "HH:MM", end: "HH:MM" }]
+ *   }
+ *
+ * Windows are the bookable hours. A window for a door or group applies to it;
+ * one with neither applies to the whole facility. A target with no windows
+ * can be booked at any (slot-aligned) time.
+ *
+ * Capacity: a door holds one appointment at a time. A group holds as many
+ * overlapping appointments as it has doors, counting both group bookings
+ * and bookings of its member doors.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { findOverlaps } = require("./maintenance");
+
+const DEFAULT_SCHEDULE = {
+  slotMinutes: 30,
+  defaultDurationMinutes: 60,
+  queueLeadMinutes: 60,
+  windows: [],
+};
+
+// Statuses that hold a door
+const ACTIVE_STATUSES = ["booked", "queued", "arrived"];
+const APPOINTMENT_STATUSES = [...ACTIVE_STATUSES, "completed", "cancelled"];
+
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// ============================================================================
+// Time zone helpers (facility config.timezone, IANA name)
+// ============================================================================
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+  }).formatToParts(date).forEach((p) => { parts[p.type] = p.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+  };
+}
+
+// Instant of a wall-clock time ("YYYY-MM-DD", minutes after midnight) in a time zone
+function zonedTimeToDate(dateStr, minutes, timezone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timezone);
+    const [y, m, d] = p.date.split("-").map(Number);
+    return Date.UTC(y, m - 1, d, 0, p.minutes) - instant;
+  };
+  const first = guess - offsetAt(guess);
+  // Second pass for instants on the other side of a DST change
+  return new Date(guess - offsetAt(first));
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ""));
+  if (!match) return null;
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return parseInt(match[1]) <= 24 && parseInt(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// ============================================================================
+// Schedule settings
+// ============================================================================
+
+function getSchedule(state) {
+  return { ...DEFAULT_SCHEDULE, ...(state.schedule || {}), windows: state.schedule?.windows || [] };
+}
+
+/**
+ * Validate and apply schedule settings
+ * @returns {object} - { schedule } or { error }
+ */
+function updateSchedule(state, updates) {
+  const schedule = getSchedule(state);
+
+  for (const field of ["slotMinutes", "defaultDurationMinutes", "queueLeadMinutes"]) {
+    if (updates[field] === undefined) continue;
+    const value = updates[field];
+    const min = field === "queueLeadMinutes" ? 0 : 5;
+    if (!Number.isInteger(value) || value < min || value > MAX_DURATION_MINUTES) {
+      return { error: `${field} must be a whole number of minutes (${min}-${MAX_DURATION_MINUTES})` };
+    }
+    schedule[field] = value;
+  }
+
+  if (updates.windows !== undefined) {
+    if (!Array.isArray(updates.windows)) return { error: "windows must be an array" };
+    const windows = [];
+    for (const w of updates.windows) {
+      const start = parseClock(w?.start);
+      const end = parseClock(w?.end);
+      if (start === null || end === null || end <= start) {
+        return { error: "Each window needs start and end times (HH:MM) with end after start" };
+      }
+      if (w.doorId && !state.doors.some((d) => d.id === w.doorId)) {
+        return { error: `Door not found: ${w.doorId}` };
+      }
+      if (w.doorGroupId && !(state.doorGroups || []).some((g) => g.id === w.doorGroupId)) {
+        return { error: `Door group not found: ${w.doorGroupId}` };
+      }
+      const days = w.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : w.days;
+      if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return { error: "days must be a list of weekdays (0 = Sunday ... 6 = Saturday)" };
+      }
+      windows.push({
+        id: w.id || uuidv4(),
+        doorId: w.doorId || null,
+        doorGroupId: w.doorId ? null : w.doorGroupId || null,
+        days: [...new Set(days)].sort(),
+        start: formatClock(start),
+        end: formatClock(end),
+      });
+    }
+    schedule.windows = windows;
+  }
+
+  state.schedule = schedule;
+  return { schedule };
+}
+
+// ============================================================================
+// Capacity and conflicts
+// ============================================================================
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function groupsContainingDoor(state, doorId) {
+  return (state.doorGroups || []).filter((g) => g.doorIds.includes(doorId));
+}
+
+// Doors of a group that still exist
+function groupDoorIds(state, group) {
+  return group.doorIds.filter((id) => state.doors.some((d) => d.id === id));
+}
+
+// Most appointments overlapping at any moment of `interval`
+function peakOverlap(appointments, interval) {
+  const points = [interval.start, ...appointments.map((a) => a.start).filter((s) => s > interval.start && s < interval.end)];
+  return Math.max(0, ...points.map((p) => appointments.filter((a) => a.start <= p && p < a.end).length));
+}
+
+/**
+ * Bookings that `candidate` would collide with
+ * @param {object} candidate - { doorId | doorGroupId, start, end }
+ * @param {string} excludeId - Appointment being rescheduled
+ * @returns {Array} - [{ type: "door", doorId, appointmentIds }] / [{ type: "capacity", doorGroupId, capacity, booked }]
+ */
+function findConflicts(state, candidate, excludeId = null) {
+  const active = (state.appointments || []).filter(
+    (a) => a.id !== excludeId && ACTIVE_STATUSES.includes(a.status) && overlaps(a, candidate),
+  );
+  const conflicts = [];
+
+  if (candidate.doorId) {
+    const sameDoor = active.filter((a) => a.doorId === candidate.doorId);
+    if (sameDoor.length > 0) {
+      conflicts.push({ type: "door", doorId: candidate.doorId, appointmentIds: sameDoor.map((a) => a.id) });
+    }
+  }
+
+  const groups = candidate.doorGroupId
+    ? (state.doorGroups || []).filter((g) => g.id === candidate.doorGroupId)
+    : candidate.doorId ? groupsContainingDoor(state, candidate.doorId) : [];
+
+  for (const group of groups) {
+    const doorIds = groupDoorIds(state, group);
+    const sharing = active.filter((a) => a.doorGroupId === group.id || doorIds.includes(a.doorId));
+    const booked = peakOverlap([...sharing, candidate], candidate);
+    if (booked > doorIds.length) {
+      conflicts.push({
+        type: "capacity",
+        doorGroupId: group.id,
+        capacity: doorIds.length,
+        booked,
+        appointmentIds: sharing.map((a) => a.id),
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * All current double bookings in the facility (e.g. after a door was removed
+ * from a group or a booking was forced through)
+ */
+function listConflicts(state) {
+  const seen = new Set();
+  const conflicts = [];
+  for (const appointment of state.appointments || []) {
+    if (!ACTIVE_STATUSES.includes(appointment.status)) continue;
+    for (const conflict of findConflicts(state, appointment, appointment.id)) {
+      const ids = [appointment.id, ...conflict.appointmentIds].sort();
+      const key = `${conflict.type}:${conflict.doorId || conflict.doorGroupId}:${ids.join(",")}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      conflicts.push({ ...conflict, appointmentIds: ids, start: appointment.start });
+    }
+  }
+  return conflicts;
+}
+
+// ============================================================================
+// Slots
+// ============================================================================
+
+// Windows that apply to a booking target
+function windowsFor(state, target) {
+  const { windows } = getSchedule(state);
+  const groupIds = target.doorGroupId
+    ? [target.doorGroupId]
+    : groupsContainingDoor(state, target.doorId).map((g) => g.id);
+  const own = windows.filter((w) =>
+    (target.doorId && w.doorId === target.doorId) || (w.doorGroupId && groupIds.includes(w.doorGroupId)),
+  );
+  return own.length > 0 ? own : windows.filter((w) => !w.doorId && !w.doorGroupId);
+}
+
+/**
+ * Check that an interval starts on a slot boundary and lies inside a window
+ * @returns {string|null} - Error message
+ */
+function checkSlot(state, target, start, end, timezone) {
+  const { slotMinutes } = getSchedule(state);
+  const local = zonedParts(start, timezone);
+  if (local.minutes % slotMinutes !== 0) {
+    return `Appointments start on ${slotMinutes}-minute slots`;
+  }
+
+  const windows = windowsFor(state, target);
+  if (windows.length === 0) return null;
+
+  const durationMinutes = (end - start) / 60000;
+  const fits = windows.some((w) =>
+    w.days.includes(local.weekday) &&
+    local.minutes >= parseClock(w.start) &&
+    local.minutes + durationMinutes <= parseClock(w.end),
+  );
+  return fits ? null : "Outside the bookable hours for this door";
+}
+
+/**
+ * Free slots on a day for a door or door group
+ * @returns {Array} - [{ start, end, time, available }] where available is the number of free doors
+ */
+function getAvailability(state, target, dateStr, durationMinutes, timezone) {
+  const { slotMinutes } = getSchedule(state);
+  const windows = windowsFor(state, target);
+  const weekday = new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+
+  // Minutes of the day covered by an applicable window (whole day without windows)
+  const ranges = windows.length === 0
+    ? [[0, 24 * 60]]
+    : windows.filter((w) => w.days.includes(weekday)).map((w) => [parseClock(w.start), parseClock(w.end)]);
+
+  const capacity = target.doorGroupId
+    ? groupDoorIds(state, (state.doorGroups || []).find((g) => g.id === target.doorGroupId) || { doorIds: [] }).length
+    : 1;
+
+  const slots = [];
+  const seen = new Set();
+  for (const [from, to] of ranges) {
+    for (let m = Math.ceil(from / slotMinutes) * slotMinutes; m + durationMinutes <= to; m += slotMinutes) {
+      if (seen.has(m)) continue;
+      seen.add(m);
+      const start = zonedTimeToDate(dateStr, m, timezone);
+      const end = new Date(start.getTime() + durationMinutes * 60000);
+      const candidate = { ...target, start: start.toISOString(), end: end.toISOString() };
+      const conflicts = findConflicts(state, candidate);
+      let available = conflicts.length > 0 ? 0 : capacity;
+      if (available > 0 && target.doorGroupId) {
+        const group = state.doorGroups.find((g) => g.id === target.doorGroupId);
+        const doorIds = groupDoorIds(state, group);
+        const sharing = (state.appointments || []).filter((a) =>
+          ACTIVE_STATUSES.includes(a.status) && overlaps(a, candidate) &&
+          (a.doorGroupId === group.id || doorIds.includes(a.doorId)),
+        );
+        available = capacity - peakOverlap(sharing, candidate);
+      }
+      slots.push({ start: candidate.start, end: candidate.end, time: formatClock(m), available });
+    }
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// ============================================================================
+// Booking
+// ============================================================================
+
+/**
+ * Validate booking fields (new booking or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Appointment being changed, if any
+ * @returns {object} - { fields } or { error }
+ */
+function validateAppointment(state, input, existing, timezone) {
+  const schedule = getSchedule(state);
+  const fields = {};
+
+  const carrier = input.carrier !== undefined ? input.carrier : existing?.carrier;
+  if (!carrier || !String(carrier).trim()) return { error: "Carrier is required" };
+  fields.carrier = sanitizeInput(String(carrier).trim());
+
+  for (const key of ["trailerNumber", "customer", "loadNumber", "notes"]) {
+    const value = input[key] !== undefined ? input[key] : existing?.[key];
+    fields[key] = value ? sanitizeInput(String(value)) : null;
+  }
+
+  const direction = input.direction !== undefined ? input.direction : existing?.direction || "inbound";
+  if (!["inbound", "outbound"].includes(direction)) return { error: "direction must be inbound or outbound" };
+  fields.direction = direction;
+
+  // Target: changing one replaces the other
+  let doorId = existing?.doorId || null;
+  let doorGroupId = existing?.doorGroupId || null;
+  if (input.doorId !== undefined || input.doorGroupId !== undefined) {
+    doorId = input.doorId || null;
+    doorGroupId = doorId ? null : input.doorGroupId || null;
+  }
+  if (!doorId && !doorGroupId) return { error: "doorId or doorGroupId is required" };
+  if (doorId) {
+    const door = state.doors.find((d) => d.id === doorId || d.number === parseInt(doorId));
+    if (!door) return { error: "Door not found" };
+    if (door.type === "blank" || door.inService === false) return { error: `Door ${door.number} is not in service` };
+    doorId = door.id;
+  }
+  if (doorGroupId) {
+    const group = (state.doorGroups || []).find((g) => g.id === doorGroupId);
+    if (!group) return { error: "Door group not found" };
+    if (groupDoorIds(state, group).length === 0) return { error: `Door group ${group.name} has no doors` };
+  }
+  fields.doorId = doorId;
+  fields.doorGroupId = doorGroupId;
+
+  const durationMinutes = input.durationMinutes !== undefined
+    ? input.durationMinutes
+    : existing?.durationMinutes || schedule.defaultDurationMinutes;
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+    return { error: `durationMinutes must be a whole number of minutes (1-${MAX_DURATION_MINUTES})` };
+  }
+  fields.durationMinutes = durationMinutes;
+
+  const start = new Date(input.start !== undefined ? input.start : existing?.start);
+  if (isNaN(start.getTime())) return { error: "start must be a date and time (ISO 8601)" };
+  const end = new Date(start.getTime() + durationMinutes * 60000);
+
+  const slotError = checkSlot(state, { doorId, doorGroupId }, start, end, timezone);
+  if (slotError) return { error: slotError };
+  if (doorId) {
+    const [maintenance] = findOverlaps(state, { doorId, start: start.toISOString(), end: end.toISOString() });
+    if (maintenance) return { error: `Door ${maintenance.doorNumber} has maintenance scheduled at this time (${maintenance.reason})` };
+  }
+
+  fields.start = start.toISOString();
+  fields.end = end.toISOString();
+
+  if (input.trailerId !== undefined) fields.trailerId = input.trailerId || null;
+
+  return { fields };
+}
+
+/**
+ * Create an appointment (caller checks conflicts and saves the state)
+ */
+function createAppointment(state, fields, user) {
+  if (!state.appointments) state.appointments = [];
+  const now = new Date().toISOString();
+  const appointment = {
+    id: uuidv4(),
+    trailerId: null,
+    ...fields,
+    status: "booked",
+    createdAt: now,
+    createdBy: user?.username || null,
+    updatedAt: now,
+  };
+  state.appointments.push(appointment);
+  state.appointments.sort((a, b) => a.start.localeCompare(b.start));
+  return appointment;
+}
+
+// Clock time shown on queued trailers ("appointmentTime")
+function appointmentClock(appointment, timezone) {
+  return formatClock(zonedParts(new Date(appointment.start), timezone).minutes);
+}
+
+function findTrailerAnywhere(state, trailerId) {
+  if (!trailerId) return null;
+  if (state.staging?.id === trailerId) return { trailer: state.staging, where: "staging" };
+  for (const [field, where] of [["yardTrailers", "yard"], ["trailers", "door"], ["queuedTrailers", "queue"], ["appointmentQueue", "appointment-queue"]]) {
+    const trailer = (state[field] || []).find((t) => t.id === trailerId);
+    if (trailer) return { trailer, where: where === "door" && !trailer.doorId ? "yard-slot" : where };
+  }
+  for (const [field, where] of [["shippedTrailers", "shipped"], ["receivedTrailers", "received"]]) {
+    const trailer = (state[field] || []).find((t) => t.id === trailerId);
+    if (trailer) return { trailer, where };
+  }
+  return null;
+}
+
+// Insert into the appointment queue ahead of later appointments
+function insertByAppointment(state, trailer, appointment) {
+  const startOf = (t) => (state.appointments || []).find((a) => a.id === t.appointmentId)?.start;
+  const index = state.appointmentQueue.findIndex((t) => {
+    const start = startOf(t);
+    return start && start > appointment.start;
+  });
+  if (index === -1) state.appointmentQueue.push(trailer);
+  else state.appointmentQueue.splice(index, 0, trailer);
+}
+
+/**
+ * Put booked appointments whose start is within queueLeadMinutes into the
+ * appointment queue. Uses the booked trailer if it is waiting in the yard or
+ * staging, otherwise adds an expected trailer for the carrier.
+ * Also advances statuses from the trailer's position (at a door = arrived,
+ * shipped/received = completed). Caller saves the state if anything changed.
+ *
+ * @returns {object} - { queued: [appointment], updated: [appointment] }
+ */
+function syncAppointments(state, timezone, now = new Date()) {
+  const { queueLeadMinutes } = getSchedule(state);
+  const horizon = new Date(now.getTime() + queueLeadMinutes * 60000).toISOString();
+  const queued = [];
+  const updated = [];
+  if (!state.appointmentQueue) state.appointmentQueue = [];
+
+  for (const appointment of state.appointments || []) {
+    if (!ACTIVE_STATUSES.includes(appointment.status)) continue;
+    const found = findTrailerAnywhere(state, appointment.trailerId);
+
+    // Progress of trailers already linked
+    if (found && (found.where === "shipped" || found.where === "received")) {
+      appointment.status = "completed";
+      appointment.updatedAt = now.toISOString();
+      updated.push(appointment);
+      continue;
+    }
+    if (found && found.where === "door" && appointment.status !== "arrived") {
+      appointment.status = "arrived";
+      appointment.arrivedAt = now.toISOString();
+      appointment.updatedAt = now.toISOString();
+      updated.push(appointment);
+      continue;
+    }
+
+    if (appointment.status !== "booked" || appointment.start > horizon) continue;
+
+    const appointmentTime = appointmentClock(appointment, timezone);
+    if (found && (found.where === "yard" || found.where === "staging")) {
+      const trailer = found.trailer;
+      if (found.where === "staging") state.staging = null;
+      else state.yardTrailers = state.yardTrailers.filter((t) => t.id !== trailer.id);
+      Object.assign(trailer, { location: "appointment-queue", queuedAt: now.toISOString(), appointmentTime, appointmentId: appointment.id });
+      insertByAppointment(state, trailer, appointment);
+    } else if (!found) {
+      const trailer = {
+        id: uuidv4(),
+        number: appointment.trailerNumber,
+        carrier: appointment.carrier,
+        carrierId: null,
+        status: appointment.direction === "inbound" ? "loaded" : "empty",
+        direction: appointment.direction,
+        contents: appointment.notes,
+        loadNumber: appointment.loadNumber,
+        customer: appointment.customer,
+        driverName: null,
+        driverPhone: null,
+        appointmentTime,
+        appointmentId: appointment.id,
+        isLive: appointment.direction === "inbound",
+        expected: true,
+        location: "appointment-queue",
+        createdAt: now.toISOString(),
+        queuedAt: now.toISOString(),
+      };
+      insertByAppointment(state, trailer, appointment);
+      appointment.trailerId = trailer.id;
+    }
+    // Trailers already queued or in a yard slot stay where they are
+
+    appointment.status = "queued";
+    appointment.queuedAt = now.toISOString();
+    appointment.updatedAt = now.toISOString();
+    queued.push(appointment);
+  }
+
+  return { queued, updated };
+}
+
+/**
+ * After a queued appointment was changed, update its trailer in the
+ * appointment queue (time, carrier, ...) and move it to its new position
+ */
+function refreshQueuedTrailer(state, appointment, timezone) {
+  const index = (state.appointmentQueue || []).findIndex((t) => t.appointmentId === appointment.id);
+  if (index === -1) return;
+
+  const [trailer] = state.appointmentQueue.splice(index, 1);
+  trailer.appointmentTime = appointmentClock(appointment, timezone);
+  if (trailer.expected) {
+    Object.assign(trailer, {
+      number: appointment.trailerNumber,
+      carrier: appointment.carrier,
+      customer: appointment.customer,
+      loadNumber: appointment.loadNumber,
+      direction: appointment.direction,
+    });
+  }
+  insertByAppointment(state, trailer, appointment);
+}
+
+/**
+ * Cancel an appointment; an expected trailer it added to the appointment
+ * queue is taken out again (caller saves the state)
+ * @returns {object|null} - Removed queue trailer, if any
+ */
+function cancelAppointment(state, appointment) {
+  appointment.status = "cancelled";
+  appointment.updatedAt = new Date().toISOString();
+
+  const index = (state.appointmentQueue || []).findIndex(
+    (t) => t.id === appointment.trailerId && t.appointmentId === appointment.id,
+  );
+  if (index === -1) return null;
+
+  const [trailer] = state.appointmentQueue.splice(index, 1);
+  // Expected trailers never arrived - drop them; real ones go back to the yard
+  if (!trailer.expected) {
+    Object.assign(trailer, { location: "yard", queuedAt: null });
+    delete trailer.appointmentId;
+    state.yardTrailers.push(trailer);
+  }
+  return trailer;
+}
+
+/**
+ * Facility time zone (facility config.timezone, UTC by default)
+ */
+function getFacilityTimezone(facility) {
+  const timezone = facility?.config?.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return timezone;
+  } catch (e) {
+    return "UTC";
+  }
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  APPOINTMENT_STATUSES,
+  getSchedule,
+  updateSchedule,
+  findConflicts,
+  listConflicts,
+  getAvailability,
+  validateAppointment,
+  createAppointment,
+  syncAppointments,
+  refreshQueuedTrailer,
+  cancelAppointment,
+  appointmentClock,
+  getFacilityTimezone,
+  zonedParts,
+  zonedTimeToDate,
+};
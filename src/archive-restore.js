@@ -0,0 +1,392 @@
+/**
+ * Archive restore module
+ * Diff of an archive against the current board, and selective restore of
+ * parts of it (routes/archives.js)
+ *
+ * Sections compared (see SECTIONS):
+ * - doors, yardSlots, carriers - by ID, layout/master data fields only
+ *   (which trailer sits in a door is the trailers' business)
+ * - trailers - every trailer on the board (doors, yard, staging, queues) by
+ *   ID, with its location as a pseudo-field
+ * - queues - each door, door group and the appointment queue as the ordered
+ *   list of its trailers
+ *
+ * Each section's diff is { missing, changed, extra }: in the archive only, in
+ * both but different, on the board only. Items are { id, label, fields? }
+ * with fields as [{ field, archive, current }].
+ *
+ * A selective restore brings back missing items and reverts changed ones; it
+ * never removes what is only on the board. Trailers keep where they are now
+ * (only their details are reverted); missing trailers go back where they were,
+ * or to the unassigned yard when that spot is taken (see trash.js). A trailer
+ * whose ID is now used by a shipped/received/trash record comes back with a
+ * new ID, and keeps the archived one as restoredFromId so it isn't seen as
+ * missing (and brought back again) afterwards.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { trailerContext, trailerExists, restoreTrailer, restoreDoor, restoreYardSlot } = require("./trash");
+
+const SECTIONS = ["doors", "yardSlots", "trailers", "carriers", "queues"];
+
+// Fields compared and reverted per section
+const DOOR_FIELDS = ["number", "order", "type", "labelText", "direction", "inService", "attributes"];
+const YARD_SLOT_FIELDS = ["number", "attributes"];
+const TRAILER_FIELDS = [
+  "number", "carrier", "carrierId", "customer", "loadNumber", "status", "direction", "contents",
+  "driverName", "driverPhone", "appointmentTime", "isLive", "requirements",
+];
+const CARRIER_FIELDS = [
+  "name", "mcNumber", "scac", "dotNumber", "contacts", "insuranceExpiry", "notes", "status", "blockedReason", "favorite",
+];
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function trailerLabel(trailer) {
+  return [trailer.carrier, trailer.number].filter(Boolean).join(" ") || "Trailer";
+}
+
+function doorLabel(door) {
+  return door.number != null ? `Door ${door.number}` : door.labelText || "Blank door";
+}
+
+// Where a trailer is, in the words restoreTrailer uses
+function describeLocation(context) {
+  switch (context.location) {
+    case "door": return `Door ${context.doorNumber}`;
+    case "yard-slot": return `Yard Spot ${context.yardSlotNumber}`;
+    case "staging": return "Staging";
+    case "queue": return context.targetDoorGroupName ? `Queue for ${context.targetDoorGroupName}` : `Queue for Door ${context.targetDoorNumber}`;
+    case "appointment-queue": return "Appointment Queue";
+    default: return "Unassigned Yard";
+  }
+}
+
+function boardTrailers(state) {
+  return [
+    ...(state.trailers || []),
+    ...(state.yardTrailers || []),
+    ...(state.staging ? [state.staging] : []),
+    ...(state.queuedTrailers || []),
+    ...(state.appointmentQueue || []),
+  ];
+}
+
+// Queue key -> { label, trailers (in queue order) }
+function queuesOf(state) {
+  const queues = new Map();
+  const byQueuedAt = (a, b) => String(a.queuedAt || "").localeCompare(String(b.queuedAt || ""));
+  for (const trailer of [...(state.queuedTrailers || [])].sort(byQueuedAt)) {
+    const key = trailer.targetDoorGroupId ? `group:${trailer.targetDoorGroupId}` : `door:${trailer.targetDoorId}`;
+    if (!queues.has(key)) {
+      const label = trailer.targetDoorGroupId ? `Queue for ${trailer.targetDoorGroupName}` : `Queue for Door ${trailer.targetDoorNumber}`;
+      queues.set(key, { label, trailers: [] });
+    }
+    queues.get(key).trailers.push(trailer);
+  }
+  if ((state.appointmentQueue || []).length > 0) {
+    queues.set("appointment", { label: "Appointment Queue", trailers: state.appointmentQueue });
+  }
+  return queues;
+}
+
+/**
+ * A section's items by ID: { id: { label, record, values } } where values are
+ * the compared fields
+ */
+function sectionItems(state, section) {
+  const items = new Map();
+  const pick = (record, fields) => Object.fromEntries(fields.map((f) => [f, record[f] ?? null]));
+
+  if (section === "doors") {
+    (state.doors || []).forEach((d) => items.set(d.id, { label: doorLabel(d), record: d, values: pick(d, DOOR_FIELDS) }));
+  } else if (section === "yardSlots") {
+    (state.yardSlots || []).forEach((s) => items.set(s.id, { label: `Yard Spot ${s.number}`, record: s, values: pick(s, YARD_SLOT_FIELDS) }));
+  } else if (section === "carriers") {
+    (state.carriers || []).forEach((c) => items.set(c.id, { label: c.name, record: c, values: pick(c, CARRIER_FIELDS) }));
+  } else if (section === "trailers") {
+    boardTrailers(state).forEach((t) => {
+      const context = trailerContext(state, t);
+      const item = {
+        label: trailerLabel(t),
+        record: t,
+        context,
+        values: { ...pick(t, TRAILER_FIELDS), location: describeLocation(context) },
+      };
+      items.set(t.id, item);
+      // Brought back under a new ID - stands in for the archived trailer
+      if (t.restoredFromId && !items.has(t.restoredFromId)) items.set(t.restoredFromId, { ...item, alias: true });
+    });
+  } else if (section === "queues") {
+    queuesOf(state).forEach((queue, key) => {
+      items.set(key, { label: queue.label, record: queue, values: { trailers: queue.trailers.map(trailerLabel) } });
+    });
+  }
+  return items;
+}
+
+function changedFields(archived, current) {
+  return Object.keys(archived.values)
+    .filter((field) => !same(archived.values[field], current.values[field]))
+    .map((field) => ({ field, archive: archived.values[field], current: current.values[field] }));
+}
+
+/**
+ * What differs between an archive and the current state
+ * @param {object} archive - Archived state (without _archiveMetadata)
+ * @param {object} current - Current facility state
+ * @returns {object} - { section: { missing, changed, extra } }
+ */
+function diffArchive(archive, current) {
+  const diff = {};
+  for (const section of SECTIONS) {
+    const archived = sectionItems(archive, section);
+    const now = sectionItems(current, section);
+    const result = { missing: [], changed: [], extra: [] };
+
+    archived.forEach((item, id) => {
+      if (!now.has(id)) {
+        result.missing.push({ id, label: item.label, ...(item.context && { location: item.values.location }) });
+        return;
+      }
+      const fields = changedFields(item, now.get(id));
+      if (fields.length > 0) result.changed.push({ id, label: item.label, fields });
+    });
+    now.forEach((item, id) => {
+      if (!archived.has(id) && !item.alias && !archived.has(item.record.restoredFromId)) result.extra.push({ id, label: item.label });
+    });
+
+    diff[section] = result;
+  }
+  return diff;
+}
+
+// A trailer ID is taken if anything in the facility still refers to it
+function trailerIdTaken(state, id) {
+  return trailerExists(state, id) ||
+    (state.shippedTrailers || []).some((t) => t.id === id) ||
+    (state.receivedTrailers || []).some((t) => t.id === id) ||
+    (state.trash || []).some((item) => item.entity?.id === id);
+}
+
+// Bring back a trailer that isn't on the board, where it was if it can
+function addTrailer(state, archived, context) {
+  const trailer = copy(archived);
+  const newId = trailerIdTaken(state, trailer.id) ? uuidv4() : null;
+  if (newId) {
+    trailer.id = newId;
+    trailer.restoredFromId = archived.id;
+  }
+
+  const result = restoreTrailer(state, trailer, context);
+  if (result.error) return { reason: result.error };
+  // Back in a queue at its old place in line
+  if (context.location === "queue" && archived.queuedAt) trailer.queuedAt = archived.queuedAt;
+  return { change: "added", location: result.location, ...(newId && { newId }) };
+}
+
+function revertDoor(state, door, archived) {
+  if (archived.number !== door.number && state.doors.some((d) => d.id !== door.id && d.number === archived.number && archived.number != null)) {
+    return { reason: `Door ${archived.number} already exists` };
+  }
+  if (door.trailerId && (archived.type !== "normal" || archived.inService === false)) {
+    return { reason: `${doorLabel(door)} has a trailer` };
+  }
+  DOOR_FIELDS.forEach((field) => {
+    if (archived[field] === undefined) delete door[field];
+    else door[field] = copy(archived[field]);
+  });
+  // Trailers at or queued for the door follow its number
+  state.trailers.filter((t) => t.doorId === door.id).forEach((t) => { t.doorNumber = door.number; });
+  state.queuedTrailers.filter((t) => t.targetDoorId === door.id).forEach((t) => { t.targetDoorNumber = door.number; });
+  state.doors.sort((a, b) => (a.order ?? a.number) - (b.order ?? b.number));
+  return { change: "reverted" };
+}
+
+function revertYardSlot(state, slot, archived) {
+  if (archived.number !== slot.number && state.yardSlots.some((s) => s.id !== slot.id && s.number === archived.number)) {
+    return { reason: `Yard Spot ${archived.number} already exists` };
+  }
+  YARD_SLOT_FIELDS.forEach((field) => {
+    if (archived[field] === undefined) delete slot[field];
+    else slot[field] = copy(archived[field]);
+  });
+  state.trailers.filter((t) => t.yardSlotId === slot.id).forEach((t) => { t.yardSlotNumber = slot.number; });
+  state.yardSlots.sort((a, b) => a.number - b.number);
+  return { change: "reverted" };
+}
+
+function revertTrailer(state, trailer, archived, fields) {
+  if (fields.every((f) => f.field === "location")) {
+    return { reason: "Only its location differs - move it on the board" };
+  }
+  TRAILER_FIELDS.forEach((field) => {
+    if (archived[field] === undefined) delete trailer[field];
+    else trailer[field] = copy(archived[field]);
+  });
+  const door = trailer.doorId && state.doors.find((d) => d.id === trailer.doorId && d.trailerId === trailer.id);
+  if (door) door.status = trailer.status || "occupied";
+  return { change: "reverted" };
+}
+
+function sameName(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+function addCarrier(state, archived) {
+  const existing = state.carriers.find((c) => sameName(c.name, archived.name));
+  if (existing) return { reason: `A carrier named ${existing.name} already exists` };
+  state.carriers.push(copy(archived));
+  return { change: "added" };
+}
+
+function revertCarrier(state, carrier, archived) {
+  if (state.carriers.some((c) => c.id !== carrier.id && sameName(c.name, archived.name))) {
+    return { reason: `A carrier named ${archived.name} already exists` };
+  }
+  CARRIER_FIELDS.forEach((field) => {
+    if (archived[field] === undefined) delete carrier[field];
+    else carrier[field] = copy(archived[field]);
+  });
+  carrier.updatedAt = new Date().toISOString();
+  return { change: "reverted" };
+}
+
+// Put a queue back the way it was: missing trailers rejoin it, trailers still
+// in it get their old place in line; trailers queued since stay behind them
+function restoreQueue(state, archive, key) {
+  const archivedQueue = queuesOf(archive).get(key);
+  const notes = [];
+  let restored = 0;
+
+  for (const archived of archivedQueue.trailers) {
+    const current = boardTrailers(state).find((t) => t.id === archived.id);
+    if (!current) {
+      const result = addTrailer(state, archived, trailerContext(archive, archived));
+      if (result.reason) notes.push(`${trailerLabel(archived)}: ${result.reason}`);
+      else restored++;
+      continue;
+    }
+    const where = describeLocation(trailerContext(state, current));
+    if (where !== archivedQueue.label) {
+      notes.push(`${trailerLabel(archived)} is at ${where} now`);
+      continue;
+    }
+    if (key !== "appointment") current.queuedAt = archived.queuedAt;
+  }
+
+  if (key === "appointment") {
+    const order = archivedQueue.trailers.map((t) => t.id);
+    const rank = (t) => (order.includes(t.id) ? order.indexOf(t.id) : order.length);
+    state.appointmentQueue = state.appointmentQueue
+      .map((t, i) => ({ t, i }))
+      .sort((a, b) => rank(a.t) - rank(b.t) || a.i - b.i)
+      .map(({ t }) => t);
+  }
+
+  return { change: "reverted", restoredTrailers: restored, ...(notes.length > 0 && { notes }) };
+}
+
+/**
+ * Bring back chosen parts of an archive (caller saves the state)
+ * @param {object} state - Current facility state (modified)
+ * @param {object} archive - Archived state (without _archiveMetadata)
+ * @param {object} selection - { sections?: [section], items?: [{ section, id }] }
+ * @returns {object} - { restored: [{ section, id, label, change, location?, newId?, fields? }],
+ *   skipped: [{ section, id, label, reason }] }
+ */
+function restoreSelected(state, archive, { sections = [], items = [] }) {
+  const diff = diffArchive(archive, state);
+
+  // Everything that differs in the chosen sections, plus the chosen items
+  const wanted = new Map();
+  sections.forEach((section) => {
+    [...diff[section].missing, ...diff[section].changed].forEach((item) => wanted.set(`${section}:${item.id}`, { section, id: item.id }));
+  });
+  items.forEach(({ section, id }) => wanted.set(`${section}:${id}`, { section, id }));
+
+  const restored = [];
+  const skipped = [];
+
+  // Doors and yard slots first, so trailers can go back into them
+  for (const section of ["doors", "yardSlots", "carriers", "trailers", "queues"]) {
+    const archived = sectionItems(archive, section);
+    for (const { id } of [...wanted.values()].filter((w) => w.section === section)) {
+      const item = archived.get(id);
+      if (!item) {
+        skipped.push({ section, id, label: id, reason: "Not in the archive" });
+        continue;
+      }
+      const current = sectionItems(state, section).get(id);
+      const fields = current ? changedFields(item, current) : null;
+      if (fields && fields.length === 0) {
+        skipped.push({ section, id, label: item.label, reason: "Already the same as in the archive" });
+        continue;
+      }
+
+      let result;
+      if (section === "doors") result = current ? revertDoor(state, current.record, item.record) : restoreDoor(state, copy(item.record));
+      else if (section === "yardSlots") result = current ? revertYardSlot(state, current.record, item.record) : restoreYardSlot(state, copy(item.record));
+      else if (section === "carriers") result = current ? revertCarrier(state, current.record, item.record) : addCarrier(state, item.record);
+      else if (section === "trailers") result = current ? revertTrailer(state, current.record, item.record, fields) : addTrailer(state, item.record, item.context);
+      else result = restoreQueue(state, archive, id);
+
+      // restoreDoor/restoreYardSlot answer like the trash: { location } or { error }
+      if (result.error) result = { reason: result.error };
+      if (result.reason) {
+        skipped.push({ section, id, label: item.label, reason: result.reason });
+        continue;
+      }
+      restored.push({
+        section,
+        id,
+        label: item.label,
+        change: result.change || "added",
+        ...(result.location && { location: result.location }),
+        ...(result.newId && { newId: result.newId }),
+        ...(fields && { fields: fields.map((f) => f.field) }),
+        ...(result.restoredTrailers !== undefined && { restoredTrailers: result.restoredTrailers }),
+        ...(result.notes && { notes: result.notes }),
+      });
+    }
+  }
+
+  return { restored, skipped };
+}
+
+/**
+ * Check a selection against the sections
+ * @returns {object} - { selection } or { error }
+ */
+function validateSelection(body) {
+  const sections = body.sections || [];
+  const items = body.items || [];
+  if (!Array.isArray(sections) || !Array.isArray(items)) {
+    return { error: "sections and items must be arrays" };
+  }
+  if (sections.length === 0 && items.length === 0) {
+    return { error: "Choose sections or items to restore" };
+  }
+  for (const section of [...sections, ...items.map((i) => i?.section)]) {
+    if (!SECTIONS.includes(section)) {
+      return { error: `section must be one of: ${SECTIONS.join(", ")}` };
+    }
+  }
+  if (items.some((i) => typeof i.id !== "string" || !i.id)) {
+    return { error: "Each item needs a section and an id" };
+  }
+  return { selection: { sections, items: items.map(({ section, id }) => ({ section, id })) } };
+}
+
+module.exports = {
+  SECTIONS,
+  diffArchive,
+  restoreSelected,
+  validateSelection,
+};
@@ -0,0 +1,444 @@
+/**
+ * Archives module
+ * Point-in-time snapshots of a facility's board state, their integrity checks,
+ * the backup schedule and the retention policy
+ *
+ * Archives are kept under data/archives/<facilityId>/<year>/<month>/ as
+ * gzipped JSON (<name>.json.gz) with a SHA-256 checksum next to each one
+ * (<name>.json.gz.sha256, in `sha256sum` format). Older archives are plain
+ * .json files without a checksum and are listed as unverified.
+ *
+ * The checksum is computed once, when the archive is written. The archive
+ * list reuses each file's last check (metadata and integrity) while its size
+ * and modification time and those of its checksum stay the same, so only
+ * files that are new to this process or changed on disk are read again.
+ * Restores, diffs and downloads always check the file in full.
+ *
+ * The file name tells how an archive was made:
+ * - archive-<facility>-<timestamp>                      - made by hand
+ * - auto-hourly-<facility>-<timestamp>                  - hourly schedule
+ * - auto-nightly-<facility>-<timestamp>                 - nightly schedule
+ * - auto-backup-before-restore-<facility>-<timestamp>   - before a restore
+ *
+ * Backup policy, per facility in archive-policy.json (see DEFAULT_POLICY):
+ * - hourly, nightly (at nightlyTime, facility time), beforeRestore - on/off
+ * - keep: { hourly, daily, monthly } - retention of scheduled archives,
+ *   { beforeRestore } - how many backups made before a restore are kept
+ * - nextHourlyAt, nextNightlyAt, lastArchive ({ at, trigger, filename, error })
+ *
+ * Retention is applied after each scheduled archive and each backup made
+ * before a restore: the newest scheduled (hourly or nightly) archive of each
+ * of the last `hourly` hours, `daily` days and `monthly` months is kept and
+ * the rest removed, and only the newest `beforeRestore` backups made before
+ * a restore are kept. Archives made by hand stay until they are deleted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { DATA_DIR } = require("./config");
+const { loadState, loadArchivePolicy, saveArchivePolicy } = require("./state");
+const { getFacility } = require("./facilities");
+const { zonedParts } = require("./appointments");
+const { nextRunTime } = require("./reports");
+
+const ARCHIVES_DIR = path.join(DATA_DIR, "archives");
+
+// File name prefix of each kind of archive
+const ARCHIVE_TRIGGERS = {
+  manual: "archive-",
+  hourly: "auto-hourly-",
+  nightly: "auto-nightly-",
+  "before-restore": "auto-backup-before-restore-",
+};
+const SCHEDULED_TRIGGERS = ["hourly", "nightly"];
+
+const DEFAULT_POLICY = {
+  hourly: false,
+  nightly: true,
+  nightlyTime: "02:00",
+  beforeRestore: true,
+  keep: { hourly: 24, daily: 14, monthly: 12, beforeRestore: 10 },
+};
+// Retention periods of scheduled archives: the bucket an archive falls in (facility time)
+const RETENTION_BUCKETS = {
+  hourly: (parts) => `${parts.date} ${Math.floor(parts.minutes / 60)}`,
+  daily: (parts) => parts.date,
+  monthly: (parts) => parts.date.slice(0, 7),
+};
+const MAX_KEEP = 1000;
+
+const ARCHIVE_NAME = /^[\w\-]+\.json(\.gz)?$/;
+
+function isArchiveName(filename) {
+  return ARCHIVE_NAME.test(filename);
+}
+
+function triggerOf(filename) {
+  const match = Object.entries(ARCHIVE_TRIGGERS).find(([, prefix]) => filename.startsWith(prefix));
+  return match ? match[0] : null;
+}
+
+// When an archive was made, from the timestamp in its name (file time for odd names)
+function archiveTime(filename, fullPath) {
+  const match = filename.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  if (match) return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  return fs.statSync(fullPath).mtime;
+}
+
+// Archive directory for a facility, by year/month (server time)
+function getArchiveDir(facilityId, now = new Date()) {
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  return path.join(ARCHIVES_DIR, facilityId, String(year), month);
+}
+
+// Every archive file under a directory: [{ name, fullPath, relativePath }]
+function findArchiveFiles(dir = ARCHIVES_DIR, basePath = "") {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    const relativePath = path.join(basePath, entry.name);
+    if (entry.isDirectory()) files.push(...findArchiveFiles(fullPath, relativePath));
+    else if (isArchiveName(entry.name)) files.push({ name: entry.name, fullPath, relativePath });
+  }
+  return files;
+}
+
+function findArchive(filename) {
+  return findArchiveFiles().find((f) => f.name === filename)?.fullPath || null;
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Last check of each archive for the list, by path: { version, metadata, integrity, problem? }
+const listedChecks = new Map();
+
+// Changes when the archive or its checksum file is replaced or modified
+function fileVersion(fullPath) {
+  const stamp = (file) => {
+    try {
+      const stats = fs.statSync(file);
+      return `${stats.size}@${stats.mtimeMs}`;
+    } catch (e) {
+      return "-";
+    }
+  };
+  return `${stamp(fullPath)} ${stamp(`${fullPath}.sha256`)}`;
+}
+
+function rememberCheck(fullPath, { integrity, problem, data }) {
+  const check = { version: fileVersion(fullPath), metadata: data?._archiveMetadata || null, integrity, ...(problem && { problem }) };
+  listedChecks.set(fullPath, check);
+  return check;
+}
+
+// checkArchive() for the list, skipped while the files are unchanged since the last check
+function listedCheck(fullPath) {
+  const cached = listedChecks.get(fullPath);
+  if (cached && cached.version === fileVersion(fullPath)) return cached;
+  return rememberCheck(fullPath, checkArchive(fullPath));
+}
+
+/**
+ * Write the facility's current state as an archive
+ * @param {string} facilityId
+ * @param {object} options - { trigger (see ARCHIVE_TRIGGERS), createdBy, note? }
+ * @returns {object} - { filename, path, size }
+ */
+function writeArchive(facilityId, { trigger, createdBy, note }) {
+  // The revision only means something on the live board (see saveState)
+  const { revision, ...state } = loadState(facilityId);
+  const facility = getFacility(facilityId);
+  const now = new Date();
+
+  const timestamp = now.toISOString().replace(/[:.]/g, "-");
+  const filename = `${ARCHIVE_TRIGGERS[trigger]}${facilityId}-${timestamp}.json.gz`;
+  const archivesDir = getArchiveDir(facilityId, now);
+  fs.mkdirSync(archivesDir, { recursive: true });
+
+  const archiveData = {
+    _archiveMetadata: {
+      version: "1.0",
+      createdAt: now.toISOString(),
+      facilityId,
+      facilityName: facility?.name || "Unknown Facility",
+      createdBy,
+      trigger,
+      ...(note && { note }),
+    },
+    ...state,
+  };
+  const buffer = zlib.gzipSync(JSON.stringify(archiveData, null, 2));
+
+  // Temp file + rename, so a crash never leaves half an archive under its real name
+  const archivePath = path.join(archivesDir, filename);
+  const tempPath = `${archivePath}.tmp`;
+  fs.writeFileSync(tempPath, buffer);
+  fs.renameSync(tempPath, archivePath);
+  fs.writeFileSync(`${archivePath}.sha256`, `${sha256(buffer)}  ${filename}\n`);
+  rememberCheck(archivePath, { integrity: "ok", data: archiveData });
+
+  return { filename, path: archivePath, size: buffer.length };
+}
+
+/**
+ * Read an archive and check it against its checksum
+ * @returns {object} - { integrity: "ok" | "unverified" | "corrupted", problem?, data? }
+ */
+function checkArchive(fullPath) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(fullPath);
+  } catch (e) {
+    return { integrity: "corrupted", problem: `Unreadable: ${e.message}` };
+  }
+
+  let checksum = null;
+  if (fs.existsSync(`${fullPath}.sha256`)) {
+    checksum = fs.readFileSync(`${fullPath}.sha256`, "utf8").split(/\s/)[0];
+    if (checksum !== sha256(buffer)) {
+      return { integrity: "corrupted", problem: "Checksum mismatch" };
+    }
+  }
+
+  let data;
+  try {
+    const text = fullPath.endsWith(".gz") ? zlib.gunzipSync(buffer).toString("utf8") : buffer.toString("utf8");
+    data = JSON.parse(text);
+  } catch (e) {
+    return { integrity: "corrupted", problem: fullPath.endsWith(".gz") ? "Not valid gzipped JSON" : "Not valid JSON" };
+  }
+  return { integrity: checksum ? "ok" : "unverified", data };
+}
+
+/**
+ * Archives of a facility (and legacy archives without metadata), newest first,
+ * each with its integrity (as of its last check, see listedCheck)
+ */
+function listArchives(facilityId) {
+  const files = findArchiveFiles();
+  // Forget deleted archives
+  const present = new Set(files.map((f) => f.fullPath));
+  for (const fullPath of listedChecks.keys()) {
+    if (!present.has(fullPath)) listedChecks.delete(fullPath);
+  }
+
+  return files
+    .map((file) => {
+      const stats = fs.statSync(file.fullPath);
+      const { integrity, problem, metadata } = listedCheck(file.fullPath);
+      // A corrupted archive can't say whose it is - its folder can
+      const folderFacilityId = file.relativePath.split(path.sep).length > 1 ? file.relativePath.split(path.sep)[0] : null;
+      const archiveFacilityId = metadata?.facilityId || (integrity === "corrupted" ? folderFacilityId : null);
+
+      return {
+        name: file.name,
+        path: file.relativePath,
+        size: stats.size,
+        created: stats.birthtime,
+        facilityId: archiveFacilityId,
+        facilityName: metadata?.facilityName || null,
+        trigger: metadata?.trigger || triggerOf(file.name),
+        compressed: file.name.endsWith(".gz"),
+        integrity,
+        ...(problem && { problem }),
+        // Include archives that match current facility or have no metadata (legacy)
+        isForCurrentFacility: !archiveFacilityId || archiveFacilityId === facilityId,
+      };
+    })
+    .filter((f) => f.isForCurrentFacility)
+    .sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+/**
+ * Delete an archive, its checksum and the folders it leaves empty
+ */
+function deleteArchive(fullPath) {
+  fs.unlinkSync(fullPath);
+  listedChecks.delete(fullPath);
+  if (fs.existsSync(`${fullPath}.sha256`)) fs.unlinkSync(`${fullPath}.sha256`);
+
+  // Clean up empty parent directories (month -> year -> facility)
+  // Stop at the archives directory level
+  let currentDir = path.dirname(fullPath);
+  while (currentDir !== ARCHIVES_DIR && currentDir.startsWith(ARCHIVES_DIR)) {
+    try {
+      if (fs.readdirSync(currentDir).length > 0) break;
+      fs.rmdirSync(currentDir);
+      currentDir = path.dirname(currentDir);
+    } catch (e) {
+      break;
+    }
+  }
+}
+
+/**
+ * Remove the scheduled archives and backups made before a restore that the
+ * retention policy doesn't keep
+ * @returns {string[]} - Removed file names
+ */
+function pruneArchives(facilityId, keep, timezone) {
+  const files = findArchiveFiles(path.join(ARCHIVES_DIR, facilityId))
+    .map((f) => ({ ...f, trigger: triggerOf(f.name) }))
+    .filter((f) => SCHEDULED_TRIGGERS.includes(f.trigger) || f.trigger === "before-restore")
+    .map((f) => ({ ...f, at: archiveTime(f.name, f.fullPath) }))
+    .sort((a, b) => b.at - a.at);
+  const scheduled = files.filter((f) => f.trigger !== "before-restore");
+
+  const kept = new Set();
+  for (const [period, bucketOf] of Object.entries(RETENTION_BUCKETS)) {
+    const buckets = new Set();
+    for (const file of scheduled) {
+      if (buckets.size >= keep[period]) break;
+      const bucket = bucketOf(zonedParts(file.at, timezone));
+      if (buckets.has(bucket)) continue;
+      buckets.add(bucket);
+      kept.add(file.fullPath);
+    }
+  }
+  files
+    .filter((f) => f.trigger === "before-restore")
+    .slice(0, keep.beforeRestore)
+    .forEach((f) => kept.add(f.fullPath));
+
+  const removed = [];
+  for (const file of files) {
+    if (kept.has(file.fullPath)) continue;
+    deleteArchive(file.fullPath);
+    removed.push(file.name);
+  }
+  return removed;
+}
+
+/**
+ * The facility's backup policy, with defaults
+ */
+function getArchivePolicy(facilityId) {
+  const saved = loadArchivePolicy(facilityId) || {};
+  return {
+    ...DEFAULT_POLICY,
+    nextHourlyAt: null,
+    nextNightlyAt: null,
+    lastArchive: null,
+    ...saved,
+    keep: { ...DEFAULT_POLICY.keep, ...(saved.keep || {}) },
+  };
+}
+
+/**
+ * Validate a policy change (only the fields given are changed)
+ * @returns {object} - { fields } or { error }
+ */
+function validateArchivePolicy(input) {
+  if (!input || typeof input !== "object") return { error: "Policy is required" };
+  const fields = {};
+
+  for (const key of ["hourly", "nightly", "beforeRestore"]) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== "boolean") return { error: `${key} must be true or false` };
+    fields[key] = input[key];
+  }
+
+  if (input.nightlyTime !== undefined) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(input.nightlyTime)) return { error: "nightlyTime must be HH:MM" };
+    fields.nightlyTime = input.nightlyTime;
+  }
+
+  if (input.keep !== undefined) {
+    if (!input.keep || typeof input.keep !== "object") return { error: "keep must be { hourly, daily, monthly, beforeRestore }" };
+    fields.keep = {};
+    for (const period of Object.keys(DEFAULT_POLICY.keep)) {
+      if (input.keep[period] === undefined) continue;
+      const count = Number(input.keep[period]);
+      // A backup made before a restore would be removed right away with 0 (turn beforeRestore off instead)
+      const min = period === "beforeRestore" ? 1 : 0;
+      if (!Number.isInteger(count) || count < min || count > MAX_KEEP) {
+        return { error: `keep.${period} must be ${min}-${MAX_KEEP}` };
+      }
+      fields.keep[period] = count;
+    }
+  }
+
+  return { fields };
+}
+
+/**
+ * Apply a validated policy change and work out the next scheduled archives (caller saves)
+ */
+function updateArchivePolicy(policy, fields, user, timezone, now = new Date()) {
+  const keep = { ...policy.keep, ...(fields.keep || {}) };
+  if (Object.keys(RETENTION_BUCKETS).every((period) => keep[period] === 0)) {
+    return { error: "Retention must keep at least one hourly, daily or monthly archive" };
+  }
+  Object.assign(policy, fields, { keep, updatedAt: now.toISOString(), updatedBy: user?.username || null });
+  scheduleArchives(policy, timezone, now);
+  return { policy };
+}
+
+function scheduleArchives(policy, timezone, now = new Date()) {
+  const nextHour = new Date(Math.floor(now.getTime() / 3600000 + 1) * 3600000);
+  policy.nextHourlyAt = policy.hourly ? nextHour.toISOString() : null;
+  policy.nextNightlyAt = policy.nightly
+    ? nextRunTime({ frequency: "daily", time: policy.nightlyTime }, now, timezone)
+    : null;
+}
+
+/**
+ * Make the scheduled archive that is due (hourly or nightly, one archive
+ * when both are) and apply the retention policy
+ * @returns {object|null} - { filename, removed } or null when nothing was due
+ */
+function runScheduledArchive(facilityId, timezone, now = new Date()) {
+  const policy = getArchivePolicy(facilityId);
+
+  // First check for a facility (or a policy from before these fields): just schedule
+  if ((policy.hourly && !policy.nextHourlyAt) || (policy.nightly && !policy.nextNightlyAt)) {
+    scheduleArchives(policy, timezone, now);
+    saveArchivePolicy(policy, facilityId);
+    return null;
+  }
+
+  const due = [
+    policy.nightly && policy.nextNightlyAt <= now.toISOString() && "nightly",
+    policy.hourly && policy.nextHourlyAt <= now.toISOString() && "hourly",
+  ].filter(Boolean);
+  if (due.length === 0) return null;
+
+  // Moved on before the archive is written, so a failing write isn't retried every minute
+  scheduleArchives(policy, timezone, now);
+  const trigger = due[0];
+  let result = null;
+  try {
+    const archive = writeArchive(facilityId, { trigger, createdBy: "system" });
+    const removed = pruneArchives(facilityId, policy.keep, timezone);
+    policy.lastArchive = { at: now.toISOString(), trigger, filename: archive.filename, error: null };
+    result = { filename: archive.filename, removed };
+  } catch (e) {
+    console.error(`[Archives] ${trigger} archive failed for ${facilityId}:`, e.message);
+    policy.lastArchive = { at: now.toISOString(), trigger, filename: null, error: e.message };
+  }
+  saveArchivePolicy(policy, facilityId);
+  return result;
+}
+
+module.exports = {
+  ARCHIVE_TRIGGERS,
+  DEFAULT_POLICY,
+  isArchiveName,
+  getArchiveDir,
+  findArchive,
+  writeArchive,
+  checkArchive,
+  listArchives,
+  deleteArchive,
+  pruneArchives,
+  getArchivePolicy,
+  validateArchivePolicy,
+  updateArchivePolicy,
+  runScheduledArchive,
+};
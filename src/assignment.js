@@ -0,0 +1,281 @@
+/**
+ * Assignment module
+ * Picks the next queued trailer for a door that became free
+ *
+ * Queued trailers (state.queuedTrailers) wait either for one door
+ * (targetDoorId) or for any door of a door group (targetDoorGroupId).
+ * When a door frees up (move out, ship, receive, delete, back in service),
+ * the routes call assignNextToDoor() and the best waiting trailer is moved in.
+ *
+ * Rules (state.assignmentRules, see DEFAULT_RULES):
+ * - enabled         - React to freed doors automatically (POST /doors/:id/assign-next works either way)
+ * - order           - "fcfs" (longest waiting first) or "appointment" (earliest appointment first, then FCFS;
+ *                     booked slots by their start, other trailers by the clock time in appointmentTime,
+ *                     trailers without a readable time last)
+ * - preferences     - [{ id, carrier?, customer?, direction?, doorIds: [], mode }]
+ *                     A trailer matching every field given prefers the listed doors ("prefer"), or
+ *                     when queued for a group, may only be placed at them ("only")
+ *
+ * Trailers preferring the freed door go first, then the configured order.
+ * Only normal, in-service doors are filled, and only with trailers whose
+ * requirements and direction the door meets (see constraints.js).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput, normalizeTime } = require("./utils");
+const { checkPlacement } = require("./constraints");
+const { addHistoryEntry } = require("./state");
+
+const DEFAULT_RULES = {
+  enabled: true,
+  order: "fcfs",
+  preferences: [],
+};
+
+const ASSIGNMENT_ORDERS = ["fcfs", "appointment"];
+const DOOR_DIRECTIONS = ["inbound", "outbound"];
+
+function getAssignmentRules(state) {
+  // matchDirection was dropped: door direction is a placement constraint of its own now
+  const { matchDirection, ...stored } = state.assignmentRules || {};
+  return { ...DEFAULT_RULES, ...stored, preferences: stored.preferences || [] };
+}
+
+/**
+ * Validate and apply rule changes
+ * @returns {object} - { rules } or { error }
+ */
+function updateAssignmentRules(state, updates) {
+  const rules = getAssignmentRules(state);
+
+  if (updates.enabled !== undefined) rules.enabled = !!updates.enabled;
+  if (updates.order !== undefined) {
+    if (!ASSIGNMENT_ORDERS.includes(updates.order)) {
+      return { error: `order must be one of: ${ASSIGNMENT_ORDERS.join(", ")}` };
+    }
+    rules.order = updates.order;
+  }
+
+  if (updates.preferences !== undefined) {
+    if (!Array.isArray(updates.preferences)) return { error: "preferences must be an array" };
+    const preferences = [];
+    for (const p of updates.preferences) {
+      if (!p?.carrier && !p?.customer && !p?.direction) {
+        return { error: "Each preference needs a carrier, customer or direction" };
+      }
+      if (p.direction && !DOOR_DIRECTIONS.includes(p.direction)) {
+        return { error: "direction must be inbound or outbound" };
+      }
+      if (p.mode && !["prefer", "only"].includes(p.mode)) {
+        return { error: "mode must be prefer or only" };
+      }
+      const doorIds = resolveDoorRefs(state, p.doorIds, p.doorGroupId);
+      if (doorIds.error) return doorIds;
+      preferences.push({
+        id: p.id || uuidv4(),
+        carrier: p.carrier ? sanitizeInput(String(p.carrier)) : null,
+        customer: p.customer ? sanitizeInput(String(p.customer)) : null,
+        direction: p.direction || null,
+        doorIds: doorIds.doorIds,
+        mode: p.mode || "prefer",
+      });
+    }
+    rules.preferences = preferences;
+  }
+
+  state.assignmentRules = rules;
+  return { rules };
+}
+
+// Door IDs/numbers, or a door group, to door IDs
+function resolveDoorRefs(state, refs, doorGroupId) {
+  if (doorGroupId) {
+    const group = (state.doorGroups || []).find((g) => g.id === doorGroupId);
+    return group ? { doorIds: [...group.doorIds] } : { error: "Door group not found" };
+  }
+  if (!Array.isArray(refs) || refs.length === 0) return { error: "Each preference needs doorIds or a doorGroupId" };
+  const doorIds = [];
+  for (const ref of refs) {
+    const door = state.doors.find((d) => d.id === ref || d.number === parseInt(ref));
+    if (!door) return { error: `Door not found: ${ref}` };
+    doorIds.push(door.id);
+  }
+  return { doorIds };
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Preferences whose carrier/customer/direction all match the trailer
+function matchingPreferences(rules, trailer) {
+  return rules.preferences.filter((p) =>
+    (!p.carrier || sameText(p.carrier, trailer.carrier)) &&
+    (!p.customer || sameText(p.customer, trailer.customer)) &&
+    (!p.direction || p.direction === trailer.direction),
+  );
+}
+
+/**
+ * Whether a door can take trailers automatically
+ */
+function isAssignableDoor(door) {
+  return !!door && !door.trailerId && door.inService !== false && door.type !== "blank";
+}
+
+/**
+ * Doors a queued trailer is waiting for
+ */
+function queueTargetDoorIds(state, trailer) {
+  if (trailer.targetDoorGroupId) {
+    return (state.doorGroups || []).find((g) => g.id === trailer.targetDoorGroupId)?.doorIds || [];
+  }
+  return trailer.targetDoorId ? [trailer.targetDoorId] : [];
+}
+
+// Minutes after midnight of a trailer's appointmentTime (Infinity when it isn't a time)
+function appointmentMinutes(trailer) {
+  const time = normalizeTime(trailer.appointmentTime);
+  if (!time) return Infinity;
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Best queued trailer for a door under the facility's rules
+ * @returns {object|null} - { trailer, reason }
+ */
+function pickNextTrailer(state, door) {
+  const rules = getAssignmentRules(state);
+
+  const candidates = (state.queuedTrailers || []).filter((t) => {
+    if (!queueTargetDoorIds(state, t).includes(door.id)) return false;
+    if (checkPlacement(door, t, "door").length > 0) return false;
+    // "only" preferences limit where group-queued trailers may go (a trailer queued for this exact door asked for it)
+    if (t.targetDoorGroupId) {
+      const only = matchingPreferences(rules, t).filter((p) => p.mode === "only");
+      if (only.length > 0 && !only.some((p) => p.doorIds.includes(door.id))) return false;
+    }
+    return true;
+  });
+  if (candidates.length === 0) return null;
+
+  const prefers = (t) => matchingPreferences(rules, t).some((p) => p.doorIds.includes(door.id));
+  const waitedSince = (t) => t.queuedAt || "";
+  const slotStart = (t) => t.appointmentId && (state.appointments || []).find((a) => a.id === t.appointmentId)?.start;
+  const byOrder = (a, b) => {
+    if (rules.order === "appointment") {
+      // Booked slots carry the full instant, so tomorrow's 06:00 stays behind tonight's 22:00
+      const as = slotStart(a);
+      const bs = slotStart(b);
+      if (as && bs && as !== bs) return as.localeCompare(bs);
+      const am = appointmentMinutes(a);
+      const bm = appointmentMinutes(b);
+      if (am !== bm) return am < bm ? -1 : 1;
+    }
+    return waitedSince(a).localeCompare(waitedSince(b));
+  };
+
+  const ranked = candidates
+    .map((t, index) => ({ t, index, preferred: prefers(t) }))
+    .sort((a, b) => (b.preferred - a.preferred) || byOrder(a.t, b.t) || a.index - b.index);
+
+  const { t: trailer, preferred } = ranked[0];
+  let reason = "first come, first served";
+  if (preferred) reason = "preferred door";
+  else if (rules.order === "appointment" && appointmentMinutes(trailer) !== Infinity) reason = `appointment ${trailer.appointmentTime}`;
+  return { trailer, reason };
+}
+
+/**
+ * Move the best queued trailer into a free door (caller saves the state)
+ * @param {object} state - Facility state being modified
+ * @param {string} doorId - Door that became free
+ * @param {object} options - { force: true } to run even when automatic assignment is off
+ * @returns {object|null} - { trailerId, trailerNumber, carrier, customer, doorId, doorNumber, reason } (the routes' `autoAssigned`)
+ */
+function assignNextToDoor(state, doorId, options = {}) {
+  if (!options.force && !getAssignmentRules(state).enabled) return null;
+
+  const door = state.doors.find((d) => d.id === doorId);
+  if (!isAssignableDoor(door)) return null;
+
+  const pick = pickNextTrailer(state, door);
+  if (!pick) return null;
+  const { trailer, reason } = pick;
+
+  state.queuedTrailers = state.queuedTrailers.filter((t) => t.id !== trailer.id);
+  door.trailerId = trailer.id;
+  door.status = trailer.status || "occupied";
+
+  trailer.doorId = door.id;
+  trailer.doorNumber = door.number;
+  trailer.location = "door";
+  trailer.queuedAt = null;
+  delete trailer.targetDoorId;
+  delete trailer.targetDoorNumber;
+  delete trailer.targetDoorGroupId;
+  delete trailer.targetDoorGroupName;
+  state.trailers.push(trailer);
+
+  return {
+    trailerId: trailer.id,
+    trailerNumber: trailer.number,
+    carrier: trailer.carrier,
+    customer: trailer.customer,
+    doorId: door.id,
+    doorNumber: door.number,
+    reason,
+  };
+}
+
+/**
+ * Log a TRAILER_ASSIGNED_FROM_QUEUE history entry for each trailer the engine
+ * docked, so assignments are audited, sent to webhooks and learned from by
+ * the door recommendations like any other placement
+ * @param {object|Array|null} assigned - assignNextToDoor / assignFreeDoors result
+ * @param {object|null} user - Who caused it (null for the scheduler)
+ * @param {string} facilityId
+ */
+function logAssignments(assigned, user, facilityId) {
+  for (const assignment of [].concat(assigned || [])) {
+    addHistoryEntry("TRAILER_ASSIGNED_FROM_QUEUE", {
+      trailerId: assignment.trailerId,
+      trailerNumber: assignment.trailerNumber,
+      carrier: assignment.carrier,
+      customer: assignment.customer,
+      doorId: assignment.doorId,
+      doorNumber: assignment.doorNumber,
+      toDoor: assignment.doorNumber,
+      reason: assignment.reason,
+    }, user, facilityId);
+  }
+}
+
+/**
+ * Fill every free door that has a waiting trailer (e.g. after queueing for a
+ * group or changing the rules). Caller saves the state.
+ * @returns {Array} - autoAssigned entries
+ */
+function assignFreeDoors(state, doorIds = null) {
+  const assigned = [];
+  for (const door of state.doors) {
+    if (doorIds && !doorIds.includes(door.id)) continue;
+    const result = assignNextToDoor(state, door.id);
+    if (result) assigned.push(result);
+  }
+  return assigned;
+}
+
+module.exports = {
+  ASSIGNMENT_ORDERS,
+  DOOR_DIRECTIONS,
+  getAssignmentRules,
+  updateAssignmentRules,
+  isAssignableDoor,
+  queueTargetDoorIds,
+  pickNextTrailer,
+  assignNextToDoor,
+  logAssignments,
+  assignFreeDoors,
+};
@@ -0,0 +1,280 @@
+/**
+ * Carriers module
+ * Carrier master data, the blocklist and merging duplicate carriers
+ *
+ * Carrier record (state.carriers):
+ * {
+ *   id, name, mcNumber, favorite, usageCount, createdAt, updatedAt,
+ *   scac,             // Standard Carrier Alpha Code (2-4 letters)
+ *   dotNumber,        // USDOT number
+ *   contacts: [{ name, role, phone, email }],  // Dispatchers etc.
+ *   insuranceExpiry,  // YYYY-MM-DD, last day the insurance is valid
+ *   notes,
+ *   status,           // active | blocked
+ *   blockedReason
+ * }
+ *
+ * Trailers refer to carriers by name (trailer.carrier, matched without case).
+ * New trailers for a blocked carrier, or one whose insurance has expired,
+ * are refused (see carrierRestriction). Names typed for an unknown carrier
+ * still create it (see recordCarrierUse).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { getFacility } = require("./facilities");
+const { getFacilityTimezone, zonedParts } = require("./appointments");
+
+const CARRIER_STATUSES = ["active", "blocked"];
+
+const MAX_CONTACTS = 10;
+const MAX_NOTES_LENGTH = 1000;
+
+// Trailer collections whose carrier names a merge rewrites
+const TRAILER_FIELDS = ["trailers", "yardTrailers", "queuedTrailers", "appointmentQueue", "shippedTrailers", "receivedTrailers"];
+
+function sameName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+/**
+ * Carrier record for a trailer's carrier name, if any
+ */
+function findCarrierByName(state, name) {
+  return (state.carriers || []).find((c) => sameName(c.name, name)) || null;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) at a facility, for insurance expiry checks
+ */
+function facilityToday(facilityId) {
+  return zonedParts(new Date(), getFacilityTimezone(getFacility(facilityId))).date;
+}
+
+/**
+ * Why a carrier may not take new trailers, if it may not
+ * @param {object} carrier - Carrier record (or null for an unknown carrier)
+ * @param {string} today - YYYY-MM-DD (see facilityToday)
+ * @returns {object|null} - { error, code: "CARRIER_BLOCKED" | "CARRIER_INSURANCE_EXPIRED", carrierId }
+ */
+function carrierRestriction(carrier, today) {
+  if (!carrier) return null;
+  if (carrier.status === "blocked") {
+    return {
+      error: `Carrier ${carrier.name} is blocked${carrier.blockedReason ? `: ${carrier.blockedReason}` : ""}`,
+      code: "CARRIER_BLOCKED",
+      carrierId: carrier.id,
+    };
+  }
+  if (carrier.insuranceExpiry && carrier.insuranceExpiry < today) {
+    return {
+      error: `Carrier ${carrier.name} insurance expired on ${carrier.insuranceExpiry}`,
+      code: "CARRIER_INSURANCE_EXPIRED",
+      carrierId: carrier.id,
+    };
+  }
+  return null;
+}
+
+function optionalText(value, maxLength = 100) {
+  if (value === null || value === undefined || value === "") return "";
+  return sanitizeInput(String(value).trim()).slice(0, maxLength);
+}
+
+/**
+ * Validate a contact list ([{ name, role, phone, email }], also used for customers)
+ * @returns {object} - { values } or { error }
+ */
+function validateContacts(contacts) {
+  if (!Array.isArray(contacts)) return { error: "contacts must be an array" };
+  if (contacts.length > MAX_CONTACTS) return { error: `At most ${MAX_CONTACTS} contacts` };
+  const values = [];
+  for (const contact of contacts) {
+    if (!contact || typeof contact !== "object") return { error: "Each contact must be an object" };
+    const name = optionalText(contact.name);
+    const phone = optionalText(contact.phone, 30);
+    const email = optionalText(contact.email);
+    if (!name && !phone && !email) return { error: "Each contact needs a name, phone or email" };
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: `Invalid contact email: ${email}` };
+    values.push({ name, role: optionalText(contact.role, 50), phone, email });
+  }
+  return { values };
+}
+
+/**
+ * Validate carrier fields (new carrier or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Carrier being changed, if any
+ * @returns {object} - { fields } (only the fields given) or { error }
+ */
+function validateCarrier(state, input, existing = null) {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    const name = optionalText(input.name);
+    if (!name) return { error: "Carrier name is required" };
+    const duplicate = findCarrierByName(state, name);
+    if (duplicate && duplicate.id !== existing?.id) {
+      return { error: `Carrier ${duplicate.name} already exists`, code: "CARRIER_EXISTS", carrierId: duplicate.id };
+    }
+    fields.name = name;
+  }
+
+  if (input.mcNumber !== undefined) fields.mcNumber = optionalText(input.mcNumber, 20);
+  if (input.scac !== undefined) {
+    const scac = optionalText(input.scac, 10).toUpperCase();
+    if (scac && !/^[A-Z]{2,4}$/.test(scac)) return { error: "scac must be 2-4 letters" };
+    fields.scac = scac;
+  }
+  if (input.dotNumber !== undefined) {
+    const dotNumber = optionalText(input.dotNumber, 20);
+    if (dotNumber && !/^\d{1,8}$/.test(dotNumber)) return { error: "dotNumber must be up to 8 digits" };
+    fields.dotNumber = dotNumber;
+  }
+  if (input.insuranceExpiry !== undefined) {
+    const expiry = input.insuranceExpiry || null;
+    if (expiry && (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || isNaN(new Date(expiry).getTime()))) {
+      return { error: "insuranceExpiry must be a date (YYYY-MM-DD)" };
+    }
+    fields.insuranceExpiry = expiry;
+  }
+  if (input.notes !== undefined) {
+    if (input.notes && String(input.notes).length > MAX_NOTES_LENGTH) {
+      return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    fields.notes = optionalText(input.notes, MAX_NOTES_LENGTH);
+  }
+  if (input.contacts !== undefined) {
+    const contacts = validateContacts(input.contacts || []);
+    if (contacts.error) return contacts;
+    fields.contacts = contacts.values;
+  }
+  if (input.favorite !== undefined) fields.favorite = !!input.favorite;
+
+  if (input.status !== undefined) {
+    if (!CARRIER_STATUSES.includes(input.status)) {
+      return { error: `status must be one of: ${CARRIER_STATUSES.join(", ")}` };
+    }
+    fields.status = input.status;
+  }
+  if (input.blockedReason !== undefined) fields.blockedReason = optionalText(input.blockedReason, 200);
+  // Unblocking clears the reason
+  if (fields.status === "active") fields.blockedReason = "";
+
+  return { fields };
+}
+
+/**
+ * New carrier record with defaults for the fields not given
+ */
+function createCarrier(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    name: fields.name,
+    mcNumber: "",
+    scac: "",
+    dotNumber: "",
+    contacts: [],
+    insuranceExpiry: null,
+    notes: "",
+    status: "active",
+    blockedReason: "",
+    favorite: false,
+    usageCount: 0,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Count a new trailer for its carrier, creating the carrier for a new name
+ * (caller saves the state)
+ * @returns {object} - The carrier record
+ */
+function recordCarrierUse(state, name) {
+  let carrier = findCarrierByName(state, name);
+  if (!carrier) {
+    carrier = createCarrier({ name });
+    state.carriers.push(carrier);
+  }
+  carrier.usageCount = (carrier.usageCount || 0) + 1;
+  return carrier;
+}
+
+/**
+ * Point trailers, appointments and assignment preferences that use one of
+ * the given carrier names at a carrier (caller saves the state)
+ * @returns {object} - { trailersRenamed, appointmentsRenamed }
+ */
+function renameCarrierReferences(state, names, target) {
+  const matches = (name) => names.some((n) => sameName(n, name));
+  let trailersRenamed = 0;
+  let appointmentsRenamed = 0;
+
+  const rename = (trailer) => {
+    if (!trailer || !matches(trailer.carrier)) return;
+    trailer.carrier = target.name;
+    trailer.carrierId = target.id;
+    trailersRenamed++;
+  };
+  TRAILER_FIELDS.forEach((field) => (state[field] || []).forEach(rename));
+  rename(state.staging);
+
+  for (const appointment of state.appointments || []) {
+    if (matches(appointment.carrier)) {
+      appointment.carrier = target.name;
+      appointmentsRenamed++;
+    }
+  }
+  for (const preference of state.assignmentRules?.preferences || []) {
+    if (matches(preference.carrier)) preference.carrier = target.name;
+  }
+
+  return { trailersRenamed, appointmentsRenamed };
+}
+
+/**
+ * Merge duplicate carriers into one (caller saves the state)
+ *
+ * Trailers, appointments and assignment preferences of the merged carriers
+ * take the target's name; usage counts add up, contacts are combined and
+ * details the target lacks are taken from the merged carriers.
+ *
+ * @param {object} target - Carrier that stays
+ * @param {Array} sources - Carriers merged into it (removed)
+ * @returns {object} - { trailersRenamed, appointmentsRenamed }
+ */
+function mergeCarriers(state, target, sources) {
+  const result = renameCarrierReferences(state, sources.map((c) => c.name), target);
+
+  for (const source of sources) {
+    target.usageCount = (target.usageCount || 0) + (source.usageCount || 0);
+    target.favorite = target.favorite || !!source.favorite;
+    for (const key of ["mcNumber", "scac", "dotNumber", "insuranceExpiry"]) {
+      if (!target[key] && source[key]) target[key] = source[key];
+    }
+    if (source.notes) target.notes = [target.notes, source.notes].filter(Boolean).join("\n");
+    target.contacts = [...(target.contacts || []), ...(source.contacts || [])].slice(0, MAX_CONTACTS);
+  }
+  target.updatedAt = new Date().toISOString();
+
+  const sourceIds = new Set(sources.map((c) => c.id));
+  state.carriers = state.carriers.filter((c) => !sourceIds.has(c.id));
+
+  return result;
+}
+
+module.exports = {
+  CARRIER_STATUSES,
+  findCarrierByName,
+  facilityToday,
+  carrierRestriction,
+  validateContacts,
+  validateCarrier,
+  createCarrier,
+  recordCarrierUse,
+  renameCarrierReferences,
+  mergeCarriers,
+};
@@ -17,8 +17,9 @@ const PORT = process.env.PORT || 3000;
 const MULTI_FACILITY_MODE = true;
 const DEFAULT_FACILITY_ID = "default";
 
-// Data directory paths - all JSON data is stored here
-const DATA_DIR = path.join(__dirname, "../data");
+// Data directory paths - all JSON data is stored here (DATA_DIR moves it,
+// e.g. to a temporary folder for the tests)
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "../data");
 const FACILITIES_FILE = path.join(DATA_DIR, "facilities.json");
 const FACILITIES_DIR = path.join(DATA_DIR, "facilities");
 
@@ -47,11 +48,50 @@ function getFacilityUsersFile(facilityId) {
   return path.join(getFacilityDataPath(facilityId), "users.json");
 }
 
+// Storage backend - 'json' (default, files under data/) or 'sqlite' (single database file)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "dockboard.db");
+
+// History retention in days (0 = keep forever). Facilities can override it
+// with config.historyRetentionDays.
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 0;
+
+// Days deleted trailers/doors/yard slots stay restorable in the trash (0 = keep forever).
+// Facilities can override it with config.trashRetentionDays.
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.TRASH_RETENTION_DAYS) || 0
+  : 30;
+
+// Recent stateChange events kept per facility for replay to reconnecting SSE clients
+const SSE_REPLAY_BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER_SIZE) || 500;
+
+// Operations each user can undo per facility (server-side undo/redo)
+const UNDO_HISTORY_SIZE = parseInt(process.env.UNDO_HISTORY_SIZE) || 50;
+
+// How long a request may hold a facility write lock before a warning is logged (repeated while it holds it)
+const LOCK_TIMEOUT_MS = parseInt(process.env.LOCK_TIMEOUT_MS) || 30 * 1000;
+
+// Scheduled reports (see reports.js): the mail server e-mailed reports are sent
+// through, and the folder saved reports are written to (a subfolder per facility)
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+// true = TLS from the start (usually port 465); otherwise STARTTLS is used when the server offers it
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = process.env.SMTP_FROM || "dockboard@localhost";
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(DATA_DIR, "reports");
+
 // Legacy paths for backward compatibility (single facility mode)
 const STATE_FILE = path.join(DATA_DIR, "state.json");
 const HISTORY_FILE = path.join(DATA_DIR, "history.json");
 const ANALYTICS_FILE = path.join(DATA_DIR, "analytics.json");
 const SETTINGS_FILE = path.join(DATA_DIR, "settings.json");
+const WEBHOOKS_FILE = path.join(DATA_DIR, "webhooks.json");
+const API_KEYS_FILE = path.join(DATA_DIR, "api-keys.json");
+const IDEMPOTENCY_FILE = path.join(DATA_DIR, "idempotency.json");
+const REPORTS_FILE = path.join(DATA_DIR, "reports.json");
+const ARCHIVE_POLICY_FILE = path.join(DATA_DIR, "archive-policy.json");
 const USERS_FILE = path.join(DATA_DIR, "users.json");
 
 // Default UI settings for trailer display fonts and colors
@@ -114,7 +154,26 @@ module.exports = {
   HISTORY_FILE,
   ANALYTICS_FILE,
   SETTINGS_FILE,
+  WEBHOOKS_FILE,
+  API_KEYS_FILE,
+  IDEMPOTENCY_FILE,
+  REPORTS_FILE,
+  ARCHIVE_POLICY_FILE,
   USERS_FILE,
+  STORAGE_BACKEND,
+  SQLITE_FILE,
+  HISTORY_RETENTION_DAYS,
+  TRASH_RETENTION_DAYS,
+  SSE_REPLAY_BUFFER_SIZE,
+  UNDO_HISTORY_SIZE,
+  LOCK_TIMEOUT_MS,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  SMTP_FROM,
+  REPORTS_DIR,
   DEFAULT_SETTINGS,
   DEFAULT_CARRIERS,
   DEFAULT_DOORS,
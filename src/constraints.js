@@ -0,0 +1,129 @@
+/**
+ * Constraints module
+ * Door and yard-slot attributes, and the trailer requirements they must meet
+ *
+ * Door attributes (door.attributes):
+ * - reeferPlug      - Power plug for reefer units
+ * - leveler         - Dock leveler
+ * - hazmatApproved  - Approved for hazardous materials
+ * - height          - Door opening height in inches (unset = no limit)
+ * - maxLength       - Longest trailer that fits, in feet (unset = no limit)
+ * - direction       - door.direction: "inbound" or "outbound" only (unset = any)
+ *
+ * Yard slot attributes (slot.attributes): reeferPlug, hazmatApproved, maxLength
+ *
+ * Trailer requirements (trailer.requirements):
+ * - reefer, hazmat, leveler - Needs a reefer plug / hazmat approval / a leveler
+ * - height, length          - Trailer height in inches, length in feet
+ *
+ * checkPlacement() lists what a door or slot doesn't offer. The move routes
+ * refuse such moves (PLACEMENT_CONSTRAINT) unless an admin overrides them,
+ * and automatic assignment and door suggestions skip them.
+ */
+
+const DOOR_ATTRIBUTES = {
+  reeferPlug: "boolean",
+  leveler: "boolean",
+  hazmatApproved: "boolean",
+  height: "number",
+  maxLength: "number",
+};
+
+const SLOT_ATTRIBUTES = {
+  reeferPlug: "boolean",
+  hazmatApproved: "boolean",
+  maxLength: "number",
+};
+
+const TRAILER_REQUIREMENTS = {
+  reefer: "boolean",
+  hazmat: "boolean",
+  leveler: "boolean",
+  height: "number",
+  length: "number",
+};
+
+/**
+ * Validate attribute/requirement input against a schema and merge it over
+ * the current values. Keys not given keep their value; false/null clear a key.
+ *
+ * @param {object} current - Current values (or undefined)
+ * @param {object} input - Values from the request body
+ * @param {object} schema - DOOR_ATTRIBUTES, SLOT_ATTRIBUTES or TRAILER_REQUIREMENTS
+ * @returns {object} - { values } (null when nothing is set) or { error }
+ */
+function mergeFields(current, input, schema) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Expected an object" };
+  }
+
+  const values = { ...(current || {}) };
+  for (const [key, value] of Object.entries(input)) {
+    const type = schema[key];
+    if (!type) return { error: `Unknown field: ${key} (allowed: ${Object.keys(schema).join(", ")})` };
+
+    if (type === "boolean") {
+      if (value === true || value === "true") values[key] = true;
+      else delete values[key];
+      continue;
+    }
+
+    if (value === null || value === "") {
+      delete values[key];
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      return { error: `${key} must be a positive number` };
+    }
+    values[key] = number;
+  }
+
+  return { values: Object.keys(values).length > 0 ? values : null };
+}
+
+/**
+ * What a door or yard slot doesn't offer for a trailer
+ * @param {object} target - Door or yard slot
+ * @param {object} trailer - Trailer being placed
+ * @param {string} kind - "door" or "slot"
+ * @returns {Array} - [{ code, message }], empty when the trailer fits
+ */
+function checkPlacement(target, trailer, kind = "door") {
+  const needs = trailer?.requirements || {};
+  const has = target?.attributes || {};
+  const label = kind === "door" ? `Door ${target.number}` : `Yard Spot ${target.number}`;
+  const violations = [];
+
+  if (needs.reefer && !has.reeferPlug) {
+    violations.push({ code: "reefer", message: `${label} has no reefer plug` });
+  }
+  if (needs.hazmat && !has.hazmatApproved) {
+    violations.push({ code: "hazmat", message: `${label} is not hazmat approved` });
+  }
+  if (needs.length && has.maxLength && needs.length > has.maxLength) {
+    violations.push({ code: "length", message: `${label} fits trailers up to ${has.maxLength} ft (trailer is ${needs.length} ft)` });
+  }
+
+  if (kind === "door") {
+    if (needs.leveler && !has.leveler) {
+      violations.push({ code: "leveler", message: `${label} has no dock leveler` });
+    }
+    if (needs.height && has.height && needs.height > has.height) {
+      violations.push({ code: "height", message: `${label} is ${has.height} in high (trailer is ${needs.height} in)` });
+    }
+    if (target.direction && trailer.direction && target.direction !== trailer.direction) {
+      violations.push({ code: "direction", message: `${label} is ${target.direction} only` });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  DOOR_ATTRIBUTES,
+  SLOT_ATTRIBUTES,
+  TRAILER_REQUIREMENTS,
+  mergeFields,
+  checkPlacement,
+};
@@ -0,0 +1,157 @@
+/**
+ * Customers module
+ * Customer master data and per-customer dwell SLAs
+ *
+ * Customer record (state.customers):
+ * {
+ *   id, name,
+ *   aliases: [],      // Other spellings used in trailer.customer
+ *   contacts: [{ name, role, phone, email }],
+ *   sla: { inboundMinutes, outboundMinutes },  // Max dwell at a door per direction (null = facility policy)
+ *   notes, createdAt, updatedAt
+ * }
+ *
+ * Trailers keep the customer as free text (trailer.customer); it matches a
+ * customer by name or alias, without case. A customer's SLA replaces the
+ * facility's dwell policy violation threshold for its trailers (see dwell.js).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { validateContacts } = require("./carriers");
+
+const MAX_ALIASES = 20;
+const MAX_NOTES_LENGTH = 1000;
+
+function normalize(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+/**
+ * Customer a trailer's customer text refers to (by name or alias), if any
+ */
+function findCustomerByName(state, name) {
+  const key = normalize(name);
+  if (!key) return null;
+  return (state.customers || []).find((c) =>
+    normalize(c.name) === key || (c.aliases || []).some((a) => normalize(a) === key),
+  ) || null;
+}
+
+/**
+ * Customer SLA for a trailer at a door, if its customer has one for its direction
+ * @param {object} state - Facility state (for its customers)
+ * @param {object} trailer - { customer, direction }
+ * @returns {object|null} - { minutes, customerId }
+ */
+function customerSla(state, trailer) {
+  const customer = findCustomerByName(state, trailer?.customer);
+  const direction = trailer?.direction === "inbound" ? "inbound" : "outbound";
+  const minutes = customer?.sla?.[`${direction}Minutes`];
+  return minutes ? { minutes, customerId: customer.id } : null;
+}
+
+function validateSla(input, current) {
+  if (input === null) return { values: { inboundMinutes: null, outboundMinutes: null } };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "sla must be an object" };
+  const values = { inboundMinutes: null, outboundMinutes: null, ...(current || {}) };
+  for (const [key, value] of Object.entries(input)) {
+    if (!["inboundMinutes", "outboundMinutes"].includes(key)) {
+      return { error: `Unknown sla field: ${key} (allowed: inboundMinutes, outboundMinutes)` };
+    }
+    if (value === null || value === "") {
+      values[key] = null;
+      continue;
+    }
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60) {
+      return { error: `${key} must be a whole number of minutes (1-10080)` };
+    }
+    values[key] = minutes;
+  }
+  return { values };
+}
+
+/**
+ * Validate customer fields (new customer or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Customer being changed, if any
+ * @returns {object} - { fields } (only the fields given) or { error, code? }
+ */
+function validateCustomer(state, input, existing = null) {
+  const fields = {};
+  // Another customer already answering to a name
+  const taken = (name) => {
+    const other = findCustomerByName(state, name);
+    return other && other.id !== existing?.id ? other : null;
+  };
+
+  if (input.name !== undefined || !existing) {
+    const name = input.name ? sanitizeInput(String(input.name).trim()).slice(0, 100) : "";
+    if (!name) return { error: "Customer name is required" };
+    const other = taken(name);
+    if (other) return { error: `${name} is already used by customer ${other.name}`, code: "CUSTOMER_EXISTS", customerId: other.id };
+    fields.name = name;
+  }
+
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases)) return { error: "aliases must be an array" };
+    if (input.aliases.length > MAX_ALIASES) return { error: `At most ${MAX_ALIASES} aliases` };
+    const name = normalize(fields.name || existing?.name);
+    const aliases = [];
+    for (const alias of input.aliases) {
+      const value = sanitizeInput(String(alias || "").trim()).slice(0, 100);
+      if (!value || normalize(value) === name || aliases.some((a) => normalize(a) === normalize(value))) continue;
+      const other = taken(value);
+      if (other) return { error: `${value} is already used by customer ${other.name}`, code: "CUSTOMER_EXISTS", customerId: other.id };
+      aliases.push(value);
+    }
+    fields.aliases = aliases;
+  }
+
+  if (input.contacts !== undefined) {
+    const contacts = validateContacts(input.contacts || []);
+    if (contacts.error) return contacts;
+    fields.contacts = contacts.values;
+  }
+
+  if (input.sla !== undefined) {
+    const sla = validateSla(input.sla, existing?.sla);
+    if (sla.error) return sla;
+    fields.sla = sla.values;
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes && String(input.notes).length > MAX_NOTES_LENGTH) {
+      return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    fields.notes = input.notes ? sanitizeInput(String(input.notes)) : "";
+  }
+
+  return { fields };
+}
+
+/**
+ * New customer record with defaults for the fields not given
+ */
+function createCustomer(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    name: fields.name,
+    aliases: [],
+    contacts: [],
+    sla: { inboundMinutes: null, outboundMinutes: null },
+    notes: "",
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+module.exports = {
+  findCustomerByName,
+  customerSla,
+  validateCustomer,
+  createCustomer,
+};
@@ -0,0 +1,189 @@
+/**
+ * Dwell module
+ * Per-facility dwell policy: when a trailer at a door turns warning or violation
+ *
+ * Policy (state.dwellPolicy, see DEFAULT_POLICY):
+ * - thresholds        - { inbound|outbound: { live|drop: { warningMinutes, violationMinutes } } }
+ *                       violationMinutes null = that kind of trailer never counts as a violation
+ * - countYardTime     - Time waiting in the yard counts toward dwell at the door
+ *                       (moving into a door from the yard doesn't restart the clock)
+ * - maxDwellHours     - Dwell shown on the board and averaged in analytics is capped here
+ * - resetWindowHours  - Dwell runs from the latest reset younger than this, else from createdAt
+ *
+ * A customer's SLA (see customers.js) replaces the violation threshold for its
+ * trailers. public/app.js mirrors DEFAULT_POLICY, dwellThresholds() and
+ * dwellStartTime() so the board colors match the reports.
+ */
+
+const { customerSla } = require("./customers");
+
+const DWELL_DIRECTIONS = ["inbound", "outbound"];
+const DWELL_MODES = ["live", "drop"];
+
+const DEFAULT_POLICY = {
+  thresholds: {
+    inbound: {
+      live: { warningMinutes: 60, violationMinutes: 120 },
+      drop: { warningMinutes: 60, violationMinutes: 120 },
+    },
+    outbound: {
+      live: { warningMinutes: 60, violationMinutes: 120 },
+      drop: { warningMinutes: 60, violationMinutes: 120 },
+    },
+  },
+  countYardTime: false,
+  maxDwellHours: 6,
+  resetWindowHours: 6,
+};
+
+const MAX_THRESHOLD_MINUTES = 7 * 24 * 60;
+
+/**
+ * Facility's policy with defaults for anything not configured
+ */
+function getDwellPolicy(state) {
+  const saved = state.dwellPolicy || {};
+  const thresholds = {};
+  for (const direction of DWELL_DIRECTIONS) {
+    thresholds[direction] = {};
+    for (const mode of DWELL_MODES) {
+      thresholds[direction][mode] = {
+        ...DEFAULT_POLICY.thresholds[direction][mode],
+        ...(saved.thresholds?.[direction]?.[mode] || {}),
+      };
+    }
+  }
+  return { ...DEFAULT_POLICY, ...saved, thresholds };
+}
+
+function isLiveTrailer(trailer) {
+  return trailer?.isLive === true || trailer?.isLive === "true";
+}
+
+/**
+ * Warning and violation thresholds for a trailer at a door
+ * @param {object} state - Facility state (policy and customers)
+ * @param {object} trailer - { customer, direction, isLive }
+ * @returns {object} - { warningMinutes, violationMinutes, source: "customer" | "policy", customerId? }
+ */
+function dwellThresholds(state, trailer, policy = getDwellPolicy(state)) {
+  const direction = trailer?.direction === "inbound" ? "inbound" : "outbound";
+  const rule = policy.thresholds[direction][isLiveTrailer(trailer) ? "live" : "drop"];
+  const sla = customerSla(state, trailer);
+  if (sla) {
+    return {
+      warningMinutes: Math.min(rule.warningMinutes, sla.minutes),
+      violationMinutes: sla.minutes,
+      source: "customer",
+      customerId: sla.customerId,
+    };
+  }
+  return { warningMinutes: rule.warningMinutes, violationMinutes: rule.violationMinutes, source: "policy" };
+}
+
+/**
+ * When a trailer's dwell started (ms): its latest reset inside the reset
+ * window, else createdAt
+ */
+function dwellStartTime(trailer, policy, now = Date.now()) {
+  const windowMs = policy.resetWindowHours * 60 * 60 * 1000;
+  const recentResets = (trailer.dwellResets || [])
+    .map((r) => new Date(r).getTime())
+    .filter((r) => now - r < windowMs);
+  if (recentResets.length > 0) return Math.max(...recentResets);
+  return new Date(trailer.createdAt).getTime();
+}
+
+/**
+ * Dwell in hours, uncapped (violation checks) - cap with policy.maxDwellHours for display
+ */
+function dwellHours(trailer, policy, now = Date.now()) {
+  return (now - dwellStartTime(trailer, policy, now)) / (1000 * 60 * 60);
+}
+
+/**
+ * Trailers at doors over their violation threshold right now
+ * @param {object} state - Facility state
+ * @param {object} options - { direction?, now? }
+ * @returns {Array} - [{ trailer, dwellHours (uncapped), thresholds }]
+ */
+function findDwellViolations(state, { direction = null, now = Date.now() } = {}) {
+  const policy = getDwellPolicy(state);
+  const violations = [];
+  for (const trailer of state.trailers || []) {
+    if (!trailer.createdAt || !trailer.doorId || !trailer.doorNumber) continue;
+    if (direction && trailer.direction !== direction) continue;
+    const thresholds = dwellThresholds(state, trailer, policy);
+    if (thresholds.violationMinutes === null) continue;
+    const hours = dwellHours(trailer, policy, now);
+    if (hours * 60 >= thresholds.violationMinutes) violations.push({ trailer, dwellHours: hours, thresholds });
+  }
+  return violations;
+}
+
+function validateMinutes(value, label, allowNull) {
+  if (value === null && allowNull) return { value: null };
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_THRESHOLD_MINUTES) {
+    return { error: `${label} must be a whole number of minutes (1-${MAX_THRESHOLD_MINUTES})${allowNull ? " or null" : ""}` };
+  }
+  return { value: minutes };
+}
+
+/**
+ * Validate and apply policy changes (any subset of the fields)
+ * @returns {object} - { policy } or { error }
+ */
+function updateDwellPolicy(state, updates) {
+  const policy = getDwellPolicy(state);
+
+  if (updates.thresholds !== undefined) {
+    if (!updates.thresholds || typeof updates.thresholds !== "object") return { error: "thresholds must be an object" };
+    for (const [direction, modes] of Object.entries(updates.thresholds)) {
+      if (!DWELL_DIRECTIONS.includes(direction)) return { error: `thresholds direction must be one of: ${DWELL_DIRECTIONS.join(", ")}` };
+      for (const [mode, rule] of Object.entries(modes || {})) {
+        if (!DWELL_MODES.includes(mode)) return { error: `thresholds mode must be one of: ${DWELL_MODES.join(", ")}` };
+        const current = policy.thresholds[direction][mode];
+        const label = `${direction} ${mode}`;
+        if (rule?.warningMinutes !== undefined) {
+          const warning = validateMinutes(rule.warningMinutes, `${label} warningMinutes`, false);
+          if (warning.error) return warning;
+          current.warningMinutes = warning.value;
+        }
+        if (rule?.violationMinutes !== undefined) {
+          const violation = validateMinutes(rule.violationMinutes, `${label} violationMinutes`, true);
+          if (violation.error) return violation;
+          current.violationMinutes = violation.value;
+        }
+        if (current.violationMinutes !== null && current.warningMinutes > current.violationMinutes) {
+          return { error: `${label} warningMinutes can't be more than violationMinutes` };
+        }
+      }
+    }
+  }
+
+  if (updates.countYardTime !== undefined) policy.countYardTime = !!updates.countYardTime;
+
+  for (const key of ["maxDwellHours", "resetWindowHours"]) {
+    if (updates[key] === undefined) continue;
+    const hours = Number(updates[key]);
+    if (!Number.isFinite(hours) || hours < 1 || hours > 72) return { error: `${key} must be between 1 and 72` };
+    policy[key] = hours;
+  }
+
+  state.dwellPolicy = policy;
+  return { policy };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  DWELL_DIRECTIONS,
+  DWELL_MODES,
+  getDwellPolicy,
+  isLiveTrailer,
+  dwellThresholds,
+  dwellStartTime,
+  dwellHours,
+  findDwellViolations,
+  updateDwellPolicy,
+};
@@ -15,7 +15,6 @@ const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const {
-  FACILITIES_FILE,
   FACILITIES_DIR,
   DEFAULT_FACILITY_ID,
   DEFAULT_DOORS,
@@ -23,8 +22,9 @@ const {
   DEFAULT_CARRIERS,
   MULTI_FACILITY_MODE,
 } = require("./config");
-const { saveState, loadState, saveUsers, loadUsers, ensureDataDirs } = require("./state");
-const { createUser, hasUsers, findUserByUsername } = require("./users");
+const { saveState, loadState, ensureDataDirs } = require("./state");
+const { createUser, hasUsers, findUserByUsername, loadUsers } = require("./users");
+const { getStorage } = require("./storage");
 
 // Default facility structure
 const DEFAULT_FACILITY = {
@@ -41,8 +41,8 @@ const DEFAULT_FACILITY = {
 };
 
 /**
- * Load facilities list from facilities.json
- * Returns default structure if file doesn't exist
+ * Load facilities list (facilities.json)
+ * Returns default structure if nothing is stored yet
  */
 function loadFacilities() {
   if (!MULTI_FACILITY_MODE) {
@@ -53,11 +53,7 @@ function loadFacilities() {
   }
 
   try {
-    if (!fs.existsSync(FACILITIES_FILE)) {
-      return { facilities: [] };
-    }
-    const data = fs.readFileSync(FACILITIES_FILE, "utf8");
-    return JSON.parse(data);
+    return getStorage().loadFacilities() || { facilities: [] };
   } catch (error) {
     console.error("[Facilities] Error loading facilities:", error.message);
     return { facilities: [] };
@@ -65,7 +61,7 @@ function loadFacilities() {
 }
 
 /**
- * Save facilities list to facilities.json
+ * Save facilities list (facilities.json)
  */
 function saveFacilities(facilitiesData) {
   if (!MULTI_FACILITY_MODE) {
@@ -73,11 +69,7 @@ function saveFacilities(facilitiesData) {
   }
 
   try {
-    const dir = path.dirname(FACILITIES_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(FACILITIES_FILE, JSON.stringify(facilitiesData, null, 2));
+    getStorage().saveFacilities(facilitiesData);
     return true;
   } catch (error) {
     console.error("[Facilities] Error saving facilities:", error.message);
@@ -312,6 +304,24 @@ function updateFacility(facilityId, updates) {
     facility.active = updates.active;
   }
 
+  // History retention in days - null falls back to HISTORY_RETENTION_DAYS, 0 keeps forever
+  if (updates.historyRetentionDays !== undefined) {
+    const days = updates.historyRetentionDays;
+    if (days !== null && (!Number.isInteger(days) || days < 0)) {
+      return { success: false, error: "History retention must be a whole number of days (0 = keep forever)" };
+    }
+    facility.config = { ...facility.config, historyRetentionDays: days };
+  }
+
+  // Trash retention in days - null falls back to TRASH_RETENTION_DAYS, 0 keeps forever
+  if (updates.trashRetentionDays !== undefined) {
+    const days = updates.trashRetentionDays;
+    if (days !== null && (!Number.isInteger(days) || days < 0)) {
+      return { success: false, error: "Trash retention must be a whole number of days (0 = keep forever)" };
+    }
+    facility.config = { ...facility.config, trashRetentionDays: days };
+  }
+
   facility.updatedAt = new Date().toISOString();
 
   if (!saveFacilities(facilitiesData)) {
@@ -0,0 +1,71 @@
+/**
+ * Idempotency module
+ * Idempotency-Key support: a retried request gets the first response instead of running twice
+ *
+ * Kept per facility in idempotency.json (loadIdempotency/saveIdempotency):
+ * - records: [{
+ *     key,                   // Idempotency-Key header value
+ *     actor,                 // userId of the caller (an API key's is "api-key:<id>")
+ *     fingerprint,           // SHA-256 of method, path and body
+ *     statusCode, body,      // The response sent the first time
+ *     createdAt
+ *   }] (oldest first)
+ *
+ * Keys belong to the caller, so two systems can't collide on one. Only
+ * successful (2xx) responses are kept - a request that failed can be sent
+ * again with the same key. Records expire after IDEMPOTENCY_TTL_HOURS.
+ * The idempotent middleware (middleware.js) uses these under the facility
+ * write lock, so a retry arriving while the first request runs waits for it.
+ */
+
+const crypto = require("crypto");
+const { loadIdempotency, saveIdempotency } = require("./state");
+
+const IDEMPOTENCY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+const MAX_RECORDS = 1000;
+
+/**
+ * Hash of what a request asks for, to tell a retry from a different request reusing the key
+ */
+function requestFingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest("hex");
+}
+
+function isExpired(record, now) {
+  return now - new Date(record.createdAt).getTime() > IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Unexpired record for a caller's key, or null
+ */
+function findIdempotencyRecord(facilityId, actor, key, now = Date.now()) {
+  const record = loadIdempotency(facilityId).records.find((r) => r.key === key && r.actor === actor);
+  return record && !isExpired(record, now) ? record : null;
+}
+
+/**
+ * Keep a response for replays, dropping expired records and the oldest over MAX_RECORDS
+ */
+function storeIdempotencyRecord(facilityId, record, now = Date.now()) {
+  const idempotency = loadIdempotency(facilityId);
+  idempotency.records = idempotency.records.filter(
+    (r) => !isExpired(r, now) && !(r.key === record.key && r.actor === record.actor),
+  );
+  idempotency.records.push({ ...record, createdAt: new Date(now).toISOString() });
+  if (idempotency.records.length > MAX_RECORDS) {
+    idempotency.records = idempotency.records.slice(-MAX_RECORDS);
+  }
+  saveIdempotency(idempotency, facilityId);
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  MAX_KEY_LENGTH,
+  requestFingerprint,
+  findIdempotencyRecord,
+  storeIdempotencyRecord,
+};
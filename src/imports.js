@@ -0,0 +1,185 @@
+/**
+ * Imports module
+ * Reading trailer manifests (CSV or XLSX) for the bulk import in routes/trailers.js
+ *
+ * The first row of the file (the first worksheet of an XLSX) holds the column
+ * headers. Columns are mapped to trailer fields by header name (see the
+ * aliases in IMPORT_FIELDS) unless the caller sends its own mapping
+ * ({ field: column index }). Each data row becomes the trailer fields as
+ * trimmed text plus the problems found in that row alone; checks against the
+ * board (duplicate numbers, blocked carriers) are left to the route.
+ */
+
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { normalizeTime } = require("./utils");
+
+// Trailer fields an import can fill, with header names that map to them automatically
+const IMPORT_FIELDS = {
+  number: { label: "Trailer number", aliases: ["number", "trailer", "trailernumber", "trailerno", "trailerid", "unit"] },
+  carrier: { label: "Carrier", required: true, aliases: ["carrier", "carriername", "scac"] },
+  customer: { label: "Customer", aliases: ["customer", "customername", "shipper", "consignee", "vendor"] },
+  loadNumber: { label: "Load number", aliases: ["loadnumber", "load", "loadno", "asn", "po", "ponumber", "bol", "reference"] },
+  direction: { label: "Direction", aliases: ["direction", "inout", "type"] },
+  appointmentTime: { label: "Appointment time", aliases: ["appointmenttime", "appointment", "appt", "appttime", "eta"] },
+  driverName: { label: "Driver", aliases: ["drivername", "driver"] },
+  driverPhone: { label: "Driver phone", aliases: ["driverphone", "phone", "drivercell", "cell"] },
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+const DIRECTION_VALUES = {
+  inbound: "inbound", in: "inbound", i: "inbound", receiving: "inbound",
+  outbound: "outbound", out: "outbound", o: "outbound", shipping: "outbound",
+};
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Text of an ExcelJS cell value (rich text, formulas, hyperlinks and dates included)
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return "";
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read a CSV or XLSX file
+ * @param {string} filename - Used for the file type (.csv or .xlsx)
+ * @param {string} content - File contents, base64
+ * @returns {Promise<object>} - { headers, rows: [{ row (line in the file), values }] } or { error }
+ */
+async function readSpreadsheet(filename, content) {
+  if (!content || typeof content !== "string") return { error: "No file content provided" };
+  const buffer = Buffer.from(content, "base64");
+  const workbook = new ExcelJS.Workbook();
+
+  let worksheet;
+  try {
+    if (/\.xlsx$/i.test(filename || "")) {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else if (/\.csv$/i.test(filename || "")) {
+      // Keep every value as text - trailer numbers like 00123 must not become numbers
+      const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+      worksheet = await workbook.csv.read(Readable.from([text]), { map: (value) => value });
+    } else {
+      return { error: "Only .csv and .xlsx files can be imported" };
+    }
+  } catch (e) {
+    return { error: `Could not read ${filename}: ${e.message}` };
+  }
+  if (!worksheet || worksheet.rowCount < 1) return { error: "The file is empty" };
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = cellText(cell.value);
+  });
+  for (let i = 0; i < headers.length; i++) headers[i] = headers[i] || "";
+
+  const rows = [];
+  for (let r = 2; r <= worksheet.rowCount; r++) {
+    const values = headers.map((_, i) => cellText(worksheet.getRow(r).getCell(i + 1).value));
+    if (values.every((v) => v === "")) continue;
+    rows.push({ row: r, values });
+  }
+  if (rows.length === 0) return { error: "The file has no rows below the header row" };
+  if (rows.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once (the file has ${rows.length})` };
+
+  return { headers, rows };
+}
+
+/**
+ * Column for each field, guessed from the header names
+ * @returns {object} - { field: column index }
+ */
+function suggestMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+  for (const [field, { aliases }] of Object.entries(IMPORT_FIELDS)) {
+    for (const alias of aliases) {
+      const index = normalized.findIndex((h, i) => h === alias && !used.has(i));
+      if (index >= 0) {
+        mapping[field] = index;
+        used.add(index);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Check a caller's mapping against the file's columns
+ * @returns {object} - { mapping } or { error }
+ */
+function validateMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return { error: "mapping must be an object of { field: column index }" };
+  }
+  const cleaned = {};
+  for (const [field, index] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS[field]) return { error: `Unknown import field: ${field}` };
+    if (index === null || index === "") continue;
+    const column = Number(index);
+    if (!Number.isInteger(column) || column < 0 || column >= headers.length) {
+      return { error: `Column for ${field} doesn't exist in the file` };
+    }
+    cleaned[field] = column;
+  }
+  return { mapping: cleaned };
+}
+
+/**
+ * Trailer fields of one row, and what's wrong with them
+ * @param {string[]} values - The row's cells
+ * @param {object} mapping - { field: column index }
+ * @param {string} defaultDirection - For rows without a direction
+ * @returns {object} - { fields, errors }
+ */
+function mapRow(values, mapping, defaultDirection) {
+  const fields = {};
+  const errors = [];
+  for (const [field, index] of Object.entries(mapping)) {
+    if (values[index]) fields[field] = values[index];
+  }
+
+  if (!fields.carrier) errors.push("Carrier is required");
+
+  if (fields.direction) {
+    const direction = DIRECTION_VALUES[fields.direction.toLowerCase()];
+    if (direction) fields.direction = direction;
+    else errors.push(`Direction must be inbound or outbound (got "${fields.direction}")`);
+  } else {
+    fields.direction = defaultDirection;
+  }
+
+  if (fields.appointmentTime) {
+    const time = normalizeTime(fields.appointmentTime);
+    if (time) fields.appointmentTime = time;
+    else errors.push(`Appointment time must be a time like 14:30 (got "${fields.appointmentTime}")`);
+  }
+
+  for (const field of Object.keys(fields)) {
+    if (fields[field].length > 100) errors.push(`${IMPORT_FIELDS[field].label} is longer than 100 characters`);
+  }
+
+  return { fields, errors };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  readSpreadsheet,
+  suggestMapping,
+  validateMapping,
+  mapRow,
+};
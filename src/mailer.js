@@ -0,0 +1,69 @@
+/**
+ * Mailer module
+ * E-mails scheduled reports through the SMTP server in SMTP_* (config.js), with nodemailer
+ *
+ * TLS from the start with SMTP_SECURE, otherwise STARTTLS when the server
+ * offers it. With SMTP_USER set the login is only ever sent encrypted: a
+ * server that doesn't offer STARTTLS (or a connection stripped of it) fails
+ * the mail instead of receiving the password in the clear.
+ */
+
+const nodemailer = require("nodemailer");
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM } = require("./config");
+
+const TIMEOUT_MS = 30 * 1000;
+
+let transport = null;
+
+function isMailConfigured() {
+  return !!SMTP_HOST;
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      requireTLS: !!SMTP_USER,
+      ...(SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } }),
+      connectionTimeout: TIMEOUT_MS,
+      greetingTimeout: TIMEOUT_MS,
+      socketTimeout: TIMEOUT_MS,
+    });
+  }
+  return transport;
+}
+
+/**
+ * Send one e-mail through the configured SMTP server
+ * @param {object} mail - { to: string[], subject, text, attachments?: [{ filename, content (Buffer), contentType }] }
+ * @returns {Promise<void>} - Rejects with the server's answer when it refuses the mail
+ */
+async function sendMail(mail) {
+  if (!isMailConfigured()) throw new Error("No mail server is configured (SMTP_HOST)");
+
+  try {
+    await getTransport().sendMail({
+      from: SMTP_FROM,
+      to: mail.to,
+      subject: mail.subject,
+      text: mail.text,
+      attachments: (mail.attachments || []).map((a) => ({
+        filename: a.filename,
+        content: a.content,
+        contentType: a.contentType,
+      })),
+    });
+  } catch (e) {
+    if (SMTP_USER && !SMTP_SECURE && e.code === "ETLS") {
+      throw new Error(`No TLS connection to the mail server, so the login (SMTP_USER) was not sent: ${e.message}`);
+    }
+    throw new Error(`Mail server refused the mail: ${e.response || e.message}`);
+  }
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+};
@@ -0,0 +1,296 @@
+/**
+ * Maintenance module
+ * Scheduled maintenance windows that take a door out of service for a while
+ *
+ * Kept in the facility state:
+ * - maintenanceWindows: [{
+ *     id, doorId, doorNumber,
+ *     start, end,            // Planned period (ISO timestamps)
+ *     reason, requestedBy,
+ *     status,                // scheduled | active | completed | cancelled
+ *     startedAt, endedAt,    // When the door actually went out of / back into service
+ *     previouslyOutOfService, // Door was already out of service when the window started
+ *     createdAt, createdBy, updatedAt
+ *   }]
+ * - doors[].maintenanceWindowId - Set while a window holds the door out of service
+ *
+ * syncMaintenance() (run every minute by server.js and after each change)
+ * flips doors out of service when their window starts and back in when it
+ * ends. A door under maintenance takes no moves or queue assignments, and
+ * its downtime is recorded in history (DOOR_MAINTENANCE_STARTED/ENDED) so
+ * analytics can leave it out of utilization (see summarizeDowntime).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { addHistoryEntry } = require("./state");
+const { assignNextToDoor, logAssignments } = require("./assignment");
+
+const OPEN_STATUSES = ["scheduled", "active"];
+const MAINTENANCE_STATUSES = [...OPEN_STATUSES, "completed", "cancelled"];
+
+const MAX_REASON_LENGTH = 200;
+
+function findDoor(state, ref) {
+  return state.doors.find((d) => d.id === ref || d.number === parseInt(ref));
+}
+
+/**
+ * Window holding a door out of service right now, if any
+ */
+function activeWindowForDoor(state, doorId) {
+  const door = state.doors.find((d) => d.id === doorId);
+  if (!door?.maintenanceWindowId) return null;
+  return (state.maintenanceWindows || []).find((w) => w.id === door.maintenanceWindowId) || null;
+}
+
+/**
+ * 409 body for a move or queue assignment into a door under maintenance
+ * @returns {object|null} - { error, code: "DOOR_MAINTENANCE", window }
+ */
+function maintenanceConflict(state, doorId) {
+  const window = activeWindowForDoor(state, doorId);
+  if (!window) return null;
+  return {
+    error: `Door ${window.doorNumber} is under maintenance until ${window.end} (${window.reason})`,
+    code: "DOOR_MAINTENANCE",
+    window,
+  };
+}
+
+/**
+ * Validate window fields (new window or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Window being changed, if any
+ * @returns {object} - { fields } or { error }
+ */
+function validateMaintenanceWindow(state, input, existing = null) {
+  const fields = {};
+
+  const doorRef = input.doorId !== undefined ? input.doorId : existing?.doorId;
+  const door = doorRef !== undefined && doorRef !== null ? findDoor(state, doorRef) : null;
+  if (!door) return { error: doorRef ? "Door not found" : "doorId is required" };
+  if (door.type === "blank") return { error: "Blank doors can't have maintenance windows" };
+  if (existing?.status === "active" && door.id !== existing.doorId) {
+    return { error: "Can't move a window that has already started to another door" };
+  }
+  fields.doorId = door.id;
+  fields.doorNumber = door.number;
+
+  const start = new Date(input.start !== undefined ? input.start : existing?.start);
+  const end = new Date(input.end !== undefined ? input.end : existing?.end);
+  if (isNaN(start.getTime())) return { error: "start must be a date and time (ISO 8601)" };
+  if (isNaN(end.getTime())) return { error: "end must be a date and time (ISO 8601)" };
+  if (end <= start) return { error: "end must be after start" };
+  if (existing?.status === "active" && start.toISOString() !== existing.start) {
+    return { error: "Can't change the start of a window that has already started" };
+  }
+  if (end <= new Date() && (!existing || input.end !== undefined)) {
+    return { error: "end must be in the future" };
+  }
+  fields.start = start.toISOString();
+  fields.end = end.toISOString();
+
+  const reason = input.reason !== undefined ? input.reason : existing?.reason;
+  if (!reason || !String(reason).trim()) return { error: "reason is required" };
+  if (String(reason).length > MAX_REASON_LENGTH) return { error: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  fields.reason = sanitizeInput(String(reason).trim());
+
+  if (input.requestedBy !== undefined) {
+    fields.requestedBy = input.requestedBy ? sanitizeInput(String(input.requestedBy).trim()) : null;
+  }
+
+  return { fields };
+}
+
+/**
+ * Open windows on the same door that overlap a (proposed) window
+ */
+function findOverlaps(state, fields, excludeId = null) {
+  return (state.maintenanceWindows || []).filter((w) =>
+    w.id !== excludeId &&
+    OPEN_STATUSES.includes(w.status) &&
+    w.doorId === fields.doorId &&
+    w.start < fields.end &&
+    fields.start < w.end,
+  );
+}
+
+/**
+ * Create a window (caller checks overlaps, syncs and saves the state)
+ */
+function createMaintenanceWindow(state, fields, user) {
+  if (!state.maintenanceWindows) state.maintenanceWindows = [];
+  const now = new Date().toISOString();
+  const window = {
+    id: uuidv4(),
+    requestedBy: user?.username || null,
+    ...fields,
+    status: "scheduled",
+    startedAt: null,
+    endedAt: null,
+    createdAt: now,
+    createdBy: user?.username || null,
+    updatedAt: now,
+  };
+  state.maintenanceWindows.push(window);
+  state.maintenanceWindows.sort((a, b) => a.start.localeCompare(b.start));
+  return window;
+}
+
+// Take the door out of service for a window
+function startWindow(state, window, now) {
+  const door = state.doors.find((d) => d.id === window.doorId);
+  window.status = "active";
+  window.startedAt = now.toISOString();
+  if (!door) return;
+  window.previouslyOutOfService = door.inService === false && !door.maintenanceWindowId;
+  door.inService = false;
+  door.maintenanceWindowId = window.id;
+}
+
+// Put the door back in service (unless it was out of service before the window)
+function endWindow(state, window, now) {
+  const door = state.doors.find((d) => d.id === window.doorId);
+  window.status = "completed";
+  window.endedAt = now.toISOString();
+  if (!door || door.maintenanceWindowId !== window.id) return;
+  delete door.maintenanceWindowId;
+  if (!window.previouslyOutOfService) door.inService = true;
+}
+
+/**
+ * Start windows that are due and end those that are over (caller saves the state)
+ * @param {object} state - Facility state being modified
+ * @param {Date} now
+ * @returns {object} - { started: [window], ended: [window], autoAssigned: [] } (doors back in service fill from the queue)
+ */
+function syncMaintenance(state, now = new Date()) {
+  const started = [];
+  const ended = [];
+  const autoAssigned = [];
+  const nowIso = now.toISOString();
+
+  for (const window of state.maintenanceWindows || []) {
+    if (window.status === "scheduled" && window.start <= nowIso) {
+      startWindow(state, window, now);
+      started.push(window);
+    }
+    if (window.status === "active" && window.end <= nowIso) {
+      endWindow(state, window, now);
+      ended.push(window);
+      const assigned = assignNextToDoor(state, window.doorId);
+      if (assigned) autoAssigned.push(assigned);
+    }
+  }
+
+  return { started, ended, autoAssigned };
+}
+
+/**
+ * Cancel a scheduled window, or end an active one now (caller saves the state)
+ * @returns {string} - "cancelled" or "ended"
+ */
+function cancelMaintenanceWindow(state, window) {
+  const now = new Date();
+  window.updatedAt = now.toISOString();
+  if (window.status === "active") {
+    endWindow(state, window, now);
+    window.end = window.endedAt;
+    return "ended";
+  }
+  window.status = "cancelled";
+  return "cancelled";
+}
+
+/**
+ * End or cancel every open window of a door (e.g. before the door is deleted)
+ * @returns {Array} - Windows that were closed
+ */
+function closeDoorWindows(state, doorId) {
+  const open = (state.maintenanceWindows || []).filter((w) => w.doorId === doorId && OPEN_STATUSES.includes(w.status));
+  open.forEach((w) => cancelMaintenanceWindow(state, w));
+  return open;
+}
+
+/**
+ * Window fields for history entries (downtimeMinutes once it has ended)
+ */
+function maintenanceDetails(window) {
+  return {
+    windowId: window.id,
+    doorId: window.doorId,
+    doorNumber: window.doorNumber,
+    reason: window.reason,
+    requestedBy: window.requestedBy,
+    start: window.start,
+    end: window.end,
+    ...(window.startedAt && { startedAt: window.startedAt }),
+    ...(window.startedAt && window.endedAt && {
+      endedAt: window.endedAt,
+      downtimeMinutes: Math.round((new Date(window.endedAt) - new Date(window.startedAt)) / 60000),
+    }),
+  };
+}
+
+/**
+ * Record windows that started or ended and the trailers docked at doors back
+ * in service (syncMaintenance results) in history
+ */
+function logMaintenanceSync({ started, ended, autoAssigned }, user, facilityId) {
+  started.forEach((w) => addHistoryEntry("DOOR_MAINTENANCE_STARTED", maintenanceDetails(w), user, facilityId));
+  ended.forEach((w) => addHistoryEntry("DOOR_MAINTENANCE_ENDED", maintenanceDetails(w), user, facilityId));
+  logAssignments(autoAssigned, user, facilityId);
+}
+
+/**
+ * Door downtime in a period from maintenance history entries
+ * @param {Array} entries - DOOR_MAINTENANCE_STARTED/ENDED history entries
+ * @param {string} from - ISO timestamp (period start)
+ * @param {string} to - ISO timestamp (period end)
+ * @returns {Array} - [{ doorNumber, downtimeMinutes, windows: [{ windowId, reason, start, end }] }] by door number
+ */
+function summarizeDowntime(entries, from, to) {
+  const periods = new Map();
+  for (const entry of entries) {
+    if (!entry.windowId) continue;
+    const period = periods.get(entry.windowId) || { windowId: entry.windowId, doorNumber: entry.doorNumber, reason: entry.reason, start: null, end: null };
+    if (entry.action === "DOOR_MAINTENANCE_STARTED") period.start = entry.startedAt || entry.timestamp;
+    if (entry.action === "DOOR_MAINTENANCE_ENDED") {
+      period.start = period.start || entry.startedAt;
+      period.end = entry.endedAt || entry.timestamp;
+    }
+    periods.set(entry.windowId, period);
+  }
+
+  const doors = new Map();
+  for (const period of periods.values()) {
+    // Still under maintenance: counts up to the end of the period
+    const start = period.start && period.start > from ? period.start : from;
+    const end = period.end && period.end < to ? period.end : to;
+    if (!period.start || start >= end) continue;
+
+    const door = doors.get(period.doorNumber) || { doorNumber: period.doorNumber, downtimeMinutes: 0, windows: [] };
+    door.downtimeMinutes += Math.round((new Date(end) - new Date(start)) / 60000);
+    door.windows.push({ windowId: period.windowId, reason: period.reason, start, end });
+    doors.set(period.doorNumber, door);
+  }
+
+  return [...doors.values()].sort((a, b) => a.doorNumber - b.doorNumber);
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  MAINTENANCE_STATUSES,
+  activeWindowForDoor,
+  maintenanceConflict,
+  validateMaintenanceWindow,
+  findOverlaps,
+  createMaintenanceWindow,
+  syncMaintenance,
+  cancelMaintenanceWindow,
+  closeDoorWindows,
+  maintenanceDetails,
+  logMaintenanceSync,
+  summarizeDowntime,
+};
@@ -12,6 +12,10 @@
  *
  * To add a new protected route:
  * router.get('/my-route', requireAuth, (req, res) => { ... })
+ *
+ * Other systems can authenticate with an API key instead (X-API-Key header,
+ * see api-keys.js) on the routes that accept one:
+ * router.post('/my-route', allowApiKey('trailers:create'), requireAuth, ...)
  */
 
 const rateLimit = require("express-rate-limit");
@@ -24,8 +28,18 @@ const {
   AUTH_PASS,
   MULTI_FACILITY_MODE,
   DEFAULT_FACILITY_ID,
+  LOCK_TIMEOUT_MS,
 } = require("./config");
 const { verifyPassword, findUserByUsername, updateLastLogin, hasUsers } = require("./users");
+const { withFacilityLock, loadState, getStateRevision } = require("./state");
+const { beginOperation, endOperation } = require("./undo");
+const { authenticateApiKey, apiKeyUser } = require("./api-keys");
+const {
+  MAX_KEY_LENGTH: MAX_IDEMPOTENCY_KEY_LENGTH,
+  requestFingerprint,
+  findIdempotencyRecord,
+  storeIdempotencyRecord,
+} = require("./idempotency");
 
 /**
  * Rate limiter for login attempts - per username.
@@ -89,6 +103,7 @@ function generateToken(user) {
 /**
  * Express middleware to require authentication.
  * Checks Authorization header for "Bearer <token>" or falls back to Basic auth.
+ * A request with an X-API-Key header is authenticated by that key instead.
  * Sets req.user on successful auth.
  *
  * @param {object} req - Express request
@@ -96,6 +111,11 @@ function generateToken(user) {
  * @param {function} next - Express next function
  */
 async function requireAuth(req, res, next) {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    return authenticateWithApiKey(req, res, next, apiKey);
+  }
+
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
@@ -196,6 +216,55 @@ async function requireAuth(req, res, next) {
     .json({ error: "Authentication required", code: "AUTH_REQUIRED" });
 }
 
+/**
+ * Authenticate a request carrying an X-API-Key header (called by requireAuth).
+ * The route must accept keys (allowApiKey) and the key must have its scope.
+ */
+function authenticateWithApiKey(req, res, next, token) {
+  const result = authenticateApiKey(token, req.ip);
+  if (result.error) {
+    return res.status(401).json({ error: result.error, code: result.code });
+  }
+
+  const access = req.apiKeyAccess;
+  if (!access) {
+    return res.status(403).json({ error: "This endpoint can't be used with an API key", code: "API_KEY_NOT_ALLOWED" });
+  }
+  if (!result.key.scopes.includes(access.scope)) {
+    return res.status(403).json({
+      error: `API key lacks the ${access.scope} scope`,
+      code: "API_KEY_SCOPE_MISSING",
+      required: access.scope,
+    });
+  }
+  if (access.fields) {
+    const extra = Object.keys(req.body || {}).filter((field) => !access.fields.includes(field));
+    if (extra.length > 0) {
+      return res.status(400).json({
+        error: `With an API key only ${access.fields.join(", ")} can be sent here (got ${extra.join(", ")})`,
+        code: "API_KEY_FIELD_NOT_ALLOWED",
+      });
+    }
+  }
+
+  req.user = apiKeyUser(result.key, result.facilityId);
+  next();
+}
+
+/**
+ * Let API keys with the given scope call a route. Goes before requireAuth;
+ * routes without it refuse keys.
+ *
+ * @param {string} scope - Scope the key needs (see API_KEY_SCOPES in api-keys.js)
+ * @param {string[]} fields - Body fields a key may send (default: any)
+ */
+function allowApiKey(scope, fields = null) {
+  return (req, res, next) => {
+    req.apiKeyAccess = { scope, fields };
+    next();
+  };
+}
+
 /**
  * Express middleware to require a specific role or higher.
  * Hierarchy: admin > user/loader > viewer
@@ -227,6 +296,133 @@ function requireRole(minRole) {
   };
 }
 
+/**
+ * Parse an If-Match header into a state revision number.
+ * Accepts 12, "12" and W/"12". Returns null when absent or "*" (match any).
+ */
+function parseRevisionHeader(value) {
+  if (!value || value.trim() === "*") return null;
+  const match = value.match(/^\s*(?:W\/)?"?(\d+)"?\s*$/);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+/**
+ * Express middleware to serialize state-changing requests per facility.
+ * Holds the facility write lock from the start of the handler until it ends
+ * the response, so the next request for that facility loads the state this
+ * one saved. The lock is never taken away from a running handler - one that
+ * holds it past LOCK_TIMEOUT_MS is logged, and keeps it until it answers
+ * (also when the client has gone away in the meantime). Must be used after
+ * requireAuth middleware.
+ *
+ * Optimistic concurrency: if the request carries an If-Match header with the
+ * state revision the client last saw, it is rejected with 409 (and the current
+ * state) when the server has moved on. Requests without If-Match are applied
+ * as before. Every response carries the resulting revision in X-State-Revision.
+ *
+ * Usage: router.post('/move', requireAuth, requireRole('user'), lockFacility, handler)
+ */
+function lockFacility(req, res, next) {
+  const facilityId =
+    req.user?.currentFacility || req.user?.homeFacility || DEFAULT_FACILITY_ID;
+
+  withFacilityLock(facilityId, () => new Promise((release) => {
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      // Record the change for the user's undo history before the next write starts
+      endOperation(facilityId, res.statusCode < 400);
+      release();
+    };
+    const started = Date.now();
+    const timer = setInterval(() => {
+      console.warn(`[Lock] ${req.method} ${req.originalUrl} still holds the ${facilityId} lock after ${Date.now() - started}ms`);
+    }, LOCK_TIMEOUT_MS);
+
+    // The handler is done once it ends the response - not when the client
+    // disconnects, which it can do while the handler is still writing
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      clearInterval(timer);
+      const result = end(...args);
+      finish();
+      return result;
+    };
+
+    const expectedRevision = parseRevisionHeader(req.get("If-Match"));
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: "Invalid If-Match revision" });
+    }
+    if (expectedRevision !== null && expectedRevision !== getStateRevision(facilityId)) {
+      const current = loadState(facilityId);
+      return res.status(409).json({
+        error: "The board has changed since you loaded it. It has been refreshed - please try again.",
+        code: "REVISION_CONFLICT",
+        revision: current.revision,
+        state: current,
+      });
+    }
+
+    beginOperation(facilityId, req.user);
+
+    // Report the revision after the handler's changes
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.set("X-State-Revision", String(getStateRevision(facilityId)));
+      return json(body);
+    };
+
+    next();
+  }));
+}
+
+/**
+ * Express middleware for the Idempotency-Key header (see idempotency.js).
+ * A request repeating a key gets the stored response, marked with
+ * Idempotent-Replayed: true, instead of running again; the same key sent
+ * with a different request is rejected with 422. Requests without the header
+ * run as usual. Must be used after lockFacility, so a retry that arrives
+ * while the first request is still running waits for its result.
+ *
+ * Usage: router.post('/', requireAuth, requireRole('user'), lockFacility, idempotent, handler)
+ */
+function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+  if (!key.trim() || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+  }
+
+  const facilityId =
+    req.user?.currentFacility || req.user?.homeFacility || DEFAULT_FACILITY_ID;
+  const actor = req.user.userId;
+  const fingerprint = requestFingerprint(req);
+
+  const record = findIdempotencyRecord(facilityId, actor, key);
+  if (record) {
+    if (record.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        error: "This Idempotency-Key was already used for a different request",
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.statusCode).json(record.body);
+  }
+
+  // Keep a successful response for retries
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      storeIdempotencyRecord(facilityId, { key, actor, fingerprint, statusCode: res.statusCode, body });
+    }
+    return json(body);
+  };
+
+  next();
+}
+
 /**
  * Set cache control headers to prevent API response caching.
  * Important for auth endpoints - prevents cached 401/403 responses.
@@ -276,7 +472,10 @@ module.exports = {
   loginLimiter,
   generateToken,
   requireAuth,
+  allowApiKey,
   requireRole,
+  lockFacility,
+  idempotent,
   cacheHeaders,
   validateAuthConfig,
 };
@@ -0,0 +1,184 @@
+/**
+ * Presence module
+ * Tracks who is connected to each facility board and what they have open
+ *
+ * Every SSE stream (dashboards) and WebSocket (tablets) is one connection.
+ * Connections are grouped by user for GET /api/presence and the `presence`
+ * event, which is broadcast to the facility whenever someone connects,
+ * disconnects or opens/closes something:
+ * {
+ *   facilityId,
+ *   users: [{
+ *     userId, username, role,
+ *     connections,   // Open streams/sockets for this user
+ *     transports,    // ["sse", "ws"]
+ *     since,         // Earliest connection time
+ *     lastSeen,      // Latest activity report or heartbeat
+ *     activities,    // [{ entityType, entityId, mode: "view" | "edit", since }]
+ *     tablet,        // Last WebSocket heartbeat: { screen, doorNumber, operatorName } or null
+ *   }],
+ *   timestamp
+ * }
+ */
+
+const { DEFAULT_FACILITY_ID } = require("./config");
+
+// Entity types a client can report having open
+const ACTIVITY_ENTITY_TYPES = ["trailer", "door", "yard-slot", "carrier"];
+const ACTIVITY_MODES = ["view", "edit"];
+
+// Presence changes within this window go out as one event
+const BROADCAST_DELAY_MS = 250;
+
+// connectionId -> { facilityId, userId, username, role, transport, connectedAt, lastSeen, activity, tablet }
+const connections = new Map();
+
+// facilityId -> pending broadcast timer
+const pendingBroadcasts = new Map();
+
+/**
+ * Validate an activity reported by a client
+ * @returns {object} - { activity } (null clears it) or { error }
+ */
+function validateActivity(activity) {
+  if (activity === null || activity === undefined) return { activity: null };
+  if (typeof activity !== "object") return { error: "Activity must be an object or null" };
+
+  const { entityType, entityId, mode = "view" } = activity;
+  if (!ACTIVITY_ENTITY_TYPES.includes(entityType)) {
+    return { error: `entityType must be one of: ${ACTIVITY_ENTITY_TYPES.join(", ")}` };
+  }
+  if (entityId === undefined || entityId === null || String(entityId).length === 0 || String(entityId).length > 100) {
+    return { error: "entityId is required" };
+  }
+  if (!ACTIVITY_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${ACTIVITY_MODES.join(", ")}` };
+  }
+
+  return { activity: { entityType, entityId: String(entityId), mode, since: new Date().toISOString() } };
+}
+
+/**
+ * Send the facility's presence list after a short delay, coalescing bursts
+ */
+function schedulePresenceBroadcast(facilityId) {
+  if (pendingBroadcasts.has(facilityId)) return;
+  pendingBroadcasts.set(facilityId, setTimeout(() => {
+    pendingBroadcasts.delete(facilityId);
+    // Required here - sse.js registers connections with this module
+    const { broadcast } = require("./sse");
+    broadcast("presence", {
+      facilityId,
+      users: getPresence(facilityId),
+      timestamp: new Date().toISOString(),
+    }, null, facilityId);
+  }, BROADCAST_DELAY_MS));
+}
+
+/**
+ * Register a new SSE stream or WebSocket
+ * @param {string} connectionId - Transport's client ID
+ * @param {object} token - Decoded JWT of the connection
+ * @param {string} transport - "sse" or "ws"
+ */
+function addConnection(connectionId, token, transport) {
+  const now = new Date().toISOString();
+  const facilityId = token.currentFacility || token.homeFacility || DEFAULT_FACILITY_ID;
+  connections.set(connectionId, {
+    facilityId,
+    userId: token.userId,
+    username: token.username,
+    role: token.role,
+    transport,
+    connectedAt: now,
+    lastSeen: now,
+    activity: null,
+    tablet: null,
+  });
+  schedulePresenceBroadcast(facilityId);
+}
+
+function removeConnection(connectionId) {
+  const connection = connections.get(connectionId);
+  if (!connection) return;
+  connections.delete(connectionId);
+  schedulePresenceBroadcast(connection.facilityId);
+}
+
+function getConnection(connectionId) {
+  return connections.get(connectionId) || null;
+}
+
+// What other users see of a connection, to tell whether an update changed anything
+function visibleState(connection) {
+  const { activity, tablet } = connection;
+  return JSON.stringify([activity?.entityType, activity?.entityId, activity?.mode, tablet]);
+}
+
+/**
+ * Update what a connection has open and/or its tablet heartbeat
+ * @param {string} connectionId
+ * @param {object} changes - { activity } and/or { tablet }
+ */
+function updateConnection(connectionId, changes) {
+  const connection = connections.get(connectionId);
+  if (!connection) return;
+
+  connection.lastSeen = new Date().toISOString();
+  const before = visibleState(connection);
+  if (changes.activity !== undefined) {
+    // Keep `since` when the same thing is reported again
+    const same = connection.activity && changes.activity &&
+      connection.activity.entityType === changes.activity.entityType &&
+      connection.activity.entityId === changes.activity.entityId &&
+      connection.activity.mode === changes.activity.mode;
+    if (!same) connection.activity = changes.activity;
+  }
+  if (changes.tablet !== undefined) connection.tablet = changes.tablet;
+
+  // Plain heartbeats don't need an event
+  if (visibleState(connection) !== before) schedulePresenceBroadcast(connection.facilityId);
+}
+
+/**
+ * Active users of a facility, grouped by user
+ */
+function getPresence(facilityId = DEFAULT_FACILITY_ID) {
+  const users = new Map();
+  for (const connection of connections.values()) {
+    if (connection.facilityId !== facilityId) continue;
+
+    if (!users.has(connection.userId)) {
+      users.set(connection.userId, {
+        userId: connection.userId,
+        username: connection.username,
+        role: connection.role,
+        connections: 0,
+        transports: [],
+        since: connection.connectedAt,
+        lastSeen: connection.lastSeen,
+        activities: [],
+        tablet: null,
+      });
+    }
+
+    const user = users.get(connection.userId);
+    user.connections++;
+    if (!user.transports.includes(connection.transport)) user.transports.push(connection.transport);
+    if (connection.connectedAt < user.since) user.since = connection.connectedAt;
+    if (connection.lastSeen > user.lastSeen) user.lastSeen = connection.lastSeen;
+    if (connection.activity) user.activities.push(connection.activity);
+    if (connection.tablet) user.tablet = connection.tablet;
+  }
+
+  return [...users.values()].sort((a, b) => (a.username || "").localeCompare(b.username || ""));
+}
+
+module.exports = {
+  validateActivity,
+  addConnection,
+  removeConnection,
+  getConnection,
+  updateConnection,
+  getPresence,
+};
@@ -0,0 +1,167 @@
+/**
+ * Door recommendation module
+ * Ranks free doors for a trailer
+ *
+ * Learns from the same placement history as /analytics/position-patterns
+ * (MOVED_TO_DOOR, TRAILER_CREATED and TRAILER_ASSIGNED_FROM_QUEUE entries
+ * with a door number): how often
+ * the trailer's carrier + customer, carrier, and customer went to each door.
+ *
+ * Score per free, in-service, normal door (higher is better):
+ * - affinity   - 0.6 x combo share + 0.25 x carrier share + 0.15 x customer share
+ *                (share = placements at the door / all placements for that key)
+ * - direction  - +0.15 if the door is marked for the trailer's direction
+ * - preference - +0.2 for a door the assignment rules prefer for the trailer
+ * - occupancy  - -0.05 per occupied neighbouring door (by board order), -0.3 if
+ *                trailers are queued for the door
+ *
+ * Doors that don't meet the trailer's requirements or direction (see constraints.js) are left out.
+ */
+
+const { queryHistory } = require("./state");
+const { getAssignmentRules, isAssignableDoor, queueTargetDoorIds } = require("./assignment");
+const { checkPlacement } = require("./constraints");
+
+const PLACEMENT_ACTIONS = ["MOVED_TO_DOOR", "TRAILER_CREATED", "TRAILER_ASSIGNED_FROM_QUEUE"];
+
+// Where a trailer can be found before it goes to a door
+const TRAILER_FIELDS = ["trailers", "yardTrailers", "queuedTrailers", "appointmentQueue"];
+
+function findTrailer(state, trailerId) {
+  if (state.staging?.id === trailerId) return state.staging;
+  for (const field of TRAILER_FIELDS) {
+    const trailer = (state[field] || []).find((t) => t.id === trailerId);
+    if (trailer) return trailer;
+  }
+  return null;
+}
+
+function sameText(a, b) {
+  return !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Count past placements per door number for a trailer's carrier/customer
+ * @param {Array} entries - Placement history entries
+ * @returns {object} - { combo, carrier, customer } each { total, doors: { [doorNumber]: count } }
+ */
+function countPlacements(entries, trailer) {
+  const counts = {
+    combo: { total: 0, doors: {} },
+    carrier: { total: 0, doors: {} },
+    customer: { total: 0, doors: {} },
+  };
+  const add = (bucket, doorNumber) => {
+    bucket.total++;
+    bucket.doors[doorNumber] = (bucket.doors[doorNumber] || 0) + 1;
+  };
+
+  for (const entry of entries) {
+    const doorNumber = entry.doorNumber || entry.toDoorNumber;
+    if (!doorNumber) continue;
+    const carrierMatch = sameText(entry.carrier, trailer.carrier);
+    const customerMatch = sameText(entry.customer, trailer.customer);
+    if (carrierMatch && customerMatch) add(counts.combo, doorNumber);
+    if (carrierMatch) add(counts.carrier, doorNumber);
+    if (customerMatch) add(counts.customer, doorNumber);
+  }
+  return counts;
+}
+
+function share(bucket, doorNumber) {
+  return bucket.total > 0 ? (bucket.doors[doorNumber] || 0) / bucket.total : 0;
+}
+
+/**
+ * Rank the free doors for a trailer
+ * @param {object} state - Facility state
+ * @param {object} trailer - Trailer to place
+ * @param {Array} history - Placement history entries (see loadPlacementHistory)
+ * @param {number} limit - Maximum number of doors returned
+ * @returns {Array} - [{ doorId, doorNumber, score, affinity, placements, reasons }] best first
+ */
+function rankDoors(state, trailer, history, limit = 5) {
+  const rules = getAssignmentRules(state);
+  const counts = countPlacements(history, trailer);
+  const doors = [...state.doors].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const preferred = new Set(
+    rules.preferences
+      .filter((p) =>
+        (!p.carrier || sameText(p.carrier, trailer.carrier)) &&
+        (!p.customer || sameText(p.customer, trailer.customer)) &&
+        (!p.direction || p.direction === trailer.direction),
+      )
+      .flatMap((p) => p.doorIds),
+  );
+
+  const ranked = [];
+  doors.forEach((door, index) => {
+    if (!isAssignableDoor(door)) return;
+    if (checkPlacement(door, trailer, "door").length > 0) return;
+
+    const reasons = [];
+    const comboShare = share(counts.combo, door.number);
+    const carrierShare = share(counts.carrier, door.number);
+    const customerShare = share(counts.customer, door.number);
+    const affinity = 0.6 * comboShare + 0.25 * carrierShare + 0.15 * customerShare;
+    let score = affinity;
+
+    if (comboShare > 0) reasons.push(`${Math.round(comboShare * 100)}% of ${trailer.carrier} / ${trailer.customer} placements`);
+    else if (carrierShare > 0) reasons.push(`${Math.round(carrierShare * 100)}% of ${trailer.carrier} placements`);
+    else if (customerShare > 0) reasons.push(`${Math.round(customerShare * 100)}% of ${trailer.customer} placements`);
+
+    if (door.direction && door.direction === trailer.direction) {
+      score += 0.15;
+      reasons.push(`${door.direction} door`);
+    }
+    if (preferred.has(door.id)) {
+      score += 0.2;
+      reasons.push("preferred by assignment rules");
+    }
+
+    const neighbours = [doors[index - 1], doors[index + 1]].filter((d) => d && d.trailerId);
+    if (neighbours.length > 0) {
+      score -= 0.05 * neighbours.length;
+      reasons.push(`${neighbours.length} neighbouring door(s) occupied`);
+    }
+    const queued = (state.queuedTrailers || []).filter((t) => queueTargetDoorIds(state, t).includes(door.id));
+    if (queued.length > 0) {
+      score -= 0.3;
+      reasons.push(`${queued.length} trailer(s) queued for it`);
+    }
+
+    ranked.push({
+      doorId: door.id,
+      doorNumber: door.number,
+      score: Math.round(score * 1000) / 1000,
+      affinity: Math.round(affinity * 1000) / 1000,
+      placements: counts.combo.doors[door.number] || counts.carrier.doors[door.number] || 0,
+      reasons,
+      order: index,
+    });
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ order, ...door }) => door);
+}
+
+/**
+ * Door placements from a facility's history since a given date
+ * @param {string} facilityId
+ * @param {string} from - ISO timestamp (inclusive)
+ */
+function loadPlacementHistory(facilityId, from) {
+  return queryHistory(facilityId, {
+    from,
+    filter: (entry) => PLACEMENT_ACTIONS.includes(entry.action) && !!(entry.doorNumber || entry.toDoorNumber),
+  }).entries;
+}
+
+module.exports = {
+  findTrailer,
+  countPlacements,
+  rankDoors,
+  loadPlacementHistory,
+};
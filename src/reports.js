@@ -0,0 +1,371 @@
+/**
+ * Reports module
+ * Scheduled reports: an XLSX export built daily, weekly or at every shift change
+ * (facility time) and e-mailed or saved to the reports folder
+ *
+ * Kept per facility in reports.json (loadReports/saveReports, not the board state):
+ * - reports: [{
+ *     id, name,
+ *     exportType,            // violations | patterns | shipped | received (see EXPORT_TYPES)
+ *     options,               // { direction?, days? } - days of data up to the run day
+ *     schedule,              // { frequency: daily | weekly | shift, time?, weekday?, shiftTimes? }
+ *     delivery,              // { method: email | folder, recipients? }
+ *     enabled, createdAt, createdBy, updatedAt,
+ *     nextRunAt, lastRunAt, lastRunStatus
+ *   }]
+ * - runs: [{
+ *     id, reportId, reportName, exportType,
+ *     trigger,               // schedule | manual
+ *     triggeredBy,           // Username for manual runs
+ *     status,                // success | failed
+ *     filename, size, deliveredTo, error,
+ *     startedAt, finishedAt
+ *   }] (oldest first) - the run log
+ *
+ * server.js runs due reports every minute. A run that was missed while the
+ * server was down happens once at the next check; nextRunAt is moved on
+ * before the export is built, so a slow run is never started twice.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { REPORTS_DIR } = require("./config");
+const { sanitizeInput } = require("./utils");
+const { loadReports, saveReports } = require("./state");
+const { getFacility } = require("./facilities");
+const { zonedParts, zonedTimeToDate } = require("./appointments");
+const { buildViolationsWorkbook, buildPatternsWorkbook, buildShippingWorkbook } = require("./workbooks");
+const { isMailConfigured, sendMail } = require("./mailer");
+
+// The exports a report can run, and the options each one takes
+const EXPORT_TYPES = {
+  violations: { label: "Dwell violations", options: ["direction"] },
+  patterns: { label: "Door position patterns", options: ["direction", "days"] },
+  shipped: { label: "Shipped trailers", options: ["days"] },
+  received: { label: "Received trailers", options: ["days"] },
+};
+const FREQUENCIES = ["daily", "weekly", "shift"];
+const DELIVERY_METHODS = ["email", "folder"];
+// Days of data when a report doesn't say
+const DEFAULT_DAYS = { daily: 1, weekly: 7, shift: 1 };
+
+const MAX_REPORTS = 20;
+const MAX_RECIPIENTS = 10;
+const MAX_SHIFTS = 6;
+const MAX_DAYS = 90;
+const MAX_RUNS = 500;
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Reports being run right now, so overlapping checks don't run one twice
+const inFlight = new Set();
+
+function isClock(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function clockMinutes(value) {
+  const [hours, minutes] = value.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// "YYYY-MM-DD" plus some days
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function validateSchedule(input) {
+  if (!input || typeof input !== "object") return { error: "schedule is required" };
+  const { frequency } = input;
+  if (!FREQUENCIES.includes(frequency)) return { error: `schedule.frequency must be one of: ${FREQUENCIES.join(", ")}` };
+
+  if (frequency === "shift") {
+    const shiftTimes = Array.isArray(input.shiftTimes) ? [...new Set(input.shiftTimes.map(String))] : [];
+    if (shiftTimes.length === 0 || shiftTimes.length > MAX_SHIFTS || !shiftTimes.every(isClock)) {
+      return { error: `schedule.shiftTimes must be 1-${MAX_SHIFTS} shift change times like "06:00"` };
+    }
+    return { schedule: { frequency, shiftTimes: shiftTimes.sort() } };
+  }
+
+  const time = String(input.time || "");
+  if (!isClock(time)) return { error: 'schedule.time must be a time like "06:00"' };
+  if (frequency === "weekly") {
+    const weekday = Number(input.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: "schedule.weekday must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    return { schedule: { frequency, time, weekday } };
+  }
+  return { schedule: { frequency, time } };
+}
+
+function validateDelivery(input) {
+  if (!input || typeof input !== "object") return { error: "delivery is required" };
+  if (!DELIVERY_METHODS.includes(input.method)) return { error: `delivery.method must be one of: ${DELIVERY_METHODS.join(", ")}` };
+  if (input.method === "folder") return { delivery: { method: "folder" } };
+
+  const recipients = Array.isArray(input.recipients)
+    ? [...new Set(input.recipients.map((r) => String(r).trim().toLowerCase()).filter(Boolean))]
+    : [];
+  if (recipients.length === 0 || recipients.length > MAX_RECIPIENTS) {
+    return { error: `delivery.recipients must list 1-${MAX_RECIPIENTS} e-mail addresses` };
+  }
+  const invalid = recipients.find((r) => !/^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/.test(r));
+  if (invalid) return { error: `Invalid e-mail address: ${invalid}` };
+  return { delivery: { method: "email", recipients } };
+}
+
+function validateOptions(input, exportType) {
+  const options = {};
+  const allowed = EXPORT_TYPES[exportType].options;
+  if (allowed.includes("direction") && input?.direction) {
+    if (!["inbound", "outbound"].includes(input.direction)) return { error: "options.direction must be inbound or outbound" };
+    options.direction = input.direction;
+  }
+  if (allowed.includes("days") && input?.days !== undefined && input.days !== null && input.days !== "") {
+    const days = Number(input.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return { error: `options.days must be 1-${MAX_DAYS}` };
+    options.days = days;
+  }
+  return { options };
+}
+
+/**
+ * Validate report fields (new report or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Report being changed, if any
+ * @returns {object} - { fields } (only the fields given) or { error }
+ */
+function validateReport(input, existing = null) {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    const name = input.name ? sanitizeInput(String(input.name).trim()).slice(0, 100) : "";
+    if (!name) return { error: "Report name is required" };
+    fields.name = name;
+  }
+
+  if (input.exportType !== undefined || !existing) {
+    if (!EXPORT_TYPES[input.exportType]) return { error: `exportType must be one of: ${Object.keys(EXPORT_TYPES).join(", ")}` };
+    fields.exportType = input.exportType;
+  }
+
+  // Options belong to the export, so they are checked again when it changes
+  if (input.options !== undefined || input.exportType !== undefined || !existing) {
+    const result = validateOptions(input.options ?? existing?.options, fields.exportType || existing.exportType);
+    if (result.error) return result;
+    fields.options = result.options;
+  }
+
+  if (input.schedule !== undefined || !existing) {
+    const result = validateSchedule(input.schedule);
+    if (result.error) return result;
+    fields.schedule = result.schedule;
+  }
+
+  if (input.delivery !== undefined || !existing) {
+    const result = validateDelivery(input.delivery);
+    if (result.error) return result;
+    fields.delivery = result.delivery;
+  }
+
+  if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+
+  return { fields };
+}
+
+/**
+ * Next time a schedule fires after `after`, in the facility's time zone
+ * @returns {string} - ISO timestamp
+ */
+function nextRunTime(schedule, after, timezone) {
+  const times = (schedule.frequency === "shift" ? schedule.shiftTimes : [schedule.time])
+    .map(clockMinutes)
+    .sort((a, b) => a - b);
+  const today = zonedParts(after, timezone).date;
+
+  // A weekly report is at most 7 days away (8 covers a DST day)
+  for (let offset = 0; offset <= 8; offset++) {
+    const date = addDays(today, offset);
+    if (schedule.frequency === "weekly" && new Date(`${date}T00:00:00Z`).getUTCDay() !== schedule.weekday) continue;
+    for (const minutes of times) {
+      const at = zonedTimeToDate(date, minutes, timezone);
+      if (at > after) return at.toISOString();
+    }
+  }
+  return null;
+}
+
+/**
+ * Set when an enabled report runs next (null when disabled)
+ */
+function scheduleReport(report, timezone, now = new Date()) {
+  report.nextRunAt = report.enabled ? nextRunTime(report.schedule, now, timezone) : null;
+}
+
+/**
+ * Add a report (caller saves)
+ * @returns {object} - { report } or { error }
+ */
+function createReport(reports, fields, user, timezone) {
+  if (reports.reports.length >= MAX_REPORTS) {
+    return { error: `At most ${MAX_REPORTS} scheduled reports per facility` };
+  }
+  const now = new Date().toISOString();
+  const report = {
+    id: uuidv4(),
+    enabled: true,
+    ...fields,
+    createdAt: now,
+    createdBy: user?.username || null,
+    updatedAt: now,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastRunStatus: null,
+  };
+  scheduleReport(report, timezone);
+  reports.reports.push(report);
+  return { report };
+}
+
+// The export's file for a run at `at`
+async function buildReport(report, facilityId, timezone, at) {
+  const options = report.options || {};
+  const dateTo = zonedParts(at, timezone).date;
+  const dateFrom = addDays(dateTo, 1 - (options.days || DEFAULT_DAYS[report.schedule.frequency]));
+
+  switch (report.exportType) {
+    case "violations":
+      return buildViolationsWorkbook([facilityId], false, { direction: options.direction });
+    case "patterns":
+      return buildPatternsWorkbook([facilityId], false, { direction: options.direction, dateFrom, dateTo });
+    default:
+      return buildShippingWorkbook(facilityId, { type: report.exportType, dateFrom, dateTo });
+  }
+}
+
+// Send or save the file; returns where it went
+async function deliverReport(report, facilityId, file, timezone, at) {
+  const facilityName = getFacility(facilityId)?.name || facilityId;
+  const local = zonedParts(at, timezone);
+  const clock = `${String(Math.floor(local.minutes / 60)).padStart(2, "0")}${String(local.minutes % 60).padStart(2, "0")}`;
+
+  if (report.delivery.method === "email") {
+    await sendMail({
+      to: report.delivery.recipients,
+      subject: `${report.name} - ${facilityName} ${local.date}`,
+      text: `${EXPORT_TYPES[report.exportType].label} report for ${facilityName}, run ${local.date} at ${clock.slice(0, 2)}:${clock.slice(2)} (${timezone}).\n\nThe report is attached (${file.filename}).\n`,
+      attachments: [{ filename: file.filename, content: file.buffer, contentType: XLSX_TYPE }],
+    });
+    return report.delivery.recipients.join(", ");
+  }
+
+  // Shift reports run more than once a day, so the file name gets the time too.
+  // Written under a temporary name first so nothing picks up a half-written file.
+  const dir = path.join(REPORTS_DIR, facilityId);
+  fs.mkdirSync(dir, { recursive: true });
+  const target = path.join(dir, file.filename.replace(/\.xlsx$/, `-${clock}.xlsx`));
+  const temp = `${target}.tmp`;
+  fs.writeFileSync(temp, file.buffer);
+  fs.renameSync(temp, target);
+  return target;
+}
+
+// Add a run to the log and to its report (reloaded: others may have saved meanwhile)
+function recordRun(facilityId, run) {
+  const reports = loadReports(facilityId);
+  reports.runs.push(run);
+  if (reports.runs.length > MAX_RUNS) {
+    reports.runs = reports.runs.slice(-MAX_RUNS);
+  }
+  const report = reports.reports.find((r) => r.id === run.reportId);
+  if (report) {
+    report.lastRunAt = run.startedAt;
+    report.lastRunStatus = run.status;
+  }
+  saveReports(reports, facilityId);
+}
+
+/**
+ * Build and deliver a report now, and log the run
+ * @param {string} facilityId - Facility ID
+ * @param {object} report - The report
+ * @param {object} options - { trigger: 'schedule' | 'manual', user?, timezone }
+ * @returns {Promise<object>} - The run, or null if the report is already running
+ */
+async function runReport(facilityId, report, { trigger, user = null, timezone }) {
+  const key = `${facilityId}:${report.id}`;
+  if (inFlight.has(key)) return null;
+  inFlight.add(key);
+
+  const startedAt = new Date();
+  const run = {
+    id: uuidv4(),
+    reportId: report.id,
+    reportName: report.name,
+    exportType: report.exportType,
+    trigger,
+    triggeredBy: user?.username || null,
+    status: "failed",
+    filename: null,
+    size: null,
+    deliveredTo: null,
+    error: null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+  };
+
+  try {
+    if (report.delivery.method === "email" && !isMailConfigured()) {
+      throw new Error("No mail server is configured (SMTP_HOST)");
+    }
+    const file = await buildReport(report, facilityId, timezone, startedAt);
+    if (file.error) throw new Error(file.error);
+    run.filename = file.filename;
+    run.size = file.buffer.length;
+    run.deliveredTo = await deliverReport(report, facilityId, file, timezone, startedAt);
+    run.status = "success";
+  } catch (e) {
+    run.error = e.message;
+    console.warn(`[Reports] ${facilityId}: ${report.name} failed: ${e.message}`);
+  } finally {
+    inFlight.delete(key);
+  }
+
+  run.finishedAt = new Date().toISOString();
+  recordRun(facilityId, run);
+  return run;
+}
+
+/**
+ * Run every enabled report whose time has come (one after another)
+ * @returns {Promise<number>} - Reports run
+ */
+async function runDueReports(facilityId, timezone) {
+  const reports = loadReports(facilityId);
+  const now = new Date();
+  const due = reports.reports.filter((r) =>
+    r.enabled && r.nextRunAt && r.nextRunAt <= now.toISOString() && !inFlight.has(`${facilityId}:${r.id}`),
+  );
+  if (due.length === 0) return 0;
+
+  due.forEach((r) => scheduleReport(r, timezone, now));
+  saveReports(reports, facilityId);
+
+  for (const report of due) {
+    await runReport(facilityId, report, { trigger: "schedule", timezone });
+  }
+  return due.length;
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  FREQUENCIES,
+  DELIVERY_METHODS,
+  validateReport,
+  nextRunTime,
+  createReport,
+  scheduleReport,
+  runReport,
+  runDueReports,
+};
@@ -0,0 +1,126 @@
+/**
+ * Alert routes
+ * GET /alerts, POST /alerts/:id/acknowledge, POST /alerts/:id/snooze,
+ * GET /alerts/rules, PUT /alerts/rules
+ *
+ * The alert inbox and the rules that fill it (see alerts.js). Alerts are
+ * raised and resolved by the scheduler in server.js; users only acknowledge
+ * or snooze them.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { broadcastStateChange } = require("../sse");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const {
+  ALERT_STATUSES,
+  UNRESOLVED_STATUSES,
+  getAlertRules,
+  updateAlertRules,
+  acknowledgeAlert,
+  snoozeAlert,
+  alertDetails,
+} = require("../alerts");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+// List alerts, newest first (?status=open|acknowledged|snoozed|resolved; default: all unresolved)
+router.get("/", requireAuth, (req, res) => {
+  const { status } = req.query;
+  if (status && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(", ")}` });
+  }
+  const state = loadState(getFacilityId(req));
+  const alerts = (state.alerts || [])
+    .filter((a) => (status ? a.status === status : UNRESOLVED_STATUSES.includes(a.status)))
+    .reverse();
+  res.json({ alerts });
+});
+
+// Current rules
+router.get("/rules", requireAuth, (req, res) => {
+  const state = loadState(getFacilityId(req));
+  res.json({ rules: getAlertRules(state) });
+});
+
+// Replace the rules ({ rules: [{ id?, name, type, minutes, severity, enabled }] })
+router.put("/rules", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const previousCount = getAlertRules(state).length;
+
+  const { rules, error } = updateAlertRules(state, req.body.rules);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveState(state, facilityId);
+  broadcastStateChange("alert-rules", "update", {}, facilityId);
+
+  addHistoryEntry("ALERT_RULES_UPDATED", {
+    previousCount,
+    rules: rules.map((r) => ({ name: r.name, type: r.type, minutes: r.minutes, severity: r.severity, enabled: r.enabled })),
+  }, req.user, facilityId);
+
+  res.json({ success: true, rules });
+});
+
+// Find an unresolved alert for acknowledge/snooze
+function findOpenAlert(state, id, res) {
+  const alert = (state.alerts || []).find((a) => a.id === id);
+  if (!alert) {
+    res.status(404).json({ error: "Alert not found" });
+    return null;
+  }
+  if (alert.status === "resolved") {
+    res.status(409).json({ error: "Alert is already resolved", code: "ALERT_RESOLVED" });
+    return null;
+  }
+  return alert;
+}
+
+// Acknowledge an alert
+router.post("/:id/acknowledge", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const alert = findOpenAlert(state, req.params.id, res);
+  if (!alert) return;
+
+  acknowledgeAlert(alert, req.user);
+  saveState(state, facilityId);
+
+  broadcastStateChange("alert", "acknowledge", { alertId: alert.id }, facilityId);
+  addHistoryEntry("ALERT_ACKNOWLEDGED", alertDetails(alert), req.user, facilityId);
+
+  res.json({ success: true, alert });
+});
+
+// Snooze an alert ({ minutes })
+router.post("/:id/snooze", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const alert = findOpenAlert(state, req.params.id, res);
+  if (!alert) return;
+
+  const { error } = snoozeAlert(alert, req.body.minutes, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  saveState(state, facilityId);
+
+  broadcastStateChange("alert", "snooze", { alertId: alert.id }, facilityId);
+  addHistoryEntry("ALERT_SNOOZED", {
+    ...alertDetails(alert),
+    snoozedUntil: alert.snoozedUntil,
+  }, req.user, facilityId);
+
+  res.json({ success: true, alert });
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * API key routes (admin only)
+ * GET /api-keys, POST /api-keys, PUT /api-keys/:id, DELETE /api-keys/:id
+ *
+ * The facility's keys for other systems (see api-keys.js). A key is only
+ * shown when it is created or rotated; the list has its prefix and when it
+ * was last used.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadApiKeys, saveApiKeys, addHistoryEntry } = require("../state");
+const {
+  API_KEY_SCOPES,
+  publicApiKey,
+  validateApiKey,
+  createApiKey,
+  rotateApiKey,
+} = require("../api-keys");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+// History entry fields for a key (never the key itself)
+function apiKeyDetails(key) {
+  return {
+    apiKeyId: key.id,
+    apiKey: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    enabled: key.enabled,
+  };
+}
+
+// List keys and the scopes they can be given
+router.get("/", requireAuth, requireRole("admin"), (req, res) => {
+  const apiKeys = loadApiKeys(getFacilityId(req));
+  res.json({ keys: apiKeys.keys.map(publicApiKey), scopes: API_KEY_SCOPES });
+});
+
+// Add a key ({ name, scopes, enabled? }) - the response has the key
+router.post("/", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const apiKeys = loadApiKeys(facilityId);
+
+  const result = validateApiKey(req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const { key, token, error } = createApiKey(apiKeys, result.fields, req.user, facilityId);
+  if (error) return res.status(400).json({ error });
+  saveApiKeys(apiKeys, facilityId);
+
+  addHistoryEntry("API_KEY_CREATED", apiKeyDetails(key), req.user, facilityId);
+
+  res.json({ success: true, apiKey: publicApiKey(key), key: token });
+});
+
+// Change a key (same fields, plus rotate: true for a new key value)
+router.put("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const apiKeys = loadApiKeys(facilityId);
+
+  const key = apiKeys.keys.find((k) => k.id === req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  const result = validateApiKey(req.body, key);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  Object.assign(key, result.fields, { updatedAt: new Date().toISOString() });
+  const token = req.body.rotate ? rotateApiKey(key, facilityId) : null;
+  saveApiKeys(apiKeys, facilityId);
+
+  addHistoryEntry("API_KEY_UPDATED", {
+    ...apiKeyDetails(key),
+    ...(token && { rotated: true }),
+  }, req.user, facilityId);
+
+  res.json({ success: true, apiKey: publicApiKey(key), ...(token && { key: token }) });
+});
+
+// Revoke a key
+router.delete("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const apiKeys = loadApiKeys(facilityId);
+
+  const key = apiKeys.keys.find((k) => k.id === req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  apiKeys.keys = apiKeys.keys.filter((k) => k.id !== key.id);
+  saveApiKeys(apiKeys, facilityId);
+
+  addHistoryEntry("API_KEY_DELETED", apiKeyDetails(key), req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+/**
+ * Appointment routes
+ * GET /appointments, POST /appointments, PUT /appointments/:id, POST /appointments/:id/cancel
+ * GET /appointments/availability, GET /appointments/conflicts
+ * GET|PUT /appointments/settings
+ *
+ * Dock appointment scheduling against a door or a door group, on the
+ * facility's time slots. Overlapping bookings for a door (or more than a
+ * group has doors) are refused with APPOINTMENT_CONFLICT. Booked
+ * appointments join the appointment queue as their start approaches
+ * (see syncAppointments in appointments.js). A blocked carrier, or one whose
+ * insurance has expired, can't book (CARRIER_BLOCKED / CARRIER_INSURANCE_EXPIRED).
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
+const { getFacility } = require("../facilities");
+const { findCarrierByName, carrierRestriction, facilityToday } = require("../carriers");
+const {
+  APPOINTMENT_STATUSES,
+  ACTIVE_STATUSES,
+  getSchedule,
+  updateSchedule,
+  findConflicts,
+  listConflicts,
+  getAvailability,
+  validateAppointment,
+  createAppointment,
+  syncAppointments,
+  refreshQueuedTrailer,
+  cancelAppointment,
+  getFacilityTimezone,
+  zonedParts,
+} = require("../appointments");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+// Where an appointment is booked, for history entries
+function targetName(state, appointment) {
+  if (appointment.doorId) {
+    const door = state.doors.find((d) => d.id === appointment.doorId);
+    return door ? `Door ${door.number}` : "Door";
+  }
+  const group = (state.doorGroups || []).find((g) => g.id === appointment.doorGroupId);
+  return group ? group.name : "Door group";
+}
+
+// Refuse a double booking unless an admin asked to book it anyway
+function conflictResponse(req, res, conflicts) {
+  if (conflicts.length === 0) return false;
+  if (req.body.allowConflict && req.user.role === "admin") return false;
+  res.status(409).json({
+    error: conflicts[0].type === "door"
+      ? "That door already has an appointment at this time"
+      : `All ${conflicts[0].capacity} door(s) of the group are booked at this time`,
+    code: "APPOINTMENT_CONFLICT",
+    conflicts,
+  });
+  return true;
+}
+
+// List appointments (?from=&to= ISO or YYYY-MM-DD, ?date= facility-local day, ?doorId=, ?doorGroupId=, ?status=)
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const { from, to, date, doorId, doorGroupId, status } = req.query;
+
+  if (status && !APPOINTMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${APPOINTMENT_STATUSES.join(", ")}` });
+  }
+
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+  const appointments = state.appointments.filter((a) =>
+    (!from || a.end > new Date(from).toISOString()) &&
+    (!to || a.start < new Date(to).toISOString()) &&
+    (!date || zonedParts(new Date(a.start), timezone).date === date) &&
+    (!doorId || a.doorId === doorId) &&
+    (!doorGroupId || a.doorGroupId === doorGroupId) &&
+    (!status || a.status === status),
+  );
+
+  res.json({ appointments, timezone });
+});
+
+// Slots for a door or group on a facility-local day (?date=YYYY-MM-DD&doorId=|doorGroupId=&durationMinutes=)
+router.get("/availability", requireAuth, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const { date, doorId, doorGroupId } = req.query;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+  if (!doorId && !doorGroupId) {
+    return res.status(400).json({ error: "doorId or doorGroupId is required" });
+  }
+  if (doorId && !state.doors.some((d) => d.id === doorId)) {
+    return res.status(404).json({ error: "Door not found" });
+  }
+  if (!doorId && !state.doorGroups.some((g) => g.id === doorGroupId)) {
+    return res.status(404).json({ error: "Door group not found" });
+  }
+
+  const durationMinutes = parseInt(req.query.durationMinutes) || getSchedule(state).defaultDurationMinutes;
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+  const target = doorId ? { doorId } : { doorGroupId };
+
+  res.json({
+    date,
+    timezone,
+    durationMinutes,
+    slots: getAvailability(state, target, date, durationMinutes, timezone),
+  });
+});
+
+// Current double bookings
+router.get("/conflicts", requireAuth, (req, res) => {
+  const state = loadState(getFacilityId(req));
+  res.json({ conflicts: listConflicts(state) });
+});
+
+// Slot size, default duration, queue lead time and bookable hours
+router.get("/settings", requireAuth, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  res.json({ schedule: getSchedule(state), timezone: getFacilityTimezone(getFacility(facilityId)) });
+});
+
+router.put("/settings", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const { schedule, error } = updateSchedule(state, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveState(state, facilityId);
+  broadcastStateChange("schedule", "update", {}, facilityId);
+  addHistoryEntry("SCHEDULE_UPDATED", {
+    slotMinutes: schedule.slotMinutes,
+    windows: schedule.windows.length,
+  }, req.user, facilityId);
+
+  res.json({ success: true, schedule });
+});
+
+// Book an appointment
+// Body: { carrier, start, durationMinutes?, doorId | doorGroupId, trailerNumber?, trailerId?,
+//         customer?, loadNumber?, direction?, notes?, allowConflict? (admin) }
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+
+  const { fields, error } = validateAppointment(state, req.body, null, timezone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // Booking brings in a trailer - same carrier checks as creating one
+  const restriction = carrierRestriction(findCarrierByName(state, fields.carrier), facilityToday(facilityId));
+  if (restriction) {
+    return res.status(403).json(restriction);
+  }
+  if (conflictResponse(req, res, findConflicts(state, fields))) return;
+
+  const appointment = createAppointment(state, fields, req.user);
+  // Already inside the queue lead time - goes straight to the appointment queue
+  syncAppointments(state, timezone);
+
+  saveState(state, facilityId);
+  broadcastStateChange("appointment", "book", { appointmentId: appointment.id, trailerId: appointment.trailerId }, facilityId);
+
+  addHistoryEntry("APPOINTMENT_BOOKED", {
+    appointmentId: appointment.id,
+    carrier: appointment.carrier,
+    trailerNumber: appointment.trailerNumber,
+    customer: appointment.customer,
+    start: appointment.start,
+    location: targetName(state, appointment),
+  }, req.user, facilityId);
+
+  res.json({ success: true, appointment });
+});
+
+// Edit or reschedule an appointment (same fields as booking)
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+  const appointment = state.appointments.find((a) => a.id === req.params.id);
+
+  if (!appointment) {
+    return res.status(404).json({ error: "Appointment not found" });
+  }
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    return res.status(400).json({ error: `Appointment is ${appointment.status}` });
+  }
+
+  const { fields, error } = validateAppointment(state, req.body, appointment, timezone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (conflictResponse(req, res, findConflicts(state, fields, appointment.id))) return;
+
+  const rescheduled = fields.start !== appointment.start ||
+    fields.end !== appointment.end ||
+    fields.doorId !== appointment.doorId ||
+    fields.doorGroupId !== appointment.doorGroupId;
+  const previous = { start: appointment.start, location: targetName(state, appointment) };
+
+  Object.assign(appointment, fields, { updatedAt: new Date().toISOString() });
+  state.appointments.sort((a, b) => a.start.localeCompare(b.start));
+  if (appointment.status === "queued") refreshQueuedTrailer(state, appointment, timezone);
+  syncAppointments(state, timezone);
+
+  saveState(state, facilityId);
+  broadcastStateChange("appointment", rescheduled ? "reschedule" : "update", { appointmentId: appointment.id, trailerId: appointment.trailerId }, facilityId);
+
+  addHistoryEntry(rescheduled ? "APPOINTMENT_RESCHEDULED" : "APPOINTMENT_UPDATED", {
+    appointmentId: appointment.id,
+    carrier: appointment.carrier,
+    trailerNumber: appointment.trailerNumber,
+    start: appointment.start,
+    location: targetName(state, appointment),
+    ...(rescheduled && { previousStart: previous.start, previousLocation: previous.location }),
+  }, req.user, facilityId);
+
+  res.json({ success: true, appointment });
+});
+
+// Cancel an appointment (its expected trailer leaves the appointment queue)
+router.post("/:id/cancel", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const appointment = state.appointments.find((a) => a.id === req.params.id);
+
+  if (!appointment) {
+    return res.status(404).json({ error: "Appointment not found" });
+  }
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    return res.status(400).json({ error: `Appointment is already ${appointment.status}` });
+  }
+
+  cancelAppointment(state, appointment);
+
+  saveState(state, facilityId);
+  broadcastStateChange("appointment", "cancel", { appointmentId: appointment.id }, facilityId);
+
+  addHistoryEntry("APPOINTMENT_CANCELLED", {
+    appointmentId: appointment.id,
+    carrier: appointment.carrier,
+    trailerNumber: appointment.trailerNumber,
+    start: appointment.start,
+    location: targetName(state, appointment),
+  }, req.user, facilityId);
+
+  res.json({ success: true, appointment });
+});
+
+module.exports = router;
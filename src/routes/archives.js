@@ -1,93 +1,49 @@
 /**
  * Archives routes
- * GET /archives, POST /archives, GET /archives/:filename, POST /archives/restore
+ * GET /archives, POST /archives, GET /archives/:filename, POST /archives/restore,
+ * POST /archives/diff, POST /archives/restore-selected,
+ * DELETE /archives/:filename, GET /archives/policy, PUT /archives/policy
  *
  * Handles creation, download, and restoration of point-in-time backups
- * of the application state. Archives are stored as timestamped JSON files.
- */
-
-/**
- * Archives routes
- * GET /archives, POST /archives, GET /archives/:filename, POST /archives/restore
- *
- * Handles creation, download, and restoration of point-in-time backups
- * of the application state. Archives are stored as timestamped JSON files.
+ * of the application state (whole, or chosen parts - see archive-restore.js),
+ * and the facility's backup schedule and retention (see archives.js).
+ * Archives are stored as timestamped, gzipped JSON files with a checksum.
  */
 
 const express = require("express");
 const router = express.Router();
 const fs = require("fs");
-const path = require("path");
-const { requireAuth, requireRole } = require("../middleware");
-const { DATA_DIR, STATE_FILE } = require("../config");
-const { loadState, saveState, addHistoryEntry } = require("../state");
+const zlib = require("zlib");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { loadState, saveState, saveArchivePolicy, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
 const { getFacility } = require("../facilities");
+const { getFacilityTimezone } = require("../appointments");
+const { buildShippingWorkbook } = require("../workbooks");
+const {
+  isArchiveName,
+  findArchive,
+  writeArchive,
+  checkArchive,
+  listArchives,
+  deleteArchive,
+  pruneArchives,
+  getArchivePolicy,
+  validateArchivePolicy,
+  updateArchivePolicy,
+} = require("../archives");
+const { SECTIONS, diffArchive, restoreSelected, validateSelection } = require("../archive-restore");
 
 // Get list of archive files (protected)
 router.get("/", requireAuth, (req, res) => {
   try {
     const facilityId = req.user.currentFacility || req.user.homeFacility;
-    const archivesDir = path.join(DATA_DIR, "archives");
-    if (!fs.existsSync(archivesDir)) {
-      return res.json({ archives: [], facilityId });
-    }
-
-    // Get facility name for display
-    const { getFacility } = require("../facilities");
     const currentFacility = getFacility(facilityId);
-
-    // Recursively find all archive files
-    const files = [];
-    function findArchives(dir, basePath = "") {
-      if (!fs.existsSync(dir)) return;
-
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        const relativePath = path.join(basePath, entry.name);
-
-        if (entry.isDirectory()) {
-          findArchives(fullPath, relativePath);
-        } else if (entry.name.endsWith(".json")) {
-          const stats = fs.statSync(fullPath);
-
-          // Try to read metadata from archive
-          let archiveFacilityId = null;
-          let archiveFacilityName = null;
-          try {
-            const content = fs.readFileSync(fullPath, "utf8");
-            const data = JSON.parse(content);
-            if (data._archiveMetadata) {
-              archiveFacilityId = data._archiveMetadata.facilityId;
-              archiveFacilityName = data._archiveMetadata.facilityName;
-            }
-          } catch (e) {
-            // Legacy archive without metadata
-          }
-
-          files.push({
-            name: entry.name,
-            path: relativePath,
-            size: stats.size,
-            created: stats.birthtime,
-            facilityId: archiveFacilityId,
-            facilityName: archiveFacilityName,
-            // Include archives that match current facility or have no metadata (legacy)
-            isForCurrentFacility: !archiveFacilityId || archiveFacilityId === facilityId,
-          });
-        }
-      }
-    }
-
-    findArchives(archivesDir);
-
-    const sortedFiles = files
-      // Filter to only show archives for current facility (or legacy archives)
-      .filter((f) => f.isForCurrentFacility)
-      .sort((a, b) => new Date(b.created) - new Date(a.created));
+    const archives = listArchives(facilityId);
 
     res.json({
-      archives: sortedFiles,
+      archives,
+      corrupted: archives.filter((a) => a.integrity === "corrupted").length,
       facilityId,
       facilityName: currentFacility?.name || "Unknown Facility",
     });
@@ -96,48 +52,13 @@ router.get("/", requireAuth, (req, res) => {
   }
 });
 
-// Helper to get archive directory path organized by facility/year/month
-function getArchiveDir(facilityId) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const archivePath = path.join(DATA_DIR, "archives", facilityId, String(year), month);
-  console.log(`[Archives] Archive directory path: ${archivePath} for facility: ${facilityId}`);
-  return archivePath;
-}
-
 // Create archive snapshot (protected)
 router.post("/", requireAuth, requireRole("user"), (req, res) => {
   try {
     const facilityId = req.user.currentFacility || req.user.homeFacility;
-    const state = loadState(facilityId);
-
-    // Get facility info for metadata
-    const { getFacility } = require("../facilities");
     const facility = getFacility(facilityId);
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `archive-${facilityId}-${timestamp}.json`;
-    const archivesDir = getArchiveDir(facilityId);
-
-    if (!fs.existsSync(archivesDir)) {
-      fs.mkdirSync(archivesDir, { recursive: true });
-    }
-
-    // Create archive with metadata wrapper
-    const archiveData = {
-      _archiveMetadata: {
-        version: "1.0",
-        createdAt: new Date().toISOString(),
-        facilityId: facilityId,
-        facilityName: facility?.name || "Unknown Facility",
-        createdBy: req.user.username,
-      },
-      ...state,
-    };
-
-    const archivePath = path.join(archivesDir, filename);
-    fs.writeFileSync(archivePath, JSON.stringify(archiveData, null, 2));
+    const { filename } = writeArchive(facilityId, { trigger: "manual", createdBy: req.user.username });
 
     res.json({ success: true, filename, facilityId, facilityName: facility?.name });
   } catch (error) {
@@ -145,324 +66,98 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
   }
 });
 
+// Backup schedule and retention
+router.get("/policy", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility;
+  res.json({
+    policy: getArchivePolicy(facilityId),
+    timezone: getFacilityTimezone(getFacility(facilityId)),
+  });
+});
+
+// Change the backup schedule and retention ({ hourly?, nightly?, nightlyTime?, beforeRestore?, keep? })
+router.put("/policy", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility;
+  const result = validateArchivePolicy(req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+  const { policy, error } = updateArchivePolicy(getArchivePolicy(facilityId), result.fields, req.user, timezone);
+  if (error) return res.status(400).json({ error });
+  saveArchivePolicy(policy, facilityId);
+
+  addHistoryEntry("ARCHIVE_POLICY_UPDATED", {
+    hourly: policy.hourly,
+    nightly: policy.nightly,
+    nightlyTime: policy.nightlyTime,
+    beforeRestore: policy.beforeRestore,
+    keep: policy.keep,
+  }, req.user, facilityId);
+
+  res.json({ success: true, policy, timezone });
+});
+
 // Export shipped and received trailers to Excel
 router.get("/export", requireAuth, async (req, res) => {
   try {
     const facilityId = req.user.currentFacility || req.user.homeFacility;
-    const { type = "shipped", dateFrom, dateTo } = req.query;
-
-    // Modern color palette
-    const colors = {
-      primary: "FF2563EB",
-      primaryLight: "FFDBEAFE",
-      secondary: "FF059669",
-      secondaryLight: "FFD1FAE5",
-      accent: "FF7C3AED",
-      dark: "FF1E293B",
-      gray: "FFF1F5F9",
-      white: "FFFFFFFF",
-      border: "FFE2E8F0",
-    };
-
-    // Create workbook
-    const ExcelJS = require("exceljs");
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = "Warehouse Dock Board";
-    workbook.created = new Date();
-
-    // Load state
-    const state = loadState(facilityId);
-
-    // Get facility info
-    const facility = getFacility(facilityId);
-    const facilityName = facility?.name || "Unknown Facility";
-
-    // Get trailers based on type
-    let trailers = [];
-    let sheetName = "";
-    let statusLabel = "";
-    let actionLabel = "";
-
-    if (type === "shipped") {
-      trailers = state.shippedTrailers || [];
-      sheetName = "Shipped Trailers";
-      statusLabel = "Shipped";
-      actionLabel = "Shipped By";
-    } else if (type === "received") {
-      trailers = state.receivedTrailers || [];
-      sheetName = "Received Trailers";
-      statusLabel = "Received";
-      actionLabel = "Received By";
-    } else {
-      return res.status(400).json({ error: "Invalid type. Use 'shipped' or 'received'" });
+    const result = await buildShippingWorkbook(facilityId, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    // Filter by date range
-    if (dateFrom || dateTo) {
-      trailers = trailers.filter((t) => {
-        const dateField = type === "shipped" ? t.shippedAt : t.receivedAt;
-        const itemDate = new Date(dateField || t.updatedAt || t.createdAt);
-        const entryDate = itemDate.toISOString().split("T")[0];
-        if (dateFrom && entryDate < dateFrom) return false;
-        if (dateTo && entryDate > dateTo) return false;
-        return true;
-      });
-    }
-
-    // Sort by date (most recent first)
-    trailers.sort(
-      (a, b) =>
-        new Date(
-          (type === "shipped" ? b.shippedAt : b.receivedAt) || b.updatedAt || b.createdAt,
-        ) -
-        new Date(
-          (type === "shipped" ? a.shippedAt : a.receivedAt) || a.updatedAt || a.createdAt,
-        ),
-    );
-
-    // === SUMMARY SHEET (First) ===
-    const summarySheet = workbook.addWorksheet("Summary");
-
-    // Summary columns - first header is the report title
-    summarySheet.columns = [
-      { header: `${statusLabel} Trailers Report`, key: "metric", width: 35 },
-      { header: "", key: "value", width: 25 },
-    ];
-
-    // Add metadata rows
-    summarySheet.addRow([`Facility: ${facilityName}`, ""]);
-
-    // Calculate date range text
-    let dateRangeText;
-    if (dateFrom || dateTo) {
-      dateRangeText = `Date Range: ${dateFrom || "All"} to ${dateTo || "All"}`;
-    } else if (trailers.length > 0) {
-      // Find earliest and latest dates from trailers
-      const dates = trailers.map(t => {
-        const dateField = type === "shipped" ? t.shippedAt : t.receivedAt;
-        return new Date(dateField || t.updatedAt || t.createdAt);
-      });
-      const earliestDate = new Date(Math.min(...dates));
-      const latestDate = new Date(Math.max(...dates));
-      const formatDate = (d) => `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}/${d.getFullYear()}`;
-      dateRangeText = `Date Range: ${formatDate(earliestDate)} - ${formatDate(latestDate)}`;
-    } else {
-      dateRangeText = `Date Range: All Dates`;
-    }
-    summarySheet.addRow([dateRangeText, ""]);
-    summarySheet.addRow([`Generated: ${new Date().toLocaleString()}`, ""]);
-    summarySheet.addRow([]); // Empty row
-    summarySheet.addRow(["Summary Statistics", ""]);
-    summarySheet.addRow(["Total Records:", trailers.length]);
-    summarySheet.addRow([]); // Empty row
-
-    // Carrier breakdown
-    const carrierCounts = {};
-    trailers.forEach((t) => {
-      const carrier = t.carrier || "Unknown";
-      carrierCounts[carrier] = (carrierCounts[carrier] || 0) + 1;
-    });
-
-    summarySheet.addRow(["Carrier Breakdown", ""]);
-    Object.entries(carrierCounts)
-      .sort((a, b) => b[1] - a[1])
-      .forEach(([carrier, count]) => {
-        summarySheet.addRow([carrier, count]);
-      });
-
-    summarySheet.addRow([]); // Empty row
-
-    // Customer breakdown
-    const customerCounts = {};
-    trailers.forEach((t) => {
-      const customer = t.customer || "Unknown";
-      customerCounts[customer] = (customerCounts[customer] || 0) + 1;
-    });
-
-    summarySheet.addRow(["Customer Breakdown", ""]);
-    Object.entries(customerCounts)
-      .sort((a, b) => b[1] - a[1])
-      .forEach(([customer, count]) => {
-        summarySheet.addRow([customer, count]);
-      });
-
-    // Style summary sheet
-    // Header row (contains report title)
-    const headerCellA = summarySheet.getCell("A1");
-    headerCellA.font = { size: 14, bold: true, color: { argb: colors.dark } };
-    headerCellA.fill = {
-      type: "pattern",
-      pattern: "solid",
-      fgColor: { argb: colors.primaryLight },
-    };
-
-    // Metadata rows
-    [2, 3, 4].forEach((rowNum) => {
-      summarySheet.getCell(`A${rowNum}`).font = { size: 10, color: { argb: colors.dark } };
-    });
-
-    // Calculate section header row numbers (adjusted for removed title row)
-    const carrierBreakdownRow = 9;
-    const customerBreakdownRow = 11 + Object.keys(carrierCounts).length;
-
-    // Section headers - only style cells A and B, not entire row
-    [5, carrierBreakdownRow, customerBreakdownRow].forEach((rowNum) => {
-      const cellA = summarySheet.getCell(`A${rowNum}`);
-      const cellB = summarySheet.getCell(`B${rowNum}`);
-      if (cellA.value) {
-        cellA.fill = {
-          type: "pattern",
-          pattern: "solid",
-          fgColor: { argb: colors.primary },
-        };
-        cellA.font = { bold: true, color: { argb: "FFFFFFFF" } };
-        if (cellB.value !== undefined && cellB.value !== null) {
-          cellB.fill = {
-            type: "pattern",
-            pattern: "solid",
-            fgColor: { argb: colors.primary },
-          };
-          cellB.font = { bold: true, color: { argb: "FFFFFFFF" } };
-        }
-      }
-    });
-
-    // === DATA SHEET (Second) ===
-    const mainSheet = workbook.addWorksheet(sheetName);
-
-    // Define columns
-    mainSheet.columns = [
-      { header: "Date", key: "date", width: 15 },
-      { header: "Time", key: "time", width: 12 },
-      { header: "Carrier", key: "carrier", width: 25 },
-      { header: "Trailer #", key: "number", width: 15 },
-      { header: "Load #", key: "loadNumber", width: 15 },
-      { header: "Customer", key: "customer", width: 25 },
-      { header: "Door", key: "door", width: 10 },
-      { header: "Direction", key: "direction", width: 12 },
-      { header: actionLabel, key: "user", width: 20 },
-      { header: "Facility", key: "facility", width: 20 },
-      { header: "Facility ID", key: "facilityId", width: 15 },
-    ];
-
-    // Add data rows
-    trailers.forEach((t) => {
-      const dateField = type === "shipped" ? t.shippedAt : t.receivedAt;
-      const itemDate = new Date(dateField || t.updatedAt || t.createdAt);
-      const userField = type === "shipped" ? t.shippedBy : t.receivedBy;
-
-      mainSheet.addRow({
-        date: itemDate.toLocaleDateString(),
-        time: itemDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
-        carrier: t.carrier || "",
-        number: t.number || "",
-        loadNumber: t.loadNumber || "",
-        customer: t.customer || "",
-        door: t.doorNumber || "",
-        direction: t.direction || "outbound",
-        user: userField || "",
-        facility: facilityName,
-        facilityId: facilityId,
-      });
-    });
-
-    // Style the header row (row 1) - apply to each cell individually
-    const headerColumns = ["date", "time", "carrier", "number", "loadNumber", "customer", "door", "direction", "user", "facility", "facilityId"];
-    headerColumns.forEach((col) => {
-      const cell = mainSheet.getColumn(col).header;
-      const cellRef = mainSheet.getRow(1).getCell(col);
-      cellRef.font = { bold: true, color: { argb: "FFFFFFFF" } };
-      cellRef.fill = {
-        type: "pattern",
-        pattern: "solid",
-        fgColor: { argb: colors.primary },
-      };
-      cellRef.alignment = { vertical: "middle", horizontal: "center" };
-    });
-
-    // Apply zebra striping to data rows - only to cells with data
-    for (let i = 2; i <= mainSheet.rowCount; i++) {
-      if (i % 2 === 0) {
-        headerColumns.forEach((col) => {
-          mainSheet.getRow(i).getCell(col).fill = {
-            type: "pattern",
-            pattern: "solid",
-            fgColor: { argb: colors.gray },
-          };
-        });
-      }
-      headerColumns.forEach((col) => {
-        mainSheet.getRow(i).getCell(col).alignment = { vertical: "middle" };
-      });
-    }
-
-    // Center align specific columns
-    mainSheet.getColumn("door").alignment = { horizontal: "center" };
-    mainSheet.getColumn("direction").alignment = { horizontal: "center" };
-
-    // Generate filename
-    const dateLabel = dateFrom && dateTo ? `${dateFrom}-to-${dateTo}` : new Date().toISOString().split("T")[0];
-    const filename = `${facilityId}-${type}-trailers-${facilityName.replace(/\s+/g, "-").toLowerCase()}-${dateLabel}.xlsx`;
-
-    // Write to buffer and send
-    const buffer = await workbook.xlsx.writeBuffer();
-
     res.setHeader(
       "Content-Type",
       "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
     );
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(buffer);
+    res.setHeader("Content-Disposition", `attachment; filename="${result.filename}"`);
+    res.send(result.buffer);
   } catch (error) {
     console.error("[Export] Error:", error);
     res.status(500).json({ error: "Failed to export trailers" });
   }
 });
 
-// Download archive file (protected)
+// Download archive file (protected) - gzipped archives are sent as JSON
+// (gzip-encoded when the client accepts it)
 router.get("/:filename", requireAuth, (req, res) => {
   try {
     // Decode URL-encoded filename (Express doesn't auto-decode path params with special chars)
     const filename = decodeURIComponent(req.params.filename);
     // Sanitize filename to prevent directory traversal
-    if (!filename.match(/^([\w\-])+\.json$/)) {
+    if (!isArchiveName(filename)) {
       return res.status(400).json({ error: "Invalid filename" });
     }
 
     // Search recursively in archives directory
-    const archivesDir = path.join(DATA_DIR, "archives");
-    let filePath = null;
-
-    function findFile(dir) {
-      if (!fs.existsSync(dir)) return;
-
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          const result = findFile(fullPath);
-          if (result) return result;
-        } else if (entry.name === filename) {
-          return fullPath;
-        }
-      }
-      return null;
-    }
-
-    filePath = findFile(archivesDir);
-
+    const filePath = findArchive(filename);
     if (!filePath) {
       return res.status(404).json({ error: "File not found" });
     }
 
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename.replace(/\.gz$/, "")}"`);
     res.setHeader("Content-Type", "application/json");
-    fs.createReadStream(filePath).pipe(res);
+    if (!filename.endsWith(".gz")) {
+      fs.createReadStream(filePath).pipe(res);
+    } else if (req.acceptsEncodings("gzip")) {
+      res.setHeader("Content-Encoding", "gzip");
+      fs.createReadStream(filePath).pipe(res);
+    } else {
+      const gunzip = zlib.createGunzip();
+      gunzip.on("error", () => res.destroy());
+      fs.createReadStream(filePath).pipe(gunzip).pipe(res);
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Door/slot attributes, trailer requirements and the facility settings in
+// the state are plain objects
+function plainObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : undefined;
+}
+
 // Validate and sanitize archive data before restore
 function validateArchiveData(data) {
   // Check top-level structure
@@ -542,6 +237,39 @@ function validateArchiveData(data) {
     }
   }
 
+  // Sections added since the first archives - optional, so older archives still restore
+  const optionalArrays = ["trash", "appointments", "doorGroups", "maintenanceWindows", "customers", "alertRules", "alerts"];
+  for (const field of optionalArrays) {
+    if (data[field] === undefined) continue;
+    if (!Array.isArray(data[field])) {
+      return { valid: false, error: `Invalid ${field}` };
+    }
+    for (const item of data[field]) {
+      if (!item || typeof item !== "object")
+        return { valid: false, error: `Invalid ${field} entry` };
+      if (typeof item.id !== "string" || !item.id.match(/^[\w\-]+$/)) {
+        return { valid: false, error: `Invalid ${field} ID` };
+      }
+      for (const [key, value] of Object.entries(item)) {
+        if (
+          typeof value === "string" &&
+          value.match(
+            /[<>{}]|function\s*\(|\bexec\b|\beval\b|\brequire\b|\bimport\b/,
+          )
+        ) {
+          return { valid: false, error: `Suspicious content in ${field}.${key}` };
+        }
+      }
+    }
+  }
+
+  // Facility settings kept with the board (appointments.js, assignment.js, dwell.js)
+  for (const field of ["schedule", "assignmentRules", "dwellPolicy"]) {
+    if (data[field] !== undefined && data[field] !== null && !plainObject(data[field])) {
+      return { valid: false, error: `Invalid ${field}` };
+    }
+  }
+
   // Validate yardSlots
   for (const slot of data.yardSlots) {
     if (typeof slot !== "object")
@@ -578,7 +306,6 @@ function sanitizeArchiveData(data) {
   const sanitized = {
     doors: [],
     trailers: [],
-    carriers: [],
     yardTrailers: [],
     yardSlots: [],
     staging: data.staging || null,
@@ -594,6 +321,19 @@ function sanitizeArchiveData(data) {
     receivedTrailers: Array.isArray(data.receivedTrailers)
       ? data.receivedTrailers
       : [],
+    carriers: Array.isArray(data.carriers) ? data.carriers : [],
+    trash: Array.isArray(data.trash) ? data.trash : [],
+    appointments: Array.isArray(data.appointments) ? data.appointments : [],
+    doorGroups: Array.isArray(data.doorGroups) ? data.doorGroups : [],
+    maintenanceWindows: Array.isArray(data.maintenanceWindows)
+      ? data.maintenanceWindows
+      : [],
+    customers: Array.isArray(data.customers) ? data.customers : [],
+    ...(Array.isArray(data.alertRules) && { alertRules: data.alertRules }),
+    ...(Array.isArray(data.alerts) && { alerts: data.alerts }),
+    ...(plainObject(data.schedule) && { schedule: data.schedule }),
+    ...(plainObject(data.assignmentRules) && { assignmentRules: data.assignmentRules }),
+    ...(plainObject(data.dwellPolicy) && { dwellPolicy: data.dwellPolicy }),
   };
 
   // Sanitize yardTrailers (unassigned yard)
@@ -623,6 +363,11 @@ function sanitizeArchiveData(data) {
       dwellResets: Array.isArray(trailer.dwellResets)
         ? trailer.dwellResets.slice(0, 100)
         : [],
+      direction: ["inbound", "outbound"].includes(trailer.direction)
+        ? trailer.direction
+        : undefined,
+      isLive: typeof trailer.isLive === "boolean" ? trailer.isLive : undefined,
+      requirements: plainObject(trailer.requirements),
     });
   }
 
@@ -649,6 +394,15 @@ function sanitizeArchiveData(data) {
       labelText: door.labelText
         ? String(door.labelText).replace(/[<>]/g, "").slice(0, 100)
         : undefined,
+      direction: ["inbound", "outbound"].includes(door.direction)
+        ? door.direction
+        : undefined,
+      attributes: plainObject(door.attributes),
+      maintenanceWindowId: door.maintenanceWindowId
+        ? String(door.maintenanceWindowId)
+            .replace(/[^\w\-]/g, "")
+            .slice(0, 50)
+        : undefined,
     });
   }
 
@@ -677,6 +431,11 @@ function sanitizeArchiveData(data) {
       dwellResets: Array.isArray(trailer.dwellResets)
         ? trailer.dwellResets.slice(0, 100)
         : [],
+      direction: ["inbound", "outbound"].includes(trailer.direction)
+        ? trailer.direction
+        : undefined,
+      isLive: typeof trailer.isLive === "boolean" ? trailer.isLive : undefined,
+      requirements: plainObject(trailer.requirements),
     });
   }
 
@@ -692,6 +451,7 @@ function sanitizeArchiveData(data) {
             .replace(/[^\w\-]/g, "")
             .slice(0, 50)
         : null,
+      attributes: plainObject(slot.attributes),
     });
   }
 
@@ -699,7 +459,7 @@ function sanitizeArchiveData(data) {
 }
 
 // Upload and restore from archive (protected)
-router.post("/restore", requireAuth, requireRole("admin"), async (req, res) => {
+router.post("/restore", requireAuth, requireRole("admin"), lockFacility, async (req, res) => {
   try {
     const targetFacilityId = req.user.currentFacility || req.user.homeFacility;
     const { confirmed } = req.body;
@@ -739,12 +499,14 @@ router.post("/restore", requireAuth, requireRole("admin"), async (req, res) => {
       });
     }
 
-    // Remove metadata wrapper before validation
+    // Remove metadata wrapper before validation. The revision is the archived
+    // board's, not this one's - saveState carries on from the current revision
     const stateData = { ...data };
     delete stateData._archiveMetadata;
+    delete stateData.revision;
 
     // Validate only expected top-level keys are present
-    const allowedKeys = ['doors', 'trailers', 'yardTrailers', 'yardSlots', 'staging', 'queuedTrailers', 'appointmentQueue', 'carriers', 'shippedTrailers', 'receivedTrailers'];
+    const allowedKeys = ['doors', 'trailers', 'yardTrailers', 'yardSlots', 'staging', 'queuedTrailers', 'appointmentQueue', 'carriers', 'shippedTrailers', 'receivedTrailers', 'trash', 'appointments', 'doorGroups', 'maintenanceWindows', 'customers', 'schedule', 'assignmentRules', 'dwellPolicy', 'alertRules', 'alerts'];
     const extraKeys = Object.keys(stateData).filter(k => !allowedKeys.includes(k));
     if (extraKeys.length > 0) {
       return res.status(400).json({ error: `Unexpected keys in archive: ${extraKeys.join(', ')}` });
@@ -761,33 +523,20 @@ router.post("/restore", requireAuth, requireRole("admin"), async (req, res) => {
     // Sanitize the data
     const sanitizedData = sanitizeArchiveData(stateData);
 
-    // Create backup of current state before restore (organized by facility/year/month)
-    const currentState = loadState(targetFacilityId);
-    const backupTimestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const backupDir = getArchiveDir(targetFacilityId);
-    if (!fs.existsSync(backupDir)) {
-      fs.mkdirSync(backupDir, { recursive: true });
-    }
-    const backupPath = path.join(
-      backupDir,
-      `auto-backup-before-restore-${targetFacilityId}-${backupTimestamp}.json`,
-    );
-
-    const backupData = {
-      _archiveMetadata: {
-        version: "1.0",
-        createdAt: new Date().toISOString(),
-        facilityId: targetFacilityId,
-        facilityName: currentFacility?.name || "Unknown Facility",
-        createdBy: req.user.username,
-        note: "Auto-created before restore",
-      },
-      ...currentState,
-    };
-    fs.writeFileSync(backupPath, JSON.stringify(backupData, null, 2));
-
-    // Save sanitized state to target facility
-    saveState(sanitizedData, targetFacilityId);
+    // Create backup of current state before restore (unless the backup policy turns it off)
+    const policy = getArchivePolicy(targetFacilityId);
+    const backup = policy.beforeRestore
+      ? writeArchive(targetFacilityId, {
+          trigger: "before-restore",
+          createdBy: req.user.username,
+          note: "Auto-created before restore",
+        })
+      : null;
+    if (backup) pruneArchives(targetFacilityId, policy.keep, getFacilityTimezone(getFacility(targetFacilityId)));
+
+    // Save sanitized state to target facility - whole state swapped, clients reload
+    saveState(sanitizedData, targetFacilityId, { replace: true });
+    broadcastStateChange("state", "restore", { sourceFacilityId: sourceFacilityId || null }, targetFacilityId);
 
     // Add history entry for the restore
     const { addHistoryEntry } = require("../state");
@@ -806,7 +555,7 @@ router.post("/restore", requireAuth, requireRole("admin"), async (req, res) => {
     res.json({
       success: true,
       message: "State restored successfully",
-      backupCreated: path.basename(backupPath),
+      backupCreated: backup?.filename || null,
       sourceFacilityId,
       sourceFacilityName,
       doors: sanitizedData.doors.length,
@@ -819,62 +568,159 @@ router.post("/restore", requireAuth, requireRole("admin"), async (req, res) => {
   }
 });
 
+// The archive a diff or selective restore works on: { filename } of a stored
+// archive, or the archive itself as { data }
+function readArchiveSource(body) {
+  let data = body.data;
+  const filename = body.filename;
+  if (filename) {
+    if (typeof filename !== "string" || !isArchiveName(filename)) {
+      return { status: 400, error: "Invalid filename" };
+    }
+    const filePath = findArchive(filename);
+    if (!filePath) return { status: 404, error: "File not found" };
+    const check = checkArchive(filePath);
+    if (check.integrity === "corrupted") {
+      return { status: 422, error: `Archive is corrupted: ${check.problem}`, code: "ARCHIVE_CORRUPTED" };
+    }
+    data = check.data;
+  }
+  if (!data || typeof data !== "object") {
+    return { status: 400, error: "Send the filename of an archive or its data" };
+  }
+
+  const stateData = { ...data };
+  delete stateData._archiveMetadata;
+  const validation = validateArchiveData(stateData);
+  if (!validation.valid) {
+    return { status: 400, error: `Invalid archive: ${validation.error}` };
+  }
+  // validateArchiveData checks doors and docked trailers; the rest can come back too
+  const records = [
+    ...(stateData.yardTrailers || []),
+    ...(stateData.queuedTrailers || []),
+    ...(stateData.appointmentQueue || []),
+    ...(stateData.staging ? [stateData.staging] : []),
+    ...stateData.carriers,
+  ];
+  for (const record of records) {
+    if (!record || typeof record !== "object" || typeof record.id !== "string") {
+      return { status: 400, error: "Invalid archive: Invalid trailer or carrier entry" };
+    }
+    for (const [key, value] of Object.entries(record)) {
+      if (typeof value === "string" && value.match(/[<>{}]|function\s*\(|\bexec\b|\beval\b|\brequire\b|\bimport\b/)) {
+        return { status: 400, error: `Invalid archive: Suspicious content in ${key}` };
+      }
+    }
+  }
+
+  return { filename: filename || null, metadata: data._archiveMetadata || null, state: stateData };
+}
+
+// What would change: the archive against the current board, per section
+router.post("/diff", requireAuth, (req, res) => {
+  try {
+    const facilityId = req.user.currentFacility || req.user.homeFacility;
+    const source = readArchiveSource(req.body || {});
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error, ...(source.code && { code: source.code }) });
+    }
+
+    res.json({
+      archive: {
+        filename: source.filename,
+        createdAt: source.metadata?.createdAt || null,
+        facilityId: source.metadata?.facilityId || null,
+        facilityName: source.metadata?.facilityName || null,
+      },
+      sections: SECTIONS,
+      diff: diffArchive(source.state, loadState(facilityId)),
+    });
+  } catch (error) {
+    console.error("[Archive Diff] Error:", error);
+    res.status(500).json({ error: "Failed to compare archive" });
+  }
+});
+
+// Bring back chosen sections or items of an archive
+// ({ filename | data, sections?: [...], items?: [{ section, id }], confirmed? })
+router.post("/restore-selected", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  try {
+    const facilityId = req.user.currentFacility || req.user.homeFacility;
+    const source = readArchiveSource(req.body || {});
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error, ...(source.code && { code: source.code }) });
+    }
+
+    const { selection, error } = validateSelection(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const sourceFacilityId = source.metadata?.facilityId;
+    const sourceFacilityName = source.metadata?.facilityName || "Unknown Facility";
+    if (sourceFacilityId && sourceFacilityId !== facilityId && !req.body.confirmed) {
+      const targetFacilityName = getFacility(facilityId)?.name || "Current Facility";
+      return res.status(409).json({
+        error: "Cross-facility restore requires confirmation",
+        warning: {
+          type: "cross-facility",
+          sourceFacilityId,
+          sourceFacilityName,
+          targetFacilityId: facilityId,
+          targetFacilityName,
+          message: `This archive is from "${sourceFacilityName}" (${sourceFacilityId}). Are you sure you want to restore from it to your current facility?`,
+        },
+        requiresConfirmation: true,
+      });
+    }
+
+    const state = loadState(facilityId);
+    const { restored, skipped } = restoreSelected(state, source.state, selection);
+
+    if (restored.length > 0) {
+      saveState(state, facilityId);
+      broadcastStateChange("archive", "restore", { count: restored.length }, facilityId);
+      restored.forEach((item) => {
+        addHistoryEntry("ARCHIVE_ITEM_RESTORED", {
+          section: item.section,
+          entityId: item.id,
+          label: item.label,
+          change: item.change,
+          ...(item.location && { location: item.location }),
+          ...(item.newId && { newId: item.newId }),
+          ...(item.fields && { fields: item.fields }),
+          ...(item.restoredTrailers && { restoredTrailers: item.restoredTrailers }),
+          archive: source.filename,
+          archiveCreatedAt: source.metadata?.createdAt || null,
+          sourceFacilityId: sourceFacilityId || null,
+        }, req.user, facilityId);
+      });
+    }
+
+    res.json({ success: true, restored, skipped });
+  } catch (error) {
+    console.error("[Selective Restore] Error:", error);
+    res.status(500).json({ error: "Failed to restore from archive" });
+  }
+});
+
 // Delete archive file (protected, admin only)
 router.delete("/:filename", requireAuth, requireRole("admin"), (req, res) => {
   try {
     // Decode URL-encoded filename (Express doesn't auto-decode path params with special chars)
     const filename = decodeURIComponent(req.params.filename);
     // Sanitize filename to prevent directory traversal
-    if (!filename.match(/^([\w\-])+\.json$/)) {
+    if (!isArchiveName(filename)) {
       return res.status(400).json({ error: "Invalid filename" });
     }
 
     // Search recursively in archives directory
-    const archivesDir = path.join(DATA_DIR, "archives");
-    let filePath = null;
-
-    function findFile(dir) {
-      if (!fs.existsSync(dir)) return;
-
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          const result = findFile(fullPath);
-          if (result) return result;
-        } else if (entry.name === filename) {
-          return fullPath;
-        }
-      }
-      return null;
-    }
-
-    filePath = findFile(archivesDir);
-
+    const filePath = findArchive(filename);
     if (!filePath) {
       return res.status(404).json({ error: "File not found" });
     }
 
-    fs.unlinkSync(filePath);
-
-    // Clean up empty parent directories (month -> year -> facility)
-    // Stop at the archives directory level
-    let currentDir = path.dirname(filePath);
-    let archivesBaseDir = path.join(DATA_DIR, "archives");
-
-    while (currentDir !== archivesBaseDir && currentDir.startsWith(archivesBaseDir)) {
-      try {
-        const contents = fs.readdirSync(currentDir);
-        if (contents.length === 0) {
-          fs.rmdirSync(currentDir);
-          currentDir = path.dirname(currentDir);
-        } else {
-          break; // Directory not empty, stop cleanup
-        }
-      } catch (e) {
-        break; // Error reading directory, stop cleanup
-      }
-    }
+    // Removes its checksum and empty month/year/facility folders too
+    deleteArchive(filePath);
 
     res.json({ success: true, message: "Archive deleted successfully" });
   } catch (error) {
@@ -0,0 +1,51 @@
+/**
+ * Door assignment rule routes
+ * GET /assignment-rules, PUT /assignment-rules
+ *
+ * Rules the server uses to pick the next queued trailer when a door frees
+ * up (see assignment.js). Saving the rules fills any free door that now has
+ * a waiting trailer.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
+const { getAssignmentRules, updateAssignmentRules, assignFreeDoors, logAssignments } = require("../assignment");
+
+// Current rules
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  res.json({ rules: getAssignmentRules(state) });
+});
+
+// Change rules ({ enabled?, order?, preferences? })
+router.put("/", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+
+  const { rules, error } = updateAssignmentRules(state, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const autoAssigned = assignFreeDoors(state);
+
+  saveState(state, facilityId);
+  broadcastStateChange("assignment", "update", {}, facilityId);
+
+  addHistoryEntry("ASSIGNMENT_RULES_UPDATED", {
+    enabled: rules.enabled,
+    order: rules.order,
+    preferences: rules.preferences.length,
+    autoAssignedCount: autoAssigned.length,
+  }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
+
+  res.json({ success: true, rules, autoAssigned });
+});
+
+module.exports = router;
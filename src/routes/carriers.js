@@ -1,18 +1,28 @@
 /**
  * Carrier routes
- * GET /carriers, POST /carriers, PUT /carriers/:id/favorite, POST /carriers/:id/use, DELETE /carriers/:id
+ * GET /carriers, POST /carriers, PUT /carriers/:id, PUT /carriers/:id/favorite,
+ * POST /carriers/:id/use, POST /carriers/merge, DELETE /carriers/:id
  *
- * Manages the carrier registry with favorite status and usage tracking.
- * Carriers are auto-created when new trailer carriers were encountered.
+ * Manages the carrier registry: master data (SCAC, DOT number, contacts,
+ * insurance expiry, notes), the active/blocked flag, favorite status and
+ * usage tracking (see carriers.js). Carriers are auto-created when new
+ * trailer carriers were encountered; merge folds duplicates into one.
  */
 
 const express = require("express");
 const router = express.Router();
-const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { broadcastStateChange } = require("../sse");
 const { loadState, saveState, addHistoryEntry } = require("../state");
-const { sanitizeInput } = require("../utils");
+const {
+  validateCarrier,
+  createCarrier,
+  renameCarrierReferences,
+  mergeCarriers,
+} = require("../carriers");
+
+// Fields recorded in history when a carrier changes
+const TRACKED_FIELDS = ["name", "mcNumber", "scac", "dotNumber", "insuranceExpiry", "status", "blockedReason"];
 
 // Get all carriers (requires authentication)
 router.get("/", requireAuth, (req, res) => {
@@ -21,35 +31,115 @@ router.get("/", requireAuth, (req, res) => {
   res.json({ carriers: state.carriers || [] });
 });
 
-// Add/update carrier
-router.post("/", requireAuth, requireRole("user"), (req, res) => {
-  const { name, mcNumber, favorite = false } = req.body;
+// Add a carrier
+// Body: { name, mcNumber?, scac?, dotNumber?, contacts?, insuranceExpiry?, notes?, status?, blockedReason?, favorite? }
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
+  const state = loadState(facilityId);
 
-  if (!name) {
-    return res.status(400).json({ error: "Carrier name is required" });
+  const { fields, error, ...conflict } = validateCarrier(state, req.body);
+  if (error) {
+    return res.status(conflict.code === "CARRIER_EXISTS" ? 409 : 400).json({ error, ...conflict });
   }
 
+  const carrier = createCarrier(fields);
+  state.carriers.push(carrier);
+  saveState(state, facilityId);
+
+  broadcastStateChange("carrier", "create", { carrierId: carrier.id }, facilityId);
+
+  addHistoryEntry("CARRIER_CREATED", {
+    carrierId: carrier.id,
+    carrierName: carrier.name,
+    ...(carrier.status === "blocked" && { status: carrier.status, blockedReason: carrier.blockedReason }),
+  }, req.user, facilityId);
+
+  res.json({ success: true, carrier });
+});
+
+// Merge duplicate carriers into one
+// Body: { targetId, sourceIds: [] } - trailers and appointments of the sources take the target's name
+router.post("/merge", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user?.currentFacility || req.user?.homeFacility;
+  const { targetId, sourceIds } = req.body;
   const state = loadState(facilityId);
 
-  const carrier = {
-    id: uuidv4(),
-    name: sanitizeInput(name),
-    mcNumber: mcNumber ? sanitizeInput(mcNumber) : "",
-    favorite,
-    createdAt: new Date().toISOString(),
-  };
+  if (!targetId || !Array.isArray(sourceIds) || sourceIds.length === 0) {
+    return res.status(400).json({ error: "targetId and sourceIds are required" });
+  }
+  if (sourceIds.includes(targetId)) {
+    return res.status(400).json({ error: "Can't merge a carrier into itself" });
+  }
+
+  const target = state.carriers.find((c) => c.id === targetId);
+  const sources = [...new Set(sourceIds)].map((id) => state.carriers.find((c) => c.id === id));
+  if (!target || sources.some((c) => !c)) {
+    return res.status(404).json({ error: "Carrier not found" });
+  }
+
+  const result = mergeCarriers(state, target, sources);
+  saveState(state, facilityId);
+
+  broadcastStateChange("carrier", "merge", { carrierId: target.id }, facilityId);
+
+  addHistoryEntry("CARRIERS_MERGED", {
+    carrierId: target.id,
+    carrierName: target.name,
+    mergedCarriers: sources.map((c) => c.name),
+    ...result,
+  }, req.user, facilityId);
+
+  res.json({ success: true, carrier: target, ...result });
+});
+
+// Update carrier details (same fields as POST; renaming also renames the carrier's trailers)
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user?.currentFacility || req.user?.homeFacility;
+  const state = loadState(facilityId);
+
+  const carrier = state.carriers.find((c) => c.id === req.params.id);
+  if (!carrier) {
+    return res.status(404).json({ error: "Carrier not found" });
+  }
+
+  const { fields, error, ...conflict } = validateCarrier(state, req.body, carrier);
+  if (error) {
+    return res.status(conflict.code === "CARRIER_EXISTS" ? 409 : 400).json({ error, ...conflict });
+  }
+
+  const changes = {};
+  for (const key of TRACKED_FIELDS) {
+    if (fields[key] !== undefined && (fields[key] || "") !== (carrier[key] || "")) {
+      changes[key] = { from: carrier[key] || null, to: fields[key] || null };
+    }
+  }
+
+  const previousName = carrier.name;
+  Object.assign(carrier, fields, { updatedAt: new Date().toISOString() });
+  // A new spelling of the name carries over to trailers and bookings
+  const renamed = changes.name
+    ? renameCarrierReferences(state, [previousName], carrier)
+    : null;
 
-  state.carriers.push(carrier);
   saveState(state, facilityId);
 
-  broadcastStateChange("carrier", "create", { carrier }, facilityId);
+  broadcastStateChange("carrier", "update", { carrierId: carrier.id }, facilityId);
+
+  if (Object.keys(changes).length > 0) {
+    addHistoryEntry(changes.status?.to === "blocked" ? "CARRIER_BLOCKED" : "CARRIER_UPDATED", {
+      carrierId: carrier.id,
+      carrierName: carrier.name,
+      changes,
+      ...(carrier.status === "blocked" && { blockedReason: carrier.blockedReason }),
+      ...(renamed && { trailersRenamed: renamed.trailersRenamed }),
+    }, req.user, facilityId);
+  }
 
   res.json({ success: true, carrier });
 });
 
 // Update carrier favorite status
-router.put("/:id/favorite", requireAuth, requireRole("user"), (req, res) => {
+router.put("/:id/favorite", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
   const { favorite } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
@@ -63,13 +153,13 @@ router.put("/:id/favorite", requireAuth, requireRole("user"), (req, res) => {
   carrier.favorite = favorite;
   saveState(state, facilityId);
 
-  broadcastStateChange("carrier", "update", { carrier }, facilityId);
+  broadcastStateChange("carrier", "update", { carrierId: carrier.id }, facilityId);
 
   res.json({ success: true, carrier });
 });
 
 // Increment carrier usage count
-router.post("/:id/use", requireAuth, requireRole("user"), (req, res) => {
+router.post("/:id/use", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -82,13 +172,13 @@ router.post("/:id/use", requireAuth, requireRole("user"), (req, res) => {
   carrier.usageCount = (carrier.usageCount || 0) + 1;
   saveState(state, facilityId);
 
-  broadcastStateChange("carrier", "update", { carrier }, facilityId);
+  broadcastStateChange("carrier", "update", { carrierId: carrier.id }, facilityId);
 
   res.json({ success: true, carrier });
 });
 
 // Delete carrier
-router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -104,13 +194,13 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
     state.trailers.some((t) => t.carrier === carrier.name) ||
     state.yardTrailers.some((t) => t.carrier === carrier.name);
   if (inUse) {
-    return res.status(400).json({ error: "Carrier is assigned to trailers" });
+    return res.status(400).json({ error: "Carrier is assigned to trailers - merge it into another carrier instead" });
   }
 
   state.carriers.splice(carrierIndex, 1);
   saveState(state, facilityId);
 
-  broadcastStateChange("carrier", "delete", { carrierId: id, carrier }, facilityId);
+  broadcastStateChange("carrier", "delete", { carrierId: id }, facilityId);
 
   addHistoryEntry("CARRIER_DELETED", {
     carrierId: id,
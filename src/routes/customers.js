@@ -0,0 +1,109 @@
+/**
+ * Customer routes
+ * GET /customers, POST /customers, PUT /customers/:id, DELETE /customers/:id
+ *
+ * Customer master data: aliases (other spellings found in trailer.customer),
+ * contacts and dwell SLAs per direction (see customers.js). An SLA replaces
+ * the facility's dwell policy violation threshold (see dwell.js).
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { broadcastStateChange } = require("../sse");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { validateCustomer, createCustomer } = require("../customers");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+function validationError(res, { error, ...details }) {
+  return res.status(details.code === "CUSTOMER_EXISTS" ? 409 : 400).json({ error, ...details });
+}
+
+// List customers
+router.get("/", requireAuth, (req, res) => {
+  const state = loadState(getFacilityId(req));
+  res.json({ customers: state.customers || [] });
+});
+
+// Add a customer
+// Body: { name, aliases?, contacts?, sla?: { inboundMinutes, outboundMinutes }, notes? }
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const result = validateCustomer(state, req.body);
+  if (result.error) return validationError(res, result);
+
+  const customer = createCustomer(result.fields);
+  if (!state.customers) state.customers = [];
+  state.customers.push(customer);
+  saveState(state, facilityId);
+
+  broadcastStateChange("customer", "create", { customerId: customer.id }, facilityId);
+
+  addHistoryEntry("CUSTOMER_CREATED", {
+    customerId: customer.id,
+    customer: customer.name,
+    sla: customer.sla,
+  }, req.user, facilityId);
+
+  res.json({ success: true, customer });
+});
+
+// Update a customer (same fields; sla fields not given keep their value)
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const customer = (state.customers || []).find((c) => c.id === req.params.id);
+  if (!customer) {
+    return res.status(404).json({ error: "Customer not found" });
+  }
+
+  const result = validateCustomer(state, req.body, customer);
+  if (result.error) return validationError(res, result);
+
+  const previous = { name: customer.name, sla: customer.sla };
+  Object.assign(customer, result.fields, { updatedAt: new Date().toISOString() });
+  saveState(state, facilityId);
+
+  broadcastStateChange("customer", "update", { customerId: customer.id }, facilityId);
+
+  addHistoryEntry("CUSTOMER_UPDATED", {
+    customerId: customer.id,
+    customer: customer.name,
+    ...(previous.name !== customer.name && { previousName: previous.name }),
+    ...(JSON.stringify(previous.sla) !== JSON.stringify(customer.sla) && { previousSla: previous.sla, sla: customer.sla }),
+  }, req.user, facilityId);
+
+  res.json({ success: true, customer });
+});
+
+// Delete a customer (trailers keep their customer text; the dwell policy applies again)
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const customer = (state.customers || []).find((c) => c.id === req.params.id);
+  if (!customer) {
+    return res.status(404).json({ error: "Customer not found" });
+  }
+
+  state.customers = state.customers.filter((c) => c.id !== customer.id);
+  saveState(state, facilityId);
+
+  broadcastStateChange("customer", "delete", { customerId: customer.id }, facilityId);
+
+  addHistoryEntry("CUSTOMER_DELETED", {
+    customerId: customer.id,
+    customer: customer.name,
+  }, req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -10,12 +10,14 @@ const express = require("express");
 const router = express.Router();
 const { exec } = require("child_process");
 const path = require("path");
-const { requireAuth } = require("../middleware");
+const { requireAuth, lockFacility } = require("../middleware");
 const { isBootstrapAdmin, findUserById, findGlobalUserById } = require("../users");
 const { MULTI_FACILITY_MODE } = require("../config");
+const { loadState, saveState } = require("../state");
+const { broadcastStateChange } = require("../sse");
 
 // POST /api/demo/generate - Generate demo data (bootstrap admin only)
-router.post("/generate", requireAuth, async (req, res) => {
+router.post("/generate", requireAuth, lockFacility, async (req, res) => {
   try {
     // Get the requesting user from the auth token
     const userId = req.user?.userId;
@@ -66,6 +68,11 @@ router.post("/generate", requireAuth, async (req, res) => {
 
       console.log("Demo data output:", stdout);
 
+      // The script writes state.json directly - re-save so the revision moves
+      // on, and tell open boards to reload
+      saveState(loadState(facilityId), facilityId, { replace: true });
+      broadcastStateChange("state", "replace", {}, facilityId);
+
       res.json({
         success: true,
         message: "Demo data generated successfully",
@@ -0,0 +1,147 @@
+/**
+ * Door group routes
+ * GET /door-groups, POST /door-groups, PUT /door-groups/:id, DELETE /door-groups/:id
+ *
+ * Named sets of doors ("Doors 10-20") that appointments can be booked
+ * against, and trailers can be queued for, instead of a single door.
+ * A group's capacity is its door count.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { sanitizeInput } = require("../utils");
+const { broadcastStateChange } = require("../sse");
+const { ACTIVE_STATUSES } = require("../appointments");
+const { assignFreeDoors, logAssignments } = require("../assignment");
+
+/**
+ * Resolve door IDs or door numbers to door IDs
+ * @returns {object} - { doorIds } or { error }
+ */
+function resolveDoors(state, doors) {
+  if (!Array.isArray(doors) || doors.length === 0) {
+    return { error: "doorIds must be a non-empty array" };
+  }
+  const doorIds = [];
+  for (const ref of doors) {
+    const door = state.doors.find((d) => d.id === ref || d.number === parseInt(ref));
+    if (!door) return { error: `Door not found: ${ref}` };
+    if (!doorIds.includes(door.id)) doorIds.push(door.id);
+  }
+  return { doorIds };
+}
+
+// List door groups
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  res.json({ doorGroups: state.doorGroups || [] });
+});
+
+// Create a door group ({ name, doorIds } - door IDs or numbers)
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  const { name } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: "Name is required" });
+  }
+  const { doorIds, error } = resolveDoors(state, req.body.doorIds);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const group = { id: uuidv4(), name: sanitizeInput(String(name).trim()), doorIds };
+  state.doorGroups.push(group);
+  saveState(state, facilityId);
+  broadcastStateChange("door-group", "create", { doorGroupId: group.id }, facilityId);
+
+  addHistoryEntry("DOOR_GROUP_CREATED", { name: group.name, doorCount: doorIds.length }, req.user, facilityId);
+
+  res.json({ success: true, doorGroup: group });
+});
+
+// Rename a group or change its doors
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  const group = state.doorGroups.find((g) => g.id === req.params.id);
+
+  if (!group) {
+    return res.status(404).json({ error: "Door group not found" });
+  }
+
+  if (req.body.name !== undefined) {
+    if (!String(req.body.name).trim()) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+    group.name = sanitizeInput(String(req.body.name).trim());
+  }
+  if (req.body.doorIds !== undefined) {
+    const { doorIds, error } = resolveDoors(state, req.body.doorIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    group.doorIds = doorIds;
+  }
+
+  for (const trailer of state.queuedTrailers || []) {
+    if (trailer.targetDoorGroupId === group.id) trailer.targetDoorGroupName = group.name;
+  }
+  // Trailers queued for the group may fit a door that was just added
+  const autoAssigned = assignFreeDoors(state, group.doorIds);
+
+  saveState(state, facilityId);
+  broadcastStateChange("door-group", "update", { doorGroupId: group.id }, facilityId);
+
+  addHistoryEntry("DOOR_GROUP_UPDATED", { name: group.name, doorCount: group.doorIds.length }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
+
+  res.json({ success: true, doorGroup: group });
+});
+
+// Delete a group (refused while active appointments are booked or trailers are queued against it)
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  const group = state.doorGroups.find((g) => g.id === req.params.id);
+
+  if (!group) {
+    return res.status(404).json({ error: "Door group not found" });
+  }
+
+  const booked = (state.appointments || []).filter(
+    (a) => a.doorGroupId === group.id && ACTIVE_STATUSES.includes(a.status),
+  );
+  if (booked.length > 0) {
+    return res.status(409).json({
+      error: `${booked.length} appointment(s) are booked on ${group.name} - reschedule or cancel them first`,
+      appointmentIds: booked.map((a) => a.id),
+    });
+  }
+  const queued = (state.queuedTrailers || []).filter((t) => t.targetDoorGroupId === group.id);
+  if (queued.length > 0) {
+    return res.status(409).json({
+      error: `${queued.length} trailer(s) are queued for ${group.name} - reassign them first`,
+      trailerIds: queued.map((t) => t.id),
+    });
+  }
+
+  state.doorGroups = state.doorGroups.filter((g) => g.id !== group.id);
+  if (state.schedule?.windows) {
+    state.schedule.windows = state.schedule.windows.filter((w) => w.doorGroupId !== group.id);
+  }
+  saveState(state, facilityId);
+  broadcastStateChange("door-group", "delete", { doorGroupId: group.id }, facilityId);
+
+  addHistoryEntry("DOOR_GROUP_DELETED", { name: group.name }, req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -1,30 +1,75 @@
 /**
  * Door routes
  * POST /doors, PUT /doors/:id, DELETE /doors/:id, POST /doors/reorder, POST /doors/:id/assign-next
+ * GET /doors/recommend
  *
  * Manages dock door configuration including adding/removing doors,
- * reordering layout, marking in/out of service, and auto-assignment
- * of queued trailers to available doors.
+ * reordering layout, marking in/out of service, auto-assignment
+ * of queued trailers to available doors (see assignment.js), and
+ * door suggestions for a trailer (see recommendations.js).
+ * A door held out of service by a maintenance window (see maintenance.js)
+ * can't be put back in service here - end the window instead.
  */
 
 /**
  * Door routes
  * POST /doors, PUT /doors/:id, DELETE /doors/:id, POST /doors/reorder, POST /doors/:id/assign-next
+ * GET /doors/recommend
  *
  * Manages dock door configuration including adding/removing doors,
- * reordering layout, marking in/out of service, and auto-assignment
- * of queued trailers to available doors.
+ * reordering layout, marking in/out of service, auto-assignment
+ * of queued trailers to available doors (see assignment.js), and
+ * door suggestions for a trailer (see recommendations.js).
+ * A door held out of service by a maintenance window (see maintenance.js)
+ * can't be put back in service here - end the window instead.
  */
 
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
-const { loadState, saveState, addHistoryEntry } = require("../state");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { loadState, saveState, loadSettings, addHistoryEntry } = require("../state");
 const { sanitizeInput } = require("../utils");
 const { broadcastStateChange } = require("../sse");
+const { moveToTrash } = require("../trash");
+const { OPEN_STATUSES, activeWindowForDoor, closeDoorWindows, maintenanceDetails } = require("../maintenance");
+const { assignNextToDoor, logAssignments, DOOR_DIRECTIONS } = require("../assignment");
+const { mergeFields, DOOR_ATTRIBUTES } = require("../constraints");
+const { findTrailer, rankDoors, loadPlacementHistory } = require("../recommendations");
+
+// Free doors ranked for a trailer (?trailerId=&limit=5&days=90)
+// Learns from the last `days` of door placements (not before the analytics start date)
+router.get("/recommend", requireAuth, (req, res) => {
+  const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
+  const { trailerId } = req.query;
+  if (!trailerId) {
+    return res.status(400).json({ error: "trailerId is required" });
+  }
+
+  const state = loadState(facilityId);
+  const trailer = findTrailer(state, trailerId);
+  if (!trailer) {
+    return res.status(404).json({ error: "Trailer not found" });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
+  const days = Math.max(parseInt(req.query.days) || 90, 1);
+  const settings = loadSettings(facilityId);
+  let from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  if (settings.analyticsStartDate && settings.analyticsStartDate > from) {
+    from = new Date(settings.analyticsStartDate).toISOString();
+  }
+
+  const history = loadPlacementHistory(facilityId, from);
+  res.json({
+    trailerId,
+    basedOn: { placements: history.length, from },
+    recommendations: rankDoors(state, trailer, history, limit),
+  });
+});
+
 // Reorder doors (customize layout)
-router.post("/reorder", requireAuth, requireRole("user"), (req, res) => {
+router.post("/reorder", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { doorIds } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
   const state = loadState(facilityId);
@@ -45,15 +90,15 @@ router.post("/reorder", requireAuth, requireRole("user"), (req, res) => {
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("door", "update", { doors: state.doors }, facilityId);
+  broadcastStateChange("door", "reorder", {}, facilityId);
 
   res.json({ success: true, doors: state.doors });
 });
 
 // Update door (in/out of service, type, etc.)
-router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
-  const { inService, type, number, labelText, order } = req.body;
+  const { inService, type, number, labelText, order, direction, attributes } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
   const state = loadState(facilityId);
 
@@ -62,9 +107,21 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
     return res.status(404).json({ error: "Door not found" });
   }
 
+  const maintenance = activeWindowForDoor(state, door.id);
+  if (inService === true && maintenance) {
+    return res.status(409).json({
+      error: `Door ${door.number} is under maintenance until ${maintenance.end} - end the maintenance window instead`,
+      code: "DOOR_MAINTENANCE",
+      window: maintenance,
+    });
+  }
+
   if (number !== undefined) {
     const newNum = number === null || number === "" ? null : parseInt(number);
     door.number = newNum;
+    (state.maintenanceWindows || [])
+      .filter((w) => w.doorId === door.id && OPEN_STATUSES.includes(w.status))
+      .forEach((w) => { w.doorNumber = newNum; });
   }
 
   if (inService !== undefined) door.inService = inService;
@@ -72,11 +129,28 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
   if (labelText !== undefined)
     door.labelText = labelText ? sanitizeInput(labelText) : null;
   if (order !== undefined) door.order = order;
+  if (direction !== undefined) {
+    if (direction && !DOOR_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: "direction must be inbound, outbound or null (both)" });
+    }
+    door.direction = direction || null;
+  }
+  if (attributes !== undefined) {
+    const merged = mergeFields(door.attributes, attributes, DOOR_ATTRIBUTES);
+    if (merged.error) {
+      return res.status(400).json({ error: `attributes: ${merged.error}` });
+    }
+    if (merged.values) door.attributes = merged.values;
+    else delete door.attributes;
+  }
+
+  // A door back in service (or now taking this direction) can take a waiting trailer
+  const autoAssigned = assignNextToDoor(state, door.id);
 
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("door", "update", { doors: state.doors }, facilityId);
+  broadcastStateChange("door", "update", { doorId: door.id }, facilityId);
 
   addHistoryEntry("DOOR_UPDATED", {
     doorId: id,
@@ -84,13 +158,20 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
     labelText: door.labelText,
     inService: door.inService,
     type: door.type,
+    direction: door.direction,
+    attributes: door.attributes,
+    ...(autoAssigned && {
+      autoAssignedToDoor: autoAssigned.doorNumber,
+      autoAssignedCarrier: autoAssigned.carrier,
+    }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
-  res.json({ success: true, door });
+  res.json({ success: true, door, autoAssigned });
 });
 
 // Create new door
-router.post("/", requireAuth, requireRole("user"), (req, res) => {
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { number, type = "normal", labelText } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
   const state = loadState(facilityId);
@@ -119,7 +200,7 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("door", "update", { doors: state.doors }, facilityId);
+  broadcastStateChange("door", "create", { doorId: newDoor.id }, facilityId);
 
   addHistoryEntry("DOOR_CREATED", {
     doorId: newDoor.id,
@@ -132,7 +213,7 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
 });
 
 // Delete door
-router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
   const state = loadState(facilityId);
@@ -176,17 +257,28 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
     (t) => t.targetDoorId !== door.id
   );
 
+  // Its maintenance windows go with it (the door is back in service in the trash copy)
+  const closedWindows = closeDoorWindows(state, door.id);
+
   state.doors.splice(doorIndex, 1);
+  const trashItem = moveToTrash(state, "door", { ...door }, req.user);
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("door", "update", { doors: state.doors }, facilityId);
+  broadcastStateChange("door", "delete", { doorId: id }, facilityId);
 
   // Add history entry for door deletion
   addHistoryEntry("DOOR_DELETED", {
     doorId: id,
     doorNumber: door.number,
+    trashId: trashItem.id,
   }, req.user, facilityId);
+  closedWindows.forEach((w) => {
+    addHistoryEntry(w.status === "completed" ? "DOOR_MAINTENANCE_ENDED" : "DOOR_MAINTENANCE_CANCELLED", {
+      ...maintenanceDetails(w),
+      note: "Door deleted",
+    }, req.user, facilityId);
+  });
 
   // Add history entries for moved trailers
   if (door.trailerId) {
@@ -216,11 +308,12 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
     }, req.user, facilityId);
   }
 
-  res.json({ success: true });
+  res.json({ success: true, trashId: trashItem.id });
 });
 
 // Assign next queued trailer to a door (called when door becomes available)
-router.post("/:id/assign-next", requireAuth, requireRole("user"), (req, res) => {
+// Picks by the facility's assignment rules; works even when automatic assignment is off
+router.post("/:id/assign-next", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { id } = req.params;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility || 'default';
   const state = loadState(facilityId);
@@ -229,17 +322,6 @@ router.post("/:id/assign-next", requireAuth, requireRole("user"), (req, res) =>
     return res.json({ success: false, message: "No trailers in queue" });
   }
 
-  // Find oldest queued trailer for this door
-  const queuedIndex = state.queuedTrailers.findIndex(
-    (t) => t.targetDoorId === id,
-  );
-  if (queuedIndex === -1) {
-    return res.json({
-      success: false,
-      message: "No trailers queued for this door",
-    });
-  }
-
   const door = state.doors.find((d) => d.id === id);
   if (!door) {
     return res.status(404).json({ error: "Door not found" });
@@ -249,40 +331,24 @@ router.post("/:id/assign-next", requireAuth, requireRole("user"), (req, res) =>
     return res.status(400).json({ error: "Door is still occupied" });
   }
 
-  const trailer = state.queuedTrailers[queuedIndex];
-
-  // Move trailer to door
-  trailer.doorId = door.id;
-  trailer.doorNumber = door.number;
-  trailer.location = null;
-  trailer.targetDoorId = null;
-  trailer.targetDoorNumber = null;
-  trailer.queuedAt = null;
-
-  door.trailerId = trailer.id;
-  door.status = trailer.status;
-
-  // Remove from queue
-  state.queuedTrailers.splice(queuedIndex, 1);
+  const assigned = assignNextToDoor(state, door.id, { force: true });
+  if (!assigned) {
+    return res.json({
+      success: false,
+      message: "No trailers queued for this door",
+    });
+  }
 
-  // Add to trailers array
-  state.trailers.push(trailer);
+  const trailer = state.trailers.find((t) => t.id === assigned.trailerId);
 
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("door", "update", { doors: state.doors }, facilityId);
-
-  addHistoryEntry("TRAILER_ASSIGNED_FROM_QUEUE", {
-    trailerId: trailer.id,
-    trailerNumber: trailer.number,
-    carrier: trailer.carrier,
-    customer: trailer.customer,
-    toDoor: door.number,
-    doorId: door.id,
-  }, req.user, facilityId);
+  broadcastStateChange("door", "assign-next", { doorId: door.id, trailerId: trailer.id }, facilityId);
+
+  logAssignments(assigned, req.user, facilityId);
 
-  res.json({ success: true, trailer, door });
+  res.json({ success: true, trailer, door, reason: assigned.reason });
 });
 
 module.exports = router;
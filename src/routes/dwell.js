@@ -0,0 +1,48 @@
+/**
+ * Dwell policy routes
+ * GET /dwell-policy, PUT /dwell-policy
+ *
+ * The facility's dwell thresholds (warning and violation per direction,
+ * live and drop), whether yard time counts and the display cap / reset
+ * window (see dwell.js). The board colors and the violation reports both
+ * read this policy.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
+const { getDwellPolicy, updateDwellPolicy } = require("../dwell");
+
+// Current policy (defaults filled in)
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  res.json({ policy: getDwellPolicy(state) });
+});
+
+// Change the policy ({ thresholds?, countYardTime?, maxDwellHours?, resetWindowHours? })
+router.put("/", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+  const previous = getDwellPolicy(state);
+
+  const { policy, error } = updateDwellPolicy(state, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveState(state, facilityId);
+  broadcastStateChange("dwell-policy", "update", {}, facilityId);
+
+  addHistoryEntry("DWELL_POLICY_UPDATED", {
+    previousPolicy: previous,
+    policy,
+  }, req.user, facilityId);
+
+  res.json({ success: true, policy });
+});
+
+module.exports = router;
@@ -125,9 +125,9 @@ router.get("/:id", requireAuth, requireAdmin, (req, res) => {
 // PUT /api/facilities/:id - Update facility (bootstrap admin only)
 router.put("/:id", requireAuth, requireBootstrapAdmin, (req, res) => {
   const { id } = req.params;
-  const { name, description, active } = req.body;
+  const { name, description, active, historyRetentionDays, trashRetentionDays } = req.body;
 
-  const result = updateFacility(id, { name, description, active });
+  const result = updateFacility(id, { name, description, active, historyRetentionDays, trashRetentionDays });
 
   if (!result.success) {
     return res.status(400).json({
@@ -1,42 +1,35 @@
 /**
  * History routes
- * GET /history
+ * GET /history - Search the audit log (paged, newest first)
+ * DELETE /history?before=YYYY-MM-DD - Prune old entries (admin)
+ *
+ * The log is unbounded; date filters only read the days they cover.
  */
 
 const express = require("express");
 const router = express.Router();
-const { requireAuth } = require("../middleware");
-const { loadHistory } = require("../state");
+const { requireAuth, requireRole } = require("../middleware");
+const { queryHistory, pruneHistory, addHistoryEntry } = require("../state");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 // Get history
 router.get("/", requireAuth, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { search, limit = 50, offset = 0, dateFrom, dateTo } = req.query;
-  const history = loadHistory(facilityId);
-  let entries = history.entries;
-
-  // Date filtering - handle timezone properly
-  if (dateFrom || dateTo) {
-    // Convert entry timestamp to YYYY-MM-DD in local timezone for comparison
-    const getEntryDate = (timestamp) => {
-      const d = new Date(timestamp);
-      const year = d.getFullYear();
-      const month = String(d.getMonth() + 1).padStart(2, '0');
-      const day = String(d.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
 
-    entries = entries.filter((e) => {
-      const entryDate = getEntryDate(e.timestamp);
-      if (dateFrom && entryDate < dateFrom) return false;
-      if (dateTo && entryDate > dateTo) return false;
-      return true;
-    });
+  if ((dateFrom && !DATE_PATTERN.test(dateFrom)) || (dateTo && !DATE_PATTERN.test(dateTo))) {
+    return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
   }
 
+  // Date filtering - dates are whole days in the server's local timezone
+  const from = dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : undefined;
+  const to = dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : undefined;
+
+  let filter;
   if (search) {
     const searchLower = search.toLowerCase();
-    entries = entries.filter((e) => {
+    filter = (e) => {
       // Check basic fields
       const basicMatch =
         (e.trailerId && e.trailerId.toLowerCase().includes(searchLower)) ||
@@ -71,11 +64,16 @@ router.get("/", requireAuth, (req, res) => {
       }
 
       return false;
-    });
+    };
   }
 
-  const total = entries.length;
-  entries = entries.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  const { entries, total } = queryHistory(facilityId, {
+    from,
+    to,
+    filter,
+    offset: parseInt(offset),
+    limit: parseInt(limit),
+  });
 
   res.json({
     entries,
@@ -85,4 +83,25 @@ router.get("/", requireAuth, (req, res) => {
   });
 });
 
+// Prune history older than a date (admin) - for manual retention beyond the
+// automatic HISTORY_RETENTION_DAYS / facility policy
+router.delete("/", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility;
+  const { before } = req.query;
+
+  if (!before || !DATE_PATTERN.test(before)) {
+    return res.status(400).json({ error: "before is required (YYYY-MM-DD)" });
+  }
+
+  const days = Math.floor((Date.now() - new Date(`${before}T00:00:00Z`).getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 1) {
+    return res.status(400).json({ error: "before must be in the past" });
+  }
+
+  const removed = pruneHistory(facilityId, days);
+  addHistoryEntry("HISTORY_PRUNED", { before, removed }, req.user, facilityId);
+
+  res.json({ success: true, removed });
+});
+
 module.exports = router;
@@ -17,7 +17,7 @@
 
 const express = require("express");
 const router = express.Router();
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { loadState, addHistoryEntry } = require("../state");
 const { broadcastStateChange, broadcastToast } = require("../sse");
 const { getAllUsers } = require("../users");
@@ -49,7 +49,7 @@ function requireLoader(req, res, next) {
 }
 
 // POST /api/loader/door - Get door information by door number
-router.post("/door", requireAuth, requireLoader, (req, res) => {
+router.post("/door", requireAuth, requireLoader, lockFacility, (req, res) => {
   const { doorNumber } = req.body;
   const facilityId = req.user.currentFacility || req.user.homeFacility;
 
@@ -84,7 +84,7 @@ router.post("/door", requireAuth, requireLoader, (req, res) => {
 });
 
 // POST /api/loader/status - Update trailer status
-router.post("/status", requireAuth, requireLoader, (req, res) => {
+router.post("/status", requireAuth, requireLoader, lockFacility, (req, res) => {
   const { doorNumber, status, loaderName: selectedLoaderName } = req.body;
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   // Use selected loader name if admin is acting on behalf of loader, otherwise use authenticated user
@@ -143,8 +143,8 @@ router.post("/status", requireAuth, requireLoader, (req, res) => {
 
   // Broadcast state change to all connected clients
   broadcastStateChange('trailer', 'update', {
-    ...state.trailers[trailerIndex],
-    doorNumber: door.number,
+    trailerId: state.trailers[trailerIndex].id,
+    doorId: door.id,
   }, facilityId);
 
   // Broadcast toast notification to dockboard users
@@ -0,0 +1,173 @@
+/**
+ * Door maintenance routes
+ * GET /maintenance-windows, POST /maintenance-windows, PUT /maintenance-windows/:id,
+ * POST /maintenance-windows/:id/cancel
+ *
+ * Scheduled periods a door is out of service (see maintenance.js). Doors
+ * flip out of service when a window starts and back when it ends; windows
+ * on the same door may not overlap. Cancelling a window in progress ends it
+ * now and puts the door back in service.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
+const { assignNextToDoor, logAssignments } = require("../assignment");
+const {
+  OPEN_STATUSES,
+  MAINTENANCE_STATUSES,
+  validateMaintenanceWindow,
+  findOverlaps,
+  createMaintenanceWindow,
+  syncMaintenance,
+  cancelMaintenanceWindow,
+  maintenanceDetails,
+  logMaintenanceSync,
+} = require("../maintenance");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+function overlapResponse(res, overlaps) {
+  if (overlaps.length === 0) return false;
+  res.status(409).json({
+    error: `Door ${overlaps[0].doorNumber} already has maintenance from ${overlaps[0].start} to ${overlaps[0].end}`,
+    code: "MAINTENANCE_OVERLAP",
+    overlaps,
+  });
+  return true;
+}
+
+// A door going out of service keeps the trailer it holds - say so
+function trailerWarning(state, window) {
+  const door = state.doors.find((d) => d.id === window.doorId);
+  return window.status === "active" && door?.trailerId
+    ? `Door ${door.number} still has a trailer - move it out before work starts`
+    : null;
+}
+
+// List windows (?doorId=, ?status=, ?from=&to= ISO overlap, ?open=true for scheduled/active only)
+router.get("/", requireAuth, (req, res) => {
+  const state = loadState(getFacilityId(req));
+  const { doorId, status, from, to, open } = req.query;
+
+  if (status && !MAINTENANCE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MAINTENANCE_STATUSES.join(", ")}` });
+  }
+
+  const windows = (state.maintenanceWindows || []).filter((w) =>
+    (!doorId || w.doorId === doorId || w.doorNumber === parseInt(doorId)) &&
+    (!status || w.status === status) &&
+    (open !== "true" || OPEN_STATUSES.includes(w.status)) &&
+    (!from || w.end > new Date(from).toISOString()) &&
+    (!to || w.start < new Date(to).toISOString()),
+  );
+
+  res.json({ windows });
+});
+
+// Schedule a window
+// Body: { doorId (ID or number), start, end, reason, requestedBy? (defaults to the user) }
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+
+  const { fields, error } = validateMaintenanceWindow(state, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (overlapResponse(res, findOverlaps(state, fields))) return;
+
+  const window = createMaintenanceWindow(state, fields, req.user);
+  // Starting now - take the door out of service right away
+  const sync = syncMaintenance(state);
+
+  saveState(state, facilityId);
+  broadcastStateChange("maintenance", "schedule", { windowId: window.id, doorId: window.doorId }, facilityId);
+
+  addHistoryEntry("DOOR_MAINTENANCE_SCHEDULED", maintenanceDetails(window), req.user, facilityId);
+  logMaintenanceSync(sync, req.user, facilityId);
+
+  res.json({ success: true, window, warning: trailerWarning(state, window) });
+});
+
+// Change a window (same fields; a window in progress can only change its end and reason)
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const window = (state.maintenanceWindows || []).find((w) => w.id === req.params.id);
+
+  if (!window) {
+    return res.status(404).json({ error: "Maintenance window not found" });
+  }
+  if (!OPEN_STATUSES.includes(window.status)) {
+    return res.status(400).json({ error: `Maintenance window is ${window.status}` });
+  }
+
+  const { fields, error } = validateMaintenanceWindow(state, req.body, window);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (overlapResponse(res, findOverlaps(state, fields, window.id))) return;
+
+  const previous = { start: window.start, end: window.end };
+  Object.assign(window, fields, { updatedAt: new Date().toISOString() });
+  state.maintenanceWindows.sort((a, b) => a.start.localeCompare(b.start));
+  const sync = syncMaintenance(state);
+
+  saveState(state, facilityId);
+  broadcastStateChange("maintenance", "update", { windowId: window.id, doorId: window.doorId }, facilityId);
+
+  addHistoryEntry("DOOR_MAINTENANCE_UPDATED", {
+    ...maintenanceDetails(window),
+    previousStart: previous.start,
+    previousEnd: previous.end,
+  }, req.user, facilityId);
+  logMaintenanceSync(sync, req.user, facilityId);
+
+  res.json({
+    success: true,
+    window,
+    warning: trailerWarning(state, window),
+    autoAssigned: sync.autoAssigned[0] || null,
+  });
+});
+
+// Cancel a scheduled window, or end one in progress now
+router.post("/:id/cancel", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = getFacilityId(req);
+  const state = loadState(facilityId);
+  const window = (state.maintenanceWindows || []).find((w) => w.id === req.params.id);
+
+  if (!window) {
+    return res.status(404).json({ error: "Maintenance window not found" });
+  }
+  if (!OPEN_STATUSES.includes(window.status)) {
+    return res.status(400).json({ error: `Maintenance window is already ${window.status}` });
+  }
+
+  const outcome = cancelMaintenanceWindow(state, window);
+  // Door back in service takes the next waiting trailer
+  const autoAssigned = outcome === "ended" ? assignNextToDoor(state, window.doorId) : null;
+
+  saveState(state, facilityId);
+  broadcastStateChange("maintenance", outcome === "ended" ? "end" : "cancel", { windowId: window.id, doorId: window.doorId }, facilityId);
+
+  addHistoryEntry(outcome === "ended" ? "DOOR_MAINTENANCE_ENDED" : "DOOR_MAINTENANCE_CANCELLED", {
+    ...maintenanceDetails(window),
+    ...(outcome === "ended" && { endedEarly: true }),
+    ...(autoAssigned && {
+      autoAssignedToDoor: autoAssigned.doorNumber,
+      autoAssignedCarrier: autoAssigned.carrier,
+    }),
+  }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
+
+  res.json({ success: true, window, outcome, autoAssigned });
+});
+
+module.exports = router;
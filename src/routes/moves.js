@@ -14,31 +14,64 @@
  * - Trailers can be found in multiple locations: state.trailers (docked),
  *   state.yardTrailers (unassigned), state.staging, state.queuedTrailers
  *
- * Auto-assignment: When a door clears, if trailers are queued for that door,
- * the oldest queued trailer is automatically assigned (FCFS).
+ * Auto-assignment: When a door clears, the next queued trailer for it is
+ * moved in by the facility's assignment rules (see assignment.js).
+ *
+ * Placement constraints: doors and yard slots must offer what the trailer
+ * requires (reefer plug, hazmat approval, length, ... see constraints.js).
+ * Otherwise the move is refused with PLACEMENT_CONSTRAINT; admins can send
+ * overrideConstraints: true, which is recorded in the move's history entry.
+ * Doors under maintenance (see maintenance.js) refuse moves with DOOR_MAINTENANCE.
  */
 
 const express = require("express");
 const router = express.Router();
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { loadState, saveState, addHistoryEntry } = require("../state");
 const { resetDwellTime } = require("../analytics");
+const { getDwellPolicy, dwellStartTime } = require("../dwell");
+const { assignNextToDoor, logAssignments } = require("../assignment");
+const { checkPlacement } = require("../constraints");
+const { maintenanceConflict } = require("../maintenance");
 const { broadcastStateChange } = require("../sse");
 
+/**
+ * Check a door/slot against the trailer's requirements
+ * @returns {Array|null} - Violations an admin overrode ([] when it fits), or null if the move was refused (response sent)
+ */
+function checkConstraints(req, res, state, target, trailer, kind) {
+  const violations = checkPlacement(target, trailer, kind);
+  if (violations.length === 0) return [];
+  if (req.body.overrideConstraints && req.user.role === "admin") return violations;
+
+  res.status(409).json({
+    error: violations.map((v) => v.message).join("; "),
+    code: "PLACEMENT_CONSTRAINT",
+    violations,
+    canOverride: req.user.role === "admin",
+  });
+  return null;
+}
+
+// History fields for an admin override
+function overrideDetails(overridden) {
+  return overridden.length > 0 ? { constraintOverride: overridden.map((v) => v.message) } : {};
+}
+
 /**
  * POST /api/move-to-door
  * Move a trailer to a dock door.
  *
- * Body: { trailerId: string, doorId: string, previousDoorId?: string }
+ * Body: { trailerId: string, doorId: string, previousDoorId?: string, overrideConstraints?: boolean (admin) }
  *
  * Side effects:
  * - Removes trailer from yard/queue/staging
  * - If door occupied, moves existing trailer to yard
  * - Updates trailer.doorId and trailer.doorNumber
  * - Triggers auto-assignment if door was previously occupied
- * - Resets dwell time
+ * - Resets dwell time (coming from the yard, only if the dwell policy doesn't count yard time)
  */
-router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
+router.post("/move-to-door", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { trailerId, doorId, previousDoorId } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -71,6 +104,10 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
   }
 
   // Validate door can accept trailers
+  const maintenance = maintenanceConflict(state, door.id);
+  if (maintenance) {
+    return res.status(409).json(maintenance);
+  }
   if (door.inService === false) {
     return res.status(400).json({ error: "Door is out of service" });
   }
@@ -80,6 +117,9 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
       .json({ error: "Cannot place trailer in a blank door" });
   }
 
+  const overridden = checkConstraints(req, res, state, door, trailer, "door");
+  if (!overridden) return;
+
   // If door is occupied, move existing trailer back to unassigned yard
   if (door.trailerId) {
     const existingTrailer = state.trailers.find((t) => t.id === door.trailerId);
@@ -107,12 +147,10 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
   let previousLocation = "Yard";
   let fromDoorNum = null;
   let oldDoorId = null;
-  let oldDoorNumber = null;
 
   if (oldDoor) {
     fromDoorNum = oldDoor.number;
     oldDoorId = oldDoor.id;
-    oldDoorNumber = oldDoor.number;
     previousLocation = `Door ${oldDoor.number}`;
     oldDoor.trailerId = null;
     oldDoor.status = "empty";
@@ -121,7 +159,9 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
   // Update previous location string if trailer was queued
   if (wasQueued) {
     const targetDoor = state.doors.find((d) => d.id === oldTargetDoorId);
-    previousLocation = `Queue (was for Door ${targetDoor?.number || "?"})`;
+    previousLocation = trailer.targetDoorGroupId
+      ? `Queue (was for ${trailer.targetDoorGroupName || "door group"})`
+      : `Queue (was for Door ${targetDoor?.number || "?"})`;
   }
 
   // Clear trailer from any yard slot it's currently in
@@ -158,6 +198,8 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
   // Clear queue-specific fields
   delete trailer.targetDoorId;
   delete trailer.targetDoorNumber;
+  delete trailer.targetDoorGroupId;
+  delete trailer.targetDoorGroupName;
 
   // Clear staging if trailer was there
   if (state.staging && state.staging.id === trailerId) {
@@ -173,56 +215,23 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
   door.trailerId = trailerId;
   door.status = trailer.status;
 
-  // Reset dwell time for analytics
-  resetDwellTime(trailer);
+  // Reset dwell time for analytics - unless the facility counts the time it
+  // waited in the yard (door to door moves always restart it)
+  const dwellPolicy = getDwellPolicy(state);
+  const keepYardDwell = !oldDoor && dwellPolicy.countYardTime;
+  if (!keepYardDwell) resetDwellTime(trailer);
 
-  // Auto-assign: If we vacated a door and there are queued trailers for it, assign the oldest one
-  let autoAssigned = null;
-  if (oldDoorId) {
-    const queuedForDoor = state.queuedTrailers?.filter(
-      (t) => t.targetDoorId === oldDoorId,
-    );
-    if (queuedForDoor && queuedForDoor.length > 0) {
-      // Get first in queue (oldest queuedAt)
-      const nextTrailer = queuedForDoor[0];
-      state.queuedTrailers = state.queuedTrailers.filter(
-        (t) => t.id !== nextTrailer.id,
-      );
-
-      // Assign to door
-      const doorToFill = state.doors.find((d) => d.id === oldDoorId);
-      if (doorToFill) {
-        doorToFill.trailerId = nextTrailer.id;
-        doorToFill.status = nextTrailer.status || "occupied";
-      }
-
-      // Move to trailers array with door assignment
-      nextTrailer.doorId = oldDoorId;
-      nextTrailer.doorNumber = oldDoorNumber;
-      nextTrailer.location = "door";
-      delete nextTrailer.targetDoorId;
-      delete nextTrailer.targetDoorNumber;
-      state.trailers.push(nextTrailer);
-
-      autoAssigned = {
-        trailerId: nextTrailer.id,
-        carrier: nextTrailer.carrier,
-        doorNumber: oldDoorNumber,
-      };
-    }
-  }
+  // Auto-assign: if we vacated a door, fill it from the queue
+  const autoAssigned = oldDoorId ? assignNextToDoor(state, oldDoorId) : null;
 
   saveState(state, facilityId);
 
-  // Broadcast update to all clients
-  broadcastStateChange("trailer", "move", { trailer }, facilityId);
-
   // Broadcast update to all connected clients
   broadcastStateChange("trailer", "move", {
     trailerId: trailer.id,
     from: previousLocation,
     to: `door-${door.number}`,
-    doorNumber: door.number
+    doorId: door.id,
   }, facilityId);
 
   // Log the movement
@@ -236,14 +245,17 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
     doorNumber: door.number,
     status: trailer.status,
     isLive: trailer.isLive,
+    ...(keepYardDwell && { dwellStartedAt: new Date(dwellStartTime(trailer, dwellPolicy)).toISOString() }),
     previousLocation,
     fromDoorNum,
     cancelledQueue: wasQueued ? true : undefined,
+    ...overrideDetails(overridden),
     ...(autoAssigned && {
       autoAssignedToDoor: autoAssigned.doorNumber,
       autoAssignedCarrier: autoAssigned.carrier,
     }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
   res.json({ success: true, door, trailer, historyEntry, wasQueued, autoAssigned });
 });
@@ -257,7 +269,7 @@ router.post("/move-to-door", requireAuth, requireRole("user"), (req, res) => {
  * If doorId is provided, clears that door and triggers auto-assignment.
  * Used when manually clearing a door or when a trailer is replaced.
  */
-router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
+router.post("/move-to-yard", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { trailerId, doorId } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -297,7 +309,6 @@ router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
 
   // Clear door if specified and track for auto-assignment
   let clearedDoorId = null;
-  let clearedDoorNumber = null;
   if (doorId) {
     const door = state.doors.find(
       (d) =>
@@ -309,47 +320,11 @@ router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
       door.trailerId = null;
       door.status = "empty";
       clearedDoorId = door.id;
-      clearedDoorNumber = door.number;
     }
   }
 
   // Auto-assign from queue if door was cleared
-  let autoAssigned = null;
-  if (clearedDoorId) {
-    // Check if door is still empty (might have been filled by another concurrent request)
-    const door = state.doors.find((d) => d.id === clearedDoorId);
-    if (door && door.trailerId) {
-      // Door already occupied, skip auto-assign
-    } else {
-      const queuedForDoor = state.queuedTrailers?.filter(
-        (t) => t.targetDoorId === clearedDoorId,
-      );
-      if (queuedForDoor && queuedForDoor.length > 0) {
-        const nextTrailer = queuedForDoor[0];
-        state.queuedTrailers = state.queuedTrailers.filter(
-          (t) => t.id !== nextTrailer.id,
-        );
-
-        if (door) {
-          door.trailerId = nextTrailer.id;
-          door.status = nextTrailer.status || "occupied";
-        }
-
-        nextTrailer.doorId = clearedDoorId;
-        nextTrailer.doorNumber = clearedDoorNumber;
-        nextTrailer.location = "door";
-        delete nextTrailer.targetDoorId;
-        delete nextTrailer.targetDoorNumber;
-        state.trailers.push(nextTrailer);
-
-        autoAssigned = {
-          trailerId: nextTrailer.id,
-          carrier: nextTrailer.carrier,
-          doorNumber: clearedDoorNumber,
-        };
-      }
-    }
-  }
+  const autoAssigned = clearedDoorId ? assignNextToDoor(state, clearedDoorId) : null;
 
   // Reset dwell time
   resetDwellTime(trailer);
@@ -357,7 +332,7 @@ router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("trailer", "move", { trailer }, facilityId);
+  broadcastStateChange("trailer", "move", { trailerId: trailer.id, to: "yard" }, facilityId);
 
   const historyEntry = addHistoryEntry("MOVED_TO_YARD", {
     trailerId: trailer.id,
@@ -372,6 +347,7 @@ router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
       autoAssignedCarrier: autoAssigned.carrier,
     }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
   res.json({ success: true, trailer, historyEntry, autoAssigned });
 });
@@ -380,12 +356,12 @@ router.post("/move-to-yard", requireAuth, requireRole("user"), (req, res) => {
  * POST /api/move-to-yard-slot
  * Move a trailer to a specific numbered yard slot.
  *
- * Body: { trailerId: string, slotId: string, previousSlotId?: string }
+ * Body: { trailerId: string, slotId: string, previousSlotId?: string, overrideConstraints?: boolean (admin) }
  *
  * If slot is occupied, existing trailer is moved to unassigned yard.
  * Clears any door assignment the trailer had.
  */
-router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) => {
+router.post("/move-to-yard-slot", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { trailerId, slotId, previousSlotId } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -406,6 +382,9 @@ router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) =
     return res.status(404).json({ error: "Yard slot not found" });
   }
 
+  const overridden = checkConstraints(req, res, state, slot, trailer, "slot");
+  if (!overridden) return;
+
   // If slot occupied, move existing trailer to unassigned yard
   if (slot.trailerId) {
     const existingTrailer =
@@ -452,10 +431,12 @@ router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) =
   slot.trailerId = trailerId;
 
   // Clear any door assignment
+  let clearedDoorId = null;
   state.doors.forEach((door) => {
     if (door.trailerId === trailerId) {
       door.trailerId = null;
       door.status = "empty";
+      clearedDoorId = door.id;
     }
   });
 
@@ -467,13 +448,16 @@ router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) =
     state.trailers.push(trailer);
   }
 
+  // Auto-assign from queue if door was cleared
+  const autoAssigned = clearedDoorId ? assignNextToDoor(state, clearedDoorId) : null;
+
   // Reset dwell time
   resetDwellTime(trailer);
 
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("trailer", "move", { trailer }, facilityId);
+  broadcastStateChange("trailer", "move", { trailerId: trailer.id, to: "yard-slot", slotId: slot.id }, facilityId);
 
   const historyEntry = addHistoryEntry("MOVED_TO_YARD_SLOT", {
     trailerId: trailer.id,
@@ -482,9 +466,15 @@ router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) =
     customer: trailer.customer,
     toLocation: `Yard Slot ${slot.number}`,
     slotId: slot.id,
+    ...overrideDetails(overridden),
+    ...(autoAssigned && {
+      autoAssignedToDoor: autoAssigned.doorNumber,
+      autoAssignedCarrier: autoAssigned.carrier,
+    }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
-  res.json({ success: true, trailer, slot, historyEntry });
+  res.json({ success: true, trailer, slot, historyEntry, autoAssigned });
 });
 
 /**
@@ -493,7 +483,7 @@ router.post("/move-to-yard-slot", requireAuth, requireRole("user"), (req, res) =
  *
  * Body: { trailerId: string }
  */
-router.post("/move-from-yard-slot", requireAuth, requireRole("user"), (req, res) => {
+router.post("/move-from-yard-slot", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const { trailerId } = req.body;
   const facilityId = req.user?.currentFacility || req.user?.homeFacility;
   const state = loadState(facilityId);
@@ -525,7 +515,7 @@ router.post("/move-from-yard-slot", requireAuth, requireRole("user"), (req, res)
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("trailer", "move", { trailer }, facilityId);
+  broadcastStateChange("trailer", "move", { trailerId: trailer.id, to: "yard" }, facilityId);
 
   const historyEntry = addHistoryEntry("MOVED_TO_YARD", {
     trailerId: trailer.id,
@@ -0,0 +1,46 @@
+/**
+ * Presence routes
+ * GET /presence - Users connected to the current facility and what they have open
+ * PUT /presence - Report what this client has open (trailer edit modal, etc.)
+ *
+ * Dashboards report on behalf of their SSE stream, identified by the clientId
+ * from the `connected` event. Tablets report over their WebSocket instead.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { getPresence, getConnection, updateConnection, validateActivity } = require("../presence");
+
+// List active users of the current facility
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  res.json({ facilityId, users: getPresence(facilityId) });
+});
+
+// Set or clear (activity: null) what a connection has open
+// Body: { clientId, activity: { entityType, entityId, mode: "view" | "edit" } | null }
+router.put("/", requireAuth, (req, res) => {
+  const { clientId, activity } = req.body;
+
+  if (!clientId) {
+    return res.status(400).json({ error: "clientId is required" });
+  }
+
+  // Only the user who owns the stream may report for it
+  const connection = getConnection(clientId);
+  if (!connection || connection.userId !== req.user.userId) {
+    return res.status(404).json({ error: "Connection not found" });
+  }
+
+  const validated = validateActivity(activity);
+  if (validated.error) {
+    return res.status(400).json({ error: validated.error });
+  }
+
+  updateConnection(clientId, { activity: validated.activity });
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -3,7 +3,10 @@
  * GET|POST /staging, GET|POST /queue, GET|POST /appointment-queue
  *
  * Manages the staging area, FCFS queue for specific doors, and
- * appointment-based queue with time-based ordering.
+ * appointment-based queue with time-based ordering. Trailers can't be
+ * queued for a single door while it is under maintenance (DOOR_MAINTENANCE).
+ * New trailers added to staging are refused for a blocked carrier or one
+ * with expired insurance (see carriers.js).
  */
 
 /**
@@ -11,16 +14,51 @@
  * GET|POST /staging, GET|POST /queue, GET|POST /appointment-queue
  *
  * Manages the staging area, FCFS queue for specific doors, and
- * appointment-based queue with time-based ordering.
+ * appointment-based queue with time-based ordering. Trailers can't be
+ * queued for a single door while it is under maintenance (DOOR_MAINTENANCE).
+ * New trailers added to staging are refused for a blocked carrier or one
+ * with expired insurance (see carriers.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { broadcastStateChange } = require("../sse");
 const { loadState, saveState, addHistoryEntry } = require("../state");
 const { sanitizeInput } = require("../utils");
+const { assignFreeDoors, logAssignments, queueTargetDoorIds } = require("../assignment");
+const { mergeFields, TRAILER_REQUIREMENTS } = require("../constraints");
+const { maintenanceConflict } = require("../maintenance");
+const { findCarrierByName, carrierRestriction, facilityToday, recordCarrierUse } = require("../carriers");
+
+/**
+ * Queue target from a request body: one door (targetDoorId) or any door of
+ * a door group (targetDoorGroupId)
+ * @returns {object} - Target fields to set on the trailer, or { error, status, code? }
+ */
+function resolveQueueTarget(state, { targetDoorId, targetDoorNumber, targetDoorGroupId }) {
+  if (targetDoorGroupId) {
+    const group = (state.doorGroups || []).find((g) => g.id === targetDoorGroupId);
+    if (!group) return { error: "Door group not found", status: 404 };
+    return { targetDoorId: null, targetDoorNumber: null, targetDoorGroupId: group.id, targetDoorGroupName: group.name };
+  }
+  if (!targetDoorId) return { error: "Target door ID or door group ID is required", status: 400 };
+  const door = state.doors.find((d) => d.id === targetDoorId);
+  const maintenance = maintenanceConflict(state, targetDoorId);
+  if (maintenance) return { ...maintenance, status: 409 };
+  return {
+    targetDoorId,
+    targetDoorNumber: door ? door.number : targetDoorNumber,
+    targetDoorGroupId: null,
+    targetDoorGroupName: null,
+  };
+}
+
+// Put a just-queued trailer straight into a free door it is waiting for
+function assignIfDoorFree(state, trailer) {
+  return assignFreeDoors(state, queueTargetDoorIds(state, trailer)).find((a) => a.trailerId === trailer.id) || null;
+}
 
 // ============================================================================
 // Staging
@@ -34,7 +72,7 @@ router.get("/staging", requireAuth, (req, res) => {
 });
 
 // Add trailer to staging slot
-router.post("/staging", requireAuth, requireRole("user"), (req, res) => {
+router.post("/staging", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const {
     number,
@@ -59,6 +97,24 @@ router.post("/staging", requireAuth, requireRole("user"), (req, res) => {
     return res.status(400).json({ error: "Carrier is required" });
   }
 
+  // New trailers only - one moved in from the yard already exists
+  if (!sourceId) {
+    const restriction = carrierRestriction(findCarrierByName(state, sanitizeInput(carrier)), facilityToday(facilityId));
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+  }
+
+  // A trailer moved in from the yard keeps its requirements unless new ones are given
+  let requirements = sourceId ? state.yardTrailers.find((t) => t.id === sourceId)?.requirements || null : null;
+  if (req.body.requirements !== undefined) {
+    const merged = mergeFields(null, req.body.requirements, TRAILER_REQUIREMENTS);
+    if (merged.error) {
+      return res.status(400).json({ error: `requirements: ${merged.error}` });
+    }
+    requirements = merged.values;
+  }
+
   const trailer = {
     id: uuidv4(),
     number: number ? sanitizeInput(number) : null,
@@ -73,6 +129,7 @@ router.post("/staging", requireAuth, requireRole("user"), (req, res) => {
     direction: direction === 'inbound' ? 'inbound' : 'outbound',
     location: "staging",
     createdAt: new Date().toISOString(),
+    ...(requirements && { requirements }),
   };
 
   state.staging = trailer;
@@ -82,27 +139,12 @@ router.post("/staging", requireAuth, requireRole("user"), (req, res) => {
     state.yardTrailers = state.yardTrailers.filter((t) => t.id !== sourceId);
   }
 
-  const safeCarrier = trailer.carrier;
-  const existingCarrier = state.carriers.find(
-    (c) => c.name.toLowerCase() === safeCarrier.toLowerCase(),
-  );
-  if (!existingCarrier) {
-    state.carriers.push({
-      id: uuidv4(),
-      name: safeCarrier,
-      mcNumber: "",
-      favorite: false,
-      usageCount: 1,
-      createdAt: new Date().toISOString(),
-    });
-  } else {
-    existingCarrier.usageCount = (existingCarrier.usageCount || 0) + 1;
-  }
+  recordCarrierUse(state, trailer.carrier);
 
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("staging", "add", { trailerId: trailer.id }, facilityId);
 
   addHistoryEntry("TRAILER_CREATED", {
     trailerId: trailer.id,
@@ -120,16 +162,22 @@ router.post("/staging", requireAuth, requireRole("user"), (req, res) => {
 // FCFS Queue
 // ============================================================================
 
-// Move trailer from staging to queue (waiting for specific door)
-router.post("/queue", requireAuth, requireRole("user"), (req, res) => {
+// Move trailer from staging to queue (waiting for a specific door, or any door of a group)
+router.post("/queue", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
-  const { trailerId, targetDoorId, targetDoorNumber } = req.body;
+  const { trailerId } = req.body;
   const state = loadState(facilityId);
 
-  if (!trailerId || !targetDoorId) {
+  if (!trailerId || (!req.body.targetDoorId && !req.body.targetDoorGroupId)) {
     return res
       .status(400)
-      .json({ error: "Trailer ID and target door ID are required" });
+      .json({ error: "Trailer ID and target door ID (or door group ID) are required" });
+  }
+
+  const target = resolveQueueTarget(state, req.body);
+  if (target.error) {
+    const { status, ...body } = target;
+    return res.status(status).json(body);
   }
 
   let trailer = null;
@@ -155,8 +203,7 @@ router.post("/queue", requireAuth, requireRole("user"), (req, res) => {
   if (!state.queuedTrailers) state.queuedTrailers = [];
 
   trailer.location = "queued";
-  trailer.targetDoorId = targetDoorId;
-  trailer.targetDoorNumber = targetDoorNumber;
+  Object.assign(trailer, target);
   trailer.queuedAt = new Date().toISOString();
 
   state.queuedTrailers.push(trailer);
@@ -169,21 +216,29 @@ router.post("/queue", requireAuth, requireRole("user"), (req, res) => {
     );
   }
 
+  const autoAssigned = assignIfDoorFree(state, trailer);
+
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("queue", "add", { trailerId, doorId: target.targetDoorId, doorGroupId: target.targetDoorGroupId }, facilityId);
 
   addHistoryEntry("TRAILER_QUEUED", {
     trailerId: trailer.id,
     trailerNumber: trailer.number,
     carrier: trailer.carrier,
     customer: trailer.customer,
-    targetDoor: targetDoorNumber,
-    targetDoorId,
+    targetDoor: target.targetDoorNumber ?? target.targetDoorGroupName,
+    targetDoorId: target.targetDoorId,
+    targetDoorGroupId: target.targetDoorGroupId,
+    ...(autoAssigned && {
+      autoAssignedToDoor: autoAssigned.doorNumber,
+      autoAssignedCarrier: autoAssigned.carrier,
+    }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
-  res.json({ success: true, trailer });
+  res.json({ success: true, trailer, autoAssigned });
 });
 
 // Get all queued trailers
@@ -194,7 +249,7 @@ router.get("/queue", requireAuth, (req, res) => {
 });
 
 // Cancel a queued trailer (move to unassigned yard)
-router.post("/queue/:id/cancel", requireAuth, requireRole("user"), (req, res) => {
+router.post("/queue/:id/cancel", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -213,6 +268,8 @@ router.post("/queue/:id/cancel", requireAuth, requireRole("user"), (req, res) =>
   trailer.location = null;
   trailer.targetDoorId = null;
   trailer.targetDoorNumber = null;
+  trailer.targetDoorGroupId = null;
+  trailer.targetDoorGroupName = null;
   trailer.queuedAt = null;
 
   if (!state.yardTrailers) state.yardTrailers = [];
@@ -222,7 +279,7 @@ router.post("/queue/:id/cancel", requireAuth, requireRole("user"), (req, res) =>
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("queue", "remove", { trailerId: id }, facilityId);
 
   addHistoryEntry("TRAILER_UNQUEUED", {
     trailerId: trailer.id,
@@ -236,16 +293,20 @@ router.post("/queue/:id/cancel", requireAuth, requireRole("user"), (req, res) =>
 });
 
 // Reassign queued trailer to different door
-router.post("/queue/:id/reassign", requireAuth, requireRole("user"), (req, res) => {
+router.post("/queue/:id/reassign", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
-  const { targetDoorId, targetDoorNumber } = req.body;
 
-  if (!targetDoorId) {
-    return res.status(400).json({ error: "Target door ID is required" });
+  if (!req.body.targetDoorId && !req.body.targetDoorGroupId) {
+    return res.status(400).json({ error: "Target door ID or door group ID is required" });
   }
 
   const state = loadState(facilityId);
+  const target = resolveQueueTarget(state, req.body);
+  if (target.error) {
+    const { status, ...body } = target;
+    return res.status(status).json(body);
+  }
 
   if (!state.queuedTrailers) {
     return res.status(404).json({ error: "No trailers in queue" });
@@ -256,25 +317,31 @@ router.post("/queue/:id/reassign", requireAuth, requireRole("user"), (req, res)
     return res.status(404).json({ error: "Trailer not found in queue" });
   }
 
-  const oldDoor = trailer.targetDoorNumber;
-  trailer.targetDoorId = targetDoorId;
-  trailer.targetDoorNumber = targetDoorNumber;
+  const oldDoor = trailer.targetDoorNumber ?? trailer.targetDoorGroupName;
+  Object.assign(trailer, target);
   trailer.queuedAt = new Date().toISOString(); // Reset priority to now
 
+  const autoAssigned = assignIfDoorFree(state, trailer);
+
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("queue", "update", { trailerId: id, doorId: target.targetDoorId, doorGroupId: target.targetDoorGroupId }, facilityId);
 
   addHistoryEntry("TRAILER_REASSIGNED", {
     trailerId: trailer.id,
     trailerNumber: trailer.number,
     carrier: trailer.carrier,
     fromDoor: oldDoor,
-    toDoor: targetDoorNumber,
+    toDoor: target.targetDoorNumber ?? target.targetDoorGroupName,
+    ...(autoAssigned && {
+      autoAssignedToDoor: autoAssigned.doorNumber,
+      autoAssignedCarrier: autoAssigned.carrier,
+    }),
   }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
-  res.json({ success: true, trailer });
+  res.json({ success: true, trailer, autoAssigned });
 });
 
 // ============================================================================
@@ -282,7 +349,7 @@ router.post("/queue/:id/reassign", requireAuth, requireRole("user"), (req, res)
 // ============================================================================
 
 // Move trailer from staging to appointment queue
-router.post("/appointment-queue", requireAuth, requireRole("user"), (req, res) => {
+router.post("/appointment-queue", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { trailerId } = req.body;
   const state = loadState(facilityId);
@@ -312,7 +379,7 @@ router.post("/appointment-queue", requireAuth, requireRole("user"), (req, res) =
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("appointment", "add", { trailerId }, facilityId);
 
   addHistoryEntry("TRAILER_QUEUED_APPT", {
     trailerId: trailer.id,
@@ -332,7 +399,7 @@ router.get("/appointment-queue", requireAuth, (req, res) => {
 });
 
 // Cancel an appointment queue trailer (move to unassigned yard)
-router.post("/appointment-queue/:id/cancel", requireAuth, requireRole("user"), (req, res) => {
+router.post("/appointment-queue/:id/cancel", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -360,7 +427,7 @@ router.post("/appointment-queue/:id/cancel", requireAuth, requireRole("user"), (
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("appointment", "remove", { trailerId: id }, facilityId);
 
   addHistoryEntry("TRAILER_UNQUEUED_APPT", {
     trailerId: trailer.id,
@@ -373,7 +440,7 @@ router.post("/appointment-queue/:id/cancel", requireAuth, requireRole("user"), (
 });
 
 // Reorder appointment queue
-router.post("/appointment-queue/reorder", requireAuth, requireRole("user"), (req, res) => {
+router.post("/appointment-queue/reorder", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { trailerIds } = req.body;
   const state = loadState(facilityId);
@@ -400,7 +467,7 @@ router.post("/appointment-queue/reorder", requireAuth, requireRole("user"), (req
   saveState(state, facilityId);
 
   // Broadcast update
-  broadcastStateChange("queues", "update", { state }, facilityId);
+  broadcastStateChange("appointment", "reorder", {}, facilityId);
 
   res.json({ success: true });
 });
@@ -0,0 +1,151 @@
+/**
+ * Report routes (admin only)
+ * GET /reports, POST /reports, PUT /reports/:id, DELETE /reports/:id,
+ * POST /reports/:id/run, GET /reports/runs
+ *
+ * Scheduled exports that are e-mailed or saved to the reports folder, and
+ * the log of their runs (see reports.js).
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole } = require("../middleware");
+const { DEFAULT_FACILITY_ID, REPORTS_DIR } = require("../config");
+const { loadReports, saveReports, addHistoryEntry } = require("../state");
+const { getFacility } = require("../facilities");
+const { getFacilityTimezone } = require("../appointments");
+const { isMailConfigured } = require("../mailer");
+const {
+  EXPORT_TYPES,
+  FREQUENCIES,
+  DELIVERY_METHODS,
+  validateReport,
+  createReport,
+  scheduleReport,
+  runReport,
+} = require("../reports");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+// History entry fields for a report
+function reportDetails(report) {
+  return {
+    reportId: report.id,
+    report: report.name,
+    exportType: report.exportType,
+    schedule: report.schedule,
+    delivery: report.delivery,
+    enabled: report.enabled,
+  };
+}
+
+// List reports, and what a report can be
+router.get("/", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const reports = loadReports(facilityId);
+  res.json({
+    reports: reports.reports,
+    exportTypes: EXPORT_TYPES,
+    frequencies: FREQUENCIES,
+    deliveryMethods: DELIVERY_METHODS,
+    mailConfigured: isMailConfigured(),
+    outputDir: REPORTS_DIR,
+    timezone: getFacilityTimezone(getFacility(facilityId)),
+  });
+});
+
+// Run log, newest first (?reportId=, ?limit=)
+router.get("/runs", requireAuth, requireRole("admin"), (req, res) => {
+  const { reportId } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+  const reports = loadReports(getFacilityId(req));
+  const matching = reports.runs.filter((r) => !reportId || r.reportId === reportId);
+  res.json({ runs: matching.slice(-limit).reverse(), total: matching.length });
+});
+
+// Add a report ({ name, exportType, options?, schedule, delivery, enabled? })
+router.post("/", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const reports = loadReports(facilityId);
+
+  const result = validateReport(req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const timezone = getFacilityTimezone(getFacility(facilityId));
+  const { report, error } = createReport(reports, result.fields, req.user, timezone);
+  if (error) return res.status(400).json({ error });
+  saveReports(reports, facilityId);
+
+  addHistoryEntry("REPORT_CREATED", reportDetails(report), req.user, facilityId);
+
+  res.json({ success: true, report });
+});
+
+// Change a report (same fields)
+router.put("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const reports = loadReports(facilityId);
+
+  const report = reports.reports.find((r) => r.id === req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: "Report not found" });
+  }
+
+  const result = validateReport(req.body, report);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  Object.assign(report, result.fields, { updatedAt: new Date().toISOString() });
+  scheduleReport(report, getFacilityTimezone(getFacility(facilityId)));
+  saveReports(reports, facilityId);
+
+  addHistoryEntry("REPORT_UPDATED", reportDetails(report), req.user, facilityId);
+
+  res.json({ success: true, report });
+});
+
+// Delete a report (its runs stay in the log)
+router.delete("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const reports = loadReports(facilityId);
+
+  const report = reports.reports.find((r) => r.id === req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: "Report not found" });
+  }
+
+  reports.reports = reports.reports.filter((r) => r.id !== report.id);
+  saveReports(reports, facilityId);
+
+  addHistoryEntry("REPORT_DELETED", reportDetails(report), req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+// Run a report now (its schedule is unchanged); answers when the run is done
+router.post("/:id/run", requireAuth, requireRole("admin"), async (req, res) => {
+  const facilityId = getFacilityId(req);
+  const report = loadReports(facilityId).reports.find((r) => r.id === req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: "Report not found" });
+  }
+
+  const run = await runReport(facilityId, report, {
+    trigger: "manual",
+    user: req.user,
+    timezone: getFacilityTimezone(getFacility(facilityId)),
+  });
+  if (!run) {
+    return res.status(409).json({ error: "The report is running already", code: "REPORT_RUNNING" });
+  }
+
+  if (run.status !== "success") {
+    return res.status(502).json({ error: `Report failed: ${run.error}`, code: "REPORT_FAILED", run });
+  }
+
+  res.json({ success: true, run });
+});
+
+module.exports = router;
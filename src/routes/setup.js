@@ -19,7 +19,7 @@ const router = express.Router();
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { MULTI_FACILITY_MODE, DEFAULT_FACILITY_ID } = require("../config");
 const { isSetupNeeded, generateFacilityConfig } = require("../utils");
 const {
@@ -31,6 +31,7 @@ const {
   DEFAULT_SETTINGS,
 } = require("../config");
 const { loadSettings, saveSettings } = require("../state");
+const { getStorage } = require("../storage");
 const { hasUsers, hasAdminUser, createInitialAdmin, isBootstrapAdmin } = require("../users");
 const { createFacility } = require("../facilities");
 
@@ -275,33 +276,12 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // Reset facility - delete all data (protected - requires bootstrap admin)
-router.delete("/", requireAuth, requireBootstrapAdmin, (req, res) => {
+router.delete("/", requireAuth, requireBootstrapAdmin, lockFacility, (req, res) => {
   try {
     const facilityId = req.user.currentFacility || req.user.homeFacility;
 
-    // Get facility-specific file paths
-    const {
-      getFacilityStateFile,
-      getFacilityHistoryFile,
-      getFacilityAnalyticsFile,
-    } = require("../config");
-
-    const stateFile = getFacilityStateFile(facilityId);
-    const historyFile = getFacilityHistoryFile(facilityId);
-    const analyticsFile = getFacilityAnalyticsFile(facilityId);
-
-    // Delete state file
-    if (fs.existsSync(stateFile)) {
-      fs.unlinkSync(stateFile);
-    }
-    // Delete history file
-    if (fs.existsSync(historyFile)) {
-      fs.unlinkSync(historyFile);
-    }
-    // Delete analytics file
-    if (fs.existsSync(analyticsFile)) {
-      fs.unlinkSync(analyticsFile);
-    }
+    // Delete state, history and analytics
+    getStorage().removeFacilityData(facilityId, ["state", "history", "analytics"]);
     // Note: Keep settings file to preserve user preferences
 
     console.log(`[Setup] Facility data cleared for ${facilityId} by user`);
@@ -316,56 +296,20 @@ router.delete("/", requireAuth, requireBootstrapAdmin, (req, res) => {
 });
 
 // Clear all data and reset to initial state (protected - requires bootstrap admin)
-router.post("/reset", requireAuth, requireBootstrapAdmin, (req, res) => {
+router.post("/reset", requireAuth, requireBootstrapAdmin, lockFacility, (req, res) => {
   try {
     const facilityId = req.user.currentFacility || req.user.homeFacility;
 
-    // Get facility-specific file paths
-    const {
-      getFacilityStateFile,
-      getFacilityHistoryFile,
-      getFacilityAnalyticsFile,
-      getFacilitySettingsFile,
-      FACILITIES_DIR,
-    } = require("../config");
-
-    const stateFile = getFacilityStateFile(facilityId);
-    const historyFile = getFacilityHistoryFile(facilityId);
-    const analyticsFile = getFacilityAnalyticsFile(facilityId);
-    const settingsFile = getFacilitySettingsFile(facilityId);
-    const carriersFile = path.join(FACILITIES_DIR, facilityId, "carriers.json");
-
-    // Delete state file if it exists
-    if (fs.existsSync(stateFile)) {
-      fs.unlinkSync(stateFile);
-    }
+    // Delete state, history, analytics, settings, webhooks, API keys, idempotency records, reports, backup policy and users for this facility
+    getStorage().removeFacilityData(facilityId, ["state", "history", "analytics", "settings", "webhooks", "apiKeys", "idempotency", "reports", "archivePolicy", "users"]);
 
-    // Delete history file
-    if (fs.existsSync(historyFile)) {
-      fs.unlinkSync(historyFile);
-    }
-
-    // Delete analytics file
-    if (fs.existsSync(analyticsFile)) {
-      fs.unlinkSync(analyticsFile);
-    }
-
-    // Delete settings file
-    if (fs.existsSync(settingsFile)) {
-      fs.unlinkSync(settingsFile);
-    }
-
-    // Delete carriers file if exists
+    // Delete legacy carriers file if exists
+    const { FACILITIES_DIR } = require("../config");
+    const carriersFile = path.join(FACILITIES_DIR, facilityId, "carriers.json");
     if (fs.existsSync(carriersFile)) {
       fs.unlinkSync(carriersFile);
     }
 
-    // Delete users file for this facility
-    const usersFile = path.join(FACILITIES_DIR, facilityId, "users.json");
-    if (fs.existsSync(usersFile)) {
-      fs.unlinkSync(usersFile);
-    }
-
     // Hard delete the facility from facilities.json in multi-facility mode
     if (MULTI_FACILITY_MODE) {
       const { loadFacilities, saveFacilities } = require("../facilities");
@@ -5,13 +5,15 @@
 
 const express = require("express");
 const router = express.Router();
-const { requireAuth } = require("../middleware");
+const { requireAuth, allowApiKey } = require("../middleware");
 const { loadState, loadHistory } = require("../state");
 
 // Get current state (protected)
-router.get("/", requireAuth, (req, res) => {
+// state.revision (also sent as X-State-Revision) is what clients echo back in If-Match
+router.get("/", allowApiKey("state:read"), requireAuth, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const state = loadState(facilityId);
+  res.set("X-State-Revision", String(state.revision));
   res.json(state);
 });
 
@@ -3,10 +3,11 @@
  *
  * Provides endpoints for:
  * - Creating new trailers (POST /)
+ * - Importing trailers from a CSV/XLSX manifest (POST /import) - dry run, then commit
  * - Updating trailer data (PUT /:id)
- * - Deleting trailers (DELETE /:id)
+ * - Deleting trailers (DELETE /:id) - moves them to the trash (see trash.js)
  * - Shipping trailers (POST /:id/ship) - archives to shippedTrailers
- * - Deleting shipped trailers (DELETE /shipped/:id)
+ * - Deleting shipped/received records (DELETE /shipped/:id, /received/:id) - also to the trash
  *
  * Trailer locations:
  * - state.yardTrailers[] - Unassigned yard
@@ -17,17 +18,79 @@
  * - state.shippedTrailers[] - Archived after shipping
  *
  * Carrier auto-creation: Creating a trailer with a new carrier name
- * automatically creates that carrier in state.carriers[].
+ * automatically creates that carrier in state.carriers[]. A blocked carrier,
+ * or one whose insurance has expired, can't get new trailers (see carriers.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, allowApiKey, requireRole, lockFacility, idempotent } = require("../middleware");
 const { loadState, saveState, addHistoryEntry } = require("../state");
 const { sanitizeInput } = require("../utils");
 const { resetDwellTime } = require("../analytics");
 const { broadcastStateChange, broadcastToast } = require("../sse");
+const { moveToTrash, trailerContext } = require("../trash");
+const { assignNextToDoor, logAssignments } = require("../assignment");
+const { mergeFields, TRAILER_REQUIREMENTS } = require("../constraints");
+const { findCarrierByName, carrierRestriction, facilityToday, recordCarrierUse } = require("../carriers");
+const { IMPORT_FIELDS, readSpreadsheet, suggestMapping, validateMapping, mapRow } = require("../imports");
+
+// Statuses PUT /:id can set, with the history action of a status-only change
+const STATUS_ACTIONS = {
+  empty: "TRAILER_EMPTY",
+  loaded: "TRAILER_LOADED",
+};
+
+// Trailer numbers are unique across doors, the yard and staging
+function trailerNumberExists(state, number) {
+  return !!(
+    state.trailers.find((t) => t.number === number) ||
+    state.yardTrailers.find((t) => t.number === number) ||
+    state.staging?.number === number
+  );
+}
+
+/**
+ * New trailer for the unassigned yard from request fields
+ * (number and carrier already sanitized, the rest is sanitized here)
+ */
+function buildTrailer(fields, requirements = null) {
+  const {
+    number,
+    carrier,
+    carrierId,
+    status,
+    contents,
+    loadNumber,
+    customer,
+    driverName,
+    driverPhone,
+    appointmentTime,
+    isLive,
+    direction = "outbound",
+  } = fields;
+
+  return {
+    id: uuidv4(),
+    number: number || null,
+    carrier,
+    carrierId: carrierId || null,
+    // Default status based on direction: inbound starts loaded, outbound starts empty
+    status: status || (direction === 'inbound' ? 'loaded' : 'empty'),
+    direction: direction === 'inbound' ? 'inbound' : 'outbound',
+    contents: contents ? sanitizeInput(contents) : null,
+    loadNumber: loadNumber ? sanitizeInput(loadNumber) : null,
+    customer: customer ? sanitizeInput(customer) : null,
+    driverName: driverName ? sanitizeInput(driverName) : null,
+    driverPhone: driverPhone ? sanitizeInput(driverPhone) : null,
+    appointmentTime: appointmentTime ? sanitizeInput(appointmentTime) : null,
+    isLive: direction === 'inbound' ? (isLive !== false && isLive !== "false") : (isLive === true || isLive === "true"),
+    location: "yard",
+    createdAt: new Date().toISOString(),
+    ...(requirements && { requirements }),
+  };
+}
 
 /**
  * POST /api/trailers
@@ -47,87 +110,51 @@ const { broadcastStateChange, broadcastToast } = require("../sse");
  * }
  *
  * Returns: { success: true, trailer, historyEntry }
+ * 403 { error, code: "CARRIER_BLOCKED" | "CARRIER_INSURANCE_EXPIRED" } for a carrier that can't take trailers
+ *
+ * API keys need the trailers:create scope. With an Idempotency-Key header a
+ * retry returns the trailer created the first time instead of a duplicate.
  */
-router.post("/", requireAuth, requireRole("user"), (req, res) => {
+router.post("/", allowApiKey("trailers:create"), requireAuth, requireRole("user"), lockFacility, idempotent, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
-  const {
-    number,
-    carrier,
-    carrierId,
-    status,
-    contents = "",
-    loadNumber,
-    customer,
-    driverName,
-    isLive,
-    direction = "outbound",
-  } = req.body;
+  const { number, carrier } = req.body;
 
   if (!carrier) {
     return res.status(400).json({ error: "Carrier is required" });
   }
 
+  let requirements = null;
+  if (req.body.requirements !== undefined) {
+    const merged = mergeFields(null, req.body.requirements, TRAILER_REQUIREMENTS);
+    if (merged.error) {
+      return res.status(400).json({ error: `requirements: ${merged.error}` });
+    }
+    requirements = merged.values;
+  }
+
   const state = loadState(facilityId);
 
   // Sanitize inputs
   const trailerNumber = number ? sanitizeInput(number) : null;
   const safeCarrier = sanitizeInput(carrier);
 
-  // Check for duplicate trailer number across all locations
-  if (trailerNumber) {
-    if (
-      state.trailers.find((t) => t.number === trailerNumber) ||
-      state.yardTrailers.find((t) => t.number === trailerNumber) ||
-      state.staging?.number === trailerNumber
-    ) {
-      return res.status(409).json({ error: "Trailer number already exists" });
-    }
+  const restriction = carrierRestriction(findCarrierByName(state, safeCarrier), facilityToday(facilityId));
+  if (restriction) {
+    return res.status(403).json(restriction);
   }
 
-  // Default status based on direction: inbound starts loaded, outbound starts empty
-  const trailerStatus = status || (direction === 'inbound' ? 'loaded' : 'empty');
+  // Check for duplicate trailer number across all locations
+  if (trailerNumber && trailerNumberExists(state, trailerNumber)) {
+    return res.status(409).json({ error: "Trailer number already exists" });
+  }
 
-  const trailer = {
-    id: uuidv4(),
-    number: trailerNumber,
-    carrier: safeCarrier,
-    carrierId: carrierId || null,
-    status: trailerStatus,
-    direction: direction === 'inbound' ? 'inbound' : 'outbound',
-    contents: contents ? sanitizeInput(contents) : null,
-    loadNumber: loadNumber ? sanitizeInput(loadNumber) : null,
-    customer: customer ? sanitizeInput(customer) : null,
-    driverName: driverName ? sanitizeInput(driverName) : null,
-    driverPhone: req.body.driverPhone
-      ? sanitizeInput(req.body.driverPhone)
-      : null,
-    appointmentTime: req.body.appointmentTime
-      ? sanitizeInput(req.body.appointmentTime)
-      : null,
-    isLive: direction === 'inbound' ? (isLive !== false && isLive !== "false") : (isLive === true || isLive === "true"),
-    location: "yard",
-    createdAt: new Date().toISOString(),
-  };
+  const trailer = buildTrailer({ ...req.body, number: trailerNumber, carrier: safeCarrier }, requirements);
 
   // Add to unassigned yard
   state.yardTrailers.push(trailer);
 
   // Auto-create carrier if new, or increment usage count
-  const existingCarrier = state.carriers.find(
-    (c) => c.name.toLowerCase() === safeCarrier.toLowerCase(),
-  );
-  if (!existingCarrier) {
-    state.carriers.push({
-      id: uuidv4(),
-      name: safeCarrier,
-      mcNumber: "",
-      favorite: false,
-      usageCount: 1,
-      createdAt: new Date().toISOString(),
-    });
-  } else {
-    existingCarrier.usageCount = (existingCarrier.usageCount || 0) + 1;
-  }
+  recordCarrierUse(state, safeCarrier);
 
   saveState(state, facilityId);
 
@@ -140,22 +167,147 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
   }, req.user, facilityId);
 
   // Broadcast state change to all connected clients in this facility
-  broadcastStateChange("trailer", "create", { trailer }, facilityId);
+  broadcastStateChange("trailer", "create", { trailerId: trailer.id }, facilityId);
 
   res.json({ success: true, trailer, historyEntry });
 });
 
+/**
+ * POST /api/trailers/import
+ * Create many trailers in the unassigned yard from a CSV or XLSX manifest
+ * (see imports.js). Without commit it is a dry run that only returns the
+ * preview; with commit every row is created in one save, or - if any row
+ * has an error - none.
+ *
+ * Body: {
+ *   filename: string,     // .csv or .xlsx
+ *   content: string,      // The file, base64
+ *   mapping?: object,     // { field: column index }; guessed from the headers when omitted
+ *   direction?: string,   // For rows without a direction (default 'outbound')
+ *   commit?: boolean      // true = create the trailers
+ * }
+ *
+ * Returns: { dryRun, headers, fields, mapping, rows: [{ row, fields, errors }], validCount, errorCount }
+ * and on commit { success: true, created, trailers }.
+ * 400 { error, code: "IMPORT_INVALID", ...preview } when committing rows with errors
+ */
+router.post("/import", requireAuth, requireRole("user"), lockFacility, async (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility;
+  const { filename, content, commit = false } = req.body;
+  const defaultDirection = req.body.direction === "inbound" ? "inbound" : "outbound";
+
+  const file = await readSpreadsheet(filename, content);
+  if (file.error) {
+    return res.status(400).json({ error: file.error });
+  }
+
+  let mapping = suggestMapping(file.headers);
+  if (req.body.mapping !== undefined) {
+    const result = validateMapping(req.body.mapping, file.headers);
+    if (result.error) return res.status(400).json({ error: result.error });
+    mapping = result.mapping;
+  }
+  if (mapping.carrier === undefined) {
+    return res.status(400).json({
+      error: "Choose the column that holds the carrier",
+      code: "IMPORT_MAPPING_REQUIRED",
+      headers: file.headers,
+      fields: IMPORT_FIELDS,
+      mapping,
+    });
+  }
+
+  const state = loadState(facilityId);
+  const today = facilityToday(facilityId);
+  const numbersInFile = new Set();
+
+  // Same checks as POST /api/trailers, plus numbers repeated within the file
+  const rows = file.rows.map(({ row, values }) => {
+    const { fields, errors } = mapRow(values, mapping, defaultDirection);
+    if (fields.carrier) {
+      const restriction = carrierRestriction(findCarrierByName(state, sanitizeInput(fields.carrier)), today);
+      if (restriction) errors.push(restriction.error);
+    }
+    if (fields.number) {
+      const number = sanitizeInput(fields.number);
+      if (trailerNumberExists(state, number)) errors.push("Trailer number already exists");
+      else if (numbersInFile.has(number)) errors.push("Trailer number appears more than once in the file");
+      numbersInFile.add(number);
+    }
+    return { row, fields, errors };
+  });
+
+  const errorCount = rows.filter((r) => r.errors.length > 0).length;
+  const preview = {
+    dryRun: !commit,
+    headers: file.headers,
+    fields: IMPORT_FIELDS,
+    mapping,
+    rows,
+    validCount: rows.length - errorCount,
+    errorCount,
+  };
+
+  if (!commit) {
+    return res.json(preview);
+  }
+  if (errorCount > 0) {
+    return res.status(400).json({
+      error: `${errorCount} row${errorCount !== 1 ? "s have" : " has"} errors - nothing was imported`,
+      code: "IMPORT_INVALID",
+      ...preview,
+    });
+  }
+
+  const trailers = rows.map(({ fields }) => {
+    const trailer = buildTrailer({
+      ...fields,
+      number: fields.number ? sanitizeInput(fields.number) : null,
+      carrier: sanitizeInput(fields.carrier),
+    });
+    state.yardTrailers.push(trailer);
+    recordCarrierUse(state, trailer.carrier);
+    return trailer;
+  });
+
+  saveState(state, facilityId);
+
+  trailers.forEach((trailer) => {
+    addHistoryEntry("TRAILER_CREATED", {
+      trailerId: trailer.id,
+      trailerNumber: trailer.number,
+      carrier: trailer.carrier,
+      customer: trailer.customer,
+      status: trailer.status,
+      source: "import",
+    }, req.user, facilityId);
+  });
+  addHistoryEntry("TRAILERS_IMPORTED", {
+    filename: sanitizeInput(String(filename)),
+    count: trailers.length,
+  }, req.user, facilityId);
+
+  broadcastStateChange("trailer", "import", { count: trailers.length }, facilityId);
+  broadcastToast("info", `${req.user.username} imported ${trailers.length} trailer${trailers.length !== 1 ? "s" : ""}`, {}, facilityId, req.user.userId);
+
+  res.json({ success: true, created: trailers.length, trailers });
+});
+
 /**
  * PUT /api/trailers/:id
  * Update trailer properties.
  *
  * Tracks changes for history logging.
  * Updates door status if trailer is docked and status changes.
+ * API keys (trailers:status scope) may only send status.
  */
-router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.put("/:id", allowApiKey("trailers:status", ["status"]), requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const updates = req.body;
+  if (updates.status !== undefined && !Object.hasOwn(STATUS_ACTIONS, updates.status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.keys(STATUS_ACTIONS).join(", ")}` });
+  }
   const state = loadState(facilityId);
 
   // Find trailer in any location
@@ -308,6 +460,19 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
     });
   }
 
+  if (updates.requirements !== undefined) {
+    const merged = mergeFields(trailer.requirements, updates.requirements, TRAILER_REQUIREMENTS);
+    if (merged.error) {
+      return res.status(400).json({ error: `requirements: ${merged.error}` });
+    }
+    if (JSON.stringify(merged.values) !== JSON.stringify(trailer.requirements || null)) {
+      oldValues.requirements = trailer.requirements || null;
+      if (merged.values) trailer.requirements = merged.values;
+      else delete trailer.requirements;
+      changes.push({ field: "requirements", from: oldValues.requirements, to: merged.values });
+    }
+  }
+
   if (updates.notes !== undefined && updates.notes !== trailer.notes) {
     oldValues.notes = trailer.notes;
     trailer.notes = updates.notes
@@ -331,7 +496,7 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
   saveState(state, facilityId);
 
   // Broadcast update to all clients
-  broadcastStateChange("trailer", "update", { trailer, changes }, facilityId);
+  broadcastStateChange("trailer", "update", { trailerId: trailer.id }, facilityId);
 
   const historyDetails = {
     trailerId: trailer.id,
@@ -345,7 +510,7 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
 
   // Use specific action for status-only changes
   if (changes.length === 1 && changes[0].field === "status") {
-    addHistoryEntry(`TRAILER_${trailer.status.toUpperCase()}`, historyDetails, req.user, facilityId);
+    addHistoryEntry(STATUS_ACTIONS[trailer.status], historyDetails, req.user, facilityId);
   } else {
     addHistoryEntry("TRAILER_UPDATED", historyDetails, req.user, facilityId);
   }
@@ -355,11 +520,12 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
 
 /**
  * DELETE /api/trailers/:id
- * Permanently delete a trailer from any location.
+ * Delete a trailer from any location. It goes to the facility trash with
+ * where it was, so it can be restored (POST /api/trash/:id/restore).
  *
  * Triggers auto-assignment if a door is cleared.
  */
-router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -378,7 +544,8 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
 
   // Track door info for auto-assignment
   const clearedDoorId = trailer.doorId;
-  const clearedDoorNumber = trailer.doorNumber;
+
+  const trashItem = moveToTrash(state, "trailer", { ...trailer }, req.user, trailerContext(state, trailer));
 
   // Clear door if trailer is in one
   if (trailer.doorId) {
@@ -401,63 +568,32 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
   if (state.staging?.id === id) {
     state.staging = null;
   }
+  state.yardSlots.forEach((s) => {
+    if (s.trailerId === id) s.trailerId = null;
+  });
 
-  // Auto-assign from queue if door was cleared
-  let autoAssigned = null;
-  if (clearedDoorId) {
-    // Check if door is still empty (might have been filled by another concurrent request)
-    const door = state.doors.find((d) => d.id === clearedDoorId);
-    if (door && door.trailerId) {
-      // Door already occupied, skip auto-assign
-    } else {
-      const queuedForDoor = state.queuedTrailers?.filter(
-        (t) => t.targetDoorId === clearedDoorId,
-      );
-      if (queuedForDoor && queuedForDoor.length > 0) {
-        const nextTrailer = queuedForDoor[0];
-        state.queuedTrailers = state.queuedTrailers.filter(
-          (t) => t.id !== nextTrailer.id,
-        );
-
-        const door = state.doors.find((d) => d.id === clearedDoorId);
-        if (door) {
-          door.trailerId = nextTrailer.id;
-          door.status = nextTrailer.status || "occupied";
-        }
-
-        nextTrailer.doorId = clearedDoorId;
-        nextTrailer.doorNumber = clearedDoorNumber;
-        nextTrailer.location = "door";
-        delete nextTrailer.targetDoorId;
-        delete nextTrailer.targetDoorNumber;
-        state.trailers.push(nextTrailer);
-
-        autoAssigned = {
-          trailerId: nextTrailer.id,
-          carrier: nextTrailer.carrier,
-          doorNumber: clearedDoorNumber,
-        };
-      }
-    }
-  }
+  // Auto-assign from queue if a door was cleared
+  const autoAssigned = clearedDoorId ? assignNextToDoor(state, clearedDoorId) : null;
 
   saveState(state, facilityId);
 
   // Broadcast deletion to all clients
-  broadcastStateChange("trailer", "delete", { trailerId: id, trailer }, facilityId);
+  broadcastStateChange("trailer", "delete", { trailerId: id }, facilityId);
 
   addHistoryEntry("TRAILER_DELETED", {
     trailerId: id,
     trailerNumber: trailer.number,
     carrier: trailer.carrier,
     isLive: trailer.isLive,
+    trashId: trashItem.id,
     ...(autoAssigned && {
       autoAssignedToDoor: autoAssigned.doorNumber,
       autoAssignedCarrier: autoAssigned.carrier,
     }),
-  }, req.user);
+  }, req.user, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
-  res.json({ success: true, autoAssigned });
+  res.json({ success: true, autoAssigned, trashId: trashItem.id });
 });
 
 /**
@@ -467,8 +603,9 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
  * Moves trailer from active to shippedTrailers array.
  * Preserves all trailer data including location history.
  * Triggers auto-assignment if a door is cleared.
+ * API keys need the trailers:ship-receive scope; honours Idempotency-Key.
  */
-router.post("/:id/ship", requireAuth, requireRole("user"), (req, res) => {
+router.post("/:id/ship", allowApiKey("trailers:ship-receive"), requireAuth, requireRole("user"), lockFacility, idempotent, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const { loaderName: selectedLoaderName } = req.body;
@@ -564,43 +701,13 @@ router.post("/:id/ship", requireAuth, requireRole("user"), (req, res) => {
     state.shippedTrailers = state.shippedTrailers.slice(-5000);
   }
 
-  // Auto-assign from queue
-  let autoAssigned = null;
-  if (clearedDoorId) {
-    const queuedForDoor = state.queuedTrailers?.filter(
-      (t) => t.targetDoorId === clearedDoorId,
-    );
-    if (queuedForDoor && queuedForDoor.length > 0) {
-      const nextTrailer = queuedForDoor[0];
-      state.queuedTrailers = state.queuedTrailers.filter(
-        (t) => t.id !== nextTrailer.id,
-      );
-
-      const door = state.doors.find((d) => d.id === clearedDoorId);
-      if (door) {
-        door.trailerId = nextTrailer.id;
-        door.status = nextTrailer.status || "occupied";
-      }
-
-      nextTrailer.doorId = clearedDoorId;
-      nextTrailer.doorNumber = clearedDoorNumber;
-      nextTrailer.location = "door";
-      delete nextTrailer.targetDoorId;
-      delete nextTrailer.targetDoorNumber;
-      state.trailers.push(nextTrailer);
-
-      autoAssigned = {
-        trailerId: nextTrailer.id,
-        carrier: nextTrailer.carrier,
-        doorNumber: clearedDoorNumber,
-      };
-    }
-  }
+  // Auto-assign from queue if a door was cleared
+  const autoAssigned = clearedDoorId ? assignNextToDoor(state, clearedDoorId) : null;
 
   saveState(state, facilityId);
 
   // Broadcast ship event to all clients
-  broadcastStateChange("trailer", "ship", { trailerId: id, trailer, autoAssigned }, facilityId);
+  broadcastStateChange("trailer", "ship", { trailerId: id, autoAssignedId: autoAssigned?.trailerId || null }, facilityId);
 
   // Broadcast toast notification
   broadcastToast(
@@ -624,6 +731,7 @@ router.post("/:id/ship", requireAuth, requireRole("user"), (req, res) => {
       autoAssignedCarrier: autoAssigned.carrier,
     }),
   }, { userId: req.user.userId, username: loaderName }, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
   res.json({ success: true, trailer, message: "Trailer marked as shipped", autoAssigned });
 });
@@ -635,8 +743,9 @@ router.post("/:id/ship", requireAuth, requireRole("user"), (req, res) => {
  * Moves trailer from active to receivedTrailers array.
  * Preserves all trailer data including location history.
  * Triggers auto-assignment if a door is cleared.
+ * API keys need the trailers:ship-receive scope; honours Idempotency-Key.
  */
-router.post("/:id/receive", requireAuth, requireRole("user"), (req, res) => {
+router.post("/:id/receive", allowApiKey("trailers:ship-receive"), requireAuth, requireRole("user"), lockFacility, idempotent, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const { loaderName: selectedLoaderName } = req.body;
@@ -732,43 +841,13 @@ router.post("/:id/receive", requireAuth, requireRole("user"), (req, res) => {
     state.receivedTrailers = state.receivedTrailers.slice(-5000);
   }
 
-  // Auto-assign from queue
-  let autoAssigned = null;
-  if (clearedDoorId) {
-    const queuedForDoor = state.queuedTrailers?.filter(
-      (t) => t.targetDoorId === clearedDoorId,
-    );
-    if (queuedForDoor && queuedForDoor.length > 0) {
-      const nextTrailer = queuedForDoor[0];
-      state.queuedTrailers = state.queuedTrailers.filter(
-        (t) => t.id !== nextTrailer.id,
-      );
-
-      const door = state.doors.find((d) => d.id === clearedDoorId);
-      if (door) {
-        door.trailerId = nextTrailer.id;
-        door.status = nextTrailer.status || "occupied";
-      }
-
-      nextTrailer.doorId = clearedDoorId;
-      nextTrailer.doorNumber = clearedDoorNumber;
-      nextTrailer.location = "door";
-      delete nextTrailer.targetDoorId;
-      delete nextTrailer.targetDoorNumber;
-      state.trailers.push(nextTrailer);
-
-      autoAssigned = {
-        trailerId: nextTrailer.id,
-        carrier: nextTrailer.carrier,
-        doorNumber: clearedDoorNumber,
-      };
-    }
-  }
+  // Auto-assign from queue if a door was cleared
+  const autoAssigned = clearedDoorId ? assignNextToDoor(state, clearedDoorId) : null;
 
   saveState(state, facilityId);
 
   // Broadcast receive event to all clients
-  broadcastStateChange("trailer", "receive", { trailerId: id, trailer, autoAssigned }, facilityId);
+  broadcastStateChange("trailer", "receive", { trailerId: id, autoAssignedId: autoAssigned?.trailerId || null }, facilityId);
 
   // Broadcast toast notification
   broadcastToast(
@@ -792,17 +871,18 @@ router.post("/:id/receive", requireAuth, requireRole("user"), (req, res) => {
       autoAssignedCarrier: autoAssigned.carrier,
     }),
   }, { userId: req.user.userId, username: loaderName }, facilityId);
+  logAssignments(autoAssigned, req.user, facilityId);
 
   res.json({ success: true, trailer, message: "Trailer marked as received", autoAssigned });
 });
 
 /**
  * DELETE /api/shipped/:id
- * Permanently delete a shipped trailer record.
+ * Delete a shipped trailer record (moved to the trash).
  *
  * Use this when cleaning up old shipped trailers from the archive.
  */
-router.delete("/shipped/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/shipped/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -814,29 +894,31 @@ router.delete("/shipped/:id", requireAuth, requireRole("user"), (req, res) => {
   }
 
   state.shippedTrailers = state.shippedTrailers.filter((t) => t.id !== id);
+  const trashItem = moveToTrash(state, "shipped", shippedTrailer, req.user);
 
   saveState(state, facilityId);
 
   // Broadcast shipped trailer deletion to all clients
-  broadcastStateChange("trailer", "delete", { trailerId: id, trailer: shippedTrailer, type: "shipped" }, facilityId);
+  broadcastStateChange("trailer", "delete", { trailerId: id, type: "shipped" }, facilityId);
 
   addHistoryEntry("SHIPPED_DELETED", {
     trailerId: id,
     trailerNumber: shippedTrailer.number,
     carrier: shippedTrailer.carrier,
     shipDate: shippedTrailer.shippedAt,
-  }, req.user);
+    trashId: trashItem.id,
+  }, req.user, facilityId);
 
-  res.json({ success: true });
+  res.json({ success: true, trashId: trashItem.id });
 });
 
 /**
  * DELETE /api/received/:id
- * Permanently delete a received trailer record.
+ * Delete a received trailer record (moved to the trash).
  *
  * Use this when cleaning up old received trailers from the archive.
  */
-router.delete("/received/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/received/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -848,20 +930,22 @@ router.delete("/received/:id", requireAuth, requireRole("user"), (req, res) => {
   }
 
   state.receivedTrailers = state.receivedTrailers.filter((t) => t.id !== id);
+  const trashItem = moveToTrash(state, "received", receivedTrailer, req.user);
 
   saveState(state, facilityId);
 
   // Broadcast received trailer deletion to all clients
-  broadcastStateChange("trailer", "delete", { trailerId: id, trailer: receivedTrailer, type: "received" }, facilityId);
+  broadcastStateChange("trailer", "delete", { trailerId: id, type: "received" }, facilityId);
 
   addHistoryEntry("RECEIVED_DELETED", {
     trailerId: id,
     trailerNumber: receivedTrailer.number,
     carrier: receivedTrailer.carrier,
     receivedDate: receivedTrailer.receivedAt,
-  }, req.user);
+    trashId: trashItem.id,
+  }, req.user, facilityId);
 
-  res.json({ success: true });
+  res.json({ success: true, trashId: trashItem.id });
 });
 
 module.exports = router;
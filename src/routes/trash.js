@@ -0,0 +1,117 @@
+/**
+ * Trash routes
+ * GET /trash - Deleted trailers, doors, yard slots and shipped/received records
+ * POST /trash/:id/restore - Put an item back on the board
+ * DELETE /trash/:id - Delete an item for good (admin)
+ * DELETE /trash - Empty the trash (admin)
+ *
+ * Items land here from the regular DELETE endpoints (see trash.js) and are
+ * purged automatically after the facility's trash retention.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadState, saveState, addHistoryEntry } = require("../state");
+const { broadcastStateChange } = require("../sse");
+const { getFacility } = require("../facilities");
+const {
+  TRASH_ENTITY_TYPES,
+  restoreFromTrash,
+  getTrashRetentionDays,
+  describeTrashItem,
+} = require("../trash");
+
+// Subject of a restore event, named after the restored entity
+function restoreSubject(item) {
+  const { entityType, entity } = item;
+  if (entityType === "door") return { trashId: item.id, entityType, doorId: entity.id };
+  if (entityType === "yard-slot") return { trashId: item.id, entityType, slotId: entity.id };
+  return { trashId: item.id, entityType, trailerId: entity.id };
+}
+
+// List trash items, newest first (optionally ?type=trailer|door|yard-slot|shipped|received)
+router.get("/", requireAuth, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const { type } = req.query;
+
+  if (type && !TRASH_ENTITY_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${TRASH_ENTITY_TYPES.join(", ")}` });
+  }
+
+  const state = loadState(facilityId);
+  const items = (state.trash || [])
+    .filter((item) => !type || item.entityType === type)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map(describeTrashItem);
+
+  res.json({ items, retentionDays: getTrashRetentionDays(getFacility(facilityId)) });
+});
+
+// Restore an item to where it was (trailers whose spot is gone or taken go to the unassigned yard)
+router.post("/:id/restore", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+
+  const result = restoreFromTrash(state, req.params.id);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  saveState(state, facilityId);
+  broadcastStateChange("trash", "restore", restoreSubject(result.item), facilityId);
+
+  const { entity, entityType } = result.item;
+  addHistoryEntry("TRASH_RESTORED", {
+    entityType,
+    ...(entityType === "door" || entityType === "yard-slot"
+      ? { [entityType === "door" ? "doorNumber" : "number"]: entity.number }
+      : { trailerId: entity.id, trailerNumber: entity.number, carrier: entity.carrier, customer: entity.customer }),
+    location: result.location,
+    trashId: result.item.id,
+  }, req.user, facilityId);
+
+  res.json({ success: true, item: describeTrashItem(result.item), location: result.location });
+});
+
+// Permanently delete one item
+router.delete("/:id", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+
+  const item = (state.trash || []).find((t) => t.id === req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Trash item not found" });
+  }
+
+  state.trash = state.trash.filter((t) => t.id !== item.id);
+  saveState(state, facilityId);
+  broadcastStateChange("trash", "purge", { trashId: item.id }, facilityId);
+
+  addHistoryEntry("TRASH_PURGED", {
+    count: 1,
+    entityType: item.entityType,
+    name: describeTrashItem(item).name,
+  }, req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+// Empty the trash
+router.delete("/", requireAuth, requireRole("admin"), lockFacility, (req, res) => {
+  const facilityId = req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+  const state = loadState(facilityId);
+
+  const count = (state.trash || []).length;
+  if (count > 0) {
+    state.trash = [];
+    saveState(state, facilityId);
+    broadcastStateChange("trash", "purge", { count }, facilityId);
+    addHistoryEntry("TRASH_PURGED", { count }, req.user, facilityId);
+  }
+
+  res.json({ success: true, removed: count });
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Undo/redo routes
+ * GET /undo - The current user's undo and redo stacks for this facility
+ * POST /undo - Undo the user's last operation(s)
+ * POST /redo - Redo the user's last undone operation(s)
+ * DELETE /undo/:entryId - Drop an entry that can no longer be undone/redone
+ *
+ * Body for POST: { count } (default 1). All or nothing: if any of the
+ * operations touched something that was changed by someone else since, the
+ * request fails with 409 UNDO_CONFLICT and nothing is changed.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
+const { DEFAULT_FACILITY_ID, UNDO_HISTORY_SIZE } = require("../config");
+const { getUndoStatus, undo, redo, discardEntry } = require("../undo");
+
+function facilityOf(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+function parseCount(body) {
+  if (body?.count === undefined) return 1;
+  const count = parseInt(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > UNDO_HISTORY_SIZE) return null;
+  return count;
+}
+
+function respond(req, res, result) {
+  const facilityId = facilityOf(req);
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json({ ...body, ...getUndoStatus(facilityId, req.user.userId) });
+  }
+  res.json({ ...result, ...getUndoStatus(facilityId, req.user.userId) });
+}
+
+// List undo/redo stacks (newest first)
+router.get("/undo", requireAuth, (req, res) => {
+  res.json(getUndoStatus(facilityOf(req), req.user.userId));
+});
+
+// Undo last operation(s)
+router.post("/undo", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const count = parseCount(req.body);
+  if (count === null) {
+    return res.status(400).json({ error: `count must be between 1 and ${UNDO_HISTORY_SIZE}` });
+  }
+  respond(req, res, undo(facilityOf(req), req.user, count));
+});
+
+// Redo last undone operation(s)
+router.post("/redo", requireAuth, requireRole("user"), lockFacility, (req, res) => {
+  const count = parseCount(req.body);
+  if (count === null) {
+    return res.status(400).json({ error: `count must be between 1 and ${UNDO_HISTORY_SIZE}` });
+  }
+  respond(req, res, redo(facilityOf(req), req.user, count));
+});
+
+// Drop one entry from the user's undo/redo history
+router.delete("/undo/:entryId", requireAuth, requireRole("user"), (req, res) => {
+  if (!discardEntry(facilityOf(req), req.user.userId, req.params.entryId)) {
+    return res.status(404).json({ error: "Undo entry not found" });
+  }
+  res.json({ success: true, ...getUndoStatus(facilityOf(req), req.user.userId) });
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+/**
+ * Webhook routes (admin only)
+ * GET /webhooks, POST /webhooks, PUT /webhooks/:id, DELETE /webhooks/:id,
+ * POST /webhooks/:id/test, GET /webhooks/deliveries, GET /webhooks/deliveries/:id,
+ * POST /webhooks/deliveries/:id/retry
+ *
+ * Subscriptions that POST history events to another system, and the log of
+ * their deliveries (see webhooks.js). A subscription's secret is only shown
+ * when it is created or rotated.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth, requireRole } = require("../middleware");
+const { DEFAULT_FACILITY_ID } = require("../config");
+const { loadWebhooks, saveWebhooks, addHistoryEntry } = require("../state");
+const {
+  LIFECYCLE_EVENTS,
+  DELIVERY_STATUSES,
+  publicSubscription,
+  validateSubscription,
+  createSubscription,
+  rotateSecret,
+  queueTestDelivery,
+  retryDelivery,
+  deliverDueWebhooks,
+  deliverySummary,
+} = require("../webhooks");
+
+function getFacilityId(req) {
+  return req.user.currentFacility || req.user.homeFacility || DEFAULT_FACILITY_ID;
+}
+
+// History entry fields for a subscription (no secret)
+function subscriptionDetails(subscription) {
+  return {
+    webhookId: subscription.id,
+    webhook: subscription.name,
+    url: subscription.url,
+    events: subscription.events,
+    enabled: subscription.enabled,
+  };
+}
+
+// List subscriptions with their delivery counts, and the suggested event types
+router.get("/", requireAuth, requireRole("admin"), (req, res) => {
+  const webhooks = loadWebhooks(getFacilityId(req));
+  const subscriptions = webhooks.subscriptions.map((s) => {
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map((status) => [status, 0]));
+    webhooks.deliveries.forEach((d) => {
+      if (d.subscriptionId === s.id) counts[d.status]++;
+    });
+    return { ...publicSubscription(s), deliveryCounts: counts };
+  });
+  res.json({ subscriptions, eventTypes: LIFECYCLE_EVENTS });
+});
+
+// Add a subscription ({ name, url, events, enabled? }) - the response has its secret
+router.post("/", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const webhooks = loadWebhooks(facilityId);
+
+  const result = validateSubscription(req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const { subscription, error } = createSubscription(webhooks, result.fields, req.user);
+  if (error) return res.status(400).json({ error });
+  saveWebhooks(webhooks, facilityId);
+
+  addHistoryEntry("WEBHOOK_CREATED", subscriptionDetails(subscription), req.user, facilityId);
+
+  res.json({ success: true, subscription: publicSubscription(subscription), secret: subscription.secret });
+});
+
+// Change a subscription (same fields, plus rotateSecret: true for a new secret)
+router.put("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const webhooks = loadWebhooks(facilityId);
+
+  const subscription = webhooks.subscriptions.find((s) => s.id === req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  const result = validateSubscription(req.body, subscription);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  Object.assign(subscription, result.fields, { updatedAt: new Date().toISOString() });
+  if (req.body.rotateSecret) rotateSecret(subscription);
+  // Keep the delivery log's webhook name in step
+  webhooks.deliveries.forEach((d) => {
+    if (d.subscriptionId === subscription.id) d.subscriptionName = subscription.name;
+  });
+  saveWebhooks(webhooks, facilityId);
+
+  addHistoryEntry("WEBHOOK_UPDATED", {
+    ...subscriptionDetails(subscription),
+    ...(req.body.rotateSecret && { secretRotated: true }),
+  }, req.user, facilityId);
+
+  res.json({
+    success: true,
+    subscription: publicSubscription(subscription),
+    ...(req.body.rotateSecret && { secret: subscription.secret }),
+  });
+});
+
+// Delete a subscription (its pending deliveries are dropped; the delivery log stays)
+router.delete("/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const webhooks = loadWebhooks(facilityId);
+
+  const subscription = webhooks.subscriptions.find((s) => s.id === req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  webhooks.subscriptions = webhooks.subscriptions.filter((s) => s.id !== subscription.id);
+  webhooks.deliveries = webhooks.deliveries.filter((d) => d.subscriptionId !== subscription.id || d.status !== "pending");
+  saveWebhooks(webhooks, facilityId);
+
+  addHistoryEntry("WEBHOOK_DELETED", subscriptionDetails(subscription), req.user, facilityId);
+
+  res.json({ success: true });
+});
+
+// Send a PING event to a subscription now
+router.post("/:id/test", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const webhooks = loadWebhooks(facilityId);
+
+  const subscription = webhooks.subscriptions.find((s) => s.id === req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  if (!subscription.enabled) {
+    return res.status(409).json({ error: "Webhook is disabled", code: "WEBHOOK_DISABLED" });
+  }
+
+  const delivery = queueTestDelivery(webhooks, subscription, req.user, facilityId);
+  saveWebhooks(webhooks, facilityId);
+  deliverDueWebhooks(facilityId).catch((e) => console.error(`[Webhooks] Test delivery failed for ${facilityId}:`, e));
+
+  res.json({ success: true, delivery: deliverySummary(delivery) });
+});
+
+// Delivery log, newest first (?subscriptionId=, ?status=pending|delivered|dead, ?limit=)
+router.get("/deliveries", requireAuth, requireRole("admin"), (req, res) => {
+  const { subscriptionId, status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+  const webhooks = loadWebhooks(getFacilityId(req));
+  const matching = webhooks.deliveries.filter((d) =>
+    (!subscriptionId || d.subscriptionId === subscriptionId) && (!status || d.status === status),
+  );
+  res.json({
+    deliveries: matching.slice(-limit).reverse().map((d) => deliverySummary(d)),
+    total: matching.length,
+  });
+});
+
+// One delivery with its payload
+router.get("/deliveries/:id", requireAuth, requireRole("admin"), (req, res) => {
+  const webhooks = loadWebhooks(getFacilityId(req));
+  const delivery = webhooks.deliveries.find((d) => d.id === req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: "Delivery not found" });
+  }
+  res.json({ delivery: deliverySummary(delivery, true) });
+});
+
+// Send a dead delivery again (from the dead-letter log)
+router.post("/deliveries/:id/retry", requireAuth, requireRole("admin"), (req, res) => {
+  const facilityId = getFacilityId(req);
+  const webhooks = loadWebhooks(facilityId);
+
+  const delivery = webhooks.deliveries.find((d) => d.id === req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: "Delivery not found" });
+  }
+  if (delivery.status !== "dead") {
+    return res.status(409).json({ error: `Only dead deliveries can be retried (this one is ${delivery.status})`, code: "DELIVERY_NOT_DEAD" });
+  }
+  const subscription = webhooks.subscriptions.find((s) => s.id === delivery.subscriptionId);
+  if (!subscription) {
+    return res.status(409).json({ error: "Its webhook has been deleted", code: "WEBHOOK_DELETED" });
+  }
+
+  retryDelivery(delivery);
+  saveWebhooks(webhooks, facilityId);
+  deliverDueWebhooks(facilityId).catch((e) => console.error(`[Webhooks] Retry failed for ${facilityId}:`, e));
+
+  res.json({ success: true, delivery: deliverySummary(delivery) });
+});
+
+module.exports = router;
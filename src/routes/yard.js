@@ -3,7 +3,9 @@
  * GET /yard-slots, POST /yard-slots, PUT /yard-slots/:id, DELETE /yard-slots/:id, POST /yard-slots/reorder
  *
  * Manages numbered yard slots for organized trailer storage.
- * Each slot can optionally hold one trailer.
+ * Each slot can optionally hold one trailer, and may carry attributes
+ * (reefer plug, hazmat approval, max length) that trailers are checked
+ * against (see constraints.js).
  */
 
 /**
@@ -11,15 +13,19 @@
  * GET /yard-slots, POST /yard-slots, PUT /yard-slots/:id, DELETE /yard-slots/:id, POST /yard-slots/reorder
  *
  * Manages numbered yard slots for organized trailer storage.
- * Each slot can optionally hold one trailer.
+ * Each slot can optionally hold one trailer, and may carry attributes
+ * (reefer plug, hazmat approval, max length) that trailers are checked
+ * against (see constraints.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
-const { requireAuth, requireRole } = require("../middleware");
+const { requireAuth, requireRole, lockFacility } = require("../middleware");
 const { broadcastStateChange } = require("../sse");
+const { moveToTrash } = require("../trash");
 const { loadState, saveState, addHistoryEntry } = require("../state");
+const { mergeFields, SLOT_ATTRIBUTES } = require("../constraints");
 
 // Get all yard slots
 router.get("/", requireAuth, (req, res) => {
@@ -29,7 +35,7 @@ router.get("/", requireAuth, (req, res) => {
 });
 
 // Reorder yard slots
-router.post("/reorder", requireAuth, requireRole("user"), (req, res) => {
+router.post("/reorder", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { slotIds } = req.body;
   const state = loadState(facilityId);
@@ -52,16 +58,16 @@ router.post("/reorder", requireAuth, requireRole("user"), (req, res) => {
   state.yardSlots = reorderedSlots;
   saveState(state, facilityId);
 
-  broadcastStateChange("yard", "update", { slots: state.yardSlots }, facilityId);
+  broadcastStateChange("yard", "reorder", {}, facilityId);
 
   res.json({ success: true, slots: state.yardSlots });
 });
 
 // Update yard slot
-router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.put("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
-  const { number } = req.body;
+  const { number, attributes } = req.body;
   const state = loadState(facilityId);
 
   const slot = state.yardSlots.find((s) => s.id === id);
@@ -69,6 +75,15 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
     return res.status(404).json({ error: "Yard slot not found" });
   }
 
+  let attributeValues;
+  if (attributes !== undefined) {
+    const merged = mergeFields(slot.attributes, attributes, SLOT_ATTRIBUTES);
+    if (merged.error) {
+      return res.status(400).json({ error: `attributes: ${merged.error}` });
+    }
+    attributeValues = merged.values;
+  }
+
   if (number !== undefined) {
     if (state.yardSlots.find((s) => s.number === number && s.id !== id)) {
       return res.status(409).json({ error: "Yard slot number already exists" });
@@ -91,15 +106,26 @@ router.put("/:id", requireAuth, requireRole("user"), (req, res) => {
     }, req.user, facilityId);
   }
 
+  if (attributes !== undefined) {
+    if (attributeValues) slot.attributes = attributeValues;
+    else delete slot.attributes;
+
+    addHistoryEntry("YARD_SLOT_UPDATED", {
+      slotId: id,
+      slotNumber: slot.number,
+      attributes: slot.attributes || null,
+    }, req.user, facilityId);
+  }
+
   saveState(state, facilityId);
 
-  broadcastStateChange("yard", "update", { slot }, facilityId);
+  broadcastStateChange("yard", "update", { slotId: slot.id }, facilityId);
 
   res.json({ success: true, slot });
 });
 
 // Create new yard slot
-router.post("/", requireAuth, requireRole("user"), (req, res) => {
+router.post("/", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { number } = req.body;
   const state = loadState(facilityId);
@@ -123,7 +149,7 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
   state.yardSlots.push(newSlot);
   saveState(state, facilityId);
 
-  broadcastStateChange("yard", "create", { slot: newSlot }, facilityId);
+  broadcastStateChange("yard", "create", { slotId: newSlot.id }, facilityId);
 
   addHistoryEntry("YARD_SLOT_CREATED", {
     slotId: newSlot.id,
@@ -134,7 +160,7 @@ router.post("/", requireAuth, requireRole("user"), (req, res) => {
 });
 
 // Delete yard slot
-router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
+router.delete("/:id", requireAuth, requireRole("user"), lockFacility, (req, res) => {
   const facilityId = req.user.currentFacility || req.user.homeFacility;
   const { id } = req.params;
   const state = loadState(facilityId);
@@ -160,16 +186,18 @@ router.delete("/:id", requireAuth, requireRole("user"), (req, res) => {
   }
 
   state.yardSlots.splice(slotIndex, 1);
+  const trashItem = moveToTrash(state, "yard-slot", { ...slot }, req.user);
   saveState(state, facilityId);
 
-  broadcastStateChange("yard", "delete", { slotId: id, slot }, facilityId);
+  broadcastStateChange("yard", "delete", { slotId: id }, facilityId);
 
   addHistoryEntry("YARD_SLOT_DELETED", {
     slotId: id,
     number: slot.number,
+    trashId: trashItem.id,
   }, req.user, facilityId);
 
-  res.json({ success: true });
+  res.json({ success: true, trashId: trashItem.id });
 });
 
 module.exports = router;
@@ -26,11 +26,33 @@ require("dotenv").config();
  * - utils.js      - Helper functions (sanitize, generate configs)
  * - middleware.js - Auth, rate limiting, headers
  * - analytics.js  - Dwell time calculations and statistics
+ * - sse.js / ws.js - Real-time updates (Server-Sent Events, WebSocket)
+ * - undo.js       - Per-user undo/redo history of locked writes
+ * - trash.js      - Soft delete: deleted trailers/doors/yard slots kept for restore
+ * - appointments.js - Dock appointment slots, capacity and conflict checks
+ * - assignment.js - Picks the next queued trailer for a freed door
+ * - recommendations.js - Ranks free doors for a trailer from placement history
+ * - constraints.js - Door/yard slot attributes vs. trailer requirements
+ * - maintenance.js - Scheduled door maintenance windows (out of service)
+ * - carriers.js   - Carrier master data, blocklist and merging duplicates
+ * - customers.js  - Customer master data and per-customer dwell SLAs
+ * - imports.js    - CSV/XLSX trailer manifests for bulk import
+ * - dwell.js      - Per-facility dwell policy (warning/violation thresholds)
+ * - alerts.js     - Alert rules and the alert inbox (raised by the scheduler)
+ * - webhooks.js   - Outbound webhooks for history events (signed, retried)
+ * - api-keys.js   - Per-facility API keys with scopes for other systems
+ * - idempotency.js - Stored responses for Idempotency-Key retries
+ * - workbooks.js  - XLSX exports (violations, patterns, shipped/received)
+ * - reports.js    - Scheduled exports, e-mailed or saved to a folder
+ * - mailer.js     - Sends e-mailed reports over SMTP (nodemailer)
+ * - archives.js   - Gzipped, checksummed state archives, backup schedule and retention
+ * - archive-restore.js - Archive diff and selective restore
  * - routes/*.js   - API endpoints organized by domain
  *
  * Data Flow:
  * 1. Request comes in via Express router
- * 2. Protected routes use requireAuth middleware
+ * 2. Protected routes use requireAuth middleware; state-changing routes
+ *    also use lockFacility to serialize writes per facility
  * 3. Route handler calls loadState() to get current data
  * 4. Business logic modifies state in memory
  * 5. saveState(state) persists to JSON file
@@ -39,7 +61,7 @@ require("dotenv").config();
  * To add a new API endpoint:
  * 1. Create route in appropriate routes/*.js file
  * 2. Import required functions from state.js
- * 3. Use requireAuth for protected routes
+ * 3. Use requireAuth for protected routes (plus lockFacility if it modifies state)
  * 4. Call loadState(), modify, saveState(), addHistoryEntry()
  * 5. Mount in this file: app.use('/api/my-route', require('./routes/my-route'))
  */
@@ -50,14 +72,21 @@ const cors = require("cors");
 const fs = require("fs");
 
 // Import configuration and utilities
-const { PORT, DATA_DIR, STATE_FILE, AUTH_USER } = require("./config");
+const { PORT, DATA_DIR, STATE_FILE, AUTH_USER, HISTORY_RETENTION_DAYS } = require("./config");
 const { isSetupNeeded } = require("./utils");
 
 // Import middleware
 const { cacheHeaders, validateAuthConfig } = require("./middleware");
 
 // Import state management
-const { ensureDataDirs, loadState } = require("./state");
+const { ensureDataDirs, loadState, saveState, addHistoryEntry, onHistoryEntry, pruneHistory, withFacilityLock } = require("./state");
+const { purgeTrash, getTrashRetentionDays } = require("./trash");
+const { syncAppointments, getFacilityTimezone } = require("./appointments");
+const { syncMaintenance, logMaintenanceSync } = require("./maintenance");
+const { evaluateAlerts, alertDetails } = require("./alerts");
+const { queueWebhookDeliveries, deliverDueWebhooks } = require("./webhooks");
+const { runDueReports } = require("./reports");
+const { runScheduledArchive } = require("./archives");
 
 // Import analytics
 const { calculateDailyDwell } = require("./analytics");
@@ -65,7 +94,175 @@ const { MULTI_FACILITY_MODE } = require("./config");
 const { getAllFacilities } = require("./facilities");
 
 // Import SSE
-const { handleSSE } = require("./sse");
+const { handleSSE, broadcastStateChange, broadcastToast } = require("./sse");
+const { attachWebSocket } = require("./ws");
+
+/**
+ * Apply history retention to every facility.
+ * Facility config.historyRetentionDays overrides HISTORY_RETENTION_DAYS (0 = keep forever).
+ */
+function applyHistoryRetention() {
+  getAllFacilities().forEach((f) => {
+    const days = f.config?.historyRetentionDays ?? HISTORY_RETENTION_DAYS;
+    try {
+      const removed = pruneHistory(f.id, days);
+      if (removed > 0) {
+        console.log(`[History] ${f.id}: pruned ${removed} entries older than ${days} days`);
+      }
+    } catch (e) {
+      console.error(`[History] Retention failed for ${f.id}:`, e);
+    }
+  });
+}
+
+/**
+ * Purge expired trash items in every facility.
+ * Facility config.trashRetentionDays overrides TRASH_RETENTION_DAYS (0 = keep forever).
+ */
+function applyTrashRetention() {
+  getAllFacilities().forEach((f) => {
+    const days = getTrashRetentionDays(f);
+    withFacilityLock(f.id, () => {
+      const state = loadState(f.id);
+      const removed = purgeTrash(state, days);
+      if (removed > 0) {
+        saveState(state, f.id);
+        broadcastStateChange("trash", "purge", { count: removed }, f.id);
+        console.log(`[Trash] ${f.id}: purged ${removed} items deleted more than ${days} days ago`);
+      }
+    }).catch((e) => {
+      console.error(`[Trash] Retention failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Move appointments that are about to start into the appointment queue and
+ * update the status of appointments whose trailers arrived or left (every minute).
+ */
+function runAppointmentScheduler() {
+  getAllFacilities().forEach((f) => {
+    withFacilityLock(f.id, () => {
+      const state = loadState(f.id);
+      if (!state.appointments?.length) return;
+
+      const { queued, updated } = syncAppointments(state, getFacilityTimezone(f));
+      if (queued.length === 0 && updated.length === 0) return;
+
+      saveState(state, f.id);
+      broadcastStateChange("appointment", "sync", {
+        appointmentIds: [...queued, ...updated].map((a) => a.id),
+      }, f.id);
+      queued.forEach((a) => {
+        addHistoryEntry("APPOINTMENT_QUEUED", {
+          appointmentId: a.id,
+          trailerId: a.trailerId,
+          carrier: a.carrier,
+          trailerNumber: a.trailerNumber,
+          start: a.start,
+          location: "Appointment Queue",
+        }, null, f.id);
+      });
+    }).catch((e) => {
+      console.error(`[Appointments] Scheduler failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Take doors out of service when their maintenance window starts and put
+ * them back when it ends (every minute).
+ */
+function runMaintenanceScheduler() {
+  getAllFacilities().forEach((f) => {
+    withFacilityLock(f.id, () => {
+      const state = loadState(f.id);
+      if (!state.maintenanceWindows?.length) return;
+
+      const sync = syncMaintenance(state);
+      if (sync.started.length === 0 && sync.ended.length === 0) return;
+
+      saveState(state, f.id);
+      broadcastStateChange("maintenance", "sync", {
+        windowIds: [...sync.started, ...sync.ended].map((w) => w.id),
+      }, f.id);
+      logMaintenanceSync(sync, null, f.id);
+    }).catch((e) => {
+      console.error(`[Maintenance] Scheduler failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Raise, reopen and resolve alerts against each facility's alert rules
+ * (every minute). New and reopened alerts pop up as toasts.
+ */
+function runAlertScheduler() {
+  getAllFacilities().forEach((f) => {
+    withFacilityLock(f.id, () => {
+      const state = loadState(f.id);
+      const { raised, reopened, resolved, changed } = evaluateAlerts(state, {
+        facilityId: f.id,
+        timezone: getFacilityTimezone(f),
+      });
+      if (!changed) return;
+
+      saveState(state, f.id);
+      broadcastStateChange("alert", "sync", {
+        alertIds: [...raised, ...reopened, ...resolved].map((a) => a.id),
+      }, f.id);
+      [...raised, ...reopened].forEach((a) => {
+        broadcastToast(a.severity, `🔔 ${a.message}`, { alertId: a.id, ruleId: a.ruleId }, f.id);
+      });
+      raised.forEach((a) => addHistoryEntry("ALERT_RAISED", alertDetails(a), null, f.id));
+      reopened.forEach((a) => addHistoryEntry("ALERT_REOPENED", alertDetails(a), null, f.id));
+      resolved.forEach((a) => addHistoryEntry("ALERT_RESOLVED", alertDetails(a), null, f.id));
+    }).catch((e) => {
+      console.error(`[Alerts] Scheduler failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Send webhook deliveries that are due for a retry (every 15 seconds; new
+ * ones are sent as soon as their history entry is logged).
+ */
+function runWebhookScheduler() {
+  getAllFacilities().forEach((f) => {
+    deliverDueWebhooks(f.id).catch((e) => {
+      console.error(`[Webhooks] Delivery failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Build and deliver the scheduled reports that are due (every minute, in
+ * each facility's time zone).
+ */
+function runReportScheduler() {
+  getAllFacilities().forEach((f) => {
+    runDueReports(f.id, getFacilityTimezone(f)).catch((e) => {
+      console.error(`[Reports] Scheduler failed for ${f.id}:`, e);
+    });
+  });
+}
+
+/**
+ * Write the hourly/nightly archives that are due and prune old ones by each
+ * facility's retention policy (every minute).
+ */
+function runArchiveScheduler() {
+  getAllFacilities().forEach((f) => {
+    try {
+      runScheduledArchive(f.id, getFacilityTimezone(f));
+    } catch (e) {
+      console.error(`[Archives] Scheduler failed for ${f.id}:`, e);
+    }
+  });
+}
+
+// Every history entry is a webhook event
+onHistoryEntry(queueWebhookDeliveries);
 
 // Create Express app
 const app = express();
@@ -170,8 +367,12 @@ app.use("/api/loader", require("./routes/loader"));
 const trailersRouter = require("./routes/trailers");
 app.use("/api/trailers", trailersRouter);
 
-// Shipped trailer deletion (special case)
-app.delete("/api/shipped/:id", trailersRouter);
+// Shipped/received record deletion (special case - the trailers router
+// defines these as /shipped/:id and /received/:id)
+app.delete(["/api/shipped/:id", "/api/received/:id"], (req, res, next) => {
+  req.url = req.url.replace(/^\/api/, "");
+  trailersRouter(req, res, next);
+});
 
 // Move routes - these need to be at specific paths
 const movesRouter = require("./routes/moves");
@@ -193,12 +394,45 @@ app.use("/api", queuesRouter);
 const carriersRouter = require("./routes/carriers");
 app.use("/api/carriers", carriersRouter);
 
+// Customer routes (master data and dwell SLAs)
+app.use("/api/customers", require("./routes/customers"));
+
+// Dwell policy routes (thresholds shared by the board and the reports)
+app.use("/api/dwell-policy", require("./routes/dwell"));
+
+// Alert inbox and alert rules
+app.use("/api/alerts", require("./routes/alerts"));
+
+// Outbound webhooks (admin)
+app.use("/api/webhooks", require("./routes/webhooks"));
+
+// API keys for integrations (admin)
+app.use("/api/api-keys", require("./routes/api-keys"));
+
+// Scheduled reports (admin)
+app.use("/api/reports", require("./routes/reports"));
+
 // Analytics routes
 app.use("/api/analytics", require("./routes/analytics"));
 
 // Facilities routes (multi-facility support)
 app.use("/api/facilities", require("./routes/facilities"));
 
+// Presence routes (who is on the board)
+app.use("/api/presence", require("./routes/presence"));
+
+// Undo/redo routes (per-user operation history)
+app.use("/api", require("./routes/undo"));
+
+// Trash routes (restore deleted trailers, doors, yard slots)
+app.use("/api/trash", require("./routes/trash"));
+
+// Dock appointment scheduling and door groups
+app.use("/api/appointments", require("./routes/appointments"));
+app.use("/api/door-groups", require("./routes/door-groups"));
+app.use("/api/assignment-rules", require("./routes/assignment"));
+app.use("/api/maintenance-windows", require("./routes/maintenance"));
+
 // SSE endpoint for real-time updates
 app.get("/api/events", handleSSE);
 
@@ -240,7 +474,23 @@ app.use((req, res, next) => {
 });
 
 // Start server - bind to 0.0.0.0 to accept connections from outside container
-app.listen(PORT, "0.0.0.0", () => {
+const server = app.listen(PORT, "0.0.0.0", () => {
+  // WebSocket endpoint for tablets (/api/ws) shares the HTTP port
+  attachWebSocket(server);
+
+  // Appointment queue feed (facilities created after startup are picked up too)
+  setInterval(runAppointmentScheduler, 60 * 1000);
+  // Door maintenance windows
+  setInterval(runMaintenanceScheduler, 60 * 1000);
+  // Alert rules
+  setInterval(runAlertScheduler, 60 * 1000);
+  // Webhook retries
+  setInterval(runWebhookScheduler, 15 * 1000);
+  // Scheduled reports
+  setInterval(runReportScheduler, 60 * 1000);
+  // Scheduled archives and retention
+  setInterval(runArchiveScheduler, 60 * 1000);
+
   // Check if setup is needed - in multi-facility mode, check if facilities exist
   let needsSetup;
   if (MULTI_FACILITY_MODE) {
@@ -302,6 +552,8 @@ app.listen(PORT, "0.0.0.0", () => {
         } else {
           calculateDailyDwell(today);
         }
+        applyHistoryRetention();
+        applyTrashRetention();
       },
       24 * 60 * 60 * 1000,
     ); // Once per day
@@ -316,6 +568,8 @@ app.listen(PORT, "0.0.0.0", () => {
     console.log(
       "[Analytics] Daily dwell analytics active - calculated from history",
     );
+    applyHistoryRetention();
+    applyTrashRetention();
   } else {
     console.log("[Setup] Server ready for initial configuration");
     console.log(
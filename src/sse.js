@@ -1,10 +1,42 @@
 /**
  * Server-Sent Events (SSE) module
  * Pushes real-time updates to connected clients
+ *
+ * stateChange events are typed deltas, numbered per facility:
+ * {
+ *   seq,            // Per-facility event number (also the SSE event id)
+ *   type,           // "<entity>.<action>", e.g. "trailer.move", "queue.add"
+ *   subject,        // IDs the action was about, e.g. { trailerId, doorId }
+ *   baseRevision,   // State revision the changes apply on top of
+ *   revision,       // State revision after the changes
+ *   changes,        // Changed entities only (see state-delta.js)
+ *   replaced,       // true instead of changes when the whole state was swapped
+ *   facilityId, timestamp
+ * }
+ * Clients whose board is not at baseRevision (or that see a seq gap) reload
+ * the full state instead of applying the delta.
+ *
+ * Replay: the last SSE_REPLAY_BUFFER_SIZE stateChange events of each facility
+ * are kept in memory. A client reconnecting with Last-Event-ID (header, or
+ * ?lastEventId= for EventSource instances created by hand) gets the events it
+ * missed right after `connected`. If they are no longer buffered (or the ID is
+ * from before a server restart), it gets a `resync` event and must reload
+ * the full state.
  */
 
-const { JWT_SECRET } = require("./config");
+const { JWT_SECRET, DEFAULT_FACILITY_ID, SSE_REPLAY_BUFFER_SIZE } = require("./config");
 const jwt = require("jsonwebtoken");
+const { takeStateChanges } = require("./state");
+const { addConnection, removeConnection } = require("./presence");
+
+// Last stateChange sequence number per facility
+const sequences = new Map();
+
+// Recent stateChange events per facility, oldest first: [{ seq, data }]
+const eventBuffers = new Map();
+
+// Other transports notified of every broadcast (see onBroadcast)
+const broadcastListeners = [];
 
 // Connected clients Map: token -> res
 const clients = new Map();
@@ -34,6 +66,13 @@ function validateToken(authHeader, queryToken) {
   }
 }
 
+/**
+ * Last stateChange sequence number sent for a facility (0 if none yet)
+ */
+function getCurrentSeq(facilityId) {
+  return sequences.get(facilityId || DEFAULT_FACILITY_ID) || 0;
+}
+
 /**
  * Handle SSE connection
  * GET /api/events?token=xxx
@@ -50,12 +89,20 @@ function handleSSE(req, res) {
   res.setHeader("Connection", "keep-alive");
   res.setHeader("X-Accel-Buffering", "no"); // Disable nginx buffering
 
-  // Send initial connection event
-  res.write(`event: connected\ndata: ${JSON.stringify({ userId: token.userId })}\n\n`);
+  // Send initial connection event with the facility's current stateChange sequence,
+  // then catch the client up if it is resuming from an earlier event
+  const facilityId = token.currentFacility || token.homeFacility || DEFAULT_FACILITY_ID;
+  const seq = getCurrentSeq(facilityId);
+  const lastEventId = req.headers["last-event-id"] ?? req.query.lastEventId;
+  const resumed = lastEventId !== undefined && lastEventId !== "";
+  // clientId identifies this stream when reporting presence (PUT /api/presence)
+  const clientId = `${token.userId}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  res.write(`event: connected\ndata: ${JSON.stringify({ userId: token.userId, clientId, seq, resumed })}\n\n`);
+  if (resumed) replayEvents(res, facilityId, lastEventId);
 
   // Store client connection with facility context
-  const clientId = `${token.userId}-${Date.now()}`;
-  clients.set(clientId, { res, userId: token.userId, currentFacility: token.currentFacility });
+  clients.set(clientId, { res, userId: token.userId, currentFacility: facilityId });
+  addConnection(clientId, token, "sse");
 
   console.log(`[SSE] Client connected: ${clientId} (total: ${clients.size})`);
 
@@ -68,6 +115,7 @@ function handleSSE(req, res) {
   req.on("close", () => {
     clearInterval(heartbeat);
     clients.delete(clientId);
+    removeConnection(clientId);
     console.log(`[SSE] Client disconnected: ${clientId} (total: ${clients.size})`);
   });
 
@@ -76,50 +124,147 @@ function handleSSE(req, res) {
     console.error(`[SSE] Connection error: ${err.message}`);
     clearInterval(heartbeat);
     clients.delete(clientId);
+    removeConnection(clientId);
   });
 }
 
+/**
+ * Format one SSE message
+ */
+function formatEvent(eventType, data, eventId = null) {
+  const idLine = eventId !== null ? `id: ${eventId}\n` : "";
+  return `${idLine}event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Find the stateChange events a reconnecting client missed after lastEventId.
+ * Shared by the SSE and WebSocket transports.
+ * @returns {object} - { events: [eventData, ...] } or, when they can't all be
+ *   replayed, { resync: { seq, lastEventId, reason } }
+ */
+function getMissedEvents(facilityId, lastEventId) {
+  const seq = getCurrentSeq(facilityId);
+  const lastSeq = Number(lastEventId);
+  const buffer = eventBuffers.get(facilityId) || [];
+
+  // The next event the client needs must still be buffered; an ID ahead of
+  // the current seq means the server restarted and numbering began again
+  let reason = null;
+  if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+    reason = "invalid-id";
+  } else if (lastSeq > seq) {
+    reason = "unknown-id";
+  } else if (lastSeq < seq && (buffer.length === 0 || buffer[0].seq > lastSeq + 1)) {
+    reason = "gap-too-large";
+  }
+
+  if (reason) {
+    console.log(`[SSE] Resync for ${facilityId} (last event ${lastEventId}, current ${seq}): ${reason}`);
+    return { resync: { seq, lastEventId: String(lastEventId), reason } };
+  }
+
+  const events = buffer.filter((event) => event.seq > lastSeq).map((event) => event.data);
+  if (events.length > 0) {
+    console.log(`[SSE] Replaying ${events.length} event(s) for ${facilityId} after ${lastSeq}`);
+  }
+  return { events };
+}
+
+/**
+ * Send a reconnecting SSE client the events it missed, or a resync event
+ */
+function replayEvents(res, facilityId, lastEventId) {
+  const { events, resync } = getMissedEvents(facilityId, lastEventId);
+  if (resync) {
+    res.write(formatEvent("resync", resync));
+    return;
+  }
+  for (const event of events) res.write(formatEvent("stateChange", event, event.seq));
+}
+
+/**
+ * Remember a stateChange event for replay, dropping the oldest beyond the buffer size
+ */
+function bufferEvent(facilityId, data) {
+  if (!eventBuffers.has(facilityId)) eventBuffers.set(facilityId, []);
+  const buffer = eventBuffers.get(facilityId);
+  buffer.push({ seq: data.seq, data });
+  if (buffer.length > SSE_REPLAY_BUFFER_SIZE) buffer.splice(0, buffer.length - SSE_REPLAY_BUFFER_SIZE);
+}
+
+/**
+ * Register a function called with every broadcast, so other transports
+ * (see ws.js) deliver the same events with the same facility scoping.
+ * @param {Function} listener - (eventType, data, { excludeUserId, facilityId, eventId }) => void
+ */
+function onBroadcast(listener) {
+  broadcastListeners.push(listener);
+}
+
 /**
  * Broadcast an event to all connected clients in a specific facility
  * @param {string} eventType - Type of event (update, delete, etc.)
  * @param {object} data - Event data
  * @param {string} excludeUserId - Optional user ID to exclude from broadcast
  * @param {string} facilityId - Facility ID to filter by (optional)
+ * @param {number} eventId - Optional SSE event id
  */
-function broadcast(eventType, data, excludeUserId = null, facilityId = null) {
-  const message = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+function broadcast(eventType, data, excludeUserId = null, facilityId = null, eventId = null) {
+  const message = formatEvent(eventType, data, eventId);
 
   for (const [clientId, client] of clients.entries()) {
     if (excludeUserId && client.userId === excludeUserId) continue;
 
     // If facilityId is specified, only send to clients in that facility
-    if (facilityId && client.currentFacility !== facilityId) continue;
+    // (clients without a current facility are on the default one)
+    if (facilityId && (client.currentFacility || DEFAULT_FACILITY_ID) !== facilityId) continue;
 
     try {
       client.res.write(message);
     } catch (err) {
       console.error(`[SSE] Failed to send to ${clientId}:`, err.message);
       clients.delete(clientId);
+      removeConnection(clientId);
+    }
+  }
+
+  for (const listener of broadcastListeners) {
+    try {
+      listener(eventType, data, { excludeUserId, facilityId, eventId });
+    } catch (err) {
+      console.error(`[SSE] Broadcast listener failed:`, err.message);
     }
   }
 }
 
 /**
  * Broadcast state change to clients in a specific facility
- * Used by routes after modifying state
- * @param {string} entity - Entity type (trailer, door, yard, etc.)
- * @param {string} action - Action performed (create, update, delete, move)
- * @param {object} data - Changed data
+ * Used by routes after saveState. Sends everything saved for the facility
+ * since the previous stateChange as one delta; does nothing if nothing was saved.
+ * @param {string} entity - Entity type (trailer, door, yard, queue, etc.)
+ * @param {string} action - Action performed (create, update, delete, move, etc.)
+ * @param {object} subject - IDs the action was about (not the entities themselves)
  * @param {string} facilityId - Facility ID to filter by (required for multi-facility)
  */
-function broadcastStateChange(entity, action, data, facilityId) {
-  broadcast("stateChange", {
-    entity,
-    action,
-    data,
-    facilityId,
+function broadcastStateChange(entity, action, subject, facilityId) {
+  const delta = takeStateChanges(facilityId);
+  if (!delta) return;
+
+  // Routes without a facility act on the default one - never send those to every facility
+  const key = facilityId || DEFAULT_FACILITY_ID;
+  const seq = (sequences.get(key) || 0) + 1;
+  sequences.set(key, seq);
+
+  const event = {
+    seq,
+    type: `${entity}.${action}`,
+    subject,
+    ...delta,
+    facilityId: key,
     timestamp: new Date().toISOString(),
-  }, null, facilityId);
+  };
+  bufferEvent(key, event);
+  broadcast("stateChange", event, null, key, seq);
 }
 
 /**
@@ -143,6 +288,10 @@ function broadcastToast(type, message, data = {}, facilityId, excludeUserId = nu
 
 module.exports = {
   handleSSE,
+  validateToken,
+  getMissedEvents,
+  getCurrentSeq,
+  onBroadcast,
   broadcast,
   broadcastStateChange,
   broadcastToast,
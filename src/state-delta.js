@@ -0,0 +1,232 @@
+/**
+ * State delta module
+ *
+ * Computes what changed between two copies of a facility's state so SSE
+ * events can carry only the changed entities instead of the whole board.
+ *
+ * Delta format (see diffState):
+ * {
+ *   collections: {
+ *     doors: { upsert: [door, ...], remove: ['door-3'], order: ['door-1', ...] },
+ *     ...
+ *   },
+ *   set: { staging: {...} | null, ... }
+ * }
+ *
+ * - Collections are top-level arrays of objects with an `id` (doors, trailers,
+ *   yardTrailers, yardSlots, carriers, queues, shipped/received lists).
+ *   `upsert` holds new or changed entities, `remove` the IDs that are gone,
+ *   and `order` the full ID order, only when it changed beyond appending.
+ * - Every other top-level field that changed is sent whole under `set`.
+ * - `revision` is never part of a delta (events carry it separately).
+ *
+ * Clients apply a delta with the same rules (see applyStateDelta in public/app.js).
+ * The server applies them for undo/redo (applyDelta, findDeltaConflicts), with
+ * the reverse of each write's delta (invertDelta, composeDeltas).
+ */
+
+// Fields that are never diffed
+const IGNORED_FIELDS = new Set(["revision"]);
+
+function isCollection(value) {
+  return Array.isArray(value) && value.every((item) => item && typeof item === "object" && item.id !== undefined);
+}
+
+/**
+ * Diff one id-keyed collection.
+ * @returns {object|null} - { upsert, remove, order? } or null when unchanged
+ */
+function diffCollection(prev = [], next = []) {
+  const prevById = new Map(prev.map((item) => [item.id, JSON.stringify(item)]));
+  const nextIds = next.map((item) => item.id);
+  const nextIdSet = new Set(nextIds);
+
+  const upsert = next.filter((item) => prevById.get(item.id) !== JSON.stringify(item));
+  const remove = prev.filter((item) => !nextIdSet.has(item.id)).map((item) => item.id);
+
+  // Order the client ends up with if it removes and appends in place
+  const added = nextIds.filter((id) => !prevById.has(id));
+  const expectedOrder = prev.map((item) => item.id).filter((id) => nextIdSet.has(id)).concat(added);
+  const orderChanged = expectedOrder.some((id, i) => id !== nextIds[i]);
+
+  if (upsert.length === 0 && remove.length === 0 && !orderChanged) return null;
+
+  const delta = { upsert, remove };
+  if (orderChanged) delta.order = nextIds;
+  return delta;
+}
+
+/**
+ * Compute the delta that turns `prev` into `next`.
+ *
+ * @param {object} prev - State before the change (may be null/empty)
+ * @param {object} next - State after the change
+ * @returns {object|null} - Delta, or null when nothing changed
+ */
+function diffState(prev, next) {
+  prev = prev || {};
+  const collections = {};
+  const set = {};
+
+  const fields = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const before = prev[field];
+    const after = next[field];
+
+    if (isCollection(after) && (before === undefined || isCollection(before))) {
+      const delta = diffCollection(before, after);
+      if (delta) collections[field] = delta;
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      set[field] = after === undefined ? null : after;
+    }
+  }
+
+  if (Object.keys(collections).length === 0 && Object.keys(set).length === 0) return null;
+  return { collections, set };
+}
+
+/**
+ * Compute the delta that undoes `delta`, from the state it was applied to.
+ * Only looks at what the delta touched: the previous versions of the entities
+ * it upserted or removed, and the fields it set.
+ *
+ * @param {object} base - State before the delta
+ * @param {object} delta - Delta from diffState(base, ...)
+ * @returns {object} - Delta that turns the result back into `base`
+ */
+function invertDelta(base, delta) {
+  const collections = {};
+  for (const [field, change] of Object.entries(delta.collections || {})) {
+    const before = base[field] || [];
+    const touched = new Set([...change.upsert.map((item) => item.id), ...change.remove]);
+    const existed = new Set(before.map((item) => item.id));
+    const inverse = {
+      upsert: before.filter((item) => touched.has(item.id)),
+      remove: change.upsert.map((item) => item.id).filter((id) => !existed.has(id)),
+    };
+    // Removed entities come back at the end unless the old order is restored
+    if (change.order || change.remove.length > 0) inverse.order = before.map((item) => item.id);
+    collections[field] = inverse;
+  }
+
+  const set = {};
+  for (const field of Object.keys(delta.set || {})) {
+    set[field] = base[field] === undefined ? null : base[field];
+  }
+  return { collections, set };
+}
+
+/**
+ * Fold two deltas applied one after the other into one.
+ *
+ * @param {object} first - Delta applied first
+ * @param {object} second - Delta applied to the result of `first`
+ * @returns {object} - Delta with the same result as applying both
+ */
+function composeDeltas(first, second) {
+  const collections = { ...first.collections };
+  for (const [field, change] of Object.entries(second.collections || {})) {
+    const earlier = collections[field];
+    if (!earlier) {
+      collections[field] = change;
+      continue;
+    }
+
+    const removed = new Set(change.remove);
+    const upserts = new Map(earlier.upsert.filter((item) => !removed.has(item.id)).map((item) => [item.id, item]));
+    for (const item of change.upsert) upserts.set(item.id, item);
+    const merged = {
+      upsert: [...upserts.values()],
+      remove: [...new Set([...earlier.remove, ...change.remove])].filter((id) => !upserts.has(id)),
+    };
+    if (change.order) {
+      merged.order = change.order;
+    } else if (earlier.order) {
+      const listed = new Set(earlier.order);
+      const added = change.upsert.map((item) => item.id).filter((id) => !listed.has(id));
+      merged.order = earlier.order.filter((id) => !removed.has(id)).concat(added);
+    }
+    collections[field] = merged;
+  }
+  return { collections, set: { ...first.set, ...second.set } };
+}
+
+/**
+ * Apply a delta to a state in place (same rules as the client's applyStateDelta).
+ * Items the delta doesn't mention keep their place; an `order` only moves the
+ * IDs it lists, anything else stays at the end.
+ *
+ * @param {object} state - State to change
+ * @param {object} delta - Delta from diffState
+ * @returns {object} - The same state
+ */
+function applyDelta(state, delta) {
+  for (const [field, change] of Object.entries(delta.collections || {})) {
+    const removed = new Set(change.remove);
+    const items = (state[field] || []).filter((item) => !removed.has(item.id));
+
+    for (const item of change.upsert) {
+      const index = items.findIndex((existing) => existing.id === item.id);
+      if (index === -1) items.push(item);
+      else items[index] = item;
+    }
+
+    if (change.order) {
+      const byId = new Map(items.map((item) => [item.id, item]));
+      const ordered = change.order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+      const listed = new Set(change.order);
+      state[field] = ordered.concat(items.filter((item) => !listed.has(item.id)));
+    } else {
+      state[field] = items;
+    }
+  }
+
+  for (const [field, value] of Object.entries(delta.set || {})) {
+    state[field] = value;
+  }
+  return state;
+}
+
+/**
+ * Check that a state still shows the result of a delta: every entity it
+ * upserted is unchanged, every ID it removed is still gone and every field it
+ * set still has that value.
+ *
+ * @param {object} state - Current state
+ * @param {object} delta - Delta that was applied earlier
+ * @returns {Array} - [{ field, id? }] for each entity changed since (empty if none)
+ */
+function findDeltaConflicts(state, delta) {
+  const conflicts = [];
+
+  for (const [field, change] of Object.entries(delta.collections || {})) {
+    const current = new Map((state[field] || []).map((item) => [item.id, JSON.stringify(item)]));
+    for (const item of change.upsert) {
+      if (current.get(item.id) !== JSON.stringify(item)) conflicts.push({ field, id: item.id });
+    }
+    for (const id of change.remove) {
+      if (current.has(id)) conflicts.push({ field, id });
+    }
+    if (change.order) {
+      const listed = new Set(change.order);
+      const currentOrder = (state[field] || []).map((item) => item.id).filter((id) => listed.has(id));
+      const expectedOrder = change.order.filter((id) => current.has(id));
+      if (currentOrder.some((id, i) => id !== expectedOrder[i])) conflicts.push({ field, order: true });
+    }
+  }
+
+  for (const [field, value] of Object.entries(delta.set || {})) {
+    const current = state[field] === undefined ? null : state[field];
+    if (JSON.stringify(current) !== JSON.stringify(value)) conflicts.push({ field });
+  }
+  return conflicts;
+}
+
+module.exports = {
+  diffState,
+  invertDelta,
+  composeDeltas,
+  applyDelta,
+  findDeltaConflicts,
+};
@@ -1,28 +1,34 @@
 /**
  * State management module
  *
- * Handles all data persistence to JSON files.
+ * Handles all data persistence through the configured storage adapter
+ * (JSON files by default, SQLite with STORAGE_BACKEND=sqlite - see storage/).
  * Each function loads/saves a specific data type:
  * - state.json: Doors, trailers, yard, carriers, queues
- * - history.json: Audit log of all actions
+ * - history: Append-only audit log of all actions
  * - analytics.json: Daily dwell statistics
  * - settings.json: UI preferences
+ * - webhooks.json: Webhook subscriptions and delivery log (see webhooks.js)
+ * - api-keys.json: Integration API keys (see api-keys.js)
+ * - idempotency.json: Responses kept for Idempotency-Key replays (see idempotency.js)
+ * - reports.json: Scheduled reports and their run log (see reports.js)
+ * - archive-policy.json: Backup schedule and archive retention (see archives.js)
  *
  * All state modifications follow this pattern:
  * 1. const state = loadState() - Load current state
  * 2. Modify state (push, splice, update properties)
  * 3. saveState(state) - Persist to disk
  * 4. addHistoryEntry(action, details) - Log the action
+ *
+ * Routes that modify state run under a per-facility write lock (see
+ * withFacilityLock and the lockFacility middleware) so concurrent requests
+ * for the same facility cannot overwrite each other's changes.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const {
-  STATE_FILE,
-  HISTORY_FILE,
-  SETTINGS_FILE,
-  ANALYTICS_FILE,
   DATA_DIR,
   FACILITIES_DIR,
   DEFAULT_SETTINGS,
@@ -31,129 +37,224 @@ const {
   DEFAULT_CARRIERS,
   MULTI_FACILITY_MODE,
   DEFAULT_FACILITY_ID,
-  getFacilityStateFile,
-  getFacilityHistoryFile,
-  getFacilitySettingsFile,
-  getFacilityAnalyticsFile,
 } = require("./config");
+const { getStorage } = require("./storage");
+const { diffState } = require("./state-delta");
+
+// Per-facility write locks: facilityId -> tail of the pending work chain
+const facilityLocks = new Map();
+
+// Last saved state revision per facility. Keeps revisions increasing even when
+// the stored copy is replaced (archive restore) or removed (facility reset).
+const stateRevisions = new Map();
+
+// Functions called with every new history entry (see onHistoryEntry)
+const historyListeners = [];
+
+// State saved since the last SSE event, per facility:
+// { base (JSON), latest (JSON), replaced } - consumed by takeStateChanges
+const pendingChanges = new Map();
+
+// JSON of the state each facility saved last, the base of its next change.
+// Only the first write after a restart has to load the state it replaces.
+const savedStates = new Map();
+
+// Functions called with every change taken for an SSE event (see onStateChanges)
+const stateChangeListeners = [];
 
 /**
- * Load the main application state from state.json.
- * Returns defaults if file doesn't exist or is corrupted.
+ * Load the main application state (state.json).
+ * Returns defaults if nothing is stored yet or the stored copy is corrupted.
  *
  * State structure:
  * {
- *   doors: [{ id, number, order, trailerId, status, inService, type, labelText }],
- *   trailers: [{ id, number, carrier, status, doorId, doorNumber, createdAt, dwellResets }],
+ *   revision: number (incremented on every save, see saveState),
+ *   doors: [{ id, number, order, trailerId, status, inService, type, labelText, direction, attributes, maintenanceWindowId }],
+ *   trailers: [{ id, number, carrier, status, doorId, doorNumber, createdAt, dwellResets, requirements }],
  *   yardTrailers: [{ id, number, carrier, status, location: 'yard' }],
- *   yardSlots: [{ id, number, trailerId }],
+ *   yardSlots: [{ id, number, trailerId, attributes }],
  *   staging: { id, number, carrier, status } | null,
- *   queuedTrailers: [{ id, carrier, targetDoorId, targetDoorNumber, queuedAt }],
+ *   queuedTrailers: [{ id, carrier, targetDoorId, targetDoorNumber | targetDoorGroupId, targetDoorGroupName, queuedAt }],
  *   appointmentQueue: [{ id, carrier, appointmentTime, queuedAt }],
- *   carriers: [{ id, name, mcNumber, favorite, usageCount }],
- *   shippedTrailers: [{ ...trailer, shippedAt, previousLocation }]
+ *   carriers: [{ id, name, mcNumber, scac, dotNumber, contacts, insuranceExpiry, notes, status, favorite, usageCount }] (see carriers.js),
+ *   customers: [{ id, name, aliases, contacts, sla: { inboundMinutes, outboundMinutes }, notes }] (see customers.js),
+ *   shippedTrailers: [{ ...trailer, shippedAt, previousLocation }],
+ *   trash: [{ id, entityType, entity, context, deletedAt, deletedBy }] (see trash.js),
+ *   appointments: [{ id, carrier, doorId | doorGroupId, start, end, status, ... }] (see appointments.js),
+ *   doorGroups: [{ id, name, doorIds }],
+ *   schedule: { slotMinutes, defaultDurationMinutes, queueLeadMinutes, windows } (see appointments.js),
+ *   assignmentRules: { enabled, order, preferences } (see assignment.js),
+ *   maintenanceWindows: [{ id, doorId, start, end, reason, requestedBy, status, ... }] (see maintenance.js),
+ *   dwellPolicy: { thresholds, countYardTime, maxDwellHours, resetWindowHours } (see dwell.js; absent = defaults),
+ *   alertRules: [{ id, name, type, minutes, severity, enabled }] (see alerts.js; absent = defaults),
+ *   alerts: [{ id, ruleId, type, severity, subject, message, status, ... }] (see alerts.js)
+ *   (door/slot attributes and trailer requirements: see constraints.js)
  * }
  */
 function loadState(facilityId = DEFAULT_FACILITY_ID) {
-  const stateFile = MULTI_FACILITY_MODE
-    ? getFacilityStateFile(facilityId)
-    : STATE_FILE;
-
-  if (fs.existsSync(stateFile)) {
-    try {
-      const state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
-      // Backward compatibility: ensure fields added in newer versions exist
-      if (!state.yardSlots) state.yardSlots = DEFAULT_YARD_SLOTS;
-      if (!state.hasOwnProperty("staging")) state.staging = null;
-      if (!state.queuedTrailers) state.queuedTrailers = [];
-      if (!state.appointmentQueue) state.appointmentQueue = [];
-      if (!state.shippedTrailers) state.shippedTrailers = [];
-      if (!state.receivedTrailers) state.receivedTrailers = [];
-      return state;
-    } catch (e) {
-      console.error(`Error loading state:`, e);
-    }
+  const lastRevision = stateRevisions.get(facilityId || DEFAULT_FACILITY_ID) || 0;
+  const state = getStorage().loadState(facilityId);
+  if (state) {
+    state.revision = Math.max(state.revision || 0, lastRevision);
+    // Backward compatibility: ensure fields added in newer versions exist
+    if (!state.yardSlots) state.yardSlots = DEFAULT_YARD_SLOTS.map((s) => ({ ...s }));
+    if (!state.hasOwnProperty("staging")) state.staging = null;
+    if (!state.queuedTrailers) state.queuedTrailers = [];
+    if (!state.appointmentQueue) state.appointmentQueue = [];
+    if (!state.shippedTrailers) state.shippedTrailers = [];
+    if (!state.receivedTrailers) state.receivedTrailers = [];
+    if (!state.trash) state.trash = [];
+    if (!state.appointments) state.appointments = [];
+    if (!state.doorGroups) state.doorGroups = [];
+    if (!state.maintenanceWindows) state.maintenanceWindows = [];
+    if (!state.customers) state.customers = [];
+    return state;
   }
   return {
-    doors: DEFAULT_DOORS,
+    revision: lastRevision,
+    doors: DEFAULT_DOORS.map((d) => ({ ...d })),
     trailers: [],
-    carriers: DEFAULT_CARRIERS,
+    carriers: DEFAULT_CARRIERS.map((c) => ({ ...c })),
     yardTrailers: [],
-    yardSlots: DEFAULT_YARD_SLOTS,
+    yardSlots: DEFAULT_YARD_SLOTS.map((s) => ({ ...s })),
     staging: null,
     queuedTrailers: [],
     appointmentQueue: [],
     shippedTrailers: [],
     receivedTrailers: [],
+    trash: [],
+    appointments: [],
+    doorGroups: [],
+    maintenanceWindows: [],
+    customers: [],
   };
 }
 
 /**
  * Save state for a specific facility.
- * Uses atomic write (temp file + rename) to prevent race conditions.
+ * Bumps state.revision so clients can detect stale copies (see getStateRevision)
+ * and records the change for the next SSE event (see takeStateChanges).
+ * The JSON adapter uses an atomic write (temp file + rename).
+ *
+ * @param {object} state - Full facility state
+ * @param {string} facilityId - Facility ID
+ * @param {object} options - { replace: true } when the whole state was swapped
+ *   out (restore, demo data) and clients should reload instead of applying a delta
  */
-function saveState(state, facilityId = DEFAULT_FACILITY_ID) {
-  const stateFile = MULTI_FACILITY_MODE
-    ? getFacilityStateFile(facilityId)
-    : STATE_FILE;
-
-  // Ensure directory exists for multi-facility mode
-  if (MULTI_FACILITY_MODE) {
-    const dir = path.dirname(stateFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+function saveState(state, facilityId = DEFAULT_FACILITY_ID, options = {}) {
+  const key = facilityId || DEFAULT_FACILITY_ID;
+  if (!pendingChanges.has(key)) {
+    const base = savedStates.has(key) ? savedStates.get(key) : JSON.stringify(loadState(facilityId));
+    pendingChanges.set(key, { base, replaced: false });
   }
 
-  // Atomic write: write to temp file then rename
-  const tmpFile = stateFile + '.tmp';
-  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
-  fs.renameSync(tmpFile, stateFile);
+  state.revision = Math.max(state.revision || 0, stateRevisions.get(key) || 0) + 1;
+  getStorage().saveState(state, facilityId);
+  stateRevisions.set(key, state.revision);
+
+  const pending = pendingChanges.get(key);
+  pending.latest = JSON.stringify(state);
+  savedStates.set(key, pending.latest);
+  if (options.replace) pending.replaced = true;
 }
 
 /**
- * Load history from history.json.
- * History is an append-only log of all significant actions.
+ * Take the state changes saved since the previous call for a facility.
+ * Several saves in one request are folded into a single delta.
  *
- * Structure: { entries: [{ id, timestamp, action, ...details }] }
- * Actions: 'MOVED_TO_DOOR', 'MOVED_TO_YARD', 'TRAILER_CREATED', 'TRAILER_SHIPPED', etc.
+ * @returns {object|null} - { baseRevision, revision, changes } or
+ *   { baseRevision, revision, replaced: true }; null when nothing was saved
  */
-function loadHistory(facilityId = DEFAULT_FACILITY_ID) {
-  const historyFile = MULTI_FACILITY_MODE
-    ? getFacilityHistoryFile(facilityId)
-    : HISTORY_FILE;
+function takeStateChanges(facilityId = DEFAULT_FACILITY_ID) {
+  const key = facilityId || DEFAULT_FACILITY_ID;
+  const pending = pendingChanges.get(key);
+  if (!pending) return null;
+  pendingChanges.delete(key);
 
-  if (fs.existsSync(historyFile)) {
+  const base = JSON.parse(pending.base);
+  const next = JSON.parse(pending.latest);
+  if (pending.replaced) {
+    return { baseRevision: base.revision, revision: next.revision, replaced: true };
+  }
+  const changes = diffState(base, next) || { collections: {}, set: {} };
+  stateChangeListeners.forEach((listener) => {
     try {
-      return JSON.parse(fs.readFileSync(historyFile, "utf-8"));
+      listener({ base, next, changes }, key);
     } catch (e) {
-      console.error(`Error loading history:`, e);
+      console.error(`[State] Change listener failed for ${key}:`, e);
     }
+  });
+  return { baseRevision: base.revision, revision: next.revision, changes };
+}
+
+/**
+ * Register a function called with every change takeStateChanges hands out,
+ * together with the states it goes between (see undo.js). Whole-state
+ * replacements are not passed on.
+ * @param {Function} listener - ({ base, next, changes }, facilityId) => void
+ */
+function onStateChanges(listener) {
+  stateChangeListeners.push(listener);
+}
+
+/**
+ * Get the current state revision for a facility without returning the state.
+ * Used for If-Match checks, response headers and SSE events.
+ */
+function getStateRevision(facilityId = DEFAULT_FACILITY_ID) {
+  const key = facilityId || DEFAULT_FACILITY_ID;
+  if (!stateRevisions.has(key)) {
+    stateRevisions.set(key, loadState(facilityId).revision);
   }
-  return { entries: [] };
+  return stateRevisions.get(key);
+}
+
+/**
+ * Load history, newest entry first.
+ * History is an append-only log of all significant actions. It is never
+ * truncated, so pass a range when only part of it is needed.
+ *
+ * Structure: { entries: [{ id, timestamp, action, ...details }] }
+ * Actions: 'MOVED_TO_DOOR', 'MOVED_TO_YARD', 'TRAILER_CREATED', 'TRAILER_SHIPPED', etc.
+ *
+ * @param {string} facilityId - Facility ID
+ * @param {object} range - Optional { from, to } ISO timestamps (inclusive)
+ */
+function loadHistory(facilityId = DEFAULT_FACILITY_ID, range = {}) {
+  return getStorage().loadHistory(facilityId, range) || { entries: [] };
 }
 
 function saveHistory(history, facilityId = DEFAULT_FACILITY_ID) {
-  const historyFile = MULTI_FACILITY_MODE
-    ? getFacilityHistoryFile(facilityId)
-    : HISTORY_FILE;
-
-  if (MULTI_FACILITY_MODE) {
-    const dir = path.dirname(historyFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  }
+  getStorage().saveHistory(history, facilityId);
+}
+
+/**
+ * Search history with paging, newest entry first.
+ *
+ * @param {string} facilityId - Facility ID
+ * @param {object} options - { from, to, filter, offset, limit } (filter is an entry predicate)
+ * @returns {{ entries: object[], total: number }} - total counts all matches, not just the page
+ */
+function queryHistory(facilityId = DEFAULT_FACILITY_ID, options = {}) {
+  return getStorage().queryHistory(facilityId, options);
+}
 
-  // Atomic write: write to temp file then rename
-  const tmpFile = historyFile + '.tmp';
-  fs.writeFileSync(tmpFile, JSON.stringify(history, null, 2));
-  fs.renameSync(tmpFile, historyFile);
+/**
+ * Apply a retention policy: drop history from before the start of the UTC
+ * day `retentionDays` ago. Whole days are removed so both backends agree.
+ *
+ * @returns {number} - Number of entries removed
+ */
+function pruneHistory(facilityId = DEFAULT_FACILITY_ID, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return 0;
+  const cutoff = new Date();
+  cutoff.setUTCHours(0, 0, 0, 0);
+  cutoff.setUTCDate(cutoff.getUTCDate() - retentionDays);
+  return getStorage().pruneHistory(facilityId, cutoff.toISOString());
 }
 
 /**
  * Add an entry to the history log.
- * Automatically trims to 1000 most recent entries.
  *
  * @param {string} action - Action type (e.g., 'MOVED_TO_DOOR')
  * @param {object} details - Additional data to log
@@ -162,8 +263,6 @@ function saveHistory(history, facilityId = DEFAULT_FACILITY_ID) {
  * @returns {object} - The created history entry
  */
 function addHistoryEntry(action, details, user = null, facilityId = DEFAULT_FACILITY_ID) {
-  const history = loadHistory(facilityId);
-
   // Format username - append home facility ID if user is visiting from another facility
   // This shows WHERE they came from, not where they are
   let formattedUsername = user?.username;
@@ -171,23 +270,60 @@ function addHistoryEntry(action, details, user = null, facilityId = DEFAULT_FACI
     formattedUsername = `${user.username}@${user.homeFacility}`;
   }
 
-  history.entries.unshift({
+  const entry = {
     id: uuidv4(),
     timestamp: new Date().toISOString(),
     action,
     ...details,
     ...(user && { userId: user.userId, username: formattedUsername }),
+  };
+  getStorage().appendHistory(entry, facilityId);
+  historyListeners.forEach((listener) => {
+    try {
+      listener(entry, facilityId);
+    } catch (e) {
+      console.error(`[History] Listener failed for ${action}:`, e);
+    }
   });
-  // Keep last 1000 entries to prevent file bloat
-  if (history.entries.length > 1000) {
-    history.entries = history.entries.slice(0, 1000);
-  }
-  saveHistory(history, facilityId);
-  return history.entries[0];
+  return entry;
+}
+
+/**
+ * Register a function called with every history entry once it is logged
+ * (see webhooks.js)
+ * @param {Function} listener - (entry, facilityId) => void
+ */
+function onHistoryEntry(listener) {
+  historyListeners.push(listener);
+}
+
+/**
+ * Run a function while holding the write lock for a facility.
+ * Work for the same facility runs one at a time in arrival order, so each
+ * caller sees whatever the previous one saved. Different facilities never
+ * wait on each other.
+ *
+ * @param {string} facilityId - Facility to lock
+ * @param {Function} fn - Work to run; may return a promise (lock is held until it settles)
+ * @returns {Promise} - Resolves/rejects with fn's result
+ */
+function withFacilityLock(facilityId, fn) {
+  const key = facilityId || DEFAULT_FACILITY_ID;
+  const previous = facilityLocks.get(key) || Promise.resolve();
+  const run = previous.then(() => fn());
+
+  // A failed job must not block the ones queued behind it
+  const tail = run.catch(() => {});
+  facilityLocks.set(key, tail);
+  tail.then(() => {
+    if (facilityLocks.get(key) === tail) facilityLocks.delete(key);
+  });
+
+  return run;
 }
 
 /**
- * Load analytics data from analytics.json.
+ * Load analytics data (analytics.json).
  * Stores daily, weekly, and monthly dwell statistics.
  *
  * Structure:
@@ -198,74 +334,108 @@ function addHistoryEntry(action, details, user = null, facilityId = DEFAULT_FACI
  * }
  */
 function loadAnalytics(facilityId = DEFAULT_FACILITY_ID) {
-  const analyticsFile = MULTI_FACILITY_MODE
-    ? getFacilityAnalyticsFile(facilityId)
-    : ANALYTICS_FILE;
-
-  if (fs.existsSync(analyticsFile)) {
-    try {
-      return JSON.parse(fs.readFileSync(analyticsFile, "utf-8"));
-    } catch (e) {
-      console.error(`Error loading analytics:`, e);
-    }
-  }
-  return { snapshots: [], dailyStats: {}, weeklyStats: {}, monthlyStats: {} };
+  return (
+    getStorage().loadAnalytics(facilityId) ||
+    { snapshots: [], dailyStats: {}, weeklyStats: {}, monthlyStats: {} }
+  );
 }
 
 function saveAnalytics(analytics, facilityId = DEFAULT_FACILITY_ID) {
-  const analyticsFile = MULTI_FACILITY_MODE
-    ? getFacilityAnalyticsFile(facilityId)
-    : ANALYTICS_FILE;
-
-  if (MULTI_FACILITY_MODE) {
-    const dir = path.dirname(analyticsFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  }
-
-  // Atomic write: write to temp file then rename
-  const tmpFile = analyticsFile + '.tmp';
-  fs.writeFileSync(tmpFile, JSON.stringify(analytics, null, 2));
-  fs.renameSync(tmpFile, analyticsFile);
+  getStorage().saveAnalytics(analytics, facilityId);
 }
 
 /**
- * Load user settings from settings.json.
+ * Load user settings (settings.json).
  * Merges saved settings with defaults (for backward compatibility).
  */
 function loadSettings(facilityId = DEFAULT_FACILITY_ID) {
-  const settingsFile = MULTI_FACILITY_MODE
-    ? getFacilitySettingsFile(facilityId)
-    : SETTINGS_FILE;
-
-  if (fs.existsSync(settingsFile)) {
-    try {
-      const saved = JSON.parse(fs.readFileSync(settingsFile, "utf-8"));
-      return { ...DEFAULT_SETTINGS, ...saved };
-    } catch (e) {
-      console.error(`Error loading settings:`, e);
-    }
+  const saved = getStorage().loadSettings(facilityId);
+  if (saved) {
+    return { ...DEFAULT_SETTINGS, ...saved };
   }
   return DEFAULT_SETTINGS;
 }
 
 function saveSettings(settings, facilityId = DEFAULT_FACILITY_ID) {
-  const settingsFile = MULTI_FACILITY_MODE
-    ? getFacilitySettingsFile(facilityId)
-    : SETTINGS_FILE;
-
-  if (MULTI_FACILITY_MODE) {
-    const dir = path.dirname(settingsFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  }
+  getStorage().saveSettings(settings, facilityId);
+}
+
+/**
+ * Load webhook subscriptions and their delivery log (webhooks.json).
+ *
+ * Structure (see webhooks.js):
+ * {
+ *   subscriptions: [{ id, name, url, secret, events, enabled, ... }],
+ *   deliveries: [{ id, subscriptionId, event, status, attempts, nextAttemptAt, ... }]
+ * }
+ * Kept out of state.json so the signing secrets never reach the board.
+ */
+function loadWebhooks(facilityId = DEFAULT_FACILITY_ID) {
+  const saved = getStorage().loadWebhooks(facilityId);
+  return { subscriptions: [], deliveries: [], ...(saved || {}) };
+}
+
+function saveWebhooks(webhooks, facilityId = DEFAULT_FACILITY_ID) {
+  getStorage().saveWebhooks(webhooks, facilityId);
+}
+
+/**
+ * Load the facility's integration API keys (api-keys.json).
+ *
+ * Structure (see api-keys.js):
+ * { keys: [{ id, name, prefix, tokenHash, scopes, enabled, lastUsedAt, ... }] }
+ * Only a hash of each key is stored.
+ */
+function loadApiKeys(facilityId = DEFAULT_FACILITY_ID) {
+  const saved = getStorage().loadApiKeys(facilityId);
+  return { keys: [], ...(saved || {}) };
+}
+
+function saveApiKeys(apiKeys, facilityId = DEFAULT_FACILITY_ID) {
+  getStorage().saveApiKeys(apiKeys, facilityId);
+}
+
+/**
+ * Load stored responses for Idempotency-Key replays (idempotency.json).
+ *
+ * Structure (see idempotency.js):
+ * { records: [{ key, actor, fingerprint, statusCode, body, createdAt }] }
+ */
+function loadIdempotency(facilityId = DEFAULT_FACILITY_ID) {
+  const saved = getStorage().loadIdempotency(facilityId);
+  return { records: [], ...(saved || {}) };
+}
+
+function saveIdempotency(idempotency, facilityId = DEFAULT_FACILITY_ID) {
+  getStorage().saveIdempotency(idempotency, facilityId);
+}
+
+/**
+ * Load the facility's scheduled reports and their run log (reports.json).
+ *
+ * Structure (see reports.js):
+ * { reports: [{ id, name, exportType, options, schedule, delivery, enabled, nextRunAt, ... }],
+ *   runs: [{ id, reportId, trigger, status, filename, deliveredTo, error, startedAt, ... }] }
+ */
+function loadReports(facilityId = DEFAULT_FACILITY_ID) {
+  const saved = getStorage().loadReports(facilityId);
+  return { reports: [], runs: [], ...(saved || {}) };
+}
+
+function saveReports(reports, facilityId = DEFAULT_FACILITY_ID) {
+  getStorage().saveReports(reports, facilityId);
+}
+
+/**
+ * Load the facility's backup schedule and retention (archive-policy.json).
+ * Returns null when none is saved; archives.js applies the defaults.
+ */
+function loadArchivePolicy(facilityId = DEFAULT_FACILITY_ID) {
+  return getStorage().loadArchivePolicy(facilityId);
+}
 
-  // Atomic write: write to temp file then rename
-  const tmpFile = settingsFile + '.tmp';
-  fs.writeFileSync(tmpFile, JSON.stringify(settings, null, 2));
-  fs.renameSync(tmpFile, settingsFile);
+function saveArchivePolicy(policy, facilityId = DEFAULT_FACILITY_ID) {
+  getStorage().saveArchivePolicy(policy, facilityId);
 }
 
 /**
@@ -288,12 +458,29 @@ function ensureDataDirs() {
 module.exports = {
   loadState,
   saveState,
+  getStateRevision,
+  takeStateChanges,
+  onStateChanges,
   loadHistory,
   saveHistory,
+  queryHistory,
+  pruneHistory,
   addHistoryEntry,
+  onHistoryEntry,
+  withFacilityLock,
   loadAnalytics,
   saveAnalytics,
   loadSettings,
   saveSettings,
+  loadWebhooks,
+  saveWebhooks,
+  loadApiKeys,
+  saveApiKeys,
+  loadIdempotency,
+  saveIdempotency,
+  loadReports,
+  saveReports,
+  loadArchivePolicy,
+  saveArchivePolicy,
   ensureDataDirs,
 };
@@ -0,0 +1,77 @@
+/**
+ * Storage adapter selection
+ *
+ * All persistence goes through a storage adapter so the backend can be
+ * swapped without touching routes. Pick one with STORAGE_BACKEND:
+ * - json   (default) - JSON files under data/ (see storage/json.js)
+ * - sqlite           - Embedded SQLite database (see storage/sqlite.js)
+ *
+ * Adapter interface:
+ *   loadState(facilityId) / saveState(state, facilityId)
+ *   loadHistory(facilityId, { from, to }) / saveHistory(history, facilityId)
+ *   appendHistory(entry, facilityId)
+ *   queryHistory(facilityId, { from, to, filter, offset, limit }) -> { entries, total }
+ *   pruneHistory(facilityId, before) -> number of entries removed
+ *   loadAnalytics(facilityId) / saveAnalytics(analytics, facilityId)
+ *   loadSettings(facilityId) / saveSettings(settings, facilityId)
+ *   loadWebhooks(facilityId) / saveWebhooks(webhooks, facilityId)
+ *   loadApiKeys(facilityId) / saveApiKeys(apiKeys, facilityId)
+ *   loadIdempotency(facilityId) / saveIdempotency(records, facilityId)
+ *   loadReports(facilityId) / saveReports(reports, facilityId)
+ *   loadArchivePolicy(facilityId) / saveArchivePolicy(policy, facilityId)
+ *   loadUsers(facilityId) / saveUsers(usersData, facilityId)
+ *   loadGlobalUsers() / saveGlobalUsers(usersData)
+ *   loadFacilities() / saveFacilities(facilitiesData)
+ *   listFacilityIds()
+ *   removeFacilityData(facilityId, kinds)
+ *
+ * Loads return null when nothing is stored; callers apply defaults.
+ * History is append-only: entries are only removed by pruneHistory (retention)
+ * or removeFacilityData. History reads are newest first, timestamps are ISO.
+ * Saves throw on failure.
+ *
+ * To add a backend: implement the interface in storage/<name>.js and
+ * register it in ADAPTERS below.
+ */
+
+const { STORAGE_BACKEND } = require("../config");
+
+const ADAPTERS = {
+  json: () => require("./json"),
+  sqlite: () => require("./sqlite"),
+};
+
+let adapter = null;
+
+/**
+ * Get the configured storage adapter (created on first call).
+ */
+function getStorage() {
+  if (!adapter) {
+    const factory = ADAPTERS[STORAGE_BACKEND];
+    if (!factory) {
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected: ${Object.keys(ADAPTERS).join(", ")})`,
+      );
+    }
+    adapter = factory();
+  }
+  return adapter;
+}
+
+/**
+ * Get a specific adapter by name, regardless of configuration.
+ * Used by the JSON → SQLite migration script.
+ */
+function getAdapter(name) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${name}"`);
+  }
+  return factory();
+}
+
+module.exports = {
+  getStorage,
+  getAdapter,
+};
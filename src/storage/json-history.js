@@ -0,0 +1,252 @@
+/**
+ * Append-only history log for the JSON storage adapter
+ *
+ * Each facility's audit log is split into one JSONL segment per UTC day:
+ * - data/facilities/{id}/history/2026-03-04.jsonl  - One entry per line, oldest first
+ * - data/facilities/{id}/history/index.json        - { segments: { date: { count, first, last } } }
+ *
+ * Logging an action appends a single line, so the log is never rewritten or
+ * truncated. The index lets queries skip whole days (date filters) and count
+ * entries without reading them. It is rebuilt from the segments if missing.
+ *
+ * A pre-segment history.json is split into segments on first access and
+ * renamed to history.json.migrated.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, MULTI_FACILITY_MODE, getFacilityDataPath } = require("../config");
+
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Index cache: history dir -> index object (this process is the only writer)
+const indexes = new Map();
+
+function historyDir(facilityId) {
+  if (!MULTI_FACILITY_MODE) return path.join(DATA_DIR, "history");
+  return path.join(getFacilityDataPath(facilityId), "history");
+}
+
+function segmentFile(dir, date) {
+  return path.join(dir, `${date}.jsonl`);
+}
+
+// ISO timestamps are UTC, so the first 10 characters are the segment date
+function segmentDate(timestamp) {
+  return String(timestamp).slice(0, 10);
+}
+
+/**
+ * Read a segment, oldest entry first. A torn last line (crash mid-append)
+ * is skipped rather than failing the whole read.
+ */
+function readSegment(dir, date) {
+  const file = segmentFile(dir, date);
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      console.error(`[History] Skipping unreadable line in ${file}`);
+    }
+  }
+  return entries;
+}
+
+function writeIndex(dir, index) {
+  const file = path.join(dir, "index.json");
+  const tmpFile = file + ".tmp";
+  fs.writeFileSync(tmpFile, JSON.stringify(index, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Rebuild the index by scanning every segment.
+ */
+function rebuildIndex(dir) {
+  const index = { segments: {} };
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir)) {
+      const match = name.match(SEGMENT_PATTERN);
+      if (!match) continue;
+      const entries = readSegment(dir, match[1]);
+      if (entries.length === 0) continue;
+      index.segments[match[1]] = {
+        count: entries.length,
+        first: entries[0].timestamp,
+        last: entries[entries.length - 1].timestamp,
+      };
+    }
+    writeIndex(dir, index);
+  }
+  return index;
+}
+
+/**
+ * Split a legacy history.json ({ entries: [...] }, newest first) into segments.
+ */
+function migrateLegacy(dir, legacyFile) {
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(legacyFile, "utf-8"));
+  } catch (e) {
+    console.error(`[History] Could not read ${legacyFile} for migration:`, e);
+    return;
+  }
+  writeAll(dir, legacy?.entries || []);
+  fs.renameSync(legacyFile, legacyFile + ".migrated");
+  console.log(`[History] Migrated ${legacy?.entries?.length || 0} entries from ${legacyFile}`);
+}
+
+/**
+ * Get the index for a facility, migrating legacy history.json first if needed.
+ */
+function getIndex(facilityId, legacyFile) {
+  const dir = historyDir(facilityId);
+  if (indexes.has(dir)) return { dir, index: indexes.get(dir) };
+
+  if (legacyFile && fs.existsSync(legacyFile) && !fs.existsSync(path.join(dir, "index.json"))) {
+    migrateLegacy(dir, legacyFile);
+  }
+
+  let index = null;
+  const indexFile = path.join(dir, "index.json");
+  if (fs.existsSync(indexFile)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexFile, "utf-8"));
+    } catch (e) {
+      console.error(`[History] Corrupt index ${indexFile}, rebuilding`);
+    }
+  }
+  if (!index?.segments) index = rebuildIndex(dir);
+
+  indexes.set(dir, index);
+  return { dir, index };
+}
+
+/**
+ * Replace the whole log with the given entries (newest first, as loadHistory returns them).
+ */
+function writeAll(dir, entries) {
+  if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const byDate = new Map();
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const date = segmentDate(entries[i].timestamp);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(entries[i]);
+  }
+
+  const index = { segments: {} };
+  for (const [date, dayEntries] of byDate) {
+    fs.writeFileSync(segmentFile(dir, date), dayEntries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+    index.segments[date] = {
+      count: dayEntries.length,
+      first: dayEntries[0].timestamp,
+      last: dayEntries[dayEntries.length - 1].timestamp,
+    };
+  }
+  writeIndex(dir, index);
+  indexes.set(dir, index);
+}
+
+function append(entry, facilityId, legacyFile) {
+  const { dir, index } = getIndex(facilityId, legacyFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const date = segmentDate(entry.timestamp);
+  fs.appendFileSync(segmentFile(dir, date), JSON.stringify(entry) + "\n");
+
+  const segment = index.segments[date] || { count: 0, first: entry.timestamp };
+  segment.count++;
+  segment.last = entry.timestamp;
+  index.segments[date] = segment;
+  writeIndex(dir, index);
+}
+
+/**
+ * Query the log, newest entry first.
+ *
+ * @param {object} options
+ * @param {string} options.from - ISO timestamp lower bound (inclusive)
+ * @param {string} options.to - ISO timestamp upper bound (inclusive)
+ * @param {Function} options.filter - Optional predicate applied to each entry
+ * @param {number} options.offset - Entries to skip (default 0)
+ * @param {number} options.limit - Max entries to return (default: all)
+ * @returns {{ entries: object[], total: number }}
+ */
+function query(facilityId, legacyFile, { from, to, filter, offset = 0, limit } = {}) {
+  const { dir, index } = getIndex(facilityId, legacyFile);
+  const end = limit === undefined ? Infinity : offset + limit;
+  const fromDate = from ? segmentDate(from) : null;
+  const toDate = to ? segmentDate(to) : null;
+
+  const dates = Object.keys(index.segments)
+    .filter((date) => (!fromDate || date >= fromDate) && (!toDate || date <= toDate))
+    .sort()
+    .reverse();
+
+  const entries = [];
+  let total = 0;
+  for (const date of dates) {
+    const segment = index.segments[date];
+
+    // Whole day inside the range and nothing to filter: count it without reading
+    const fullyInRange = (!from || segment.first >= from) && (!to || segment.last <= to);
+    if (!filter && fullyInRange && (total + segment.count <= offset || total >= end)) {
+      total += segment.count;
+      continue;
+    }
+
+    const dayEntries = readSegment(dir, date).reverse();
+    for (const entry of dayEntries) {
+      if (from && entry.timestamp < from) continue;
+      if (to && entry.timestamp > to) continue;
+      if (filter && !filter(entry)) continue;
+      if (total >= offset && total < end) entries.push(entry);
+      total++;
+    }
+  }
+
+  return { entries, total };
+}
+
+/**
+ * Delete whole day segments older than the given timestamp's date.
+ * @returns {number} - Number of entries removed
+ */
+function prune(facilityId, legacyFile, before) {
+  const { dir, index } = getIndex(facilityId, legacyFile);
+  const cutoff = segmentDate(before);
+  let removed = 0;
+  for (const date of Object.keys(index.segments)) {
+    if (date >= cutoff) continue;
+    removed += index.segments[date].count;
+    delete index.segments[date];
+    fs.rmSync(segmentFile(dir, date), { force: true });
+  }
+  if (removed > 0) writeIndex(dir, index);
+  return removed;
+}
+
+function remove(facilityId) {
+  const dir = historyDir(facilityId);
+  indexes.delete(dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function isEmpty(facilityId, legacyFile) {
+  return Object.keys(getIndex(facilityId, legacyFile).index.segments).length === 0;
+}
+
+module.exports = {
+  append,
+  query,
+  prune,
+  remove,
+  isEmpty,
+  replace: (entries, facilityId) => writeAll(historyDir(facilityId), entries),
+};
@@ -0,0 +1,180 @@
+/**
+ * JSON file storage adapter
+ *
+ * The original persistence layout - one JSON document per data type:
+ * - data/facilities.json                 - Facility list
+ * - data/users.json                      - Global (bootstrap) users
+ * - data/facilities/{id}/state.json      - Doors, trailers, yard, queues, carriers
+ * - data/facilities/{id}/history/        - Audit log, daily JSONL segments (see json-history.js)
+ * - data/facilities/{id}/analytics.json  - Dwell statistics
+ * - data/facilities/{id}/settings.json   - UI preferences
+ * - data/facilities/{id}/webhooks.json   - Webhook subscriptions and delivery log
+ * - data/facilities/{id}/api-keys.json   - Integration API keys (hashed)
+ * - data/facilities/{id}/idempotency.json - Stored responses for Idempotency-Key replays
+ * - data/facilities/{id}/reports.json    - Scheduled reports and their run log
+ * - data/facilities/{id}/archive-policy.json - Backup schedule and archive retention
+ * - data/facilities/{id}/users.json      - Facility users
+ *
+ * Every document save rewrites the whole file using an atomic write (temp file + rename).
+ * History is append-only and never rewritten.
+ * Loads return null when the file is missing or unreadable so state.js can
+ * apply its defaults.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  FACILITIES_DIR,
+  FACILITIES_FILE,
+  STATE_FILE,
+  HISTORY_FILE,
+  ANALYTICS_FILE,
+  SETTINGS_FILE,
+  WEBHOOKS_FILE,
+  API_KEYS_FILE,
+  IDEMPOTENCY_FILE,
+  REPORTS_FILE,
+  ARCHIVE_POLICY_FILE,
+  USERS_FILE,
+  MULTI_FACILITY_MODE,
+  getFacilityDataPath,
+} = require("../config");
+const historyLog = require("./json-history");
+
+// Per-facility document kinds and their legacy (single-facility) file paths
+const DOCUMENTS = {
+  state: { file: "state.json", legacy: STATE_FILE },
+  history: { file: "history.json", legacy: HISTORY_FILE },
+  analytics: { file: "analytics.json", legacy: ANALYTICS_FILE },
+  settings: { file: "settings.json", legacy: SETTINGS_FILE },
+  webhooks: { file: "webhooks.json", legacy: WEBHOOKS_FILE },
+  apiKeys: { file: "api-keys.json", legacy: API_KEYS_FILE },
+  idempotency: { file: "idempotency.json", legacy: IDEMPOTENCY_FILE },
+  reports: { file: "reports.json", legacy: REPORTS_FILE },
+  archivePolicy: { file: "archive-policy.json", legacy: ARCHIVE_POLICY_FILE },
+  users: { file: "users.json", legacy: USERS_FILE },
+};
+
+/**
+ * Resolve the file path for a per-facility document.
+ */
+function documentPath(kind, facilityId) {
+  const doc = DOCUMENTS[kind];
+  if (!MULTI_FACILITY_MODE) return doc.legacy;
+  return path.join(getFacilityDataPath(facilityId), doc.file);
+}
+
+function readJson(file, label) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    console.error(`Error loading ${label}:`, e);
+    return null;
+  }
+}
+
+function writeJson(file, data) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Atomic write: write to temp file then rename
+  const tmpFile = file + ".tmp";
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+function load(kind, facilityId) {
+  return readJson(documentPath(kind, facilityId), kind);
+}
+
+function save(kind, data, facilityId) {
+  writeJson(documentPath(kind, facilityId), data);
+}
+
+// Pre-segment history.json location, migrated on first access
+function legacyHistoryFile(facilityId) {
+  return documentPath("history", facilityId);
+}
+
+function loadHistory(facilityId, range = {}) {
+  if (historyLog.isEmpty(facilityId, legacyHistoryFile(facilityId))) return null;
+  return { entries: historyLog.query(facilityId, legacyHistoryFile(facilityId), range).entries };
+}
+
+function saveHistory(history, facilityId) {
+  historyLog.replace(history?.entries || [], facilityId);
+}
+
+function appendHistory(entry, facilityId) {
+  historyLog.append(entry, facilityId, legacyHistoryFile(facilityId));
+}
+
+function queryHistory(facilityId, options) {
+  return historyLog.query(facilityId, legacyHistoryFile(facilityId), options);
+}
+
+function pruneHistory(facilityId, before) {
+  return historyLog.prune(facilityId, legacyHistoryFile(facilityId), before);
+}
+
+/**
+ * List facility IDs that have a data directory.
+ */
+function listFacilityIds() {
+  if (!fs.existsSync(FACILITIES_DIR)) return [];
+  return fs
+    .readdirSync(FACILITIES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+/**
+ * Delete per-facility documents (used by setup reset).
+ * @param {string} facilityId
+ * @param {string[]} kinds - Document kinds to remove (state, history, ...)
+ */
+function removeFacilityData(facilityId, kinds) {
+  for (const kind of kinds) {
+    if (kind === "history") historyLog.remove(facilityId);
+    const file = documentPath(kind, facilityId);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+module.exports = {
+  name: "json",
+  loadState: (facilityId) => load("state", facilityId),
+  saveState: (state, facilityId) => save("state", state, facilityId),
+  loadHistory,
+  saveHistory,
+  appendHistory,
+  queryHistory,
+  pruneHistory,
+  loadAnalytics: (facilityId) => load("analytics", facilityId),
+  saveAnalytics: (analytics, facilityId) => save("analytics", analytics, facilityId),
+  loadSettings: (facilityId) => load("settings", facilityId),
+  saveSettings: (settings, facilityId) => save("settings", settings, facilityId),
+  loadWebhooks: (facilityId) => load("webhooks", facilityId),
+  saveWebhooks: (webhooks, facilityId) => save("webhooks", webhooks, facilityId),
+  loadApiKeys: (facilityId) => load("apiKeys", facilityId),
+  saveApiKeys: (apiKeys, facilityId) => save("apiKeys", apiKeys, facilityId),
+  loadIdempotency: (facilityId) => load("idempotency", facilityId),
+  saveIdempotency: (records, facilityId) => save("idempotency", records, facilityId),
+  loadReports: (facilityId) => load("reports", facilityId),
+  saveReports: (reports, facilityId) => save("reports", reports, facilityId),
+  loadArchivePolicy: (facilityId) => load("archivePolicy", facilityId),
+  saveArchivePolicy: (policy, facilityId) => save("archivePolicy", policy, facilityId),
+  loadUsers: (facilityId) => load("users", facilityId),
+  saveUsers: (usersData, facilityId) => save("users", usersData, facilityId),
+  loadGlobalUsers: () => readJson(USERS_FILE, "global users"),
+  saveGlobalUsers: (usersData) => writeJson(USERS_FILE, usersData),
+  loadFacilities: () => readJson(FACILITIES_FILE, "facilities"),
+  saveFacilities: (facilitiesData) => writeJson(FACILITIES_FILE, facilitiesData),
+  listFacilityIds,
+  removeFacilityData,
+};
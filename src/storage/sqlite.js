@@ -0,0 +1,269 @@
+/**
+ * SQLite storage adapter
+ *
+ * Stores all data in a single embedded database file (data/dockboard.db by
+ * default, override with SQLITE_FILE). Enable with STORAGE_BACKEND=sqlite.
+ *
+ * Tables:
+ * - documents: one row per (kind, facilityId) holding a JSON document
+ *   (state, analytics, settings, webhooks, apiKeys, idempotency, reports,
+ *   archivePolicy, users, facilities). Global documents use an empty facility ID.
+ * - history: one row per audit entry, so logging an action is a single
+ *   INSERT instead of rewriting the whole log. Rows are only removed by
+ *   pruneHistory (retention) or a facility reset.
+ *
+ * The database runs in WAL mode so readers never block the writer.
+ * Requires the optional better-sqlite3 dependency.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { SQLITE_FILE, DEFAULT_FACILITY_ID } = require("../config");
+
+const GLOBAL_SCOPE = "";
+
+let db = null;
+let statements = null;
+
+/**
+ * Open the database on first use and prepare statements.
+ */
+function getDb() {
+  if (db) return db;
+
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (e) {
+    throw new Error(
+      "STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)",
+    );
+  }
+
+  const dir = path.dirname(SQLITE_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  db = new Database(SQLITE_FILE);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      kind TEXT NOT NULL,
+      facility_id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (kind, facility_id)
+    );
+    CREATE TABLE IF NOT EXISTS history (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      facility_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      action TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_history_facility ON history (facility_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_history_timestamp ON history (facility_id, timestamp);
+  `);
+
+  statements = {
+    getDocument: db.prepare("SELECT data FROM documents WHERE kind = ? AND facility_id = ?"),
+    putDocument: db.prepare(`
+      INSERT INTO documents (kind, facility_id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (kind, facility_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    deleteDocument: db.prepare("DELETE FROM documents WHERE kind = ? AND facility_id = ?"),
+    listFacilityIds: db.prepare(
+      "SELECT DISTINCT facility_id FROM documents WHERE facility_id != '' " +
+      "UNION SELECT DISTINCT facility_id FROM history",
+    ),
+    countHistory: db.prepare("SELECT COUNT(*) AS count FROM history WHERE facility_id = ?"),
+    insertHistory: db.prepare(
+      "INSERT INTO history (facility_id, id, timestamp, action, data) VALUES (?, ?, ?, ?, ?)",
+    ),
+    clearHistory: db.prepare("DELETE FROM history WHERE facility_id = ?"),
+    pruneHistory: db.prepare("DELETE FROM history WHERE facility_id = ? AND timestamp < ?"),
+  };
+
+  return db;
+}
+
+function scope(facilityId) {
+  return facilityId || DEFAULT_FACILITY_ID;
+}
+
+function load(kind, id) {
+  getDb();
+  const row = statements.getDocument.get(kind, id);
+  if (!row) return null;
+  try {
+    return JSON.parse(row.data);
+  } catch (e) {
+    console.error(`Error loading ${kind}:`, e);
+    return null;
+  }
+}
+
+function save(kind, data, id) {
+  getDb();
+  statements.putDocument.run(kind, id, JSON.stringify(data), new Date().toISOString());
+}
+
+function insertEntry(facilityId, entry) {
+  statements.insertHistory.run(
+    facilityId,
+    entry.id,
+    entry.timestamp,
+    entry.action,
+    JSON.stringify(entry),
+  );
+}
+
+/**
+ * Build the WHERE clause for a history range query.
+ */
+function historyRange(facilityId, { from, to } = {}) {
+  let where = "facility_id = ?";
+  const params = [scope(facilityId)];
+  if (from) {
+    where += " AND timestamp >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND timestamp <= ?";
+    params.push(to);
+  }
+  return { where, params };
+}
+
+function loadHistory(facilityId, range = {}) {
+  getDb();
+  if (statements.countHistory.get(scope(facilityId)).count === 0) return null;
+  const { where, params } = historyRange(facilityId, range);
+  const rows = db.prepare(`SELECT data FROM history WHERE ${where} ORDER BY seq DESC`).all(...params);
+  return { entries: rows.map((row) => JSON.parse(row.data)) };
+}
+
+/**
+ * Query history newest first. Without a filter the database does the paging;
+ * with one, rows are streamed and filtered here.
+ * Options: { from, to, filter, offset, limit } - see json-history.js query().
+ */
+function queryHistory(facilityId, { from, to, filter, offset = 0, limit } = {}) {
+  getDb();
+  const { where, params } = historyRange(facilityId, { from, to });
+
+  if (!filter) {
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM history WHERE ${where}`).get(...params).count;
+    const rows = db
+      .prepare(`SELECT data FROM history WHERE ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit === undefined ? -1 : limit, offset);
+    return { entries: rows.map((row) => JSON.parse(row.data)), total };
+  }
+
+  const end = limit === undefined ? Infinity : offset + limit;
+  const entries = [];
+  let total = 0;
+  for (const row of db.prepare(`SELECT data FROM history WHERE ${where} ORDER BY seq DESC`).iterate(...params)) {
+    const entry = JSON.parse(row.data);
+    if (!filter(entry)) continue;
+    if (total >= offset && total < end) entries.push(entry);
+    total++;
+  }
+  return { entries, total };
+}
+
+/**
+ * Replace the whole history log. Entries are newest-first, so they are
+ * inserted in reverse to keep seq ordering chronological.
+ */
+function saveHistory(history, facilityId) {
+  const id = scope(facilityId);
+  getDb().transaction(() => {
+    statements.clearHistory.run(id);
+    const entries = history?.entries || [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      insertEntry(id, entries[i]);
+    }
+  })();
+}
+
+function appendHistory(entry, facilityId) {
+  getDb();
+  insertEntry(scope(facilityId), entry);
+}
+
+/**
+ * Delete entries older than the given ISO timestamp.
+ * @returns {number} - Number of entries removed
+ */
+function pruneHistory(facilityId, before) {
+  getDb();
+  return statements.pruneHistory.run(scope(facilityId), before).changes;
+}
+
+function listFacilityIds() {
+  getDb();
+  return statements.listFacilityIds.all().map((row) => row.facility_id);
+}
+
+function removeFacilityData(facilityId, kinds) {
+  const id = scope(facilityId);
+  getDb().transaction(() => {
+    for (const kind of kinds) {
+      if (kind === "history") {
+        statements.clearHistory.run(id);
+      } else {
+        statements.deleteDocument.run(kind, id);
+      }
+    }
+  })();
+}
+
+/**
+ * Close the database (used by the migration script).
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+    statements = null;
+  }
+}
+
+module.exports = {
+  name: "sqlite",
+  loadState: (facilityId) => load("state", scope(facilityId)),
+  saveState: (state, facilityId) => save("state", state, scope(facilityId)),
+  loadHistory,
+  saveHistory,
+  appendHistory,
+  queryHistory,
+  pruneHistory,
+  loadAnalytics: (facilityId) => load("analytics", scope(facilityId)),
+  saveAnalytics: (analytics, facilityId) => save("analytics", analytics, scope(facilityId)),
+  loadSettings: (facilityId) => load("settings", scope(facilityId)),
+  saveSettings: (settings, facilityId) => save("settings", settings, scope(facilityId)),
+  loadWebhooks: (facilityId) => load("webhooks", scope(facilityId)),
+  saveWebhooks: (webhooks, facilityId) => save("webhooks", webhooks, scope(facilityId)),
+  loadApiKeys: (facilityId) => load("apiKeys", scope(facilityId)),
+  saveApiKeys: (apiKeys, facilityId) => save("apiKeys", apiKeys, scope(facilityId)),
+  loadIdempotency: (facilityId) => load("idempotency", scope(facilityId)),
+  saveIdempotency: (records, facilityId) => save("idempotency", records, scope(facilityId)),
+  loadReports: (facilityId) => load("reports", scope(facilityId)),
+  saveReports: (reports, facilityId) => save("reports", reports, scope(facilityId)),
+  loadArchivePolicy: (facilityId) => load("archivePolicy", scope(facilityId)),
+  saveArchivePolicy: (policy, facilityId) => save("archivePolicy", policy, scope(facilityId)),
+  loadUsers: (facilityId) => load("users", scope(facilityId)),
+  saveUsers: (usersData, facilityId) => save("users", usersData, scope(facilityId)),
+  loadGlobalUsers: () => load("users", GLOBAL_SCOPE),
+  saveGlobalUsers: (usersData) => save("users", usersData, GLOBAL_SCOPE),
+  loadFacilities: () => load("facilities", GLOBAL_SCOPE),
+  saveFacilities: (facilitiesData) => save("facilities", facilitiesData, GLOBAL_SCOPE),
+  listFacilityIds,
+  removeFacilityData,
+  close,
+};
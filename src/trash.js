@@ -0,0 +1,249 @@
+/**
+ * Trash module
+ * Soft delete for trailers, doors, yard slots and shipped/received records
+ *
+ * Deleting one of these moves it into the facility's `trash` list in state
+ * instead of dropping it, so it can be restored later:
+ * {
+ *   id,            // Trash item ID (not the entity's)
+ *   entityType,    // "trailer" | "door" | "yard-slot" | "shipped" | "received"
+ *   entity,        // The deleted record as it was
+ *   context,       // Where it was, e.g. { location: "door", doorId, doorNumber }
+ *   deletedAt,
+ *   deletedBy,     // { userId, username }
+ * }
+ *
+ * Items are purged for good after TRASH_RETENTION_DAYS (facility
+ * config.trashRetentionDays overrides it, 0 keeps them forever).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { TRASH_RETENTION_DAYS } = require("./config");
+
+const TRASH_ENTITY_TYPES = ["trailer", "door", "yard-slot", "shipped", "received"];
+
+/**
+ * Move a deleted entity into the trash (caller saves the state)
+ * @param {object} state - Facility state being modified
+ * @param {string} entityType - One of TRASH_ENTITY_TYPES
+ * @param {object} entity - The record removed from the board
+ * @param {object} user - req.user of whoever deleted it
+ * @param {object} context - Where it was, used to put it back on restore
+ * @returns {object} - The trash item
+ */
+function moveToTrash(state, entityType, entity, user, context = {}) {
+  if (!state.trash) state.trash = [];
+  const item = {
+    id: uuidv4(),
+    entityType,
+    entity,
+    context,
+    deletedAt: new Date().toISOString(),
+    deletedBy: user ? { userId: user.userId, username: user.username } : null,
+  };
+  state.trash.push(item);
+  return item;
+}
+
+/**
+ * Where a trailer is on the board, to record with its trash item
+ */
+function trailerContext(state, trailer) {
+  if (state.staging?.id === trailer.id) return { location: "staging" };
+  if (state.queuedTrailers?.some((t) => t.id === trailer.id)) {
+    if (trailer.targetDoorGroupId) {
+      return { location: "queue", targetDoorGroupId: trailer.targetDoorGroupId, targetDoorGroupName: trailer.targetDoorGroupName };
+    }
+    return { location: "queue", targetDoorId: trailer.targetDoorId, targetDoorNumber: trailer.targetDoorNumber };
+  }
+  if (state.appointmentQueue?.some((t) => t.id === trailer.id)) return { location: "appointment-queue" };
+  if (trailer.doorId) return { location: "door", doorId: trailer.doorId, doorNumber: trailer.doorNumber };
+  if (trailer.yardSlotId) return { location: "yard-slot", yardSlotId: trailer.yardSlotId, yardSlotNumber: trailer.yardSlotNumber };
+  return { location: "yard" };
+}
+
+function trailerExists(state, id) {
+  return state.trailers.some((t) => t.id === id) ||
+    state.yardTrailers.some((t) => t.id === id) ||
+    state.staging?.id === id ||
+    (state.queuedTrailers || []).some((t) => t.id === id) ||
+    (state.appointmentQueue || []).some((t) => t.id === id);
+}
+
+// Put a trailer back where it was, or in the unassigned yard if that spot is gone or taken
+function restoreTrailer(state, trailer, context) {
+  if (trailerExists(state, trailer.id)) {
+    return { error: "Trailer is already on the board", status: 409 };
+  }
+
+  const door = context.location === "door" && state.doors.find((d) => d.id === context.doorId);
+  if (door && !door.trailerId && door.inService !== false) {
+    door.trailerId = trailer.id;
+    door.status = trailer.status || "occupied";
+    Object.assign(trailer, { location: "door", doorId: door.id, doorNumber: door.number });
+    state.trailers.push(trailer);
+    return { location: `Door ${door.number}` };
+  }
+
+  const slot = context.location === "yard-slot" && state.yardSlots.find((s) => s.id === context.yardSlotId);
+  if (slot && !slot.trailerId) {
+    slot.trailerId = trailer.id;
+    Object.assign(trailer, { location: "yard", yardSlotId: slot.id, yardSlotNumber: slot.number });
+    state.trailers.push(trailer);
+    return { location: `Yard Spot ${slot.number}` };
+  }
+
+  if (context.location === "staging" && !state.staging) {
+    trailer.location = "staging";
+    state.staging = trailer;
+    return { location: "Staging" };
+  }
+
+  const target = context.location === "queue" && state.doors.find((d) => d.id === context.targetDoorId);
+  if (target) {
+    Object.assign(trailer, { targetDoorId: target.id, targetDoorNumber: target.number, queuedAt: new Date().toISOString() });
+    state.queuedTrailers.push(trailer);
+    return { location: `Queue for Door ${target.number}` };
+  }
+
+  const group = context.location === "queue" && (state.doorGroups || []).find((g) => g.id === context.targetDoorGroupId);
+  if (group) {
+    Object.assign(trailer, { targetDoorGroupId: group.id, targetDoorGroupName: group.name, queuedAt: new Date().toISOString() });
+    state.queuedTrailers.push(trailer);
+    return { location: `Queue for ${group.name}` };
+  }
+
+  if (context.location === "appointment-queue") {
+    state.appointmentQueue.push(trailer);
+    return { location: "Appointment Queue" };
+  }
+
+  trailer.location = "yard";
+  delete trailer.doorId;
+  delete trailer.doorNumber;
+  delete trailer.yardSlotId;
+  delete trailer.yardSlotNumber;
+  delete trailer.targetDoorId;
+  delete trailer.targetDoorNumber;
+  delete trailer.targetDoorGroupId;
+  delete trailer.targetDoorGroupName;
+  state.yardTrailers.push(trailer);
+  return { location: "Unassigned Yard" };
+}
+
+// Doors and slots come back empty - their trailers were moved to the yard on delete
+function restoreDoor(state, door) {
+  if (state.doors.some((d) => d.id === door.id)) {
+    return { error: "Door is already on the board", status: 409 };
+  }
+  if (state.doors.some((d) => d.number === door.number)) {
+    return { error: `Door ${door.number} already exists`, status: 409 };
+  }
+  door.trailerId = null;
+  door.status = "empty";
+  state.doors.push(door);
+  state.doors.sort((a, b) => (a.order ?? a.number) - (b.order ?? b.number));
+  return { location: `Door ${door.number}` };
+}
+
+function restoreYardSlot(state, slot) {
+  if (state.yardSlots.some((s) => s.id === slot.id)) {
+    return { error: "Yard slot is already on the board", status: 409 };
+  }
+  if (state.yardSlots.some((s) => s.number === slot.number)) {
+    return { error: `Yard slot ${slot.number} already exists`, status: 409 };
+  }
+  slot.trailerId = null;
+  state.yardSlots.push(slot);
+  state.yardSlots.sort((a, b) => a.number - b.number);
+  return { location: `Yard Spot ${slot.number}` };
+}
+
+function restoreRecord(list, record, label) {
+  if (list.some((t) => t.id === record.id)) {
+    return { error: `${label} record already exists`, status: 409 };
+  }
+  list.push(record);
+  return { location: label };
+}
+
+/**
+ * Take an item out of the trash and put it back on the board (caller saves the state)
+ * @returns {object} - { success, item, location } or { success: false, error, status }
+ */
+function restoreFromTrash(state, trashId) {
+  const item = (state.trash || []).find((t) => t.id === trashId);
+  if (!item) return { success: false, error: "Trash item not found", status: 404 };
+
+  const entity = JSON.parse(JSON.stringify(item.entity));
+  let result;
+  switch (item.entityType) {
+    case "trailer":
+      result = restoreTrailer(state, entity, item.context || {});
+      break;
+    case "door":
+      result = restoreDoor(state, entity);
+      break;
+    case "yard-slot":
+      result = restoreYardSlot(state, entity);
+      break;
+    case "shipped":
+      result = restoreRecord(state.shippedTrailers, entity, "Shipped");
+      break;
+    case "received":
+      result = restoreRecord(state.receivedTrailers, entity, "Received");
+      break;
+    default:
+      result = { error: `Unknown trash item type "${item.entityType}"`, status: 400 };
+  }
+
+  if (result.error) return { success: false, error: result.error, status: result.status };
+
+  state.trash = state.trash.filter((t) => t.id !== trashId);
+  return { success: true, item: { ...item, entity }, location: result.location };
+}
+
+/**
+ * Drop trash items deleted more than `retentionDays` ago (caller saves the state)
+ * @returns {number} - Items removed
+ */
+function purgeTrash(state, retentionDays, now = Date.now()) {
+  if (!retentionDays || !state.trash?.length) return 0;
+  const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const before = state.trash.length;
+  state.trash = state.trash.filter((t) => t.deletedAt >= cutoff);
+  return before - state.trash.length;
+}
+
+/**
+ * Trash retention for a facility (facility config overrides the default)
+ */
+function getTrashRetentionDays(facility) {
+  return facility?.config?.trashRetentionDays ?? TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Summary of a trash item for listings
+ */
+function describeTrashItem(item) {
+  const { entity, entityType } = item;
+  let name;
+  if (entityType === "door") name = `Door ${entity.number}`;
+  else if (entityType === "yard-slot") name = `Yard Spot ${entity.number}`;
+  else name = [entity.carrier, entity.number].filter(Boolean).join(" ") || "Trailer";
+  return { ...item, name };
+}
+
+module.exports = {
+  TRASH_ENTITY_TYPES,
+  moveToTrash,
+  trailerContext,
+  trailerExists,
+  restoreTrailer,
+  restoreDoor,
+  restoreYardSlot,
+  restoreFromTrash,
+  purgeTrash,
+  getTrashRetentionDays,
+  describeTrashItem,
+};
@@ -0,0 +1,321 @@
+/**
+ * Undo module
+ * Server-side undo/redo history per user and facility
+ *
+ * Every board change made through a lockFacility route is recorded for the
+ * user who made it: the delta its saves produced for SSE (`changes`, see
+ * onStateChanges in state.js) and the reverse of that delta (`inverse`), see
+ * state-delta.js.
+ *
+ * - Undo applies `inverse`, but only if everything the operation touched still
+ *   looks the way the operation left it. If someone changed one of those
+ *   trailers/doors/etc. since, the undo is refused (UNDO_CONFLICT).
+ * - Redo applies `changes` under the same rule, against the undone state.
+ * - A new operation by the user clears their redo stack.
+ *
+ * Only operations that broadcast a regular stateChange are recorded (not
+ * whole-board replacements like archive restore or demo data). Carrier usage
+ * counts bumped as a side effect of trailer operations are left alone.
+ * Stacks are kept in memory (UNDO_HISTORY_SIZE entries per user and facility)
+ * and start empty after a server restart.
+ */
+
+const { DEFAULT_FACILITY_ID, UNDO_HISTORY_SIZE } = require("./config");
+const { loadState, saveState, addHistoryEntry, onStateChanges } = require("./state");
+const { invertDelta, composeDeltas, applyDelta, findDeltaConflicts } = require("./state-delta");
+const { onBroadcast, broadcastStateChange } = require("./sse");
+const { v4: uuidv4 } = require("uuid");
+
+// `${facilityId}:${userId}` -> { undo: [entry, ...], redo: [entry, ...] } (newest last)
+const stacks = new Map();
+
+// Write in progress per facility (lockFacility runs one at a time):
+// facilityId -> { user, before, after, steps: [{ changes, inverse }], events: [{ type, subject, replaced }], recording }
+const activeOperations = new Map();
+
+// Verbs for operation labels ("trailer.ship" -> "Ship trailer ...")
+const ACTION_VERBS = {
+  create: "Create",
+  update: "Edit",
+  delete: "Delete",
+  move: "Move",
+  ship: "Ship",
+  receive: "Receive",
+  reorder: "Reorder",
+  add: "Add",
+  remove: "Remove",
+  "assign-next": "Assign next trailer to",
+  restore: "Restore",
+  purge: "Purge",
+  book: "Book",
+  reschedule: "Reschedule",
+  cancel: "Cancel",
+  schedule: "Schedule",
+  end: "End",
+  merge: "Merge duplicates into",
+  acknowledge: "Acknowledge",
+  snooze: "Snooze",
+  import: "Import",
+};
+
+// Entities whose type isn't already a readable noun
+const ENTITY_NOUNS = { yard: "yard slot", "door-group": "door group", schedule: "appointment settings", assignment: "door assignment rules", maintenance: "maintenance on door", "dwell-policy": "dwell policy", "alert-rules": "alert rules" };
+
+// Trash item types as nouns ("Restore yard slot 4 from trash")
+const TRASH_NOUNS = { trailer: "trailer", door: "door", "yard-slot": "yard slot", shipped: "shipped record", received: "received record" };
+
+// Collections changed as a side effect of other entities' operations
+const INCIDENTAL_FIELDS = { carriers: "carrier" };
+
+// Fields holding trailers, to name the trailer an operation was about
+const TRAILER_FIELDS = ["trailers", "yardTrailers", "queuedTrailers", "appointmentQueue", "shippedTrailers", "receivedTrailers"];
+
+function stackFor(facilityId, userId) {
+  const key = `${facilityId || DEFAULT_FACILITY_ID}:${userId}`;
+  if (!stacks.has(key)) stacks.set(key, { undo: [], redo: [] });
+  return stacks.get(key);
+}
+
+function findTrailer(state, trailerId) {
+  if (!trailerId) return null;
+  if (state.staging?.id === trailerId) return state.staging;
+  for (const field of TRAILER_FIELDS) {
+    const trailer = (state[field] || []).find((t) => t.id === trailerId);
+    if (trailer) return trailer;
+  }
+  return null;
+}
+
+/**
+ * Human-readable label for an operation, e.g. "Ship trailer ACME 1234"
+ */
+function describeOperation(type, subject, before, after) {
+  const [entity, action] = String(type).split(".");
+  const verb = ACTION_VERBS[action] || action || "Change";
+  const noun = ENTITY_NOUNS[entity] || entity;
+
+  let name = "";
+  const trailer = findTrailer(before, subject?.trailerId) || findTrailer(after, subject?.trailerId);
+  if (trailer) {
+    name = ` ${trailer.carrier || ""}${trailer.number ? " " + trailer.number : ""}`.trimEnd();
+  } else if (subject?.doorId) {
+    const door = (after.doors || []).find((d) => d.id === subject.doorId) || (before.doors || []).find((d) => d.id === subject.doorId);
+    if (door) name = ` ${door.number}`;
+  } else if (subject?.slotId) {
+    const slot = (after.yardSlots || []).find((s) => s.id === subject.slotId) || (before.yardSlots || []).find((s) => s.id === subject.slotId);
+    if (slot) name = ` ${slot.number}`;
+  } else if (subject?.appointmentId) {
+    const appointment = (after.appointments || []).find((a) => a.id === subject.appointmentId) || (before.appointments || []).find((a) => a.id === subject.appointmentId);
+    if (appointment) name = ` ${appointment.carrier}${appointment.trailerNumber ? " " + appointment.trailerNumber : ""}`;
+  } else if (subject?.doorGroupId) {
+    const group = (after.doorGroups || []).find((g) => g.id === subject.doorGroupId) || (before.doorGroups || []).find((g) => g.id === subject.doorGroupId);
+    if (group) name = ` ${group.name}`;
+  } else if (subject?.carrierId) {
+    const carrier = (after.carriers || []).find((c) => c.id === subject.carrierId) || (before.carriers || []).find((c) => c.id === subject.carrierId);
+    if (carrier) name = ` ${carrier.name}`;
+  } else if (subject?.customerId) {
+    const customer = (after.customers || []).find((c) => c.id === subject.customerId) || (before.customers || []).find((c) => c.id === subject.customerId);
+    if (customer) name = ` ${customer.name}`;
+  }
+
+  if (entity === "trash") {
+    return action === "restore"
+      ? `${verb} ${TRASH_NOUNS[subject?.entityType] || "item"}${name} from trash`
+      : `${verb} trash`;
+  }
+  if (action === "move" && subject?.doorId) {
+    const door = (after.doors || []).find((d) => d.id === subject.doorId);
+    return `${verb} trailer${name} to Door ${door?.number ?? "?"}`;
+  }
+  if (action === "move") return `${verb} trailer${name} to yard`;
+  if (entity === "archive") return `${verb} ${subject?.count} item${subject?.count !== 1 ? "s" : ""} from archive`;
+  if (action === "import") return `${verb} ${subject?.count} trailer${subject?.count !== 1 ? "s" : ""}`;
+  if (entity === "queue" || entity === "staging") return `${verb} trailer${name} (${entity})`;
+  return `${verb} ${noun}${name}`;
+}
+
+// Drop side-effect collections from an operation on another entity type
+function withoutIncidental(delta, entity) {
+  if (!delta) return delta;
+  const collections = { ...delta.collections };
+  for (const [field, owner] of Object.entries(INCIDENTAL_FIELDS)) {
+    if (owner !== entity) delete collections[field];
+  }
+  if (Object.keys(collections).length === 0 && Object.keys(delta.set || {}).length === 0) return null;
+  return { collections, set: delta.set || {} };
+}
+
+// Changes saved while a facility's write is in progress, with their reverse
+// (states kept for naming the operation)
+onStateChanges(({ base, next, changes }, facilityId) => {
+  const operation = activeOperations.get(facilityId);
+  if (!operation) return;
+  if (!operation.before) operation.before = base;
+  operation.after = next;
+  operation.steps.push({ changes, inverse: invertDelta(base, changes) });
+});
+
+// Broadcasts made while a facility's write is in progress belong to it
+onBroadcast((eventType, data, { facilityId }) => {
+  if (eventType !== "stateChange") return;
+  const operation = activeOperations.get(facilityId || DEFAULT_FACILITY_ID);
+  if (operation) operation.events.push({ type: data.type, subject: data.subject, replaced: !!data.replaced });
+});
+
+/**
+ * Start tracking a write (called by lockFacility once it holds the lock)
+ */
+function beginOperation(facilityId, user) {
+  if (!user?.userId) return;
+  activeOperations.set(facilityId, {
+    user,
+    before: null,
+    after: null,
+    steps: [],
+    events: [],
+    recording: true,
+  });
+}
+
+/**
+ * Don't record the write in progress (undo/redo themselves)
+ */
+function skipRecording(facilityId) {
+  const operation = activeOperations.get(facilityId);
+  if (operation) operation.recording = false;
+}
+
+/**
+ * Finish tracking a write and record it on the user's undo stack
+ * @param {string} facilityId
+ * @param {boolean} succeeded - Response status was below 400
+ */
+function endOperation(facilityId, succeeded) {
+  const operation = activeOperations.get(facilityId);
+  activeOperations.delete(facilityId);
+  if (!operation || !operation.recording || !succeeded) return;
+
+  const { events, steps, before, after, user } = operation;
+  if (events.length === 0 || events.some((e) => e.replaced) || steps.length === 0) return;
+
+  const { type, subject } = events[events.length - 1];
+  const entity = type.split(".")[0];
+  const changes = withoutIncidental(steps.map((s) => s.changes).reduce(composeDeltas), entity);
+  const inverse = withoutIncidental(steps.map((s) => s.inverse).reduceRight(composeDeltas), entity);
+  if (!changes || !inverse) return;
+
+  const stack = stackFor(facilityId, user.userId);
+  stack.undo.push({
+    id: uuidv4(),
+    type,
+    subject,
+    label: describeOperation(type, subject, before, after),
+    timestamp: new Date().toISOString(),
+    changes,
+    inverse,
+  });
+  if (stack.undo.length > UNDO_HISTORY_SIZE) stack.undo.splice(0, stack.undo.length - UNDO_HISTORY_SIZE);
+  stack.redo = [];
+}
+
+function summarize(entry) {
+  return { id: entry.id, type: entry.type, label: entry.label, timestamp: entry.timestamp };
+}
+
+/**
+ * Undo/redo stacks of a user, newest first
+ */
+function getUndoStatus(facilityId, userId) {
+  const stack = stackFor(facilityId, userId);
+  return {
+    undo: stack.undo.slice().reverse().map(summarize),
+    redo: stack.redo.slice().reverse().map(summarize),
+  };
+}
+
+/**
+ * Undo or redo the user's last `count` operations, all or nothing.
+ * Must run under the facility's write lock (lockFacility).
+ *
+ * @param {string} direction - "undo" or "redo"
+ * @returns {object} - { success, entries, revision } or { error, code, status, entry?, conflicts? }
+ */
+function step(direction, facilityId, user, count = 1) {
+  const stack = stackFor(facilityId, user.userId);
+  const from = direction === "undo" ? stack.undo : stack.redo;
+  const to = direction === "undo" ? stack.redo : stack.undo;
+
+  if (from.length === 0) {
+    return { error: `Nothing to ${direction}`, code: "NOTHING_TO_" + direction.toUpperCase(), status: 400 };
+  }
+  if (count > from.length) {
+    return { error: `Only ${from.length} operation(s) to ${direction}`, code: "NOTHING_TO_" + direction.toUpperCase(), status: 400 };
+  }
+
+  skipRecording(facilityId);
+  const state = loadState(facilityId);
+  const entries = from.slice(-count).reverse();
+
+  // Apply in sequence on the working copy; any conflict aborts the whole request
+  for (const entry of entries) {
+    const expected = direction === "undo" ? entry.changes : entry.inverse;
+    const conflicts = findDeltaConflicts(state, expected);
+    if (conflicts.length > 0) {
+      return {
+        error: `Can't ${direction} "${entry.label}" - it was changed by someone else since`,
+        code: "UNDO_CONFLICT",
+        status: 409,
+        entry: summarize(entry),
+        conflicts,
+      };
+    }
+    applyDelta(state, direction === "undo" ? entry.inverse : entry.changes);
+  }
+
+  saveState(state, facilityId);
+  from.splice(from.length - count, count);
+  to.push(...entries);
+
+  const first = entries[0];
+  addHistoryEntry(
+    direction.toUpperCase(),
+    {
+      operation: entries.map((e) => e.label).join("; "),
+      operationType: first.type,
+      trailerId: first.subject?.trailerId,
+      carrier: findTrailer(state, first.subject?.trailerId)?.carrier,
+      trailerNumber: findTrailer(state, first.subject?.trailerId)?.number,
+      count: entries.length,
+    },
+    user,
+    facilityId,
+  );
+  broadcastStateChange(direction, "apply", { entryIds: entries.map((e) => e.id) }, facilityId);
+
+  return { success: true, entries: entries.map(summarize), revision: state.revision };
+}
+
+/**
+ * Remove one entry from a user's undo or redo stack (e.g. after a conflict)
+ * @returns {boolean} - Whether the entry was found
+ */
+function discardEntry(facilityId, userId, entryId) {
+  const stack = stackFor(facilityId, userId);
+  for (const list of [stack.undo, stack.redo]) {
+    const index = list.findIndex((e) => e.id === entryId);
+    if (index !== -1) {
+      list.splice(index, 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  beginOperation,
+  endOperation,
+  getUndoStatus,
+  undo: (facilityId, user, count) => step("undo", facilityId, user, count),
+  redo: (facilityId, user, count) => step("redo", facilityId, user, count),
+  discardEntry,
+};
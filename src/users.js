@@ -2,7 +2,8 @@
  * User management module
  *
  * Handles user CRUD operations with bcrypt password hashing.
- * Users are stored in data/users.json.
+ * Users are persisted through the storage adapter (data/users.json for
+ * global users, data/facilities/{id}/users.json per facility).
  *
  * Roles:
  * - admin: Full access (user management, facility reset, all operations)
@@ -10,20 +11,14 @@
  * - viewer: Read-only access
  */
 
-const fs = require("fs");
-const path = require("path");
 const bcrypt = require("bcryptjs");
 const { v4: uuidv4 } = require("uuid");
 const {
-  USERS_FILE,
-  DATA_DIR,
   AUTH_USER,
   MULTI_FACILITY_MODE,
   DEFAULT_FACILITY_ID,
-  getFacilityUsersFile,
-  FACILITIES_DIR,
-  FACILITIES_FILE,
 } = require("./config");
+const { getStorage } = require("./storage");
 
 const SALT_ROUNDS = 10;
 
@@ -34,20 +29,12 @@ const DEFAULT_USERS = {
 };
 
 /**
- * Load users from JSON file for a specific facility
- * Creates default structure if file doesn't exist
+ * Load users for a specific facility
+ * Creates default structure if nothing is stored yet
  */
 function loadUsers(facilityId = DEFAULT_FACILITY_ID) {
-  const usersFile = MULTI_FACILITY_MODE
-    ? getFacilityUsersFile(facilityId)
-    : USERS_FILE;
-
   try {
-    if (!fs.existsSync(usersFile)) {
-      return { ...DEFAULT_USERS };
-    }
-    const data = fs.readFileSync(usersFile, "utf8");
-    return JSON.parse(data);
+    return getStorage().loadUsers(facilityId) || { ...DEFAULT_USERS };
   } catch (error) {
     console.error(`[Users] Error loading users for facility ${facilityId}:`, error.message);
     return { ...DEFAULT_USERS };
@@ -55,23 +42,11 @@ function loadUsers(facilityId = DEFAULT_FACILITY_ID) {
 }
 
 /**
- * Save users to JSON file for a specific facility
+ * Save users for a specific facility
  */
 function saveUsers(usersData, facilityId = DEFAULT_FACILITY_ID) {
-  const usersFile = MULTI_FACILITY_MODE
-    ? getFacilityUsersFile(facilityId)
-    : USERS_FILE;
-
   try {
-    if (MULTI_FACILITY_MODE) {
-      const dir = path.dirname(usersFile);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    } else if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-    fs.writeFileSync(usersFile, JSON.stringify(usersData, null, 2));
+    getStorage().saveUsers(usersData, facilityId);
     return true;
   } catch (error) {
     console.error(`[Users] Error saving users for facility ${facilityId}:`, error.message);
@@ -80,16 +55,12 @@ function saveUsers(usersData, facilityId = DEFAULT_FACILITY_ID) {
 }
 
 /**
- * Load global bootstrap users from data/users.json
+ * Load global bootstrap users (data/users.json)
  * Used in multi-facility mode for bootstrap admins
  */
 function loadGlobalUsers() {
   try {
-    if (!fs.existsSync(USERS_FILE)) {
-      return { ...DEFAULT_USERS };
-    }
-    const data = fs.readFileSync(USERS_FILE, "utf8");
-    return JSON.parse(data);
+    return getStorage().loadGlobalUsers() || { ...DEFAULT_USERS };
   } catch (error) {
     console.error("[Users] Error loading global users:", error.message);
     return { ...DEFAULT_USERS };
@@ -97,14 +68,11 @@ function loadGlobalUsers() {
 }
 
 /**
- * Save global bootstrap users to data/users.json
+ * Save global bootstrap users (data/users.json)
  */
 function saveGlobalUsers(usersData) {
   try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-    fs.writeFileSync(USERS_FILE, JSON.stringify(usersData, null, 2));
+    getStorage().saveGlobalUsers(usersData);
     return true;
   } catch (error) {
     console.error("[Users] Error saving global users:", error.message);
@@ -131,36 +99,18 @@ function findGlobalUserById(userId) {
 }
 
 /**
- * Load bootstrap/global users from data/users.json
+ * Load bootstrap/global users (data/users.json)
  * These are admin users that can manage any facility
  */
 function loadBootstrapUsers() {
-  try {
-    if (!fs.existsSync(USERS_FILE)) {
-      return { ...DEFAULT_USERS };
-    }
-    const data = fs.readFileSync(USERS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error("[Users] Error loading bootstrap users:", error.message);
-    return { ...DEFAULT_USERS };
-  }
+  return loadGlobalUsers();
 }
 
 /**
- * Save bootstrap/global users to data/users.json
+ * Save bootstrap/global users (data/users.json)
  */
 function saveBootstrapUsers(usersData) {
-  try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-    fs.writeFileSync(USERS_FILE, JSON.stringify(usersData, null, 2));
-    return true;
-  } catch (error) {
-    console.error("[Users] Error saving bootstrap users:", error.message);
-    return false;
-  }
+  return saveGlobalUsers(usersData);
 }
 
 /**
@@ -175,28 +125,13 @@ function findUserByUsernameGlobal(username) {
 
   // Multi-facility: search all facilities
   try {
-    if (!fs.existsSync(FACILITIES_DIR)) {
-      return null;
-    }
-    const facilities = fs.readdirSync(FACILITIES_DIR);
-    for (const facilityId of facilities) {
-      const facilityPath = path.join(FACILITIES_DIR, facilityId);
-      if (!fs.statSync(facilityPath).isDirectory()) continue;
-
-      const usersFile = path.join(facilityPath, "users.json");
-      if (!fs.existsSync(usersFile)) continue;
-
-      try {
-        const data = fs.readFileSync(usersFile, "utf8");
-        const usersData = JSON.parse(data);
-        const user = usersData.users.find(
-          (u) => u.username.toLowerCase() === username.toLowerCase() && u.active !== false
-        );
-        if (user) {
-          return { user, facilityId };
-        }
-      } catch (e) {
-        continue;
+    for (const facilityId of getStorage().listFacilityIds()) {
+      const usersData = loadUsers(facilityId);
+      const user = usersData.users.find(
+        (u) => u.username.toLowerCase() === username.toLowerCase() && u.active !== false
+      );
+      if (user) {
+        return { user, facilityId };
       }
     }
     return null;
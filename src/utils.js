@@ -27,6 +27,32 @@ function sanitizeInput(input) {
     .trim();
 }
 
+/**
+ * Normalize a clock time typed by hand or read from a file.
+ * Accepts "14:30", "2:30 PM", "2pm", "14:30:00" or a date with a time
+ * ("2026-03-04T14:30...").
+ *
+ * @param {any} text - The time as entered
+ * @returns {string|null} - "HH:MM", or null if it isn't a time
+ */
+function normalizeTime(text) {
+  if (typeof text !== "string") return null;
+  const value = text.trim();
+  const dateTime = value.match(/^\d{4}-\d{2}-\d{2}[T ](\d{2}):(\d{2})/);
+  if (dateTime) return `${dateTime[1]}:${dateTime[2]}`;
+  const time = value.match(/^(\d{1,2})(?::(\d{2})(?::\d{2})?)?\s*([ap]\.?m\.?)?$/i);
+  if (!time || (time[2] === undefined && !time[3])) return null;
+  let hours = parseInt(time[1], 10);
+  const minutes = parseInt(time[2] || "0", 10);
+  const meridiem = time[3]?.[0].toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
 /**
  * Check if initial setup is needed.
  * Returns true if state file doesn't exist or has empty doors/yardSlots.
@@ -136,6 +162,7 @@ function generateFacilityConfig({
 module.exports = {
   uuidv4,
   sanitizeInput,
+  normalizeTime,
   isSetupNeeded,
   generateFacilityConfig,
 };
@@ -0,0 +1,346 @@
+/**
+ * Webhooks module
+ * Outbound webhooks: history events POSTed to subscribers (e.g. a WMS), signed with HMAC
+ *
+ * Kept per facility in webhooks.json (loadWebhooks/saveWebhooks, not the board state):
+ * - subscriptions: [{
+ *     id, name, url,
+ *     secret,                // HMAC-SHA256 key for X-Dockboard-Signature (never listed, see publicSubscription)
+ *     events,                // History actions to send (e.g. "MOVED_TO_DOOR"), or ["*"] for all
+ *     enabled, createdAt, createdBy, updatedAt
+ *   }]
+ * - deliveries: [{
+ *     id, subscriptionId, subscriptionName, event, entryId,
+ *     payload,               // { deliveryId, event, facilityId, timestamp, data: history entry }
+ *     status,                // pending | delivered | dead
+ *     attempts, nextAttemptAt, lastAttemptAt, lastStatusCode, lastError,
+ *     createdAt, deliveredAt
+ *   }] (oldest first)
+ *
+ * Every history entry (see onHistoryEntry in state.js) queues a delivery for
+ * each enabled subscription listening to its action, and is sent right away.
+ * When the receiver fails (non-2xx answer, timeout, network error) the
+ * delivery is retried after RETRY_DELAYS_SECONDS; once those run out it is
+ * "dead" - the dead-letter log - until an admin retries it. server.js sends
+ * due retries every few seconds.
+ *
+ * Request: POST <url> with the JSON payload and headers
+ * - X-Dockboard-Event      - History action
+ * - X-Dockboard-Delivery   - Delivery ID (the same on every retry)
+ * - X-Dockboard-Timestamp  - Unix seconds of this attempt
+ * - X-Dockboard-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { sanitizeInput } = require("./utils");
+const { loadWebhooks, saveWebhooks } = require("./state");
+
+// Trailer lifecycle actions offered first in the UI (any history action can be subscribed to)
+const LIFECYCLE_EVENTS = [
+  "TRAILER_CREATED",
+  "MOVED_TO_DOOR",
+  "MOVED_TO_YARD",
+  "MOVED_TO_YARD_SLOT",
+  "MOVED_TO_STAGING",
+  "TRAILER_QUEUED",
+  "TRAILER_ASSIGNED_FROM_QUEUE",
+  "TRAILER_LOADED",
+  "TRAILER_EMPTY",
+  "TRAILER_UPDATED",
+  "TRAILER_SHIPPED",
+  "TRAILER_RECEIVED",
+  "TRAILER_DELETED",
+];
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+// Sent by "Send test" (not a history action)
+const PING_EVENT = "PING";
+
+// Wait before each retry; a delivery is dead after the last one fails
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 7200];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_SUBSCRIPTIONS = 20;
+const MAX_DELIVERED = 500;
+const MAX_DEAD = 500;
+
+// Deliveries being sent right now, so overlapping runs don't send one twice
+const inFlight = new Set();
+
+/**
+ * Subscription without its secret (for listings)
+ */
+function publicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Validate subscription fields (new subscription or changes to one)
+ * @param {object} input - Request body
+ * @param {object} existing - Subscription being changed, if any
+ * @returns {object} - { fields } (only the fields given) or { error }
+ */
+function validateSubscription(input, existing = null) {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    const name = input.name ? sanitizeInput(String(input.name).trim()).slice(0, 100) : "";
+    if (!name) return { error: "Webhook name is required" };
+    fields.name = name;
+  }
+
+  if (input.url !== undefined || !existing) {
+    let url;
+    try {
+      url = new URL(String(input.url || ""));
+    } catch (e) {
+      return { error: "url must be a full http(s) URL" };
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return { error: "url must be a full http(s) URL" };
+    fields.url = url.toString();
+  }
+
+  if (input.events !== undefined || !existing) {
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      return { error: 'events must be a list of history actions (or ["*"] for all)' };
+    }
+    const events = [...new Set(input.events.map((e) => String(e).trim().toUpperCase()))];
+    const invalid = events.find((e) => e !== "*" && !/^[A-Z][A-Z0-9_]*$/.test(e));
+    if (invalid) return { error: `Invalid event type: ${invalid}` };
+    fields.events = events.includes("*") ? ["*"] : events;
+  }
+
+  if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+
+  return { fields };
+}
+
+/**
+ * Add a subscription with a new secret (caller saves)
+ */
+function createSubscription(webhooks, fields, user) {
+  if (webhooks.subscriptions.length >= MAX_SUBSCRIPTIONS) {
+    return { error: `At most ${MAX_SUBSCRIPTIONS} webhooks per facility` };
+  }
+  const now = new Date().toISOString();
+  const subscription = {
+    id: uuidv4(),
+    enabled: true,
+    ...fields,
+    secret: generateSecret(),
+    createdAt: now,
+    createdBy: user?.username || null,
+    updatedAt: now,
+  };
+  webhooks.subscriptions.push(subscription);
+  return { subscription };
+}
+
+/**
+ * Give a subscription a new secret (caller saves)
+ */
+function rotateSecret(subscription) {
+  subscription.secret = generateSecret();
+  subscription.updatedAt = new Date().toISOString();
+}
+
+function listensTo(subscription, event) {
+  return subscription.enabled && (subscription.events.includes("*") || subscription.events.includes(event));
+}
+
+// Drop the oldest delivered and dead deliveries over their caps
+function pruneDeliveries(webhooks) {
+  for (const [status, max] of [["delivered", MAX_DELIVERED], ["dead", MAX_DEAD]]) {
+    const matching = webhooks.deliveries.filter((d) => d.status === status);
+    if (matching.length <= max) continue;
+    const dropped = new Set(matching.slice(0, matching.length - max).map((d) => d.id));
+    webhooks.deliveries = webhooks.deliveries.filter((d) => !dropped.has(d.id));
+  }
+}
+
+function newDelivery(subscription, event, entry, facilityId) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  return {
+    id,
+    subscriptionId: subscription.id,
+    subscriptionName: subscription.name,
+    event,
+    entryId: entry.id || null,
+    payload: { deliveryId: id, event, facilityId, timestamp: entry.timestamp || now, data: entry },
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastAttemptAt: null,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: now,
+    deliveredAt: null,
+  };
+}
+
+/**
+ * History listener: queue a delivery per subscription listening to the entry's
+ * action and send them (registered by server.js with onHistoryEntry)
+ */
+function queueWebhookDeliveries(entry, facilityId) {
+  const webhooks = loadWebhooks(facilityId);
+  const subscriptions = webhooks.subscriptions.filter((s) => listensTo(s, entry.action));
+  if (subscriptions.length === 0) return;
+
+  subscriptions.forEach((s) => webhooks.deliveries.push(newDelivery(s, entry.action, entry, facilityId)));
+  pruneDeliveries(webhooks);
+  saveWebhooks(webhooks, facilityId);
+  setImmediate(() => {
+    deliverDueWebhooks(facilityId).catch((e) => {
+      console.error(`[Webhooks] Delivery failed for ${facilityId}:`, e);
+    });
+  });
+}
+
+/**
+ * Queue a PING delivery to one subscription, whatever its events (caller saves, then calls deliverDueWebhooks)
+ */
+function queueTestDelivery(webhooks, subscription, user, facilityId) {
+  const entry = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    action: PING_EVENT,
+    message: `Test delivery for webhook ${subscription.name}`,
+    ...(user && { userId: user.userId, username: user.username }),
+  };
+  const delivery = newDelivery(subscription, PING_EVENT, entry, facilityId);
+  webhooks.deliveries.push(delivery);
+  return delivery;
+}
+
+/**
+ * Put a dead delivery back in the queue, from its first attempt (caller saves)
+ */
+function retryDelivery(delivery) {
+  delivery.status = "pending";
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date().toISOString();
+}
+
+/**
+ * Signature header value for a body sent at `timestamp` (unix seconds)
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// One attempt: { ok, statusCode, error }
+async function send(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "warehouse-dockboard-webhooks",
+        "X-Dockboard-Event": delivery.event,
+        "X-Dockboard-Delivery": delivery.id,
+        "X-Dockboard-Timestamp": String(timestamp),
+        "X-Dockboard-Signature": signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    await res.arrayBuffer().catch(() => null);
+    if (res.status >= 200 && res.status < 300) return { ok: true, statusCode: res.status, error: null };
+    return { ok: false, statusCode: res.status, error: `HTTP ${res.status}` };
+  } catch (e) {
+    const error = e.name === "TimeoutError" ? `No answer within ${REQUEST_TIMEOUT_MS / 1000}s` : e.cause?.message || e.message;
+    return { ok: false, statusCode: null, error };
+  }
+}
+
+// Record an attempt's outcome on the stored delivery (reloaded: others may have saved meanwhile)
+function recordAttempt(facilityId, deliveryId, result, attemptedAt) {
+  const webhooks = loadWebhooks(facilityId);
+  const delivery = webhooks.deliveries.find((d) => d.id === deliveryId);
+  if (!delivery) return;
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = attemptedAt;
+  delivery.lastStatusCode = result.statusCode;
+  delivery.lastError = result.error;
+
+  if (result.ok) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts > RETRY_DELAYS_SECONDS.length) {
+    delivery.status = "dead";
+    delivery.nextAttemptAt = null;
+    console.warn(`[Webhooks] ${facilityId}: ${delivery.event} to ${delivery.subscriptionName} failed ${delivery.attempts} times (${result.error}), moved to dead letters`);
+  } else {
+    const delay = RETRY_DELAYS_SECONDS[delivery.attempts - 1];
+    delivery.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+  }
+
+  pruneDeliveries(webhooks);
+  saveWebhooks(webhooks, facilityId);
+}
+
+/**
+ * Send every pending delivery that is due (new ones and retries)
+ * @returns {Promise<number>} - Deliveries attempted
+ */
+async function deliverDueWebhooks(facilityId) {
+  const webhooks = loadWebhooks(facilityId);
+  const now = new Date().toISOString();
+  const subscriptions = new Map(webhooks.subscriptions.map((s) => [s.id, s]));
+
+  const due = webhooks.deliveries.filter((d) =>
+    d.status === "pending" &&
+    d.nextAttemptAt <= now &&
+    !inFlight.has(d.id) &&
+    subscriptions.get(d.subscriptionId)?.enabled,
+  );
+
+  await Promise.all(due.map(async (delivery) => {
+    inFlight.add(delivery.id);
+    try {
+      const attemptedAt = new Date().toISOString();
+      const result = await send(subscriptions.get(delivery.subscriptionId), delivery);
+      recordAttempt(facilityId, delivery.id, result, attemptedAt);
+    } finally {
+      inFlight.delete(delivery.id);
+    }
+  }));
+  return due.length;
+}
+
+/**
+ * Delivery for listings (payload left out unless asked for)
+ */
+function deliverySummary(delivery, withPayload = false) {
+  if (withPayload) return delivery;
+  const { payload, ...rest } = delivery;
+  return rest;
+}
+
+module.exports = {
+  LIFECYCLE_EVENTS,
+  DELIVERY_STATUSES,
+  PING_EVENT,
+  RETRY_DELAYS_SECONDS,
+  publicSubscription,
+  validateSubscription,
+  createSubscription,
+  rotateSecret,
+  queueWebhookDeliveries,
+  queueTestDelivery,
+  retryDelivery,
+  signPayload,
+  deliverDueWebhooks,
+  deliverySummary,
+};
@@ -0,0 +1,340 @@
+/**
+ * WebSocket module
+ * Bidirectional sessions for tablets, alongside the SSE stream (sse.js)
+ *
+ * Endpoint: ws://host/api/ws?token=xxx[&lastEventId=N]
+ * Same JWT validation and facility scoping as GET /api/events: a socket only
+ * receives events for the facility in its token.
+ *
+ * Server -> client (JSON):
+ *   { type: "connected", userId, facilityId, seq, resumed }
+ *   { type: "event", event: "stateChange" | "toast" | "resync", data }
+ *   { type: "ack", id, ok: true, ... } / { type: "ack", id, ok: false, error }
+ *
+ * Client -> server (JSON, `id` is echoed back in the ack):
+ *   { id, type: "subscribe", doors: [4, "door-7"], trailers: [...], entities: ["door"] }
+ *       Only receive stateChange events touching these doors/trailers or of
+ *       these entity types (seq then has gaps). Replaces any earlier subscription.
+ *   { id, type: "unsubscribe" }               Back to every event of the facility
+ *   { id, type: "presence", screen, doorNumber, operatorName, activity }
+ *       Heartbeat; tablets send one every 30 seconds and on screen changes.
+ *       Shown to other users of the facility (see presence.js)
+ *   { id, type: "command", command: "loader.status", payload: {...}, ifMatch }
+ *       Runs the matching REST endpoint (see COMMANDS) as the socket's user;
+ *       the ack carries its HTTP status and `result` (or `error`/`code`)
+ *   { id, type: "ping" }
+ */
+
+const { WebSocketServer } = require("ws");
+const { DEFAULT_FACILITY_ID } = require("./config");
+const { loadState } = require("./state");
+const { validateToken, getMissedEvents, getCurrentSeq, onBroadcast } = require("./sse");
+const { addConnection, removeConnection, updateConnection, validateActivity } = require("./presence");
+const { sanitizeInput } = require("./utils");
+
+const WS_PATH = "/api/ws";
+
+// Ping interval; sockets that miss a pong are dropped
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Largest message a client may send
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Commands map to existing REST endpoints so they share auth, roles,
+// write locking, If-Match checks, history and broadcasts with the HTTP API
+const COMMANDS = {
+  "state.get": { method: "GET", path: () => "/api/state" },
+  "loader.door": { method: "POST", path: () => "/api/loader/door" },
+  "loader.status": { method: "POST", path: () => "/api/loader/status" },
+  "trailer.ship": { method: "POST", path: (p) => `/api/trailers/${encodeURIComponent(p.trailerId)}/ship`, requires: "trailerId" },
+  "trailer.receive": { method: "POST", path: (p) => `/api/trailers/${encodeURIComponent(p.trailerId)}/receive`, requires: "trailerId" },
+  "trailer.moveToDoor": { method: "POST", path: () => "/api/move-to-door" },
+  "trailer.moveToYard": { method: "POST", path: () => "/api/move-to-yard" },
+};
+
+// State fields holding trailers (for trailer/door subscriptions)
+const TRAILER_FIELDS = ["trailers", "yardTrailers", "queuedTrailers", "appointmentQueue", "shippedTrailers", "receivedTrailers"];
+
+// Connected sockets: clientId -> { socket, userId, username, role, facilityId, token, subscription, alive }
+const wsClients = new Map();
+
+let localPort = null;
+
+function send(client, message) {
+  if (client.socket.readyState !== client.socket.OPEN) return;
+  try {
+    client.socket.send(JSON.stringify(message));
+  } catch (err) {
+    console.error(`[WS] Failed to send to ${client.userId}:`, err.message);
+  }
+}
+
+function ack(client, id, result) {
+  send(client, { type: "ack", id: id ?? null, ...result });
+}
+
+/**
+ * Does a stateChange event touch the client's subscription?
+ */
+function matchesSubscription(subscription, data) {
+  if (!subscription || data.replaced) return true;
+
+  const entity = String(data.type || "").split(".")[0];
+  if (subscription.entities.has(entity)) return true;
+
+  const subject = data.subject || {};
+  if (subject.doorId && subscription.doors.has(subject.doorId)) return true;
+  if (subject.trailerId && subscription.trailers.has(subject.trailerId)) return true;
+
+  const collections = data.changes?.collections || {};
+  const touches = (delta, ids) =>
+    delta && (delta.upsert.some((item) => ids.has(item.id)) || delta.remove.some((id) => ids.has(id)));
+
+  if (touches(collections.doors, subscription.doors)) return true;
+  for (const field of TRAILER_FIELDS) {
+    const delta = collections[field];
+    if (touches(delta, subscription.trailers)) return true;
+    if (delta?.upsert.some((trailer) => trailer.doorId && subscription.doors.has(trailer.doorId))) return true;
+  }
+  return false;
+}
+
+/**
+ * Deliver a broadcast (see sse.js onBroadcast) to matching sockets
+ */
+function deliver(eventType, data, { excludeUserId, facilityId }) {
+  for (const client of wsClients.values()) {
+    if (excludeUserId && client.userId === excludeUserId) continue;
+    if (facilityId && client.facilityId !== facilityId) continue;
+    if (eventType === "stateChange" && !matchesSubscription(client.subscription, data)) continue;
+    send(client, { type: "event", event: eventType, data });
+  }
+}
+
+/**
+ * Resolve door numbers/IDs against the facility's doors
+ * @returns {object} - { ids } or { error }
+ */
+function resolveDoors(facilityId, doors) {
+  const state = loadState(facilityId);
+  const ids = [];
+  for (const ref of doors) {
+    const door = state.doors.find((d) => d.id === ref || d.number === Number(ref));
+    if (!door) return { error: `Door not found: ${ref}` };
+    ids.push(door.id);
+  }
+  return { ids };
+}
+
+function handleSubscribe(client, message) {
+  const doors = Array.isArray(message.doors) ? message.doors : [];
+  const trailers = Array.isArray(message.trailers) ? message.trailers.map(String) : [];
+  const entities = Array.isArray(message.entities) ? message.entities.map(String) : [];
+
+  if (doors.length === 0 && trailers.length === 0 && entities.length === 0) {
+    return ack(client, message.id, { ok: false, error: "Subscribe to at least one door, trailer or entity" });
+  }
+
+  const resolved = resolveDoors(client.facilityId, doors);
+  if (resolved.error) return ack(client, message.id, { ok: false, error: resolved.error });
+
+  client.subscription = {
+    doors: new Set(resolved.ids),
+    trailers: new Set(trailers),
+    entities: new Set(entities),
+  };
+  ack(client, message.id, { ok: true, subscription: { doors: resolved.ids, trailers, entities } });
+}
+
+function handlePresence(clientId, client, message) {
+  const { activity, error } = validateActivity(message.activity);
+  if (error) return ack(client, message.id, { ok: false, error });
+
+  updateConnection(clientId, {
+    activity,
+    tablet: {
+      screen: message.screen ? sanitizeInput(String(message.screen)) : null,
+      doorNumber: message.doorNumber !== undefined && message.doorNumber !== null && message.doorNumber !== ""
+        ? parseInt(message.doorNumber) || null
+        : null,
+      operatorName: message.operatorName ? sanitizeInput(String(message.operatorName)) : null,
+    },
+  });
+  ack(client, message.id, { ok: true, serverTime: new Date().toISOString() });
+}
+
+/**
+ * Run a command through the REST API as the socket's user
+ */
+async function handleCommand(client, message) {
+  const command = COMMANDS[message.command];
+  if (!command) {
+    return ack(client, message.id, { ok: false, error: `Unknown command: ${message.command}` });
+  }
+
+  const payload = message.payload && typeof message.payload === "object" ? message.payload : {};
+  if (command.requires && !payload[command.requires]) {
+    return ack(client, message.id, { ok: false, status: 400, error: `${command.requires} is required` });
+  }
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${localPort}${command.path(payload)}`, {
+      method: command.method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${client.token}`,
+        ...(message.ifMatch !== undefined && { "If-Match": String(message.ifMatch) }),
+      },
+      body: command.method === "GET" ? undefined : JSON.stringify(payload),
+    });
+    const result = await res.json().catch(() => ({}));
+    const revision = res.headers.get("X-State-Revision");
+
+    if (res.ok) {
+      return ack(client, message.id, {
+        ok: true,
+        status: res.status,
+        ...(revision && { revision: Number(revision) }),
+        result,
+      });
+    }
+    // Errors keep code/revision but not a 409's full state - send state.get for that
+    ack(client, message.id, {
+      ok: false,
+      status: res.status,
+      error: result.error || res.statusText,
+      ...(result.code && { code: result.code }),
+      ...(result.revision !== undefined && { revision: result.revision }),
+    });
+  } catch (err) {
+    console.error(`[WS] Command ${message.command} failed:`, err.message);
+    ack(client, message.id, { ok: false, status: 500, error: "Command failed" });
+  }
+}
+
+function handleMessage(clientId, client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    return ack(client, null, { ok: false, error: "Invalid JSON" });
+  }
+  if (!message || typeof message !== "object") {
+    return ack(client, null, { ok: false, error: "Invalid message" });
+  }
+
+  switch (message.type) {
+    case "subscribe":
+      return handleSubscribe(client, message);
+    case "unsubscribe":
+      client.subscription = null;
+      return ack(client, message.id, { ok: true });
+    case "presence":
+      return handlePresence(clientId, client, message);
+    case "command":
+      return handleCommand(client, message);
+    case "ping":
+      return ack(client, message.id, { ok: true, serverTime: new Date().toISOString() });
+    default:
+      return ack(client, message.id, { ok: false, error: `Unknown message type: ${message.type}` });
+  }
+}
+
+/**
+ * Set up a new socket: register it, then catch it up if it is resuming
+ */
+function handleConnection(socket, token, rawToken, url) {
+  const facilityId = token.currentFacility || token.homeFacility || DEFAULT_FACILITY_ID;
+  const clientId = `${token.userId}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const client = {
+    socket,
+    userId: token.userId,
+    username: token.username,
+    role: token.role,
+    facilityId,
+    token: rawToken,
+    subscription: null,
+    alive: true,
+  };
+  wsClients.set(clientId, client);
+  addConnection(clientId, token, "ws");
+  console.log(`[WS] Client connected: ${clientId} (total: ${wsClients.size})`);
+
+  const lastEventId = url.searchParams.get("lastEventId");
+  const resumed = lastEventId !== null && lastEventId !== "";
+  send(client, { type: "connected", userId: token.userId, facilityId, seq: getCurrentSeq(facilityId), resumed });
+  if (resumed) {
+    const { events, resync } = getMissedEvents(facilityId, lastEventId);
+    if (resync) {
+      send(client, { type: "event", event: "resync", data: resync });
+    } else {
+      for (const data of events) send(client, { type: "event", event: "stateChange", data });
+    }
+  }
+
+  socket.on("pong", () => {
+    client.alive = true;
+  });
+  socket.on("message", (raw) => handleMessage(clientId, client, raw.toString()));
+  socket.on("close", () => {
+    wsClients.delete(clientId);
+    removeConnection(clientId);
+    console.log(`[WS] Client disconnected: ${clientId} (total: ${wsClients.size})`);
+  });
+  socket.on("error", (err) => {
+    console.error(`[WS] Connection error: ${err.message}`);
+    wsClients.delete(clientId);
+    removeConnection(clientId);
+  });
+}
+
+/**
+ * Attach the WebSocket endpoint to the HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ */
+function attachWebSocket(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  localPort = server.address().port;
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = validateToken(authHeader, url.searchParams.get("token"));
+    if (!token) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    const rawToken = authHeader?.startsWith("Bearer ") ? authHeader.substring(7) : url.searchParams.get("token");
+
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, token, rawToken, url));
+  });
+
+  // Drop sockets that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const [clientId, client] of wsClients.entries()) {
+      if (!client.alive) {
+        client.socket.terminate();
+        wsClients.delete(clientId);
+        removeConnection(clientId);
+        continue;
+      }
+      client.alive = false;
+      client.socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  server.on("close", () => clearInterval(heartbeat));
+
+  onBroadcast(deliver);
+  console.log(`[WS] WebSocket endpoint ready at ${WS_PATH}`);
+}
+
+module.exports = {
+  attachWebSocket,
+  wsClients,
+};
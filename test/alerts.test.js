@@ -0,0 +1,145 @@
+/**
+ * Alerts: rules raising one alert per condition, resolving it when the
+ * condition clears, acknowledge and snooze, and the rule settings API
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { DEFAULT_RULES, evaluateAlerts, acknowledgeAlert, snoozeAlert } = require("../src/alerts");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Alerts Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+const MINUTE = 60000;
+const ago = (now, minutes) => new Date(now.getTime() - minutes * MINUTE).toISOString();
+
+let facilityCount = 0;
+const evaluate = (state, now) => evaluateAlerts(state, { facilityId: `alerts-test-${++facilityCount}`, now, timezone: "UTC" });
+
+function dockedState(now, minutesAtDoor) {
+  return {
+    doors: [{ id: "door-1", number: 1, trailerId: "t-1" }],
+    trailers: [{ id: "t-1", carrier: "ACME", number: "A-1", doorId: "door-1", doorNumber: 1, createdAt: ago(now, minutesAtDoor) }],
+  };
+}
+
+test("a dwell alert is raised once and resolved when the trailer leaves", () => {
+  const now = new Date("2026-04-01T12:00:00Z");
+  assert.strictEqual(evaluate(dockedState(now, 100), now).changed, false, "under the 2-hour policy violation");
+
+  const state = dockedState(now, 130);
+  const first = evaluate(state, now);
+  assert.strictEqual(first.raised.length, 1);
+  const [alert] = first.raised;
+  assert.deepStrictEqual([alert.type, alert.severity, alert.status], ["dwell", "warning", "open"]);
+  assert.deepStrictEqual(alert.subject, { trailerId: "t-1", doorId: "door-1", doorNumber: 1 });
+  assert.strictEqual(alert.message, "ACME A-1 has been at door 1 for 2h 10m (limit 2h)");
+
+  assert.strictEqual(evaluate(state, new Date(now.getTime() + MINUTE)).changed, false, "no second alert while it holds");
+
+  state.trailers = [];
+  const cleared = evaluate(state, new Date(now.getTime() + 2 * MINUTE));
+  assert.deepStrictEqual(cleared.resolved.map((a) => a.id), [alert.id]);
+  assert.strictEqual(state.alerts[0].status, "resolved");
+});
+
+test("stale queues and overdue appointments raise alerts past their minutes", () => {
+  const now = new Date("2026-04-01T12:00:00Z");
+  const state = {
+    doors: [],
+    trailers: [],
+    queuedTrailers: [{ id: "q-1", carrier: "ACME", number: "Q-1", queuedAt: ago(now, 61), targetDoorNumber: 4 }],
+    appointmentQueue: [{ id: "q-2", carrier: "ACME", number: "Q-2", queuedAt: ago(now, 30) }],
+    appointments: [
+      { id: "ap-1", carrier: "Swift", trailerNumber: "S-1", start: "2026-04-01T11:30:00.000Z", status: "booked" },
+      { id: "ap-2", carrier: "Swift", start: "2026-04-01T11:50:00.000Z", status: "booked" },
+      { id: "ap-3", carrier: "Swift", start: "2026-04-01T11:00:00.000Z", status: "arrived" },
+    ],
+  };
+
+  const { raised } = evaluate(state, now);
+  assert.deepStrictEqual(raised.map((a) => a.message), [
+    "Swift S-1 (appointment 11:30) hasn't arrived, 30m late",
+    "ACME Q-1 has been waiting in the queue for door 4 for 1h 1m",
+  ]);
+});
+
+test("a free door with trailers queued for it alerts once it has been idle for the rule's minutes", () => {
+  const start = new Date("2026-04-01T12:00:00Z");
+  const state = {
+    doors: [{ id: "door-7", number: 7, type: "normal" }],
+    trailers: [],
+    queuedTrailers: [{ id: "q-1", targetDoorId: "door-7" }],
+  };
+  const facilityId = "alerts-test-idle";
+  const at = (minutes) => evaluateAlerts(state, { facilityId, now: new Date(start.getTime() + minutes * MINUTE) });
+
+  assert.strictEqual(at(0).raised.length, 0, "idle time counts from when the door was first seen");
+  assert.strictEqual(at(9).raised.length, 0);
+  const [alert] = at(10).raised;
+  assert.strictEqual(alert.message, "Door 7 has been free for 10m with 1 trailer queued for it");
+});
+
+test("an acknowledged alert stays until it clears, a snoozed one reopens if it still holds", () => {
+  const now = new Date();
+  const state = dockedState(now, 130);
+  state.trailers.push({ ...state.trailers[0], id: "t-2", number: "A-2", doorId: "door-2", doorNumber: 2 });
+  const [acknowledged, snoozed] = evaluate(state, now).raised;
+
+  acknowledgeAlert(acknowledged, { username: "sam" });
+  assert.deepStrictEqual([acknowledged.status, acknowledged.acknowledgedBy], ["acknowledged", "sam"]);
+  assert.ok(snoozeAlert(snoozed, 0).error);
+  assert.ok(snoozeAlert(snoozed, 24 * 60 + 1).error);
+  assert.deepStrictEqual(snoozeAlert(snoozed, 30, { username: "sam" }), {});
+  assert.strictEqual(snoozed.status, "snoozed");
+
+  assert.strictEqual(evaluate(state, new Date(now.getTime() + 29 * MINUTE)).changed, false, "still snoozed");
+  const later = evaluate(state, new Date(now.getTime() + 31 * MINUTE));
+  assert.deepStrictEqual(later.reopened.map((a) => a.id), [snoozed.id]);
+  assert.strictEqual(snoozed.status, "open");
+  assert.strictEqual(acknowledged.status, "acknowledged");
+});
+
+test("disabled rules raise nothing", () => {
+  const now = new Date("2026-04-01T12:00:00Z");
+  const state = dockedState(now, 600);
+  state.alertRules = DEFAULT_RULES.map((r) => ({ ...r, enabled: r.type !== "dwell" }));
+  assert.strictEqual(evaluate(state, now).changed, false);
+});
+
+test("rules are validated and keep their ids when saved again", async () => {
+  const { body: initial } = await server.api("GET", "/alerts/rules");
+  assert.deepStrictEqual(initial.rules, DEFAULT_RULES);
+
+  const saved = await server.api("PUT", "/alerts/rules", {
+    rules: [
+      { id: "dwell", type: "dwell", minutes: 90, severity: "error" },
+      { id: "made-up", type: "queue-stale", minutes: 30 },
+    ],
+  });
+  assert.strictEqual(saved.status, 200, JSON.stringify(saved.body));
+  const [dwell, queue] = saved.body.rules;
+  assert.deepStrictEqual(dwell, { id: "dwell", name: "Trailer over dwell limit", type: "dwell", minutes: 90, severity: "error", enabled: true });
+  assert.notStrictEqual(queue.id, "made-up", "unknown ids get a new one");
+
+  for (const rules of [[{ type: "door-idle" }], [{ type: "fire" }], [{ type: "dwell", severity: "panic" }], [{ type: "dwell", minutes: 0 }], {}]) {
+    assert.strictEqual((await server.api("PUT", "/alerts/rules", { rules })).status, 400, JSON.stringify(rules));
+  }
+});
+
+test("the inbox filters by status and unknown alerts can't be acknowledged", async () => {
+  const { body } = await server.api("GET", "/alerts");
+  assert.deepStrictEqual(body.alerts, []);
+  assert.strictEqual((await server.api("GET", "/alerts?status=muted")).status, 400);
+  assert.strictEqual((await server.api("POST", "/alerts/no-such-alert/acknowledge")).status, 404);
+  assert.strictEqual((await server.api("POST", "/alerts/no-such-alert/snooze", { minutes: 10 })).status, 404);
+});
@@ -0,0 +1,116 @@
+/**
+ * Integration API: what a request made with an API key may change, and
+ * Idempotency-Key retries
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "API Key Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+async function createKey(scopes) {
+  const { status, body } = await server.api("POST", "/api-keys", { name: `Key ${scopes.join(" ")}`, scopes });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body.key;
+}
+
+// Request made with an API key instead of the test user's session
+async function withKey(key, method, endpoint, body, headers = {}) {
+  const res = await fetch(`${server.url}/api${endpoint}`, {
+    method,
+    headers: { "Content-Type": "application/json", "X-API-Key": key, ...headers },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+}
+
+async function findTrailer(id) {
+  const { body: state } = await server.api("GET", "/state");
+  return [...state.trailers, ...state.yardTrailers].find((t) => t.id === id);
+}
+
+test("a status key can only set a known status", async () => {
+  const key = await createKey(["trailers:status"]);
+  const { body: created } = await server.api("POST", "/trailers", { carrier: "ACME", number: "STATUS-1", status: "empty" });
+  const trailerId = created.trailer.id;
+
+  for (const status of ["SHIPPED_TWICE", 42, { toUpperCase: "x" }, ""]) {
+    const res = await withKey(key, "PUT", `/trailers/${trailerId}`, { status });
+    assert.strictEqual(res.status, 400, `${JSON.stringify(status)}: ${JSON.stringify(res.body)}`);
+  }
+  assert.strictEqual((await findTrailer(trailerId)).status, "empty", "nothing was changed");
+
+  const loaded = await withKey(key, "PUT", `/trailers/${trailerId}`, { status: "loaded" });
+  assert.strictEqual(loaded.status, 200, JSON.stringify(loaded.body));
+  const { body: history } = await server.api("GET", "/history?search=STATUS-1");
+  assert.deepStrictEqual(history.entries.map((e) => e.action), ["TRAILER_LOADED", "TRAILER_CREATED"]);
+});
+
+test("a key only reaches the endpoints its scopes cover", async () => {
+  const key = await createKey(["state:read"]);
+
+  const read = await withKey(key, "GET", "/state");
+  assert.strictEqual(read.status, 200);
+
+  const create = await withKey(key, "POST", "/trailers", { carrier: "ACME", number: "SCOPE-1" });
+  assert.strictEqual(create.status, 403, JSON.stringify(create.body));
+  assert.strictEqual(create.body.code, "API_KEY_SCOPE_MISSING");
+
+  const other = await withKey(key, "GET", "/history");
+  assert.strictEqual(other.status, 403, JSON.stringify(other.body));
+  assert.strictEqual(other.body.code, "API_KEY_NOT_ALLOWED");
+});
+
+test("a status key can't send fields outside its allowlist", async () => {
+  const key = await createKey(["trailers:status"]);
+  const { body: created } = await server.api("POST", "/trailers", { carrier: "ACME", number: "FIELDS-1", status: "empty" });
+
+  const res = await withKey(key, "PUT", `/trailers/${created.trailer.id}`, { status: "loaded", carrier: "Globex" });
+  assert.strictEqual(res.status, 400, JSON.stringify(res.body));
+  assert.strictEqual(res.body.code, "API_KEY_FIELD_NOT_ALLOWED");
+  const trailer = await findTrailer(created.trailer.id);
+  assert.strictEqual(trailer.status, "empty");
+  assert.strictEqual(trailer.carrier, "ACME");
+});
+
+test("a retry with the same Idempotency-Key gets the first response back", async () => {
+  const key = await createKey(["trailers:create"]);
+  const body = { carrier: "ACME", number: "IDEM-1" };
+  const headers = { "Idempotency-Key": "asn-1001" };
+
+  const first = await withKey(key, "POST", "/trailers", body, headers);
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  assert.strictEqual(first.headers.get("Idempotent-Replayed"), null);
+
+  const retry = await withKey(key, "POST", "/trailers", body, headers);
+  assert.strictEqual(retry.status, 200, JSON.stringify(retry.body));
+  assert.strictEqual(retry.headers.get("Idempotent-Replayed"), "true");
+  assert.deepStrictEqual(retry.body, first.body);
+
+  const { body: state } = await server.api("GET", "/state");
+  assert.strictEqual(state.yardTrailers.filter((t) => t.number === "IDEM-1").length, 1, "created once");
+});
+
+test("an Idempotency-Key reused for a different request is refused", async () => {
+  const key = await createKey(["trailers:create"]);
+  const headers = { "Idempotency-Key": "asn-2002" };
+
+  const first = await withKey(key, "POST", "/trailers", { carrier: "ACME", number: "IDEM-2" }, headers);
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+
+  const reused = await withKey(key, "POST", "/trailers", { carrier: "ACME", number: "IDEM-3" }, headers);
+  assert.strictEqual(reused.status, 422, JSON.stringify(reused.body));
+  assert.strictEqual(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+  const { body: state } = await server.api("GET", "/state");
+  assert.ok(!state.yardTrailers.some((t) => t.number === "IDEM-3"), "the second trailer was not created");
+});
@@ -0,0 +1,136 @@
+/**
+ * Dock appointments: slot-aligned bookings on a door or door group, refused
+ * double bookings, bookable hours, and due bookings joining the appointment queue
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+let doors;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Appointments Test DC" });
+  await server.switchFacility(body.facility.id);
+  const { body: state } = await server.api("GET", "/state");
+  doors = state.doors.filter((d) => d.type !== "blank" && d.inService !== false);
+});
+
+after(() => server?.stop());
+
+// A UTC day well in the future, so bookings on it never reach the queue
+const DAY = "2030-06-12";
+const at = (clock, day = DAY) => `${day}T${clock}:00.000Z`;
+
+function book(fields) {
+  return server.api("POST", "/appointments", { carrier: "ACME", ...fields });
+}
+
+test("a door takes one appointment at a time", async () => {
+  const door = doors[0];
+  const first = await book({ doorId: door.id, start: at("08:00"), durationMinutes: 60 });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  assert.strictEqual(first.body.appointment.status, "booked");
+  assert.strictEqual(first.body.appointment.end, at("09:00"));
+
+  const overlapping = await book({ doorId: door.id, start: at("08:30"), durationMinutes: 60 });
+  assert.strictEqual(overlapping.status, 409);
+  assert.strictEqual(overlapping.body.code, "APPOINTMENT_CONFLICT");
+  assert.deepStrictEqual(overlapping.body.conflicts, [
+    { type: "door", doorId: door.id, appointmentIds: [first.body.appointment.id] },
+  ]);
+
+  const next = await book({ doorId: door.number, start: at("09:00") });
+  assert.strictEqual(next.status, 200, "back to back is fine, and doors can be given by number");
+  assert.strictEqual(next.body.appointment.doorId, door.id);
+
+  const offSlot = await book({ doorId: door.id, start: at("10:10") });
+  assert.strictEqual(offSlot.status, 400);
+  assert.match(offSlot.body.error, /30-minute slots/);
+});
+
+test("rescheduling onto a booked slot is refused, forcing it through shows up as a conflict", async () => {
+  const door = doors[1];
+  const kept = await book({ doorId: door.id, start: at("13:00") });
+  const moved = await book({ doorId: door.id, start: at("15:00") });
+
+  const refused = await server.api("PUT", `/appointments/${moved.body.appointment.id}`, { start: at("13:30") });
+  assert.strictEqual(refused.status, 409);
+
+  const later = await server.api("PUT", `/appointments/${moved.body.appointment.id}`, { start: at("16:00") });
+  assert.strictEqual(later.status, 200, JSON.stringify(later.body));
+  assert.strictEqual(later.body.appointment.end, at("17:00"));
+
+  const forced = await server.api("PUT", `/appointments/${moved.body.appointment.id}`, { start: at("13:30"), allowConflict: true });
+  assert.strictEqual(forced.status, 200, "admins may double book");
+  const { body } = await server.api("GET", "/appointments/conflicts");
+  const conflict = body.conflicts.find((c) => c.doorId === door.id);
+  assert.deepStrictEqual(conflict.appointmentIds, [kept.body.appointment.id, moved.body.appointment.id].sort());
+
+  await server.api("POST", `/appointments/${moved.body.appointment.id}/cancel`);
+  const { body: cleared } = await server.api("GET", "/appointments/conflicts");
+  assert.ok(!cleared.conflicts.some((c) => c.doorId === door.id), "cancelled bookings hold no door");
+});
+
+test("a door group takes as many overlapping bookings as it has doors", async () => {
+  const created = await server.api("POST", "/door-groups", { name: "Doors 3-4", doorIds: [doors[2].number, doors[3].number] });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  const group = created.body.doorGroup;
+
+  assert.strictEqual((await book({ doorGroupId: group.id, start: at("10:00") })).status, 200);
+  assert.strictEqual((await book({ doorId: doors[2].id, start: at("10:00"), durationMinutes: 30 })).status, 200, "member doors share the capacity");
+
+  const full = await book({ doorGroupId: group.id, start: at("10:00") });
+  assert.strictEqual(full.status, 409);
+  assert.strictEqual(full.body.conflicts[0].type, "capacity");
+  assert.strictEqual(full.body.conflicts[0].capacity, 2);
+
+  const { body } = await server.api("GET", `/appointments/availability?date=${DAY}&doorGroupId=${group.id}&durationMinutes=60`);
+  const free = Object.fromEntries(body.slots.map((s) => [s.time, s.available]));
+  assert.deepStrictEqual([free["09:00"], free["09:30"], free["10:30"], free["11:00"]], [2, 0, 1, 2]);
+});
+
+test("bookings must fall inside the bookable hours", async () => {
+  const settings = await server.api("PUT", "/appointments/settings", { windows: [{ days: [3], start: "06:00", end: "12:00" }] });
+  assert.strictEqual(settings.status, 200, JSON.stringify(settings.body));
+  try {
+    const door = doors[4];
+    const late = await book({ doorId: door.id, start: at("11:30") });
+    assert.strictEqual(late.status, 400, "would end after the window");
+    assert.match(late.body.error, /bookable hours/);
+    assert.strictEqual((await book({ doorId: door.id, start: at("11:00") })).status, 200);
+    // 2030-06-13 is a Thursday, outside days [3]
+    assert.strictEqual((await book({ doorId: door.id, start: at("08:00", "2030-06-13") })).status, 400);
+
+    const { body } = await server.api("GET", `/appointments/availability?date=${DAY}&doorId=${door.id}`);
+    assert.strictEqual(body.slots[0].time, "06:00");
+    assert.strictEqual(body.slots.at(-1).time, "11:00");
+  } finally {
+    await server.api("PUT", "/appointments/settings", { windows: [] });
+  }
+});
+
+test("a booking about to start joins the appointment queue, cancelling takes it out", async () => {
+  // Next 30-minute slot, inside the default 60-minute queue lead
+  const slot = 30 * 60000;
+  const start = new Date(Math.ceil((Date.now() + 60000) / slot) * slot).toISOString();
+  const booked = await book({ doorId: doors[5].id, start, trailerNumber: "APPT-1", customer: "Widgets Inc" });
+  assert.strictEqual(booked.status, 200, JSON.stringify(booked.body));
+  const appointment = booked.body.appointment;
+  assert.strictEqual(appointment.status, "queued");
+
+  const { body: state } = await server.api("GET", "/state");
+  const queued = state.appointmentQueue.find((t) => t.appointmentId === appointment.id);
+  assert.ok(queued, "expected trailer is in the appointment queue");
+  assert.strictEqual(queued.id, appointment.trailerId);
+  assert.deepStrictEqual([queued.number, queued.carrier, queued.expected], ["APPT-1", "ACME", true]);
+
+  const cancelled = await server.api("POST", `/appointments/${appointment.id}/cancel`);
+  assert.strictEqual(cancelled.body.appointment.status, "cancelled");
+  const { body: afterCancel } = await server.api("GET", "/state");
+  assert.ok(!afterCancel.appointmentQueue.some((t) => t.appointmentId === appointment.id));
+  assert.strictEqual((await server.api("POST", `/appointments/${appointment.id}/cancel`)).status, 400);
+});
@@ -0,0 +1,131 @@
+/**
+ * Archive diff and selective restore: what an archive has that the board
+ * doesn't, and bringing back chosen items or sections of it
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+let door;
+let labelledDoor;
+let ids = {};
+let filename;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Selective Restore Test DC" });
+  await server.switchFacility(body.facility.id);
+
+  const { body: state } = await server.api("GET", "/state");
+  [door, labelledDoor] = state.doors.filter((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+
+  const { body: carrier } = await server.api("POST", "/carriers", { name: "ACME", scac: "ACME" });
+  const { body: docked } = await server.api("POST", "/trailers", { carrier: "ACME", number: "SEL-DOCKED" });
+  await server.api("POST", "/move-to-door", { trailerId: docked.trailer.id, doorId: door.id });
+  const { body: yard } = await server.api("POST", "/trailers", { carrier: "ACME", number: "SEL-YARD", customer: "Widgets Inc" });
+  ids = { carrier: carrier.carrier.id, docked: docked.trailer.id, yard: yard.trailer.id };
+
+  const archived = await server.api("POST", "/archives");
+  assert.strictEqual(archived.status, 200, JSON.stringify(archived.body));
+  filename = archived.body.filename;
+
+  // The board after the archive: a trailer deleted and its door taken, details edited, a trailer added
+  await server.api("DELETE", `/trailers/${ids.docked}`);
+  const { body: later } = await server.api("POST", "/trailers", { carrier: "ACME", number: "SEL-LATER" });
+  ids.later = later.trailer.id;
+  await server.api("POST", "/move-to-door", { trailerId: ids.later, doorId: door.id });
+  await server.api("PUT", `/trailers/${ids.yard}`, { customer: "Gadgets Co" });
+  await server.api("PUT", `/carriers/${ids.carrier}`, { scac: "ACMX" });
+  await server.api("PUT", `/doors/${labelledDoor.id}`, { labelText: "Returns" });
+});
+
+after(() => server?.stop());
+
+async function boardTrailer(id) {
+  const { body: state } = await server.api("GET", "/state");
+  return [...state.trailers, ...state.yardTrailers].find((t) => t.id === id);
+}
+
+test("the diff lists what is missing, changed and extra per section", async () => {
+  const { status, body } = await server.api("POST", "/archives/diff", { filename });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.archive.filename, filename);
+  const { trailers, carriers, doors } = body.diff;
+
+  assert.deepStrictEqual(trailers.missing, [{ id: ids.docked, label: "ACME SEL-DOCKED", location: `Door ${door.number}` }]);
+  assert.deepStrictEqual(trailers.changed, [{
+    id: ids.yard,
+    label: "ACME SEL-YARD",
+    fields: [{ field: "customer", archive: "Widgets Inc", current: "Gadgets Co" }],
+  }]);
+  assert.deepStrictEqual(trailers.extra, [{ id: ids.later, label: "ACME SEL-LATER" }]);
+  assert.deepStrictEqual(carriers.changed[0].fields, [{ field: "scac", archive: "ACME", current: "ACMX" }]);
+  assert.deepStrictEqual(doors.changed.map((d) => [d.id, d.fields.map((f) => f.field)]), [[labelledDoor.id, ["labelText"]]]);
+});
+
+test("a chosen trailer comes back, to the yard when its door is taken and under a new ID when its old one is in the trash", async () => {
+  const { status, body } = await server.api("POST", "/archives/restore-selected", {
+    filename,
+    items: [{ section: "trailers", id: ids.docked }],
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  const [restored] = body.restored;
+  assert.deepStrictEqual([restored.change, restored.location], ["added", "Unassigned Yard"]);
+  assert.ok(restored.newId && restored.newId !== ids.docked);
+
+  const trailer = await boardTrailer(restored.newId);
+  assert.strictEqual(trailer.number, "SEL-DOCKED");
+  assert.strictEqual((await boardTrailer(ids.later)).doorId, door.id, "the trailer now at the door stays");
+
+  const { body: history } = await server.api("GET", "/history?search=ARCHIVE_ITEM_RESTORED");
+  const entry = history.entries.find((e) => e.entityId === ids.docked);
+  assert.deepStrictEqual([entry.newId, entry.archive], [restored.newId, filename]);
+
+  // From now on it counts as the archived trailer, not as missing (or extra)
+  const { body: diff } = await server.api("POST", "/archives/diff", { filename });
+  assert.deepStrictEqual(diff.diff.trailers.missing, []);
+  assert.deepStrictEqual(diff.diff.trailers.extra.map((t) => t.id), [ids.later]);
+  const again = await server.api("POST", "/archives/restore-selected", { filename, items: [{ section: "trailers", id: ids.docked }] });
+  assert.deepStrictEqual(again.body.restored, []);
+  assert.deepStrictEqual(again.body.skipped.map((s) => s.reason), ["Only its location differs - move it on the board"]);
+});
+
+test("restoring whole sections reverts changed items and leaves newer ones alone", async () => {
+  const { body } = await server.api("POST", "/archives/restore-selected", { filename, sections: ["doors", "carriers"] });
+  assert.deepStrictEqual(body.restored.map((r) => [r.section, r.id, r.change, r.fields]), [
+    ["doors", labelledDoor.id, "reverted", ["labelText"]],
+    ["carriers", ids.carrier, "reverted", ["scac"]],
+  ]);
+
+  const { body: state } = await server.api("GET", "/state");
+  assert.strictEqual(state.doors.find((d) => d.id === labelledDoor.id).labelText, labelledDoor.labelText);
+  assert.strictEqual(state.carriers.find((c) => c.id === ids.carrier).scac, "ACME");
+
+  const { body: trailers } = await server.api("POST", "/archives/restore-selected", { filename, sections: ["trailers"] });
+  assert.deepStrictEqual(trailers.restored.map((r) => [r.id, r.fields]), [[ids.yard, ["customer"]]]);
+  assert.strictEqual((await boardTrailer(ids.yard)).customer, "Widgets Inc");
+  assert.ok(await boardTrailer(ids.later), "trailers added since the archive are never removed");
+});
+
+test("items that match the board or aren't in the archive are skipped, bad selections refused", async () => {
+  const { body } = await server.api("POST", "/archives/restore-selected", {
+    filename,
+    items: [{ section: "carriers", id: ids.carrier }, { section: "trailers", id: "not-archived" }],
+  });
+  assert.deepStrictEqual(body.restored, []);
+  assert.deepStrictEqual(body.skipped.map((s) => s.reason), ["Already the same as in the archive", "Not in the archive"]);
+
+  const refusals = [
+    [{ filename }, 400],
+    [{ filename, sections: ["forklifts"] }, 400],
+    [{ filename, items: [{ section: "trailers" }] }, 400],
+    [{ filename: "dockboard-archive-2020-01-01T00-00-00.json.gz", sections: ["doors"] }, 404],
+    [{ filename: "../state.json", sections: ["doors"] }, 400],
+  ];
+  for (const [request, status] of refusals) {
+    assert.strictEqual((await server.api("POST", "/archives/restore-selected", request)).status, status, JSON.stringify(request));
+  }
+});
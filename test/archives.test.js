@@ -0,0 +1,172 @@
+/**
+ * Archives: a full restore of an archive the server wrote itself, by hand or
+ * on the schedule, retention of backups made before a restore, and the
+ * archive list's integrity checks
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const zlib = require("zlib");
+const { startServer } = require("./helpers/server");
+
+let server;
+let facilityId;
+// archives.js loaded in this process, on the server's data folder (the scheduler's side)
+let archives;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Archive Test DC" });
+  facilityId = body.facility.id;
+  await server.switchFacility(facilityId);
+
+  process.env.DATA_DIR = server.dataDir;
+  archives = require("../src/archives");
+});
+
+after(() => server?.stop());
+
+function boardTrailers(state) {
+  return [...state.trailers, ...state.yardTrailers];
+}
+
+test("an archive restores in full after the board has changed", async () => {
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number: "ARCH-1" });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  const trailerId = created.body.trailer.id;
+
+  const archived = await server.api("POST", "/archives");
+  assert.strictEqual(archived.status, 200, JSON.stringify(archived.body));
+  const { body: archivedState } = await server.api("GET", "/state");
+
+  // Change the board after the archive
+  await server.api("DELETE", `/trailers/${trailerId}`);
+  const later = await server.api("POST", "/trailers", { carrier: "ACME", number: "ARCH-2" });
+
+  const { status, body: archive } = await server.api("GET", `/archives/${encodeURIComponent(archived.body.filename)}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(archive.revision, undefined, "archives don't carry the live board's revision");
+
+  const restored = await server.api("POST", "/archives/restore", { data: archive });
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+  assert.ok(restored.body.backupCreated, "a backup is written before the restore");
+
+  const { body: state } = await server.api("GET", "/state");
+  const trailers = boardTrailers(state);
+  assert.ok(trailers.some((t) => t.id === trailerId), "archived trailer is back");
+  assert.ok(!trailers.some((t) => t.id === later.body.trailer.id), "trailer added after the archive is gone");
+  assert.ok(state.revision > archivedState.revision, "revision keeps counting up");
+  assert.deepStrictEqual(state.carriers.map((c) => c.id).sort(), archivedState.carriers.map((c) => c.id).sort());
+  for (const key of ["trash", "appointments", "doorGroups", "maintenanceWindows", "customers"]) {
+    assert.ok(Array.isArray(state[key]), `${key} restored`);
+  }
+});
+
+test("archives from before this fix, with a revision in them, still restore", async () => {
+  const { body: current } = await server.api("GET", "/state");
+  const restored = await server.api("POST", "/archives/restore", { data: { ...current, revision: 1 } });
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+
+  const { body: state } = await server.api("GET", "/state");
+  assert.ok(state.revision > current.revision);
+});
+
+test("unexpected top-level keys are still refused", async () => {
+  const { body: current } = await server.api("GET", "/state");
+  const restored = await server.api("POST", "/archives/restore", { data: { ...current, somethingElse: [] } });
+  assert.strictEqual(restored.status, 400);
+  assert.match(restored.body.error, /Unexpected keys in archive: somethingElse/);
+});
+
+test("a scheduled archive restores in full", async () => {
+  const policy = await server.api("PUT", "/archives/policy", { hourly: true });
+  assert.strictEqual(policy.status, 200, JSON.stringify(policy.body));
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number: "HOURLY-1" });
+
+  const now = new Date();
+  archives.runScheduledArchive(facilityId, "UTC", now);
+  const scheduled = archives.runScheduledArchive(facilityId, "UTC", new Date(now.getTime() + 2 * 3600 * 1000));
+  assert.ok(scheduled?.filename.startsWith("auto-hourly-"), JSON.stringify(scheduled));
+
+  await server.api("DELETE", `/trailers/${created.body.trailer.id}`);
+
+  const { body: list } = await server.api("GET", "/archives");
+  const listed = list.archives.find((a) => a.name === scheduled.filename);
+  assert.strictEqual(listed?.trigger, "hourly");
+  assert.strictEqual(listed.integrity, "ok");
+
+  const { body: archive } = await server.api("GET", `/archives/${encodeURIComponent(scheduled.filename)}`);
+  const restored = await server.api("POST", "/archives/restore", { data: archive });
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+
+  const { body: state } = await server.api("GET", "/state");
+  assert.ok(boardTrailers(state).some((t) => t.id === created.body.trailer.id), "trailer from the scheduled archive is back");
+});
+
+test("the archive list reads only archives that are new or changed", (t) => {
+  const { filename, path: archivePath } = archives.writeArchive(facilityId, { trigger: "manual", createdBy: "tester" });
+  const gunzip = t.mock.method(zlib, "gunzipSync");
+
+  const listed = archives.listArchives(facilityId);
+  assert.strictEqual(listed.find((a) => a.name === filename)?.integrity, "ok");
+  const reads = gunzip.mock.callCount();
+  archives.listArchives(facilityId);
+  assert.strictEqual(gunzip.mock.callCount(), reads, "a second listing reads nothing again");
+
+  // Damaged on disk after it was written
+  fs.appendFileSync(archivePath, "x");
+  const damaged = archives.listArchives(facilityId).find((a) => a.name === filename);
+  assert.strictEqual(damaged.integrity, "corrupted");
+  assert.strictEqual(damaged.problem, "Checksum mismatch");
+  archives.deleteArchive(archivePath);
+});
+
+test("only the newest keep.beforeRestore backups made before a restore are kept", async () => {
+  const refused = await server.api("PUT", "/archives/policy", { keep: { beforeRestore: 0 } });
+  assert.strictEqual(refused.status, 400, JSON.stringify(refused.body));
+
+  const policy = await server.api("PUT", "/archives/policy", { beforeRestore: true, keep: { beforeRestore: 2 } });
+  assert.strictEqual(policy.status, 200, JSON.stringify(policy.body));
+  assert.strictEqual(policy.body.policy.keep.beforeRestore, 2);
+
+  const listed = async (trigger) => (await server.api("GET", "/archives")).body.archives.filter((a) => a.trigger === trigger);
+  const manual = (await listed("manual")).map((a) => a.name).sort();
+
+  const backups = [];
+  for (let i = 0; i < 3; i++) {
+    const { body: current } = await server.api("GET", "/state");
+    const restored = await server.api("POST", "/archives/restore", { data: current });
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    backups.push(restored.body.backupCreated);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  assert.deepStrictEqual((await listed("before-restore")).map((a) => a.name).sort(), backups.slice(-2).sort());
+  assert.deepStrictEqual((await listed("manual")).map((a) => a.name).sort(), manual, "archives made by hand stay");
+});
+
+test("an archive damaged on disk is flagged in the archive list", async () => {
+  const archived = await server.api("POST", "/archives");
+  assert.strictEqual(archived.status, 200, JSON.stringify(archived.body));
+  const { filename } = archived.body;
+
+  const before = (await server.api("GET", "/archives")).body;
+  assert.strictEqual(before.archives.find((a) => a.name === filename)?.integrity, "ok");
+
+  const archivePath = archives.findArchive(filename);
+  fs.appendFileSync(archivePath, "x");
+
+  const { status, body } = await server.api("GET", "/archives");
+  assert.strictEqual(status, 200);
+  const listed = body.archives.find((a) => a.name === filename);
+  assert.strictEqual(listed.integrity, "corrupted");
+  assert.strictEqual(listed.problem, "Checksum mismatch");
+  assert.strictEqual(body.corrupted, before.corrupted + 1);
+
+  const diff = await server.api("POST", "/archives/diff", { filename });
+  assert.strictEqual(diff.status, 422, JSON.stringify(diff.body));
+  assert.strictEqual(diff.body.code, "ARCHIVE_CORRUPTED");
+  archives.deleteArchive(archivePath);
+});
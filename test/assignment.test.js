@@ -0,0 +1,136 @@
+/**
+ * Automatic assignment: trailers docked from the queue get their own history
+ * entry, the appointment order goes by time rather than by text, and
+ * inbound/outbound-only doors are kept whatever the assignment rules say
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+// The assignment engine is also loaded in this process, with its own data folder
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+process.env.DATA_DIR = dataDir;
+const { pickNextTrailer, getAssignmentRules } = require("../src/assignment");
+const { checkPlacement } = require("../src/constraints");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Assignment Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => {
+  server?.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function queuedState(trailers, appointments = []) {
+  const door = { id: "door-1", number: 1, type: "normal", inService: true, trailerId: null };
+  const queuedTrailers = trailers.map((t, i) => ({
+    carrier: "ACME",
+    targetDoorId: door.id,
+    queuedAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+    ...t,
+  }));
+  return {
+    state: { doors: [door], trailers: [], queuedTrailers, appointments, assignmentRules: { order: "appointment" } },
+    door,
+  };
+}
+
+async function queueForDoor(number, doorId) {
+  const staged = await server.api("POST", "/staging", { carrier: "ACME", number, customer: "Globex" });
+  assert.strictEqual(staged.status, 200, JSON.stringify(staged.body));
+  const queued = await server.api("POST", "/queue", { trailerId: staged.body.trailer.id, targetDoorId: doorId });
+  assert.strictEqual(queued.status, 200, JSON.stringify(queued.body));
+  return queued.body;
+}
+
+async function assignmentEntries() {
+  const { body } = await server.api("GET", "/history?search=TRAILER_ASSIGNED_FROM_QUEUE");
+  return body.entries.filter((e) => e.action === "TRAILER_ASSIGNED_FROM_QUEUE");
+}
+
+test("a trailer docked when its door frees up is logged as assigned from the queue", async () => {
+  const { body: state } = await server.api("GET", "/state");
+  const door = state.doors.find((d) => d.type !== "blank" && d.inService !== false);
+
+  const first = await queueForDoor("AUTO-1", door.id);
+  assert.ok(first.autoAssigned, "a free target door takes the trailer at once");
+  const second = await queueForDoor("AUTO-2", door.id);
+  assert.strictEqual(second.autoAssigned, null, "the door is taken, so the trailer waits");
+
+  const moved = await server.api("POST", "/move-to-yard", { trailerId: first.trailer.id, doorId: door.id });
+  assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+  assert.strictEqual(moved.body.autoAssigned?.trailerId, second.trailer.id);
+
+  const entries = await assignmentEntries();
+  assert.strictEqual(entries.length, 2, "one entry per trailer docked from the queue");
+  const entry = entries.find((e) => e.trailerId === second.trailer.id);
+  assert.ok(entry, JSON.stringify(entries));
+  assert.strictEqual(entry.doorNumber, door.number);
+  assert.strictEqual(entry.trailerNumber, "AUTO-2");
+  assert.strictEqual(entry.customer, "Globex");
+  assert.ok(entry.reason, "the entry says why the trailer was picked");
+});
+
+test("appointment order compares times, not text", () => {
+  const { state, door } = queuedState([
+    { id: "ten", appointmentTime: "10:00" },
+    { id: "nine-thirty", appointmentTime: "9:30" },
+    { id: "two-pm", appointmentTime: "2:00 PM" },
+  ]);
+  const pick = pickNextTrailer(state, door);
+  assert.strictEqual(pick.trailer.id, "nine-thirty");
+  assert.strictEqual(pick.reason, "appointment 9:30");
+});
+
+test("trailers without a readable appointment time go last", () => {
+  const { state, door } = queuedState([
+    { id: "none" },
+    { id: "unreadable", appointmentTime: "after lunch" },
+    { id: "evening", appointmentTime: "8pm" },
+  ]);
+  assert.strictEqual(pickNextTrailer(state, door).trailer.id, "evening");
+
+  state.queuedTrailers = state.queuedTrailers.filter((t) => t.id !== "evening");
+  const pick = pickNextTrailer(state, door);
+  assert.strictEqual(pick.trailer.id, "none", "longest waiting first among them");
+  assert.strictEqual(pick.reason, "first come, first served");
+});
+
+test("booked slots are ordered by their start, across midnight", () => {
+  const { state, door } = queuedState(
+    [
+      { id: "tomorrow", appointmentTime: "06:00", appointmentId: "appt-tomorrow" },
+      { id: "tonight", appointmentTime: "22:00", appointmentId: "appt-tonight" },
+    ],
+    [
+      { id: "appt-tomorrow", start: "2026-01-02T06:00:00.000Z" },
+      { id: "appt-tonight", start: "2026-01-01T22:00:00.000Z" },
+    ],
+  );
+  assert.strictEqual(pickNextTrailer(state, door).trailer.id, "tonight");
+});
+
+test("door direction is a placement constraint of its own", () => {
+  const door = { id: "door-1", number: 1, direction: "inbound" };
+  assert.deepStrictEqual(checkPlacement(door, { direction: "outbound" }, "door").map((v) => v.code), ["direction"]);
+  assert.deepStrictEqual(checkPlacement(door, { direction: "inbound" }, "door"), []);
+  assert.deepStrictEqual(checkPlacement({ id: "door-2", number: 2 }, { direction: "outbound" }, "door"), []);
+});
+
+test("rules saved with matchDirection off no longer put trailers at the wrong door", () => {
+  const { state, door } = queuedState([{ id: "outbound", direction: "outbound" }]);
+  door.direction = "inbound";
+  state.assignmentRules = { order: "fcfs", matchDirection: false };
+  assert.strictEqual(getAssignmentRules(state).matchDirection, undefined);
+  assert.strictEqual(pickNextTrailer(state, door), null);
+});
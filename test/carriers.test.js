@@ -0,0 +1,110 @@
+/**
+ * Carrier master data: validated details, blocked carriers and expired
+ * insurance refused for new trailers, and merging near-duplicate carriers
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Carriers Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+async function createCarrier(fields) {
+  const created = await server.api("POST", "/carriers", fields);
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  return created.body.carrier;
+}
+
+async function findCarrier(predicate) {
+  const { body } = await server.api("GET", "/carriers");
+  return body.carriers.find(predicate);
+}
+
+test("carrier details are validated and names are unique regardless of case", async () => {
+  const carrier = await createCarrier({
+    name: "Swift Freight",
+    scac: "swft",
+    dotNumber: "123456",
+    insuranceExpiry: "2099-12-31",
+    contacts: [{ name: "Dana", role: "Dispatcher", phone: "555-0100", email: "dana@swift.example" }],
+  });
+  assert.strictEqual(carrier.scac, "SWFT");
+  assert.strictEqual(carrier.status, "active");
+  assert.strictEqual(carrier.contacts[0].role, "Dispatcher");
+
+  const duplicate = await server.api("POST", "/carriers", { name: "swift freight" });
+  assert.strictEqual(duplicate.status, 409);
+  assert.deepStrictEqual([duplicate.body.code, duplicate.body.carrierId], ["CARRIER_EXISTS", carrier.id]);
+
+  for (const bad of [{ scac: "TOOLONG" }, { dotNumber: "12-34" }, { insuranceExpiry: "31/12/2099" }, { contacts: [{ email: "nope" }] }, { status: "paused" }]) {
+    const refused = await server.api("PUT", `/carriers/${carrier.id}`, bad);
+    assert.strictEqual(refused.status, 400, JSON.stringify(bad));
+  }
+});
+
+test("a blocked carrier can't bring in new trailers until it is unblocked", async () => {
+  const carrier = await createCarrier({ name: "Roadrunner", status: "blocked", blockedReason: "Unpaid fees" });
+
+  const refused = await server.api("POST", "/trailers", { carrier: "roadrunner", number: "BLK-1" });
+  assert.strictEqual(refused.status, 403);
+  assert.deepStrictEqual(refused.body, {
+    error: "Carrier Roadrunner is blocked: Unpaid fees",
+    code: "CARRIER_BLOCKED",
+    carrierId: carrier.id,
+  });
+
+  const unblocked = await server.api("PUT", `/carriers/${carrier.id}`, { status: "active" });
+  assert.strictEqual(unblocked.body.carrier.blockedReason, "", "unblocking clears the reason");
+  assert.strictEqual((await server.api("POST", "/trailers", { carrier: "Roadrunner", number: "BLK-1" })).status, 200);
+});
+
+test("a carrier whose insurance has expired is refused", async () => {
+  const carrier = await createCarrier({ name: "Lapsed Lines", insuranceExpiry: "2020-01-31" });
+  const refused = await server.api("POST", "/trailers", { carrier: "Lapsed Lines", number: "INS-1" });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.code, "CARRIER_INSURANCE_EXPIRED");
+  assert.match(refused.body.error, /expired on 2020-01-31/);
+
+  await server.api("PUT", `/carriers/${carrier.id}`, { insuranceExpiry: "2099-01-31" });
+  assert.strictEqual((await server.api("POST", "/trailers", { carrier: "Lapsed Lines", number: "INS-1" })).status, 200);
+});
+
+test("trailers with a new carrier name create the carrier", async () => {
+  await server.api("POST", "/trailers", { carrier: "Brand New Haulers", number: "NEW-1" });
+  await server.api("POST", "/trailers", { carrier: "brand new haulers", number: "NEW-2" });
+  const carrier = await findCarrier((c) => c.name === "Brand New Haulers");
+  assert.strictEqual(carrier.usageCount, 2, "matched without case");
+});
+
+test("merging folds duplicates into one carrier and renames their trailers", async () => {
+  const target = await createCarrier({ name: "Acme Logistics", scac: "ACME" });
+  await server.api("POST", "/trailers", { carrier: "ACME Logistcs", number: "MRG-1" });
+  await server.api("POST", "/trailers", { carrier: "Acme Log.", number: "MRG-2" });
+  const typos = [await findCarrier((c) => c.name === "ACME Logistcs"), await findCarrier((c) => c.name === "Acme Log.")];
+  await server.api("PUT", `/carriers/${typos[0].id}`, { dotNumber: "7654321", contacts: [{ name: "Kim", phone: "555-0199" }] });
+
+  assert.strictEqual((await server.api("POST", "/carriers/merge", { targetId: target.id, sourceIds: [target.id] })).status, 400);
+  assert.strictEqual((await server.api("POST", "/carriers/merge", { targetId: target.id, sourceIds: ["missing"] })).status, 404);
+
+  const merged = await server.api("POST", "/carriers/merge", { targetId: target.id, sourceIds: typos.map((c) => c.id) });
+  assert.strictEqual(merged.status, 200, JSON.stringify(merged.body));
+  assert.strictEqual(merged.body.trailersRenamed, 2);
+  assert.strictEqual(merged.body.carrier.usageCount, 2);
+  assert.strictEqual(merged.body.carrier.dotNumber, "7654321", "details the target lacked are taken over");
+  assert.strictEqual(merged.body.carrier.scac, "ACME", "the target's own details stay");
+  assert.deepStrictEqual(merged.body.carrier.contacts.map((c) => c.name), ["Kim"]);
+
+  const { body: state } = await server.api("GET", "/state");
+  const trailers = state.yardTrailers.filter((t) => t.number.startsWith("MRG-"));
+  assert.deepStrictEqual(trailers.map((t) => t.carrier), ["Acme Logistics", "Acme Logistics"]);
+  assert.strictEqual(await findCarrier((c) => typos.some((t) => t.id === c.id)), undefined, "duplicates are gone");
+});
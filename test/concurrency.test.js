@@ -0,0 +1,105 @@
+/**
+ * Concurrent writes: scripts/concurrency-check.js against a fresh server
+ * (parallel creates/moves/deletes and a stale If-Match), plus the write
+ * lock's If-Match check in lockFacility itself and that it never lets a
+ * second write start while a slow one is still running
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const { execFile } = require("child_process");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+// lockFacility is loaded in this process with a short lock timeout and its own data folder
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.LOCK_TIMEOUT_MS = "200";
+const { lockFacility } = require("../src/middleware");
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function fakeRequest(headers = {}) {
+  return {
+    method: "POST",
+    originalUrl: "/api/test",
+    user: { id: "test-user", username: "tester", currentFacility: "default" },
+    get: (name) => headers[name],
+  };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = () => res;
+  res.json = (body) => {
+    res.body = body;
+    return res.end();
+  };
+  res.end = () => {
+    res.emit("finish");
+    return res;
+  };
+  return res;
+}
+
+test("concurrency check passes against a fresh server", async () => {
+  const server = await startServer();
+  try {
+    const { code, output } = await new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [path.join(__dirname, "../scripts/concurrency-check.js"), "10"],
+        { env: { ...process.env, ...server.env }, timeout: 120 * 1000 },
+        (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr }),
+      );
+    });
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /stale If-Match rejected with 409/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("a stale If-Match revision is rejected with 409", async () => {
+  const res = fakeResponse();
+  let handled = false;
+  await new Promise((resolve) => {
+    res.once("finish", resolve);
+    lockFacility(fakeRequest({ "If-Match": '"999999"' }), res, () => { handled = true; });
+  });
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.code, "REVISION_CONFLICT");
+  assert.strictEqual(handled, false);
+});
+
+test("a slow write keeps the lock past LOCK_TIMEOUT_MS, also after its client disconnects", async () => {
+  const events = [];
+  const slowResponse = fakeResponse();
+  lockFacility(fakeRequest(), slowResponse, () => {
+    events.push("slow started");
+    // The client gives up half way; the handler carries on
+    setTimeout(() => slowResponse.emit("close"), 100);
+    setTimeout(() => {
+      events.push("slow answered");
+      slowResponse.json({ success: true });
+    }, 600);
+  });
+
+  const secondResponse = fakeResponse();
+  await new Promise((resolve) => {
+    lockFacility(fakeRequest(), secondResponse, () => {
+      events.push("second started");
+      secondResponse.json({ success: true });
+      resolve();
+    });
+  });
+  assert.deepStrictEqual(events, ["slow started", "slow answered", "second started"]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Customers: records matched by name or alias, and their dwell SLAs
+ * replacing the facility's violation threshold for their trailers
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { findDwellViolations } = require("../src/dwell");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Customers Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+test("customers answer to their name and aliases, each only once", async () => {
+  const created = await server.api("POST", "/customers", {
+    name: "Widgets Inc",
+    aliases: ["Widgets", "widgets inc", "WIDGETS INCORPORATED", "Widgets"],
+    sla: { inboundMinutes: 90 },
+  });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  const customer = created.body.customer;
+  assert.deepStrictEqual(customer.aliases, ["Widgets", "WIDGETS INCORPORATED"], "the name and repeats are dropped");
+  assert.deepStrictEqual(customer.sla, { inboundMinutes: 90, outboundMinutes: null });
+
+  const clash = await server.api("POST", "/customers", { name: "widgets" });
+  assert.strictEqual(clash.status, 409);
+  assert.deepStrictEqual([clash.body.code, clash.body.customerId], ["CUSTOMER_EXISTS", customer.id]);
+  const other = await server.api("POST", "/customers", { name: "Gadgets Co", aliases: ["Widgets Incorporated"] });
+  assert.strictEqual(other.status, 409, "an alias can't belong to two customers");
+});
+
+test("SLA changes are validated and keep the fields not given", async () => {
+  const { body } = await server.api("POST", "/customers", { name: "Sprockets Ltd", sla: { inboundMinutes: 45 } });
+  const id = body.customer.id;
+
+  const updated = await server.api("PUT", `/customers/${id}`, { sla: { outboundMinutes: 180 } });
+  assert.deepStrictEqual(updated.body.customer.sla, { inboundMinutes: 45, outboundMinutes: 180 });
+  const cleared = await server.api("PUT", `/customers/${id}`, { sla: { inboundMinutes: null } });
+  assert.deepStrictEqual(cleared.body.customer.sla, { inboundMinutes: null, outboundMinutes: 180 });
+
+  for (const sla of [{ inboundMinutes: 0 }, { inboundMinutes: 12.5 }, { dwellMinutes: 60 }, [60]]) {
+    assert.strictEqual((await server.api("PUT", `/customers/${id}`, { sla })).status, 400, JSON.stringify(sla));
+  }
+
+  assert.strictEqual((await server.api("DELETE", `/customers/${id}`)).status, 200);
+  assert.strictEqual((await server.api("PUT", `/customers/${id}`, { notes: "gone" })).status, 404);
+});
+
+test("a trailer is a violation once over its customer's SLA, others at the policy's", () => {
+  const now = Date.parse("2026-04-01T12:00:00Z");
+  const docked = (id, customer, minutesAgo, direction = "inbound") => ({
+    id,
+    customer,
+    direction,
+    doorId: `door-${id}`,
+    doorNumber: 1,
+    createdAt: new Date(now - minutesAgo * 60000).toISOString(),
+  });
+  const state = {
+    customers: [{ id: "c-1", name: "Widgets Inc", aliases: ["Widgets"], sla: { inboundMinutes: 90, outboundMinutes: null } }],
+    trailers: [
+      docked("sla-over", "widgets", 100),
+      docked("sla-under", "Widgets Inc", 80),
+      docked("no-outbound-sla", "Widgets Inc", 100, "outbound"),
+      docked("no-customer", "Someone Else", 100),
+      docked("policy-over", null, 125),
+    ],
+  };
+
+  const violations = findDwellViolations(state, { now });
+  assert.deepStrictEqual(violations.map((v) => v.trailer.id), ["sla-over", "policy-over"]);
+  assert.deepStrictEqual(violations.map((v) => v.thresholds.source), ["customer", "policy"]);
+  assert.strictEqual(violations[0].thresholds.violationMinutes, 90);
+  assert.strictEqual(violations[0].thresholds.customerId, "c-1");
+});
@@ -0,0 +1,112 @@
+/**
+ * Dwell policy: per-facility warning and violation thresholds by direction
+ * and live/drop, yard time, and the display cap and reset window
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { DEFAULT_POLICY, getDwellPolicy, dwellThresholds, dwellStartTime, findDwellViolations } = require("../src/dwell");
+const { getEffectiveDwellHours } = require("../src/analytics");
+
+let server;
+let doors;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Dwell Test DC" });
+  await server.switchFacility(body.facility.id);
+  const { body: state } = await server.api("GET", "/state");
+  doors = state.doors.filter((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+});
+
+after(() => server?.stop());
+
+test("policy changes merge into the defaults and are validated", async () => {
+  const { body: initial } = await server.api("GET", "/dwell-policy");
+  assert.deepStrictEqual(initial.policy, DEFAULT_POLICY);
+
+  const updated = await server.api("PUT", "/dwell-policy", {
+    thresholds: { inbound: { live: { warningMinutes: 30, violationMinutes: 45 } }, outbound: { drop: { violationMinutes: null } } },
+    maxDwellHours: 12,
+  });
+  assert.strictEqual(updated.status, 200, JSON.stringify(updated.body));
+  const { policy } = (await server.api("GET", "/dwell-policy")).body;
+  assert.deepStrictEqual(policy.thresholds.inbound.live, { warningMinutes: 30, violationMinutes: 45 });
+  assert.deepStrictEqual(policy.thresholds.inbound.drop, DEFAULT_POLICY.thresholds.inbound.drop, "other rules keep their values");
+  assert.deepStrictEqual(policy.thresholds.outbound.drop, { warningMinutes: 60, violationMinutes: null });
+  assert.deepStrictEqual([policy.maxDwellHours, policy.resetWindowHours], [12, 6]);
+
+  for (const bad of [
+    { thresholds: { inbound: { live: { warningMinutes: 50 } } } },
+    { thresholds: { sideways: { live: { warningMinutes: 10 } } } },
+    { thresholds: { inbound: { parked: { warningMinutes: 10 } } } },
+    { thresholds: { inbound: { drop: { warningMinutes: null } } } },
+    { maxDwellHours: 0 },
+  ]) {
+    const refused = await server.api("PUT", "/dwell-policy", bad);
+    assert.strictEqual(refused.status, 400, JSON.stringify(bad));
+  }
+  assert.deepStrictEqual((await server.api("GET", "/dwell-policy")).body.policy, policy, "nothing of a refused change is kept");
+});
+
+async function dockFromYard(number, doorId) {
+  const { body: created } = await server.api("POST", "/trailers", { carrier: "ACME", number });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await server.api("POST", "/move-to-door", { trailerId: created.trailer.id, doorId });
+  const { body: state } = await server.api("GET", "/state");
+  return { createdAt: created.trailer.createdAt, docked: state.trailers.find((t) => t.id === created.trailer.id) };
+}
+
+test("yard time counts toward dwell only when the policy says so", async () => {
+  const restarted = await dockFromYard("DWELL-1", doors[0].id);
+  assert.ok(restarted.docked.createdAt > restarted.createdAt, "dwell restarts at the door by default");
+
+  await server.api("PUT", "/dwell-policy", { countYardTime: true });
+  const kept = await dockFromYard("DWELL-2", doors[1].id);
+  assert.strictEqual(kept.docked.createdAt, kept.createdAt, "the yard wait is kept");
+
+  await server.api("POST", "/move-to-door", { trailerId: kept.docked.id, doorId: doors[2].id });
+  const { body: state } = await server.api("GET", "/state");
+  assert.ok(state.trailers.find((t) => t.id === kept.docked.id).createdAt > kept.createdAt, "door to door always restarts");
+});
+
+test("live and drop trailers of each direction get their own thresholds", () => {
+  const now = Date.parse("2026-04-01T12:00:00Z");
+  const state = {
+    dwellPolicy: {
+      thresholds: {
+        inbound: { live: { warningMinutes: 20, violationMinutes: 30 } },
+        outbound: { drop: { violationMinutes: null } },
+      },
+    },
+    trailers: [
+      ["in-live", "inbound", true],
+      ["in-drop", "inbound", false],
+      ["out-live", "outbound", "true"],
+      ["out-drop", "outbound", false],
+    ].map(([id, direction, isLive]) => ({
+      id, direction, isLive, doorId: `door-${id}`, doorNumber: 1,
+      createdAt: new Date(now - 150 * 60000).toISOString(),
+    })),
+  };
+
+  assert.deepStrictEqual(dwellThresholds(state, state.trailers[0]), { warningMinutes: 20, violationMinutes: 30, source: "policy" });
+  assert.strictEqual(dwellThresholds(state, state.trailers[1]).violationMinutes, 120);
+  const violations = findDwellViolations(state, { now }).map((v) => v.trailer.id);
+  assert.deepStrictEqual(violations, ["in-live", "in-drop", "out-live"], "a null violation threshold never counts");
+  assert.deepStrictEqual(findDwellViolations(state, { now, direction: "outbound" }).map((v) => v.trailer.id), ["out-live"]);
+});
+
+test("dwell runs from the latest reset inside the window and is capped for display", () => {
+  const now = Date.parse("2026-04-01T12:00:00Z");
+  const hoursAgo = (h) => new Date(now - h * 3600000).toISOString();
+  const policy = getDwellPolicy({ dwellPolicy: { resetWindowHours: 4, maxDwellHours: 8 } });
+  const trailer = { createdAt: hoursAgo(10), dwellResets: [hoursAgo(5), hoursAgo(3)] };
+
+  assert.strictEqual(dwellStartTime(trailer, policy, now), now - 3 * 3600000);
+  assert.strictEqual(dwellStartTime({ ...trailer, dwellResets: [hoursAgo(5)] }, policy, now), now - 10 * 3600000, "resets outside the window are ignored");
+  assert.strictEqual(getEffectiveDwellHours(hoursAgo(10), [], now, policy), 8);
+  assert.strictEqual(getEffectiveDwellHours(hoursAgo(10), [], now), 6, "6 hours without a policy");
+});
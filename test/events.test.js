@@ -0,0 +1,125 @@
+/**
+ * Live updates: typed stateChange events on /api/events carrying only the
+ * entities that changed, and their replay to clients that reconnect
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { openStream: openEventStream } = require("./helpers/events");
+
+let server;
+let token;
+
+before(async () => {
+  // A short replay buffer, so a client can fall behind it
+  server = await startServer({ SSE_REPLAY_BUFFER_SIZE: "3" });
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Events Test DC" });
+  token = await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+const openStream = (headers) => openEventStream(server, token, headers);
+const waitFor = (stream, predicate, label) => stream.waitFor(predicate, label);
+
+const stateChanges = (stream) => stream.messages.filter((m) => m.event === "stateChange").map((m) => m.data);
+
+test("a change is sent as a numbered, typed event with only the changed entities", async (t) => {
+  const stream = await openStream();
+  t.after(() => stream.close());
+  const [connected] = await waitFor(stream, (m) => m.event === "connected", "connected");
+
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number: "EVT-1" });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  const trailerId = created.body.trailer.id;
+  const [{ data: event, id }] = await waitFor(stream, (m) => m.data?.type === "trailer.create", "trailer.create");
+
+  assert.strictEqual(event.seq, connected.data.seq + 1);
+  assert.strictEqual(id, String(event.seq), "the seq is the SSE event id");
+  assert.deepStrictEqual(event.subject, { trailerId });
+  assert.strictEqual(event.state, undefined, "no full state");
+  assert.deepStrictEqual(event.changes.collections.yardTrailers, { upsert: [created.body.trailer], remove: [] });
+  assert.ok(!event.changes.collections.doors, "doors didn't change");
+
+  const { body: state } = await server.api("GET", "/state");
+  const door = state.doors.find((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+  const moved = await server.api("POST", "/move-to-door", { trailerId, doorId: door.id });
+  assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+  const [{ data: move }] = await waitFor(stream, (m) => m.data?.type === "trailer.move", "trailer.move");
+
+  assert.strictEqual(move.seq, event.seq + 1);
+  assert.strictEqual(move.baseRevision, event.revision, "events chain revision to revision");
+  assert.strictEqual(move.revision, move.baseRevision + 1);
+  assert.deepStrictEqual(move.changes.collections.doors.upsert.map((d) => d.id), [door.id]);
+  assert.deepStrictEqual(move.changes.collections.yardTrailers.remove, [trailerId]);
+  assert.deepStrictEqual(move.changes.collections.trailers.upsert.map((tr) => tr.id), [trailerId]);
+  assert.deepStrictEqual(stateChanges(stream).map((e) => e.type), ["trailer.create", "trailer.move"]);
+});
+
+test("a refused request sends no event", async (t) => {
+  const stream = await openStream();
+  t.after(() => stream.close());
+  await waitFor(stream, (m) => m.event === "connected", "connected");
+
+  const refused = await server.api("POST", "/trailers", { number: "EVT-NO-CARRIER" });
+  assert.strictEqual(refused.status, 400);
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number: "EVT-2" });
+  await waitFor(stream, (m) => m.data?.subject?.trailerId === created.body.trailer.id, "trailer.create");
+
+  assert.deepStrictEqual(stateChanges(stream).map((e) => e.type), ["trailer.create"]);
+});
+
+async function createTrailer(number) {
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  return created.body.trailer.id;
+}
+
+// Seq of the facility's latest stateChange, from a fresh connection
+async function currentSeq() {
+  const stream = await openStream();
+  const [connected] = await waitFor(stream, (m) => m.event === "connected", "connected");
+  stream.close();
+  return connected.data.seq;
+}
+
+test("a client reconnecting with Last-Event-ID gets the events it missed, in order", async (t) => {
+  await createTrailer("REPLAY-1");
+  const lastSeen = await currentSeq();
+
+  // Changes made while the client was away
+  const missed = [await createTrailer("REPLAY-2"), await createTrailer("REPLAY-3")];
+
+  const stream = await openStream({ "Last-Event-ID": String(lastSeen) });
+  t.after(() => stream.close());
+  const [connected] = await waitFor(stream, (m) => m.event === "connected", "connected");
+  assert.strictEqual(connected.data.resumed, true);
+  await waitFor(stream, (m) => m.data?.subject?.trailerId === missed[1], "replayed");
+
+  const replayed = stream.messages.filter((m) => m.event === "stateChange");
+  assert.deepStrictEqual(replayed.map((m) => m.data.subject.trailerId), missed);
+  assert.deepStrictEqual(replayed.map((m) => m.id), [String(lastSeen + 1), String(lastSeen + 2)]);
+  assert.ok(!stream.messages.some((m) => m.event === "resync"));
+});
+
+test("a client further behind than the replay buffer is told to resync", async (t) => {
+  const lastSeen = await currentSeq();
+  for (let i = 0; i < 4; i++) await createTrailer(`RESYNC-${i}`);
+
+  const stream = await openStream({ "Last-Event-ID": String(lastSeen) });
+  t.after(() => stream.close());
+  const [resync] = await waitFor(stream, (m) => m.event === "resync", "resync");
+
+  assert.deepStrictEqual(resync.data, { seq: lastSeen + 4, lastEventId: String(lastSeen), reason: "gap-too-large" });
+  assert.ok(!stream.messages.some((m) => m.event === "stateChange"), "no partial replay");
+});
+
+test("an event ID from before a server restart means a resync", async (t) => {
+  const seq = await currentSeq();
+  const stream = await openStream({ "Last-Event-ID": String(seq + 100) });
+  t.after(() => stream.close());
+  const [resync] = await waitFor(stream, (m) => m.event === "resync", "resync");
+  assert.strictEqual(resync.data.reason, "unknown-id");
+});
@@ -0,0 +1,59 @@
+/**
+ * Test helper: a client of the server's event stream (/api/events)
+ */
+
+const assert = require("node:assert");
+
+/**
+ * Open the event stream as the holder of `token`
+ * @param {object} server - From startServer
+ * @param {string} token - Session token (login() / switchFacility())
+ * @param {object} headers - Extra request headers, e.g. Last-Event-ID
+ * @returns {Promise<object>} - { messages: [{ id?, event, data }], waitFor(predicate, label), close() }
+ */
+async function openStream(server, token, headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${server.url}/api/events?token=${token}`, { headers, signal: controller.signal });
+  assert.strictEqual(res.status, 200);
+
+  const stream = {
+    messages: [],
+    close: () => controller.abort(),
+    // Messages matching the predicate, once there is at least one
+    async waitFor(predicate, label) {
+      const deadline = Date.now() + 5000;
+      while (Date.now() < deadline) {
+        const found = stream.messages.filter(predicate);
+        if (found.length > 0) return found;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.fail(`No ${label} event: ${JSON.stringify(stream.messages)}`);
+    },
+  };
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const message = {};
+          for (const line of buffer.slice(0, end).split("\n")) {
+            const [, field, value] = line.match(/^(\w+): (.*)$/) || [];
+            if (field === "data") message.data = JSON.parse(value);
+            else if (field) message[field] = value;
+          }
+          buffer = buffer.slice(end + 2);
+          if (message.event) stream.messages.push(message);
+        }
+      }
+    } catch (e) {
+      // Closed by the test
+    }
+  })();
+  return stream;
+}
+
+module.exports = { openStream };
@@ -0,0 +1,119 @@
+/**
+ * Test server helper
+ * Starts src/server.js on a spare port with its own temporary data folder,
+ * so the tests never touch data/ or a server that is already running.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "../..");
+const AUTH_USER = "testadmin";
+const AUTH_PASS = "test-password-123";
+
+function sparePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(url, child, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      const res = await fetch(`${url}/api/health`);
+      if (res.ok) return;
+    } catch (e) {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not answer within ${timeoutMs / 1000}s`);
+}
+
+/**
+ * Start a server for a test
+ * @param {object} env - Extra environment variables
+ * @returns {Promise<object>} - { url, dataDir, env, login(), switchFacility(), api(), stop() }
+ */
+async function startServer(env = {}) {
+  const port = await sparePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+  const serverEnv = {
+    ...process.env,
+    PORT: String(port),
+    DATA_DIR: dataDir,
+    AUTH_USER,
+    AUTH_PASS,
+    JWT_SECRET: "test-secret",
+    ...env,
+  };
+
+  let output = "";
+  const child = spawn(process.execPath, [path.join(ROOT, "src/server.js")], { cwd: ROOT, env: serverEnv });
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, child, 20 * 1000);
+  } catch (e) {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    throw new Error(`${e.message}\n${output}`);
+  }
+
+  let token = null;
+
+  // JSON request as the logged-in user; resolves to { status, body }
+  const api = async (method, endpoint, body, headers = {}) => {
+    const res = await fetch(`${url}/api${endpoint}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  return {
+    url,
+    dataDir,
+    env: { DOCKBOARD_URL: url, AUTH_USER, AUTH_PASS },
+    api,
+    async login() {
+      const { body } = await api("POST", "/auth/login", { username: AUTH_USER, password: AUTH_PASS });
+      token = body.token;
+      return token;
+    },
+    // Switch the session to another facility (a fresh token is issued)
+    async switchFacility(facilityId) {
+      const { body } = await api("POST", "/auth/switch-facility", { facilityId });
+      token = body.token;
+      return token;
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+    output: () => output,
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,90 @@
+/**
+ * History log: never capped, read by day segments for date ranges and paging,
+ * pruned only by the retention policy (in this process, own data folder)
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+process.env.DATA_DIR = dataDir;
+const { getFacilityDataPath } = require("../src/config");
+const { addHistoryEntry, loadHistory, saveHistory, queryHistory, pruneHistory } = require("../src/state");
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+let facilityCount = 0;
+const newFacility = () => `history-test-${++facilityCount}`;
+
+const DAY = 24 * 3600 * 1000;
+
+// One entry per `daysAgo` value, that many days back (at noon UTC), newest first like saveHistory takes them
+function entriesOnDays(daysAgo) {
+  const today = new Date();
+  today.setUTCHours(12, 0, 0, 0);
+  return daysAgo
+    .map((days, i) => ({ id: `e-${i}`, action: "TRAILER_CREATED", timestamp: new Date(today.getTime() - days * DAY).toISOString() }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+test("history keeps every entry, well past the old 1000-entry cap", () => {
+  const facilityId = newFacility();
+  for (let i = 0; i < 1100; i++) addHistoryEntry("TRAILER_CREATED", { trailerNumber: `N-${i}` }, null, facilityId);
+
+  const { entries, total } = queryHistory(facilityId, { limit: 3 });
+  assert.strictEqual(total, 1100);
+  assert.deepStrictEqual(entries.map((e) => e.trailerNumber), ["N-1099", "N-1098", "N-1097"], "newest first");
+  assert.strictEqual(loadHistory(facilityId).entries.at(-1).trailerNumber, "N-0");
+});
+
+test("date ranges, filters and paging read only the matching entries", () => {
+  const facilityId = newFacility();
+  const saved = entriesOnDays([0, 1, 1, 2, 5]);
+  saveHistory({ entries: saved }, facilityId);
+  const [today, , , twoDaysAgo] = saved;
+
+  const range = { from: twoDaysAgo.timestamp, to: new Date(Date.parse(today.timestamp) - 1).toISOString() };
+  assert.strictEqual(loadHistory(facilityId, range).entries.length, 3);
+
+  const page = queryHistory(facilityId, { offset: 1, limit: 2 });
+  assert.strictEqual(page.total, 5);
+  assert.deepStrictEqual(page.entries.map((e) => e.id), saved.slice(1, 3).map((e) => e.id));
+
+  const filtered = queryHistory(facilityId, { filter: (e) => e.id === "e-4" });
+  assert.deepStrictEqual(filtered, { entries: [saved[4]], total: 1 });
+});
+
+test("retention removes whole days before the cutoff and nothing else", () => {
+  const facilityId = newFacility();
+  saveHistory({ entries: entriesOnDays([0, 1, 3, 4, 10]) }, facilityId);
+
+  assert.strictEqual(pruneHistory(facilityId, 0), 0, "0 keeps history forever");
+  assert.strictEqual(pruneHistory(facilityId, 3), 2);
+  assert.strictEqual(queryHistory(facilityId).total, 3);
+});
+
+test("a history.json from before the log is split into it on first read", () => {
+  const facilityId = newFacility();
+  const dir = getFacilityDataPath(facilityId);
+  fs.mkdirSync(dir, { recursive: true });
+  const legacy = entriesOnDays([0, 2, 2]);
+  fs.writeFileSync(path.join(dir, "history.json"), JSON.stringify({ entries: legacy }));
+
+  assert.deepStrictEqual(loadHistory(facilityId).entries, legacy);
+  assert.ok(fs.existsSync(path.join(dir, "history.json.migrated")));
+  assert.strictEqual(fs.readdirSync(path.join(dir, "history")).filter((f) => f.endsWith(".jsonl")).length, 2);
+});
+
+test("a line torn by a crash mid-append is skipped, not the whole day", (t) => {
+  const facilityId = newFacility();
+  addHistoryEntry("TRAILER_CREATED", { trailerNumber: "BEFORE" }, null, facilityId);
+  const dir = path.join(getFacilityDataPath(facilityId), "history");
+  const [segment] = fs.readdirSync(dir).filter((f) => f.endsWith(".jsonl"));
+  fs.appendFileSync(path.join(dir, segment), '{"id":"torn","timest\n');
+  t.mock.method(console, "error", () => {});
+
+  assert.deepStrictEqual(loadHistory(facilityId).entries.map((e) => e.trailerNumber), ["BEFORE"]);
+});
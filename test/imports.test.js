@@ -0,0 +1,111 @@
+/**
+ * Trailer import: CSV and XLSX manifests mapped to trailer fields, a dry-run
+ * preview with per-row errors, and an all-or-nothing commit
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const ExcelJS = require("exceljs");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Import Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+const base64 = (text) => Buffer.from(text).toString("base64");
+
+function importCsv(lines, options = {}) {
+  return server.api("POST", "/trailers/import", { filename: "manifest.csv", content: base64(lines.join("\n")), ...options });
+}
+
+async function yardNumbers() {
+  const { body: state } = await server.api("GET", "/state");
+  return state.yardTrailers.map((t) => t.number);
+}
+
+test("the dry run maps columns by header and reports each row's problems", async () => {
+  await server.api("POST", "/trailers", { carrier: "ACME", number: "EXISTING-1" });
+
+  const { status, body } = await importCsv([
+    "Trailer #,Carrier Name,Customer,PO,In/Out,ETA",
+    "00123,ACME,Widgets Inc,PO-1,IN,2:30 PM",
+    "EXISTING-1,ACME,,,,",
+    "DUP-1,ACME,,,,",
+    "DUP-1,ACME,,,,",
+    "NO-CARRIER,,,,,",
+    "BAD-1,ACME,,,sideways,later",
+    ",,,,,",
+  ]);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.dryRun, true);
+  assert.deepStrictEqual(body.mapping, { number: 0, carrier: 1, customer: 2, loadNumber: 3, direction: 4, appointmentTime: 5 });
+
+  const [first, ...rest] = body.rows;
+  assert.deepStrictEqual(first, {
+    row: 2,
+    fields: { number: "00123", carrier: "ACME", customer: "Widgets Inc", loadNumber: "PO-1", direction: "inbound", appointmentTime: "14:30" },
+    errors: [],
+  });
+  assert.deepStrictEqual(rest.map((r) => [r.row, r.errors]), [
+    [3, ["Trailer number already exists"]],
+    [4, []],
+    [5, ["Trailer number appears more than once in the file"]],
+    [6, ["Carrier is required"]],
+    [7, ['Direction must be inbound or outbound (got "sideways")', 'Appointment time must be a time like 14:30 (got "later")']],
+  ]);
+  assert.deepStrictEqual([body.validCount, body.errorCount], [2, 4], "the empty line is skipped");
+  assert.ok(!(await yardNumbers()).includes("00123"), "a dry run creates nothing");
+});
+
+test("a commit with any bad row imports nothing, a clean one imports every row", async () => {
+  const refused = await importCsv(["number,carrier", "OK-1,ACME", "OK-2,"], { commit: true });
+  assert.strictEqual(refused.status, 400);
+  assert.strictEqual(refused.body.code, "IMPORT_INVALID");
+  assert.strictEqual(refused.body.errorCount, 1);
+  assert.ok(!(await yardNumbers()).includes("OK-1"));
+
+  const imported = await importCsv(["number,carrier", "OK-1,ACME", "OK-2,New Carrier"], { commit: true, direction: "inbound" });
+  assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+  assert.strictEqual(imported.body.created, 2);
+  assert.deepStrictEqual(imported.body.trailers.map((t) => t.direction), ["inbound", "inbound"], "rows without a direction take the default");
+  assert.ok((await yardNumbers()).includes("OK-2"));
+
+  const { body: carriers } = await server.api("GET", "/carriers");
+  assert.ok(carriers.carriers.some((c) => c.name === "New Carrier"), "new carriers are created like for single trailers");
+});
+
+test("XLSX files are read from their first sheet, with a mapping of the caller's choosing", async () => {
+  await server.api("POST", "/carriers", { name: "Blocked Freight", status: "blocked" });
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Manifest");
+  sheet.addRow(["Unit", "Hauler", "Notes"]);
+  sheet.addRow(["X-1", "ACME", "first"]);
+  sheet.addRow(["X-2", "Blocked Freight", "second"]);
+  const content = Buffer.from(await workbook.xlsx.writeBuffer()).toString("base64");
+
+  const guessed = await server.api("POST", "/trailers/import", { filename: "manifest.xlsx", content });
+  assert.strictEqual(guessed.status, 400, "no header looks like a carrier");
+  assert.strictEqual(guessed.body.code, "IMPORT_MAPPING_REQUIRED");
+  assert.deepStrictEqual(guessed.body.headers, ["Unit", "Hauler", "Notes"]);
+
+  const badColumn = await server.api("POST", "/trailers/import", { filename: "manifest.xlsx", content, mapping: { carrier: 3 } });
+  assert.strictEqual(badColumn.status, 400);
+
+  const { body } = await server.api("POST", "/trailers/import", { filename: "manifest.xlsx", content, mapping: { number: 0, carrier: 1 } });
+  assert.deepStrictEqual(body.rows.map((r) => r.fields.number), ["X-1", "X-2"]);
+  assert.deepStrictEqual(body.rows[1].errors, ["Carrier Blocked Freight is blocked"]);
+});
+
+test("only CSV and XLSX files with rows are accepted", async () => {
+  const other = await server.api("POST", "/trailers/import", { filename: "manifest.txt", content: base64("number,carrier\nA,B") });
+  assert.strictEqual(other.status, 400);
+  assert.strictEqual((await importCsv(["number,carrier"])).status, 400, "header row only");
+  assert.strictEqual((await server.api("POST", "/trailers/import", { filename: "manifest.csv" })).status, 400);
+});
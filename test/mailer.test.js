@@ -0,0 +1,92 @@
+/**
+ * Mailer: report e-mails through a local SMTP sink that doesn't offer STARTTLS
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+
+let sink;
+let sessions = [];
+
+// Plain-text SMTP server: records every command it gets and accepts the mail
+function startSink() {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      const session = { commands: [], data: "" };
+      sessions.push(session);
+      let buffer = "";
+      let inData = false;
+      socket.write("220 sink ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          session.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write("250 queued\r\n");
+        }
+        let end;
+        while (!inData && (end = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          session.commands.push(line);
+          const verb = line.split(" ")[0].toUpperCase();
+          if (verb === "EHLO") socket.write("250-sink\r\n250 AUTH PLAIN LOGIN\r\n");
+          else if (verb === "AUTH") socket.write("235 ok\r\n");
+          else if (verb === "STARTTLS") socket.write("502 not implemented\r\n");
+          else if (verb === "DATA") {
+            inData = true;
+            socket.write("354 go ahead\r\n");
+          } else if (verb === "QUIT") socket.end("221 bye\r\n");
+          else socket.write("250 ok\r\n");
+        }
+      });
+      socket.on("error", () => {});
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// mailer.js with its own SMTP_* settings (config.js reads them when loaded)
+function loadMailer(env) {
+  Object.assign(process.env, { SMTP_HOST: "127.0.0.1", SMTP_PORT: String(sink.address().port), SMTP_FROM: "dock@example.com" }, env);
+  for (const module of ["../src/config", "../src/mailer"]) delete require.cache[require.resolve(module)];
+  return require("../src/mailer");
+}
+
+const mail = {
+  to: ["ops@example.com"],
+  subject: "Dwell report",
+  text: "Attached.",
+  attachments: [{ filename: "report.xlsx", content: Buffer.from("xlsx"), contentType: "application/octet-stream" }],
+};
+
+before(async () => {
+  sink = await startSink();
+});
+
+after(() => sink?.close());
+
+test("a report is sent with its attachment", async () => {
+  sessions = [];
+  const { sendMail } = loadMailer({ SMTP_USER: "", SMTP_PASS: "" });
+  await sendMail(mail);
+
+  const [session] = sessions;
+  assert.ok(session.commands.includes("RCPT TO:<ops@example.com>"), session.commands.join("\n"));
+  assert.match(session.data, /Subject: Dwell report/);
+  assert.match(session.data, /filename=report\.xlsx/);
+});
+
+test("the login is never sent over a connection without TLS", async () => {
+  sessions = [];
+  const { sendMail } = loadMailer({ SMTP_USER: "reports", SMTP_PASS: "secret-password" });
+  await assert.rejects(sendMail(mail), /login \(SMTP_USER\) was not sent/);
+
+  const commands = sessions.flatMap((s) => s.commands);
+  assert.ok(!commands.some((c) => /^AUTH/i.test(c)), commands.join("\n"));
+  assert.ok(!commands.some((c) => c.includes(Buffer.from("\0reports\0secret-password").toString("base64"))));
+});
@@ -0,0 +1,75 @@
+/**
+ * Presence: who has the facility board open (GET /api/presence and the
+ * `presence` event) and what they report having open
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { openStream } = require("./helpers/events");
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Presence Test DC" });
+  token = await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+async function connect() {
+  const stream = await openStream(server, token);
+  const [connected] = await stream.waitFor((m) => m.event === "connected", "connected");
+  return { stream, clientId: connected.data.clientId };
+}
+
+async function presentUsers() {
+  const { status, body } = await server.api("GET", "/presence");
+  assert.strictEqual(status, 200);
+  return body.users;
+}
+
+test("connected streams are listed per user and announced with a presence event", async (t) => {
+  const first = await connect();
+  t.after(() => first.stream.close());
+  const second = await connect();
+
+  const [event] = await first.stream.waitFor((m) => m.event === "presence" && m.data.users[0]?.connections === 2, "presence");
+  const [user] = event.data.users;
+  assert.strictEqual(user.username, "testadmin");
+  assert.deepStrictEqual(user.transports, ["sse"]);
+  assert.deepStrictEqual(await presentUsers(), event.data.users);
+
+  second.stream.close();
+  await first.stream.waitFor((m) => m.event === "presence" && m.data.users[0]?.connections === 1, "presence after disconnect");
+});
+
+test("what a stream has open is shown to the facility until it is cleared", async (t) => {
+  const { stream, clientId } = await connect();
+  t.after(() => stream.close());
+
+  const activity = { entityType: "trailer", entityId: "trailer-1", mode: "edit" };
+  const reported = await server.api("PUT", "/presence", { clientId, activity });
+  assert.strictEqual(reported.status, 200, JSON.stringify(reported.body));
+  await stream.waitFor((m) => m.event === "presence" && m.data.users[0]?.activities.length === 1, "presence with activity");
+  const [user] = await presentUsers();
+  assert.deepStrictEqual(user.activities.map(({ since, ...a }) => a), [activity]);
+
+  await server.api("PUT", "/presence", { clientId, activity: null });
+  assert.deepStrictEqual((await presentUsers())[0].activities, []);
+});
+
+test("reports for unknown streams or things that can't be opened are refused", async (t) => {
+  const { stream, clientId } = await connect();
+  t.after(() => stream.close());
+
+  const unknown = await server.api("PUT", "/presence", { clientId: "someone-else", activity: null });
+  assert.strictEqual(unknown.status, 404);
+  const badType = await server.api("PUT", "/presence", { clientId, activity: { entityType: "forklift", entityId: "f-1" } });
+  assert.strictEqual(badType.status, 400);
+  const badMode = await server.api("PUT", "/presence", { clientId, activity: { entityType: "door", entityId: "d-1", mode: "own" } });
+  assert.strictEqual(badMode.status, 400);
+});
@@ -0,0 +1,98 @@
+/**
+ * Door recommendations: free doors ranked by where the trailer's carrier and
+ * customer went before, the door's direction and how busy it is around it
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { rankDoors } = require("../src/recommendations");
+
+let server;
+let doors;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Recommendations Test DC" });
+  await server.switchFacility(body.facility.id);
+  const { body: state } = await server.api("GET", "/state");
+  doors = state.doors.filter((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+});
+
+after(() => server?.stop());
+
+async function createTrailer(fields) {
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", customer: "Widgets Inc", ...fields });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  return created.body.trailer.id;
+}
+
+function recommend(trailerId) {
+  return server.api("GET", `/doors/recommend?trailerId=${trailerId}`);
+}
+
+test("doors the carrier and customer used before rank first", async () => {
+  const usual = doors[6];
+  // Past placements: twice at the usual door, once elsewhere
+  for (const [i, door] of [usual, usual, doors[8]].entries()) {
+    const trailerId = await createTrailer({ number: `REC-${i}` });
+    await server.api("POST", "/move-to-door", { trailerId, doorId: door.id });
+    await server.api("POST", "/move-to-yard", { trailerId, doorId: door.id });
+  }
+
+  const trailerId = await createTrailer({ number: "REC-NEW" });
+  const { status, body } = await recommend(trailerId);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.basedOn.placements, 3);
+
+  const [best, second] = body.recommendations;
+  assert.strictEqual(best.doorId, usual.id);
+  assert.strictEqual(best.placements, 2);
+  assert.strictEqual(best.affinity, 0.667, "0.6 x 2/3 + 0.25 x 2/3 + 0.15 x 2/3");
+  assert.deepStrictEqual(best.reasons, ["67% of ACME / Widgets Inc placements"]);
+  assert.strictEqual(second.doorId, doors[8].id);
+  assert.strictEqual(body.recommendations.length, 5);
+});
+
+test("occupied doors and doors for the other direction are left out", async () => {
+  const outboundOnly = doors[6];
+  await server.api("PUT", `/doors/${outboundOnly.id}`, { direction: "outbound" });
+  const occupant = await createTrailer({ number: "REC-OCCUPANT", carrier: "Other", customer: null });
+  await server.api("POST", "/move-to-door", { trailerId: occupant, doorId: doors[8].id });
+
+  const trailerId = await createTrailer({ number: "REC-IN", direction: "inbound" });
+  const { body } = await server.api("GET", `/doors/recommend?trailerId=${trailerId}&limit=50`);
+  const ids = body.recommendations.map((r) => r.doorId);
+  assert.ok(!ids.includes(outboundOnly.id), "outbound door");
+  assert.ok(!ids.includes(doors[8].id), "occupied door");
+
+  const outbound = await createTrailer({ number: "REC-OUT" });
+  const { body: forOutbound } = await recommend(outbound);
+  assert.strictEqual(forOutbound.recommendations[0].doorId, outboundOnly.id);
+  assert.ok(forOutbound.recommendations[0].reasons.includes("outbound door"));
+
+  await server.api("PUT", `/doors/${outboundOnly.id}`, { direction: null });
+  await server.api("POST", "/move-to-yard", { trailerId: occupant, doorId: doors[8].id });
+});
+
+test("a trailer id is required and must exist", async () => {
+  assert.strictEqual((await server.api("GET", "/doors/recommend")).status, 400);
+  assert.strictEqual((await recommend("no-such-trailer")).status, 404);
+});
+
+test("occupied neighbours and trailers queued for a door lower its score", () => {
+  const door = (number, fields = {}) => ({ id: `d${number}`, number, order: number, type: "normal", ...fields });
+  const state = {
+    doors: [door(1), door(2, { trailerId: "t-busy" }), door(3), door(4), door(5), door(6)],
+    queuedTrailers: [{ id: "q-1", targetDoorId: "d5" }],
+  };
+  const trailer = { id: "t-1", carrier: "ACME", direction: "outbound" };
+
+  const list = rankDoors(state, trailer, [], 10);
+  assert.deepStrictEqual(list.map((r) => r.doorNumber), [4, 6, 1, 3, 5], "best first, board order on ties");
+  const ranked = Object.fromEntries(list.map((r) => [r.doorNumber, r]));
+  assert.strictEqual(ranked[1].score, -0.05);
+  assert.deepStrictEqual(ranked[3].reasons, ["1 neighbouring door(s) occupied"]);
+  assert.strictEqual(ranked[5].score, -0.3);
+});
@@ -0,0 +1,46 @@
+/**
+ * State saves: the change handed to SSE (and undo) per write, in this process
+ * with its own data folder
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+process.env.DATA_DIR = dataDir;
+const { getStorage } = require("../src/storage");
+const { loadState, saveState, takeStateChanges, onStateChanges } = require("../src/state");
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("a write is diffed against the copy saved last, without loading it again", (t) => {
+  const facilityId = "state-test-1";
+  const state = loadState(facilityId);
+  state.trailers.push({ id: "t-1", carrier: "ACME", number: "100" });
+  saveState(state, facilityId);
+  takeStateChanges(facilityId);
+
+  const loads = t.mock.method(getStorage(), "loadState");
+  const seen = [];
+  onStateChanges((change, id) => seen.push({ ...change, id }));
+
+  state.trailers[0].number = "200";
+  state.trailers.push({ id: "t-2", carrier: "ACME", number: "300" });
+  saveState(state, facilityId);
+  const { baseRevision, revision, changes } = takeStateChanges(facilityId);
+
+  assert.strictEqual(loads.mock.callCount(), 0);
+  assert.strictEqual(revision, baseRevision + 1);
+  assert.deepStrictEqual(changes.collections.trailers.upsert.map((t) => `${t.id}:${t.number}`), ["t-1:200", "t-2:300"]);
+  assert.deepStrictEqual(Object.keys(changes.collections), ["trailers"]);
+
+  // Listeners get the same change with the states around it
+  assert.strictEqual(seen.length, 1);
+  assert.strictEqual(seen[0].id, facilityId);
+  assert.strictEqual(seen[0].changes, changes);
+  assert.deepStrictEqual(seen[0].base.trailers.map((t) => t.number), ["100"]);
+  assert.deepStrictEqual(seen[0].next.trailers.map((t) => t.number), ["200", "300"]);
+});
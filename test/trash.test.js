@@ -0,0 +1,131 @@
+/**
+ * Trash: deleted trailers, doors and shipped records are kept with who
+ * deleted them, restored where they were, and purged after the retention
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { purgeTrash } = require("../src/trash");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Trash Test DC" });
+  await server.switchFacility(body.facility.id);
+});
+
+after(() => server?.stop());
+
+async function freeDoor() {
+  const { body: state } = await server.api("GET", "/state");
+  return state.doors.find((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+}
+
+async function dockedTrailer(number) {
+  const { body: created } = await server.api("POST", "/trailers", { carrier: "ACME", number });
+  const door = await freeDoor();
+  const moved = await server.api("POST", "/move-to-door", { trailerId: created.trailer.id, doorId: door.id });
+  assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+  return { trailerId: created.trailer.id, door };
+}
+
+async function trashItem(predicate) {
+  const { body } = await server.api("GET", "/trash");
+  return body.items.find(predicate);
+}
+
+async function findTrailer(id) {
+  const { body: state } = await server.api("GET", "/state");
+  return [...state.trailers, ...state.yardTrailers].find((t) => t.id === id);
+}
+
+test("a deleted trailer is kept in the trash and restored to its door", async () => {
+  const { trailerId, door } = await dockedTrailer("TRASH-1");
+  const deleted = await server.api("DELETE", `/trailers/${trailerId}`);
+  assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.strictEqual(await findTrailer(trailerId), undefined);
+
+  const item = await trashItem((i) => i.entity.id === trailerId);
+  assert.strictEqual(item.entityType, "trailer");
+  assert.strictEqual(item.name, "ACME TRASH-1");
+  assert.strictEqual(item.deletedBy.username, "testadmin");
+  assert.deepStrictEqual(item.context, { location: "door", doorId: door.id, doorNumber: door.number });
+
+  const restored = await server.api("POST", `/trash/${item.id}/restore`);
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+  assert.strictEqual(restored.body.location, `Door ${door.number}`);
+  assert.strictEqual((await findTrailer(trailerId)).doorId, door.id);
+  assert.strictEqual(await trashItem((i) => i.id === item.id), undefined, "no longer in the trash");
+
+  const again = await server.api("POST", `/trash/${item.id}/restore`);
+  assert.strictEqual(again.status, 404);
+});
+
+test("a trailer whose door was taken meanwhile comes back to the unassigned yard", async () => {
+  const { trailerId, door } = await dockedTrailer("TRASH-2");
+  await server.api("DELETE", `/trailers/${trailerId}`);
+  const { body: other } = await server.api("POST", "/trailers", { carrier: "ACME", number: "TRASH-3" });
+  await server.api("POST", "/move-to-door", { trailerId: other.trailer.id, doorId: door.id });
+
+  const item = await trashItem((i) => i.entity.id === trailerId);
+  const restored = await server.api("POST", `/trash/${item.id}/restore`);
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+  assert.strictEqual(restored.body.location, "Unassigned Yard");
+  const trailer = await findTrailer(trailerId);
+  assert.strictEqual(trailer.location, "yard");
+  assert.strictEqual(trailer.doorId, undefined);
+});
+
+test("a deleted door comes back empty, its trailer stays in the yard", async () => {
+  const { trailerId, door } = await dockedTrailer("TRASH-4");
+  const deleted = await server.api("DELETE", `/doors/${door.id}`);
+  assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.strictEqual((await findTrailer(trailerId)).location, "yard");
+
+  const item = await trashItem((i) => i.entityType === "door" && i.entity.id === door.id);
+  assert.strictEqual(item.name, `Door ${door.number}`);
+  const restored = await server.api("POST", `/trash/${item.id}/restore`);
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+
+  const { body: state } = await server.api("GET", "/state");
+  const back = state.doors.find((d) => d.id === door.id);
+  assert.ok(back, "door is back");
+  assert.ok(!back.trailerId, "and empty");
+});
+
+test("shipped records can be deleted and restored, and the trash emptied by an admin", async () => {
+  const { body: created } = await server.api("POST", "/trailers", { carrier: "ACME", number: "TRASH-5" });
+  const shipped = await server.api("POST", `/trailers/${created.trailer.id}/ship`);
+  assert.strictEqual(shipped.status, 200, JSON.stringify(shipped.body));
+
+  await server.api("DELETE", `/trailers/shipped/${created.trailer.id}`);
+  const item = await trashItem((i) => i.entityType === "shipped" && i.entity.id === created.trailer.id);
+  assert.ok(item, "shipped record is in the trash");
+  const { body: listed } = await server.api("GET", "/trash?type=shipped");
+  assert.deepStrictEqual(listed.items.map((i) => i.id), [item.id]);
+  assert.strictEqual((await server.api("GET", "/trash?type=forklift")).status, 400);
+
+  await server.api("POST", `/trash/${item.id}/restore`);
+  const { body: state } = await server.api("GET", "/state");
+  assert.ok(state.shippedTrailers.some((t) => t.id === created.trailer.id));
+
+  const emptied = await server.api("DELETE", "/trash");
+  assert.strictEqual(emptied.status, 200);
+  assert.deepStrictEqual((await server.api("GET", "/trash")).body.items, []);
+});
+
+test("items are purged once they are older than the retention", () => {
+  const now = Date.parse("2026-03-31T12:00:00Z");
+  const state = {
+    trash: [
+      { id: "old", deletedAt: "2026-02-28T12:00:00.000Z" },
+      { id: "recent", deletedAt: "2026-03-30T12:00:00.000Z" },
+    ],
+  };
+  assert.strictEqual(purgeTrash(state, 0, now), 0, "0 keeps them forever");
+  assert.strictEqual(purgeTrash(state, 30, now), 1);
+  assert.deepStrictEqual(state.trash.map((t) => t.id), ["recent"]);
+});
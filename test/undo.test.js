@@ -0,0 +1,106 @@
+/**
+ * Undo/redo: entries recorded from each write's change, applied back and
+ * forth, and refused once someone else changed what they touched
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { diffState, invertDelta, composeDeltas, applyDelta } = require("../src/state-delta");
+
+let server;
+let doorId;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "Undo Test DC" });
+  await server.switchFacility(body.facility.id);
+  const { body: state } = await server.api("GET", "/state");
+  doorId = state.doors.find((d) => d.type !== "blank" && d.inService !== false).id;
+});
+
+after(() => server?.stop());
+
+async function findTrailer(id) {
+  const { body: state } = await server.api("GET", "/state");
+  const docked = state.trailers.find((t) => t.id === id);
+  if (docked) return { ...docked, where: "door" };
+  const parked = state.yardTrailers.find((t) => t.id === id);
+  return parked ? { ...parked, where: "yard" } : null;
+}
+
+async function createTrailer(number) {
+  const { status, body } = await server.api("POST", "/trailers", { carrier: "ACME", number, status: "empty" });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body.trailer.id;
+}
+
+test("a move is undone and redone from the change it recorded", async () => {
+  const trailerId = await createTrailer("UNDO-1");
+  const moved = await server.api("POST", "/move-to-door", { trailerId, doorId });
+  assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+
+  const { body: stacks } = await server.api("GET", "/undo");
+  assert.match(stacks.undo[0].label, /^Move trailer ACME UNDO-1 to Door \d+$/);
+  assert.strictEqual(stacks.undo[1].label, "Create trailer ACME UNDO-1");
+
+  const undone = await server.api("POST", "/undo");
+  assert.strictEqual(undone.status, 200, JSON.stringify(undone.body));
+  assert.strictEqual((await findTrailer(trailerId)).where, "yard");
+  const { body: state } = await server.api("GET", "/state");
+  assert.strictEqual(state.doors.find((d) => d.id === doorId).trailerId ?? null, null);
+
+  const redone = await server.api("POST", "/redo");
+  assert.strictEqual(redone.status, 200, JSON.stringify(redone.body));
+  assert.strictEqual((await findTrailer(trailerId)).where, "door");
+
+  await server.api("POST", "/move-to-yard", { trailerId, doorId });
+});
+
+test("undo is refused when someone else changed the trailer since", async () => {
+  const trailerId = await createTrailer("UNDO-2");
+  const edited = await server.api("PUT", `/trailers/${trailerId}`, { status: "loaded" });
+  assert.strictEqual(edited.status, 200, JSON.stringify(edited.body));
+
+  // Another client changes the same trailer (API key writes have no undo history)
+  const { body: created } = await server.api("POST", "/api-keys", { name: "Status", scopes: ["trailers:status"] });
+  const res = await fetch(`${server.url}/api/trailers/${trailerId}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", "X-API-Key": created.key },
+    body: JSON.stringify({ status: "empty" }),
+  });
+  assert.strictEqual(res.status, 200);
+
+  const undone = await server.api("POST", "/undo");
+  assert.strictEqual(undone.status, 409, JSON.stringify(undone.body));
+  assert.strictEqual(undone.body.code, "UNDO_CONFLICT");
+  assert.strictEqual((await findTrailer(trailerId)).status, "empty", "nothing was changed");
+});
+
+test("a delta's reverse only needs the entities it touched, order included", () => {
+  const base = {
+    trailers: [{ id: "a", n: 1 }, { id: "b", n: 2 }, { id: "c", n: 3 }],
+    doors: [{ id: "d1", trailerId: null }],
+    staging: null,
+  };
+  const copy = () => JSON.parse(JSON.stringify(base));
+
+  const middle = copy();
+  middle.trailers = [{ id: "c", n: 3 }, { id: "a", n: 10 }, { id: "new", n: 4 }];
+  middle.staging = { id: "s" };
+  const last = copy();
+  last.trailers = [{ id: "c", n: 30 }, { id: "a", n: 10 }, { id: "new", n: 4 }, { id: "later", n: 5 }];
+  last.doors = [{ id: "d1", trailerId: "c" }];
+  last.staging = { id: "s" };
+
+  const first = diffState(base, middle);
+  const second = diffState(middle, last);
+  assert.deepStrictEqual(applyDelta(JSON.parse(JSON.stringify(middle)), invertDelta(base, first)), base);
+
+  // One write saving twice is undone and redone as a whole
+  const changes = composeDeltas(first, second);
+  const inverse = composeDeltas(invertDelta(middle, second), invertDelta(base, first));
+  assert.deepStrictEqual(applyDelta(copy(), changes), last);
+  assert.deepStrictEqual(applyDelta(JSON.parse(JSON.stringify(last)), inverse), base);
+});
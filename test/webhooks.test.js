@@ -0,0 +1,189 @@
+/**
+ * Webhooks: deliveries sent in this process (own data folder) to a local HTTP
+ * sink - signature, retries, dead letters and redirects
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dockboard-test-"));
+process.env.DATA_DIR = dataDir;
+const { getStorage } = require("../src/storage");
+const { loadWebhooks, saveWebhooks } = require("../src/state");
+const { createSubscription, queueWebhookDeliveries, queueTestDelivery, deliverDueWebhooks, RETRY_DELAYS_SECONDS } = require("../src/webhooks");
+
+let sink;
+let sinkUrl;
+// Requests the sink got ({ url, headers, body }) and the statuses it answers with, in turn (then 200)
+let received = [];
+let answers = [];
+
+before(async () => {
+  sink = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      const status = answers.shift() || 200;
+      if (status >= 300 && status < 400) res.setHeader("Location", `${sinkUrl}/elsewhere`);
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => sink.listen(0, "127.0.0.1", resolve));
+  sinkUrl = `http://127.0.0.1:${sink.address().port}`;
+});
+
+after(() => {
+  sink?.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+let facilityCount = 0;
+
+// A facility with one subscription to every event
+function facilityWithWebhook(url) {
+  const facilityId = `webhook-test-${++facilityCount}`;
+  const webhooks = loadWebhooks(facilityId);
+  const { subscription } = createSubscription(webhooks, { name: "Sink", url, events: ["*"] }, null);
+  saveWebhooks(webhooks, facilityId);
+  return { facilityId, subscription };
+}
+
+// Queue a test delivery to the facility's subscription and return its ID
+function queueDelivery(facilityId, subscription) {
+  const webhooks = loadWebhooks(facilityId);
+  const delivery = queueTestDelivery(webhooks, subscription, null, facilityId);
+  saveWebhooks(webhooks, facilityId);
+  return delivery.id;
+}
+
+function storedDelivery(facilityId, deliveryId) {
+  return loadWebhooks(facilityId).deliveries.find((d) => d.id === deliveryId);
+}
+
+// Let the pending retries' wait run out
+function makeRetriesDue(facilityId) {
+  const webhooks = loadWebhooks(facilityId);
+  webhooks.deliveries.forEach((d) => {
+    if (d.status === "pending") d.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+  });
+  saveWebhooks(webhooks, facilityId);
+}
+
+function historyEntry(action) {
+  return { id: `entry-${Date.now()}`, timestamp: new Date().toISOString(), action, trailerId: "t-1" };
+}
+
+test("a failing delivery run is logged, not left as an unhandled rejection", async (t) => {
+  const { facilityId } = facilityWithWebhook("http://127.0.0.1:9/unused");
+
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+  t.after(() => process.off("unhandledRejection", onUnhandled));
+  const errors = t.mock.method(console, "error", () => {});
+
+  // Queueing reads the store once; the delivery run that follows finds it broken
+  const storage = getStorage();
+  const load = storage.loadWebhooks.bind(storage);
+  let loads = 0;
+  t.mock.method(storage, "loadWebhooks", (id) => {
+    if (++loads > 1) throw new Error("webhooks.json unreadable");
+    return load(id);
+  });
+
+  queueWebhookDeliveries(historyEntry("TRAILER_CREATED"), facilityId);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.deepStrictEqual(unhandled, []);
+  assert.ok(
+    errors.mock.calls.some((c) => String(c.arguments[0]).includes(`Delivery failed for ${facilityId}`)),
+    "the failure is logged",
+  );
+});
+
+test("a delivery is signed over its timestamp and body", async () => {
+  received = [];
+  answers = [];
+  const { facilityId, subscription } = facilityWithWebhook(`${sinkUrl}/hook`);
+  const deliveryId = queueDelivery(facilityId, subscription);
+
+  assert.strictEqual(await deliverDueWebhooks(facilityId), 1);
+
+  assert.strictEqual(received.length, 1);
+  const { url, headers, body } = received[0];
+  assert.strictEqual(url, "/hook");
+  assert.strictEqual(headers["x-dockboard-event"], "PING");
+  assert.strictEqual(headers["x-dockboard-delivery"], deliveryId);
+  const expected = crypto.createHmac("sha256", subscription.secret).update(`${headers["x-dockboard-timestamp"]}.${body}`).digest("hex");
+  assert.strictEqual(headers["x-dockboard-signature"], `sha256=${expected}`);
+  assert.strictEqual(JSON.parse(body).deliveryId, deliveryId);
+  assert.strictEqual(storedDelivery(facilityId, deliveryId).status, "delivered");
+});
+
+test("a failed delivery waits for its retry, and the retry delivers it", async () => {
+  received = [];
+  answers = [500];
+  const { facilityId, subscription } = facilityWithWebhook(`${sinkUrl}/hook`);
+  const deliveryId = queueDelivery(facilityId, subscription);
+
+  await deliverDueWebhooks(facilityId);
+  let delivery = storedDelivery(facilityId, deliveryId);
+  assert.strictEqual(delivery.status, "pending");
+  assert.strictEqual(delivery.attempts, 1);
+  assert.strictEqual(delivery.lastError, "HTTP 500");
+  const wait = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.lastAttemptAt);
+  assert.ok(Math.abs(wait - RETRY_DELAYS_SECONDS[0] * 1000) < 1000, `retry after ${wait}ms`);
+
+  assert.strictEqual(await deliverDueWebhooks(facilityId), 0, "not due yet");
+  makeRetriesDue(facilityId);
+  assert.strictEqual(await deliverDueWebhooks(facilityId), 1);
+
+  delivery = storedDelivery(facilityId, deliveryId);
+  assert.strictEqual(delivery.status, "delivered");
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(received[1].headers["x-dockboard-delivery"], deliveryId, "same delivery ID on the retry");
+});
+
+test("a delivery that keeps failing ends in the dead letters", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  received = [];
+  answers = Array(RETRY_DELAYS_SECONDS.length + 1).fill(503);
+  const { facilityId, subscription } = facilityWithWebhook(`${sinkUrl}/hook`);
+  const deliveryId = queueDelivery(facilityId, subscription);
+
+  for (let attempt = 0; attempt <= RETRY_DELAYS_SECONDS.length; attempt++) {
+    makeRetriesDue(facilityId);
+    assert.strictEqual(await deliverDueWebhooks(facilityId), 1);
+  }
+
+  const delivery = storedDelivery(facilityId, deliveryId);
+  assert.strictEqual(delivery.status, "dead");
+  assert.strictEqual(delivery.attempts, RETRY_DELAYS_SECONDS.length + 1);
+  assert.strictEqual(delivery.lastStatusCode, 503);
+  assert.strictEqual(delivery.nextAttemptAt, null);
+
+  makeRetriesDue(facilityId);
+  assert.strictEqual(await deliverDueWebhooks(facilityId), 0, "dead deliveries aren't sent again");
+  assert.strictEqual(received.length, RETRY_DELAYS_SECONDS.length + 1);
+});
+
+test("a redirect is not followed", async () => {
+  received = [];
+  answers = [302];
+  const { facilityId, subscription } = facilityWithWebhook(`${sinkUrl}/hook`);
+  const deliveryId = queueDelivery(facilityId, subscription);
+
+  await deliverDueWebhooks(facilityId);
+
+  assert.deepStrictEqual(received.map((r) => r.url), ["/hook"]);
+  const delivery = storedDelivery(facilityId, deliveryId);
+  assert.strictEqual(delivery.status, "pending", "a redirect counts as a failed attempt");
+  assert.strictEqual(delivery.lastStatusCode, 302);
+});
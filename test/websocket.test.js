@@ -0,0 +1,131 @@
+/**
+ * WebSocket sessions (/api/ws): token check and facility scoping shared with
+ * SSE, door subscriptions, presence heartbeats and acknowledged commands
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const WebSocket = require("ws");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+let doors;
+
+before(async () => {
+  server = await startServer();
+  await server.login();
+  const { body } = await server.api("POST", "/facilities", { name: "WebSocket Test DC" });
+  token = await server.switchFacility(body.facility.id);
+  const { body: state } = await server.api("GET", "/state");
+  doors = state.doors.filter((d) => d.type !== "blank" && d.inService !== false && !d.trailerId);
+});
+
+after(() => server?.stop());
+
+// Open a socket; its messages collect in `messages`, request() sends one and waits for its ack
+async function connect(query = `token=${token}`) {
+  const socket = new WebSocket(`${server.url.replace("http", "ws")}/api/ws?${query}`);
+  const messages = [];
+  socket.on("message", (raw) => messages.push(JSON.parse(raw.toString())));
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  let nextId = 0;
+  const client = {
+    messages,
+    close: () => socket.close(),
+    async waitFor(predicate, label) {
+      const deadline = Date.now() + 5000;
+      while (Date.now() < deadline) {
+        const found = messages.find(predicate);
+        if (found) return found;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.fail(`No ${label}: ${JSON.stringify(messages)}`);
+    },
+    request(message) {
+      const id = `req-${++nextId}`;
+      socket.send(JSON.stringify({ id, ...message }));
+      return client.waitFor((m) => m.type === "ack" && m.id === id, `ack for ${message.type}`);
+    },
+  };
+  return client;
+}
+
+async function createTrailer(number) {
+  const created = await server.api("POST", "/trailers", { carrier: "ACME", number });
+  assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+  return created.body.trailer.id;
+}
+
+test("a socket needs a valid token and is scoped to its facility", async (t) => {
+  await assert.rejects(connect("token=not-a-token"), /401/);
+
+  const client = await connect();
+  t.after(() => client.close());
+  const connected = await client.waitFor((m) => m.type === "connected", "connected");
+  assert.strictEqual(connected.resumed, false);
+
+  const pong = await client.request({ type: "ping" });
+  assert.strictEqual(pong.ok, true);
+
+  const trailerId = await createTrailer("WS-1");
+  const event = await client.waitFor((m) => m.type === "event" && m.data.subject?.trailerId === trailerId, "stateChange");
+  assert.strictEqual(event.event, "stateChange");
+  assert.strictEqual(event.data.facilityId, connected.facilityId);
+});
+
+test("a door subscription only passes events touching that door", async (t) => {
+  const [watched, other] = doors;
+  const client = await connect();
+  t.after(() => client.close());
+
+  const subscribed = await client.request({ type: "subscribe", doors: [watched.number] });
+  assert.strictEqual(subscribed.ok, true, JSON.stringify(subscribed));
+  assert.deepStrictEqual(subscribed.subscription.doors, [watched.id]);
+  const unknown = await client.request({ type: "subscribe", doors: ["no-such-door"] });
+  assert.strictEqual(unknown.ok, false);
+
+  const elsewhere = await createTrailer("WS-2");
+  await server.api("POST", "/move-to-door", { trailerId: elsewhere, doorId: other.id });
+  const here = await createTrailer("WS-3");
+  await server.api("POST", "/move-to-door", { trailerId: here, doorId: watched.id });
+
+  await client.waitFor((m) => m.type === "event" && m.data.subject?.trailerId === here, "event for the watched door");
+  const seen = client.messages.filter((m) => m.type === "event").map((m) => m.data.subject?.trailerId);
+  assert.deepStrictEqual(seen, [here], "events for other doors and unplaced trailers are left out");
+
+  await server.api("POST", "/move-to-yard", { trailerId: here, doorId: watched.id });
+  await server.api("POST", "/move-to-yard", { trailerId: elsewhere, doorId: other.id });
+});
+
+test("presence heartbeats and commands are acknowledged", async (t) => {
+  const client = await connect();
+  t.after(() => client.close());
+
+  const heartbeat = await client.request({ type: "presence", screen: "loader", doorNumber: doors[0].number, operatorName: "Sam" });
+  assert.strictEqual(heartbeat.ok, true, JSON.stringify(heartbeat));
+
+  const state = await client.request({ type: "command", command: "state.get" });
+  assert.strictEqual(state.ok, true);
+  assert.strictEqual(state.status, 200);
+  assert.ok(Array.isArray(state.result.doors));
+
+  const trailerId = await createTrailer("WS-4");
+  const moved = await client.request({ type: "command", command: "trailer.moveToDoor", payload: { trailerId, doorId: doors[0].id } });
+  assert.strictEqual(moved.ok, true, JSON.stringify(moved));
+  assert.strictEqual(typeof moved.revision, "number");
+
+  const stale = await client.request({ type: "command", command: "trailer.moveToYard", payload: { trailerId, doorId: doors[0].id }, ifMatch: 1 });
+  assert.deepStrictEqual([stale.ok, stale.status, stale.code], [false, 409, "REVISION_CONFLICT"]);
+
+  const missing = await client.request({ type: "command", command: "trailer.ship", payload: {} });
+  assert.deepStrictEqual([missing.ok, missing.status], [false, 400]);
+  const unknown = await client.request({ type: "command", command: "door.explode" });
+  assert.strictEqual(unknown.ok, false);
+
+  await server.api("POST", "/move-to-yard", { trailerId, doorId: doors[0].id });
+});